@@ -2,7 +2,8 @@
 // Main application showcasing all Gemini AI capabilities for sign language learning
 // Perfect for hackathon demos!
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getProvider } from './providers/index.js';
+import { GeminiService } from './gemini.js';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
@@ -10,22 +11,28 @@ import path from 'path';
 // Import all services
 import { analyzeSignFromReference, analyzeSignFromBase64 } from './services/geminiVisualSignLearning.js';
 import { textToSignPrompt, parseSignPoseData } from './services/geminiSignTranslation.js';
-import { signCorrectionWithVideoPrompt, parseCorrectionResponse } from './services/geminiSignCorrection.js';
-import { lessonGenerationPrompt, parseLessonResponse, LESSON_TEMPLATES } from './services/geminiLessonGenerator.js';
+import { parseCorrectionResponse } from './services/geminiSignCorrection.js';
+import { parseLessonResponse, LESSON_TEMPLATES } from './services/geminiLessonGenerator.js';
 import { InteractiveSignLesson, startDemoLesson } from './services/geminiLiveLesson.js';
 import { generateSignReferenceImage, generateSignGuide, SIGN_DESCRIPTIONS, ASL_REFERENCE_SOURCES } from './services/geminiSignReferences.js';
-import { objectDetectionPrompt, parseVisionResponse } from './services/geminiVision.js';
+import { parseVisionResponse } from './services/geminiVision.js';
+import promptRegistry from './services/promptRegistry.js';
+import responseValidator from './services/responseValidator.js';
 
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = getProvider();
 
 /**
  * Main Gemini Sign Language Application
  * Demonstrates all Gemini AI capabilities in one unified interface
  */
 class GeminiSignLanguageApp {
-    constructor() {
+    /**
+     * @param {GeminiService} gemini - Client for live lessons (a new one by default)
+     */
+    constructor(gemini = new GeminiService()) {
+        this.gemini = gemini;
         this.model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
         this.activeLesson = null;
         this.stats = {
@@ -144,14 +151,15 @@ class GeminiSignLanguageApp {
             ? imageBase64.split(',')[1]
             : imageBase64;
 
-        const prompt = objectDetectionPrompt(language);
+        const prompt = promptRegistry.render('vision.objectDetection', { language });
 
         const result = await this.model.generateContent([
-            prompt,
+            prompt.text,
             { inlineData: { mimeType: 'image/jpeg', data: imageData } }
         ]);
+        console.log(`[Gemini] detectTeachableObjects [${prompt.id}]`);
 
-        return parseVisionResponse(result.response.text());
+        return parseVisionResponse(await this._checkResponse(prompt, result.response.text()));
     }
 
     // ============================================
@@ -164,10 +172,11 @@ class GeminiSignLanguageApp {
     async generateLesson(topic, difficulty = 'beginner', lessonCount = 5, language = 'ASL') {
         this.stats.generationCalls++;
 
-        const prompt = lessonGenerationPrompt(topic, difficulty, lessonCount, language);
-        const result = await this.model.generateContent(prompt);
+        const prompt = promptRegistry.render('lesson.course', { topic, difficulty, lessonCount, language });
+        const result = await this.model.generateContent(prompt.text);
+        console.log(`[Gemini] generateLesson [${prompt.id}]`);
 
-        return parseLessonResponse(result.response.text());
+        return parseLessonResponse(await this._checkResponse(prompt, result.response.text()));
     }
 
     /**
@@ -201,6 +210,7 @@ class GeminiSignLanguageApp {
         this.stats.liveSessions++;
 
         this.activeLesson = new InteractiveSignLesson({
+            gemini: this.gemini,
             lessonTopic: topic,
             ...options
         });
@@ -240,7 +250,7 @@ class GeminiSignLanguageApp {
      */
     async startDemoLesson(demoType = 'greeting') {
         this.stats.liveSessions++;
-        this.activeLesson = await startDemoLesson(demoType);
+        this.activeLesson = await startDemoLesson(this.gemini, demoType);
         return this.activeLesson;
     }
 
@@ -270,47 +280,18 @@ class GeminiSignLanguageApp {
     async validateSignAccuracy(signName, language = 'ASL') {
         this.stats.generationCalls++;
 
-        const sources = Object.entries(ASL_REFERENCE_SOURCES).map(([key, source]) => ({
-            name: source.name,
-            url: source.url,
-            description: source.description
-        }));
-
-        const prompt = `
-You are validating the ${language} sign "${signName}" against authoritative sources.
-
-KNOWN SIGN DESCRIPTION (to validate):
-${SIGN_DESCRIPTIONS[signName.toUpperCase()] || 'No local description'}
-
-AUTHORITATIVE SOURCES:
-${sources.map(s => `- ${s.name}: ${s.url}`).join('\n')}
-
-VALIDATION TASK:
-1. Confirm the sign description matches standard ${language}
-2. Note any regional variations
-3. Identify key elements that must be correct for comprehension
-4. Provide confidence level
-
-OUTPUT (JSON only):
-{
-  "sign": "${signName}",
-  "language": "${language}",
-  "validation_status": "confirmed" | "needs_review" | "regional_variation",
-  "confidence": 0-100,
-  "key_elements": [
-    {"element": "handshape", "critical": true, "notes": "description"},
-    {"element": "location", "critical": true, "notes": "description"}
-  ],
-  "variations": ["Regional or stylistic variations"],
-  "sources": [
-    {"name": "source name", "url": "url", "status": "confirms" | "differs"}
-  ],
-  "recommendation": "Use as-is OR suggested modification"
-}
-`;
+        const sources = Object.values(ASL_REFERENCE_SOURCES).map(source => `- ${source.name}: ${source.url}`);
 
-        const result = await this.model.generateContent(prompt);
-        return this._parseJSON(result.response.text());
+        const prompt = promptRegistry.render('grounding.validateSign', {
+            language,
+            signName,
+            description: SIGN_DESCRIPTIONS[signName.toUpperCase()] || 'No local description',
+            sources: sources.join('\n')
+        });
+
+        const result = await this.model.generateContent(prompt.text);
+        console.log(`[Gemini] validateSignAccuracy [${prompt.id}]`);
+        return this._checkResponse(prompt, result.response.text());
     }
 
     // ============================================
@@ -327,9 +308,9 @@ OUTPUT (JSON only):
             ? userImageBase64.split(',')[1]
             : userImageBase64;
 
-        const prompt = signCorrectionWithVideoPrompt(targetSign, null, language);
+        const prompt = promptRegistry.render('correction.signWithVideo', { targetSign, language });
 
-        const contents = [prompt, { inlineData: { mimeType: 'image/jpeg', data: userData } }];
+        const contents = [prompt.text, { inlineData: { mimeType: 'image/jpeg', data: userData } }];
 
         if (referenceImageBase64) {
             const refData = referenceImageBase64.includes(',')
@@ -339,7 +320,8 @@ OUTPUT (JSON only):
         }
 
         const result = await this.model.generateContent(contents);
-        return parseCorrectionResponse(result.response.text());
+        console.log(`[Gemini] checkSignAccuracy [${prompt.id}]`);
+        return parseCorrectionResponse(await this._checkResponse(prompt, result.response.text()));
     }
 
     // ============================================
@@ -379,16 +361,14 @@ OUTPUT (JSON only):
     }
 
     /**
-     * Parse JSON helper
+     * Check a registry prompt's response against its outputSchema, asking
+     * the model to repair it once if needed
      */
-    _parseJSON(text) {
-        let cleanedText = text;
-        if (cleanedText.includes('```json')) {
-            cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        } else if (cleanedText.includes('```')) {
-            cleanedText = cleanedText.replace(/```\n?/g, '');
-        }
-        return JSON.parse(cleanedText.trim());
+    _checkResponse(prompt, text) {
+        return responseValidator.parse(prompt, text, async (repairText) => {
+            const result = await this.model.generateContent(repairText);
+            return result.response.text();
+        });
     }
 }
 
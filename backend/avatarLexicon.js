@@ -0,0 +1,205 @@
+// ============================================
+// AVATAR LEXICON
+// Avatar-ready sign definitions served to Avatar3D per dialect
+// ============================================
+//
+// Signs live in data/avatar-lexicon.json (paths.avatarLexiconFile), keyed by
+// dialect and canonical gloss. Each definition is what Avatar3D's
+// jsonSignToKeyframes() plays:
+//
+// {
+//   gloss, description, reference: { site, note },
+//   duration,                          // seconds
+//   hand_shape, left_hand_shape?,      // HANDSHAPE_MAP names
+//   bones: { rArm, rForeArm, rHand, lArm?, lForeArm?, lHand? },   // radians
+//   | target_position: { right_hand, left_hand? },                // legacy
+//   movement_action, facial_expression,
+//   movement_keyframes?: [{ time, <bone>: { x?, y?, z? }, handshape? }]
+// }
+//
+// The file is re-read when it changes on disk, so adding a sign needs neither
+// a frontend release nor a server restart. Every dialect gets a content hash
+// that is served as its ETag; clients revalidate with If-None-Match.
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { normalizeGloss } from './signResolver.js';
+import config from './config.js';
+
+const BONE_KEYS = ['rArm', 'rForeArm', 'rHand', 'lArm', 'lForeArm', 'lHand'];
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function isRotation(value) {
+    return value && typeof value === 'object' &&
+        ['x', 'y', 'z'].every(axis => value[axis] === undefined || Number.isFinite(value[axis]));
+}
+
+/**
+ * Problems that would stop Avatar3D from playing a definition
+ * @returns {string[]} Empty when the sign is playable
+ */
+function validateSign(sign) {
+    const problems = [];
+
+    if (!Number.isFinite(sign.duration) || sign.duration <= 0) {
+        problems.push('duration must be a positive number of seconds');
+    }
+    if (!sign.hand_shape) {
+        problems.push('hand_shape is required');
+    }
+    if (!sign.bones && !sign.target_position) {
+        problems.push('bones or target_position is required');
+    }
+    for (const [bone, rotation] of Object.entries(sign.bones || {})) {
+        if (!BONE_KEYS.includes(bone)) problems.push(`unknown bone "${bone}"`);
+        else if (!isRotation(rotation)) problems.push(`bones.${bone} must be { x, y, z } radians`);
+    }
+    (sign.movement_keyframes || []).forEach((keyframe, i) => {
+        if (!Number.isFinite(keyframe.time) || keyframe.time < 0 || keyframe.time > 1) {
+            problems.push(`movement_keyframes[${i}].time must be between 0 and 1`);
+        }
+    });
+
+    return problems;
+}
+
+function hashContent(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+// ============================================
+// AVATAR LEXICON CLASS
+// ============================================
+
+class AvatarLexicon {
+    constructor(options = {}) {
+        this.filePath = options.filePath || config.paths.avatarLexiconFile;
+        this.mtimeMs = null;
+        this.version = null;
+        this.dialects = {};
+        this.invalid = [];
+    }
+
+    /**
+     * Re-read the lexicon file if it changed since the last read
+     */
+    refresh() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch {
+            if (this.mtimeMs !== null) console.warn(`⚠️ Avatar lexicon not found: ${this.filePath}`);
+            this.mtimeMs = null;
+            this.dialects = {};
+            return;
+        }
+        if (stat.mtimeMs === this.mtimeMs) return;
+
+        try {
+            this.load(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+            this.mtimeMs = stat.mtimeMs;
+        } catch (error) {
+            // Keep serving the last good lexicon while the file is being edited
+            console.error(`❌ Could not load avatar lexicon: ${error.message}`);
+        }
+    }
+
+    /**
+     * Index a parsed lexicon file, dropping definitions Avatar3D cannot play
+     */
+    load(data) {
+        const dialects = {};
+        const invalid = [];
+
+        for (const [dialect, entry] of Object.entries(data.dialects || {})) {
+            const key = dialect.toUpperCase();
+            const signs = {};
+
+            for (const [name, sign] of Object.entries(entry.signs || {})) {
+                const gloss = normalizeGloss(sign.gloss || name);
+                const problems = validateSign(sign);
+                if (problems.length > 0) {
+                    invalid.push({ dialect: key, gloss, problems });
+                    continue;
+                }
+                signs[gloss] = { ...sign, gloss };
+            }
+
+            dialects[key] = { signs, hash: hashContent(signs) };
+        }
+
+        for (const { dialect, gloss, problems } of invalid) {
+            console.warn(`⚠️ Skipping avatar sign ${dialect} ${gloss}: ${problems.join('; ')}`);
+        }
+
+        this.version = data.version || '1.0.0';
+        this.dialects = dialects;
+        this.invalid = invalid;
+        console.log(`🧍 Avatar lexicon loaded: ${Object.entries(dialects).map(([d, e]) => `${d} ${Object.keys(e.signs).length}`).join(', ') || 'empty'}`);
+    }
+
+    /**
+     * Strong ETag for a dialect: lexicon version + content hash
+     */
+    etag(dialect) {
+        this.refresh();
+        const key = dialect.toUpperCase();
+        const hash = this.dialects[key]?.hash || hashContent({});
+        return `"${this.version || '0'}-${key}-${hash}"`;
+    }
+
+    /**
+     * Every avatar definition for a dialect (empty for dialects without any)
+     * @returns {Object} { dialect, version, etag, count, signs }
+     */
+    getLexicon(dialect = 'ASL') {
+        this.refresh();
+        const key = dialect.toUpperCase();
+        const signs = this.dialects[key]?.signs || {};
+
+        return {
+            dialect: key,
+            version: this.version,
+            etag: this.etag(key),
+            count: Object.keys(signs).length,
+            signs
+        };
+    }
+
+    /**
+     * One avatar definition, or null
+     */
+    getSign(gloss, dialect = 'ASL') {
+        this.refresh();
+        return this.dialects[dialect.toUpperCase()]?.signs[normalizeGloss(gloss)] || null;
+    }
+
+    hasSign(gloss, dialect = 'ASL') {
+        return !!this.getSign(gloss, dialect);
+    }
+
+    /**
+     * Per-dialect summary for GET /api/lexicon
+     */
+    getStats() {
+        this.refresh();
+        return {
+            version: this.version,
+            dialects: Object.fromEntries(Object.entries(this.dialects).map(([dialect, entry]) => [dialect, {
+                count: Object.keys(entry.signs).length,
+                etag: this.etag(dialect),
+                glosses: Object.keys(entry.signs)
+            }])),
+            invalid: this.invalid
+        };
+    }
+}
+
+// Singleton instance
+const avatarLexicon = new AvatarLexicon();
+
+export default avatarLexicon;
+export { AvatarLexicon, validateSign };
@@ -0,0 +1,560 @@
+// ============================================
+// SERVER CONFIGURATION
+// Typed settings from defaults, a JSON/YAML file and the environment
+// ============================================
+//
+// Precedence (highest first):
+//   1. Environment variables (and .env)      PORT=3001
+//   2. Config file                           CONFIG_FILE, else backend/config.{json,yaml,yml}
+//   3. Defaults in CONFIG_SCHEMA
+//
+// The file mirrors CONFIG_SCHEMA (see config.example.json) and may add
+// `tenants`: deployments that share this server under their own origins,
+// each overriding features and rate limits:
+//
+//   "tenants": {
+//     "acme": { "name": "Acme", "origins": ["https://sign.acme.org"], "features": { "how2sign": false } }
+//   }
+//
+// Requests are matched to a tenant by their Origin header. Every setting is
+// validated at startup; problems are listed together and the server exits.
+// YAML files need js-yaml (npm install js-yaml).
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import proxyaddr from 'proxy-addr';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Settings read at import time by other modules must see .env values
+dotenv.config();
+
+const DEFAULT_ORIGINS = [
+    'http://localhost:5173', 'http://127.0.0.1:5173',
+    'http://localhost:5174', 'http://127.0.0.1:5174',
+    'http://localhost:5175', 'http://127.0.0.1:5175',
+    'http://localhost:4173',
+    'http://localhost:3000'
+];
+
+const DEFAULT_TENANT = 'default';
+
+// ============================================
+// SCHEMA
+// ============================================
+
+/**
+ * @typedef {Object} ServerSettings
+ * @property {{ port: number, publicUrl: string|null, jsonLimit: string,
+ *   trustProxy: boolean|number|string[] }} server
+ * @property {{ origins: string[], credentials: boolean }} cors
+ * @property {{ datasetDir: string, how2signDir: string, responseCacheFile: string,
+ *   sentenceIndexDir: string, learnerDataDir: string, conversationDataDir: string,
+ *   avatarLexiconFile: string, rateLimitStoreFile: string|null, promptsDir: string }} paths
+ * @property {{ socket: { max: number, windowMs: number }, http: { max: number, windowMs: number },
+ *   sessions: { max: number, windowMs: number }, costs: Object<string, number>, geminiDaily: number }} rateLimits
+ * @property {{ how2sign: boolean, videoAvatar: boolean, offlinePacks: boolean,
+ *   teaching: boolean, cameraInput: boolean, streaming: boolean }} features
+ * @property {{ maxEntries: number, defaultTtl: number, ttls: Object<string, number> }} cache
+ * @property {{ mode: 'optional'|'required', sessionSecret: string|null, sessionTtl: number,
+ *   apiKeys: ApiKeySetting[] }} auth
+ */
+
+/**
+ * @typedef {Object} ApiKeySetting
+ * @property {string} name - Principal id for usage and rate limits
+ * @property {string} key - Secret sent as X-API-Key
+ * @property {string} tenant - Tenant whose features and limits apply
+ * @property {string[]} scopes - 'admin' may read everyone's usage and records; 'teacher' every learner profile
+ */
+
+// Leaf: { type, env?, default, description }. A function default is computed
+// from the settings resolved before it (paths under datasetDir).
+const CONFIG_SCHEMA = {
+    server: {
+        port: { type: 'port', env: 'PORT', default: 3000, description: 'HTTP and Socket.IO port' },
+        publicUrl: { type: 'url', env: 'PUBLIC_URL', default: null, description: 'Public base URL of this server (null = same origin as the app)' },
+        jsonLimit: { type: 'size', env: 'JSON_BODY_LIMIT', default: '10mb', description: 'Largest JSON request body' },
+        trustProxy: { type: 'trustProxy', env: 'TRUST_PROXY', default: false, description: 'Proxies whose X-Forwarded-For names the client IP: true, a hop count, or addresses/subnets ("loopback,uniquelocal")' }
+    },
+    cors: {
+        origins: { type: 'origins', env: 'ALLOWED_ORIGINS', default: DEFAULT_ORIGINS, description: 'Browser origins allowed to call the API and socket ("*" = any)' },
+        credentials: { type: 'boolean', env: 'CORS_CREDENTIALS', default: true, description: 'Allow cookies and auth headers cross-origin' }
+    },
+    paths: {
+        datasetDir: { type: 'path', env: 'DATASET_DIR', default: 'dataset', description: 'SignAvatars dataset root (raw, processed, metadata, thumbnails)' },
+        how2signDir: { type: 'path', env: 'HOW2SIGN_DATA_DIR', default: 'how2sign_data', description: 'How2Sign sentences and keypoints' },
+        responseCacheFile: { type: 'path', env: 'RESPONSE_CACHE_FILE', default: s => path.join(s.paths.datasetDir, 'metadata/response-cache.jsonl'), description: 'Gemini response cache (append-only log)' },
+        sentenceIndexDir: { type: 'path', env: 'SENTENCE_INDEX_DIR', default: s => path.join(s.paths.how2signDir, 'index'), description: 'How2Sign sentence index' },
+        learnerDataDir: { type: 'path', env: 'LEARNER_DATA_DIR', default: s => path.join(s.paths.datasetDir, 'learners'), description: 'Learner profiles' },
+        conversationDataDir: { type: 'path', env: 'CONVERSATION_DATA_DIR', default: s => path.join(s.paths.datasetDir, 'conversations'), description: 'Conversation transcripts' },
+        avatarLexiconFile: { type: 'path', env: 'AVATAR_LEXICON_PATH', default: 'data/avatar-lexicon.json', description: 'Avatar sign definitions' },
+        rateLimitStoreFile: { type: 'path', env: 'RATE_LIMIT_STORE_FILE', default: null, description: 'Persist rate limit buckets and daily quotas here (null = memory only)' },
+        promptsDir: { type: 'path', env: 'PROMPTS_DIR', default: 'prompts', description: 'Versioned Gemini prompt templates and registry.json' }
+    },
+    rateLimits: {
+        socket: {
+            max: { type: 'integer', min: 1, env: 'SOCKET_RATE_LIMIT', default: 60, description: 'Socket token bucket size (refilled over windowMs)' },
+            windowMs: { type: 'integer', min: 1000, env: 'SOCKET_RATE_WINDOW_MS', default: 60000, description: 'Time for an empty socket bucket to refill' }
+        },
+        http: {
+            max: { type: 'integer', min: 1, env: 'HTTP_RATE_LIMIT', default: 120, description: 'REST token bucket size (refilled over windowMs)' },
+            windowMs: { type: 'integer', min: 1000, env: 'HTTP_RATE_WINDOW_MS', default: 60000, description: 'Time for an empty REST bucket to refill' }
+        },
+        sessions: {
+            max: { type: 'integer', min: 1, env: 'SESSION_RATE_LIMIT', default: 10, description: 'New session tokens one IP address may get (refilled over windowMs)' },
+            windowMs: { type: 'integer', min: 1000, env: 'SESSION_RATE_WINDOW_MS', default: 60 * 60 * 1000, description: 'Time for an empty session bucket to refill' }
+        },
+        costs: { type: 'costs', env: 'RATE_LIMIT_COSTS', default: {}, description: 'Tokens per socket event or "METHOD /api/path", over the defaults in services/rateLimiter.js ("predict-sign=5,POST /api/lesson/generate=20" in env)' },
+        geminiDaily: { type: 'integer', min: 0, env: 'GEMINI_DAILY_QUOTA', default: 500, description: 'Gemini-backed requests per principal per UTC day (0 = unlimited)' }
+    },
+    features: {
+        how2sign: { type: 'boolean', env: 'FEATURE_HOW2SIGN', default: true, description: 'How2Sign pose translation (/api/how2sign, /api/translate)' },
+        videoAvatar: { type: 'boolean', env: 'FEATURE_VIDEO_AVATAR', default: true, description: 'Video avatar mode' },
+        offlinePacks: { type: 'boolean', env: 'FEATURE_OFFLINE_PACKS', default: true, description: 'Offline translation packs (/api/offline-pack)' },
+        teaching: { type: 'boolean', env: 'FEATURE_TEACHING', default: true, description: 'Teaching panel and lessons' },
+        cameraInput: { type: 'boolean', env: 'FEATURE_CAMERA_INPUT', default: true, description: 'Camera and sign-to-text translation' },
+        streaming: { type: 'boolean', env: 'FEATURE_STREAMING', default: true, description: 'Stream signs while Gemini is still generating' }
+    },
+    cache: {
+        maxEntries: { type: 'integer', min: 1, env: 'RESPONSE_CACHE_MAX_ENTRIES', default: 5000, description: 'Gemini responses kept (least recently used dropped first)' },
+        defaultTtl: { type: 'integer', min: 0, env: 'RESPONSE_CACHE_TTL', default: 7 * 24 * 60 * 60, description: 'Seconds a cached response stays valid (0 = forever)' },
+        ttls: { type: 'durations', env: 'RESPONSE_CACHE_TTLS', default: {}, description: 'Per-method TTL overrides in seconds ("textToSignSequence=2592000" in env)' }
+    },
+    auth: {
+        mode: { type: 'enum', values: ['optional', 'required'], env: 'AUTH_MODE', default: 'optional', description: 'optional = anonymous callers allowed (limited per IP); required = API key or session token needed' },
+        sessionSecret: { type: 'secret', env: 'AUTH_SESSION_SECRET', default: null, description: 'HMAC key for browser session tokens (null = random per process)' },
+        sessionTtl: { type: 'integer', min: 60, env: 'AUTH_SESSION_TTL', default: 86400, description: 'Session token lifetime in seconds' },
+        apiKeys: { type: 'apiKeys', env: 'API_KEYS', default: [], description: 'Server-to-server keys ("name:key[:tenant[:scope+scope]]" comma-separated in env)' }
+    }
+};
+
+// Sections a tenant may override
+const TENANT_SECTIONS = ['features', 'rateLimits'];
+
+// ============================================
+// ERRORS
+// ============================================
+
+class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - One line per invalid setting
+     * @param {string|null} file - Config file that was read
+     */
+    constructor(problems, file = null) {
+        super(`Invalid server configuration${file ? ` (${file})` : ''}:\n${problems.map(p => `   - ${p}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+        this.file = file;
+    }
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+const ORIGIN_PATTERN = /^https?:\/\/[^/\s?#]+$/;
+const MIN_SECRET_LENGTH = 16;
+const KEY_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * API keys from env ("name:key[:tenant[:scope+scope]],...") or the file ([{ name, key, tenant, scopes }])
+ */
+function parseApiKeys(raw) {
+    const entries = Array.isArray(raw)
+        ? raw
+        : String(raw).split(',').map(s => s.trim()).filter(Boolean).map(item => {
+            const [name, key, tenant, scopes] = item.split(':');
+            return { name, key, tenant: tenant || undefined, scopes: scopes ? scopes.split('+') : undefined };
+        });
+
+    const errors = [];
+    const keys = [];
+    entries.forEach((entry, i) => {
+        const { name, key, tenant = DEFAULT_TENANT, scopes = [] } = entry || {};
+        const label = name ? JSON.stringify(name) : `#${i + 1}`;
+        if (typeof name !== 'string' || !KEY_NAME_PATTERN.test(name)) errors.push(`key ${label} needs a name of letters, digits, . _ -`);
+        else if (keys.some(k => k.name === name)) errors.push(`key ${label} is listed twice`);
+        if (typeof key !== 'string' || key.length < MIN_SECRET_LENGTH) errors.push(`key ${label} must be at least ${MIN_SECRET_LENGTH} characters`);
+        if (!Array.isArray(scopes) || scopes.some(s => typeof s !== 'string')) errors.push(`key ${label} scopes must be a list of strings`);
+        keys.push({ name, key, tenant: String(tenant), scopes });
+    });
+
+    return errors.length > 0 ? { error: errors.join('; ') } : { value: keys };
+}
+
+/**
+ * Name -> whole number maps from env ("event=5,METHOD /api/path=3") or the file ({ event: 5 })
+ * (operation costs, per-method cache TTLs)
+ */
+function parseNumberMap(raw, unit) {
+    const entries = typeof raw === 'object' && !Array.isArray(raw)
+        ? Object.entries(raw)
+        : String(raw).split(',').map(s => s.trim()).filter(Boolean).map(item => {
+            const at = item.lastIndexOf('=');
+            return at > 0 ? [item.slice(0, at).trim(), item.slice(at + 1).trim()] : [item, undefined];
+        });
+
+    const costs = {};
+    const bad = [];
+    for (const [operation, value] of entries) {
+        const cost = typeof value === 'number' ? value : Number(value);
+        if (!operation || value === undefined || value === '' || !Number.isInteger(cost) || cost < 0) bad.push(operation || '(empty)');
+        else costs[operation] = cost;
+    }
+    if (bad.length > 0) return { error: `${bad.map(o => JSON.stringify(o)).join(', ')} need a whole number of ${unit} >= 0` };
+    return { value: costs };
+}
+
+/**
+ * Parse one value for a schema leaf.
+ * Env values are strings; file values may already be typed.
+ * @returns {{ value?: any, error?: string }}
+ */
+function parseValue(leaf, raw, baseDir) {
+    if (raw === null) return { value: null };
+
+    switch (leaf.type) {
+        case 'integer':
+        case 'port': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            const min = leaf.type === 'port' ? 1 : leaf.min ?? -Infinity;
+            const max = leaf.type === 'port' ? 65535 : leaf.max ?? Infinity;
+            if (!Number.isInteger(value) || value < min || value > max) {
+                return { error: `${JSON.stringify(raw)} is not ${leaf.type === 'port' ? 'a port between 1 and 65535' : `an integer >= ${min}`}` };
+            }
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+            return { error: `${JSON.stringify(raw)} is not true or false` };
+        }
+        case 'size':
+            if (!/^\d+(b|kb|mb|gb)?$/i.test(String(raw).trim())) {
+                return { error: `${JSON.stringify(raw)} is not a size like 10mb` };
+            }
+            return { value: String(raw).trim().toLowerCase() };
+        case 'url':
+            try {
+                const url = new URL(String(raw));
+                if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+                return { value: url.href.replace(/\/$/, '') };
+            } catch {
+                return { error: `${JSON.stringify(raw)} is not an http(s) URL` };
+            }
+        case 'origins': {
+            const list = Array.isArray(raw) ? raw : String(raw).split(',');
+            const origins = list.map(o => String(o).trim().replace(/\/$/, '')).filter(Boolean);
+            const bad = origins.filter(o => o !== '*' && !ORIGIN_PATTERN.test(o));
+            if (bad.length > 0) {
+                return { error: `${bad.map(o => JSON.stringify(o)).join(', ')} ${bad.length > 1 ? 'are not origins' : 'is not an origin'} like https://example.com` };
+            }
+            return { value: origins };
+        }
+        case 'path':
+            if (typeof raw !== 'string' || !raw.trim()) return { error: 'must be a non-empty path' };
+            return { value: path.resolve(baseDir, raw.trim()) };
+        case 'enum': {
+            const text = String(raw).trim().toLowerCase();
+            if (!leaf.values.includes(text)) return { error: `${JSON.stringify(raw)} is not one of ${leaf.values.join(', ')}` };
+            return { value: text };
+        }
+        case 'secret':
+            if (typeof raw !== 'string' || raw.length < MIN_SECRET_LENGTH) {
+                return { error: `must be a string of at least ${MIN_SECRET_LENGTH} characters` };
+            }
+            return { value: raw };
+        case 'trustProxy': {
+            // Express 'trust proxy': a boolean, a hop count, or addresses and subnets
+            const text = String(raw).trim().toLowerCase();
+            if (typeof raw === 'boolean' || ['true', 'false'].includes(text)) return { value: raw === true || text === 'true' };
+            if (/^\d+$/.test(text)) return { value: Number(text) };
+            const list = (Array.isArray(raw) ? raw : String(raw).split(',')).map(a => String(a).trim()).filter(Boolean);
+            try {
+                proxyaddr.compile(list);
+            } catch (error) {
+                return { error: `${JSON.stringify(raw)} is not true, false, a hop count or a list of addresses (${error.message})` };
+            }
+            return { value: list };
+        }
+        case 'apiKeys':
+            return parseApiKeys(raw);
+        case 'costs':
+            return parseNumberMap(raw, 'tokens');
+        case 'durations':
+            return parseNumberMap(raw, 'seconds');
+        default:
+            return { error: `unknown setting type ${leaf.type}` };
+    }
+}
+
+const isLeaf = (node) => typeof node.type === 'string';
+
+/**
+ * Resolve a schema section against file values and the environment
+ * @param {Object} schema - CONFIG_SCHEMA or a section of it
+ * @param {Object} fileValues - Same shape, from the config file
+ * @param {Object} context - { env, fileDir, problems, settings, prefix }
+ */
+function resolveSection(schema, fileValues, context, target) {
+    const { env, fileDir, problems, prefix } = context;
+
+    for (const key of Object.keys(fileValues || {})) {
+        if (!schema[key]) problems.push(`${prefix}${key}: unknown setting`);
+    }
+
+    for (const [key, node] of Object.entries(schema)) {
+        const name = `${prefix}${key}`;
+
+        if (!isLeaf(node)) {
+            const value = fileValues?.[key];
+            if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+                problems.push(`${name}: must be an object`);
+            }
+            target[key] = {};
+            resolveSection(node, value && typeof value === 'object' ? value : {}, { ...context, prefix: `${name}.` }, target[key]);
+            continue;
+        }
+
+        let raw;
+        let source;
+        let baseDir;
+        if (node.env && env[node.env] !== undefined && env[node.env] !== '') {
+            raw = env[node.env];
+            source = node.env;
+            baseDir = process.cwd();
+        } else if (fileValues?.[key] !== undefined) {
+            raw = fileValues[key];
+            source = 'config file';
+            baseDir = fileDir;
+        } else {
+            target[key] = typeof node.default === 'function'
+                ? node.default(context.settings)
+                : parseValue(node, node.default, __dirname).value;
+            continue;
+        }
+
+        const { value, error } = parseValue(node, raw, baseDir);
+        if (error) problems.push(`${name}: ${error} (${source})`);
+        else target[key] = value;
+    }
+}
+
+/**
+ * Tenant overrides: validated like the top-level sections, no env
+ */
+function resolveTenants(tenants, settings, fileDir, problems) {
+    const resolved = {};
+    if (tenants === undefined) return resolved;
+    if (typeof tenants !== 'object' || tenants === null || Array.isArray(tenants)) {
+        problems.push('tenants: must be an object keyed by tenant id');
+        return resolved;
+    }
+
+    for (const [id, tenant] of Object.entries(tenants)) {
+        const prefix = `tenants.${id}`;
+        if (id === DEFAULT_TENANT) {
+            problems.push(`${prefix}: "${DEFAULT_TENANT}" is reserved for requests no tenant claims`);
+            continue;
+        }
+
+        const { name, origins, ...overrides } = tenant || {};
+        const parsedOrigins = parseValue(CONFIG_SCHEMA.cors.origins, origins ?? [], fileDir);
+        if (parsedOrigins.error) problems.push(`${prefix}.origins: ${parsedOrigins.error}`);
+        else if (parsedOrigins.value.length === 0) problems.push(`${prefix}.origins: at least one origin is required`);
+
+        const entry = { id, name: name || id, origins: parsedOrigins.value || [] };
+        for (const key of Object.keys(overrides)) {
+            if (!TENANT_SECTIONS.includes(key)) problems.push(`${prefix}.${key}: tenants may only set name, origins, ${TENANT_SECTIONS.join(', ')}`);
+        }
+        for (const section of TENANT_SECTIONS) {
+            // Unset tenant values fall back to the server-wide settings
+            const schema = withDefaults(CONFIG_SCHEMA[section], settings[section]);
+            entry[section] = {};
+            resolveSection(schema, overrides[section] || {}, { env: {}, fileDir, problems, settings, prefix: `${prefix}.${section}.` }, entry[section]);
+        }
+        resolved[id] = entry;
+    }
+
+    return resolved;
+}
+
+// Copy of a schema section whose defaults are already-resolved values
+function withDefaults(schema, values) {
+    return Object.fromEntries(Object.entries(schema).map(([key, node]) => [
+        key,
+        isLeaf(node) ? { ...node, env: undefined, default: () => values[key] } : withDefaults(node, values[key])
+    ]));
+}
+
+// ============================================
+// CONFIG FILE
+// ============================================
+
+function findConfigFile(env) {
+    if (env.CONFIG_FILE) return path.resolve(process.cwd(), env.CONFIG_FILE);
+    return ['config.json', 'config.yaml', 'config.yml']
+        .map(name => path.join(__dirname, name))
+        .find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file, yaml) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) {
+        if (!yaml) throw new ConfigError(['YAML config files need js-yaml (npm install js-yaml), or use config.json'], file);
+        return yaml.load(text) || {};
+    }
+    return JSON.parse(text);
+}
+
+// ============================================
+// SERVER CONFIG CLASS
+// ============================================
+
+class ServerConfig {
+    /**
+     * @param {ServerSettings} settings
+     * @param {Object} tenants - Resolved tenant overrides by id
+     * @param {string|null} file - Config file the settings came from
+     */
+    constructor(settings, tenants = {}, file = null) {
+        Object.assign(this, settings);
+        this.tenants = tenants;
+        this.file = file;
+
+        // Origin -> tenant id (the server-wide origins belong to the default tenant)
+        this.originTenants = new Map();
+        for (const tenant of Object.values(tenants)) {
+            for (const origin of tenant.origins) this.originTenants.set(origin, tenant.id);
+        }
+    }
+
+    /**
+     * Whether a browser origin may call the API (requests without one always may)
+     */
+    isOriginAllowed(origin) {
+        if (!origin) return true;
+        return this.cors.origins.includes('*') ||
+            this.cors.origins.includes(origin) ||
+            this.originTenants.has(origin);
+    }
+
+    /**
+     * Every allowed origin, tenant origins included
+     */
+    getAllowedOrigins() {
+        return [...new Set([...this.cors.origins, ...this.originTenants.keys()])];
+    }
+
+    /**
+     * Tenant id for a request origin
+     */
+    tenantForOrigin(origin) {
+        return (origin && this.originTenants.get(origin)) || DEFAULT_TENANT;
+    }
+
+    /**
+     * Effective settings for a tenant
+     * @returns {Object} { id, name, features, rateLimits }
+     */
+    forTenant(id = DEFAULT_TENANT) {
+        return this.tenants[id] || {
+            id: DEFAULT_TENANT,
+            name: DEFAULT_TENANT,
+            features: this.features,
+            rateLimits: this.rateLimits
+        };
+    }
+
+    /**
+     * Whether a feature is enabled for a request origin
+     */
+    isFeatureEnabled(feature, origin) {
+        return Boolean(this.forTenant(this.tenantForOrigin(origin)).features[feature]);
+    }
+
+    /**
+     * Settings the frontend may read (GET /api/config/public)
+     */
+    getPublicConfig(origin) {
+        const tenant = this.forTenant(this.tenantForOrigin(origin));
+        return {
+            tenant: tenant.id,
+            name: tenant.name,
+            apiUrl: this.server.publicUrl,
+            socketPath: '/socket.io',
+            features: tenant.features,
+            rateLimits: tenant.rateLimits,
+            auth: { mode: this.auth.mode, sessionPath: '/api/auth/session' }
+        };
+    }
+}
+
+/**
+ * Load and validate settings
+ * @param {Object} options - { env = process.env, file, yaml } (file: null = none)
+ * @returns {ServerConfig}
+ * @throws {ConfigError} Listing every invalid setting
+ */
+function loadConfig({ env = process.env, file = findConfigFile(env), yaml = null } = {}) {
+    let fileValues = {};
+    if (file) {
+        try {
+            fileValues = readConfigFile(file, yaml);
+        } catch (error) {
+            if (error instanceof ConfigError) throw error;
+            throw new ConfigError([`could not read config file: ${error.message}`], file);
+        }
+        if (typeof fileValues !== 'object' || fileValues === null || Array.isArray(fileValues)) {
+            throw new ConfigError(['config file must contain an object'], file);
+        }
+    }
+
+    const { tenants, ...sections } = fileValues;
+    const problems = [];
+    const settings = {};
+    resolveSection(CONFIG_SCHEMA, sections, {
+        env,
+        fileDir: file ? path.dirname(file) : __dirname,
+        problems,
+        settings,
+        prefix: ''
+    }, settings);
+
+    const resolvedTenants = resolveTenants(tenants, settings, file ? path.dirname(file) : __dirname, problems);
+    for (const key of settings.auth?.apiKeys || []) {
+        if (key.tenant !== DEFAULT_TENANT && !resolvedTenants[key.tenant]) {
+            problems.push(`auth.apiKeys: key "${key.name}" names unknown tenant "${key.tenant}"`);
+        }
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems, file);
+    return new ServerConfig(settings, resolvedTenants, file);
+}
+
+// ============================================
+// STARTUP
+// ============================================
+
+const configFile = findConfigFile(process.env);
+const yaml = configFile && /\.ya?ml$/i.test(configFile)
+    ? await import('js-yaml').then(m => m.default || m).catch(() => null)
+    : null;
+
+let config;
+try {
+    config = loadConfig({ file: configFile, yaml });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+export default config;
+export { ServerConfig, ConfigError, CONFIG_SCHEMA, DEFAULT_TENANT, loadConfig };
@@ -6,19 +6,16 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { execSync, spawn } from 'child_process';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import config from './config.js';
 
 // Configuration
 const CONFIG = {
-    rawPath: path.join(__dirname, 'dataset/raw'),
-    signAvatarsPath: path.join(__dirname, 'dataset/raw/SignAvatars'),
-    processedPath: path.join(__dirname, 'dataset/processed'),
-    metadataPath: path.join(__dirname, 'dataset/metadata'),
-    thumbnailPath: path.join(__dirname, 'dataset/thumbnails'),
+    rawPath: path.join(config.paths.datasetDir, 'raw'),
+    signAvatarsPath: path.join(config.paths.datasetDir, 'raw/SignAvatars'),
+    processedPath: path.join(config.paths.datasetDir, 'processed'),
+    metadataPath: path.join(config.paths.datasetDir, 'metadata'),
+    thumbnailPath: path.join(config.paths.datasetDir, 'thumbnails'),
 
     // SignAvatars sub-datasets configuration
     subdatasets: {
@@ -0,0 +1,143 @@
+// ============================================
+// EVALUATION HTML REPORT
+// Self-contained page for a runEvaluation() report
+// ============================================
+
+const SUMMARY_COLUMNS = [
+    { key: 'glossAccuracy', label: 'Gloss acc.', format: 'percent' },
+    { key: 'exactMatch', label: 'Exact', format: 'percent' },
+    { key: 'f1', label: 'Gloss F1', format: 'percent' },
+    { key: 'bleu', label: 'BLEU', format: 'score' },
+    { key: 'chrf', label: 'chrF', format: 'score' },
+    { key: 'fingerspellingRate', label: 'Fingerspelled', format: 'percent' },
+    { key: 'latencyMs.mean', label: 'Latency mean', format: 'ms' },
+    { key: 'latencyMs.p95', label: 'Latency p95', format: 'ms' },
+    { key: 'errors', label: 'Errors', format: 'count' }
+];
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatValue(value, format) {
+    if (value === null || value === undefined) return '–';
+    switch (format) {
+        case 'percent': return `${(value * 100).toFixed(1)}%`;
+        case 'score': return value.toFixed(1);
+        case 'ms': return `${Math.round(value)} ms`;
+        default: return String(value);
+    }
+}
+
+function metricValue(summary, key) {
+    return key.split('.').reduce((value, part) => value?.[part], summary) ?? null;
+}
+
+/**
+ * Baseline delta badge for one summary cell
+ */
+function deltaBadge(change, format) {
+    if (!change || change.delta === 0) return '';
+
+    const sign = change.delta > 0 ? '+' : '−';
+    const magnitude = formatValue(Math.abs(change.delta), format);
+    return ` <span class="delta ${change.better ? 'better' : 'worse'}">${sign}${magnitude}</span>`;
+}
+
+/**
+ * Green (1) to red (0) background for item accuracy
+ */
+function accuracyColor(accuracy) {
+    if (accuracy === null || accuracy === undefined) return 'transparent';
+    return `hsla(${Math.round(accuracy * 120)}, 70%, 45%, 0.25)`;
+}
+
+function summaryTable(report) {
+    const header = SUMMARY_COLUMNS.map(column => `<th>${column.label}</th>`).join('');
+    const rows = Object.entries(report.systems).map(([name, system]) => {
+        const cells = SUMMARY_COLUMNS.map(column => {
+            const value = metricValue(system.summary, column.key);
+            const change = report.comparison?.[name]?.[column.key];
+            return `<td>${formatValue(value, column.format)}${deltaBadge(change, column.format)}</td>`;
+        }).join('');
+
+        return `<tr><th scope="row">${escapeHtml(name)}<div class="muted">${escapeHtml(system.description)}</div></th>${cells}</tr>`;
+    });
+
+    return `<table><thead><tr><th>System</th>${header}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function itemTable(system) {
+    const rows = system.items.map(item => {
+        const accuracy = item.scores?.accuracy ?? null;
+        return `<tr>
+  <td><code>${escapeHtml(item.id)}</code></td>
+  <td>${escapeHtml(item.text)}</td>
+  <td><code>${escapeHtml(item.reference ? item.reference.join(' ') : '–')}</code></td>
+  <td><code>${escapeHtml(item.hypothesis.join(' '))}</code>${item.error ? `<div class="error">${escapeHtml(item.error)}</div>` : ''}</td>
+  <td style="background:${accuracyColor(accuracy)}">${formatValue(accuracy, 'percent')}</td>
+  <td>${formatValue(item.scores?.bleu ?? null, 'score')}</td>
+  <td>${formatValue(item.scores?.chrf ?? null, 'score')}</td>
+  <td>${item.fingerspelled}/${item.signCount}</td>
+  <td>${formatValue(item.latencyMs, 'ms')}</td>
+</tr>`;
+    });
+
+    return `<table class="items"><thead><tr>
+  <th>ID</th><th>Text</th><th>Reference</th><th>Output</th><th>Acc.</th><th>BLEU</th><th>chrF</th><th>FS</th><th>Latency</th>
+</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - From runEvaluation (optionally with .comparison)
+ * @returns {string} HTML document
+ */
+function renderHtmlReport(report) {
+    const { meta } = report;
+    const details = Object.entries(report.systems).map(([name, system]) => `
+<details>
+  <summary>${escapeHtml(name)} – ${system.summary.items} items, ${system.summary.scored} with reference</summary>
+  ${itemTable(system)}
+</details>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Translation evaluation – ${escapeHtml(meta.createdAt)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1a202c; }
+  h1 { font-size: 1.4rem; }
+  table { border-collapse: collapse; margin: 1rem 0; font-size: 0.9rem; }
+  th, td { border: 1px solid #e2e8f0; padding: 6px 10px; text-align: left; vertical-align: top; }
+  thead th { background: #f7fafc; }
+  .muted { color: #718096; font-weight: normal; font-size: 0.8rem; }
+  .delta { font-size: 0.8rem; font-weight: 600; }
+  .delta.better { color: #2f855a; }
+  .delta.worse { color: #c53030; }
+  .error { color: #c53030; font-size: 0.8rem; }
+  details { margin: 1rem 0; }
+  summary { cursor: pointer; font-weight: 600; }
+  code { font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>🤟 Translation evaluation</h1>
+<p class="muted">
+  ${escapeHtml(meta.createdAt)} · provider <b>${escapeHtml(meta.provider || 'unknown')}</b> · cache ${meta.cache ? 'on' : 'off'}<br>
+  ${meta.itemCount} items (${meta.referencedCount} with reference gloss) from ${escapeHtml(meta.corpus.join(', '))}
+  ${meta.baseline ? `<br>Compared with ${escapeHtml(meta.baseline)}` : ''}
+</p>
+${summaryTable(report)}
+${details}
+</body>
+</html>
+`;
+}
+
+export { renderHtmlReport };
@@ -0,0 +1,344 @@
+// ============================================
+// TRANSLATION METRICS
+// Gloss accuracy, BLEU and chrF for English -> gloss output
+// ============================================
+//
+// Glosses are compared as tokens ("HELLO HOW YOU" = 3 tokens). Fingerspelling
+// markers are normalized away ("#BOB", "FS-BOB" and "BOB" are the same token)
+// so a system is not penalized for its notation, only for its choice of sign.
+//
+// Sentence scores are for the per-item table. Corpus BLEU and chrF sum the
+// n-gram statistics over every item first, the same way sacreBLEU does.
+// Gloss sequences are short, so BLEU uses sacreBLEU's exponential smoothing
+// and skips n-gram orders longer than the hypothesis (effective order);
+// otherwise a single missing 4-gram zeroes the score.
+
+const BLEU_MAX_ORDER = 4;
+const CHRF_MAX_ORDER = 6;
+const CHRF_BETA = 2;
+
+// ============================================
+// TOKENS
+// ============================================
+
+/**
+ * Normalize one gloss: upper case, no fingerspelling marker, no punctuation
+ */
+function normalizeGloss(gloss) {
+    return String(gloss)
+        .toUpperCase()
+        .trim()
+        .replace(/^(#|FS-|FS:)/, '')
+        .replace(/[^A-Z0-9'+-]/g, '');
+}
+
+/**
+ * Gloss tokens from a string ("HELLO HOW YOU"), an array of strings, or
+ * an array of sign objects ({ gloss })
+ */
+function toGlossTokens(value) {
+    if (value == null) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/\s+/);
+
+    return items
+        .map(item => (item && typeof item === 'object' ? item.gloss : item))
+        .filter(Boolean)
+        .flatMap(gloss => String(gloss).split(/\s+/))
+        .map(normalizeGloss)
+        .filter(Boolean);
+}
+
+function ngramCounts(tokens, n) {
+    const counts = new Map();
+    for (let i = 0; i + n <= tokens.length; i++) {
+        const key = tokens.slice(i, i + n).join(' ');
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Levenshtein distance over token arrays
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// ============================================
+// GLOSS ACCURACY
+// ============================================
+
+/**
+ * Gloss-level scores for one hypothesis against one reference
+ * @param {string[]} hypothesis - Hypothesis gloss tokens
+ * @param {string[]} reference - Reference gloss tokens
+ * @returns {Object} { accuracy, wer, exactMatch, precision, recall, f1 }
+ *   accuracy = 1 - WER (floored at 0), so sign order matters;
+ *   precision/recall/f1 treat the glosses as a bag
+ */
+function glossScores(hypothesis, reference) {
+    const distance = editDistance(hypothesis, reference);
+    const wer = reference.length > 0 ? distance / reference.length : (hypothesis.length > 0 ? 1 : 0);
+
+    const referenceCounts = ngramCounts(reference, 1);
+    let matched = 0;
+    for (const [gloss, count] of ngramCounts(hypothesis, 1)) {
+        matched += Math.min(count, referenceCounts.get(gloss) || 0);
+    }
+
+    const precision = hypothesis.length > 0 ? matched / hypothesis.length : 0;
+    const recall = reference.length > 0 ? matched / reference.length : 0;
+
+    return {
+        accuracy: Math.max(0, 1 - wer),
+        wer,
+        exactMatch: distance === 0,
+        precision,
+        recall,
+        f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0
+    };
+}
+
+// ============================================
+// BLEU
+// ============================================
+
+/**
+ * Clipped n-gram matches for BLEU
+ * @returns {Object} { matches: [], totals: [], hypLength, refLength }
+ */
+function bleuStats(hypothesis, reference, maxOrder = BLEU_MAX_ORDER) {
+    const matches = [];
+    const totals = [];
+
+    for (let n = 1; n <= maxOrder; n++) {
+        const referenceCounts = ngramCounts(reference, n);
+        let clipped = 0;
+        for (const [ngram, count] of ngramCounts(hypothesis, n)) {
+            clipped += Math.min(count, referenceCounts.get(ngram) || 0);
+        }
+        matches.push(clipped);
+        totals.push(Math.max(0, hypothesis.length - n + 1));
+    }
+
+    return { matches, totals, hypLength: hypothesis.length, refLength: reference.length };
+}
+
+/**
+ * Modified n-gram precisions with exponential smoothing for zero matches
+ * @returns {number[]} One precision per order the hypothesis is long enough for
+ */
+function bleuPrecisions(stats) {
+    const precisions = [];
+    let smoothing = 1;
+
+    for (let i = 0; i < stats.matches.length; i++) {
+        if (stats.totals[i] === 0) break;
+        if (stats.matches[i] === 0) {
+            smoothing *= 2;
+            precisions.push(1 / (smoothing * stats.totals[i]));
+        } else {
+            precisions.push(stats.matches[i] / stats.totals[i]);
+        }
+    }
+
+    return precisions;
+}
+
+/**
+ * BLEU from (summed) statistics, 0-100
+ * @param {Object} stats - From bleuStats / sumBleuStats
+ */
+function bleuFromStats(stats) {
+    const precisions = bleuPrecisions(stats);
+    if (precisions.length === 0) return 0;
+
+    const logPrecision = precisions.reduce((sum, p) => sum + Math.log(p), 0) / precisions.length;
+    const brevityPenalty = stats.hypLength < stats.refLength
+        ? Math.exp(1 - stats.refLength / stats.hypLength)
+        : 1;
+
+    return 100 * brevityPenalty * Math.exp(logPrecision);
+}
+
+function sumBleuStats(statsList, maxOrder = BLEU_MAX_ORDER) {
+    const sum = {
+        matches: new Array(maxOrder).fill(0),
+        totals: new Array(maxOrder).fill(0),
+        hypLength: 0,
+        refLength: 0
+    };
+
+    for (const stats of statsList) {
+        stats.matches.forEach((m, i) => { sum.matches[i] += m; });
+        stats.totals.forEach((t, i) => { sum.totals[i] += t; });
+        sum.hypLength += stats.hypLength;
+        sum.refLength += stats.refLength;
+    }
+
+    return sum;
+}
+
+// ============================================
+// chrF
+// ============================================
+
+/**
+ * Character n-gram statistics for chrF (whitespace removed, as in sacreBLEU)
+ * @returns {Array<Object>} Per order: { matches, hypTotal, refTotal }
+ */
+function chrfStats(hypothesis, reference, maxOrder = CHRF_MAX_ORDER) {
+    const hypChars = [...hypothesis.join('')];
+    const refChars = [...reference.join('')];
+    const stats = [];
+
+    for (let n = 1; n <= maxOrder; n++) {
+        const hypCounts = ngramCounts(hypChars, n);
+        const refCounts = ngramCounts(refChars, n);
+        let matches = 0;
+        for (const [ngram, count] of hypCounts) {
+            matches += Math.min(count, refCounts.get(ngram) || 0);
+        }
+        stats.push({
+            matches,
+            hypTotal: Math.max(0, hypChars.length - n + 1),
+            refTotal: Math.max(0, refChars.length - n + 1)
+        });
+    }
+
+    return stats;
+}
+
+/**
+ * chrF from (summed) statistics, 0-100.
+ * Precision and recall are averaged over the n-gram orders present.
+ */
+function chrfFromStats(stats, beta = CHRF_BETA) {
+    const orders = stats.filter(s => s.hypTotal > 0 && s.refTotal > 0);
+    if (orders.length === 0) return 0;
+
+    const precision = orders.reduce((sum, s) => sum + s.matches / s.hypTotal, 0) / orders.length;
+    const recall = orders.reduce((sum, s) => sum + s.matches / s.refTotal, 0) / orders.length;
+    if (precision + recall === 0) return 0;
+
+    const beta2 = beta * beta;
+    return 100 * ((1 + beta2) * precision * recall) / (beta2 * precision + recall);
+}
+
+function sumChrfStats(statsList, maxOrder = CHRF_MAX_ORDER) {
+    const sum = Array.from({ length: maxOrder }, () => ({ matches: 0, hypTotal: 0, refTotal: 0 }));
+
+    for (const stats of statsList) {
+        stats.forEach((s, i) => {
+            sum[i].matches += s.matches;
+            sum[i].hypTotal += s.hypTotal;
+            sum[i].refTotal += s.refTotal;
+        });
+    }
+
+    return sum;
+}
+
+// ============================================
+// AGGREGATES
+// ============================================
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Nearest-rank percentile
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+/**
+ * Score one corpus item
+ * @param {string[]} hypothesis - Hypothesis gloss tokens
+ * @param {string[]|null} reference - Reference gloss tokens (null = no reference)
+ */
+function scoreItem(hypothesis, reference) {
+    if (!reference) return null;
+
+    const bleu = bleuStats(hypothesis, reference);
+    const chrf = chrfStats(hypothesis, reference);
+
+    return {
+        ...glossScores(hypothesis, reference),
+        bleu: bleuFromStats(bleu),
+        chrf: chrfFromStats(chrf),
+        stats: { bleu, chrf }
+    };
+}
+
+/**
+ * Corpus-level summary for one system
+ * @param {Array<Object>} items - { scores, fingerspelled, signCount, latencyMs, error }
+ */
+function summarize(items) {
+    const scored = items.filter(item => item.scores);
+    const bleuTotals = scored.length > 0 ? sumBleuStats(scored.map(item => item.scores.stats.bleu)) : null;
+    const completed = items.filter(item => !item.error);
+    const latencies = completed.map(item => item.latencyMs);
+    const signCount = completed.reduce((sum, item) => sum + item.signCount, 0);
+    const fingerspelled = completed.reduce((sum, item) => sum + item.fingerspelled, 0);
+
+    return {
+        items: items.length,
+        scored: scored.length,
+        errors: items.length - completed.length,
+        glossAccuracy: mean(scored.map(item => item.scores.accuracy)),
+        exactMatch: mean(scored.map(item => (item.scores.exactMatch ? 1 : 0))),
+        wer: mean(scored.map(item => item.scores.wer)),
+        precision: mean(scored.map(item => item.scores.precision)),
+        recall: mean(scored.map(item => item.scores.recall)),
+        f1: mean(scored.map(item => item.scores.f1)),
+        bleu: bleuTotals ? bleuFromStats(bleuTotals) : null,
+        // Unsmoothed 1- to 4-gram precisions behind the corpus BLEU
+        bleuPrecisions: bleuTotals ? bleuTotals.matches.map((m, i) => (bleuTotals.totals[i] > 0 ? m / bleuTotals.totals[i] : null)) : null,
+        chrf: scored.length > 0 ? chrfFromStats(sumChrfStats(scored.map(item => item.scores.stats.chrf))) : null,
+        signCount,
+        fingerspellingRate: signCount > 0 ? fingerspelled / signCount : null,
+        latencyMs: {
+            mean: mean(latencies),
+            p50: percentile(latencies, 50),
+            p95: percentile(latencies, 95),
+            max: latencies.length > 0 ? Math.max(...latencies) : null
+        }
+    };
+}
+
+export {
+    normalizeGloss,
+    toGlossTokens,
+    editDistance,
+    glossScores,
+    bleuStats,
+    bleuPrecisions,
+    bleuFromStats,
+    sumBleuStats,
+    chrfStats,
+    chrfFromStats,
+    sumChrfStats,
+    percentile,
+    scoreItem,
+    summarize
+};
@@ -0,0 +1,345 @@
+// ============================================
+// TRANSLATION EVALUATION RUNNER
+// Runs a corpus through each translation system and scores the output
+// ============================================
+//
+// Systems evaluated (any subset, see SYSTEMS):
+//   textToSignSequence  - Gemini prompt in gemini.js
+//   textToGloss         - rule-based data/gloss-mappings.json lookup
+//   videoSequenceMapper - Gemini "nuclear option" text -> video files
+//
+// Items run one at a time so latency is not skewed by concurrent requests.
+// Items without a reference gloss (e.g. How2Sign sentences) still count
+// towards fingerspelling rate and latency.
+
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { fileURLToPath } from 'url';
+import { GeminiService } from '../gemini.js';
+import geminiCache from '../geminiCache.js';
+import VideoSequenceMapper from '../videoSequenceMapper.js';
+import { textToGloss } from '../services/signAccuracyValidator.js';
+import { toGlossTokens, scoreItem, summarize } from './metrics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CORPUS = path.join(__dirname, 'corpus/asl-conversation.jsonl');
+const HOW2SIGN_DIR = path.join(__dirname, '../how2sign_data');
+
+// Summary metrics compared against a baseline report (true = higher is better)
+const COMPARED_METRICS = {
+    glossAccuracy: true,
+    exactMatch: true,
+    f1: true,
+    bleu: true,
+    chrf: true,
+    fingerspellingRate: false,
+    'latencyMs.mean': false,
+    'latencyMs.p95': false
+};
+
+const isFingerspelled = sign => sign?.type === 'fingerspell' || /^(#|FS-)/i.test(sign?.gloss || '');
+
+// ============================================
+// SYSTEMS
+// Each run() returns { glosses, signCount, fingerspelled, output }
+// ============================================
+
+const SYSTEMS = {
+    textToSignSequence: {
+        description: 'Gemini text-to-sign prompt (gemini.js)',
+        async run({ gemini }, item) {
+            const sequence = await gemini.textToSignSequence(item.text, item.dialect);
+            return {
+                glosses: toGlossTokens(sequence),
+                signCount: sequence.length,
+                fingerspelled: sequence.filter(isFingerspelled).length,
+                output: sequence.map(sign => sign.gloss)
+            };
+        }
+    },
+    textToGloss: {
+        description: 'Rule-based gloss mappings (data/gloss-mappings.json)',
+        async run(services, item) {
+            const glosses = textToGloss(item.text);
+            return {
+                glosses: toGlossTokens(glosses),
+                signCount: glosses.length,
+                fingerspelled: glosses.filter(gloss => gloss.startsWith('#')).length,
+                output: glosses
+            };
+        }
+    },
+    videoSequenceMapper: {
+        description: 'Text to video files (videoSequenceMapper.js)',
+        async run({ mapper }, item) {
+            const result = await mapper.textToVideoSequence(item.text, item.dialect);
+            const videos = result.videos || [];
+            const fingerspelled = result.fingerspellRequired || [];
+            return {
+                // Fingerspelled words carry no position, so only videos are scored
+                glosses: toGlossTokens(videos),
+                signCount: videos.length + fingerspelled.length,
+                fingerspelled: fingerspelled.length,
+                output: videos.map(video => video.filename)
+            };
+        }
+    }
+};
+
+// ============================================
+// CORPUS LOADING
+// ============================================
+
+/**
+ * Parse one corpus record into { id, text, reference, dialect, source }
+ */
+function toItem(record, index, { source, dialect }) {
+    const text = record.text || record.sentence || record.translation || record.SENTENCE;
+    if (!text) return null;
+
+    const gloss = record.gloss ?? record.reference ?? record.GLOSS ?? null;
+    return {
+        id: String(record.id || record.SENTENCE_NAME || `${path.basename(source)}:${index + 1}`),
+        text: String(text).trim(),
+        reference: gloss ? toGlossTokens(gloss) : null,
+        dialect: (record.dialect || dialect).toUpperCase(),
+        source: path.basename(source)
+    };
+}
+
+/**
+ * Split a delimited line, honouring double-quoted fields
+ */
+function splitDelimited(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Load a corpus file
+ *   .jsonl - one { id?, text, gloss?, dialect? } per line (gloss: string or array)
+ *   .json  - an array of the same, or a How2Sign translations map { id: text | { translation } }
+ *   .csv / .tsv - How2Sign realigned files (SENTENCE_NAME, SENTENCE columns), optional GLOSS column
+ * @param {string} file - Corpus path
+ * @param {Object} options - { limit, dialect }
+ * @returns {Array<Object>} Corpus items
+ */
+function loadCorpus(file, { limit = Infinity, dialect = 'ASL' } = {}) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Corpus not found: ${file}`);
+    }
+
+    const content = fs.readFileSync(file, 'utf-8');
+    const extension = path.extname(file).toLowerCase();
+    let records;
+
+    if (extension === '.jsonl') {
+        records = content.split('\n').filter(line => line.trim()).map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${path.basename(file)} line ${i + 1}: ${error.message}`);
+            }
+        });
+    } else if (extension === '.json') {
+        const data = JSON.parse(content);
+        records = Array.isArray(data)
+            ? data
+            : Object.entries(data).map(([id, value]) => (typeof value === 'string' ? { id, text: value } : { id, ...value }));
+    } else if (extension === '.csv' || extension === '.tsv') {
+        const lines = content.split(/\r?\n/).filter(line => line.trim());
+        const delimiter = lines[0]?.includes('\t') ? '\t' : ',';
+        const header = splitDelimited(lines[0] || '', delimiter).map(name => name.trim());
+        records = lines.slice(1).map(line => {
+            const fields = splitDelimited(line, delimiter);
+            return Object.fromEntries(header.map((name, i) => [name, fields[i]]));
+        });
+    } else {
+        throw new Error(`Unsupported corpus format "${extension}" (use .jsonl, .json, .csv or .tsv)`);
+    }
+
+    return records
+        .map((record, i) => toItem(record, i, { source: file, dialect }))
+        .filter(Boolean)
+        .slice(0, limit);
+}
+
+/**
+ * Locate a held-out How2Sign split under how2sign_data/
+ * @param {string} split - val | test | train
+ */
+function findHow2SignCorpus(split = 'val') {
+    const candidates = [
+        path.join(HOW2SIGN_DIR, `translations/${split}.json`),
+        path.join(HOW2SIGN_DIR, `how2sign_realigned_${split}.csv`),
+        path.join(HOW2SIGN_DIR, `translations/how2sign_realigned_${split}.csv`)
+    ];
+
+    const found = candidates.find(file => fs.existsSync(file));
+    if (!found) {
+        throw new Error(`How2Sign "${split}" split not found. Looked for:\n  ${candidates.join('\n  ')}`);
+    }
+    return found;
+}
+
+// ============================================
+// RUN
+// ============================================
+
+/**
+ * Run every item through every system and score it
+ * @param {Array<Object>} items - Corpus items (from loadCorpus)
+ * @param {Object} options - { systems, provider, useCache, onItem }
+ * @returns {Promise<Object>} Report { meta, systems: { [name]: { description, summary, items } } }
+ */
+async function runEvaluation(items, { systems = Object.keys(SYSTEMS), provider, useCache = false, onItem = () => {} } = {}) {
+    const unknown = systems.filter(name => !SYSTEMS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown system(s): ${unknown.join(', ')}. Expected: ${Object.keys(SYSTEMS).join(', ')}`);
+    }
+
+    // Cached responses would hide the effect of a prompt change
+    const cacheWasEnabled = geminiCache.enabled;
+    geminiCache.enabled = useCache;
+
+    const gemini = new GeminiService(null, provider ? { provider } : {});
+    const services = { gemini, mapper: new VideoSequenceMapper(gemini) };
+    const report = {
+        meta: {
+            createdAt: new Date().toISOString(),
+            provider: gemini.genAI?.name || (typeof gemini.provider === 'string' ? gemini.provider : null),
+            cache: useCache,
+            corpus: [...new Set(items.map(item => item.source))],
+            itemCount: items.length,
+            referencedCount: items.filter(item => item.reference).length,
+            systems
+        },
+        systems: {}
+    };
+
+    try {
+        for (const name of systems) {
+            const results = [];
+
+            for (const item of items) {
+                const started = performance.now();
+                let result;
+                try {
+                    const output = await SYSTEMS[name].run(services, item);
+                    result = {
+                        ...output,
+                        latencyMs: performance.now() - started,
+                        scores: scoreItem(output.glosses, item.reference)
+                    };
+                } catch (error) {
+                    result = {
+                        glosses: [],
+                        signCount: 0,
+                        fingerspelled: 0,
+                        latencyMs: performance.now() - started,
+                        scores: scoreItem([], item.reference),
+                        error: error.message
+                    };
+                }
+
+                results.push({ item, ...result });
+                onItem(name, item, result);
+            }
+
+            report.systems[name] = {
+                description: SYSTEMS[name].description,
+                summary: summarize(results),
+                items: results.map(({ item, glosses, output, signCount, fingerspelled, latencyMs, scores, error }) => ({
+                    id: item.id,
+                    text: item.text,
+                    dialect: item.dialect,
+                    reference: item.reference,
+                    hypothesis: glosses,
+                    output,
+                    signCount,
+                    fingerspelled,
+                    latencyMs,
+                    // Raw n-gram statistics are only needed for the corpus totals
+                    scores: scores ? { ...scores, stats: undefined } : null,
+                    ...(error && { error })
+                }))
+            };
+        }
+    } finally {
+        geminiCache.enabled = cacheWasEnabled;
+    }
+
+    return report;
+}
+
+function metricValue(summary, metric) {
+    return metric.split('.').reduce((value, key) => value?.[key], summary) ?? null;
+}
+
+/**
+ * Summary deltas against an earlier report
+ * @param {Object} report - Current report
+ * @param {Object} baseline - Earlier report (same JSON format)
+ * @returns {Object} { [system]: { [metric]: { baseline, current, delta, better } } }
+ */
+function compareReports(report, baseline) {
+    const comparison = {};
+
+    for (const [name, system] of Object.entries(report.systems)) {
+        const previous = baseline.systems?.[name];
+        if (!previous) continue;
+
+        comparison[name] = {};
+        for (const [metric, higherIsBetter] of Object.entries(COMPARED_METRICS)) {
+            const current = metricValue(system.summary, metric);
+            const before = metricValue(previous.summary, metric);
+            if (current === null || before === null) continue;
+
+            const delta = current - before;
+            comparison[name][metric] = {
+                baseline: before,
+                current,
+                delta,
+                better: delta === 0 ? null : (delta > 0) === higherIsBetter
+            };
+        }
+    }
+
+    return comparison;
+}
+
+export {
+    SYSTEMS,
+    DEFAULT_CORPUS,
+    loadCorpus,
+    findHow2SignCorpus,
+    runEvaluation,
+    compareReports
+};
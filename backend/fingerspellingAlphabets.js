@@ -0,0 +1,251 @@
+// ============================================
+// FINGERSPELLING ALPHABETS
+// Per-dialect manual alphabets (letters + digits)
+// ============================================
+//
+// ASL spells with one hand. BSL uses a two-handed alphabet: the dominant
+// (right) hand touches or shapes against the non-dominant (left) hand, with
+// the vowels A-E-I-O-U pointed out on the left fingertips thumb to pinky.
+// ISL (Indian Sign Language) shares most two-handed forms with BSL.
+//
+// Every entry describes both hands:
+//   right: { handshape, orientation, contact?, movement? }
+//   left:  { handshape, orientation } | null   (null = one-handed)
+//
+// Handshape names match HANDSHAPE_MAP in frontend Avatar3D.jsx.
+// contact names a point on the left hand (see CONTACT_OFFSETS).
+
+/**
+ * Seconds per letter; two-handed letters need time to bring the hands together
+ */
+const LETTER_DURATION = {
+    oneHanded: 0.8,
+    twoHanded: 1.0
+};
+
+/**
+ * Seconds at the start of each letter spent blending out of the previous one
+ * (coarticulation). Scaled with the letter when timing is overridden.
+ */
+const LETTER_TRANSITION = 0.2;
+
+// A repeated letter (the LL in HELLO) is re-formed with a small dip while the
+// hand shifts toward the dominant side, so the two letters read as two
+const DOUBLE_LETTER_PATH = [[0, 0, 0], [0.02, 0.02, 0], [0.04, 0, 0]];
+
+// Normalized signing-space positions (same space as FALLBACK_SIGNS animations)
+const SIGNING_SPACE = {
+    right: [0.6, 0.42, 0.15],      // Dominant hand, shoulder height, in front
+    left: [0.42, 0.5, 0.15],       // Non-dominant hand held in front of the chest
+    rest: [0.35, 0.75, 0]          // Non-dominant hand lowered for one-handed letters
+};
+
+// Where the dominant hand lands, relative to the non-dominant hand
+const CONTACT_OFFSETS = {
+    thumb_tip: [-0.05, -0.05, 0.02],
+    index_tip: [-0.025, -0.085, 0.02],
+    middle_tip: [0, -0.095, 0.02],
+    ring_tip: [0.025, -0.085, 0.02],
+    pinky_tip: [0.05, -0.07, 0.02],
+    index: [-0.02, -0.05, 0.03],     // Along the extended index finger
+    palm: [0, -0.02, 0.04],
+    back: [0, -0.02, -0.03],
+    side: [0.05, -0.01, 0.02],       // Little-finger edge
+    web: [-0.04, -0.02, 0.03],       // Between thumb and index
+    fist: [0, -0.06, 0],             // On top of the left fist
+    beside: [0.06, 0, 0]             // Side by side, not touching
+};
+
+// Entry builders
+const one = (handshape, description, extra = {}) => ({
+    description,
+    right: { handshape, orientation: 'up', ...extra },
+    left: null
+});
+
+const two = (description, right, left) => ({
+    description,
+    right: { orientation: 'up', ...right },
+    left: { orientation: 'side', ...left }
+});
+
+// ============================================
+// ASL - one-handed
+// ============================================
+
+const ASL_LETTERS = {
+    'A': one('ThumbSide', 'Fist with thumb beside'),
+    'B': one('Flat', 'Flat hand, thumb tucked'),
+    'C': one('C_Shape', 'Curved hand, C-shape'),
+    'D': one('D_Shape', 'Index up, others touch thumb'),
+    'E': one('Bent', 'Fingers bent, thumb tucked'),
+    'F': one('F_Shape', 'Thumb and index circle, others up'),
+    'G': one('L_Shape', 'Index and thumb parallel, pointing', { orientation: 'side' }),
+    'H': one('U_Shape', 'Index and middle parallel, pointing', { orientation: 'side' }),
+    'I': one('PinkyUp', 'Pinky up only'),
+    'J': one('PinkyUp', 'Pinky up, trace J in air', { movement: 'trace_j' }),
+    'K': one('K_Shape', 'Index and middle up, thumb between'),
+    'L': one('L_Shape', 'L-shape, thumb and index'),
+    'M': one('M_Shape', 'Thumb under 3 fingers'),
+    'N': one('N_Shape', 'Thumb under 2 fingers'),
+    'O': one('O_Shape', 'Fingers curved to touch thumb'),
+    'P': one('K_Shape', 'K-hand pointing down', { orientation: 'down' }),
+    'Q': one('L_Shape', 'G-hand pointing down', { orientation: 'down' }),
+    'R': one('R_Shape', 'Index and middle crossed'),
+    'S': one('Fist', 'Fist with thumb over fingers'),
+    'T': one('T_Shape', 'Thumb between index and middle'),
+    'U': one('U_Shape', 'Index and middle up together'),
+    'V': one('V_Shape', 'Index and middle in V'),
+    'W': one('W_Shape', 'Index, middle, ring up'),
+    'X': one('X_Shape', 'Index bent at knuckle'),
+    'Y': one('Y_Shape', 'Pinky and thumb extended'),
+    'Z': one('IndexPoint', 'Index traces Z in air', { movement: 'trace_z' })
+};
+
+const ASL_DIGITS = {
+    '0': one('O_Shape', 'O-shape'),
+    '1': one('IndexPoint', 'Index up'),
+    '2': one('V_Shape', 'Index and middle up'),
+    '3': one('Three_Shape', 'Thumb, index and middle up'),
+    '4': one('Flat', 'Four fingers up, thumb tucked'),
+    '5': one('OpenPalm', 'All five fingers spread'),
+    '6': one('W_Shape', 'Pinky touches thumb'),
+    '7': one('Seven_Shape', 'Ring finger touches thumb'),
+    '8': one('Eight_Shape', 'Middle finger touches thumb'),
+    '9': one('F_Shape', 'Index touches thumb')
+};
+
+// ============================================
+// BSL - two-handed (right-hand dominant)
+// ============================================
+
+const vowel = (contact, finger) => two(
+    `Right index touches the tip of the left ${finger}`,
+    { handshape: 'IndexPoint', contact },
+    { handshape: 'OpenPalm' }
+);
+
+const BSL_LETTERS = {
+    'A': vowel('thumb_tip', 'thumb'),
+    'B': two('Both hands form O-shapes, touching side by side',
+        { handshape: 'O_Shape', contact: 'beside' }, { handshape: 'O_Shape' }),
+    'C': one('C_Shape', 'Right hand curved in a C-shape'),
+    'D': two('Right curved index and thumb against the left index',
+        { handshape: 'C_Shape', contact: 'index' }, { handshape: 'IndexPoint' }),
+    'E': vowel('index_tip', 'index finger'),
+    'F': two('Right index and middle laid across the left index and middle',
+        { handshape: 'U_Shape', orientation: 'side', contact: 'index' }, { handshape: 'U_Shape' }),
+    'G': two('Right fist on top of the left fist',
+        { handshape: 'Fist', contact: 'fist' }, { handshape: 'Fist' }),
+    'H': two('Right flat hand brushes across the left palm',
+        { handshape: 'Flat', contact: 'palm', movement: 'brush' }, { handshape: 'OpenPalm' }),
+    'I': vowel('middle_tip', 'middle finger'),
+    'J': two('Right index draws a J down the left palm',
+        { handshape: 'IndexPoint', contact: 'palm', movement: 'trace_j' }, { handshape: 'OpenPalm' }),
+    'K': two('Right crooked index against the left index',
+        { handshape: 'X_Shape', contact: 'index' }, { handshape: 'IndexPoint' }),
+    'L': two('Right index laid across the left palm',
+        { handshape: 'IndexPoint', orientation: 'side', contact: 'palm' }, { handshape: 'OpenPalm' }),
+    'M': two('Right three fingers laid on the left palm',
+        { handshape: 'W_Shape', orientation: 'down', contact: 'palm' }, { handshape: 'OpenPalm' }),
+    'N': two('Right two fingers laid on the left palm',
+        { handshape: 'U_Shape', orientation: 'down', contact: 'palm' }, { handshape: 'OpenPalm' }),
+    'O': vowel('ring_tip', 'ring finger'),
+    'P': two('Right index and thumb circle against the left index',
+        { handshape: 'F_Shape', contact: 'index' }, { handshape: 'IndexPoint' }),
+    'Q': two('Right circle hooked under the left index',
+        { handshape: 'O_Shape', orientation: 'down', contact: 'index' }, { handshape: 'IndexPoint' }),
+    'R': two('Right crooked index on the left palm',
+        { handshape: 'X_Shape', contact: 'palm' }, { handshape: 'OpenPalm' }),
+    'S': two('Little fingers hooked together',
+        { handshape: 'PinkyUp', contact: 'side' }, { handshape: 'PinkyUp' }),
+    'T': two('Right index tip on the edge of the left hand',
+        { handshape: 'IndexPoint', contact: 'side' }, { handshape: 'Flat' }),
+    'U': vowel('pinky_tip', 'little finger'),
+    'V': two('Right V-hand on the left palm',
+        { handshape: 'V_Shape', orientation: 'down', contact: 'palm' }, { handshape: 'OpenPalm' }),
+    'W': two('Fingers of both hands interlocked',
+        { handshape: 'OpenPalm', orientation: 'side', contact: 'palm' }, { handshape: 'OpenPalm' }),
+    'X': two('Index fingers crossed',
+        { handshape: 'IndexPoint', orientation: 'side', contact: 'index' }, { handshape: 'IndexPoint' }),
+    'Y': two('Right index in the web of the left thumb',
+        { handshape: 'IndexPoint', contact: 'web' }, { handshape: 'OpenPalm' }),
+    'Z': two('Right fingertips tap the left palm',
+        { handshape: 'Flat', orientation: 'down', contact: 'palm', movement: 'tap' }, { handshape: 'OpenPalm' })
+};
+
+// 6-9 add fingers of the right hand to an open left hand (5 + n)
+const plusFive = (handshape, n) => two(
+    `Left hand shows five, right hand adds ${n}`,
+    { handshape, contact: 'beside' },
+    { handshape: 'OpenPalm', orientation: 'up' }
+);
+
+const BSL_DIGITS = {
+    '0': one('O_Shape', 'O-shape'),
+    '1': one('IndexPoint', 'Index up'),
+    '2': one('V_Shape', 'Index and middle up'),
+    '3': one('Three_Shape', 'Thumb, index and middle up'),
+    '4': one('Flat', 'Four fingers up, thumb tucked'),
+    '5': one('OpenPalm', 'All five fingers spread'),
+    '6': plusFive('IndexPoint', 1),
+    '7': plusFive('V_Shape', 2),
+    '8': plusFive('Three_Shape', 3),
+    '9': plusFive('Flat', 4)
+};
+
+// ============================================
+// ISL (Indian) - two-handed, BSL-derived
+// ============================================
+
+const ISL_LETTERS = {
+    ...BSL_LETTERS,
+    // Letters ISL signs with one hand
+    'C': one('C_Shape', 'Right hand curved in a C-shape'),
+    'L': one('L_Shape', 'L-shape, thumb and index'),
+    'V': one('V_Shape', 'Index and middle in V')
+};
+
+const ISL_DIGITS = {
+    ...BSL_DIGITS,
+    '3': one('W_Shape', 'Index, middle and ring up')
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+const FINGERSPELLING_ALPHABETS = {
+    ASL: { name: 'ASL one-handed alphabet', twoHanded: false, letters: ASL_LETTERS, digits: ASL_DIGITS },
+    BSL: { name: 'BSL two-handed alphabet', twoHanded: true, letters: BSL_LETTERS, digits: BSL_DIGITS },
+    ISL: { name: 'ISL two-handed alphabet', twoHanded: true, letters: ISL_LETTERS, digits: ISL_DIGITS }
+};
+
+/**
+ * Alphabet for a dialect (unknown dialects spell in ASL)
+ */
+function getAlphabet(dialect = 'ASL') {
+    return FINGERSPELLING_ALPHABETS[String(dialect).toUpperCase()] || FINGERSPELLING_ALPHABETS.ASL;
+}
+
+/**
+ * Table entry for one character, or null if the alphabet has no handshape for it
+ */
+function getCharacter(char, dialect = 'ASL') {
+    const alphabet = getAlphabet(dialect);
+    const upper = String(char).toUpperCase();
+    return alphabet.letters[upper] || alphabet.digits[upper] || null;
+}
+
+export {
+    FINGERSPELLING_ALPHABETS,
+    LETTER_DURATION,
+    LETTER_TRANSITION,
+    DOUBLE_LETTER_PATH,
+    SIGNING_SPACE,
+    CONTACT_OFFSETS,
+    getAlphabet,
+    getCharacter
+};
+
+export default FINGERSPELLING_ALPHABETS;
@@ -1,16 +1,49 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
 import geminiCache from './geminiCache.js';
+import promptRegistry from './services/promptRegistry.js';
+import responseValidator, { ResponseValidationError } from './services/responseValidator.js';
+import { JsonArrayStreamParser } from './jsonStreamParser.js';
+import { createProvider, getProviderName } from './providers/index.js';
+import { ApiError } from './routes/common.js';
 
 dotenv.config();
 
+export const MODEL_NAME = 'gemini-2.0-flash';
+
+// Extra cache params per cached text method (kept so existing keys still match)
+const CACHE_PARAM_TYPES = {
+  textToSignSequence: {},
+  textToSignAnimation: { type: 'animation' },
+  textToPoseKeyframes: { type: 'poseKeyframes' }
+};
+
+/**
+ * Inline image part for a base64 string or data URL
+ */
+function toImagePart(image) {
+  const match = /^data:([^;,]+);base64,/.exec(image);
+  return {
+    inlineData: {
+      mimeType: match ? match[1] : 'image/jpeg',
+      data: match ? image.slice(match[0].length) : image
+    }
+  };
+}
+
 /**
  * Comprehensive Gemini Service for Sign Language Translation
  * Supports ASL, BSL, and ISL with teaching, spatial awareness, and context features
  * Now with multi-key rotation for higher throughput!
+ * All model calls go through the provider layer (LLM_PROVIDER=gemini|stub|record)
  */
 export class GeminiService {
-  constructor(apiKeys = null) {
+  /**
+   * @param {Array<string>|null} apiKeys - Keys to rotate through (defaults to env)
+   * @param {Object} options - { provider: provider name or instance }
+   */
+  constructor(apiKeys = null, options = {}) {
+    this.provider = options.provider || getProviderName();
+
     // Support multiple API keys for rotation
     this.apiKeys = this._loadApiKeys(apiKeys);
     this.currentKeyIndex = 0;
@@ -23,9 +56,10 @@ export class GeminiService {
       this.keyErrors[i] = { count: 0, lastError: null };
     });
 
-    if (this.apiKeys.length === 0) {
+    const providerName = typeof this.provider === 'string' ? this.provider : this.provider.name;
+    if (this.apiKeys.length === 0 && providerName !== 'stub') {
       console.warn('⚠️  No GEMINI_API_KEY(s) set - API calls will fail');
-    } else {
+    } else if (this.apiKeys.length > 0) {
       console.log(`✅ Loaded ${this.apiKeys.length} API key(s) for rotation`);
     }
 
@@ -123,15 +157,21 @@ export class GeminiService {
    * Initialize model with current key
    */
   _initializeModel() {
-    if (this.apiKeys.length === 0) {
+    const currentKey = this.apiKeys[this.currentKeyIndex];
+    const provider = createProvider(this.provider, { apiKey: currentKey });
+
+    if (!currentKey && provider.requiresApiKey) {
       this.genAI = null;
       this.model = null;
       return;
     }
 
-    const currentKey = this.apiKeys[this.currentKeyIndex];
-    this.genAI = new GoogleGenerativeAI(currentKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+    this.genAI = provider;
+    this.model = this.genAI.getGenerativeModel({ model: MODEL_NAME });
+    // Cached answers are only reused for the same provider and model
+    // (the record provider passes calls through to Gemini)
+    const source = this.genAI.name === 'record' ? 'gemini' : this.genAI.name;
+    geminiCache.setModel(`${source}/${MODEL_NAME}`);
   }
 
   /**
@@ -190,6 +230,7 @@ export class GeminiService {
    */
   getKeyStats() {
     return {
+      provider: this.genAI?.name || null,
       totalKeys: this.apiKeys.length,
       currentKey: this.currentKeyIndex + 1,
       usage: this.keyUsageCount,
@@ -200,11 +241,13 @@ export class GeminiService {
 
   /**
    * Log API request for debugging
+   * @param {Object|null} prompt - Rendered prompt the response came from (null for mocks and fallbacks)
    */
-  _logRequest(method, params, response, error = null) {
+  _logRequest(method, params, response, error = null, prompt = null) {
     const logEntry = {
       timestamp: new Date().toISOString(),
       method,
+      prompt: prompt?.id || null,
       params: JSON.stringify(params).substring(0, 200),
       success: !error,
       error: error?.message,
@@ -217,22 +260,23 @@ export class GeminiService {
       this.requestLog.shift();
     }
 
-    console.log(`[Gemini] ${method}: ${error ? '❌ ' + error.message : '✅'}`);
+    if (prompt) promptRegistry.record(prompt.id, !error);
+    console.log(`[Gemini] ${method}${prompt ? ` [${prompt.id}]` : ''}: ${error ? '❌ ' + error.message : '✅'}`);
   }
 
   /**
-   * Parse JSON from Gemini response, handling markdown code blocks
+   * Parse a response and check it against its prompt's outputSchema. An answer
+   * that cannot be fixed up is sent back once with the repair prompt.
+   * @param {Object} prompt - Rendered prompt the response came from
+   * @param {string} text - Response text
+   * @param {string} methodName - Name of the method for logging
+   * @param {Object} params - Parameters for logging
    */
-  _parseJSON(text) {
-    // Remove markdown code blocks if present
-    let cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-    // Try to find JSON object or array
-    const jsonMatch = cleaned.match(/[\[{][\s\S]*[\]}]/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error('No valid JSON found in response');
+  _parseResponse(prompt, text, methodName, params) {
+    return responseValidator.parse(prompt, text, async (repairText) => {
+      const result = await this._executeWithRetry(repairText, `${methodName}:repair`, params);
+      return result.response.text();
+    });
   }
 
   /**
@@ -307,8 +351,10 @@ export class GeminiService {
    * @param {string} prompt - The prompt to send to the model
    * @param {string} methodName - Name of the method for logging
    * @param {Object} params - Parameters for logging
+   * @param {Object} options - { stream: start a generateContentStream call instead;
+   *   only the start is retried, chunks already received are never replayed }
    */
-  async _executeWithRetry(prompt, methodName, params) {
+  async _executeWithRetry(prompt, methodName, params, { stream = false } = {}) {
     let lastError;
     const startKeyIndex = this.currentKeyIndex;
     let keysTriedCount = 0;
@@ -316,7 +362,7 @@ export class GeminiService {
     for (let attempt = 0; attempt < this.rateLimitConfig.maxRetries; attempt++) {
       try {
         // Track usage
-        this.keyUsageCount[this.currentKeyIndex]++;
+        this.keyUsageCount[this.currentKeyIndex] = (this.keyUsageCount[this.currentKeyIndex] || 0) + 1;
         console.log(`[Gemini] Using key ${this.currentKeyIndex + 1}/${this.apiKeys.length} for ${methodName}`);
 
         // Check if we're in a rate-limited state and only one key
@@ -330,7 +376,9 @@ export class GeminiService {
         }
 
         // Call the current model directly (uses current key after rotation)
-        const result = await this.model.generateContent(prompt);
+        const result = stream
+          ? await this.model.generateContentStream(prompt)
+          : await this.model.generateContent(prompt);
 
         // Success - clear rate limit state
         this.rateLimitState.isLimited = false;
@@ -403,6 +451,54 @@ export class GeminiService {
   // CORE TRANSLATION FEATURES
   // ============================================
 
+  /**
+   * Linguistic configuration for a dialect
+   * @throws {ApiError} 400 for a dialect without one
+   */
+  _dialectInfo(dialect) {
+    const dialectInfo = this.dialectConfig[dialect];
+    if (!dialectInfo) {
+      throw new ApiError('Unsupported dialect', 'invalid_request', 400, {
+        problems: [`dialect: ${JSON.stringify(dialect)} is not one of ${Object.keys(this.dialectConfig).join(', ')}`]
+      });
+    }
+    return dialectInfo;
+  }
+
+  /**
+   * Template variables describing a dialect
+   */
+  _dialectVars(dialect) {
+    const dialectInfo = this._dialectInfo(dialect);
+    return {
+      dialect,
+      dialectName: dialectInfo.name,
+      wordOrder: dialectInfo.wordOrder,
+      grammarRules: dialectInfo.grammarRules,
+      features: dialectInfo.features
+    };
+  }
+
+  /**
+   * Cache params and rendered prompt for a cached text method. The template
+   * version is seeded by the normalized text, so during an experiment a
+   * phrase always gets the same version and therefore the same cache key.
+   */
+  _cachedPrompt(method, text, dialect) {
+    const cacheParams = { text: text.toLowerCase().trim(), dialect, ...CACHE_PARAM_TYPES[method] };
+    const prompt = promptRegistry.render(method, { ...this._dialectVars(dialect), text }, { seed: cacheParams.text });
+    return { cacheParams, prompt };
+  }
+
+  /**
+   * Whether a cached text method already has an answer for this phrase
+   * @param {string} method - textToSignSequence, textToSignAnimation or textToPoseKeyframes
+   */
+  isCached(method, text, dialect = 'ASL') {
+    const { cacheParams, prompt } = this._cachedPrompt(method, text, dialect);
+    return geminiCache.has(method, cacheParams, prompt.id);
+  }
+
   /**
    * Convert English text to sign language sequence
    * @param {string} text - English text to translate
@@ -410,13 +506,12 @@ export class GeminiService {
    * @returns {Array} Array of sign glosses with metadata
    */
   async textToSignSequence(text, dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
-    const cacheParams = { text: text.toLowerCase().trim(), dialect };
+    const { cacheParams, prompt } = this._cachedPrompt('textToSignSequence', text, dialect);
 
     // 1. Check cache first
-    const cached = geminiCache.get('textToSignSequence', cacheParams);
+    const cached = geminiCache.get('textToSignSequence', cacheParams, prompt.id);
     if (cached) {
-      this._logRequest('textToSignSequence', cacheParams, cached, null);
+      this._logRequest('textToSignSequence', cacheParams, cached, null, prompt);
       return cached;
     }
 
@@ -430,50 +525,20 @@ export class GeminiService {
       }
     }
 
-    const prompt = `You are an expert ${dialectInfo.name} linguist and interpreter. Convert the following English text into a precise sequence of ${dialect} signs.
-
-LINGUISTIC RULES FOR ${dialect}:
-- Word Order: ${dialectInfo.wordOrder}
-- Grammar: ${dialectInfo.grammarRules}
-- Key Features: ${dialectInfo.features.join('; ')}
-
-TEXT TO TRANSLATE: "${text}"
-
-INSTRUCTIONS:
-1. Apply ${dialect} grammar rules - do NOT use English word order
-2. Include non-manual markers (facial expressions) as they are grammatical in sign languages
-3. Use appropriate classifiers where needed
-4. For proper nouns or words without signs, indicate fingerspelling
-5. Consider natural sign flow and transitions
-
-Respond with ONLY a JSON array (no markdown):
-[
-  {
-    "gloss": "SIGN-NAME",
-    "expression": "neutral|raised-eyebrows|furrowed-brows|pursed-lips|wide-eyes",
-    "duration": 1.5,
-    "handShape": "description of hand configuration",
-    "movement": "description of movement",
-    "location": "neutral-space|face|chest|head|shoulder",
-    "notes": "any additional performance notes",
-    "type": "sign|fingerspell|classifier|compound"
-  }
-]`;
-
     try {
       // 2. Try API call with retry and key rotation
       const result = await this._executeWithRetry(
-        prompt,  // Pass prompt directly, not a closure
+        prompt.text,  // Pass prompt directly, not a closure
         'textToSignSequence',
         { text, dialect }
       );
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'textToSignSequence', { text, dialect });
 
       // 3. Cache successful response
-      geminiCache.set('textToSignSequence', cacheParams, parsed);
+      geminiCache.set('textToSignSequence', cacheParams, prompt.id, parsed);
 
-      this._logRequest('textToSignSequence', { text, dialect }, parsed);
+      this._logRequest('textToSignSequence', { text, dialect }, parsed, null, prompt);
       return parsed;
     } catch (error) {
       // 4. On ANY error, try mock fallback first
@@ -499,7 +564,101 @@ Respond with ONLY a JSON array (no markdown):
       }
 
       // Only throw if absolutely no fallback possible (empty text)
-      this._logRequest('textToSignSequence', { text, dialect }, null, error);
+      this._logRequest('textToSignSequence', { text, dialect }, null, error, prompt);
+      throw error;
+    }
+  }
+
+  /**
+   * Streaming variant of textToSignSequence: calls onSign for every sign as
+   * soon as its JSON object has been received, so playback can start while
+   * Gemini is still generating the rest of the sequence.
+   *
+   * Cached and mock responses are replayed through onSign as well. Starting
+   * the stream goes through the same key rotation and retries as other calls.
+   * If the stream fails before any sign arrived it falls back to textToSignSequence;
+   * a failure after that throws with the partial sequence on error.partial.
+   *
+   * @param {string} text - English text to translate
+   * @param {string} dialect - ASL, BSL, or ISL
+   * @param {Function} onSign - async (sign, index) => void
+   * @returns {Promise<Array>} The complete sign sequence
+   */
+  async textToSignSequenceStream(text, dialect = 'ASL', onSign = () => {}) {
+    const { cacheParams, prompt } = this._cachedPrompt('textToSignSequence', text, dialect);
+    const signs = [];
+
+    const replay = async (sequence) => {
+      for (const sign of sequence) {
+        signs.push(sign);
+        await onSign(sign, signs.length - 1);
+      }
+      return signs;
+    };
+
+    const cached = geminiCache.get('textToSignSequence', cacheParams, prompt.id);
+    if (cached) {
+      this._logRequest('textToSignSequenceStream', cacheParams, cached, null, prompt);
+      return replay(cached);
+    }
+
+    if (this.rateLimitState.isLimited) {
+      const mockResponse = geminiCache.getMockTranslation(text);
+      if (mockResponse) {
+        console.log(`🎭 Using mock (rate limited) for: "${text}"`);
+        this._logRequest('textToSignSequenceStream', { text, dialect, source: 'mock-ratelimit' }, mockResponse);
+        return replay(mockResponse);
+      }
+    }
+
+    try {
+      if (typeof this.model?.generateContentStream !== 'function') {
+        throw new Error('Provider does not support streaming');
+      }
+
+      const result = await this._executeWithRetry(prompt.text, 'textToSignSequenceStream', { text, dialect }, { stream: true });
+      const parser = new JsonArrayStreamParser();
+
+      // Signs are checked one at a time against the sequence schema's items;
+      // a sign that cannot be fixed up is skipped rather than played
+      let received = 0;
+      let fixed = false;
+      const problems = [];
+      const emit = async (sign) => {
+        const checked = responseValidator.validate(prompt.outputSchema?.items, sign);
+        const at = `$[${received++}]`;
+        if (checked.problems.length > 0) {
+          problems.push(...checked.problems.map(problem => problem.replace('$', at)));
+          return;
+        }
+        fixed ||= checked.fixes.length > 0;
+        signs.push(checked.value);
+        await onSign(checked.value, signs.length - 1);
+      };
+
+      for await (const chunk of result.stream) {
+        for (const sign of parser.push(chunk.text())) await emit(sign);
+      }
+      for (const sign of parser.end()) await emit(sign);
+
+      if (signs.length === 0) {
+        if (problems.length === 0) problems.push('$: expected at least 1 items, got 0');
+        responseValidator.record(prompt, 'failed', problems);
+        throw new ResponseValidationError(prompt.id, problems);
+      }
+      responseValidator.record(prompt, fixed || problems.length > 0 ? 'coerced' : 'valid');
+
+      geminiCache.set('textToSignSequence', cacheParams, prompt.id, signs);
+      this._logRequest('textToSignSequenceStream', { text, dialect }, signs, null, prompt);
+      return signs;
+    } catch (error) {
+      if (signs.length === 0) {
+        console.log(`[Gemini] Stream unavailable (${error.message?.substring(0, 60)}), using textToSignSequence`);
+        return replay(await this.textToSignSequence(text, dialect));
+      }
+
+      this._logRequest('textToSignSequenceStream', { text, dialect }, signs, error, prompt);
+      error.partial = signs;
       throw error;
     }
   }
@@ -512,13 +671,12 @@ Respond with ONLY a JSON array (no markdown):
    * @returns {Object} Animation data with signs array in Avatar3D JSON format
    */
   async textToSignAnimation(text, dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
-    const cacheParams = { text: text.toLowerCase().trim(), dialect, type: 'animation' };
+    const { cacheParams, prompt } = this._cachedPrompt('textToSignAnimation', text, dialect);
 
     // Check cache first
-    const cached = geminiCache.get('textToSignAnimation', cacheParams);
+    const cached = geminiCache.get('textToSignAnimation', cacheParams, prompt.id);
     if (cached) {
-      this._logRequest('textToSignAnimation', cacheParams, cached, null);
+      this._logRequest('textToSignAnimation', cacheParams, cached, null, prompt);
       return cached;
     }
 
@@ -540,45 +698,10 @@ Respond with ONLY a JSON array (no markdown):
       'LOVE': { hand_shape: 'Fist', target_position: { right_hand: { x: 0.1, y: 1.2, z: 0.15 }, left_hand: { x: -0.1, y: 1.2, z: 0.15 } }, movement_action: 'Hold' }
     };
 
-    const prompt = `You are a 3D Technical Animator and ${dialectInfo.name} Linguist.
-Task: Convert the input text into a JSON array of animation states for a 3D avatar.
-Constraint: Use standard Euler angles relative to a T-Pose. The avatar uses a Mixamo skeleton.
-
-Input Text: "${text}"
-
-LINGUISTIC RULES FOR ${dialect}:
-- Word Order: ${dialectInfo.wordOrder}
-- Grammar: ${dialectInfo.grammarRules}
-
-Response Schema (JSON only, no markdown):
-{
-  "signs": [
-    {
-      "gloss": "WORD_LABEL",
-      "duration": 1.5,
-      "hand_shape": "OpenPalm" | "Fist" | "IndexPoint" | "C_Shape" | "ILY" | "V_Shape" | "Pinch",
-      "target_position": {
-        "right_hand": {"x": 0.2, "y": 1.5, "z": 0.5},
-        "left_hand": {"x": -0.2, "y": 0.9, "z": 0.3}
-      },
-      "movement_action": "Wave" | "Tap" | "Circular" | "Hold" | "Nod" | "Snap",
-      "facial_expression": "Neutral" | "Smile" | "EyebrowsUp"
-    }
-  ]
-}
-
-Rules:
-1. Use ${dialect} grammar - apply correct word order
-2. Each sign should have appropriate hand_shape based on ASL linguistics
-3. target_position.y ranges from 0.5 (waist) to 2.0 (above head). Neutral is 1.2
-4. target_position.z ranges from 0 (body) to 1.0 (arm extended forward)
-5. If you don't know the exact sign, use fingerspelling (hand_shape: "IndexPoint", movement_action: "Hold")
-6. Return ONLY the JSON object, no explanations`;
-
     try {
-      const result = await this._executeWithRetry(prompt, 'textToSignAnimation', { text, dialect });
+      const result = await this._executeWithRetry(prompt.text, 'textToSignAnimation', { text, dialect });
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'textToSignAnimation', { text, dialect });
 
       // Validate and enhance with predefined data where available
       if (parsed.signs) {
@@ -592,11 +715,12 @@ Rules:
       }
 
       // Cache the result
-      geminiCache.set('textToSignAnimation', cacheParams, parsed);
-      this._logRequest('textToSignAnimation', { text, dialect }, parsed);
+      geminiCache.set('textToSignAnimation', cacheParams, prompt.id, parsed);
+      this._logRequest('textToSignAnimation', { text, dialect }, parsed, null, prompt);
       return parsed;
 
     } catch (error) {
+      this._logRequest('textToSignAnimation', { text, dialect }, null, error, prompt);
       console.warn(`⚠️ textToSignAnimation API failed, using predefined fallback`);
 
       // Fallback: Create animation from simple word parsing
@@ -637,126 +761,27 @@ Rules:
    * @returns {Object} Detailed pose keyframe data for avatar animation
    */
   async textToPoseKeyframes(text, dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
-    const cacheParams = { text: text.toLowerCase().trim(), dialect, type: 'poseKeyframes' };
+    const { cacheParams, prompt } = this._cachedPrompt('textToPoseKeyframes', text, dialect);
 
     // Check cache first
-    const cached = geminiCache.get('textToPoseKeyframes', cacheParams);
+    const cached = geminiCache.get('textToPoseKeyframes', cacheParams, prompt.id);
     if (cached) {
-      this._logRequest('textToPoseKeyframes', cacheParams, cached, null);
+      this._logRequest('textToPoseKeyframes', cacheParams, cached, null, prompt);
       return cached;
     }
 
-    const prompt = `You are an expert sign language linguist and pose animation specialist. Your task is to generate accurate 3D pose keypoint data for ${dialectInfo.name} signs that will be used to animate a 3D avatar.
-
-CRITICAL REQUIREMENTS:
-1. Each sign must be linguistically accurate according to ${dialect} standards
-2. Hand shapes must be precisely defined (closed fist, flat hand, pointing, etc.)
-3. Movement paths must follow authentic ${dialect} motion patterns
-4. Facial expressions must be included (they are grammatically essential in sign languages)
-5. Timing and speed must reflect natural signing rhythm
-6. Non-manual markers (eyebrow position, head tilt, mouth movements) must be accurate
-
-LINGUISTIC RULES FOR ${dialect}:
-- Word Order: ${dialectInfo.wordOrder}
-- Grammar: ${dialectInfo.grammarRules}
-- Key Features: ${dialectInfo.features.join('; ')}
-
-INPUT PHRASE: "${text}"
-
-OUTPUT FORMAT - Respond with ONLY this JSON structure (no markdown):
-{
-  "phrase": "${text}",
-  "language": "${dialect}",
-  "total_duration_ms": [total duration for entire phrase],
-  "signs": [
-    {
-      "sign": "[GLOSS]",
-      "duration_ms": [duration for this sign],
-      "keyframes": [
-        {
-          "timestamp_ms": 0,
-          "pose": {
-            "right_hand": {
-              "position": [x, y, z],
-              "rotation": [rx, ry, rz],
-              "handshape": "[description]",
-              "fingers": {
-                "thumb": "extended|bent|closed|across",
-                "index": "extended|bent|closed",
-                "middle": "extended|bent|closed",
-                "ring": "extended|bent|closed",
-                "pinky": "extended|bent|closed"
-              }
-            },
-            "left_hand": {
-              "position": [x, y, z],
-              "rotation": [rx, ry, rz],
-              "handshape": "[description]",
-              "fingers": {
-                "thumb": "extended|bent|closed|across",
-                "index": "extended|bent|closed",
-                "middle": "extended|bent|closed",
-                "ring": "extended|bent|closed",
-                "pinky": "extended|bent|closed"
-              }
-            },
-            "head": {
-              "position": [x, y, z],
-              "rotation": [rx, ry, rz]
-            },
-            "torso": {
-              "rotation": [rx, ry, rz]
-            },
-            "face": {
-              "eyebrows": "raised|neutral|furrowed",
-              "eyes": "open|squinted|wide",
-              "mouth": "[shape description - e.g., 'relaxed', 'lips pursed', 'open ah', 'mm']"
-            }
-          }
-        }
-      ],
-      "notes": "[Important signing details for this sign]"
-    }
-  ],
-  "transition_notes": "[How signs flow together]"
-}
-
-COORDINATE SYSTEM:
-- X: -1 (left) to 1 (right), 0 is center
-- Y: 0 (waist) to 2 (above head), 1.5 is neutral signing space
-- Z: 0 (at body) to 1 (arm extended forward)
-- Rotations in radians: 0 = neutral, positive = clockwise when looking down axis
-
-SIGNING PRINCIPLES TO FOLLOW:
-- Start and end positions should be clear and deliberate
-- Movement should be smooth but not slow (natural signing speed)
-- Two-handed signs must have proper symmetry or dominance
-- Location in signing space matters (chest level, face level, neutral space)
-- Palm orientation is crucial for meaning
-- Include preparation and retraction phases
-- Facial expressions are NOT optional - they convey grammar and meaning
-
-VALIDATION CHECKLIST:
-✓ Hand shapes match ${dialect} phonology
-✓ Movement paths are authentic
-✓ Location in signing space is correct
-✓ Palm orientation is accurate
-✓ Facial expression matches sign meaning
-✓ Timing feels natural (not robotic)
-✓ Transitions between signs are smooth`;
-
     try {
-      const result = await this._executeWithRetry(prompt, 'textToPoseKeyframes', { text, dialect });
+      const result = await this._executeWithRetry(prompt.text, 'textToPoseKeyframes', { text, dialect });
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'textToPoseKeyframes', { text, dialect });
 
       // Cache the result
-      geminiCache.set('textToPoseKeyframes', cacheParams, parsed);
-      this._logRequest('textToPoseKeyframes', { text, dialect }, parsed);
+      geminiCache.set('textToPoseKeyframes', cacheParams, prompt.id, parsed);
+      this._logRequest('textToPoseKeyframes', { text, dialect }, parsed, null, prompt);
       return parsed;
 
     } catch (error) {
+      this._logRequest('textToPoseKeyframes', { text, dialect }, null, error, prompt);
       console.warn(`⚠️ textToPoseKeyframes API failed, using simplified fallback`);
 
       // Fallback: Create basic pose data
@@ -825,39 +850,17 @@ VALIDATION CHECKLIST:
    */
   async signToText(signGloss, dialect = 'ASL') {
     const glossText = Array.isArray(signGloss) ? signGloss.join(' ') : signGloss;
-    const dialectInfo = this.dialectConfig[dialect];
-
-    const prompt = `You are an expert ${dialectInfo.name} interpreter. Convert the following sign language gloss notation into natural English.
-
-${dialect} GLOSS: ${glossText}
-
-CONTEXT:
-- ${dialect} uses ${dialectInfo.wordOrder} word order
-- Grammar rules: ${dialectInfo.grammarRules}
-
-INSTRUCTIONS:
-1. Convert the sign-language-ordered glosses to natural English word order
-2. Add appropriate articles, prepositions, and conjunctions
-3. Preserve the intended meaning and tone
-4. If multiple interpretations exist, provide the most likely one
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "englishText": "The natural English translation",
-  "formalRegister": "More formal version if different",
-  "confidence": 0.95,
-  "alternativeInterpretations": ["other possible meanings"],
-  "notes": "any clarifications about the translation"
-}`;
+    const prompt = promptRegistry.render('signToText', { ...this._dialectVars(dialect), glossText });
 
     try {
-      const result = await this._executeWithRetry(prompt, 'signToText', { signGloss, dialect });
+      const result = await this._executeWithRetry(prompt.text, 'signToText', { signGloss, dialect });
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'signToText', { signGloss, dialect });
 
-      this._logRequest('signToText', { signGloss, dialect }, parsed);
+      this._logRequest('signToText', { signGloss, dialect }, parsed, null, prompt);
       return parsed;
     } catch (error) {
+      this._logRequest('signToText', { signGloss, dialect }, null, error, prompt);
       console.warn(`⚠️ signToText failed, falling back to input gloss: "${glossText}"`);
       // Fallback: just return the input gloss as the text
       const fallback = {
@@ -883,58 +886,17 @@ Respond with ONLY a JSON object (no markdown):
    * @returns {Object} Accuracy analysis and corrections
    */
   async analyzeSignAccuracy(videoFrameData, intendedSign, dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
-
-    const prompt = `You are an expert ${dialectInfo.name} teacher analyzing a student's sign attempt.
-
-INTENDED SIGN: "${intendedSign}" in ${dialect}
-
-STUDENT'S POSE DATA:
-${JSON.stringify(videoFrameData, null, 2)}
-
-REFERENCE - How "${intendedSign}" should be performed in ${dialect}:
-Describe the correct handshape, location, movement, palm orientation, and non-manual markers.
-
-ANALYSIS INSTRUCTIONS:
-1. Compare the student's hand positions, orientations, and movements to the correct form
-2. Identify specific areas needing correction with precise measurements/descriptions
-3. Note any non-manual markers (facial expressions) that may be missing
-4. Provide encouraging, constructive feedback
-5. Include cultural/linguistic context about why this sign is formed this way
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "accuracy": 85,
-  "overallAssessment": "Good attempt with minor adjustments needed",
-  "corrections": [
-    {
-      "aspect": "handshape|location|movement|orientation|expression",
-      "issue": "Specific description of what's incorrect",
-      "correction": "Exact instruction on how to fix it",
-      "importance": "critical|important|minor"
-    }
-  ],
-  "correctExecution": {
-    "handshape": "Description of correct handshape",
-    "location": "Where the sign should be performed",
-    "movement": "Movement pattern",
-    "palmOrientation": "Which way palm faces",
-    "nonManualMarkers": "Required facial expressions"
-  },
-  "culturalNote": "Historical or cultural context about this sign",
-  "encouragement": "Positive, motivating feedback",
-  "practiceExercise": "A specific exercise to improve"
-}`;
+    const prompt = promptRegistry.render('analyzeSignAccuracy', { ...this._dialectVars(dialect), intendedSign, poseData: videoFrameData });
 
     try {
-      const result = await this._executeWithRetry(prompt, 'analyzeSignAccuracy', { intendedSign, dialect });
+      const result = await this._executeWithRetry(prompt.text, 'analyzeSignAccuracy', { intendedSign, dialect });
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'analyzeSignAccuracy', { intendedSign, dialect });
 
-      this._logRequest('analyzeSignAccuracy', { intendedSign, dialect }, parsed);
+      this._logRequest('analyzeSignAccuracy', { intendedSign, dialect }, parsed, null, prompt);
       return parsed;
     } catch (error) {
-      this._logRequest('analyzeSignAccuracy', { intendedSign, dialect }, null, error);
+      this._logRequest('analyzeSignAccuracy', { intendedSign, dialect }, null, error, prompt);
       throw error;
     }
   }
@@ -949,41 +911,11 @@ Respond with ONLY a JSON object (no markdown):
    * @returns {Array} Detected objects with positions
    */
   async detectObjectsInScene(imageBase64) {
-    const prompt = `Analyze this camera image and identify all visible objects that could be referenced in a sign language conversation.
-
-For each object, determine:
-1. What the object is
-2. Its position in the frame (left-third, center, right-third, top, bottom)
-3. Your confidence level
-4. The sign typically used for this object in ASL
-
-Focus on objects that a signer might want to point to or reference.
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "objects": [
-    {
-      "object": "object name in English",
-      "position": "left|center|right",
-      "verticalPosition": "top|middle|bottom",
-      "boundingBox": {
-        "x": 0.25,
-        "y": 0.3,
-        "width": 0.15,
-        "height": 0.2
-      },
-      "confidence": 0.95,
-      "aslSign": "GLOSS of the sign for this object",
-      "pointingAngle": "description of where to point"
-    }
-  ],
-  "sceneDescription": "Brief description of the overall scene",
-  "suggestedReferences": ["objects the avatar might usefully point to"]
-}`;
+    const prompt = promptRegistry.render('detectObjectsInScene');
 
     try {
       const result = await this.model.generateContent([
-        prompt,
+        prompt.text,
         {
           inlineData: {
             mimeType: 'image/jpeg',
@@ -993,12 +925,12 @@ Respond with ONLY a JSON object (no markdown):
       ]);
 
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'detectObjectsInScene', { imageSize: imageBase64.length });
 
-      this._logRequest('detectObjectsInScene', { imageSize: imageBase64.length }, parsed);
+      this._logRequest('detectObjectsInScene', { imageSize: imageBase64.length }, parsed, null, prompt);
       return parsed;
     } catch (error) {
-      this._logRequest('detectObjectsInScene', { imageSize: imageBase64?.length }, null, error);
+      this._logRequest('detectObjectsInScene', { imageSize: imageBase64?.length }, null, error, prompt);
       throw error;
     }
   }
@@ -1010,30 +942,11 @@ Respond with ONLY a JSON object (no markdown):
    * @returns {Object} Predicted sign and confidence
    */
   async predictSignFromImage(imageBase64, dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
-
-    const prompt = `Analyze this image of a person using ${dialectInfo.name}. Identify the specific sign being performed.
-    
-    CONTEXT:
-    - User is signing to the camera
-    - Looking for a single sign or fingerspelling
-    
-    INSTRUCTIONS:
-    1. Identify the handshape, hand position, and movement (implied)
-    2. Determine the most likely sign GLOSS
-    3. Estimate confidence level
-    
-    Respond with ONLY a JSON object (no markdown):
-    {
-      "gloss": "SIGN-GLOSS",
-      "english": "English meaning",
-      "confidence": 0.0-1.0,
-      "description": "Brief description of visual evidence"
-    }`;
+    const prompt = promptRegistry.render('predictSignFromImage', this._dialectVars(dialect));
 
     try {
       const result = await this.model.generateContent([
-        prompt,
+        prompt.text,
         {
           inlineData: {
             mimeType: 'image/jpeg',
@@ -1043,13 +956,13 @@ Respond with ONLY a JSON object (no markdown):
       ]);
 
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'predictSignFromImage', { dialect });
 
-      this._logRequest('predictSignFromImage', { dialect }, parsed);
+      this._logRequest('predictSignFromImage', { dialect }, parsed, null, prompt);
       return parsed;
 
     } catch (error) {
-      this._logRequest('predictSignFromImage', { dialect }, null, error);
+      this._logRequest('predictSignFromImage', { dialect }, null, error, prompt);
       throw error;
     }
   }
@@ -1066,51 +979,21 @@ Respond with ONLY a JSON object (no markdown):
    * @returns {Array} Suggested signs with reasons
    */
   async suggestNextSigns(conversationHistory, currentTopic = '', dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
-
     const historyText = conversationHistory
       .map(h => `${h.role}: ${h.content}`)
       .join('\n');
 
-    const prompt = `You are an expert ${dialectInfo.name} conversation coach. Based on this ongoing conversation, suggest signs the user might need next.
-
-CONVERSATION HISTORY:
-${historyText}
-
-CURRENT TOPIC: ${currentTopic || 'General conversation'}
-
-INSTRUCTIONS:
-1. Analyze the conversation flow and predict what might come next
-2. Suggest signs for likely responses, follow-up questions, or topic continuations
-3. Include common conversational signs (acknowledgments, transitions)
-4. Consider ${dialect}-specific discourse markers
-5. Rank by likelihood of use
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "suggestions": [
-    {
-      "gloss": "SIGN-NAME",
-      "meaning": "English meaning",
-      "reason": "Why this sign might be useful next",
-      "category": "response|question|transition|topic-related|clarification",
-      "likelihood": 0.85,
-      "usage": "Example of how to use it in this context"
-    }
-  ],
-  "topicPredictions": ["likely next topics"],
-  "conversationPhase": "greeting|exchange|clarification|closing"
-}`;
+    const prompt = promptRegistry.render('suggestNextSigns', { ...this._dialectVars(dialect), history: historyText, currentTopic });
 
     try {
-      const result = await this._executeWithRetry(prompt, 'suggestNextSigns', { historyLength: conversationHistory.length, currentTopic });
+      const result = await this._executeWithRetry(prompt.text, 'suggestNextSigns', { historyLength: conversationHistory.length, currentTopic });
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'suggestNextSigns', { historyLength: conversationHistory.length, currentTopic });
 
-      this._logRequest('suggestNextSigns', { historyLength: conversationHistory.length, currentTopic }, parsed);
+      this._logRequest('suggestNextSigns', { historyLength: conversationHistory.length, currentTopic }, parsed, null, prompt);
       return parsed;
     } catch (error) {
-      this._logRequest('suggestNextSigns', { historyLength: conversationHistory.length }, null, error);
+      this._logRequest('suggestNextSigns', { historyLength: conversationHistory.length }, null, error, prompt);
       throw error;
     }
   }
@@ -1127,52 +1010,30 @@ Respond with ONLY a JSON object (no markdown):
    * @returns {Object} Translated sequence with notes
    */
   async translateDialect(signSequence, fromDialect, toDialect) {
-    const fromInfo = this.dialectConfig[fromDialect];
-    const toInfo = this.dialectConfig[toDialect];
-
-    const prompt = `You are an expert in multiple sign languages. Translate this sign sequence from ${fromInfo.name} to ${toInfo.name}.
-
-SOURCE (${fromDialect}):
-${JSON.stringify(signSequence, null, 2)}
-
-LINGUISTIC CONSIDERATIONS:
-FROM ${fromDialect}: ${fromInfo.wordOrder}, ${fromInfo.grammarRules}
-TO ${toDialect}: ${toInfo.wordOrder}, ${toInfo.grammarRules}
-
-INSTRUCTIONS:
-1. Adjust word order if needed (${fromInfo.wordOrder} → ${toInfo.wordOrder})
-2. Find equivalent signs in ${toDialect} - note if signs differ significantly
-3. Adapt non-manual markers to ${toDialect} conventions
-4. Flag any signs that don't have direct equivalents
-5. Preserve the meaning while respecting both languages' structures
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "translatedSequence": [
-    {
-      "gloss": "TARGET-SIGN",
-      "originalGloss": "SOURCE-SIGN",
-      "expression": "appropriate expression for ${toDialect}",
-      "duration": 1.5,
-      "notes": "translation notes",
-      "equivalenceType": "exact|similar|conceptual|fingerspell"
-    }
-  ],
-  "grammarChanges": ["List of structural changes made"],
-  "culturalAdaptations": ["Any cultural adjustments needed"],
-  "warnings": ["Signs that may not translate well"],
-  "confidence": 0.9
-}`;
+    const fromInfo = this._dialectInfo(fromDialect);
+    const toInfo = this._dialectInfo(toDialect);
+
+    const prompt = promptRegistry.render('translateDialect', {
+      signSequence,
+      fromDialect,
+      fromName: fromInfo.name,
+      fromWordOrder: fromInfo.wordOrder,
+      fromGrammarRules: fromInfo.grammarRules,
+      toDialect,
+      toName: toInfo.name,
+      toWordOrder: toInfo.wordOrder,
+      toGrammarRules: toInfo.grammarRules
+    });
 
     try {
-      const result = await this._executeWithRetry(prompt, 'translateDialect', { fromDialect, toDialect, signCount: signSequence.length });
+      const result = await this._executeWithRetry(prompt.text, 'translateDialect', { fromDialect, toDialect, signCount: signSequence.length });
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'translateDialect', { fromDialect, toDialect, signCount: signSequence.length });
 
-      this._logRequest('translateDialect', { fromDialect, toDialect, signCount: signSequence.length }, parsed);
+      this._logRequest('translateDialect', { fromDialect, toDialect, signCount: signSequence.length }, parsed, null, prompt);
       return parsed;
     } catch (error) {
-      this._logRequest('translateDialect', { fromDialect, toDialect }, null, error);
+      this._logRequest('translateDialect', { fromDialect, toDialect }, null, error, prompt);
       throw error;
     }
   }
@@ -1188,89 +1049,68 @@ Respond with ONLY a JSON object (no markdown):
    * @returns {Object} Structured lesson plan
    */
   async generateLessonFromDocument(documentText, dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
+    const prompt = promptRegistry.render('generateLessonFromDocument', { ...this._dialectVars(dialect), documentText: documentText.substring(0, 3000) });
 
-    const prompt = `You are an expert ${dialectInfo.name} curriculum designer. Create a comprehensive sign language lesson from this document.
-
-DOCUMENT CONTENT:
-${documentText.substring(0, 3000)}
-
-TARGET: ${dialectInfo.name} learners
-
-INSTRUCTIONS:
-1. Extract key vocabulary terms that need signs
-2. Create practice sentences using ${dialect} grammar (${dialectInfo.wordOrder})
-3. Organize from simple to complex
-4. Include cultural context where relevant
-5. Add practice exercises and assessments
-6. Consider ${dialectInfo.features.join(', ')}
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "title": "Lesson title based on content",
-  "objectives": ["What learners will achieve"],
-  "estimatedTime": "30 minutes",
-  "difficulty": "beginner|intermediate|advanced",
-  
-  "vocabulary": [
-    {
-      "term": "English word",
-      "sign": {
-        "gloss": "SIGN-GLOSS",
-        "handshape": "description",
-        "movement": "description",
-        "location": "where performed"
-      },
-      "difficulty": "easy|medium|hard",
-      "memoryTip": "Tip to remember this sign",
-      "example": "Example sentence using this sign"
-    }
-  ],
-  
-  "sentences": [
-    {
-      "english": "English sentence",
-      "signSequence": ["SIGN1", "SIGN2", "SIGN3"],
-      "glossString": "Gloss notation with grammar markers",
-      "grammarNote": "Explanation of ${dialect} grammar applied"
-    }
-  ],
-  
-  "culturalNotes": [
-    {
-      "topic": "Cultural aspect",
-      "explanation": "Why this matters in Deaf culture"
-    }
-  ],
-  
-  "exercises": [
-    {
-      "type": "receptive|expressive|matching|fill-blank",
-      "instruction": "What to do",
-      "content": "Exercise content",
-      "answer": "Expected answer"
-    }
-  ],
-  
-  "progression": [
-    {
-      "stage": 1,
-      "focus": "What this stage covers",
-      "signs": ["signs to learn"],
-      "milestone": "What success looks like"
+    try {
+      const result = await this._executeWithRetry(prompt.text, 'generateLessonFromDocument', { docLength: documentText.length, dialect });
+      const response = result.response.text();
+      const parsed = await this._parseResponse(prompt, response, 'generateLessonFromDocument', { docLength: documentText.length, dialect });
+
+      this._logRequest('generateLessonFromDocument', { docLength: documentText.length, dialect }, parsed, null, prompt);
+      return parsed;
+    } catch (error) {
+      this._logRequest('generateLessonFromDocument', { docLength: documentText.length, dialect }, null, error, prompt);
+      throw error;
     }
-  ]
-}`;
+  }
+
+  // ============================================
+  // GENERIC CALLS
+  // For routes and services whose prompts are not methods here
+  // ============================================
+
+  /**
+   * Run a registry prompt, optionally with images, with the same key rotation,
+   * retries, logging and response checking as the methods above
+   * @param {string} name - Prompt name in the registry
+   * @param {Object} variables - Template variables
+   * @param {Object} options - { images: base64 strings or data URLs sent after the prompt, params: logged with the call }
+   * @returns {Promise<*>} Checked answer, or the response text if the prompt has no outputSchema
+   */
+  async runPrompt(name, variables = {}, { images = [], params = {} } = {}) {
+    const prompt = promptRegistry.render(name, variables);
+    const request = images.length > 0 ? [prompt.text, ...images.map(toImagePart)] : prompt.text;
 
     try {
-      const result = await this._executeWithRetry(prompt, 'generateLessonFromDocument', { docLength: documentText.length, dialect });
+      const result = await this._executeWithRetry(request, name, params);
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = prompt.outputSchema ? await this._parseResponse(prompt, response, name, params) : response;
 
-      this._logRequest('generateLessonFromDocument', { docLength: documentText.length, dialect }, parsed);
+      this._logRequest(name, params, parsed, null, prompt);
       return parsed;
     } catch (error) {
-      this._logRequest('generateLessonFromDocument', { docLength: documentText.length, dialect }, null, error);
+      this._logRequest(name, params, null, error, prompt);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a prompt that is not in the registry yet and return the response text
+   * @param {string} text - Prompt text
+   * @param {string} methodName - Name for logs
+   * @param {Object} options - { images, params } as for runPrompt
+   */
+  async generateText(text, methodName, { images = [], params = {} } = {}) {
+    const request = images.length > 0 ? [text, ...images.map(toImagePart)] : text;
+
+    try {
+      const result = await this._executeWithRetry(request, methodName, params);
+      const response = result.response.text();
+
+      this._logRequest(methodName, params, response);
+      return response;
+    } catch (error) {
+      this._logRequest(methodName, params, null, error);
       throw error;
     }
   }
@@ -1303,36 +1143,17 @@ Respond with ONLY a JSON object (no markdown):
    * Get information about a specific sign
    */
   async getSignInfo(signGloss, dialect = 'ASL') {
-    const dialectInfo = this.dialectConfig[dialect];
-
-    const prompt = `Provide detailed information about the ${dialect} sign: ${signGloss}
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "gloss": "${signGloss}",
-  "meaning": "English meaning(s)",
-  "etymology": "How this sign originated",
-  "handshape": "Detailed handshape description",
-  "location": "Where the sign is performed",
-  "movement": "Movement pattern",
-  "palmOrientation": "Which way palm faces",
-  "nonManualMarkers": "Required facial expressions",
-  "variations": "Regional or contextual variations",
-  "commonErrors": ["Mistakes learners often make"],
-  "relatedSigns": ["Signs often confused with this one"],
-  "exampleSentences": ["Example uses in ${dialect}"],
-  "culturalContext": "Any cultural significance"
-}`;
+    const prompt = promptRegistry.render('getSignInfo', { dialect, signGloss });
 
     try {
-      const result = await this._executeWithRetry(prompt, 'getSignInfo', { signGloss, dialect });
+      const result = await this._executeWithRetry(prompt.text, 'getSignInfo', { signGloss, dialect });
       const response = result.response.text();
-      const parsed = this._parseJSON(response);
+      const parsed = await this._parseResponse(prompt, response, 'getSignInfo', { signGloss, dialect });
 
-      this._logRequest('getSignInfo', { signGloss, dialect }, parsed);
+      this._logRequest('getSignInfo', { signGloss, dialect }, parsed, null, prompt);
       return parsed;
     } catch (error) {
-      this._logRequest('getSignInfo', { signGloss, dialect }, null, error);
+      this._logRequest('getSignInfo', { signGloss, dialect }, null, error, prompt);
       throw error;
     }
   }
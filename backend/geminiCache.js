@@ -2,16 +2,39 @@
 // GEMINI RESPONSE CACHE & MOCK MODE
 // Handles rate limiting gracefully
 // ============================================
+//
+// Responses are kept in memory as a bounded LRU with per-method TTLs.
+// Keys combine the prompt template that produced the answer (its registry
+// id, e.g. "textToSignSequence@v2"), the provider/model and the normalized
+// params, so a prompt change or a model switch never serves an old answer.
+// Writes go to an append-only JSONL log (paths.responseCacheFile) in the
+// background; the log is compacted when it grows well past the live entries.
+// A legacy response-cache.json is imported once on first load.
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import crypto from 'crypto';
+import config from './config.js';
 
 // Cache file path
-const CACHE_FILE = path.join(__dirname, 'dataset/metadata/response-cache.json');
+const CACHE_FILE = config.paths.responseCacheFile;
+
+const CACHE_CONFIG = {
+    flushDelayMs: 1000,     // write-behind batching
+    compactRatio: 2,        // rewrite the log when it has this many lines per live entry
+    compactMinLines: 500
+};
+
+// Cached methods and their TTL in seconds
+const CACHED_METHODS = {
+    textToSignSequence: { ttl: 30 * 24 * 60 * 60 },
+    textToSignAnimation: { ttl: 30 * 24 * 60 * 60 },
+    textToPoseKeyframes: { ttl: 30 * 24 * 60 * 60 },
+    textToVideoSequence: { ttl: 7 * 24 * 60 * 60 }
+};
+
+// The model every response in a legacy response-cache.json came from
+const LEGACY_MODEL = 'gemini/gemini-2.0-flash';
 
 // ============================================
 // PRE-BUILT MOCK RESPONSES
@@ -138,76 +161,348 @@ const MOCK_TRANSLATIONS = {
     ]
 };
 
+// ============================================
+// KEY NORMALIZATION
+// ============================================
+
+/**
+ * Params in a canonical form: keys sorted, strings trimmed, lowercased
+ * and whitespace-collapsed ("Hello  World " and "hello world" share a key)
+ */
+function normalizeParams(value) {
+    if (typeof value === 'string') return value.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (Array.isArray(value)) return value.map(normalizeParams);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => [key, normalizeParams(value[key])]));
+    }
+    return value;
+}
+
 // ============================================
 // CACHE MANAGER
 // ============================================
 
 class GeminiCache {
-    constructor() {
-        this.cache = {};
+    /**
+     * @param {Object} options - { file, maxEntries, defaultTtl, ttls } (defaults from config)
+     */
+    constructor(options = {}) {
+        this.file = options.file ?? CACHE_FILE;
+        this.maxEntries = options.maxEntries ?? config.cache.maxEntries;
+        this.defaultTtl = options.defaultTtl ?? config.cache.defaultTtl;
+        this.ttls = { ...options.ttls ?? config.cache.ttls };
+
+        this.entries = new Map(); // key -> entry, least recently used first
+        this.model = 'unknown';   // provider/model, set by GeminiService
+        this.enabled = true; // false = every call goes to the provider (evaluation runs)
         this.stats = {
             hits: 0,
             misses: 0,
-            mockFallbacks: 0
+            mockFallbacks: 0,
+            evictions: 0,
+            expirations: 0
         };
+
+        // Write-behind state
+        this.pending = [];
+        this.flushTimer = null;
+        this.writeChain = Promise.resolve();
+        this.logLines = 0;
+
         this.loadCache();
+        process.once('exit', () => this._flushSync());
     }
 
-    // Load cache from file
+    /**
+     * Model the cached answers come from (part of every key)
+     */
+    setModel(model) {
+        this.model = model;
+    }
+
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+
+    // Replay the append-only log (sync - runs once at startup)
     loadCache() {
         try {
-            if (fs.existsSync(CACHE_FILE)) {
-                const data = fs.readFileSync(CACHE_FILE, 'utf-8');
-                this.cache = JSON.parse(data);
-                console.log(`✅ Loaded ${Object.keys(this.cache).length} cached responses`);
+            if (fs.existsSync(this.file)) {
+                const lines = fs.readFileSync(this.file, 'utf-8').split('\n').filter(Boolean);
+                for (const line of lines) {
+                    try {
+                        this._apply(JSON.parse(line));
+                    } catch {
+                        // A torn last line from a crash - skip it
+                    }
+                }
+                this.logLines = lines.length;
+                this._dropExpired();
+                this._evict();
+                console.log(`✅ Loaded ${this.entries.size} cached responses`);
+            } else {
+                this._importLegacy();
             }
         } catch (error) {
             console.warn('Could not load cache:', error.message);
-            this.cache = {};
+            this.entries.clear();
         }
     }
 
-    // Save cache to file
-    saveCache() {
-        try {
-            const dir = path.dirname(CACHE_FILE);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
+    // Apply one log record
+    _apply(record) {
+        if (record.op === 'set') {
+            this.entries.delete(record.entry.key);
+            this.entries.set(record.entry.key, record.entry);
+        } else if (record.op === 'del') {
+            this.entries.delete(record.key);
+        } else if (record.op === 'clear') {
+            this.entries.clear();
+        }
+    }
+
+    // Old single-object response-cache.json -> log (entries re-keyed under the current model)
+    _importLegacy() {
+        const legacyFile = this.file.replace(/\.jsonl$/, '.json');
+        if (legacyFile === this.file || !fs.existsSync(legacyFile)) return;
+
+        const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf-8'));
+        for (const item of Object.values(legacy)) {
+            if (!item?.method || !item.params) continue;
+            const entry = this._createEntry(item.method, item.params, `${item.method}@v1`, item.response, { createdAt: item.timestamp, model: LEGACY_MODEL });
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) continue;
+            this.entries.set(entry.key, entry);
+        }
+        this._evict();
+        console.log(`✅ Imported ${this.entries.size} cached responses from ${path.basename(legacyFile)}`);
+        this.compact();
+    }
+
+    _append(record) {
+        this.pending.push(JSON.stringify(record));
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), CACHE_CONFIG.flushDelayMs);
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * Write pending records to the log (async, serialized with compaction)
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.writeChain = this.writeChain.then(async () => {
+            if (this.pending.length === 0) return;
+            const lines = this.pending.splice(0);
+            try {
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.appendFile(this.file, lines.join('\n') + '\n');
+                this.logLines += lines.length;
+            } catch (error) {
+                console.warn('Could not save cache:', error.message);
+            }
+            if (this.logLines >= CACHE_CONFIG.compactMinLines &&
+                this.logLines > this.entries.size * CACHE_CONFIG.compactRatio) {
+                await this._rewrite();
             }
-            fs.writeFileSync(CACHE_FILE, JSON.stringify(this.cache, null, 2));
+        });
+        return this.writeChain;
+    }
+
+    /**
+     * Rewrite the log with only the live entries
+     */
+    compact() {
+        this.pending = [];
+        this.writeChain = this.writeChain.then(() => this._rewrite());
+        return this.writeChain;
+    }
+
+    async _rewrite() {
+        this._dropExpired();
+        const lines = [...this.entries.values()].map(entry => JSON.stringify({ op: 'set', entry }));
+        const tmp = `${this.file}.tmp`;
+        try {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.writeFile(tmp, lines.length > 0 ? lines.join('\n') + '\n' : '');
+            await fs.promises.rename(tmp, this.file);
+            this.logLines = lines.length;
         } catch (error) {
-            console.warn('Could not save cache:', error.message);
+            console.warn('Could not compact cache:', error.message);
+        }
+    }
+
+    // Last-chance write on exit (only sync I/O runs in 'exit' handlers)
+    _flushSync() {
+        if (this.pending.length === 0) return;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, this.pending.splice(0).join('\n') + '\n');
+        } catch {
+            // Nothing more we can do while exiting
+        }
+    }
+
+    // ============================================
+    // ENTRIES
+    // ============================================
+
+    /**
+     * Cache key: prompt id, model and a digest of the normalized params
+     */
+    _getCacheKey(params, prompt, model = this.model) {
+        const digest = crypto.createHash('sha1')
+            .update(JSON.stringify(normalizeParams(params)))
+            .digest('hex')
+            .slice(0, 16);
+        return `${prompt}:${model}:${digest}`;
+    }
+
+    // TTL in seconds for a method (0 = never expires)
+    _ttlFor(method) {
+        return this.ttls[method] ?? CACHED_METHODS[method]?.ttl ?? this.defaultTtl;
+    }
+
+    _createEntry(method, params, prompt, response, { createdAt = Date.now(), model = this.model } = {}) {
+        const ttl = this._ttlFor(method);
+        return {
+            key: this._getCacheKey(params, prompt, model),
+            method,
+            params: normalizeParams(params),
+            response,
+            model,
+            prompt,
+            createdAt,
+            expiresAt: ttl > 0 ? createdAt + ttl * 1000 : null
+        };
+    }
+
+    _isExpired(entry, now = Date.now()) {
+        return entry.expiresAt !== null && entry.expiresAt <= now;
+    }
+
+    _dropExpired() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (this._isExpired(entry, now)) {
+                this.entries.delete(key);
+                this.stats.expirations++;
+            }
         }
     }
 
-    // Generate cache key
-    _getCacheKey(method, params) {
-        const normalized = JSON.stringify(params).toLowerCase().trim();
-        return `${method}:${normalized}`;
+    // Drop least recently used entries over maxEntries (not logged - compaction forgets them)
+    _evict() {
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
     }
 
-    // Get from cache
-    get(method, params) {
-        const key = this._getCacheKey(method, params);
-        if (this.cache[key]) {
+    /**
+     * Get from cache
+     * @param {string} method - Cached method name
+     * @param {Object} params - Method params
+     * @param {string} prompt - Id of the rendered prompt ("name@version")
+     */
+    get(method, params, prompt) {
+        if (!this.enabled) return null;
+        const key = this._getCacheKey(params, prompt);
+        const entry = this.entries.get(key);
+
+        if (entry && this._isExpired(entry)) {
+            this.entries.delete(key);
+            this.stats.expirations++;
+        } else if (entry) {
+            // Most recently used goes to the end
+            this.entries.delete(key);
+            this.entries.set(key, entry);
             this.stats.hits++;
-            console.log(`📦 Cache HIT: ${method}`);
-            return this.cache[key].response;
+            console.log(`📦 Cache HIT: ${method} [${prompt}]`);
+            return entry.response;
         }
         this.stats.misses++;
         return null;
     }
 
-    // Save to cache
-    set(method, params, response) {
-        const key = this._getCacheKey(method, params);
-        this.cache[key] = {
-            response,
-            timestamp: Date.now(),
-            method,
-            params
+    /**
+     * Whether a live entry exists (no stats, no LRU bump)
+     */
+    has(method, params, prompt) {
+        const entry = this.entries.get(this._getCacheKey(params, prompt));
+        return Boolean(entry) && !this._isExpired(entry);
+    }
+
+    // Save to cache (same method, params and prompt id as get)
+    set(method, params, prompt, response) {
+        if (!this.enabled) return;
+        const entry = this._createEntry(method, params, prompt, response);
+        this.entries.delete(entry.key);
+        this.entries.set(entry.key, entry);
+        this._evict();
+        this._append({ op: 'set', entry });
+    }
+
+    /**
+     * Entries for inspection, most recently used first
+     * @param {Object} filter - { method, prompt, gloss, limit }
+     */
+    list({ method, prompt, gloss, limit = 50 } = {}) {
+        return [...this.entries.values()]
+            .reverse()
+            .filter(entry => this._matches(entry, { method, prompt, gloss }))
+            .slice(0, limit)
+            .map(({ response, ...entry }) => ({
+                ...entry,
+                expired: this._isExpired(entry),
+                glosses: this._glossesOf(response)
+            }));
+    }
+
+    /**
+     * Remove entries by method, prompt id and/or gloss (no filter = everything)
+     * @returns {number} Entries removed
+     */
+    invalidate({ method, prompt, gloss } = {}) {
+        if (!method && !prompt && !gloss) {
+            const removed = this.entries.size;
+            this.clear();
+            return removed;
+        }
+
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (!this._matches(entry, { method, prompt, gloss })) continue;
+            this.entries.delete(key);
+            this._append({ op: 'del', key });
+            removed++;
+        }
+        if (removed > 0) console.log(`🧹 Invalidated ${removed} cached responses${method ? ` [${method}]` : ''}${prompt ? ` [${prompt}]` : ''}${gloss ? ` (${gloss})` : ''}`);
+        return removed;
+    }
+
+    _matches(entry, { method, prompt, gloss }) {
+        if (method && entry.method !== method) return false;
+        if (prompt && entry.prompt !== prompt) return false;
+        if (gloss && !this._glossesOf(entry.response).includes(gloss.toUpperCase())) return false;
+        return true;
+    }
+
+    // Every "gloss" value anywhere in a response
+    _glossesOf(response) {
+        const glosses = new Set();
+        const visit = (value) => {
+            if (Array.isArray(value)) value.forEach(visit);
+            else if (value && typeof value === 'object') {
+                if (typeof value.gloss === 'string') glosses.add(value.gloss.toUpperCase());
+                Object.values(value).forEach(visit);
+            }
         };
-        this.saveCache();
+        visit(response);
+        return [...glosses];
     }
 
     // Get mock response for common phrases
@@ -263,9 +558,21 @@ class GeminiCache {
 
     // Get cache statistics
     getStats() {
+        const byMethod = {};
+        const byPrompt = {};
+        for (const entry of this.entries.values()) {
+            byMethod[entry.method] = (byMethod[entry.method] || 0) + 1;
+            byPrompt[entry.prompt] = (byPrompt[entry.prompt] || 0) + 1;
+        }
         return {
             ...this.stats,
-            cacheSize: Object.keys(this.cache).length,
+            cacheSize: this.entries.size,
+            maxEntries: this.maxEntries,
+            byMethod,
+            byPrompt,
+            model: this.model,
+            logLines: this.logLines,
+            pendingWrites: this.pending.length,
             hitRate: this.stats.hits + this.stats.misses > 0
                 ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(1) + '%'
                 : 'N/A'
@@ -274,8 +581,8 @@ class GeminiCache {
 
     // Clear cache
     clear() {
-        this.cache = {};
-        this.saveCache();
+        this.entries.clear();
+        this.compact();
     }
 }
 
@@ -283,4 +590,4 @@ class GeminiCache {
 const geminiCache = new GeminiCache();
 
 export default geminiCache;
-export { MOCK_TRANSLATIONS, GeminiCache };
+export { MOCK_TRANSLATIONS, CACHED_METHODS, GeminiCache, normalizeParams };
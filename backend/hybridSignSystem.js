@@ -251,19 +251,16 @@ class HybridSignSystem {
     // ============================================
 
     getFingerspelling(gloss, dialect) {
-        const letters = gloss.replace(/_/g, '').split('');
+        const letters = this.fallbackSystem.generateFingerspelling(gloss, dialect);
 
         return {
             type: 'fingerspelling',
             source: 'fingerspelling',
             gloss: gloss,
             dialect: dialect,
-            letters: letters.map((letter, i) => ({
-                letter: letter.toUpperCase(),
-                index: i,
-                duration: 0.8
-            })),
-            totalDuration: letters.length * 0.8,
+            letters,
+            animation: this.fallbackSystem.generateFingerspellingAnimation(letters),
+            totalDuration: this.fallbackSystem.getFingerspellingDuration(letters),
             description: `Fingerspell: ${gloss.replace(/_/g, ' ')}`,
             fallback: true
         };
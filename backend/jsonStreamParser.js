@@ -0,0 +1,118 @@
+// ============================================
+// JSON ARRAY STREAM PARSER
+// Emits array elements as soon as each one is complete
+// ============================================
+//
+// Gemini streams a JSON array in arbitrary text chunks. Waiting for the full
+// response before parsing means the avatar sits idle; this parser tracks
+// nesting depth and string state across chunks so every top-level element
+// can be parsed the moment its closing brace arrives.
+//
+//   const parser = new JsonArrayStreamParser();
+//   parser.push('```json\n[{"gloss": "HEL');   // -> []
+//   parser.push('LO"}, {"gloss"');             // -> [{ gloss: 'HELLO' }]
+//   parser.push(': "YOU"}]\n```');             // -> [{ gloss: 'YOU' }]
+//   parser.end();                              // throws if the array never closed
+
+class JsonArrayStreamParser {
+    constructor() {
+        this.state = 'before';   // before -> array -> done
+        this.depth = 0;          // 1 = inside the top-level array
+        this.inString = false;
+        this.escaped = false;
+        this.current = '';       // Text of the element being received
+        this.count = 0;          // Elements emitted so far
+    }
+
+    /**
+     * Feed the next chunk of text
+     * @param {string} text - Raw chunk (markdown fences and prose before the array are ignored)
+     * @returns {Array} Elements completed by this chunk
+     */
+    push(text) {
+        const completed = [];
+
+        for (const ch of text) {
+            if (this.state === 'before') {
+                if (ch === '[') {
+                    this.state = 'array';
+                    this.depth = 1;
+                }
+                continue;
+            }
+            if (this.state === 'done') continue;
+
+            if (this.inString) {
+                this.current += ch;
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (ch === '\\') {
+                    this.escaped = true;
+                } else if (ch === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                this.inString = true;
+                this.current += ch;
+            } else if (ch === '{' || ch === '[') {
+                this.depth++;
+                this.current += ch;
+            } else if (ch === '}' || ch === ']') {
+                this.depth--;
+                if (this.depth === 0) {
+                    // Closing bracket of the top-level array
+                    this._flush(completed);
+                    this.state = 'done';
+                } else {
+                    this.current += ch;
+                    if (this.depth === 1) this._flush(completed);
+                }
+            } else if (ch === ',' && this.depth === 1) {
+                this._flush(completed);
+            } else if (this.current || !/\s/.test(ch)) {
+                this.current += ch;
+            }
+        }
+
+        return completed;
+    }
+
+    /**
+     * Finish the stream
+     * @returns {Array} A trailing element if the array was left unterminated but the element is complete
+     * @throws {Error} If no array was found or the last element is truncated
+     */
+    end() {
+        if (this.state === 'before') {
+            throw new Error('No JSON array found in stream');
+        }
+        if (this.state === 'done') return [];
+
+        const completed = [];
+        if (this.depth === 1 && !this.inString) {
+            this._flush(completed);
+            this.state = 'done';
+            return completed;
+        }
+        throw new Error(`JSON array stream ended mid-element after ${this.count} element(s)`);
+    }
+
+    get isDone() {
+        return this.state === 'done';
+    }
+
+    _flush(completed) {
+        const text = this.current.trim();
+        this.current = '';
+        if (!text) return;
+
+        completed.push(JSON.parse(text));
+        this.count++;
+    }
+}
+
+export { JsonArrayStreamParser };
+export default JsonArrayStreamParser;
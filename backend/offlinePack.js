@@ -0,0 +1,180 @@
+// ============================================
+// OFFLINE TRANSLATION PACK
+// Everything the browser needs to translate text to avatar signs with no
+// connection, bundled per dialect for the service worker
+// ============================================
+//
+// Pack contents:
+//   glossMappings    - data/gloss-mappings.json (textToGloss rules, ASL glosses)
+//   mockTranslations - geminiCache phrase table (getMockTranslation, ASL glosses)
+//   verifiedSigns    - data/verified-signs.json signs (ASL only)
+//   avatarSigns      - avatar lexicon definitions for the dialect
+//   fingerspelling   - the dialect's manual alphabet and letter timing
+//
+// The phrase tables and verified signs only exist for ASL. Other dialects get
+// them empty and lexiconOnly: true - they sign words their avatar lexicon
+// has and fingerspell the rest.
+//
+// The pack version is a hash of its contents, so it changes whenever any of
+// the sources change and the service worker can revalidate with an ETag.
+// Built packs are kept until the avatar lexicon (its content hash) or one of
+// the data files (its modification time) changes.
+// frontend/src/utils/offlinePack.js is the client-side port of
+// textToGloss / getMockTranslation that reads it.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { MOCK_TRANSLATIONS } from './geminiCache.js';
+import avatarLexicon from './avatarLexicon.js';
+import {
+    getAlphabet,
+    LETTER_DURATION,
+    LETTER_TRANSITION,
+    DOUBLE_LETTER_PATH
+} from './fingerspellingAlphabets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PACK_FORMAT = 1;
+const PACK_DIALECTS = ['ASL', 'BSL', 'ISL'];
+// Dialect the gloss mappings, phrase table and verified signs are written in
+const PHRASE_DIALECT = 'ASL';
+
+const GLOSS_MAPPINGS_PATH = path.join(__dirname, 'data/gloss-mappings.json');
+const VERIFIED_SIGNS_PATH = path.join(__dirname, 'data/verified-signs.json');
+
+// Modification time and size of a source file, or '-' when it is missing
+function fileStamp(file) {
+    try {
+        const stat = fs.statSync(file);
+        return `${stat.mtimeMs}:${stat.size}`;
+    } catch {
+        return '-';
+    }
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️ Offline pack: could not read ${path.basename(file)}:`, error.message);
+        return null;
+    }
+}
+
+// ============================================
+// OFFLINE PACK CLASS
+// ============================================
+
+class OfflinePack {
+    constructor() {
+        this.dialects = PACK_DIALECTS;
+        this.packs = new Map(); // dialect -> { sources, pack, summary }
+    }
+
+    /**
+     * The pack for a dialect, rebuilt only when one of its sources changed
+     * @returns {Object} See build()
+     */
+    get(dialect = 'ASL') {
+        return this._cached(dialect.toUpperCase()).pack;
+    }
+
+    _cached(key) {
+        const phrases = key === PHRASE_DIALECT;
+        const sources = [
+            avatarLexicon.etag(key),
+            phrases ? fileStamp(GLOSS_MAPPINGS_PATH) : '',
+            phrases ? fileStamp(VERIFIED_SIGNS_PATH) : ''
+        ].join('|');
+
+        let cached = this.packs.get(key);
+        if (cached?.sources !== sources) {
+            const pack = this.build(key);
+            cached = {
+                sources,
+                pack,
+                summary: {
+                    dialect: key,
+                    version: pack.version,
+                    url: `/api/offline-pack/${key}`,
+                    lexiconOnly: pack.lexiconOnly,
+                    bytes: Buffer.byteLength(JSON.stringify(pack)),
+                    avatarSigns: Object.keys(pack.avatarSigns).length,
+                    phrases: Object.keys(pack.mockTranslations).length + Object.keys(pack.glossMappings.mappings).length
+                }
+            };
+            this.packs.set(key, cached);
+        }
+        return cached;
+    }
+
+    /**
+     * Build the pack for a dialect
+     * @returns {Object} { format, dialect, version, createdAt, lexiconOnly,
+     *   glossMappings, mockTranslations, verifiedSigns, avatarSigns, fingerspelling }
+     */
+    build(dialect = 'ASL') {
+        const key = dialect.toUpperCase();
+        const lexiconOnly = key !== PHRASE_DIALECT;
+        const glossMappings = (lexiconOnly ? null : readJson(GLOSS_MAPPINGS_PATH)) || {};
+        const verified = lexiconOnly ? null : readJson(VERIFIED_SIGNS_PATH);
+        const alphabet = getAlphabet(key);
+
+        const content = {
+            lexiconOnly,
+            glossMappings: {
+                mappings: glossMappings.mappings || {},
+                word_order_transforms: glossMappings.word_order_transforms || [],
+                grammar_rules: glossMappings.grammar_rules || {}
+            },
+            mockTranslations: lexiconOnly ? {} : MOCK_TRANSLATIONS,
+            verifiedSigns: verified?.signs || {},
+            avatarSigns: avatarLexicon.getLexicon(key).signs,
+            fingerspelling: {
+                alphabet: alphabet.name,
+                twoHanded: alphabet.twoHanded,
+                letters: alphabet.letters,
+                digits: alphabet.digits,
+                letterDuration: LETTER_DURATION,
+                transition: LETTER_TRANSITION,
+                doubleLetterPath: DOUBLE_LETTER_PATH
+            }
+        };
+
+        const hash = crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').slice(0, 12);
+        return {
+            format: PACK_FORMAT,
+            dialect: key,
+            version: `${PACK_FORMAT}-${hash}`,
+            createdAt: new Date().toISOString(),
+            ...content
+        };
+    }
+
+    /**
+     * ETag for a built pack (the version is already a content hash)
+     */
+    etag(pack) {
+        return `"${pack.version}"`;
+    }
+
+    /**
+     * Available packs with their versions and sizes
+     */
+    getManifest() {
+        return {
+            format: PACK_FORMAT,
+            packs: this.dialects.map(dialect => this._cached(dialect).summary)
+        };
+    }
+}
+
+// Singleton instance
+const offlinePack = new OfflinePack();
+
+export default offlinePack;
+export { OfflinePack, PACK_FORMAT, PACK_DIALECTS };
@@ -0,0 +1,87 @@
+// backend/providers/fixtureStore.js
+// Recorded prompt/response fixtures shared by the stub and record providers
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const RECORDING_FILE = 'recorded.json';
+
+/**
+ * Flatten any generateContent/embedContent request into a stable string.
+ * Accepts a prompt string, an array of parts, or { contents: [...] }.
+ * Inline media is reduced to a digest so fixtures stay small.
+ */
+function contentsToText(request) {
+    if (request == null) return '';
+    if (typeof request === 'string') return request;
+    if (Array.isArray(request)) return request.map(contentsToText).join('\n');
+
+    if (request.text !== undefined) return String(request.text);
+    if (request.inlineData) {
+        const digest = crypto.createHash('sha256').update(request.inlineData.data || '').digest('hex');
+        return `[${request.inlineData.mimeType || 'media'}:${digest.substring(0, 16)}]`;
+    }
+    if (request.parts) return contentsToText(request.parts);
+    if (request.contents) return contentsToText(request.contents);
+    if (request.content) return contentsToText(request.content);
+
+    return JSON.stringify(request);
+}
+
+/**
+ * Fixture key for a request against a given model
+ */
+function fingerprint(modelName, request) {
+    return crypto
+        .createHash('sha256')
+        .update(`${modelName}\n${contentsToText(request)}`)
+        .digest('hex');
+}
+
+/**
+ * Load every *.json fixture file in a directory into one lookup table
+ * @param {string} dir - Fixture directory
+ * @returns {Object} fingerprint -> { model, preview, text }
+ */
+function loadFixtures(dir = DEFAULT_FIXTURE_DIR) {
+    const fixtures = {};
+    if (!fs.existsSync(dir)) return fixtures;
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        try {
+            Object.assign(fixtures, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')));
+        } catch (error) {
+            console.warn(`⚠️ Could not load fixture file ${file}:`, error.message);
+        }
+    }
+
+    return fixtures;
+}
+
+/**
+ * Append a recorded response to the recording file in a fixture directory
+ */
+function saveFixture(dir, key, entry) {
+    const file = path.join(dir || DEFAULT_FIXTURE_DIR, RECORDING_FILE);
+    let recorded = {};
+
+    try {
+        if (fs.existsSync(file)) {
+            recorded = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } else {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+        recorded[key] = entry;
+        fs.writeFileSync(file, JSON.stringify(recorded, null, 2));
+    } catch (error) {
+        console.warn('Could not save fixture:', error.message);
+    }
+}
+
+export { contentsToText, fingerprint, loadFixtures, saveFixture, DEFAULT_FIXTURE_DIR };
@@ -0,0 +1,37 @@
+// backend/providers/geminiProvider.js
+// Google Gemini implementation of the LLM provider interface
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Thin wrapper around GoogleGenerativeAI so that every service talks to the
+ * same provider interface. Models returned by getGenerativeModel() are the
+ * SDK models themselves (generateContent, embedContent, ...).
+ */
+class GeminiProvider {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.requiresApiKey = true;
+        this.apiKey = options.apiKey ?? firstKey(process.env.GEMINI_API_KEY);
+        this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+
+    /**
+     * Get a model handle
+     * @param {Object} params - Same params as GoogleGenerativeAI.getGenerativeModel
+     */
+    getGenerativeModel(params) {
+        return this.client.getGenerativeModel(params);
+    }
+}
+
+/**
+ * GEMINI_API_KEY may hold a comma-separated list; single-key callers use the first
+ */
+function firstKey(value) {
+    if (!value) return value;
+    return value.split(',')[0].trim();
+}
+
+export { GeminiProvider };
+export default GeminiProvider;
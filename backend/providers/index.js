@@ -0,0 +1,72 @@
+// backend/providers/index.js
+// LLM provider registry - every service gets its models from here
+//
+// Select a provider with LLM_PROVIDER:
+//   gemini  - Google Gemini (default, needs GEMINI_API_KEY)
+//   stub    - deterministic offline responses, replays providers/fixtures/*.json
+//   record  - calls Gemini and records responses as fixtures for the stub
+
+import dotenv from 'dotenv';
+import { GeminiProvider } from './geminiProvider.js';
+import { StubProvider } from './stubProvider.js';
+import { RecordProvider } from './recordProvider.js';
+
+dotenv.config();
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    stub: StubProvider,
+    record: RecordProvider
+};
+
+let defaultProvider = null;
+
+/**
+ * Name of the configured provider
+ */
+function getProviderName() {
+    return (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+/**
+ * Create a new provider instance
+ * @param {string|Object} name - Provider name, or an existing provider instance
+ * @param {Object} options - Provider options ({ apiKey, fixtureDir })
+ */
+function createProvider(name = getProviderName(), options = {}) {
+    if (name && typeof name === 'object') return name;
+
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider(options);
+}
+
+/**
+ * Shared provider used by the module-level services
+ */
+function getProvider() {
+    if (!defaultProvider) {
+        defaultProvider = createProvider();
+    }
+    return defaultProvider;
+}
+
+/**
+ * Replace the shared provider (e.g. with a StubProvider in tests).
+ * Affects services that look up their model after this call.
+ */
+function setProvider(provider) {
+    defaultProvider = typeof provider === 'string' ? createProvider(provider) : provider;
+}
+
+export {
+    createProvider,
+    getProvider,
+    setProvider,
+    getProviderName,
+    GeminiProvider,
+    StubProvider,
+    RecordProvider
+};
@@ -0,0 +1,65 @@
+// backend/providers/recordProvider.js
+// Pass-through provider that records live Gemini responses as stub fixtures
+
+import { GeminiProvider } from './geminiProvider.js';
+import { contentsToText, fingerprint, saveFixture } from './fixtureStore.js';
+
+class RecordingModel {
+    constructor(provider, params) {
+        this.provider = provider;
+        this.model = params.model;
+        this.inner = provider.inner.getGenerativeModel(params);
+    }
+
+    async generateContent(request) {
+        const result = await this.inner.generateContent(request);
+        const text = result.response.text();
+
+        saveFixture(this.provider.fixtureDir, fingerprint(this.model, request), {
+            model: this.model,
+            preview: contentsToText(request).substring(0, 120),
+            text
+        });
+
+        return result;
+    }
+
+    async generateContentStream(request) {
+        const result = await this.inner.generateContentStream(request);
+
+        // The aggregated response settles once the stream has been consumed
+        result.response
+            .then(response => saveFixture(this.provider.fixtureDir, fingerprint(this.model, request), {
+                model: this.model,
+                preview: contentsToText(request).substring(0, 120),
+                text: response.text()
+            }))
+            .catch(() => { /* failed streams are not recorded */ });
+
+        return result;
+    }
+
+    async embedContent(request) {
+        return this.inner.embedContent(request);
+    }
+}
+
+/**
+ * Calls Gemini for real and writes every text response to
+ * providers/fixtures/recorded.json so the stub provider can replay it offline.
+ */
+class RecordProvider {
+    constructor(options = {}) {
+        this.name = 'record';
+        this.requiresApiKey = true;
+        this.fixtureDir = options.fixtureDir || process.env.LLM_FIXTURE_DIR;
+        this.inner = new GeminiProvider(options);
+    }
+
+    getGenerativeModel(params) {
+        return new RecordingModel(this, params);
+    }
+}
+
+export { RecordProvider };
+export default RecordProvider;
@@ -0,0 +1,544 @@
+// backend/providers/stubProvider.js
+// Deterministic offline provider: replays recorded fixtures, otherwise
+// synthesizes well-formed responses for the prompts the backend sends
+
+import { MOCK_TRANSLATIONS } from '../geminiCache.js';
+import { contentsToText, fingerprint, loadFixtures, DEFAULT_FIXTURE_DIR } from './fixtureStore.js';
+
+const EMBEDDING_DIMENSIONS = 256;
+const STREAM_CHUNK_SIZE = 24;   // Characters per streamed chunk
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * FNV-1a hash - stable across runs and platforms
+ */
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function extract(prompt, pattern, fallback = '') {
+    const match = prompt.match(pattern);
+    return match ? match[1].trim() : fallback;
+}
+
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a sign sequence from the mock phrase table, fingerspelling unknown words
+ */
+function glossSequence(text) {
+    const normalized = text.toLowerCase().trim();
+    const stripped = normalized.replace(/[^\w\s'-]/g, '').trim();
+
+    const phrase = MOCK_TRANSLATIONS[normalized] || MOCK_TRANSLATIONS[stripped];
+    if (phrase) return phrase.map(sign => ({ ...sign }));
+
+    return stripped.split(/\s+/).filter(Boolean).flatMap(word => {
+        if (MOCK_TRANSLATIONS[word]) return MOCK_TRANSLATIONS[word].map(sign => ({ ...sign }));
+        return [{
+            gloss: word.toUpperCase(),
+            expression: 'neutral',
+            duration: Number((word.length * 0.3).toFixed(1)),
+            type: 'fingerspell',
+            handShape: 'Fingerspelling',
+            movement: 'Spell letters',
+            location: 'neutral-space',
+            notes: `Fingerspell: ${word}`
+        }];
+    });
+}
+
+function glossToEnglish(gloss) {
+    const words = gloss.replace(/-/g, ' ').toLowerCase().trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// ============================================
+// RESPONDERS
+// Each responder recognizes one prompt family by a marker phrase.
+// Order matters: the first match wins.
+// ============================================
+
+const STUB_RESPONDERS = [
+    {
+        name: 'testConnection',
+        test: p => p.includes('Say "API connected"'),
+        respond: () => 'API connected'
+    },
+    {
+        // Before the others: the answer being repaired may contain their marker phrases.
+        // It comes back unchanged, so offline runs take the same path as a failed
+        // repair instead of passing placeholder values as valid
+        name: 'jsonRepair',
+        test: p => p.includes('but it does not match its JSON Schema'),
+        respond: p => extract(p, /RESPONSE:\n([\s\S]*?)\n\nReturn ONLY/)
+    },
+    {
+        name: 'textToSignSequence',
+        test: p => p.includes('TEXT TO TRANSLATE:'),
+        respond: p => glossSequence(extract(p, /TEXT TO TRANSLATE: "([\s\S]*?)"\n/))
+    },
+    {
+        name: 'textToSignAnimation',
+        test: p => p.includes('animation states for a 3D avatar'),
+        respond: p => ({
+            signs: glossSequence(extract(p, /Input Text: "([\s\S]*?)"\n/)).map(sign => ({
+                gloss: sign.gloss,
+                duration: sign.duration,
+                hand_shape: sign.type === 'fingerspell' ? 'IndexPoint' : 'OpenPalm',
+                target_position: { right_hand: { x: 0.1, y: 1.3, z: 0.5 } },
+                movement_action: 'Hold',
+                facial_expression: sign.expression === 'raised-eyebrows' ? 'EyebrowsUp' : 'Neutral'
+            }))
+        })
+    },
+    {
+        name: 'textToPoseKeyframes',
+        test: p => p.includes('INPUT PHRASE:'),
+        respond: p => {
+            const phrase = extract(p, /INPUT PHRASE: "([\s\S]*?)"\n/);
+            const signs = glossSequence(phrase).map(sign => ({
+                sign: sign.gloss,
+                duration_ms: Math.round(sign.duration * 1000),
+                keyframes: [{
+                    timestamp_ms: 0,
+                    pose: {
+                        right_hand: { position: [0.3, 1.3, 0.5], rotation: [0, 0, 0], handshape: sign.handShape },
+                        left_hand: { position: [-0.3, 1.0, 0.3], rotation: [0, 0, 0], handshape: 'Relaxed' },
+                        head: { position: [0, 1.7, 0], rotation: [0, 0, 0] },
+                        torso: { rotation: [0, 0, 0] },
+                        face: { eyebrows: sign.expression === 'raised-eyebrows' ? 'raised' : 'neutral', eyes: 'open', mouth: 'relaxed' }
+                    }
+                }],
+                notes: sign.movement
+            }));
+            return {
+                phrase,
+                language: extract(p, /"language": "(\w+)"/, 'ASL'),
+                total_duration_ms: signs.reduce((sum, s) => sum + s.duration_ms, 0),
+                signs,
+                transition_notes: 'Stub provider - straight transitions'
+            };
+        }
+    },
+    {
+        name: 'signToText',
+        test: p => p.includes('sign language gloss notation into natural English'),
+        respond: p => {
+            const gloss = extract(p, /GLOSS: (.+)\n/);
+            const englishText = glossToEnglish(gloss);
+            return {
+                englishText,
+                formalRegister: englishText,
+                confidence: 0.9,
+                alternativeInterpretations: [],
+                notes: 'Stub provider translation'
+            };
+        }
+    },
+    {
+        name: 'analyzeSignAccuracy',
+        test: p => p.includes('INTENDED SIGN:'),
+        respond: p => {
+            const sign = extract(p, /INTENDED SIGN: "(.+?)"/);
+            const accuracy = 60 + (hash(p) % 36);
+            return {
+                accuracy,
+                overallAssessment: accuracy >= 80 ? 'Good attempt with minor adjustments needed' : 'Keep practicing the basic form',
+                corrections: accuracy >= 90 ? [] : [{
+                    aspect: 'handshape',
+                    issue: `Handshape for ${sign} is not fully formed`,
+                    correction: 'Keep fingers together and thumb tucked',
+                    importance: 'important'
+                }],
+                correctExecution: {
+                    handshape: 'Flat hand',
+                    location: 'Neutral space',
+                    movement: 'Single outward movement',
+                    palmOrientation: 'Palm facing out',
+                    nonManualMarkers: 'Neutral expression'
+                },
+                culturalNote: `${sign} is one of the first signs most learners practice.`,
+                encouragement: 'Nice work - you are getting closer!',
+                practiceExercise: `Sign ${sign} slowly five times in front of a mirror.`
+            };
+        }
+    },
+    {
+        name: 'detectObjectsInScene',
+        test: p => p.includes('identify all visible objects'),
+        respond: () => ({
+            objects: [
+                { object: 'cup', position: 'left', verticalPosition: 'middle', boundingBox: { x: 0.1, y: 0.4, width: 0.15, height: 0.2 }, confidence: 0.92, aslSign: 'CUP', pointingAngle: 'left, slightly down' },
+                { object: 'book', position: 'center', verticalPosition: 'bottom', boundingBox: { x: 0.42, y: 0.7, width: 0.2, height: 0.15 }, confidence: 0.88, aslSign: 'BOOK', pointingAngle: 'straight ahead, down' },
+                { object: 'door', position: 'right', verticalPosition: 'top', boundingBox: { x: 0.75, y: 0.05, width: 0.2, height: 0.6 }, confidence: 0.81, aslSign: 'DOOR', pointingAngle: 'right, up' }
+            ],
+            sceneDescription: 'An indoor room with a table and a door',
+            suggestedReferences: ['cup', 'book', 'door']
+        })
+    },
+    {
+        name: 'predictSignFromImage',
+        test: p => p.includes('Identify the specific sign being performed'),
+        respond: () => ({
+            gloss: 'HELLO',
+            english: 'Hello',
+            confidence: 0.75,
+            description: 'Stub provider prediction'
+        })
+    },
+    {
+        name: 'suggestNextSigns',
+        test: p => p.includes('suggest signs the user might need next'),
+        respond: () => ({
+            suggestions: [
+                { gloss: 'THANK-YOU', meaning: 'Thank you', reason: 'Common acknowledgment', category: 'response', likelihood: 0.8, usage: 'THANK-YOU' },
+                { gloss: 'UNDERSTAND', meaning: 'Understand', reason: 'Confirms comprehension', category: 'response', likelihood: 0.6, usage: 'YES UNDERSTAND' },
+                { gloss: 'AGAIN', meaning: 'Again', reason: 'Ask for repetition', category: 'clarification', likelihood: 0.4, usage: 'AGAIN PLEASE' }
+            ],
+            topicPredictions: ['greetings'],
+            conversationPhase: 'exchange'
+        })
+    },
+    {
+        name: 'translateDialect',
+        test: p => p.includes('Translate this sign sequence from'),
+        respond: p => {
+            let source = [];
+            try {
+                source = JSON.parse(extract(p, /SOURCE \(\w+\):\n([\s\S]*?)\n\nLINGUISTIC/, '[]'));
+            } catch {
+                source = [];
+            }
+            return {
+                // switch-dialect sends glosses or translation items
+                translatedSequence: source.map(sign => typeof sign === 'string' ? { gloss: sign } : sign).map(sign => ({
+                    gloss: sign.gloss,
+                    originalGloss: sign.gloss,
+                    expression: sign.expression || 'neutral',
+                    duration: sign.duration || 1.0,
+                    notes: 'Stub provider - gloss kept as-is',
+                    equivalenceType: 'similar'
+                })),
+                grammarChanges: [],
+                culturalAdaptations: [],
+                warnings: [`Stub provider does not translate to ${extract(p, /TO (\w+): /)}`],
+                confidence: 0.5
+            };
+        }
+    },
+    {
+        name: 'generateLessonFromDocument',
+        test: p => p.includes('DOCUMENT CONTENT:'),
+        respond: p => {
+            const document = extract(p, /DOCUMENT CONTENT:\n([\s\S]*?)\n\nTARGET:/);
+            const counts = new Map();
+            for (const word of document.toLowerCase().match(/[a-z]{4,}/g) || []) {
+                counts.set(word, (counts.get(word) || 0) + 1);
+            }
+            // Map preserves insertion order, so ties keep document order
+            const terms = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([word]) => word);
+
+            return {
+                title: document.split('\n')[0].substring(0, 60) || 'Untitled Lesson',
+                objectives: terms.map(term => `Sign ${term.toUpperCase()}`),
+                estimatedTime: `${terms.length * 5} minutes`,
+                difficulty: 'beginner',
+                vocabulary: terms.map(term => ({
+                    term,
+                    sign: { gloss: term.toUpperCase(), handshape: 'Flat hand', movement: 'Outward', location: 'Neutral space' },
+                    difficulty: 'easy',
+                    memoryTip: `Think of the shape of "${term}"`,
+                    example: `${term.toUpperCase()} IMPORTANT`
+                })),
+                sentences: terms.length ? [{
+                    english: `This is about ${terms[0]}.`,
+                    signSequence: ['THIS', terms[0].toUpperCase()],
+                    glossString: `THIS ${terms[0].toUpperCase()}`,
+                    grammarNote: 'Topic-comment order'
+                }] : [],
+                culturalNotes: [],
+                exercises: terms.map(term => ({
+                    type: 'expressive',
+                    instruction: `Sign the word "${term}"`,
+                    content: term,
+                    answer: term.toUpperCase()
+                })),
+                progression: [{ stage: 1, focus: 'Core vocabulary', signs: terms.map(t => t.toUpperCase()), milestone: 'Sign every term' }]
+            };
+        }
+    },
+    {
+        name: 'getSignInfo',
+        test: p => p.includes('Provide detailed information about the'),
+        respond: p => {
+            const gloss = extract(p, /sign: (.+)\n/);
+            return {
+                gloss,
+                meaning: glossToEnglish(gloss),
+                etymology: 'Unknown (stub provider)',
+                handshape: 'Flat hand',
+                location: 'Neutral space',
+                movement: 'Single outward movement',
+                palmOrientation: 'Palm facing out',
+                nonManualMarkers: 'Neutral expression',
+                variations: 'None recorded',
+                commonErrors: [],
+                relatedSigns: [],
+                exampleSentences: [gloss],
+                culturalContext: ''
+            };
+        }
+    },
+    {
+        name: 'textToVideoSequence',
+        test: p => p.includes('AVAILABLE VIDEOS:'),
+        respond: p => {
+            const available = extract(p, /AVAILABLE VIDEOS:\n(.+)\n/).split(/,\s*/);
+            const videos = [];
+            const missing = [];
+
+            for (const sign of glossSequence(extract(p, /SENTENCE: "([\s\S]*?)"\n/))) {
+                const filename = `${sign.gloss.toLowerCase()}.mp4`;
+                if (available.includes(filename)) {
+                    videos.push({ filename, gloss: sign.gloss, duration: sign.duration, notes: '' });
+                } else {
+                    missing.push(sign.gloss.toLowerCase());
+                }
+            }
+
+            return {
+                videos,
+                missingConcepts: missing,
+                fingerspellRequired: missing,
+                dialectNotes: 'Stub provider - mock phrase order'
+            };
+        }
+    },
+    {
+        name: 'translateToSign',
+        test: p => p.includes('accurate sign language pose data'),
+        respond: p => {
+            const text = extract(p, /INPUT TEXT: "([\s\S]*?)"\n/);
+            const signs = glossSequence(text).map((sign, i) => ({
+                gloss: sign.gloss,
+                start_ms: i * 800,
+                end_ms: (i + 1) * 800,
+                frames: [0, 400, 800].map(t => ({
+                    timestamp_ms: t,
+                    right_hand: { position: [0.1, 0.4, 0.4], rotation: [0, 0, 0], handshape: 'flat', palm_orientation: 'forward' },
+                    left_hand: { position: [-0.3, 0, 0.2], rotation: [0, 0, 0], handshape: 'flat', palm_orientation: 'back' },
+                    head: { rotation: [0, 0, 0], position: [0, 0.7, 0] },
+                    face: { eyebrows: 'neutral', eyes: 'normal', mouth: 'closed', head_nod: 'none' },
+                    torso: { lean: [0, 0] }
+                }))
+            }));
+            return {
+                original_text: text,
+                language: extract(p, /You are an expert (\S+) interpreter/, 'ASL'),
+                total_duration_ms: signs.length * 800,
+                signs,
+                notes: 'Stub provider pose data',
+                difficulty: 'beginner'
+            };
+        }
+    },
+    {
+        name: 'provideSignFeedback',
+        test: p => p.includes("Compare the student's signing attempt to the reference"),
+        respond: p => {
+            const sign = extract(p, /TARGET SIGN: "(.+?)"/);
+            const accuracy = 60 + (hash(p) % 36);
+            return {
+                sign,
+                language: extract(p, /You are an expert (\S+) instructor/, 'ASL'),
+                overall_accuracy: accuracy,
+                breakdown: { hand_shape_match: accuracy, position_match: accuracy, orientation_match: accuracy, facial_expression_match: accuracy },
+                specific_issues: accuracy >= 80 ? [] : ['Palm should face downward, not forward'],
+                what_is_correct: ['Good hand height'],
+                corrective_actions: accuracy >= 80 ? [] : [{ priority: 1, issue: 'Palm orientation', action: 'Rotate your wrist so palm faces down', visual_cue: 'Like placing your hand flat on a table' }],
+                demonstration_tip: `Sign ${sign} slowly in front of a mirror`,
+                passed: accuracy >= 70,
+                encouragement: 'You are getting closer!',
+                next_focus: 'Palm orientation'
+            };
+        }
+    },
+    {
+        name: 'quickSignCheck',
+        test: p => p.includes('Quickly compare these two images'),
+        respond: p => {
+            const accuracy = 60 + (hash(p) % 36);
+            return { accuracy, passed: accuracy >= 70, quick_tip: accuracy >= 70 ? '' : 'Keep your palm facing down' };
+        }
+    },
+    {
+        name: 'generateSignSiGML',
+        test: p => p.includes('Generate valid SiGML for the'),
+        respond: p => buildSiGML([extract(p, /sign: "(.+?)"/)])
+    },
+    {
+        name: 'translateTextToSiGML',
+        test: p => p.includes('SiGML') && p.includes('TEXT: "'),
+        respond: p => buildSiGML(glossSequence(extract(p, /TEXT: "([\s\S]*?)"\n/)).map(s => s.gloss))
+    },
+    {
+        name: 'liveLessonFrame',
+        test: p => p.includes('You are watching a student practice'),
+        respond: p => {
+            const sign = extract(p, /sign for "(.+?)"/);
+            const accuracy = 60 + (hash(p) % 36);
+            const isCorrect = accuracy >= 75;
+            return {
+                sign,
+                accuracy,
+                isCorrect,
+                feedback: isCorrect ? `Your ${sign} is clear and well placed.` : `Close - keep your hand steady while signing ${sign}.`,
+                corrections: isCorrect ? [] : ['Hold the final handshape a moment longer'],
+                nextStep: isCorrect ? 'move_on' : 'retry',
+                celebration: isCorrect ? 'Nailed it!' : ''
+            };
+        }
+    },
+    {
+        // Plain-text coaching lines: introduction, hint, instruction and completion message
+        name: 'liveLessonCoach',
+        test: p => /welcoming introduction for an|helpful hint for someone struggling|brief, clear instruction for the|lesson completion message/.test(p),
+        respond: p => {
+            if (p.includes('welcoming introduction')) return `Welcome! Let's start with ${extract(p, /first sign we'll learn: (.+)/, 'HELLO')}.`;
+            if (p.includes('helpful hint')) return `Picture ${extract(p, /sign "(.+?)"/)} as the gesture you would make without words.`;
+            if (p.includes('clear instruction')) return `Form ${extract(p, /sign "(.+?)"/)} with a flat hand in front of your chest, then move it outward.`;
+            return 'Well done - you finished the lesson! Practice the signs again tomorrow.';
+        }
+    }
+];
+
+function buildSiGML(glosses) {
+    const signs = glosses.map(gloss => `  <hamgestural_sign gloss="${escapeXml(gloss)}">
+    <sign_manual>
+      <handconfig handshape="flat" />
+      <handconfig extfidir="u" />
+      <handconfig palmor="d" />
+      <location_bodyarm location="chest" />
+      <nomotion />
+    </sign_manual>
+  </hamgestural_sign>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<sigml>\n${signs.join('\n')}\n</sigml>`;
+}
+
+/**
+ * Wrap text the way the SDK does so callers can use result.response.text()
+ */
+function toResult(text) {
+    return {
+        response: {
+            text: () => text,
+            candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }]
+        }
+    };
+}
+
+// ============================================
+// STUB PROVIDER
+// ============================================
+
+class StubModel {
+    constructor(provider, params = {}) {
+        this.provider = provider;
+        this.model = params.model || 'stub';
+    }
+
+    async generateContent(request) {
+        return toResult(this.provider.respond(this.model, request));
+    }
+
+    /**
+     * Same response as generateContent, delivered in fixed-size chunks
+     * like the SDK's { stream, response }
+     */
+    async generateContentStream(request) {
+        const text = this.provider.respond(this.model, request);
+        const { streamChunkSize, streamDelayMs } = this.provider;
+
+        async function* chunks() {
+            for (let i = 0; i < text.length; i += streamChunkSize) {
+                if (streamDelayMs > 0) await new Promise(resolve => setTimeout(resolve, streamDelayMs));
+                yield toResult(text.substring(i, i + streamChunkSize)).response;
+            }
+        }
+
+        return {
+            stream: chunks(),
+            response: Promise.resolve(toResult(text).response)
+        };
+    }
+
+    async embedContent(request) {
+        return { embedding: { values: this.provider.embed(contentsToText(request)) } };
+    }
+}
+
+class StubProvider {
+    constructor(options = {}) {
+        this.name = 'stub';
+        this.requiresApiKey = false;
+        this.fixtures = loadFixtures(options.fixtureDir || process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+        this.streamChunkSize = options.streamChunkSize || STREAM_CHUNK_SIZE;
+        this.streamDelayMs = options.streamDelayMs || 0;
+        this.calls = [];
+    }
+
+    getGenerativeModel(params) {
+        return new StubModel(this, params);
+    }
+
+    /**
+     * Resolve a request to response text: recorded fixture first, then responders
+     */
+    respond(modelName, request) {
+        const key = fingerprint(modelName, request);
+        const prompt = contentsToText(request);
+
+        let source = 'fixture';
+        let text = this.fixtures[key]?.text;
+
+        if (text === undefined) {
+            const responder = STUB_RESPONDERS.find(r => r.test(prompt));
+            const output = responder ? responder.respond(prompt) : {};
+            source = responder ? responder.name : 'default';
+            text = typeof output === 'string' ? output : JSON.stringify(output);
+        }
+
+        this.calls.push({ model: modelName, key, source });
+        if (this.calls.length > 100) this.calls.shift();
+
+        return text;
+    }
+
+    /**
+     * Hashed bag-of-words embedding - similar sentences get similar vectors
+     */
+    embed(text) {
+        const values = new Array(EMBEDDING_DIMENSIONS).fill(0);
+        for (const token of text.toLowerCase().match(/[a-z0-9']+/g) || []) {
+            values[hash(token) % EMBEDDING_DIMENSIONS] += 1;
+        }
+
+        const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return values.map(v => v / norm);
+    }
+}
+
+export { StubProvider, STUB_RESPONDERS, glossSequence };
+export default StubProvider;
@@ -0,0 +1,105 @@
+// backend/routes/asyncapi.js
+// AsyncAPI 2.6 document for the Socket.IO events, generated from the event
+// contract (shared/socketContract.js)
+//
+// AsyncAPI describes channels from the client's side: publish operations are
+// the events a client emits, subscribe operations the events it receives.
+// Each client event's x-ack names the server events that answer it (or the
+// response schema for acknowledgement-only events).
+
+import fs from 'fs';
+import { CONTRACT_VERSION, ERROR_CODES, CLIENT_EVENTS, SERVER_EVENTS } from '../../shared/socketContract.js';
+
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// Name of an event as a component key: live-lesson:start -> liveLessonStart
+const messageName = (event) => event.replace(/[^A-Za-z0-9]+(.)/g, (_, c) => c.toUpperCase());
+
+// Server events named like a client event (live-lesson:hint, ...) share its channel
+const serverMessageName = (event) => messageName(event) + (Object.hasOwn(CLIENT_EVENTS, event) ? 'Reply' : '');
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+function ackFor(event) {
+    const { reply, response } = CLIENT_EVENTS[event];
+    const success = reply
+        ? { oneOf: reply.map(name => ({ $ref: `#/components/messages/${serverMessageName(name)}/payload` })) }
+        : response;
+    return {
+        description: reply ? `Answered by ${reply.join(' or ')}` : 'Answered through the acknowledgement only',
+        oneOf: [
+            { type: 'object', properties: { ok: { const: true }, event: { type: reply ? 'string' : 'null' }, data: success }, required: ['ok'] },
+            { $ref: '#/components/schemas/AckError' }
+        ]
+    };
+}
+
+/**
+ * AsyncAPI document for the Socket.IO API
+ * @param {Object} options - { serverUrl }
+ */
+function buildAsyncApiDocument({ serverUrl = null } = {}) {
+    const channels = {};
+    const messages = {};
+
+    for (const [event, spec] of Object.entries(CLIENT_EVENTS)) {
+        const name = messageName(event);
+        messages[name] = {
+            name: event,
+            summary: spec.summary,
+            payload: spec.payload,
+            'x-ack': ackFor(event),
+            ...(spec.deprecated && { 'x-deprecated': true })
+        };
+        channels[event] = { publish: { operationId: `emit${capitalize(name)}`, message: { $ref: `#/components/messages/${name}` } } };
+    }
+
+    for (const [event, spec] of Object.entries(SERVER_EVENTS)) {
+        const name = serverMessageName(event);
+        messages[name] = {
+            name: event,
+            summary: spec.summary,
+            payload: spec.payload,
+            ...(spec.deprecated && { 'x-deprecated': true })
+        };
+        (channels[event] ??= {}).subscribe = { operationId: `on${capitalize(name)}`, message: { $ref: `#/components/messages/${name}` } };
+    }
+
+    return {
+        asyncapi: '2.6.0',
+        info: {
+            title: 'Sign language translator Socket.IO API',
+            version: CONTRACT_VERSION,
+            description: `Socket.IO events of the sign language translator backend (server ${PACKAGE.version}). ` +
+                'Send auth.contractVersion in the handshake; a different major version is refused with unsupported_contract.'
+        },
+        ...(serverUrl && { servers: { default: { url: serverUrl, protocol: 'socket.io' } } }),
+        defaultContentType: 'application/json',
+        channels,
+        components: {
+            messages,
+            schemas: {
+                AckError: {
+                    type: 'object',
+                    properties: {
+                        ok: { const: false },
+                        error: {
+                            type: 'object',
+                            properties: {
+                                event: { type: 'string' },
+                                code: { type: 'string', enum: ERROR_CODES },
+                                message: { type: 'string' },
+                                problems: { type: 'array', items: { type: 'string' } },
+                                retryAfter: { type: 'integer' }
+                            },
+                            required: ['event', 'code', 'message']
+                        }
+                    },
+                    required: ['ok', 'error']
+                }
+            }
+        }
+    };
+}
+
+export { buildAsyncApiDocument };
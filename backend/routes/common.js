@@ -0,0 +1,151 @@
+// backend/routes/common.js
+// Request specs, validation and error responses shared by the REST routes
+//
+// Each route declares its request with requestSpec(): a summary and JSON
+// Schemas for the body, query string and path parameters. The same spec is
+// enforced here and published in /api/openapi.json (routes/openapi.js).
+//
+// Every /api error has one shape, whether a route raises it through next()
+// or the auth and rate limit middleware answer it directly:
+//   { success: false, error: "<message>", code: "<code>", ...details }
+// with codes invalid_request (400, with problems), auth_required,
+// invalid_api_key, invalid_token or token_expired (401), forbidden (403),
+// not_found (404), payload_too_large (413), rate_limited or quota_exceeded
+// (429), invalid_model_response (502, the answer failed its schema after a
+// repair), model_unavailable (503, every Gemini key is rate limited),
+// dataset_unavailable (503, How2Sign is not downloaded) and internal_error (500).
+
+import responseValidator, { ResponseValidationError } from '../services/responseValidator.js';
+import { PromptError } from '../services/promptRegistry.js';
+import { DIALECTS } from '../../shared/socketContract.js';
+
+// ============================================
+// ERRORS
+// ============================================
+
+class ApiError extends Error {
+    /**
+     * @param {string} message - Shown to the caller
+     * @param {string} code - Machine-readable code (see above)
+     * @param {number} status - HTTP status
+     * @param {Object} details - Extra fields for the response body
+     */
+    constructor(message, code = 'invalid_request', status = 400, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Status and body for any error that reaches the /api error handler
+ */
+function toErrorResponse(error) {
+    if (error instanceof ApiError) {
+        return { status: error.status, body: { error: error.message, code: error.code, ...error.details } };
+    }
+    if (error instanceof PromptError) {
+        return { status: 400, body: { error: error.summary, code: 'invalid_request', problems: error.problems } };
+    }
+    if (error instanceof ResponseValidationError) {
+        return { status: 502, body: { error: 'Gemini returned an invalid response', code: 'invalid_model_response', problems: error.problems } };
+    }
+    if (error.type === 'entity.parse.failed') {
+        return { status: 400, body: { error: 'Request body is not valid JSON', code: 'invalid_request' } };
+    }
+    if (error.type === 'entity.too.large') {
+        return { status: 413, body: { error: `Request body is larger than ${error.limit} bytes`, code: 'payload_too_large' } };
+    }
+    if (error.code === 'RATE_LIMIT') {
+        // GeminiService ran out of keys and retries
+        return { status: 503, body: { error: error.message, code: 'model_unavailable', retryAfter: Math.ceil((error.details?.retryAfter || 0) / 1000) } };
+    }
+    return { status: 500, body: { error: error.message || 'Internal error', code: 'internal_error' } };
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Describe a route's request and check it. Each part is validated against
+ * its JSON Schema (the responseValidator subset, in strict mode): defaults
+ * are filled in and numeric strings converted, and any other problem is a
+ * 400 listing them all ("body.text: required").
+ * @param {Object} spec
+ * @param {string} spec.summary - One line for the API docs
+ * @param {Object} [spec.params] - Object schema of the path parameters
+ * @param {Object} [spec.query] - Object schema of the query string
+ * @param {Object} [spec.body] - Schema of the JSON body
+ * @param {number} [spec.status] - Success status when not 200
+ * @param {string|string[]} [spec.contentType] - Success content type(s) when not JSON
+ */
+function requestSpec(spec) {
+    const parts = REQUEST_PARTS.filter(part => spec[part]);
+
+    const middleware = (req, res, next) => {
+        const problems = [];
+        for (const part of parts) {
+            const checked = responseValidator.validate(spec[part], req[part] ?? {}, { strict: true });
+            problems.push(...checked.problems.map(problem => problem.replace(/^\$/, part)));
+            req[part] = checked.value;
+        }
+        if (problems.length > 0) {
+            return next(new ApiError('Invalid request', 'invalid_request', 400, { problems }));
+        }
+        next();
+    };
+    // Found on the route by routes/openapi.js
+    middleware.spec = spec;
+    return middleware;
+}
+
+/**
+ * Pass rejections of an async handler on to the error handler (Express 4
+ * does not catch them itself)
+ */
+const asyncRoute = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * Final error handler for /api
+ */
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+
+    const { status, body } = toErrorResponse(error);
+    if (status >= 500) {
+        console.error(`❌ ${req.method} ${req.originalUrl}:`, error.message);
+    }
+    res.status(status).json({ success: false, ...body });
+}
+
+/**
+ * 404 in the same shape for /api paths no route matched
+ */
+function notFound(req, res, next) {
+    next(new ApiError(`No route for ${req.method} ${req.baseUrl}${req.path}`, 'not_found', 404));
+}
+
+// ============================================
+// SCHEMA FRAGMENTS
+// ============================================
+
+const SCHEMAS = {
+    language: { type: 'string', enum: DIALECTS, default: 'ASL' },
+    gloss: { type: 'string', minLength: 1, maxLength: 100 },
+    // Learner, session and similar IDs that double as file names
+    id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+    quality: { type: 'string', enum: ['1080p', '720p', '480p'], default: '720p' },
+    text: { type: 'string', minLength: 1, maxLength: 2000 },
+    // Base64 image or data URL (the JSON body limit caps the real size)
+    image: { type: 'string', minLength: 1 },
+    difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'], default: 'beginner' }
+};
+
+export { ApiError, toErrorResponse, requestSpec, asyncRoute, errorHandler, notFound, SCHEMAS };
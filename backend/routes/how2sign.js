@@ -4,6 +4,9 @@
  */
 
 import express from 'express';
+import { performance } from 'perf_hooks';
+import { requestSpec, asyncRoute, SCHEMAS } from './common.js';
+import auth from '../services/auth.js';
 import {
     translateToSign,
     findClosestSentences,
@@ -13,91 +16,101 @@ import {
 
 const router = express.Router();
 
+const TRANSLATE_REQUEST = {
+    type: 'object',
+    properties: {
+        text: SCHEMAS.text,
+        threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.7 }
+    },
+    required: ['text']
+};
+
+const SEARCH_REQUEST = {
+    type: 'object',
+    properties: {
+        text: SCHEMAS.text,
+        limit: { type: 'integer', minimum: 1, maximum: 50, default: 5 }
+    },
+    required: ['text']
+};
+
+const BUILD_INDEX_REQUEST = {
+    type: 'object',
+    properties: {
+        maxSentences: { type: 'integer', minimum: 1 }
+    }
+};
+
 /**
  * POST /translate
  * Translate English text to ASL using How2Sign
  * Returns REAL motion capture keypoints
  */
-router.post('/translate', async (req, res) => {
-    try {
-        const { text, threshold = 0.7 } = req.body;
+router.post('/translate', requestSpec({ summary: 'Translate text to How2Sign motion capture keypoints', body: TRANSLATE_REQUEST }), asyncRoute(async (req, res) => {
+    const { text, threshold } = req.body;
 
-        if (!text) {
-            return res.status(400).json({ error: 'Text is required' });
-        }
+    const result = await translateToSign(text, threshold);
 
-        const result = await translateToSign(text, threshold);
-
-        res.json({
-            success: result.success,
-            source: 'how2sign_mocap',
-            accuracy: 'real_data',
-            ...result
-        });
-    } catch (error) {
-        console.error('How2Sign translation error:', error);
-        res.status(500).json({
-            error: 'Translation failed',
-            message: error.message
-        });
-    }
-});
+    res.json({
+        success: result.success,
+        source: 'how2sign_mocap',
+        accuracy: 'real_data',
+        ...result
+    });
+}));
 
 /**
  * POST /search
  * Find similar sentences in How2Sign dataset
  */
-router.post('/search', async (req, res) => {
-    try {
-        const { text, limit = 5 } = req.body;
+router.post('/search', requestSpec({ summary: 'Find similar How2Sign sentences', body: SEARCH_REQUEST }), asyncRoute(async (req, res) => {
+    const { text, limit } = req.body;
 
-        if (!text) {
-            return res.status(400).json({ error: 'Text is required' });
-        }
+    const started = performance.now();
+    const matches = await findClosestSentences(text, limit);
 
-        const matches = await findClosestSentences(text, limit);
-
-        res.json({
-            query: text,
-            matches: matches.map(m => ({
-                id: m.id,
-                text: m.text,
-                similarity: Math.round(m.similarity * 100) / 100
-            }))
-        });
-    } catch (error) {
-        console.error('How2Sign search error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+    res.json({
+        query: text,
+        matcher: getStats().matcher,
+        tookMs: Math.round((performance.now() - started) * 100) / 100,
+        matches: matches.map(m => ({
+            id: m.id,
+            text: m.text,
+            similarity: Math.round(m.similarity * 100) / 100,
+            ...(m.matchedTerms && { matchedTerms: m.matchedTerms })
+        }))
+    });
+}));
 
 /**
  * POST /build-index
- * Build sentence embedding index (run once after dataset download)
+ * Build the sentence index (run once after dataset download).
+ * Local matcher: all sentences unless maxSentences is given.
+ * Admin only: it reads the whole dataset (and calls Gemini with the gemini matcher).
  */
-router.post('/build-index', async (req, res) => {
-    try {
-        const { maxSentences = 500 } = req.body;
-
-        res.json({
-            status: 'started',
-            message: `Building index for ${maxSentences} sentences...`
-        });
-
-        // Build in background
-        buildIndex(maxSentences).then(result => {
-            console.log('Index build complete:', result?.sentences?.length || 0);
-        });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
+router.post('/build-index', auth.requireScope('admin'), requestSpec({ summary: 'Build the How2Sign sentence index in the background', body: BUILD_INDEX_REQUEST }), (req, res) => {
+    const { maxSentences } = req.body;
+
+    res.json({
+        status: 'started',
+        matcher: getStats().matcher,
+        message: `Building index for ${maxSentences || 'all'} sentences...`
+    });
+
+    // Build in background
+    buildIndex(maxSentences).then(result => {
+        const count = typeof result?.sentences === 'number' ? result.sentences : result?.sentences?.length;
+        console.log('Index build complete:', count || 0);
+    }).catch(error => {
+        console.error('Index build failed:', error.message);
+    });
 });
 
 /**
  * GET /stats
  * Get dataset statistics
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', requestSpec({ summary: 'How2Sign dataset and index statistics' }), (req, res) => {
     res.json(getStats());
 });
 
@@ -105,7 +118,7 @@ router.get('/stats', (req, res) => {
  * GET /info
  * API information
  */
-router.get('/info', (req, res) => {
+router.get('/info', requestSpec({ summary: 'How2Sign API information' }), (req, res) => {
     res.json({
         name: 'How2Sign Translation API',
         description: 'Real ASL motion capture data from How2Sign dataset',
@@ -114,8 +127,8 @@ router.get('/info', (req, res) => {
         source: 'https://how2sign.github.io/',
         endpoints: {
             '/translate': 'POST - Translate text to ASL keypoints',
-            '/search': 'POST - Find similar sentences',
-            '/build-index': 'POST - Build embedding index',
+            '/search': 'POST - Find similar sentences (local BM25/embedding index by default)',
+            '/build-index': 'POST - Build sentence index (admin)',
             '/stats': 'GET - Dataset statistics'
         }
     });
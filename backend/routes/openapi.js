@@ -0,0 +1,228 @@
+// backend/routes/openapi.js
+// OpenAPI 3.1 document for the REST API, generated from the Express app
+//
+// Every route registered on the app is listed, so the document cannot drift
+// from server.js. The summary and the body, query and path parameter schemas
+// come from the requestSpec() middleware on each route (routes/common.js).
+// Admin-only routes are recognized by auth.requireScope() and feature-gated
+// ones by requireFeature(), which both tag their middleware. Routes without a
+// spec are still listed, marked x-undocumented; undocumentedRoutes() names
+// them at startup.
+
+import fs from 'fs';
+import { PUBLIC_PATHS } from '../services/auth.js';
+
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const ERROR_RESPONSE = { $ref: '#/components/responses/Error' };
+
+const COMPONENTS = {
+    schemas: {
+        Error: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', const: false },
+                error: { type: 'string', description: 'Message for people' },
+                code: { type: 'string', description: 'invalid_request, auth_required, invalid_api_key, invalid_token, token_expired, forbidden, not_found, payload_too_large, invalid_model_response, model_unavailable, dataset_unavailable or internal_error' },
+                problems: { type: 'array', items: { type: 'string' }, description: 'Every invalid field, as "body.text: required"' }
+            },
+            required: ['error', 'code']
+        },
+        RateLimitError: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', const: false },
+                error: { type: 'string' },
+                code: { type: 'string', enum: ['rate_limited', 'quota_exceeded'] },
+                retryAfter: { type: 'integer', description: 'Seconds' },
+                cost: { type: 'integer' },
+                remaining: { type: 'integer' },
+                limit: { type: 'integer' }
+            },
+            required: ['error', 'code', 'retryAfter']
+        }
+    },
+    responses: {
+        Error: {
+            description: 'Error',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        RateLimited: {
+            description: 'Out of rate-limit tokens or daily Gemini quota',
+            headers: { 'Retry-After': { schema: { type: 'integer' } } },
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/RateLimitError' } } }
+        }
+    },
+    securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key or session token from POST /api/auth/session' }
+    }
+};
+
+// ============================================
+// ROUTE DISCOVERY
+// ============================================
+
+/**
+ * Path an Express 4 router was mounted at, recovered from its layer's regexp
+ * ('/api/v1' is compiled to /^\/api\/v1\/?(?=\/|$)/i)
+ */
+function mountPath(layer) {
+    if (layer.regexp.fast_slash) return '';
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+        .replace(/\\\//g, '/');
+}
+
+/**
+ * Every route in a router stack, depth first
+ * @returns {Array<{ method: string, path: string, spec: Object|null, scope: string|null, features: string[] }>}
+ */
+function collectRoutes(stack, prefix = '', features = []) {
+    const routes = [];
+    const gates = {}; // mount path -> features required by middleware mounted there
+
+    for (const layer of stack) {
+        if (layer.route) {
+            if (typeof layer.route.path !== 'string') continue;
+            const handlers = layer.route.stack.map(l => l.handle);
+            const path = `${prefix}${layer.route.path}`.replace(/(.)\/$/, '$1');
+
+            for (const method of Object.keys(layer.route.methods)) {
+                routes.push({
+                    method,
+                    path,
+                    spec: handlers.find(h => h.spec)?.spec || null,
+                    scope: handlers.find(h => h.scope)?.scope || null,
+                    features: [...features, ...handlers.filter(h => h.feature).map(h => h.feature)]
+                });
+            }
+        } else if (layer.handle.stack) {
+            const path = mountPath(layer);
+            routes.push(...collectRoutes(layer.handle.stack, prefix + path, [...features, ...(gates[path] || [])]));
+        } else if (layer.handle.feature) {
+            (gates[mountPath(layer)] ??= []).push(layer.handle.feature);
+        }
+    }
+    return routes;
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Stable operationId from method and path: GET /api/signs/:gloss -> getSignsByGloss,
+ * GET /health -> getRootHealth
+ */
+function operationId(method, path) {
+    const isApi = path.startsWith('/api/');
+    const words = path.split('/').filter(Boolean).slice(isApi ? 1 : 0).map(segment =>
+        segment.startsWith(':')
+            ? `By${capitalize(segment.slice(1).replace('?', ''))}`
+            : segment.split(/[^A-Za-z0-9]+/).filter(Boolean).map(capitalize).join('')
+    );
+    return method + (isApi ? '' : 'Root') + words.join('');
+}
+
+/**
+ * Tag grouping a path with its neighbours: /api/learners/... -> learners,
+ * /api/v1/sigml/... -> v1/sigml
+ */
+function tagFor(path) {
+    const segments = path.split('/').filter(Boolean);
+    if (segments[0] === 'api') segments.shift();
+    return segments[0] === 'v1' ? `v1/${segments[1]}` : segments[0];
+}
+
+// ============================================
+// DOCUMENT
+// ============================================
+
+function toOperation({ method, path, spec, scope, features }) {
+    const pathParams = [...path.matchAll(/:(\w+)(\?)?/g)].map(([, name, optional]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: spec?.params?.properties?.[name] || { type: 'string' },
+        ...(optional && { description: 'Optional in the route; omit the segment' })
+    }));
+    const queryParams = Object.entries(spec?.query?.properties || {}).map(([name, schema]) => ({
+        name,
+        in: 'query',
+        required: (spec.query.required || []).includes(name),
+        schema
+    }));
+
+    const operation = {
+        operationId: operationId(method, path),
+        summary: spec?.summary,
+        tags: [tagFor(path)],
+        parameters: [...pathParams, ...queryParams]
+    };
+
+    if (spec?.body) {
+        operation.requestBody = {
+            required: (spec.body.required || []).length > 0,
+            content: { 'application/json': { schema: spec.body } }
+        };
+    }
+
+    operation.responses = {
+        [spec?.status || 200]: {
+            description: 'Success',
+            content: Object.fromEntries([].concat(spec?.contentType || 'application/json').map(type => [type, { schema: {} }]))
+        }
+    };
+    if (spec?.params || spec?.query || spec?.body) operation.responses[400] = ERROR_RESPONSE;
+    if (scope) operation.responses[403] = ERROR_RESPONSE;
+    if (path.startsWith('/api/')) operation.responses[429] = { $ref: '#/components/responses/RateLimited' };
+
+    if (scope) {
+        operation.security = [{ apiKey: [] }, { bearerAuth: [] }];
+        operation['x-required-scope'] = scope;
+    } else if (PUBLIC_PATHS.includes(path.replace(/^\/api/, ''))) {
+        operation.security = [{}];
+    }
+    if (features.length > 0) operation['x-features'] = features;
+    if (!spec) operation['x-undocumented'] = true;
+
+    return operation;
+}
+
+/**
+ * OpenAPI document for every route on an Express app
+ * @param {Object} app - Express app, after all routes are registered
+ * @param {Object} options - { serverUrl, authRequired }
+ */
+function buildOpenApiDocument(app, { serverUrl = null, authRequired = false } = {}) {
+    const paths = {};
+    for (const route of collectRoutes(app._router.stack)) {
+        const path = route.path.replace(/:(\w+)\??/g, '{$1}');
+        (paths[path] ??= {})[route.method] = toOperation(route);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Sign language translator API',
+            version: PACKAGE.version,
+            description: 'REST API of the sign language translator backend. Real-time features use Socket.IO, described in /api/asyncapi.json.'
+        },
+        ...(serverUrl && { servers: [{ url: serverUrl }] }),
+        // Anonymous callers are allowed unless auth.mode is 'required'
+        security: authRequired ? [{ apiKey: [] }, { bearerAuth: [] }] : [{}, { apiKey: [] }, { bearerAuth: [] }],
+        paths,
+        components: COMPONENTS
+    };
+}
+
+/**
+ * Routes with no requestSpec(), as "GET /api/path"
+ */
+function undocumentedRoutes(app) {
+    return collectRoutes(app._router.stack)
+        .filter(route => !route.spec)
+        .map(route => `${route.method.toUpperCase()} ${route.path}`);
+}
+
+export { buildOpenApiDocument, undocumentedRoutes, collectRoutes };
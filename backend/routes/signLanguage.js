@@ -1,9 +1,9 @@
 // backend/routes/signLanguage.js
 // Express routes for sign language translation, correction, and teaching
+// (mounted at /api/v1/sign-language by routes/v1.js)
 
 import express from 'express';
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import dotenv from 'dotenv';
+import { ApiError, requestSpec, asyncRoute, SCHEMAS } from './common.js';
 
 // Import service modules
 import {
@@ -13,74 +13,141 @@ import {
 } from '../services/geminiSignTranslation.js';
 
 import {
-    signCorrectionPrompt,
-    signCorrectionWithVideoPrompt,
     parseCorrectionResponse,
     generatePracticePlan
 } from '../services/geminiSignCorrection.js';
 
 import {
-    lessonGenerationPrompt,
-    quickVocabPrompt,
-    grammarExplanationPrompt,
     parseLessonResponse,
     LESSON_TEMPLATES,
     DIFFICULTY_CONFIG
 } from '../services/geminiLessonGenerator.js';
 
 import {
-    objectDetectionPrompt,
-    spatialReferencePrompt,
-    actionRecognitionPrompt,
-    environmentConversationPrompt,
     parseVisionResponse,
     enrichWithSignData,
     prioritizeTeachingItems
 } from '../services/geminiVision.js';
 
-dotenv.config();
+const MAX_BATCH_PHRASES = 20;
 
-const router = express.Router();
+// ============================================
+// REQUEST SCHEMAS
+// ============================================
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
+const TRANSLATE_REQUEST = {
+    type: 'object',
+    properties: {
+        text: SCHEMAS.text,
+        language: SCHEMAS.language,
+        includeTransitions: { type: 'boolean', default: true }
+    },
+    required: ['text']
+};
+
+const TRANSLATE_BATCH_REQUEST = {
+    type: 'object',
+    properties: {
+        phrases: { type: 'array', items: SCHEMAS.text, minItems: 1, maxItems: MAX_BATCH_PHRASES },
+        language: SCHEMAS.language
+    },
+    required: ['phrases']
+};
+
+const CHECK_SIGN_REQUEST = {
+    type: 'object',
+    properties: {
+        targetSign: SCHEMAS.gloss,
+        userPose: { type: ['object', 'array'] },
+        videoFrame: SCHEMAS.image,
+        language: SCHEMAS.language
+    },
+    required: ['targetSign']
+};
+
+const PRACTICE_PLAN_REQUEST = {
+    type: 'object',
+    properties: {
+        errorHistory: { type: 'array', items: { type: 'object' }, maxItems: 500 }
+    },
+    required: ['errorHistory']
+};
+
+const LESSON_REQUEST = {
+    type: 'object',
+    properties: {
+        topic: { type: 'string', minLength: 1, maxLength: 200 },
+        difficulty: SCHEMAS.difficulty,
+        lessonCount: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+        language: SCHEMAS.language
+    },
+    required: ['topic']
+};
+
+const QUICK_VOCAB_REQUEST = {
+    type: 'object',
+    properties: {
+        signs: { type: 'array', items: SCHEMAS.gloss, minItems: 1, maxItems: 50 },
+        language: SCHEMAS.language
+    },
+    required: ['signs']
+};
+
+const GRAMMAR_REQUEST = {
+    type: 'object',
+    properties: {
+        concept: { type: 'string', minLength: 1, maxLength: 200 },
+        language: SCHEMAS.language
+    },
+    required: ['concept']
+};
+
+const IMAGE_REQUEST = {
+    type: 'object',
+    properties: {
+        image: SCHEMAS.image,
+        language: SCHEMAS.language,
+        userLevel: SCHEMAS.difficulty
+    },
+    required: ['image']
+};
 
-// Helper to parse JSON from Gemini response
-function parseJSON(text) {
-    let cleanedText = text;
-    if (cleanedText.includes('```json')) {
-        cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    } else if (cleanedText.includes('```')) {
-        cleanedText = cleanedText.replace(/```\n?/g, '');
+/**
+ * Pose data from a translate-to-sign answer; a malformed answer is the
+ * model's fault, not the caller's
+ */
+function parsePoseData(response) {
+    try {
+        return parseSignPoseData(response);
+    } catch (error) {
+        throw new ApiError(`Gemini returned invalid pose data: ${error.message}`, 'invalid_model_response', 502);
     }
-    return JSON.parse(cleanedText.trim());
 }
 
-// ============================================
-// TEXT-TO-SIGN TRANSLATION
-// ============================================
-
 /**
- * POST /api/v2/translate-to-sign
- * Convert text to sign language pose data
+ * Build the router on the shared GeminiService (key rotation, logging and
+ * response checking)
+ * @param {GeminiService} gemini
  */
-router.post('/translate-to-sign', async (req, res) => {
-    const { text, language = 'ASL', includeTransitions = true } = req.body;
+export default function createSignLanguageRouter(gemini) {
+    const router = express.Router();
 
-    if (!text) {
-        return res.status(400).json({ error: 'Text is required' });
-    }
+    // ============================================
+    // TEXT-TO-SIGN TRANSLATION
+    // ============================================
 
-    try {
-        const prompt = textToSignPrompt(text, language);
-        const result = await model.generateContent(prompt);
-        const response = result.response.text();
+    /**
+     * POST /api/v1/sign-language/translate-to-sign
+     * Convert text to sign language pose data
+     */
+    router.post('/translate-to-sign', requestSpec({ summary: 'Translate text to sign pose data', body: TRANSLATE_REQUEST }), asyncRoute(async (req, res) => {
+        const { text, language, includeTransitions } = req.body;
 
-        let poseData = parseSignPoseData(response);
+        const response = await gemini.generateText(textToSignPrompt(text, language), 'translateToSign', { params: { language } });
+        const poseData = parsePoseData(response);
 
         // Add smooth transitions between signs
-        if (includeTransitions && poseData.signs) {
+        if (includeTransitions) {
             poseData.signs = addTransitionFrames(poseData.signs);
         }
 
@@ -88,37 +155,22 @@ router.post('/translate-to-sign', async (req, res) => {
             success: true,
             poseData,
             language,
-            sign_count: poseData.signs?.length || 0
-        });
-    } catch (error) {
-        console.error('Translation error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            suggestion: 'Try simplifying the text or breaking it into smaller phrases'
+            sign_count: poseData.signs.length
         });
-    }
-});
-
-/**
- * POST /api/v2/translate-batch
- * Translate multiple phrases at once
- */
-router.post('/translate-batch', async (req, res) => {
-    const { phrases, language = 'ASL' } = req.body;
+    }));
 
-    if (!Array.isArray(phrases)) {
-        return res.status(400).json({ error: 'phrases must be an array' });
-    }
+    /**
+     * POST /api/v1/sign-language/translate-batch
+     * Translate multiple phrases at once
+     */
+    router.post('/translate-batch', requestSpec({ summary: 'Translate several phrases to sign pose data', body: TRANSLATE_BATCH_REQUEST }), asyncRoute(async (req, res) => {
+        const { phrases, language } = req.body;
 
-    try {
         const results = await Promise.all(
             phrases.map(async (text) => {
                 try {
-                    const prompt = textToSignPrompt(text, language);
-                    const result = await model.generateContent(prompt);
-                    const poseData = parseSignPoseData(result.response.text());
-                    return { text, success: true, poseData };
+                    const response = await gemini.generateText(textToSignPrompt(text, language), 'translateToSign', { params: { language } });
+                    return { text, success: true, poseData: parsePoseData(response) };
                 } catch (err) {
                     return { text, success: false, error: err.message };
                 }
@@ -131,47 +183,26 @@ router.post('/translate-batch', async (req, res) => {
             successful: results.filter(r => r.success).length,
             failed: results.filter(r => !r.success).length
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// ============================================
-// SIGN CORRECTION / TEACHING
-// ============================================
-
-/**
- * POST /api/v2/check-sign
- * Analyze user's sign performance with optional video
- */
-router.post('/check-sign', async (req, res) => {
-    const { targetSign, userPose, videoFrame, language = 'ASL' } = req.body;
-
-    if (!targetSign) {
-        return res.status(400).json({ error: 'targetSign is required' });
-    }
-
-    try {
-        let result;
-
-        if (videoFrame) {
-            // Use vision model with image
-            const imagePart = {
-                inlineData: {
-                    data: videoFrame.includes(',') ? videoFrame.split(',')[1] : videoFrame,
-                    mimeType: 'image/jpeg'
-                }
-            };
-
-            const prompt = signCorrectionWithVideoPrompt(targetSign, userPose, language);
-            result = await model.generateContent([prompt, imagePart]);
-        } else {
-            // Text-only analysis
-            const prompt = signCorrectionPrompt(targetSign, userPose, language);
-            result = await model.generateContent(prompt);
-        }
-
-        const feedback = parseCorrectionResponse(result.response.text());
+    }));
+
+    // ============================================
+    // SIGN CORRECTION / TEACHING
+    // ============================================
+
+    /**
+     * POST /api/v1/sign-language/check-sign
+     * Analyze user's sign performance with optional video
+     */
+    router.post('/check-sign', requestSpec({ summary: 'Score a sign attempt from pose data and an optional frame', body: CHECK_SIGN_REQUEST }), asyncRoute(async (req, res) => {
+        const { targetSign, userPose = null, videoFrame, language } = req.body;
+
+        // With a frame the vision prompt looks at the image as well as the pose
+        const answer = await gemini.runPrompt(
+            videoFrame ? 'correction.signWithVideo' : 'correction.sign',
+            { targetSign, poseData: userPose, language },
+            { images: videoFrame ? [videoFrame] : [], params: { targetSign, language } }
+        );
+        const feedback = parseCorrectionResponse(answer);
 
         res.json({
             success: true,
@@ -180,279 +211,151 @@ router.post('/check-sign', async (req, res) => {
             accuracy: feedback.accuracy_score,
             grade: feedback.grade
         });
-    } catch (error) {
-        console.error('Sign check error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * POST /api/v2/practice-plan
- * Generate personalized practice plan based on error history
- */
-router.post('/practice-plan', async (req, res) => {
-    const { errorHistory } = req.body;
+    }));
 
-    if (!Array.isArray(errorHistory)) {
-        return res.status(400).json({ error: 'errorHistory must be an array' });
-    }
-
-    try {
-        const plan = generatePracticePlan(errorHistory);
+    /**
+     * POST /api/v1/sign-language/practice-plan
+     * Generate personalized practice plan based on error history
+     */
+    router.post('/practice-plan', requestSpec({ summary: 'Practice plan from an error history', body: PRACTICE_PLAN_REQUEST }), (req, res) => {
         res.json({
             success: true,
-            plan
+            plan: generatePracticePlan(req.body.errorHistory)
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// ============================================
-// LESSON GENERATION
-// ============================================
+    });
 
-/**
- * POST /api/v2/generate-lesson
- * Generate a structured lesson plan
- */
-router.post('/generate-lesson', async (req, res) => {
-    const { topic, difficulty = 'beginner', lessonCount = 5, language = 'ASL' } = req.body;
+    // ============================================
+    // LESSON GENERATION
+    // ============================================
 
-    if (!topic) {
-        return res.status(400).json({ error: 'topic is required' });
-    }
+    /**
+     * POST /api/v1/sign-language/generate-lesson
+     * Generate a structured lesson plan
+     */
+    router.post('/generate-lesson', requestSpec({ summary: 'Generate a lesson plan on a topic', body: LESSON_REQUEST }), asyncRoute(async (req, res) => {
+        const { topic, difficulty, lessonCount, language } = req.body;
 
-    try {
-        const prompt = lessonGenerationPrompt(topic, difficulty, lessonCount, language);
-        const result = await model.generateContent(prompt);
-        const lesson = parseLessonResponse(result.response.text());
+        const answer = await gemini.runPrompt('lesson.course', { topic, difficulty, lessonCount, language }, { params: { topic, difficulty } });
 
         res.json({
             success: true,
-            lesson,
+            lesson: parseLessonResponse(answer),
             difficulty_config: DIFFICULTY_CONFIG[difficulty]
         });
-    } catch (error) {
-        console.error('Lesson generation error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+    }));
 
-/**
- * POST /api/v2/quick-vocab
- * Generate a quick vocabulary lesson for specific signs
- */
-router.post('/quick-vocab', async (req, res) => {
-    const { signs, language = 'ASL' } = req.body;
-
-    if (!Array.isArray(signs) || signs.length === 0) {
-        return res.status(400).json({ error: 'signs array is required' });
-    }
-
-    try {
-        const prompt = quickVocabPrompt(signs, language);
-        const result = await model.generateContent(prompt);
-        const vocabLesson = parseJSON(result.response.text());
+    /**
+     * POST /api/v1/sign-language/quick-vocab
+     * Generate a quick vocabulary lesson for specific signs
+     */
+    router.post('/quick-vocab', requestSpec({ summary: 'Quick vocabulary lesson for given signs', body: QUICK_VOCAB_REQUEST }), asyncRoute(async (req, res) => {
+        const { signs, language } = req.body;
 
         res.json({
             success: true,
-            vocabLesson
+            vocabLesson: await gemini.runPrompt('lesson.quickVocab', { signs, language }, { params: { signCount: signs.length } })
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    }));
 
-/**
- * POST /api/v2/explain-grammar
- * Get detailed explanation of a grammar concept
- */
-router.post('/explain-grammar', async (req, res) => {
-    const { concept, language = 'ASL' } = req.body;
-
-    if (!concept) {
-        return res.status(400).json({ error: 'concept is required' });
-    }
-
-    try {
-        const prompt = grammarExplanationPrompt(concept, language);
-        const result = await model.generateContent(prompt);
-        const explanation = parseJSON(result.response.text());
+    /**
+     * POST /api/v1/sign-language/explain-grammar
+     * Get detailed explanation of a grammar concept
+     */
+    router.post('/explain-grammar', requestSpec({ summary: 'Explain a grammar concept', body: GRAMMAR_REQUEST }), asyncRoute(async (req, res) => {
+        const { concept, language } = req.body;
 
         res.json({
             success: true,
-            explanation
+            explanation: await gemini.runPrompt('lesson.grammarExplanation', { concept, language }, { params: { concept } })
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    }));
 
-/**
- * GET /api/v2/lesson-templates
- * Get available lesson templates
- */
-router.get('/lesson-templates', (req, res) => {
-    res.json({
-        success: true,
-        templates: LESSON_TEMPLATES,
-        difficulties: Object.keys(DIFFICULTY_CONFIG)
+    /**
+     * GET /api/v1/sign-language/lesson-templates
+     * Get available lesson templates
+     */
+    router.get('/lesson-templates', requestSpec({ summary: 'Lesson templates and difficulty levels' }), (req, res) => {
+        res.json({
+            success: true,
+            templates: LESSON_TEMPLATES,
+            difficulties: Object.keys(DIFFICULTY_CONFIG)
+        });
     });
-});
-
-// ============================================
-// VISION / SPATIAL AWARENESS
-// ============================================
 
-/**
- * POST /api/v2/detect-teachable-items
- * Detect objects in image for contextual vocabulary teaching
- */
-router.post('/detect-teachable-items', async (req, res) => {
-    const { image, language = 'ASL', userLevel = 'beginner' } = req.body;
-
-    if (!image) {
-        return res.status(400).json({ error: 'image is required (base64)' });
-    }
+    // ============================================
+    // VISION / SPATIAL AWARENESS
+    // ============================================
 
-    try {
-        const imagePart = {
-            inlineData: {
-                data: image.includes(',') ? image.split(',')[1] : image,
-                mimeType: 'image/jpeg'
-            }
-        };
+    // Run a vision prompt on the request's image
+    const analyzeImage = async (promptName, { image, language }) =>
+        parseVisionResponse(await gemini.runPrompt(promptName, { language }, { images: [image], params: { language, imageSize: image.length } }));
 
-        const prompt = objectDetectionPrompt(language);
-        const result = await model.generateContent([prompt, imagePart]);
-        let teachingData = parseVisionResponse(result.response.text());
+    /**
+     * POST /api/v1/sign-language/detect-teachable-items
+     * Detect objects in image for contextual vocabulary teaching
+     */
+    router.post('/detect-teachable-items', requestSpec({ summary: 'Vocabulary to teach from the objects in an image', body: IMAGE_REQUEST }), asyncRoute(async (req, res) => {
+        const teachingData = await analyzeImage('vision.objectDetection', req.body);
 
         // Enrich and prioritize
         if (teachingData.detected_items) {
             teachingData.detected_items = enrichWithSignData(teachingData.detected_items);
-            teachingData.detected_items = prioritizeTeachingItems(teachingData.detected_items, userLevel);
+            teachingData.detected_items = prioritizeTeachingItems(teachingData.detected_items, req.body.userLevel);
         }
 
         res.json({
             success: true,
             teachingData
         });
-    } catch (error) {
-        console.error('Object detection error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * POST /api/v2/analyze-spatial
- * Analyze spatial layout for directional signing
- */
-router.post('/analyze-spatial', async (req, res) => {
-    const { image, language = 'ASL' } = req.body;
-
-    if (!image) {
-        return res.status(400).json({ error: 'image is required (base64)' });
-    }
-
-    try {
-        const imagePart = {
-            inlineData: {
-                data: image.includes(',') ? image.split(',')[1] : image,
-                mimeType: 'image/jpeg'
-            }
-        };
-
-        const prompt = spatialReferencePrompt(language);
-        const result = await model.generateContent([prompt, imagePart]);
-        const spatialData = parseVisionResponse(result.response.text());
+    }));
 
+    /**
+     * POST /api/v1/sign-language/analyze-spatial
+     * Analyze spatial layout for directional signing
+     */
+    router.post('/analyze-spatial', requestSpec({ summary: 'Spatial layout of an image for directional signing', body: IMAGE_REQUEST }), asyncRoute(async (req, res) => {
         res.json({
             success: true,
-            spatialData
+            spatialData: await analyzeImage('vision.spatialReference', req.body)
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * POST /api/v2/detect-actions
- * Detect actions in image for verb teaching
- */
-router.post('/detect-actions', async (req, res) => {
-    const { image, language = 'ASL' } = req.body;
-
-    if (!image) {
-        return res.status(400).json({ error: 'image is required (base64)' });
-    }
-
-    try {
-        const imagePart = {
-            inlineData: {
-                data: image.includes(',') ? image.split(',')[1] : image,
-                mimeType: 'image/jpeg'
-            }
-        };
-
-        const prompt = actionRecognitionPrompt(language);
-        const result = await model.generateContent([prompt, imagePart]);
-        const actionData = parseVisionResponse(result.response.text());
+    }));
 
+    /**
+     * POST /api/v1/sign-language/detect-actions
+     * Detect actions in image for verb teaching
+     */
+    router.post('/detect-actions', requestSpec({ summary: 'Actions in an image for verb teaching', body: IMAGE_REQUEST }), asyncRoute(async (req, res) => {
         res.json({
             success: true,
-            actionData
+            actionData: await analyzeImage('vision.actionRecognition', req.body)
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * POST /api/v2/generate-conversation
- * Generate contextual conversation based on scene
- */
-router.post('/generate-conversation', async (req, res) => {
-    const { image, language = 'ASL' } = req.body;
-
-    if (!image) {
-        return res.status(400).json({ error: 'image is required (base64)' });
-    }
-
-    try {
-        const imagePart = {
-            inlineData: {
-                data: image.includes(',') ? image.split(',')[1] : image,
-                mimeType: 'image/jpeg'
-            }
-        };
-
-        const prompt = environmentConversationPrompt(language);
-        const result = await model.generateContent([prompt, imagePart]);
-        const conversationData = parseVisionResponse(result.response.text());
+    }));
 
+    /**
+     * POST /api/v1/sign-language/generate-conversation
+     * Generate contextual conversation based on scene
+     */
+    router.post('/generate-conversation', requestSpec({ summary: 'Practice conversation based on an image', body: IMAGE_REQUEST }), asyncRoute(async (req, res) => {
         res.json({
             success: true,
-            conversationData
+            conversationData: await analyzeImage('vision.environmentConversation', req.body)
         });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    }));
 
-// ============================================
-// UTILITY ENDPOINTS
-// ============================================
+    // ============================================
+    // UTILITY ENDPOINTS
+    // ============================================
 
-/**
- * GET /api/v2/health
- * Health check for the sign language API
- */
-router.get('/health', async (req, res) => {
-    try {
+    /**
+     * GET /api/v1/sign-language/health
+     * Health check for the sign language API
+     */
+    router.get('/health', requestSpec({ summary: 'Check that Gemini answers' }), asyncRoute(async (req, res) => {
         // Quick API test
-        const result = await model.generateContent('Say "OK"');
-        const text = result.response.text();
+        const connection = await gemini.testConnection();
+        if (!connection.success) {
+            throw new ApiError(connection.error, 'model_unavailable', 503, { status: 'degraded' });
+        }
 
         res.json({
             success: true,
@@ -460,13 +363,7 @@ router.get('/health', async (req, res) => {
             gemini: 'connected',
             services: ['translation', 'correction', 'lessons', 'vision']
         });
-    } catch (error) {
-        res.status(503).json({
-            success: false,
-            status: 'degraded',
-            error: error.message
-        });
-    }
-});
+    }));
 
-export default router;
+    return router;
+}
@@ -1,28 +1,108 @@
 // backend/routes/signTranslation.js
 // Express routes for Sign.MT + Gemini hybrid translation
+// (mounted at /api/v1/sigml by routes/v1.js)
 
 import express from 'express';
+import { ApiError, requestSpec, asyncRoute, SCHEMAS } from './common.js';
+import { MODEL_NAME } from '../gemini.js';
 import { translateTextToSiGML, sigmlToPoseKeyframes, generateSignSiGML } from '../services/geminiToSignMT.js';
+import { SiGMLError } from '../services/sigmlInterpreter.js';
 import { enhanceWithSignMT, selectBestOutput, SUPPORTED_LANGUAGES } from '../services/signMTEnhancer.js';
 
-const router = express.Router();
+const MAX_BATCH_PHRASES = 10;
+
+// ============================================
+// REQUEST SCHEMAS
+// ============================================
+
+const TRANSLATE_REQUEST = {
+    type: 'object',
+    properties: {
+        text: SCHEMAS.text,
+        targetLanguage: SCHEMAS.language,
+        outputFormat: { type: 'string', enum: ['gemini', 'signmt', 'merged'], default: 'merged' }
+    },
+    required: ['text']
+};
+
+const SINGLE_SIGN_REQUEST = {
+    type: 'object',
+    properties: {
+        sign: SCHEMAS.gloss,
+        language: SCHEMAS.language
+    },
+    required: ['sign']
+};
+
+const INTERPRET_REQUEST = {
+    type: 'object',
+    properties: {
+        sigml: { type: 'string', minLength: 1, maxLength: 200000 }
+    },
+    required: ['sigml']
+};
+
+const BATCH_REQUEST = {
+    type: 'object',
+    properties: {
+        phrases: { type: 'array', items: SCHEMAS.text, minItems: 1, maxItems: MAX_BATCH_PHRASES },
+        targetLanguage: SCHEMAS.language
+    },
+    required: ['phrases']
+};
 
 /**
- * POST /api/translate
- * Main translation endpoint - converts text to SiGML
+ * SiGML for text; an answer with no SiGML in it is the model's fault
  */
-router.post('/translate', async (req, res) => {
-    const { text, targetLanguage = 'ASL', outputFormat = 'merged' } = req.body;
-
-    if (!text) {
-        return res.status(400).json({ success: false, error: 'Text is required' });
+async function translate(gemini, text, targetLanguage) {
+    const geminiResult = await translateTextToSiGML(gemini, text, targetLanguage);
+    if (!geminiResult.sigml) {
+        throw new ApiError('Gemini returned no SiGML', 'invalid_model_response', 502);
     }
+    return geminiResult;
+}
 
+/**
+ * Pose keyframes for SiGML; a document that is not XML or is too complex
+ * to interpret is the caller's
+ * fault, or the model's when it generated it
+ */
+async function toPose(sigml, { generated = false } = {}) {
     try {
+        return await sigmlToPoseKeyframes(sigml);
+    } catch (error) {
+        if (!(error instanceof SiGMLError)) throw error;
+        throw generated
+            ? new ApiError(`Gemini returned SiGML that could not be interpreted: ${error.message}`, 'invalid_model_response', 502, { problems: error.problems })
+            : new ApiError(error.message, 'invalid_request', 400, { problems: error.problems });
+    }
+}
+
+const poseMetadata = (poseData) => ({
+    totalDuration: poseData.total_duration_ms,
+    signCount: poseData.signs.length,
+    unsupported: [...new Set(poseData.signs.flatMap(sign => sign.unsupported))].sort(),
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * Build the router on the shared GeminiService
+ * @param {GeminiService} gemini
+ */
+export default function createSignTranslationRouter(gemini) {
+    const router = express.Router();
+
+    /**
+     * POST /api/v1/sigml/translate
+     * Main translation endpoint - converts text to SiGML
+     */
+    router.post('/translate', requestSpec({ summary: 'Translate text to SiGML (Gemini merged with Sign.MT)', body: TRANSLATE_REQUEST }), asyncRoute(async (req, res) => {
+        const { text, targetLanguage, outputFormat } = req.body;
+
         console.log(`🔄 Translating: "${text}" to ${targetLanguage}`);
 
         // Step 1: Generate SiGML using Gemini
-        const geminiResult = await translateTextToSiGML(text, targetLanguage);
+        const geminiResult = await translate(gemini, text, targetLanguage);
 
         // Step 2: Enhance/validate with Sign.MT
         const enhanced = await enhanceWithSignMT(
@@ -59,38 +139,25 @@ router.post('/translate', async (req, res) => {
             metadata: {
                 confidence: enhanced.confidence || 70,
                 source: enhanced.source,
-                generatedBy: 'gemini-2.0-flash + sign.mt',
+                generatedBy: `${MODEL_NAME} + sign.mt`,
                 isValidXml: geminiResult.isValidXml,
                 timestamp: new Date().toISOString()
             }
         });
+    }));
 
-    } catch (error) {
-        console.error('Translation error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
+    /**
+     * POST /api/v1/sigml/translate/to-pose
+     * Convert text directly to pose keyframes for 3D avatar
+     */
+    router.post('/translate/to-pose', requestSpec({ summary: 'Translate text to SiGML and avatar pose keyframes', body: TRANSLATE_REQUEST }), asyncRoute(async (req, res) => {
+        const { text, targetLanguage } = req.body;
 
-/**
- * POST /api/translate/to-pose
- * Convert text directly to pose keyframes for 3D avatar
- */
-router.post('/translate/to-pose', async (req, res) => {
-    const { text, targetLanguage = 'ASL' } = req.body;
-
-    if (!text) {
-        return res.status(400).json({ success: false, error: 'Text is required' });
-    }
-
-    try {
         // Generate SiGML
-        const geminiResult = await translateTextToSiGML(text, targetLanguage);
+        const geminiResult = await translate(gemini, text, targetLanguage);
 
-        // Convert SiGML to pose keyframes
-        const poseData = await sigmlToPoseKeyframes(geminiResult.sigml, targetLanguage);
+        // Convert SiGML to pose keyframes (locally, no second Gemini call)
+        const poseData = await toPose(geminiResult.sigml, { generated: true });
 
         res.json({
             success: true,
@@ -98,62 +165,54 @@ router.post('/translate/to-pose', async (req, res) => {
             targetLanguage,
             sigml: geminiResult.sigml,
             poseData,
-            metadata: {
-                totalDuration: poseData.total_duration_ms,
-                signCount: poseData.signs.length,
-                timestamp: new Date().toISOString()
-            }
+            metadata: poseMetadata(poseData)
         });
+    }));
+
+    /**
+     * POST /api/v1/sigml/interpret
+     * Pose keyframes for any SiGML (gestural or HamNoSys symbols), without
+     * calling Gemini
+     */
+    router.post('/interpret', requestSpec({ summary: 'Interpret SiGML into avatar pose keyframes locally', body: INTERPRET_REQUEST }), asyncRoute(async (req, res) => {
+        const poseData = await toPose(req.body.sigml);
+        if (poseData.signs.length === 0) {
+            throw new ApiError('SiGML contains no hamgestural_sign or hns_sign', 'invalid_request', 400);
+        }
 
-    } catch (error) {
-        console.error('Pose conversion error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-/**
- * POST /api/translate/single-sign
- * Generate SiGML for a single sign
- */
-router.post('/translate/single-sign', async (req, res) => {
-    const { sign, language = 'ASL' } = req.body;
-
-    if (!sign) {
-        return res.status(400).json({ success: false, error: 'Sign gloss is required' });
-    }
+        res.json({
+            success: true,
+            poseData,
+            metadata: poseMetadata(poseData)
+        });
+    }));
 
-    try {
-        const sigml = await generateSignSiGML(sign, language);
+    /**
+     * POST /api/v1/sigml/translate/single-sign
+     * Generate SiGML for a single sign
+     */
+    router.post('/translate/single-sign', requestSpec({ summary: 'SiGML for one sign', body: SINGLE_SIGN_REQUEST }), asyncRoute(async (req, res) => {
+        const { sign, language } = req.body;
 
         res.json({
             success: true,
             sign: sign.toUpperCase(),
             language,
-            sigml
+            sigml: await generateSignSiGML(gemini, sign, language)
         });
-
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-/**
- * POST /api/translate/batch
- * Translate multiple phrases
- */
-router.post('/translate/batch', async (req, res) => {
-    const { phrases, targetLanguage = 'ASL' } = req.body;
-
-    if (!Array.isArray(phrases)) {
-        return res.status(400).json({ success: false, error: 'Phrases array is required' });
-    }
-
-    try {
+    }));
+
+    /**
+     * POST /api/v1/sigml/translate/batch
+     * Translate multiple phrases
+     */
+    router.post('/translate/batch', requestSpec({ summary: 'Translate several phrases to SiGML', body: BATCH_REQUEST }), asyncRoute(async (req, res) => {
+        const { phrases, targetLanguage } = req.body;
         const results = [];
 
         for (const text of phrases) {
             try {
-                const geminiResult = await translateTextToSiGML(text, targetLanguage);
+                const geminiResult = await translate(gemini, text, targetLanguage);
                 const enhanced = await enhanceWithSignMT(geminiResult.sigml, text, targetLanguage);
 
                 results.push({
@@ -169,9 +228,6 @@ router.post('/translate/batch', async (req, res) => {
                     error: err.message
                 });
             }
-
-            // Rate limiting
-            await new Promise(resolve => setTimeout(resolve, 300));
         }
 
         res.json({
@@ -182,36 +238,27 @@ router.post('/translate/batch', async (req, res) => {
             failed: results.filter(r => !r.success).length,
             results
         });
+    }));
 
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-/**
- * GET /api/translate/languages
- * Get supported sign languages
- */
-router.get('/translate/languages', (req, res) => {
-    res.json({
-        success: true,
-        languages: SUPPORTED_LANGUAGES
+    /**
+     * GET /api/v1/sigml/translate/languages
+     * Get supported sign languages
+     */
+    router.get('/translate/languages', requestSpec({ summary: 'Supported sign languages' }), (req, res) => {
+        res.json({
+            success: true,
+            languages: SUPPORTED_LANGUAGES
+        });
     });
-});
 
-/**
- * POST /api/translate/compare
- * Compare outputs from different sources
- */
-router.post('/translate/compare', async (req, res) => {
-    const { text, targetLanguage = 'ASL' } = req.body;
-
-    if (!text) {
-        return res.status(400).json({ success: false, error: 'Text is required' });
-    }
+    /**
+     * POST /api/v1/sigml/translate/compare
+     * Compare outputs from different sources
+     */
+    router.post('/translate/compare', requestSpec({ summary: 'Compare the Gemini, Sign.MT and merged SiGML', body: TRANSLATE_REQUEST }), asyncRoute(async (req, res) => {
+        const { text, targetLanguage } = req.body;
 
-    try {
-        const geminiResult = await translateTextToSiGML(text, targetLanguage);
+        const geminiResult = await translate(gemini, text, targetLanguage);
         const enhanced = await enhanceWithSignMT(geminiResult.sigml, text, targetLanguage);
         const bestOutput = await selectBestOutput(
             geminiResult.sigml,
@@ -243,10 +290,7 @@ router.post('/translate/compare', async (req, res) => {
                 }
             }
         });
+    }));
 
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-export default router;
+    return router;
+}
@@ -1,6 +1,10 @@
 /**
  * Translation Routes for How2Sign
- * Uses Gemini for semantic matching → Returns REAL pose data
+ * Local sentence index (or Gemini) for semantic matching → Returns REAL pose data
+ *
+ * HOW2SIGN_MATCHER=local (default) matches against the offline BM25 /
+ * embedding index in services/sentenceIndex.js; HOW2SIGN_MATCHER=gemini
+ * keeps the original Gemini ranking.
  */
 
 import express from 'express';
@@ -8,6 +12,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { findSemanticMatches } from '../services/semanticMatcher.js';
+import sentenceIndex from '../services/sentenceIndex.js';
+import { ApiError, requestSpec, asyncRoute, SCHEMAS } from './common.js';
 import { loadPoseKeypoints, loadHow2SignData } from '../services/how2signProcessor.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -15,117 +21,144 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+const MATCHER = (process.env.HOW2SIGN_MATCHER || 'local').toLowerCase();
+const MAX_BATCH_TEXTS = 10;
+
+const TRANSLATE_REQUEST = {
+    type: 'object',
+    properties: { text: SCHEMAS.text },
+    required: ['text']
+};
+
+const BATCH_REQUEST = {
+    type: 'object',
+    properties: {
+        texts: { type: 'array', items: SCHEMAS.text, minItems: 1, maxItems: MAX_BATCH_TEXTS }
+    },
+    required: ['texts']
+};
+
 // Use shared database loader from processor (supports CSV and JSON)
 function getDatabase() {
     return loadHow2SignData();
 }
 
+/**
+ * Rank How2Sign sentences for the input text
+ * @returns {Promise<Array>} [{ sentence_id, sentence, score, reason, source }]
+ */
+async function findMatches(text, topK = 3) {
+    if (MATCHER === 'gemini') {
+        const db = getDatabase();
+        if (!db) return null;
+        return findSemanticMatches(text, db);
+    }
+
+    await sentenceIndex.ready();
+    if (sentenceIndex.size === 0) return null;
+
+    const results = await sentenceIndex.search(text, { topK });
+    return results.map(result => ({
+        sentence_id: result.id,
+        sentence: result.text,
+        score: Math.round(result.score * 1000) / 1000,
+        reason: result.matchedTerms.length > 0
+            ? `Shared terms: ${result.matchedTerms.join(', ')}`
+            : 'Embedding similarity',
+        source: result.source
+    }));
+}
+
 /**
  * POST /api/translate
  * Translate English text to ASL using real How2Sign data
  */
-router.post('/', async (req, res) => {
+router.post('/', requestSpec({ summary: 'Translate text to real How2Sign pose data by semantic match', body: TRANSLATE_REQUEST }), asyncRoute(async (req, res, next) => {
     const { text } = req.body;
 
-    if (!text) {
-        return res.status(400).json({ error: 'Text is required' });
-    }
-
-    try {
-        console.log(`🔍 Finding ASL match for: "${text}"`);
-
-        // DEMO MODE: Check for demo phrases first (no Gemini needed)
-        const normalizedText = text.toLowerCase().trim();
-        const demoKeypoints = loadPoseKeypoints('demo', normalizedText);
+    console.log(`🔍 Finding ASL match for: "${text}"`);
 
-        if (demoKeypoints && demoKeypoints.source === 'demo') {
-            console.log(`✅ Demo keypoints found for: "${text}"`);
-            return res.json({
-                success: true,
-                original: text,
-                matchedSentence: demoKeypoints.sentence,
-                poseData: demoKeypoints,
-                hasPoseData: true,
-                matchScore: 1.0,
-                metadata: {
-                    source: 'demo_keypoints',
-                    geminiRole: 'none',
-                    poseSource: 'pre-recorded_demo',
-                    accuracy: '100%'
-                }
-            });
-        }
+    // DEMO MODE: Check for demo phrases first (no Gemini needed)
+    const normalizedText = text.toLowerCase().trim();
+    const demoKeypoints = loadPoseKeypoints('demo', normalizedText);
 
-        const db = getDatabase();
+    if (demoKeypoints && demoKeypoints.source === 'demo') {
+        console.log(`✅ Demo keypoints found for: "${text}"`);
+        return res.json({
+            success: true,
+            original: text,
+            matchedSentence: demoKeypoints.sentence,
+            poseData: demoKeypoints,
+            hasPoseData: true,
+            matchScore: 1.0,
+            metadata: {
+                source: 'demo_keypoints',
+                geminiRole: 'none',
+                poseSource: 'pre-recorded_demo',
+                accuracy: '100%'
+            }
+        });
+    }
 
-        if (!db) {
-            return res.status(503).json({
-                error: 'How2Sign database not loaded',
-                message: 'Please download the How2Sign dataset first'
-            });
-        }
+    // Step 1: Find best semantic match (local index or Gemini)
+    const matches = await findMatches(text);
 
-        // Step 1: Use Gemini to find best semantic match
-        const matches = await findSemanticMatches(text, db);
+    if (!matches) {
+        return next(new ApiError('How2Sign database not loaded', 'dataset_unavailable', 503, {
+            message: 'Please download the How2Sign dataset first'
+        }));
+    }
 
-        if (!matches || matches.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'No semantic match found',
-                original: text
-            });
-        }
+    if (!matches || matches.length === 0) {
+        return next(new ApiError('No semantic match found', 'not_found', 404, { original: text }));
+    }
 
-        const bestMatch = matches[0];
-        console.log(`✅ Best match: ${bestMatch.sentence_id} (score: ${bestMatch.score})`);
+    const bestMatch = matches[0];
+    console.log(`✅ Best match: ${bestMatch.sentence_id} (score: ${bestMatch.score})`);
 
-        // Step 2: Load pre-recorded pose keypoints
-        const poseKeypoints = loadPoseKeypoints(bestMatch.sentence_id);
+    // Step 2: Load pre-recorded pose keypoints
+    const poseKeypoints = loadPoseKeypoints(bestMatch.sentence_id);
 
-        // Find matched sentence details
-        const matchedEntry = db.find(s =>
-            (s.SENTENCE_ID || s.id) === bestMatch.sentence_id
-        );
+    // Find matched sentence details
+    const matchedEntry = MATCHER === 'gemini'
+        ? getDatabase()?.find(s => (s.SENTENCE_ID || s.id) === bestMatch.sentence_id)
+        : null;
 
-        res.json({
-            success: true,
-            original: text,
-            matchedSentence: matchedEntry?.SENTENCE || matchedEntry?.sentence || bestMatch.sentence,
-            sentenceId: bestMatch.sentence_id,
-            matchScore: bestMatch.score,
-            matchReason: bestMatch.reason,
-            poseData: poseKeypoints,
-            hasPoseData: !!poseKeypoints,
-            alternativeMatches: matches.slice(1, 3),
-            metadata: {
-                source: 'How2Sign dataset',
-                geminiRole: 'semantic_matching_only',
-                poseSource: 'real_motion_capture',
-                datasetSize: '35K+ ASL sentences',
-                accuracy: '100% (captured from interpreters)'
-            }
-        });
+    res.json({
+        success: true,
+        original: text,
+        matchedSentence: matchedEntry?.SENTENCE || matchedEntry?.sentence || bestMatch.sentence,
+        sentenceId: bestMatch.sentence_id,
+        matchScore: bestMatch.score,
+        matchReason: bestMatch.reason,
+        poseData: poseKeypoints,
+        hasPoseData: !!poseKeypoints,
+        alternativeMatches: matches.slice(1, 3),
+        metadata: {
+            source: 'How2Sign dataset',
+            geminiRole: MATCHER === 'gemini' ? 'semantic_matching_only' : 'none',
+            matcher: MATCHER === 'gemini' ? 'gemini' : bestMatch.source,
+            poseSource: 'real_motion_capture',
+            datasetSize: '35K+ ASL sentences',
+            accuracy: '100% (captured from interpreters)'
+        }
+    });
 
-    } catch (error) {
-        console.error('Translation error:', error);
-        res.status(500).json({
-            error: error.message,
-            success: false
-        });
-    }
-});
+}));
 
 /**
  * GET /api/translate/stats
  * Get translation service statistics
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', requestSpec({ summary: 'Translation database and sentence index statistics' }), (req, res) => {
     const db = getDatabase();
 
     res.json({
         databaseLoaded: !!db,
         sentenceCount: db?.length || 0,
-        status: db ? 'ready' : 'database_not_loaded'
+        status: db ? 'ready' : 'database_not_loaded',
+        matcher: MATCHER,
+        sentenceIndex: sentenceIndex.getStats()
     });
 });
 
@@ -133,21 +166,15 @@ router.get('/stats', (req, res) => {
  * POST /api/translate/batch
  * Translate multiple sentences
  */
-router.post('/batch', async (req, res) => {
+router.post('/batch', requestSpec({ summary: `Translate up to ${MAX_BATCH_TEXTS} texts`, body: BATCH_REQUEST }), asyncRoute(async (req, res) => {
     const { texts } = req.body;
-
-    if (!texts || !Array.isArray(texts)) {
-        return res.status(400).json({ error: 'texts array is required' });
-    }
-
     const results = [];
 
-    for (const text of texts.slice(0, 10)) { // Limit to 10
+    for (const text of texts) {
         try {
-            const db = getDatabase();
-            const matches = await findSemanticMatches(text, db);
+            const matches = await findMatches(text, 1);
 
-            if (matches.length > 0) {
+            if (matches?.length > 0) {
                 const poseData = loadPoseKeypoints(matches[0].sentence_id);
                 results.push({
                     original: text,
@@ -171,6 +198,6 @@ router.post('/batch', async (req, res) => {
     }
 
     res.json({ results });
-});
+}));
 
 export default router;
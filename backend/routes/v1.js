@@ -0,0 +1,27 @@
+// backend/routes/v1.js
+// Versioned API: /api/v1
+//
+//   /api/v1/sign-language  translation, correction, lessons, vision (signLanguage.js)
+//   /api/v1/sigml          SiGML translation with Sign.MT (signTranslation.js)
+//   /api/v1/feedback       comparison against reference images (signFeedback.js)
+//
+// All three share one GeminiService, request specs and the error shape in
+// routes/common.js. Errors go on to the /api error handler in server.js.
+
+import express from 'express';
+import createSignLanguageRouter from './signLanguage.js';
+import createSignTranslationRouter from './signTranslation.js';
+import createSignFeedbackRouter from './signFeedback.js';
+
+/**
+ * @param {GeminiService} gemini - Shared client (key rotation, cache log, metrics)
+ */
+export default function createV1Router(gemini) {
+    const router = express.Router();
+
+    router.use('/sign-language', createSignLanguageRouter(gemini));
+    router.use('/sigml', createSignTranslationRouter(gemini));
+    router.use('/feedback', createSignFeedbackRouter(gemini));
+
+    return router;
+}
@@ -0,0 +1,59 @@
+// scripts/buildSentenceIndex.js
+// Build the local How2Sign sentence index used for offline matching
+//
+//   npm run index:how2sign                 # BM25, plus embeddings if SENTENCE_EMBEDDING_MODEL is set
+//   npm run index:how2sign -- --limit 5000
+//   npm run index:how2sign -- --query "how do I cook pasta"
+//
+// Dense embeddings need transformers.js (npm install @xenova/transformers).
+
+import path from 'path';
+import dotenv from 'dotenv';
+
+// Load environment variables before the index reads SENTENCE_EMBEDDING_MODEL
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { default: sentenceIndex } = await import('../services/sentenceIndex.js');
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--limit') options.limit = parseInt(argv[++i], 10);
+        else if (argv[i] === '--query') options.query = argv[++i];
+        else throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('🤟 How2Sign Sentence Index Builder');
+    console.log('==================================\n');
+
+    const stats = await sentenceIndex.build({
+        limit: options.limit || Infinity,
+        onProgress: (done, total) => {
+            if (process.stdout.isTTY) process.stdout.write(`\r   Embedding ${done}/${total}`);
+        }
+    });
+    if (process.stdout.isTTY) process.stdout.write('\n');
+
+    console.log(`✅ Indexed ${stats.sentences} ${stats.source} sentences (${stats.backend}, ${stats.terms} terms)`);
+    if (stats.dims) {
+        console.log(`   ${stats.dims}-dim vectors${stats.clusters ? `, ${stats.clusters} IVF clusters` : ''} → ${stats.indexDir}`);
+    }
+    console.log(`   Took ${stats.lastBuild.durationMs} ms`);
+
+    if (options.query) {
+        console.log(`\n🔍 "${options.query}"`);
+        for (const match of await sentenceIndex.search(options.query, { topK: 5 })) {
+            console.log(`   ${match.score.toFixed(3)}  ${match.id}  ${match.text}`);
+        }
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
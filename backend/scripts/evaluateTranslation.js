@@ -0,0 +1,163 @@
+// scripts/evaluateTranslation.js
+// Score English -> gloss translation quality for prompt / mapping changes
+//
+//   npm run eval                 # configured LLM_PROVIDER (Gemini by default)
+//   npm run eval:offline         # stub provider, no API key or network needed
+//   node scripts/evaluateTranslation.js --how2sign val --limit 100 --compare eval/reports/before.json
+//
+// Writes <name>.json and <name>.html to eval/reports/ and prints a summary.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    SYSTEMS,
+    DEFAULT_CORPUS,
+    loadCorpus,
+    findHow2SignCorpus,
+    runEvaluation,
+    compareReports
+} from '../eval/runner.js';
+import { renderHtmlReport } from '../eval/htmlReport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../eval/reports');
+
+const USAGE = `Usage: node scripts/evaluateTranslation.js [options]
+
+  --corpus <file>      Corpus file (.jsonl, .json, .csv/.tsv); repeatable
+                       (default: eval/corpus/asl-conversation.jsonl)
+  --how2sign <split>   Add held-out How2Sign sentences (val, test) from how2sign_data/
+  --limit <n>          Max items per corpus file
+  --dialect <d>        Dialect for items that do not set one (default: ASL)
+  --systems <list>     Comma-separated: ${Object.keys(SYSTEMS).join(', ')}
+  --provider <name>    LLM provider: gemini, stub, record (default: LLM_PROVIDER)
+  --compare <file>     Earlier report JSON to show deltas against
+  --out <dir>          Report directory (default: eval/reports)
+  --name <name>        Report file name without extension (default: eval-<timestamp>)
+  --use-cache          Allow cached Gemini responses (off by default)
+  --verbose            Show service logs while running
+  --help               Show this message
+`;
+
+/**
+ * Parse argv into options
+ */
+function parseArgs(argv) {
+    const options = { corpus: [], verbose: false, useCache: false };
+    const takesValue = ['corpus', 'how2sign', 'limit', 'dialect', 'systems', 'provider', 'compare', 'out', 'name'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+
+        if (flag === 'help') options.help = true;
+        else if (flag === 'verbose') options.verbose = true;
+        else if (flag === 'use-cache') options.useCache = true;
+        else if (takesValue.includes(flag)) {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`--${flag} needs a value`);
+            if (flag === 'corpus') options.corpus.push(value);
+            else options[flag] = value;
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Run fn with console.log/console.warn muted (services log every call)
+ */
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+const pct = value => (value === null ? '–' : `${(value * 100).toFixed(1)}%`);
+const num = value => (value === null ? '–' : value.toFixed(1));
+
+function printSummary(report) {
+    console.log('');
+    for (const [name, system] of Object.entries(report.systems)) {
+        const s = system.summary;
+        console.log(`📊 ${name} (${s.items} items, ${s.scored} scored${s.errors ? `, ${s.errors} errors` : ''})`);
+        console.log(`   gloss accuracy ${pct(s.glossAccuracy)} · exact ${pct(s.exactMatch)} · F1 ${pct(s.f1)}`);
+        console.log(`   BLEU ${num(s.bleu)} · chrF ${num(s.chrf)} · fingerspelled ${pct(s.fingerspellingRate)}`);
+        console.log(`   latency mean ${num(s.latencyMs.mean)} ms · p95 ${num(s.latencyMs.p95)} ms`);
+
+        for (const [metric, change] of Object.entries(report.comparison?.[name] || {})) {
+            if (change.delta === 0) continue;
+            const arrow = change.better ? '⬆️ ' : '⬇️ ';
+            console.log(`   ${arrow}${metric}: ${change.baseline.toFixed(3)} → ${change.current.toFixed(3)}`);
+        }
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const limit = options.limit ? parseInt(options.limit, 10) : Infinity;
+    const dialect = options.dialect || 'ASL';
+    const files = options.corpus.length > 0 ? [...options.corpus] : [DEFAULT_CORPUS];
+    if (options.how2sign) {
+        files.push(findHow2SignCorpus(options.how2sign));
+    }
+
+    const items = files.flatMap(file => loadCorpus(file, { limit, dialect }));
+    if (items.length === 0) {
+        throw new Error('Corpus is empty');
+    }
+
+    const systems = options.systems ? options.systems.split(',').map(s => s.trim()) : Object.keys(SYSTEMS);
+    console.log(`🧪 Evaluating ${items.length} items × ${systems.length} system(s)`);
+
+    let done = 0;
+    const total = items.length * systems.length;
+    const run = () => runEvaluation(items, {
+        systems,
+        provider: options.provider,
+        useCache: options.useCache,
+        onItem: () => {
+            done++;
+            if (!options.verbose && process.stdout.isTTY) process.stdout.write(`\r   ${done}/${total}`);
+        }
+    });
+
+    const report = options.verbose ? await run() : await quietly(run);
+    if (!options.verbose && process.stdout.isTTY) process.stdout.write('\n');
+
+    if (options.compare) {
+        const baseline = JSON.parse(fs.readFileSync(options.compare, 'utf-8'));
+        report.meta.baseline = options.compare;
+        report.comparison = compareReports(report, baseline);
+    }
+
+    const outputDir = options.out || DEFAULT_OUTPUT_DIR;
+    const name = options.name || `eval-${report.meta.createdAt.replace(/[:.]/g, '-')}`;
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, `${name}.json`), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(outputDir, `${name}.html`), renderHtmlReport(report));
+
+    printSummary(report);
+    console.log(`\n📄 Report: ${path.join(outputDir, `${name}.html`)}`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+});
@@ -5,38 +5,52 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
+import config from './config.js';
 import { GeminiService } from './gemini.js';
 import { TeachingAgent } from './teachingAgent.js';
 import signDatabase from './signDatabase.js';
 import signFallback from './signFallback.js';
 import hybridSignSystem from './hybridSignSystem.js';
 import demoController from './demoController.js';
+import signResolver from './signResolver.js';
+import avatarLexicon from './avatarLexicon.js';
+import offlinePack from './offlinePack.js';
 import VideoSequenceMapper from './videoSequenceMapper.js';
 import how2signRoutes from './routes/how2sign.js';
 import translateRoutes from './routes/translate.js';
-
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load environment variables
+import createV1Router from './routes/v1.js';
+import { ApiError, requestSpec, asyncRoute, errorHandler, notFound, SCHEMAS } from './routes/common.js';
+import { buildOpenApiDocument, undocumentedRoutes } from './routes/openapi.js';
+import { buildAsyncApiDocument } from './routes/asyncapi.js';
+import landmarkRecognizer, { LandmarkStream } from './services/landmarkRecognizer.js';
+import learnerStore from './services/learnerStore.js';
+import conversationStore from './services/conversationStore.js';
+import auth from './services/auth.js';
+import rateLimiter from './services/rateLimiter.js';
+import promptRegistry from './services/promptRegistry.js';
+import responseValidator from './services/responseValidator.js';
+import { LiveLessonSessions } from './services/liveLessonSessions.js';
+import socketEvents from './services/socketEvents.js';
+import { CONTRACT_VERSION, DIALECTS } from '../shared/socketContract.js';
+
+// Load environment variables (config.js has already read them for its settings)
 dotenv.config();
 
 const app = express();
 const httpServer = createServer(app);
 
+// Behind nginx or Render, req.ip (anonymous principals, per-IP limits) comes from X-Forwarded-For
+app.set('trust proxy', config.server.trustProxy);
+
+// CORS origins (server-wide and per tenant) come from config.js
+const corsOrigin = (origin, callback) => callback(null, config.isOriginAllowed(origin));
+
 // Initialize Socket.IO with CORS configuration
 const io = new Server(httpServer, {
   cors: {
-    origin: [
-      'http://localhost:5173', 'http://127.0.0.1:5173',
-      'http://localhost:5174', 'http://127.0.0.1:5174',
-      'http://localhost:5175', 'http://127.0.0.1:5175',
-      'http://localhost:3000'
-    ],
+    origin: corsOrigin,
     methods: ['GET', 'POST'],
-    credentials: true
+    credentials: config.cors.credentials
   },
   pingTimeout: 60000,
   pingInterval: 25000
@@ -44,61 +58,142 @@ const io = new Server(httpServer, {
 
 // Middleware
 app.use(cors({
-  origin: [
-    'http://localhost:5173', 'http://127.0.0.1:5173',
-    'http://localhost:5174', 'http://127.0.0.1:5174',
-    'http://localhost:5175', 'http://127.0.0.1:5175'
-  ],
-  credentials: true
+  origin: corsOrigin,
+  credentials: config.cors.credentials
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: config.server.jsonLimit }));
+
+// Every /api request gets req.principal (API key, session token or anonymous per IP)
+app.use('/api', auth.middleware());
+
+// Every socket gets socket.data.principal, or is refused when auth.mode is 'required'
+io.use(auth.socketMiddleware({ trustProxy: app.get('trust proxy fn') }));
+
+// Clients on another major version of the event contract are refused (shared/socketContract.js)
+io.use(socketEvents.handshakeMiddleware());
+
+// REST token bucket per principal (429 + Retry-After when empty; see services/rateLimiter.js)
+app.use('/api', rateLimiter.middleware(req => config.forTenant(req.principal.tenant).rateLimits));
+
+/**
+ * 404 for routes behind a feature the caller's tenant has turned off
+ */
+function requireFeature(feature) {
+  const middleware = (req, res, next) => {
+    const tenant = config.forTenant(req.principal?.tenant ?? config.tenantForOrigin(req.get('Origin')));
+    if (tenant.features[feature]) return next();
+    next(new ApiError('Feature disabled', 'not_found', 404, { feature }));
+  };
+  // Listed as x-features in /api/openapi.json
+  middleware.feature = feature;
+  return middleware;
+}
 
 // Initialize services
 const geminiService = new GeminiService();
 const teachingAgent = new TeachingAgent(geminiService);
+const liveLessonSessions = new LiveLessonSessions(geminiService);
 const videoMapper = new VideoSequenceMapper(geminiService);
 
+// Drop usage of principals idle for a day (rate limit entries expire in their store)
+setInterval(() => auth.pruneUsage(), 60000);
+
 // ============================================
-// RATE LIMITING
+// REQUEST SCHEMAS
+// Checked by requestSpec() on each route and published in /api/openapi.json
 // ============================================
-const rateLimits = new Map(); // socketId -> { count, resetTime }
 
-function checkRateLimit(socketId) {
-  const now = Date.now();
-  const limit = rateLimits.get(socketId);
+// Dialect as a history filter (no ASL default)
+const DIALECT = { type: 'string', enum: DIALECTS };
+// Dialect in a path: an unknown one is a 404, not a bad request
+const DIALECT_SEGMENT = { type: 'string', minLength: 1, maxLength: 40 };
+const NAME = { type: 'string', minLength: 1, maxLength: 100 };
+const DAY = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const MAX_SEQUENCE_GLOSSES = 200;
+
+// A gloss, or a translation item from Gemini ({ gloss, type, expression, ... })
+const SEQUENCE_ITEM = { type: ['string', 'object'], minLength: 1, maxLength: 100, properties: { gloss: SCHEMAS.gloss }, required: ['gloss'] };
+const GLOSS_SEQUENCE = { type: 'array', items: SEQUENCE_ITEM, maxItems: MAX_SEQUENCE_GLOSSES };
+
+const DIALECT_QUERY = { type: 'object', properties: { dialect: SCHEMAS.language } };
+const SIGN_QUERY = { type: 'object', properties: { dialect: SCHEMAS.language, quality: SCHEMAS.quality } };
+const QUALITY_QUERY = { type: 'object', properties: { quality: SCHEMAS.quality } };
+
+const GLOSS_PARAMS = { type: 'object', properties: { gloss: SCHEMAS.gloss }, required: ['gloss'] };
+const DIALECT_PARAMS = { type: 'object', properties: { dialect: DIALECT_SEGMENT }, required: ['dialect'] };
+const DIALECT_GLOSS_PARAMS = { type: 'object', properties: { dialect: DIALECT_SEGMENT, gloss: SCHEMAS.gloss }, required: ['dialect', 'gloss'] };
+const CATEGORY_PARAMS = { type: 'object', properties: { category: NAME }, required: ['category'] };
+const USER_PARAMS = { type: 'object', properties: { userId: SCHEMAS.id }, required: ['userId'] };
+const SESSION_PARAMS = { type: 'object', properties: { sessionId: SCHEMAS.id }, required: ['sessionId'] };
+
+const SEQUENCE_REQUEST = {
+  type: 'object',
+  properties: { glossArray: GLOSS_SEQUENCE, dialect: SCHEMAS.language, quality: SCHEMAS.quality },
+  required: ['glossArray']
+};
+
+const TEXT_REQUEST = {
+  type: 'object',
+  properties: { text: SCHEMAS.text, dialect: SCHEMAS.language },
+  required: ['text']
+};
 
-  if (!limit || now > limit.resetTime) {
-    // Reset or initialize
-    rateLimits.set(socketId, { count: 1, resetTime: now + 60000 });
-    return true;
-  }
+// ============================================
+// AUTH ENDPOINTS
+// ============================================
 
-  if (limit.count >= 60) {
-    return false; // Rate limit exceeded
+// Issue a browser session token, or refresh the one sent (see services/auth.js)
+app.post('/api/auth/session', requestSpec({ summary: 'Issue or refresh a browser session token' }), asyncRoute(async (req, res, next) => {
+  const origin = req.get('Origin');
+  // Browsers from unknown origins are already blocked by CORS; refuse them here too
+  if (origin && !config.isOriginAllowed(origin)) {
+    return next(new ApiError('Origin not allowed', 'forbidden', 403));
+  }
+  if (req.principal.type === 'apiKey') {
+    return next(new ApiError('API key clients do not need a session token'));
   }
 
-  limit.count++;
-  return true;
-}
-
-function cleanupRateLimits() {
-  const now = Date.now();
-  for (const [socketId, limit] of rateLimits.entries()) {
-    if (now > limit.resetTime) {
-      rateLimits.delete(socketId);
+  // Each new session gets fresh buckets and Gemini quota, so new ones are limited per IP
+  if (req.principal.type !== 'session') {
+    const decision = await rateLimiter.consumeSession(req.ip, config.forTenant(req.principal.tenant).rateLimits);
+    if (!decision.allowed) {
+      res.set('Retry-After', String(decision.retryAfter));
+      return next(new ApiError(decision.message, decision.code, 429, { operation: decision.operation, ...rateLimiter.toErrorPayload(decision) }));
     }
   }
-}
 
-// Cleanup rate limits every minute
-setInterval(cleanupRateLimits, 60000);
+  const session = auth.issueSession({ origin, principal: req.principal });
+  res.set('Cache-Control', 'no-store');
+  res.json({ ...session, expiresIn: auth.sessionTtl });
+}));
+
+// The caller's principal, usage, and remaining tokens and Gemini quota
+app.get('/api/auth/me', requestSpec({ summary: 'Caller principal, usage and remaining rate limits' }), asyncRoute(async (req, res) => {
+  res.json({
+    principal: req.principal,
+    usage: auth.getUsage(req.principal.id),
+    rateLimits: await rateLimiter.getStatus(req.principal, config.forTenant(req.principal.tenant).rateLimits)
+  });
+}));
+
+// Usage of every principal seen recently (API keys with the admin scope)
+app.get('/api/auth/usage', auth.requireScope('admin'), requestSpec({ summary: 'Usage of every recent principal' }), (req, res) => {
+  const usage = auth.listUsage();
+  res.json({ count: usage.length, usage });
+});
 
 // ============================================
 // REST API ENDPOINTS
 // ============================================
 
+// Runtime settings for the frontend (features and limits of the caller's tenant)
+app.get('/api/config/public', requestSpec({ summary: 'Features and limits of the caller\'s tenant' }), (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.json(config.getPublicConfig(req.get('Origin')));
+});
+
 // Health check endpoint (root - for Docker/Render)
-app.get('/health', (req, res) => {
+app.get('/health', requestSpec({ summary: 'Liveness check for Docker and Render' }), (req, res) => {
   res.status(200).json({
     status: 'ok',
     uptime: process.uptime(),
@@ -107,36 +202,185 @@ app.get('/health', (req, res) => {
 });
 
 // Health check endpoint (API path)
-app.get('/api/health', (req, res) => {
+app.get('/api/health', requestSpec({ summary: 'Health, provider and memory usage' }), (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     geminiConnected: !!process.env.GEMINI_API_KEY,
+    llmProvider: geminiService.getKeyStats().provider,
     uptime: process.uptime(),
-    memory: process.memoryUsage()
+    memory: process.memoryUsage(),
+    liveLessons: liveLessonSessions.getStats(),
+    socketEvents: socketEvents.getStats()
+  });
+});
+
+// ============================================
+// SIGN RESOLUTION API ENDPOINTS
+// One normalized shape for every sign source
+// ============================================
+
+// Video-only chain used by the /api/signs and /api/sign/:dialect routes
+const VIDEO_SOURCES = ['signAvatars', 'video'];
+
+function parseSources(sources) {
+  if (!sources) return undefined;
+  return (Array.isArray(sources) ? sources : String(sources).split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+// Source priority chains per dialect
+app.get('/api/sign-sources', requestSpec({ summary: 'Sign sources and their priority per dialect' }), (req, res) => {
+  const dialects = ['ASL', 'BSL', 'ISL', ...Object.keys(signResolver.config.sourcePriority)]
+    .filter((d, i, all) => d !== 'default' && all.indexOf(d) === i);
+  res.json({
+    sources: signResolver.getSources(),
+    priority: Object.fromEntries(dialects.map(d => [d, signResolver.getSourcePriority(d)]))
   });
 });
 
+// Seconds per fingerspelled letter, if the client wants a different pace
+function parseLetterDuration(value) {
+  const seconds = parseFloat(value);
+  return seconds > 0 ? Math.min(seconds, 5) : undefined;
+}
+
+// Resolve one sign (?dialect=ASL&quality=720p&sources=procedural,fingerspelling&letterDuration=0.5)
+const RESOLVE_OPTIONS = {
+  dialect: SCHEMAS.language,
+  quality: SCHEMAS.quality,
+  // Comma-separated in a query string
+  sources: { type: ['array', 'string'], items: { type: 'string', minLength: 1 } },
+  letterDuration: { type: 'number' }
+};
+
+app.get('/api/resolve/:gloss', requestSpec({ summary: 'Resolve one sign through the source chain', params: GLOSS_PARAMS, query: { type: 'object', properties: RESOLVE_OPTIONS } }), asyncRoute(async (req, res, next) => {
+  const { gloss } = req.params;
+  const { dialect, quality, sources, letterDuration } = req.query;
+
+  const sign = await signResolver.resolve(gloss, dialect, {
+    quality,
+    sources: parseSources(sources),
+    letterDuration: parseLetterDuration(letterDuration)
+  });
+  if (!sign) {
+    return next(new ApiError('No source in the chain has this sign', 'not_found', 404, { gloss, dialect }));
+  }
+  res.json(sign);
+}));
+
+// Resolve a sequence of glosses or translation items
+app.post('/api/resolve', requestSpec({
+  summary: 'Resolve a sequence of glosses or translation items',
+  body: { type: 'object', properties: { glossArray: GLOSS_SEQUENCE, sequence: GLOSS_SEQUENCE, ...RESOLVE_OPTIONS } }
+}), asyncRoute(async (req, res, next) => {
+  const { glossArray, sequence, dialect, quality, sources, letterDuration } = req.body;
+  const items = glossArray || sequence;
+
+  if (!items) {
+    return next(new ApiError('Invalid request', 'invalid_request', 400, { problems: ['body.glossArray: required (or body.sequence)'] }));
+  }
+
+  res.json(await signResolver.resolveSequence(items, dialect, {
+    quality,
+    sources: parseSources(sources),
+    letterDuration: parseLetterDuration(letterDuration)
+  }));
+}));
+
+// ============================================
+// AVATAR LEXICON ENDPOINTS
+// Avatar3D sign definitions, revalidated with ETag / If-None-Match
+// ============================================
+
+// Dialects in the lexicon with their sign counts and ETags
+app.get('/api/lexicon', requestSpec({ summary: 'Avatar lexicon dialects, sign counts and ETags' }), (req, res) => {
+  res.json(avatarLexicon.getStats());
+});
+
+// Every avatar sign for a dialect (304 when the client copy is current)
+app.get('/api/lexicon/:dialect', requestSpec({ summary: 'Every avatar sign for a dialect', params: DIALECT_PARAMS }), (req, res, next) => {
+  const dialect = req.params.dialect.toUpperCase();
+  if (!DIALECTS.includes(dialect)) {
+    return next(new ApiError('Unknown dialect', 'not_found', 404, { dialect, available: DIALECTS }));
+  }
+
+  const lexicon = avatarLexicon.getLexicon(dialect);
+
+  res.set('ETag', lexicon.etag);
+  res.set('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(lexicon);
+});
+
+// One avatar sign
+app.get('/api/lexicon/:dialect/:gloss', requestSpec({ summary: 'One avatar sign', params: DIALECT_GLOSS_PARAMS }), (req, res, next) => {
+  const { dialect, gloss } = req.params;
+  const sign = avatarLexicon.getSign(gloss, dialect);
+
+  if (!sign) {
+    return next(new ApiError('Sign not in avatar lexicon', 'not_found', 404, { gloss, dialect: dialect.toUpperCase() }));
+  }
+  res.set('ETag', avatarLexicon.etag(dialect));
+  res.set('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(sign);
+});
+
+// ============================================
+// OFFLINE PACK ENDPOINTS
+// Per-dialect bundle the service worker installs for offline translation
+// ============================================
+
+// Available packs with versions and sizes
+app.get('/api/offline-pack', requireFeature('offlinePacks'), requestSpec({ summary: 'Offline packs with versions and sizes' }), (req, res) => {
+  res.json(offlinePack.getManifest());
+});
+
+// One dialect's pack (304 when the installed version is current)
+app.get('/api/offline-pack/:dialect', requireFeature('offlinePacks'), requestSpec({ summary: 'One dialect\'s offline pack', params: DIALECT_PARAMS }), (req, res, next) => {
+  const dialect = req.params.dialect.toUpperCase();
+  if (!offlinePack.dialects.includes(dialect)) {
+    return next(new ApiError('No offline pack for this dialect', 'not_found', 404, { dialect, available: offlinePack.dialects }));
+  }
+
+  const pack = offlinePack.get(dialect);
+  res.set('ETag', offlinePack.etag(pack));
+  res.set('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(pack);
+});
+
 // ============================================
 // SIGN DATABASE API ENDPOINTS
 // ============================================
 
 // Serve processed videos and thumbnails (multiple paths for flexibility)
-app.use('/signs', express.static(path.join(__dirname, 'dataset/processed')));
-app.use('/videos', express.static(path.join(__dirname, 'dataset/processed')));
-app.use('/thumbnails', express.static(path.join(__dirname, 'dataset/thumbnails')));
+app.use('/signs', express.static(path.join(config.paths.datasetDir, 'processed')));
+app.use('/videos', express.static(path.join(config.paths.datasetDir, 'processed')));
+app.use('/thumbnails', express.static(path.join(config.paths.datasetDir, 'thumbnails')));
 
 // How2Sign API - Real motion capture data (NOT AI-generated)
-app.use('/api/how2sign', how2signRoutes);
+app.use('/api/how2sign', requireFeature('how2sign'), how2signRoutes);
 
 // Translate API - Semantic matching to How2Sign
-app.use('/api/translate', translateRoutes);
+app.use('/api/translate', requireFeature('how2sign'), translateRoutes);
+
+// Versioned API - sign language, SiGML and feedback routers (see routes/v1.js)
+app.use('/api/v1', createV1Router(geminiService));
 
 
 
 // Get available signs for a dialect
-app.get('/api/signs/available', (req, res) => {
-  const { dialect = 'ASL' } = req.query;
+app.get('/api/signs/available', requestSpec({ summary: 'Signs with video for a dialect', query: DIALECT_QUERY }), (req, res) => {
+  const { dialect } = req.query;
   const signs = signDatabase.getAvailableSigns(dialect);
   res.json({
     dialect,
@@ -146,11 +390,11 @@ app.get('/api/signs/available', (req, res) => {
 });
 
 // Search for signs
-app.get('/api/signs/search', (req, res) => {
-  const { q, dialect = 'ASL' } = req.query;
-  if (!q) {
-    return res.status(400).json({ error: 'Query parameter "q" is required' });
-  }
+app.get('/api/signs/search', requestSpec({
+  summary: 'Search signs with video',
+  query: { type: 'object', properties: { q: { type: 'string', minLength: 1, maxLength: 100 }, dialect: SCHEMAS.language }, required: ['q'] }
+}), (req, res) => {
+  const { q, dialect } = req.query;
   const results = signDatabase.searchSigns(q, dialect);
   res.json({
     query: q,
@@ -161,85 +405,68 @@ app.get('/api/signs/search', (req, res) => {
 });
 
 // Get database stats
-app.get('/api/signs/stats', (req, res) => {
+app.get('/api/signs/stats', requestSpec({ summary: 'Sign database statistics' }), (req, res) => {
   res.json(signDatabase.getStats());
 });
 
 // Get random sign for practice
-app.get('/api/signs/random', (req, res) => {
-  const { dialect = 'ASL' } = req.query;
+app.get('/api/signs/random', requestSpec({ summary: 'Random sign for practice', query: DIALECT_QUERY }), (req, res, next) => {
+  const { dialect } = req.query;
   const sign = signDatabase.getRandomSign(dialect);
   if (!sign) {
-    return res.status(404).json({ error: 'No signs available for dialect' });
+    return next(new ApiError('No signs available for dialect', 'not_found', 404));
   }
   res.json(sign);
 });
 
-// Get sign video and metadata
-app.get('/api/signs/:gloss', (req, res) => {
+// Get sign video (video sources only)
+app.get('/api/signs/:gloss', requestSpec({ summary: 'Sign video (video sources only)', params: GLOSS_PARAMS, query: SIGN_QUERY }), asyncRoute(async (req, res, next) => {
   const { gloss } = req.params;
-  const { dialect = 'ASL', quality = '720p' } = req.query;
+  const { dialect, quality } = req.query;
 
-  const metadata = signDatabase.getSignMetadata(gloss, dialect);
-  if (!metadata) {
-    return res.status(404).json({
-      error: 'Sign not found',
+  const sign = await signResolver.resolve(gloss, dialect, { quality, sources: VIDEO_SOURCES });
+  if (!sign) {
+    return next(new ApiError('Sign not found', 'not_found', 404, {
       gloss,
       dialect,
       suggestion: signDatabase.searchSigns(gloss, dialect).slice(0, 5)
-    });
+    }));
   }
 
-  const videoURL = signDatabase.getVideoURL(gloss, dialect, quality);
-  const thumbnailURL = signDatabase.getThumbnailURL(gloss, dialect);
-
-  res.json({
-    gloss: gloss.toUpperCase(),
-    dialect,
-    videoURL,
-    thumbnailURL,
-    duration: metadata.duration,
-    metadata: metadata.metadata
-  });
-});
-
-// Batch get sign videos
-app.post('/api/signs/batch', (req, res) => {
-  const { glossArray, dialect = 'ASL', quality = '720p' } = req.body;
+  res.json(sign);
+}));
 
-  if (!Array.isArray(glossArray)) {
-    return res.status(400).json({ error: 'glossArray must be an array' });
-  }
+// Batch get sign videos (signs without video come back as fingerspelling)
+app.post('/api/signs/batch', requestSpec({ summary: 'Sign videos for a sequence (signs without video are fingerspelled)', body: SEQUENCE_REQUEST }), asyncRoute(async (req, res) => {
+  const { glossArray, dialect, quality } = req.body;
 
-  const sequence = signDatabase.getSignSequence(glossArray, dialect, quality);
+  const result = await signResolver.resolveSequence(glossArray, dialect, { quality, sources: VIDEO_SOURCES });
 
   res.json({
-    dialect,
+    ...result,
     quality,
     requested: glossArray.length,
-    found: sequence.filter(s => s.found).length,
-    sequence
+    found: result.sequence.filter(s => s.type === 'video').length
   });
-});
+}));
 
 // ============================================
 // VIDEO STREAMING ENDPOINT
 // ============================================
 
 // Stream video with range request support
-app.get('/api/sign-stream/:dialect/:gloss', (req, res) => {
+app.get('/api/sign-stream/:dialect/:gloss', requestSpec({ summary: 'Stream a sign video (supports Range requests)', params: DIALECT_GLOSS_PARAMS, query: QUALITY_QUERY, contentType: 'video/mp4' }), (req, res, next) => {
   const { dialect, gloss } = req.params;
-  const quality = req.query.quality || '720p';
+  const { quality } = req.query;
 
   const videoPath = signDatabase.getSignVideo(gloss, dialect, quality);
 
   if (!videoPath || !fs.existsSync(videoPath)) {
-    return res.status(404).json({
-      error: 'Video not found',
+    return next(new ApiError('Video not found', 'not_found', 404, {
       gloss,
       dialect,
       fallbackAvailable: true
-    });
+    }));
   }
 
   const stat = fs.statSync(videoPath);
@@ -274,102 +501,65 @@ app.get('/api/sign-stream/:dialect/:gloss', (req, res) => {
   }
 });
 
-// Get sign video metadata by dialect and gloss (matching user's requested pattern)
-app.get('/api/sign/:dialect/:gloss', (req, res) => {
+// Get sign video by dialect and gloss (video sources only)
+app.get('/api/sign/:dialect/:gloss', requestSpec({ summary: 'Sign video by dialect and gloss (video sources only)', params: DIALECT_GLOSS_PARAMS, query: QUALITY_QUERY }), asyncRoute(async (req, res, next) => {
   const { dialect, gloss } = req.params;
-  const quality = req.query.quality || '720p';
+  const { quality } = req.query;
 
-  const metadata = signDatabase.getSignMetadata(gloss, dialect);
-  const videoPath = signDatabase.getSignVideo(gloss, dialect, quality);
+  const sign = await signResolver.resolve(gloss, dialect, { quality, sources: VIDEO_SOURCES });
 
-  if (!videoPath) {
-    // Check if fallback is available
-    const fallbackAvailable = signFallback.checkSignAvailability(gloss, dialect);
-    return res.status(404).json({
-      error: 'Sign not found',
+  if (!sign) {
+    const availability = signResolver.checkAvailability(gloss, dialect, { quality });
+    return next(new ApiError('Sign not found', 'not_found', 404, {
       gloss,
       dialect,
-      fallbackAvailable: fallbackAvailable.hasProcedural || fallbackAvailable.canFingerspell
-    });
+      fallbackAvailable: availability.hasProcedural || availability.canFingerspell
+    }));
   }
 
-  res.json({
-    gloss: gloss.toUpperCase(),
-    dialect,
-    videoUrl: `/videos/${dialect.toLowerCase()}/${path.basename(videoPath)}`,
-    thumbnail: `/thumbnails/${dialect.toLowerCase()}/${gloss.toLowerCase()}.jpg`,
-    metadata: metadata
-  });
-});
+  res.json(sign);
+}));
 
 // Get sign with fallback (video, procedural, or fingerspelling)
-app.get('/api/sign-with-fallback/:gloss', async (req, res) => {
+app.get('/api/sign-with-fallback/:gloss', requestSpec({ summary: 'Sign from the best source (video, procedural or fingerspelling)', params: GLOSS_PARAMS, query: SIGN_QUERY }), asyncRoute(async (req, res) => {
   const { gloss } = req.params;
-  const { dialect = 'ASL', quality = '720p' } = req.query;
+  const { dialect, quality } = req.query;
 
-  try {
-    const signData = await signFallback.getSign(gloss, dialect, quality);
-    res.json(signData);
-  } catch (error) {
-    console.error('Error getting sign with fallback:', error);
-    res.status(500).json({ error: 'Failed to get sign data' });
-  }
-});
+  const sign = await signResolver.resolve(gloss, dialect, { quality });
+  res.json(sign);
+}));
 
 // Get sign sequence with fallbacks
-app.post('/api/signs-with-fallback/batch', async (req, res) => {
-  const { glossArray, dialect = 'ASL', quality = '720p' } = req.body;
-
-  if (!Array.isArray(glossArray)) {
-    return res.status(400).json({ error: 'glossArray must be an array' });
-  }
+app.post('/api/signs-with-fallback/batch', requestSpec({ summary: 'Sign sequence from the best source per sign', body: SEQUENCE_REQUEST }), asyncRoute(async (req, res) => {
+  const { glossArray, dialect, quality } = req.body;
 
-  try {
-    const sequence = await signFallback.getSignSequence(glossArray, dialect, quality);
-
-    const stats = {
-      total: sequence.length,
-      videos: sequence.filter(s => s.type === 'video').length,
-      procedural: sequence.filter(s => s.type === 'procedural').length,
-      fingerspelling: sequence.filter(s => s.type === 'fingerspelling').length
-    };
-
-    res.json({
-      dialect,
-      quality,
-      stats,
-      sequence
-    });
-  } catch (error) {
-    console.error('Error getting sign sequence:', error);
-    res.status(500).json({ error: 'Failed to get sign sequence' });
-  }
-});
+  const result = await signResolver.resolveSequence(glossArray, dialect, { quality });
+  res.json({ ...result, quality });
+}));
 
 // Check sign availability
-app.get('/api/sign-availability/:gloss', (req, res) => {
+app.get('/api/sign-availability/:gloss', requestSpec({ summary: 'Which sources have a sign', params: GLOSS_PARAMS, query: DIALECT_QUERY }), (req, res) => {
   const { gloss } = req.params;
-  const { dialect = 'ASL' } = req.query;
+  const { dialect } = req.query;
 
-  const availability = signFallback.checkSignAvailability(gloss, dialect);
-  res.json(availability);
+  res.json(signResolver.checkAvailability(gloss, dialect));
 });
 
 // Get all fallback categories
-app.get('/api/fallback/categories', (req, res) => {
+app.get('/api/fallback/categories', requestSpec({ summary: 'Fallback sign categories' }), (req, res) => {
   const categories = signFallback.getCategories();
   res.json({ categories });
 });
 
 // Get signs by category (fallback signs)
-app.get('/api/fallback/category/:category', (req, res) => {
+app.get('/api/fallback/category/:category', requestSpec({ summary: 'Fallback signs in a category', params: CATEGORY_PARAMS }), (req, res) => {
   const { category } = req.params;
   const signs = signFallback.getSignsByCategory(category);
   res.json({ category, count: signs.length, signs });
 });
 
 // Get all available fallback signs
-app.get('/api/fallback/available', (req, res) => {
+app.get('/api/fallback/available', requestSpec({ summary: 'Every fallback sign' }), (req, res) => {
   const signs = signFallback.getAvailableFallbacks();
   res.json({ count: signs.length, signs });
 });
@@ -379,84 +569,69 @@ app.get('/api/fallback/available', (req, res) => {
 // ============================================
 
 // Get demo info and phase roadmap
-app.get('/api/demo/info', (req, res) => {
+app.get('/api/demo/info', requestSpec({ summary: 'Demo info and phase roadmap' }), (req, res) => {
   res.json(hybridSignSystem.getDemoInfo());
 });
 
 // Get system stats (works without dataset)
-app.get('/api/demo/stats', (req, res) => {
+app.get('/api/demo/stats', requestSpec({ summary: 'Hybrid sign system statistics' }), (req, res) => {
   res.json(hybridSignSystem.getStats());
 });
 
 // Get demo highlights
-app.get('/api/demo/highlights', (req, res) => {
+app.get('/api/demo/highlights', requestSpec({ summary: 'Demo highlight signs' }), (req, res) => {
   const highlights = hybridSignSystem.getDemoHighlights();
   res.json({ count: highlights.length, signs: highlights });
 });
 
 // Get sign using hybrid system (best available source)
-app.get('/api/hybrid/sign/:gloss', async (req, res) => {
+app.get('/api/hybrid/sign/:gloss', requestSpec({ summary: 'Sign from the best available source', params: GLOSS_PARAMS, query: SIGN_QUERY }), asyncRoute(async (req, res) => {
   const { gloss } = req.params;
-  const { dialect = 'ASL', quality = '720p' } = req.query;
+  const { dialect, quality } = req.query;
 
-  try {
-    const sign = await hybridSignSystem.getSign(gloss, dialect, { quality });
-    res.json(sign);
-  } catch (error) {
-    console.error('Hybrid sign error:', error);
-    res.status(500).json({ error: 'Failed to get sign' });
-  }
-});
+  const sign = await signResolver.resolve(gloss, dialect, { quality });
+  res.json(sign);
+}));
 
 // Get sign sequence using hybrid system
-app.post('/api/hybrid/sequence', async (req, res) => {
-  const { glossArray, dialect = 'ASL', quality = '720p' } = req.body;
-
-  if (!Array.isArray(glossArray)) {
-    return res.status(400).json({ error: 'glossArray must be an array' });
-  }
+app.post('/api/hybrid/sequence', requestSpec({ summary: 'Sign sequence from the best available sources', body: SEQUENCE_REQUEST }), asyncRoute(async (req, res) => {
+  const { glossArray, dialect, quality } = req.body;
 
-  try {
-    const result = await hybridSignSystem.getSignSequence(glossArray, dialect, { quality });
-    res.json(result);
-  } catch (error) {
-    console.error('Hybrid sequence error:', error);
-    res.status(500).json({ error: 'Failed to get sequence' });
-  }
-});
+  const result = await signResolver.resolveSequence(glossArray, dialect, { quality });
+  res.json(result);
+}));
 
 // Check sign availability across all sources
-app.get('/api/hybrid/availability/:gloss', (req, res) => {
+app.get('/api/hybrid/availability/:gloss', requestSpec({ summary: 'Which sources have a sign', params: GLOSS_PARAMS, query: DIALECT_QUERY }), (req, res) => {
   const { gloss } = req.params;
-  const { dialect = 'ASL' } = req.query;
+  const { dialect } = req.query;
 
-  const availability = hybridSignSystem.checkSignAvailability(gloss, dialect);
-  res.json(availability);
+  res.json(signResolver.checkAvailability(gloss, dialect));
 });
 
 // Get all available signs (from all sources)
-app.get('/api/hybrid/available', (req, res) => {
-  const { dialect = 'ASL' } = req.query;
+app.get('/api/hybrid/available', requestSpec({ summary: 'Signs available from any source', query: DIALECT_QUERY }), (req, res) => {
+  const { dialect } = req.query;
   const signs = hybridSignSystem.getAvailableSigns(dialect);
   res.json({ dialect, count: signs.length, signs });
 });
 
 // Get signs by category
-app.get('/api/hybrid/category/:category', (req, res) => {
+app.get('/api/hybrid/category/:category', requestSpec({ summary: 'Signs in a category', params: CATEGORY_PARAMS, query: DIALECT_QUERY }), (req, res) => {
   const { category } = req.params;
-  const { dialect = 'ASL' } = req.query;
+  const { dialect } = req.query;
   const signs = hybridSignSystem.getSignsByCategory(category, dialect);
   res.json({ category, dialect, count: signs.length, signs });
 });
 
 // Get external embed/link for a sign
-app.get('/api/hybrid/embed/:gloss', (req, res) => {
+app.get('/api/hybrid/embed/:gloss', requestSpec({ summary: 'External embed or link for a sign', params: GLOSS_PARAMS, query: DIALECT_QUERY }), (req, res, next) => {
   const { gloss } = req.params;
-  const { dialect = 'ASL' } = req.query;
+  const { dialect } = req.query;
 
   const embed = hybridSignSystem.getEmbedHTML(gloss, dialect);
   if (!embed) {
-    return res.status(404).json({ error: 'No external source available' });
+    return next(new ApiError('No external source available', 'not_found', 404));
   }
   res.json(embed);
 });
@@ -466,59 +641,58 @@ app.get('/api/hybrid/embed/:gloss', (req, res) => {
 // ============================================
 
 // Get all demo sequences
-app.get('/api/presentation/sequences', (req, res) => {
+app.get('/api/presentation/sequences', requestSpec({ summary: 'Demo sequences' }), (req, res) => {
   res.json(demoController.getSequences());
 });
 
 // Get a specific demo sequence with sign data
-app.get('/api/presentation/sequence/:id', async (req, res) => {
+app.get('/api/presentation/sequence/:id', requestSpec({ summary: 'One demo sequence with resolved signs', params: { type: 'object', properties: { id: NAME }, required: ['id'] }, query: DIALECT_QUERY }), asyncRoute(async (req, res, next) => {
   const { id } = req.params;
-  const { dialect = 'ASL' } = req.query;
+  const { dialect } = req.query;
 
-  try {
-    const sequence = await demoController.getSequenceSigns(id, dialect);
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
-    res.json(sequence);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const sequence = await demoController.getSequenceSigns(id, dialect);
+  if (!sequence) {
+    return next(new ApiError('Sequence not found', 'not_found', 404));
   }
-});
+  const { sequence: signs } = await signResolver.resolveSequence(sequence.glossList, dialect);
+  const totalDuration = Math.round(signs.reduce((sum, s) => sum + (s.duration || 0), 0) * 10) / 10;
+  res.json({ ...sequence, signs, totalDuration });
+}));
 
 // Get presentation stats
-app.get('/api/presentation/stats', (req, res) => {
+app.get('/api/presentation/stats', requestSpec({ summary: 'Presentation statistics' }), (req, res) => {
   res.json(demoController.getPresentationStats());
 });
 
 // Get judge-friendly summary
-app.get('/api/presentation/summary', (req, res) => {
+app.get('/api/presentation/summary', requestSpec({ summary: 'Judge-friendly summary' }), (req, res) => {
   res.json(demoController.getJudgeSummary());
 });
 
 // Full demo info
-app.get('/api/presentation/full', (req, res) => {
+app.get('/api/presentation/full', requestSpec({ summary: 'Full demo info' }), (req, res) => {
   res.json(demoController.getDemoInfo());
 });
 
 // Test Gemini connection
-app.get('/api/test-gemini', async (req, res) => {
-  try {
-    const result = await geminiService.testConnection();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+app.get('/api/test-gemini', requestSpec({ summary: 'Send a test request to the LLM provider' }), asyncRoute(async (req, res) => {
+  const result = await geminiService.testConnection();
+  res.json(result);
+}));
 
 // Get API request logs (for debugging)
-app.get('/api/logs', (req, res) => {
+app.get('/api/logs', requestSpec({ summary: 'Recent Gemini request logs' }), (req, res) => {
   res.json(geminiService.getRequestLogs());
 });
 
+// Get schema validation counts for Gemini responses, per prompt
+app.get('/api/validation/stats', requestSpec({ summary: 'Gemini response validation counts per prompt' }), (req, res) => {
+  res.json(responseValidator.getStats());
+});
+
 // Get cache statistics
-import geminiCache from './geminiCache.js';
-app.get('/api/cache/stats', (req, res) => {
+import geminiCache, { CACHED_METHODS } from './geminiCache.js';
+app.get('/api/cache/stats', requestSpec({ summary: 'Response cache, rate limit and key statistics' }), (req, res) => {
   res.json({
     ...geminiCache.getStats(),
     rateLimitStatus: geminiService.getRateLimitStatus(),
@@ -526,149 +700,583 @@ app.get('/api/cache/stats', (req, res) => {
   });
 });
 
-// REST endpoint for text-to-sign translation
-app.post('/api/translate/text-to-sign', async (req, res) => {
+// ============================================
+// CACHE ADMIN ENDPOINTS (API keys with the admin scope)
+// ============================================
+
+// Methods the warm endpoint can run
+const WARM_METHODS = ['textToSignSequence', 'textToSignAnimation', 'textToPoseKeyframes'];
+const MAX_WARM_PHRASES = 200;
+
+// Filters shared by listing and invalidation
+const CACHE_FILTERS = {
+  method: { type: 'string', enum: Object.keys(CACHED_METHODS) },
+  prompt: { type: 'string', minLength: 1, description: 'Prompt id, e.g. textToSignSequence@v2' },
+  gloss: SCHEMAS.gloss
+};
+
+const WARM_REQUEST = {
+  type: 'object',
+  properties: {
+    phrases: { type: 'array', items: SCHEMAS.text, minItems: 1, maxItems: MAX_WARM_PHRASES },
+    dialect: SCHEMAS.language,
+    method: { type: 'string', enum: WARM_METHODS, default: 'textToSignSequence' }
+  },
+  required: ['phrases']
+};
+
+// Inspect cached responses, most recently used first (?method=&prompt=&gloss=&limit=)
+app.get('/api/cache/entries', auth.requireScope('admin'), requestSpec({
+  summary: 'Cached responses, most recently used first',
+  query: { type: 'object', properties: { ...CACHE_FILTERS, limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 } } }
+}), (req, res) => {
+  const { method, prompt, gloss, limit } = req.query;
+  const entries = geminiCache.list({ method, prompt, gloss, limit });
+  res.json({ count: entries.length, entries });
+});
+
+// Invalidate by method, prompt id (e.g. textToSignSequence@v2) and/or gloss; none = everything
+app.delete('/api/cache', auth.requireScope('admin'), requestSpec({
+  summary: 'Invalidate cached responses',
+  query: { type: 'object', properties: CACHE_FILTERS }
+}), (req, res) => {
+  const { method, prompt, gloss } = req.query;
+  const removed = geminiCache.invalidate({ method, prompt, gloss });
+  res.json({ removed, method: method || null, prompt: prompt || null, gloss: gloss || null });
+});
+
+// Warm the cache from a phrase list: { phrases, dialect, method }
+app.post('/api/cache/warm', auth.requireScope('admin'), requestSpec({ summary: 'Warm the cache from a phrase list', body: WARM_REQUEST }), asyncRoute(async (req, res) => {
+  const { phrases, dialect, method } = req.body;
+
+  const result = { method, dialect, total: phrases.length, warmed: 0, alreadyCached: 0, failed: [] };
+  // One at a time so warming does not trip the provider's own rate limits
+  for (const phrase of phrases) {
+    if (geminiService.isCached(method, phrase, dialect)) {
+      result.alreadyCached++;
+      continue;
+    }
+    try {
+      await geminiService[method](phrase, dialect);
+    } catch (error) {
+      console.warn(`⚠️ Cache warm failed for "${phrase}": ${error.message}`);
+    }
+    // Fallbacks (mock, fingerspelling) are returned but never cached
+    if (geminiService.isCached(method, phrase, dialect)) result.warmed++;
+    else result.failed.push(phrase);
+  }
+
+  console.log(`🔥 Cache warm [${method}/${dialect}]: ${result.warmed} warmed, ${result.alreadyCached} cached, ${result.failed.length} failed`);
+  res.json(result);
+}));
+
+// ============================================
+// PROMPT TEMPLATE ENDPOINTS (API keys with the admin scope)
+// ============================================
+
+const PROMPT_PARAMS = { type: 'object', properties: { name: NAME }, required: ['name'] };
+
+const PROMPT_SETTINGS_REQUEST = {
+  type: 'object',
+  properties: {
+    active: { type: 'string', minLength: 1 },
+    // null stops the experiment
+    experiment: {
+      type: ['object', 'null'],
+      properties: { version: { type: 'string', minLength: 1 }, share: { type: 'number' } },
+      required: ['version', 'share']
+    }
+  }
+};
+
+// Every prompt with its versions, active version, experiment and outcome counts
+app.get('/api/prompts', auth.requireScope('admin'), requestSpec({ summary: 'Prompts with versions, experiments and outcome counts' }), (req, res) => {
+  const prompts = promptRegistry.list();
+  res.json({ count: prompts.length, prompts });
+});
+
+// Re-read templates and registry.json from disk (a broken edit keeps the loaded ones)
+app.post('/api/prompts/reload', auth.requireScope('admin'), requestSpec({ summary: 'Re-read prompt templates and registry.json' }), (req, res) => {
+  // A PromptError reaches the error handler as a 400 listing the problems
+  const prompts = promptRegistry.load();
+  res.json({ count: prompts.length, prompts });
+});
+
+// One prompt with every version's text, variables and output schema
+app.get('/api/prompts/:name', auth.requireScope('admin'), requestSpec({ summary: 'One prompt with every version', params: PROMPT_PARAMS }), (req, res, next) => {
+  const prompt = promptRegistry.get(req.params.name);
+  if (!prompt) return next(new ApiError(`Unknown prompt "${req.params.name}"`, 'not_found', 404));
+  res.json(prompt);
+});
+
+// Switch or roll back the active version and start/stop an experiment:
+// { active: "v1", experiment: { version: "v2", share: 0.1 } | null }
+app.put('/api/prompts/:name', auth.requireScope('admin'), requestSpec({ summary: 'Set the active version and experiment of a prompt', params: PROMPT_PARAMS, body: PROMPT_SETTINGS_REQUEST }), (req, res, next) => {
+  if (!promptRegistry.get(req.params.name)) {
+    return next(new ApiError(`Unknown prompt "${req.params.name}"`, 'not_found', 404));
+  }
+  const { active, experiment } = req.body;
+  res.json(promptRegistry.configure(req.params.name, { active, experiment }));
+});
+
+// ============================================
+// LEARNER PROGRESS API ENDPOINTS
+// ============================================
+
+// Learner profiles and conversations belong to the principal that created
+// (or first claimed) them. Teachers and admins can open every profile;
+// only admins every conversation. Anonymous callers share a principal per
+// IP, so they need a session token before they can own either.
+const LEARNER_SCOPES = ['admin', 'teacher'];
+const CONVERSATION_SCOPES = ['admin'];
+
+const OWNER_REQUIRED = 'Learner profiles and conversations need a session token (POST /api/auth/session) or an API key';
+
+// 401 for anonymous callers
+const requireOwnerPrincipal = (req, res, next) => {
+  if (!auth.canOwn(req.principal)) {
+    return next(new ApiError(OWNER_REQUIRED, 'auth_required', 401));
+  }
+  next();
+};
+
+/**
+ * 401 for anonymous callers, 403 unless the caller may use the record named
+ * in the route params. Records that do not exist fall through to the route
+ * (404 or create).
+ */
+const requireOwner = (load, what, scopes) => (req, res, next) => {
+  if (!auth.canOwn(req.principal)) {
+    return next(new ApiError(OWNER_REQUIRED, 'auth_required', 401));
+  }
+  const record = load(req.params);
+  if (record && !auth.canAccess(req.principal, record.ownerId, scopes)) {
+    return next(new ApiError(`This ${what} belongs to someone else`, 'forbidden', 403));
+  }
+  next();
+};
+
+const ownLearner = requireOwner(({ userId }) => learnerStore.get(userId), 'learner profile', LEARNER_SCOPES);
+const ownConversation = requireOwner(({ sessionId }) => conversationStore.get(sessionId), 'conversation', CONVERSATION_SCOPES);
+
+const LEARNER_REQUEST = {
+  type: 'object',
+  properties: { displayName: NAME }
+};
+
+const ATTEMPTS_QUERY = {
+  type: 'object',
+  properties: {
+    gloss: SCHEMAS.gloss,
+    dialect: DIALECT,
+    since: { type: 'string', minLength: 1, description: 'ISO date or timestamp' },
+    limit: { type: 'integer', minimum: 1 }
+  }
+};
+
+const ATTEMPT_REQUEST = {
+  type: 'object',
+  properties: {
+    gloss: SCHEMAS.gloss,
+    dialect: SCHEMAS.language,
+    accuracy: { type: 'number', minimum: 0, maximum: 100 },
+    assessment: { type: ['object', 'string', 'null'] },
+    practiceDate: { ...DAY, description: 'Learner\'s local YYYY-MM-DD, so streaks follow their timezone' },
+    timestamp: { type: 'string', minLength: 1 },
+    source: { type: 'string', minLength: 1, maxLength: 40, default: 'rest' }
+  },
+  required: ['gloss', 'accuracy']
+};
+
+const REVIEWS_QUERY = {
+  type: 'object',
+  properties: { dialect: DIALECT, date: DAY, limit: { type: 'integer', minimum: 1 } }
+};
+
+const SYNC_REQUEST = {
+  type: 'object',
+  properties: {
+    progress: { type: 'object', description: 'The localStorage progress object (signHistory, streak, ...)' },
+    dialect: SCHEMAS.language
+  },
+  required: ['progress']
+};
+
+// List learners (teacher view)
+app.get('/api/learners', auth.requireScope(...LEARNER_SCOPES), requestSpec({ summary: 'Every learner (teacher view)' }), (req, res) => {
+  const learners = learnerStore.list();
+  res.json({ count: learners.length, learners });
+});
+
+// Get a learner's progress
+app.get('/api/learners/:userId', requestSpec({ summary: 'A learner\'s progress', params: USER_PARAMS, query: { type: 'object', properties: { dialect: DIALECT } } }), ownLearner, (req, res, next) => {
   try {
-    const { text, dialect = 'ASL' } = req.body;
-    const sequence = await geminiService.textToSignSequence(text, dialect);
-    res.json({ success: true, sequence });
+    const progress = learnerStore.getProgress(req.params.userId, req.query.dialect || null);
+    if (!progress) {
+      return next(new ApiError('Learner not found', 'not_found', 404));
+    }
+    res.json(progress);
   } catch (error) {
-    console.error('Text-to-sign error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(new ApiError(error.message));
   }
 });
 
-// REST endpoint for text-to-animation (JSON schema for 3D Avatar)
-// Returns animation data that Avatar3D can directly consume
-app.post('/api/translate/text-to-animation', async (req, res) => {
+// Create a learner or update their display name
+app.put('/api/learners/:userId', requestSpec({ summary: 'Create a learner or change their display name', params: USER_PARAMS, body: LEARNER_REQUEST }), ownLearner, (req, res, next) => {
   try {
-    const { text, dialect = 'ASL' } = req.body;
-    const animationData = await geminiService.textToSignAnimation(text, dialect);
-
-    // Transform to Avatar3D format
-    const sequence = animationData.signs?.map(sign => ({
-      gloss: sign.gloss,
-      duration: sign.duration,
-      handShape: sign.hand_shape,
-      targetPosition: sign.target_position,
-      movementAction: sign.movement_action,
-      facialExpression: sign.facial_expression
-    })) || [];
-
-    res.json({
-      success: true,
-      sequence,
-      source: animationData.source || 'gemini'
-    });
+    learnerStore.getOrCreate(req.params.userId, { displayName: req.body.displayName, ownerId: req.principal.id });
+    res.json(learnerStore.getProgress(req.params.userId));
   } catch (error) {
-    console.error('Text-to-animation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(new ApiError(error.message));
   }
 });
 
-// REST endpoint for text-to-pose-keyframes (Linguistically Accurate)
-// Returns detailed pose keyframe data with finger positions, facial expressions, and timing
-app.post('/api/translate/text-to-pose-keyframes', async (req, res) => {
+// Delete a learner and their history
+app.delete('/api/learners/:userId', requestSpec({ summary: 'Delete a learner and their history', params: USER_PARAMS }), ownLearner, (req, res, next) => {
   try {
-    const { text, dialect = 'ASL' } = req.body;
-    const poseData = await geminiService.textToPoseKeyframes(text, dialect);
+    if (!learnerStore.delete(req.params.userId)) {
+      return next(new ApiError('Learner not found', 'not_found', 404));
+    }
+    res.json({ success: true });
+  } catch (error) {
+    next(new ApiError(error.message));
+  }
+});
 
-    res.json({
-      success: true,
-      poseData,
-      source: poseData.source || 'gemini',
-      description: 'Linguistically accurate pose keyframes for avatar animation'
-    });
+// Attempt history (newest first), filterable by gloss/dialect/since
+app.get('/api/learners/:userId/attempts', requestSpec({ summary: 'Attempt history, newest first', params: USER_PARAMS, query: ATTEMPTS_QUERY }), ownLearner, (req, res, next) => {
+  try {
+    const { gloss, dialect, since, limit } = req.query;
+    const attempts = learnerStore.getAttempts(req.params.userId, { gloss, dialect, since, limit });
+    res.json({ userId: req.params.userId, count: attempts.length, attempts });
   } catch (error) {
-    console.error('Text-to-pose-keyframes error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(new ApiError(error.message));
   }
 });
 
-// REST endpoint for sign-to-text translation
-app.post('/api/translate/sign-to-text', async (req, res) => {
+// Record an attempt scored outside the socket flow
+app.post('/api/learners/:userId/attempts', requestSpec({ summary: 'Record an attempt scored outside the socket flow', params: USER_PARAMS, body: ATTEMPT_REQUEST, status: 201 }), ownLearner, (req, res, next) => {
   try {
-    const { signGloss, dialect = 'ASL' } = req.body;
-    const result = await geminiService.signToText(signGloss, dialect);
-    res.json({ success: true, ...result });
+    learnerStore.getOrCreate(req.params.userId, { ownerId: req.principal.id });
+    const attempt = learnerStore.recordAttempt(req.params.userId, req.body);
+    res.status(201).json({ attempt, progress: learnerStore.getProgress(req.params.userId, attempt.dialect) });
   } catch (error) {
-    console.error('Sign-to-text error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(new ApiError(error.message));
   }
 });
 
-// REST endpoint for text-to-video sequence (NUCLEAR OPTION)
-// Maps text to actual video files for maximum linguistic accuracy
-// Use this when gestures must be perfect (e.g., for Deaf judges)
-app.post('/api/translate/text-to-videos', async (req, res) => {
+// Score trend over the stored history
+app.get('/api/learners/:userId/stats', requestSpec({ summary: 'Score trend over the stored history', params: USER_PARAMS, query: { type: 'object', properties: { gloss: SCHEMAS.gloss, dialect: DIALECT } } }), ownLearner, (req, res, next) => {
   try {
-    const { text, dialect = 'ASL', availableVideos } = req.body;
+    const { gloss, dialect } = req.query;
+    const attempts = learnerStore.getAttempts(req.params.userId, { gloss, dialect, limit: Infinity });
+    res.json(teachingAgent.getProgressStats(attempts.reverse()));
+  } catch (error) {
+    next(new ApiError(error.message));
+  }
+});
 
-    // Optionally set custom video list
-    if (availableVideos && Array.isArray(availableVideos)) {
-      videoMapper.setAvailableVideos(availableVideos);
+// Spaced-repetition review queue ("due today")
+app.get('/api/learners/:userId/reviews', requestSpec({ summary: 'Spaced-repetition review queue', params: USER_PARAMS, query: REVIEWS_QUERY }), ownLearner, (req, res, next) => {
+  try {
+    const { dialect, date, limit } = req.query;
+    const queue = learnerStore.getReviewQueue(req.params.userId, { dialect, date, limit });
+    if (!queue) {
+      return next(new ApiError('Learner not found', 'not_found', 404));
     }
+    res.json({ userId: req.params.userId, ...queue });
+  } catch (error) {
+    next(new ApiError(error.message));
+  }
+});
+
+// Merge progress a device kept in localStorage before it was linked
+app.post('/api/learners/:userId/sync', requestSpec({ summary: 'Merge progress kept in localStorage', params: USER_PARAMS, body: SYNC_REQUEST }), ownLearner, (req, res, next) => {
+  try {
+    const { progress, dialect } = req.body;
+    learnerStore.getOrCreate(req.params.userId, { ownerId: req.principal.id });
+    learnerStore.mergeLocalProgress(req.params.userId, progress, dialect);
+    res.json(learnerStore.getProgress(req.params.userId, dialect));
+  } catch (error) {
+    next(new ApiError(error.message));
+  }
+});
+
+// ============================================
+// CONVERSATION TRANSCRIPT ENDPOINTS
+// ============================================
 
-    const result = await videoMapper.textToVideoSequence(text, dialect);
+const EXPORT_QUERY = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['json', 'vtt', 'txt'], default: 'json' },
+    download: { type: 'boolean', default: true, description: 'false to show the transcript instead of saving it' }
+  }
+};
 
-    res.json({
-      success: true,
-      ...result,
-      mode: 'nuclear',
-      description: 'Video sequence for maximum accuracy'
-    });
+// List the caller's recorded conversations (admins: everyone's), most recent first
+app.get('/api/conversations', requestSpec({ summary: 'The caller\'s recorded conversations, most recent first' }), requireOwnerPrincipal, (req, res) => {
+  const everyone = CONVERSATION_SCOPES.some(scope => auth.hasScope(req.principal, scope));
+  const conversations = conversationStore.list().filter(session => everyone || session.ownerId === req.principal.id);
+  res.json({ count: conversations.length, conversations });
+});
+
+// Full conversation with every turn
+app.get('/api/conversations/:sessionId', requestSpec({ summary: 'A conversation with every turn', params: SESSION_PARAMS }), ownConversation, (req, res, next) => {
+  try {
+    const session = conversationStore.get(req.params.sessionId);
+    if (!session) {
+      return next(new ApiError('Conversation not found', 'not_found', 404));
+    }
+    res.json(session);
   } catch (error) {
-    console.error('Text-to-videos error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(new ApiError(error.message));
   }
 });
 
-// REST endpoint for document-to-lesson
-app.post('/api/lesson/generate', async (req, res) => {
+// Export a transcript as JSON, WebVTT captions or plain text
+app.get('/api/conversations/:sessionId/export', requestSpec({ summary: 'Export a transcript as JSON, WebVTT or plain text', params: SESSION_PARAMS, query: EXPORT_QUERY, contentType: ['application/json', 'text/vtt', 'text/plain'] }), ownConversation, (req, res, next) => {
   try {
-    const { documentText, dialect = 'ASL' } = req.body;
-    const lesson = await geminiService.generateLessonFromDocument(documentText, dialect);
-    res.json({ success: true, lesson });
+    const exported = conversationStore.export(req.params.sessionId, req.query.format);
+    if (!exported) {
+      return next(new ApiError('Conversation not found', 'not_found', 404));
+    }
+    res.type(exported.contentType);
+    if (req.query.download) {
+      res.attachment(exported.filename);
+    }
+    res.send(exported.body);
   } catch (error) {
-    console.error('Lesson generation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(new ApiError(error.message));
   }
 });
 
-// REST endpoint for sign info
-app.get('/api/sign/:gloss', async (req, res) => {
+// Delete a recorded conversation
+app.delete('/api/conversations/:sessionId', requestSpec({ summary: 'Delete a recorded conversation', params: SESSION_PARAMS }), ownConversation, (req, res, next) => {
   try {
-    const { gloss } = req.params;
-    const { dialect = 'ASL' } = req.query;
-    const info = await geminiService.getSignInfo(gloss, dialect);
-    res.json({ success: true, info });
+    if (!conversationStore.delete(req.params.sessionId)) {
+      return next(new ApiError('Conversation not found', 'not_found', 404));
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('Sign info error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(new ApiError(error.message));
+  }
+});
+
+const SIGN_TO_TEXT_REQUEST = {
+  type: 'object',
+  properties: { signGloss: SCHEMAS.text, dialect: SCHEMAS.language },
+  required: ['signGloss']
+};
+
+const TEXT_TO_VIDEOS_REQUEST = {
+  type: 'object',
+  properties: {
+    ...TEXT_REQUEST.properties,
+    availableVideos: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Replaces the video list the mapper chooses from' }
+  },
+  required: ['text']
+};
+
+const LESSON_REQUEST = {
+  type: 'object',
+  // The JSON body limit caps the document size
+  properties: { documentText: { type: 'string', minLength: 1 }, dialect: SCHEMAS.language },
+  required: ['documentText']
+};
+
+// REST endpoint for text-to-sign translation
+app.post('/api/translate/text-to-sign', requestSpec({ summary: 'Translate text to a resolved sign sequence', body: TEXT_REQUEST }), asyncRoute(async (req, res) => {
+  const { text, dialect } = req.body;
+  const translation = await geminiService.textToSignSequence(text, dialect);
+  const { sequence, stats } = await signResolver.resolveSequence(translation, dialect);
+  res.json({ success: true, sequence, sources: stats });
+}));
+
+// REST endpoint for text-to-animation (JSON schema for 3D Avatar)
+// Returns animation data that Avatar3D can directly consume
+app.post('/api/translate/text-to-animation', requestSpec({ summary: 'Translate text to Avatar3D animation data', body: TEXT_REQUEST }), asyncRoute(async (req, res) => {
+  const { text, dialect } = req.body;
+  const animationData = await geminiService.textToSignAnimation(text, dialect);
+
+  // Transform to Avatar3D format
+  const sequence = animationData.signs?.map(sign => ({
+    gloss: sign.gloss,
+    duration: sign.duration,
+    handShape: sign.hand_shape,
+    targetPosition: sign.target_position,
+    movementAction: sign.movement_action,
+    facialExpression: sign.facial_expression
+  })) || [];
+
+  res.json({
+    success: true,
+    sequence,
+    source: animationData.source || 'gemini'
+  });
+}));
+
+// REST endpoint for text-to-pose-keyframes (Linguistically Accurate)
+// Returns detailed pose keyframe data with finger positions, facial expressions, and timing
+app.post('/api/translate/text-to-pose-keyframes', requestSpec({ summary: 'Translate text to pose keyframes', body: TEXT_REQUEST }), asyncRoute(async (req, res) => {
+  const { text, dialect } = req.body;
+  const poseData = await geminiService.textToPoseKeyframes(text, dialect);
+
+  res.json({
+    success: true,
+    poseData,
+    source: poseData.source || 'gemini',
+    description: 'Linguistically accurate pose keyframes for avatar animation'
+  });
+}));
+
+// REST endpoint for sign-to-text translation
+app.post('/api/translate/sign-to-text', requestSpec({ summary: 'Translate sign glosses to English', body: SIGN_TO_TEXT_REQUEST }), asyncRoute(async (req, res) => {
+  const { signGloss, dialect } = req.body;
+  const result = await geminiService.signToText(signGloss, dialect);
+  res.json({ success: true, ...result });
+}));
+
+// REST endpoint for text-to-video sequence (NUCLEAR OPTION)
+// Maps text to actual video files for maximum linguistic accuracy
+// Use this when gestures must be perfect (e.g., for Deaf judges)
+app.post('/api/translate/text-to-videos', requestSpec({ summary: 'Map text to a sequence of sign videos', body: TEXT_TO_VIDEOS_REQUEST }), asyncRoute(async (req, res) => {
+  const { text, dialect, availableVideos } = req.body;
+
+  // Optionally set custom video list
+  if (availableVideos) {
+    videoMapper.setAvailableVideos(availableVideos);
   }
+
+  const result = await videoMapper.textToVideoSequence(text, dialect);
+
+  res.json({
+    success: true,
+    ...result,
+    mode: 'nuclear',
+    description: 'Video sequence for maximum accuracy'
+  });
+}));
+
+// REST endpoint for document-to-lesson
+app.post('/api/lesson/generate', requestSpec({ summary: 'Generate a lesson from a document', body: LESSON_REQUEST }), asyncRoute(async (req, res) => {
+  const { documentText, dialect } = req.body;
+  const lesson = await geminiService.generateLessonFromDocument(documentText, dialect);
+  res.json({ success: true, lesson });
+}));
+
+// REST endpoint for sign info
+app.get('/api/sign/:gloss', requestSpec({ summary: 'Gemini sign description with the resolved sign', params: GLOSS_PARAMS, query: DIALECT_QUERY }), asyncRoute(async (req, res) => {
+  const { gloss } = req.params;
+  const { dialect } = req.query;
+  const info = await geminiService.getSignInfo(gloss, dialect);
+  const sign = await signResolver.resolve(gloss, dialect);
+  res.json({ success: true, info, sign });
+}));
+
+// ============================================
+// API DOCUMENT AND ERRORS
+// ============================================
+
+// Built on first request, when every route is registered
+let openApiDocument = null;
+
+app.get('/api/openapi.json', requestSpec({ summary: 'OpenAPI document for this API' }), (req, res) => {
+  openApiDocument ??= buildOpenApiDocument(app, {
+    serverUrl: config.server.publicUrl,
+    authRequired: config.auth.mode === 'required'
+  });
+  res.json(openApiDocument);
 });
 
+app.get('/api/asyncapi.json', requestSpec({ summary: 'AsyncAPI document for the Socket.IO events' }), (req, res) => {
+  res.json(buildAsyncApiDocument({ serverUrl: config.server.publicUrl }));
+});
+
+// Unknown /api paths, failed request specs and body parsing errors, as
+// { success: false, error, code, ... } (see routes/common.js)
+app.use('/api', notFound, errorHandler);
+
+// ============================================
+// SPEECH-INPUT HELPERS
+// ============================================
+
+/**
+ * Sequence to play when translation fails: mock phrase, else fingerspell every word
+ */
+function fallbackSignSequence(text) {
+  const mock = geminiCache.getMockTranslation(text);
+  if (mock) return mock;
+
+  return text.split(/\s+/).filter(Boolean).map(word => ({
+    gloss: word.toUpperCase(),
+    expression: 'neutral',
+    duration: word.length * 0.3,
+    type: 'fingerspell',
+    handShape: 'Fingerspelling',
+    movement: 'Spell letters',
+    location: 'neutral-space'
+  }));
+}
+
+/**
+ * POINT gestures for detected objects mentioned in the spoken text
+ */
+function pointingSigns(text, objects) {
+  const textLower = text.toLowerCase();
+  return (objects || [])
+    .filter(obj => textLower.includes(obj.object.toLowerCase()))
+    .map(obj => ({
+      gloss: 'POINT',
+      expression: 'neutral',
+      duration: 0.8,
+      notes: `Point to ${obj.object} at ${obj.position}`,
+      targetObject: obj
+    }));
+}
+
 // ============================================
 // SOCKET.IO EVENT HANDLERS
+// Payloads follow the event contract in shared/socketContract.js
 // ============================================
 
 io.on('connection', (socket) => {
-  console.log(`✅ Client connected: ${socket.id}`);
+  // Principal from the handshake (see services/auth.js); its tenant decides features and limits
+  const principal = socket.data.principal;
+  const tenant = config.forTenant(principal.tenant);
+  console.log(`✅ Client connected: ${socket.id} as ${principal.id}${tenant.id !== 'default' ? ` [${tenant.id}]` : ''}`);
+
+  // Log outgoing events that drift from the contract
+  socketEvents.watch(socket);
 
   // Store conversation context for this session
   const conversationHistory = [];
   let currentDialect = 'ASL';
 
+  // Buffers streamed hand landmarks until a sign boundary is detected
+  const landmarkStream = new LandmarkStream(landmarkRecognizer);
+
+  // Learner profile this socket records practice results to (set by learner:identify)
+  let learnerId = null;
+
+  // Persistent transcript session (created on the first turn, or resumed by ID)
+  let conversationId = null;
+
+  // Interactive lesson this socket drives (live-lesson:start or live-lesson:resume)
+  let liveLessonId = null;
+
   // Middleware for rate limiting on this socket
-  const withRateLimit = async (eventName, handler) => {
-    if (!checkRateLimit(socket.id)) {
-      socket.emit('error', {
-        event: eventName,
-        message: '⏳ Too many requests. Please wait a moment before trying again.',
-        retryAfter: 60
-      });
+  const withRateLimit = async (request, handler) => {
+    const eventName = request.event;
+
+    // Each event spends its cost from the principal's socket bucket (and Gemini quota)
+    const decision = await rateLimiter.consume(principal, eventName, { channel: 'socket', limits: tenant.rateLimits });
+    if (!decision.allowed) {
+      auth.recordUsage(principal, eventName, { limited: true });
+      request.fail(rateLimiter.toErrorPayload(decision));
       return;
     }
+    auth.recordUsage(principal, eventName);
     try {
       await handler();
     } catch (error) {
@@ -681,11 +1289,15 @@ io.on('connection', (socket) => {
       // Check if this is a rate limit error
       const isRateLimitError = msg.includes('429') || msg.includes('quota') || msg.includes('rate limit') || msg.includes('too many');
 
-      if (isRateLimitError) {
+      if (isRateLimitError && !request.ack) {
         // Don't show rate limit errors to users - the app should handle this silently via mock/cache
         console.log(`[Server] Rate limit error suppressed for ${eventName} - silently ignoring`);
         // Do NOT emit error to frontend
         return;
+      } else if (isRateLimitError) {
+        // A caller waiting on an acknowledgement still needs an answer
+        request.fail({ code: 'model_unavailable', message: 'The AI service is busy. Please try again in a moment.' });
+        return;
       } else if (msg.includes('api key') || msg.includes('unauthorized')) {
         userMessage = 'API configuration issue. Please check your API key.';
       } else if (msg.includes('network') || msg.includes('fetch')) {
@@ -695,10 +1307,81 @@ io.on('connection', (socket) => {
         userMessage = error.details.userMessage || error.message;
       }
 
-      socket.emit('error', {
-        event: eventName,
-        message: userMessage
-      });
+      request.fail({ message: userMessage });
+    }
+  };
+
+  /**
+   * Register a client event handler. The payload is checked against the
+   * contract first; the handler answers through the SocketRequest it gets
+   * (services/socketEvents.js), which acknowledges every event exactly once.
+   * Rate-limited events spend their tokens before the handler runs; the
+   * others call withRateLimit themselves where they need it.
+   */
+  const on = (eventName, handler, { rateLimited = true } = {}) => {
+    socket.on(eventName, async (...args) => {
+      const request = socketEvents.request(socket, eventName, args);
+      if (!request.valid) {
+        request.fail({ code: 'invalid_payload', message: `Invalid ${eventName} payload`, problems: request.problems });
+        return;
+      }
+
+      try {
+        if (rateLimited) {
+          await withRateLimit(request, () => handler(request));
+        } else {
+          await handler(request);
+        }
+      } catch (error) {
+        console.error(`❌ Error in ${eventName}:`, error.message);
+        request.fail({ message: error.message });
+      }
+      request.done();
+    });
+  };
+
+  /**
+   * Whether this socket's principal can own learner profiles and
+   * conversations. Fails the request with 'auth_required' if not.
+   */
+  const mayOwn = (request) => {
+    if (auth.canOwn(principal)) return true;
+    request.fail({ code: 'auth_required', message: OWNER_REQUIRED });
+    return false;
+  };
+
+  /**
+   * Whether this socket's principal may use a learner profile (see
+   * requireOwner for REST). Fails the request with 'auth_required' or
+   * 'forbidden' if not.
+   */
+  const mayUseLearner = (request, userId) => {
+    if (!mayOwn(request)) return false;
+    const profile = learnerStore.get(userId);
+    if (!profile || auth.canAccess(principal, profile.ownerId, LEARNER_SCOPES)) return true;
+    request.fail({ code: 'forbidden', message: 'This learner profile belongs to someone else' });
+    return false;
+  };
+
+  /**
+   * Append a turn to this socket's transcript, starting a session if needed.
+   * Transcript failures are logged, never surfaced - translation comes first.
+   * Anonymous sockets translate without a transcript.
+   */
+  const recordTurn = (role, fields) => {
+    if (!auth.canOwn(principal)) return;
+    try {
+      if (!conversationId) {
+        const session = conversationStore.create({ dialect: fields.dialect || currentDialect, ownerId: principal.id });
+        conversationId = session.sessionId;
+        socket.emit('conversation:session', { ...session, resumed: false });
+      }
+      const turn = role === 'speaker'
+        ? conversationStore.addSpeakerTurn(conversationId, fields)
+        : conversationStore.addSignerTurn(conversationId, fields);
+      socket.emit('conversation:turn', { sessionId: conversationId, turn });
+    } catch (error) {
+      console.warn(`Could not record ${role} turn:`, error.message);
     }
   };
 
@@ -706,100 +1389,156 @@ io.on('connection', (socket) => {
   // EVENT: speech-input
   // Voice/text input from hearing user to translate to signs
   // ----------------------------------------
-  socket.on('speech-input', async (data) => {
-    await withRateLimit('speech-input', async () => {
-      const { text, dialect = currentDialect, cameraFrame } = data;
-      console.log(`🎤 Speech input [${dialect}]: "${text}"`);
+  on('speech-input', async (request) => {
+    const { text, dialect = currentDialect, cameraFrame, stream = false } = request.data;
+    const receivedAt = new Date();
+    console.log(`🎤 Speech input [${dialect}]${stream ? ' (streaming)' : ''}: "${text}"`);
 
-      // Update session dialect
-      currentDialect = dialect;
+    // Update session dialect
+    currentDialect = dialect;
 
-      // Add to conversation history
-      conversationHistory.push({ role: 'speaker', content: text });
+    // Add to conversation history
+    conversationHistory.push({ role: 'speaker', content: text });
 
-      // Convert text to sign sequence with robust fallback
-      let sequence;
+    if (stream && tenant.features.streaming) {
+      await streamSpeechInput(request, text, dialect, cameraFrame, receivedAt);
+      return;
+    }
+
+    // Convert text to sign sequence with robust fallback
+    let sequence;
+    try {
+      sequence = await geminiService.textToSignSequence(text, dialect);
+    } catch (err) {
+      console.warn(`⚠️ API failed, falling back to mock/fingerspelling for: "${text}"`);
+      sequence = fallbackSignSequence(text);
+    }
+
+    let objects = null;
+
+    // If camera frame provided, detect objects for spatial awareness
+    if (cameraFrame) {
       try {
-        sequence = await geminiService.textToSignSequence(text, dialect);
+        const detection = await geminiService.detectObjectsInScene(cameraFrame);
+        objects = detection.objects;
+
+        // Add spatial gestures if objects match words in speech
+        sequence.push(...pointingSigns(text, objects));
       } catch (err) {
-        console.warn(`⚠️ API failed, falling back to mock/fingerspelling for: "${text}"`);
-        // Try mock cache first
-        let fallback = geminiCache.getMockTranslation(text);
-
-        // If no mock cache, force fingerspelling
-        if (!fallback) {
-          fallback = text.split(/\s+/).map(word => ({
-            gloss: word.toUpperCase(),
-            expression: 'neutral',
-            duration: word.length * 0.3,
-            type: 'fingerspell',
-            handShape: 'Fingerspelling',
-            movement: 'Spell letters',
-            location: 'neutral-space'
-          }));
-        }
-        sequence = fallback;
+        console.warn('Object detection failed:', err.message);
       }
+    }
 
-      let objects = null;
-
-      // If camera frame provided, detect objects for spatial awareness
-      if (cameraFrame) {
-        try {
-          const detection = await geminiService.detectObjectsInScene(cameraFrame);
-          objects = detection.objects;
-
-          // Add spatial gestures if objects match words in speech
-          if (objects && objects.length > 0) {
-            const textLower = text.toLowerCase();
-            objects.forEach(obj => {
-              if (textLower.includes(obj.object.toLowerCase())) {
-                // Add pointing gesture for matching objects
-                sequence.push({
-                  gloss: 'POINT',
-                  expression: 'neutral',
-                  duration: 0.8,
-                  notes: `Point to ${obj.object} at ${obj.position}`,
-                  targetObject: obj
-                });
-              }
-            });
-          }
-        } catch (err) {
-          console.warn('Object detection failed:', err.message);
-        }
+    const resolved = await signResolver.resolveSequence(sequence, dialect);
+
+    request.reply('play-signs', {
+      sequence: resolved.sequence,
+      sources: resolved.stats,
+      objects,
+      originalText: text,
+      dialect
+    });
+
+    recordTurn('speaker', { text, dialect, sequence: resolved.sequence, at: receivedAt });
+  });
+
+  /**
+   * Streaming speech-input: every sign is resolved and emitted as a
+   * play-signs-chunk the moment Gemini finishes it, then play-signs-end
+   * closes the stream with totals, detected objects and any error (and
+   * answers the request).
+   */
+  async function streamSpeechInput(request, text, dialect, cameraFrame, receivedAt) {
+    const streamId = `${socket.id}-${Date.now()}`;
+    const sources = {};
+    const emitted = [];
+    let index = 0;
+
+    // Object detection runs alongside the translation
+    const detection = cameraFrame
+      ? geminiService.detectObjectsInScene(cameraFrame).catch(err => {
+        console.warn('Object detection failed:', err.message);
+        return null;
+      })
+      : Promise.resolve(null);
+
+    const emitSigns = async (items) => {
+      const resolved = await signResolver.resolveSequence(items, dialect);
+      for (const [source, count] of Object.entries(resolved.stats)) {
+        sources[source] = (sources[source] || 0) + count;
       }
+      if (resolved.sequence.length === 0) return;
 
-      socket.emit('play-signs', {
-        sequence,
-        objects,
+      emitted.push(...resolved.sequence);
+      socket.emit('play-signs-chunk', {
+        streamId,
+        index,
+        sequence: resolved.sequence,
         originalText: text,
         dialect
       });
+      index += resolved.sequence.length;
+    };
+
+    let error = null;
+    try {
+      await geminiService.textToSignSequenceStream(text, dialect, sign => emitSigns([sign]));
+    } catch (err) {
+      if (index === 0) {
+        console.warn(`⚠️ API failed, falling back to mock/fingerspelling for: "${text}"`);
+        await emitSigns(fallbackSignSequence(text));
+      } else {
+        // Signs already playing - end the stream where it broke
+        console.warn(`⚠️ Translation stream broke after ${index} sign(s):`, err.message);
+        error = 'Translation stream interrupted';
+      }
+    }
+
+    const objects = (await detection)?.objects || null;
+    if (objects) {
+      await emitSigns(pointingSigns(text, objects));
+    }
+
+    request.reply('play-signs-end', {
+      streamId,
+      total: index,
+      sources,
+      objects,
+      originalText: text,
+      dialect,
+      ...(error && { error })
     });
-  });
+
+    recordTurn('speaker', { text, dialect, sequence: emitted, streamed: true, at: receivedAt });
+  }
 
   // ----------------------------------------
   // EVENT: sign-detected
   // Sign recognized from camera, convert to speech
   // ----------------------------------------
-  socket.on('sign-detected', async (data) => {
-    await withRateLimit('sign-detected', async () => {
-      const { signGloss, dialect = currentDialect } = data;
-      console.log(`✋ Sign detected [${dialect}]: ${signGloss}`);
+  on('sign-detected', async (request) => {
+    const { signGloss, dialect = currentDialect } = request.data;
+    console.log(`✋ Sign detected [${dialect}]: ${signGloss}`);
 
-      // Convert sign to text
-      const result = await geminiService.signToText(signGloss, dialect);
+    // Convert sign to text
+    const result = await geminiService.signToText(signGloss, dialect);
 
-      // Add to conversation history
-      conversationHistory.push({ role: 'signer', content: result.englishText });
+    // Add to conversation history
+    conversationHistory.push({ role: 'signer', content: result.englishText });
 
-      socket.emit('speak-text', {
-        text: result.englishText,
-        formalText: result.formalRegister,
-        confidence: result.confidence,
-        originalSign: signGloss
-      });
+    request.reply('speak-text', {
+      text: result.englishText,
+      formalText: result.formalRegister,
+      confidence: result.confidence,
+      originalSign: signGloss
+    });
+
+    recordTurn('signer', {
+      gloss: signGloss,
+      text: result.englishText,
+      formalText: result.formalRegister,
+      confidence: result.confidence,
+      dialect
     });
   });
 
@@ -807,75 +1546,145 @@ io.on('connection', (socket) => {
   // EVENT: check-my-sign
   // Teaching mode - analyze user's sign attempt
   // ----------------------------------------
-  socket.on('check-my-sign', async (data) => {
-    await withRateLimit('check-my-sign', async () => {
-      const { videoFrames, intendedSign, dialect = currentDialect } = data;
-      console.log(`📚 Checking sign attempt: ${intendedSign}`);
-
-      // Analyze signing accuracy
-      const feedback = await geminiService.analyzeSignAccuracy(
-        videoFrames,
-        intendedSign,
-        dialect
-      );
+  on('check-my-sign', async (request) => {
+    const { videoFrames, intendedSign, dialect = currentDialect, practiceDate } = request.data;
+    const userId = request.data.userId || learnerId;
+    if (userId && !mayUseLearner(request, userId)) return;
+    console.log(`📚 Checking sign attempt: ${intendedSign}`);
+
+    // Analyze signing accuracy
+    const feedback = await geminiService.analyzeSignAccuracy(
+      videoFrames,
+      intendedSign,
+      dialect
+    );
+
+    request.reply('sign-feedback', {
+      intendedSign,
+      accuracy: feedback.accuracy,
+      overallAssessment: feedback.overallAssessment,
+      corrections: feedback.corrections,
+      correctExecution: feedback.correctExecution,
+      culturalNote: feedback.culturalNote,
+      encouragement: feedback.encouragement,
+      practiceExercise: feedback.practiceExercise
+    });
 
-      socket.emit('sign-feedback', {
-        intendedSign,
+    // Record the result against the learner's profile
+    if (userId) {
+      learnerStore.getOrCreate(userId, { ownerId: principal.id });
+      learnerStore.recordAttempt(userId, {
+        gloss: intendedSign,
+        dialect,
         accuracy: feedback.accuracy,
-        overallAssessment: feedback.overallAssessment,
-        corrections: feedback.corrections,
-        correctExecution: feedback.correctExecution,
-        culturalNote: feedback.culturalNote,
-        encouragement: feedback.encouragement,
-        practiceExercise: feedback.practiceExercise
+        assessment: feedback.overallAssessment,
+        practiceDate
       });
-    });
+      socket.emit('learner:progress', learnerStore.getProgress(userId, dialect));
+      socket.emit('learner:reviews', {
+        userId,
+        ...learnerStore.getReviewQueue(userId, { dialect, date: practiceDate })
+      });
+    }
+  });
+
+  // ----------------------------------------
+  // EVENT: learner:identify
+  // Link this socket to a learner profile, merging any progress
+  // the device kept locally before it was linked
+  // ----------------------------------------
+  on('learner:identify', async (request) => {
+    const { userId, displayName, localProgress, dialect = currentDialect, date } = request.data;
+    if (!mayUseLearner(request, userId)) return;
+
+    learnerStore.getOrCreate(userId, { displayName, ownerId: principal.id });
+    if (localProgress) {
+      learnerStore.mergeLocalProgress(userId, localProgress, dialect);
+    }
+
+    learnerId = userId;
+    console.log(`🎓 Learner identified: ${userId}`);
+    request.reply('learner:progress', learnerStore.getProgress(userId, dialect));
+    socket.emit('learner:reviews', { userId, ...learnerStore.getReviewQueue(userId, { dialect, date }) });
   });
 
+  // ----------------------------------------
+  // EVENT: learner:get-progress
+  // Fetch the linked learner's latest progress
+  // ----------------------------------------
+  on('learner:get-progress', (request) => {
+    const userId = request.data.userId || learnerId;
+    if (!userId || !mayUseLearner(request, userId)) return;
+
+    const progress = learnerStore.getProgress(userId, request.data.dialect || currentDialect);
+    if (progress) {
+      request.reply('learner:progress', progress);
+    }
+  }, { rateLimited: false });
+
+  // ----------------------------------------
+  // EVENT: learner:get-reviews
+  // Signs due for spaced-repetition review on the learner's local day
+  // ----------------------------------------
+  on('learner:get-reviews', (request) => {
+    const userId = request.data.userId || learnerId;
+    if (!userId || !mayUseLearner(request, userId)) return;
+
+    const { dialect = currentDialect, date, limit } = request.data;
+    const queue = learnerStore.getReviewQueue(userId, { dialect, date, limit });
+    if (queue) {
+      request.reply('learner:reviews', { userId, ...queue });
+    }
+  }, { rateLimited: false });
+
   // ----------------------------------------
   // EVENT: predict-sign
   // Real-time sign prediction from camera
   // ----------------------------------------
-  socket.on('predict-sign', async (data) => {
-    await withRateLimit('predict-sign', async () => {
-      const { imageBase64, dialect = currentDialect } = data;
-      console.log(`👁️ Predicting sign from video frame [${dialect}]`);
+  on('predict-sign', async (request) => {
+    const { imageBase64, dialect = currentDialect } = request.data;
+    console.log(`👁️ Predicting sign from video frame [${dialect}]`);
 
-      const result = await geminiService.predictSignFromImage(imageBase64, dialect);
+    const result = await geminiService.predictSignFromImage(imageBase64, dialect);
 
-      socket.emit('sign-predicted', {
+    request.reply('sign-predicted', {
+      gloss: result.gloss,
+      english: result.english,
+      confidence: result.confidence,
+      description: result.description
+    });
+
+    // If confidence is high, speak it automatically
+    if (result.confidence > 0.8) {
+      socket.emit('speak-text', {
+        text: result.english || result.gloss,
+        originalSign: result.gloss
+      });
+
+      conversationHistory.push({ role: 'signer', content: result.english || result.gloss });
+      recordTurn('signer', {
         gloss: result.gloss,
-        english: result.english,
+        text: result.english || result.gloss,
         confidence: result.confidence,
-        description: result.description
+        dialect,
+        source: 'camera'
       });
-
-      // If confidence is high, speak it automatically
-      if (result.confidence > 0.8) {
-        socket.emit('speak-text', {
-          text: result.english || result.gloss,
-          originalSign: result.gloss
-        });
-      }
-    });
+    }
   });
 
   // ----------------------------------------
   // EVENT: detect-objects
   // Spatial awareness - detect objects in scene
   // ----------------------------------------
-  socket.on('detect-objects', async (data) => {
-    await withRateLimit('detect-objects', async () => {
-      const { imageBase64 } = data;
-      console.log(`👁️ Detecting objects in scene`);
+  on('detect-objects', async (request) => {
+    console.log(`👁️ Detecting objects in scene`);
 
-      const result = await geminiService.detectObjectsInScene(imageBase64);
+    const result = await geminiService.detectObjectsInScene(request.data.imageBase64);
 
-      socket.emit('objects-detected', {
-        objects: result.objects,
-        sceneDescription: result.sceneDescription,
-        suggestedReferences: result.suggestedReferences
-      });
+    request.reply('objects-detected', {
+      objects: result.objects,
+      sceneDescription: result.sceneDescription,
+      suggestedReferences: result.suggestedReferences
     });
   });
 
@@ -883,19 +1692,17 @@ io.on('connection', (socket) => {
   // EVENT: get-sign-suggestions
   // Context-aware sign suggestions
   // ----------------------------------------
-  socket.on('get-sign-suggestions', async (data) => {
-    await withRateLimit('get-sign-suggestions', async () => {
-      const { topic, dialect = currentDialect } = data;
-      const history = data.conversationHistory || conversationHistory;
-      console.log(`💡 Getting sign suggestions for topic: ${topic || 'general'}`);
-
-      const result = await geminiService.suggestNextSigns(history, topic, dialect);
-
-      socket.emit('suggested-signs', {
-        suggestions: result.suggestions,
-        topicPredictions: result.topicPredictions,
-        conversationPhase: result.conversationPhase
-      });
+  on('get-sign-suggestions', async (request) => {
+    const { topic, dialect = currentDialect } = request.data;
+    const history = request.data.conversationHistory || conversationHistory;
+    console.log(`💡 Getting sign suggestions for topic: ${topic || 'general'}`);
+
+    const result = await geminiService.suggestNextSigns(history, topic, dialect);
+
+    request.reply('suggested-signs', {
+      suggestions: result.suggestions,
+      topicPredictions: result.topicPredictions,
+      conversationPhase: result.conversationPhase
     });
   });
 
@@ -903,29 +1710,27 @@ io.on('connection', (socket) => {
   // EVENT: switch-dialect
   // Translate sign sequence between dialects
   // ----------------------------------------
-  socket.on('switch-dialect', async (data) => {
-    await withRateLimit('switch-dialect', async () => {
-      const { currentSequence, fromDialect, toDialect } = data;
-      console.log(`🌍 Switching dialect: ${fromDialect} → ${toDialect}`);
-
-      // Update session dialect
-      currentDialect = toDialect;
-
-      const result = await geminiService.translateDialect(
-        currentSequence,
-        fromDialect,
-        toDialect
-      );
-
-      socket.emit('dialect-switched', {
-        sequence: result.translatedSequence,
-        fromDialect,
-        toDialect,
-        grammarChanges: result.grammarChanges,
-        culturalAdaptations: result.culturalAdaptations,
-        warnings: result.warnings,
-        confidence: result.confidence
-      });
+  on('switch-dialect', async (request) => {
+    const { currentSequence, fromDialect, toDialect } = request.data;
+    console.log(`🌍 Switching dialect: ${fromDialect} → ${toDialect}`);
+
+    // Update session dialect
+    currentDialect = toDialect;
+
+    const result = await geminiService.translateDialect(
+      currentSequence,
+      fromDialect,
+      toDialect
+    );
+
+    request.reply('dialect-switched', {
+      sequence: result.translatedSequence,
+      fromDialect,
+      toDialect,
+      grammarChanges: result.grammarChanges,
+      culturalAdaptations: result.culturalAdaptations,
+      warnings: result.warnings,
+      confidence: result.confidence
     });
   });
 
@@ -933,27 +1738,25 @@ io.on('connection', (socket) => {
   // EVENT: upload-document
   // Generate lesson from document
   // ----------------------------------------
-  socket.on('upload-document', async (data) => {
-    await withRateLimit('upload-document', async () => {
-      const { documentText, dialect = currentDialect } = data;
-      console.log(`📄 Generating lesson from document (${documentText.length} chars)`);
-
-      const lesson = await geminiService.generateLessonFromDocument(documentText, dialect);
-
-      socket.emit('lesson-generated', {
-        success: true,
-        lesson: {
-          title: lesson.title,
-          objectives: lesson.objectives,
-          estimatedTime: lesson.estimatedTime,
-          difficulty: lesson.difficulty,
-          vocabulary: lesson.vocabulary,
-          sentences: lesson.sentences,
-          culturalNotes: lesson.culturalNotes,
-          exercises: lesson.exercises,
-          progression: lesson.progression
-        }
-      });
+  on('upload-document', async (request) => {
+    const { documentText, dialect = currentDialect } = request.data;
+    console.log(`📄 Generating lesson from document (${documentText.length} chars)`);
+
+    const lesson = await geminiService.generateLessonFromDocument(documentText, dialect);
+
+    request.reply('lesson-generated', {
+      success: true,
+      lesson: {
+        title: lesson.title,
+        objectives: lesson.objectives,
+        estimatedTime: lesson.estimatedTime,
+        difficulty: lesson.difficulty,
+        vocabulary: lesson.vocabulary,
+        sentences: lesson.sentences,
+        culturalNotes: lesson.culturalNotes,
+        exercises: lesson.exercises,
+        progression: lesson.progression
+      }
     });
   });
 
@@ -961,48 +1764,288 @@ io.on('connection', (socket) => {
   // EVENT: get-sign-info
   // Get detailed information about a sign
   // ----------------------------------------
-  socket.on('get-sign-info', async (data) => {
-    await withRateLimit('get-sign-info', async () => {
-      const { signGloss, dialect = currentDialect } = data;
-      console.log(`ℹ️ Getting info for sign: ${signGloss}`);
+  on('get-sign-info', async (request) => {
+    const { signGloss, dialect = currentDialect } = request.data;
+    console.log(`ℹ️ Getting info for sign: ${signGloss}`);
 
-      const info = await geminiService.getSignInfo(signGloss, dialect);
+    const info = await geminiService.getSignInfo(signGloss, dialect);
 
-      socket.emit('sign-info', {
-        signGloss,
-        dialect,
-        ...info
-      });
+    request.reply('sign-info', {
+      signGloss,
+      dialect,
+      ...info
     });
   });
 
   // ----------------------------------------
   // Legacy events for backward compatibility
   // ----------------------------------------
-  socket.on('voice:translate', async (data) => {
-    socket.emit('speech-input', data);
-  });
+  on('voice:translate', (request) => {
+    request.reply('speech-input', request.data);
+  }, { rateLimited: false });
 
-  socket.on('sign:landmarks', async (data) => {
-    // For now, just acknowledge - full landmark processing would need MediaPipe integration
-    const { landmarks, dialect = currentDialect } = data;
-    // This would normally process landmarks to detect signs
-    // For demo, we just log it
-    console.log('📍 Received landmarks data');
-  });
+  // ----------------------------------------
+  // EVENT: sign:landmarks
+  // Streamed MediaPipe hand landmarks - recognized locally (no Gemini call)
+  // ----------------------------------------
+  const replyLandmarkPrediction = (request, prediction, dialect) => {
+    if (!prediction) return;
+    console.log(`✋ Landmark sign [${dialect}]: ${prediction.gloss} (${prediction.confidence})`);
+
+    const english = prediction.gloss.replace(/-/g, ' ').toLowerCase();
+
+    request.reply('sign-predicted', {
+      gloss: prediction.gloss,
+      english,
+      confidence: prediction.confidence,
+      alternatives: prediction.alternatives,
+      segment: prediction.segment,
+      source: 'landmarks'
+    });
+
+    if (prediction.confidence > 0.8) {
+      socket.emit('speak-text', {
+        text: english,
+        originalSign: prediction.gloss
+      });
+
+      conversationHistory.push({ role: 'signer', content: english });
+      recordTurn('signer', {
+        gloss: prediction.gloss,
+        text: english,
+        confidence: prediction.confidence,
+        dialect,
+        source: 'landmarks'
+      });
+    }
+  };
+
+  on('sign:landmarks', (request) => {
+    const { landmarks, frames, timestamp, dialect = currentDialect } = request.data;
+
+    // Accept a single frame or a batch of { landmarks, timestamp } frames
+    const batch = Array.isArray(frames) ? frames : [{ landmarks, timestamp }];
+    for (const frame of batch) {
+      const prediction = landmarkStream.push(frame.landmarks, frame.timestamp ?? Date.now(), dialect);
+      replyLandmarkPrediction(request, prediction, dialect);
+    }
+  }, { rateLimited: false });
+
+  // Client stopped streaming - classify whatever is buffered
+  on('sign:landmarks:end', (request) => {
+    const dialect = request.data.dialect || currentDialect;
+    replyLandmarkPrediction(request, landmarkStream.flush(dialect), dialect);
+  }, { rateLimited: false });
+
+  // ----------------------------------------
+  // EVENT: conversation:resume
+  // Reattach to a transcript after a reconnect (new socket, same session)
+  // ----------------------------------------
+  on('conversation:resume', (request) => {
+    const { sessionId, dialect } = request.data;
+    if (!mayOwn(request)) return;
+    const stored = conversationStore.get(sessionId);
+    if (!stored) {
+      request.fail({ code: 'not_found', message: 'Conversation not found', sessionId });
+      return;
+    }
+    if (!auth.canAccess(principal, stored.ownerId, CONVERSATION_SCOPES)) {
+      request.fail({ code: 'forbidden', message: 'This conversation belongs to someone else', sessionId });
+      return;
+    }
+
+    const session = conversationStore.resume(sessionId, { ownerId: principal.id });
+
+    conversationId = session.sessionId;
+    currentDialect = dialect || session.dialect || currentDialect;
+
+    // Restore suggestion context from the stored turns
+    conversationHistory.splice(0, conversationHistory.length, ...conversationStore.getHistory(conversationId));
+
+    console.log(`💬 Conversation resumed: ${conversationId} (${session.turns.length} turns)`);
+    request.reply('conversation:session', { ...session, resumed: true });
+  }, { rateLimited: false });
+
+  // ----------------------------------------
+  // EVENT: conversation:new
+  // Close the current transcript and start a fresh one
+  // ----------------------------------------
+  on('conversation:new', (request) => {
+    if (!mayOwn(request)) return;
+    if (conversationId) {
+      conversationStore.end(conversationId);
+    }
+    const session = conversationStore.create({ dialect: request.data.dialect || currentDialect, title: request.data.title || null, ownerId: principal.id });
+    conversationId = session.sessionId;
+    conversationHistory.length = 0;
+
+    console.log(`💬 Conversation started: ${conversationId}`);
+    request.reply('conversation:session', { ...session, resumed: false });
+  }, { rateLimited: false });
+
+  // ----------------------------------------
+  // EVENT: conversation:end
+  // Mark the transcript finished; the next turn starts a new session
+  // ----------------------------------------
+  on('conversation:end', (request) => {
+    if (!conversationId) return;
+
+    try {
+      const session = conversationStore.end(conversationId);
+      request.reply('conversation:ended', { sessionId: conversationId, endedAt: session?.endedAt || null });
+    } finally {
+      conversationId = null;
+      conversationHistory.length = 0;
+    }
+  }, { rateLimited: false });
+
+  // ----------------------------------------
+  // LIVE LESSONS (services/liveLessonSessions.js)
+  // Guided lessons with feedback on camera frames. The lesson's own events
+  // arrive as live-lesson:started, message, feedback, sign-completed,
+  // next-sign and complete. These handlers rate-limit themselves, after the
+  // feature and lesson checks.
+  // ----------------------------------------
+
+  /**
+   * Whether this tenant has lessons, after telling the client when not
+   */
+  const teachingEnabled = (request) => {
+    if (!tenant.features.teaching) {
+      request.fail({ code: 'feature_disabled', message: 'Feature disabled', feature: 'teaching' });
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * This socket's lesson, or null after telling the client why not
+   */
+  const currentLiveLesson = (request) => {
+    if (!teachingEnabled(request)) return null;
+
+    const entry = liveLessonId && liveLessonSessions.get(liveLessonId, principal);
+    if (!entry) {
+      request.fail({ code: 'not_found', message: 'No live lesson - send live-lesson:start first' });
+      return null;
+    }
+    return entry;
+  };
+
+  // Start a lesson, ending the one this socket had
+  on('live-lesson:start', async (request) => {
+    if (!teachingEnabled(request)) return;
+
+    await withRateLimit(request, async () => {
+      if (liveLessonId) {
+        const previous = liveLessonId;
+        liveLessonId = null;
+        await liveLessonSessions.end(previous);
+      }
+
+      const lesson = await liveLessonSessions.start(principal, socket, { dialect: currentDialect, ...request.data });
+      liveLessonId = lesson.lessonId;
+      request.resolve(lesson);
+    });
+  }, { rateLimited: false });
+
+  // Camera frame (base64 JPEG or data URL); frames over the throttle are dropped
+  on('live-lesson:frame', async (request) => {
+    const entry = currentLiveLesson(request);
+    if (!entry) return;
+
+    const analysed = await liveLessonSessions.throttleFrame(entry, () => withRateLimit(request, async () => {
+      // Feedback is forwarded by the lesson; only a failed analysis comes back here
+      const result = await entry.lesson.processVideoFrame(request.data.frame);
+      if (result.error) {
+        request.fail({ message: result.feedback || result.error, lessonId: entry.lessonId });
+      }
+    }));
+    request.resolve({ dropped: !analysed });
+  }, { rateLimited: false });
+
+  on('live-lesson:hint', async (request) => {
+    const entry = currentLiveLesson(request);
+    if (!entry) return;
+
+    await withRateLimit(request, async () => {
+      const hint = await entry.lesson.getHint();
+      request.reply('live-lesson:hint', { lessonId: entry.lessonId, ...hint });
+    });
+  }, { rateLimited: false });
+
+  on('live-lesson:instruction', async (request) => {
+    const entry = currentLiveLesson(request);
+    if (!entry) return;
+
+    await withRateLimit(request, async () => {
+      const instruction = await entry.lesson.getCurrentSignInstruction();
+      request.reply('live-lesson:instruction', { lessonId: entry.lessonId, ...instruction });
+    });
+  }, { rateLimited: false });
+
+  on('live-lesson:skip', async (request) => {
+    const entry = currentLiveLesson(request);
+    if (!entry) return;
+
+    await withRateLimit(request, async () => {
+      const result = entry.lesson.skipSign();
+      if (result.error) {
+        request.fail({ message: result.error, lessonId: entry.lessonId });
+        return;
+      }
+      request.reply('live-lesson:skipped', { lessonId: entry.lessonId, ...result });
+    });
+  }, { rateLimited: false });
+
+  on('live-lesson:progress', (request) => {
+    const entry = currentLiveLesson(request);
+    if (!entry) return;
+    request.reply('live-lesson:progress', liveLessonSessions.describe(entry));
+  }, { rateLimited: false });
+
+  // Reattach to a lesson after a reconnect; missed events are replayed
+  on('live-lesson:resume', (request) => {
+    if (!teachingEnabled(request)) return;
+
+    const { lessonId } = request.data;
+    const lesson = liveLessonSessions.resume(lessonId, principal, socket);
+    if (!lesson) {
+      request.fail({ code: 'not_found', message: 'Live lesson not found', lessonId });
+      return;
+    }
+    liveLessonId = lesson.lessonId;
+    console.log(`🎓 Live lesson resumed: ${liveLessonId} (${lesson.progress})`);
+    request.resolve(lesson);
+  }, { rateLimited: false });
+
+  on('live-lesson:end', async (request) => {
+    const entry = currentLiveLesson(request);
+    if (!entry) return;
+
+    await withRateLimit(request, async () => {
+      liveLessonId = null;
+      const lesson = await liveLessonSessions.end(entry.lessonId);
+      request.reply('live-lesson:ended', lesson || { lessonId: entry.lessonId });
+    });
+  }, { rateLimited: false });
 
   // ----------------------------------------
   // Disconnection handling
   // ----------------------------------------
   socket.on('disconnect', (reason) => {
+    // Live lessons wait for a live-lesson:resume from the next socket
+    liveLessonSessions.detach(socket);
+
+    // The rate limit belongs to the principal and outlives this socket
     console.log(`❌ Client disconnected: ${socket.id} (${reason})`);
-    rateLimits.delete(socket.id);
   });
 
   // Send welcome message
   socket.emit('connected', {
     message: 'Connected to Sign Language Translator',
     dialect: currentDialect,
+    contractVersion: CONTRACT_VERSION,
     features: [
       'speech-input',
       'sign-detected',
@@ -1010,7 +2053,11 @@ io.on('connection', (socket) => {
       'detect-objects',
       'get-sign-suggestions',
       'switch-dialect',
-      'upload-document'
+      'upload-document',
+      'sign:landmarks',
+      'learner:identify',
+      'conversation:resume',
+      'live-lesson:start'
     ]
   });
 });
@@ -1019,17 +2066,33 @@ io.on('connection', (socket) => {
 // START SERVER
 // ============================================
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 
 httpServer.listen(PORT, () => {
   console.log('');
   console.log('═══════════════════════════════════════════════');
   console.log('  🤟 SIGN LANGUAGE TRANSLATOR SERVER');
   console.log('═══════════════════════════════════════════════');
-  console.log(`  🚀 Server running on http://localhost:${PORT}`);
+  console.log(`  🚀 Server running on ${config.server.publicUrl || `http://localhost:${PORT}`}`);
+  console.log(`  ⚙️  Config: ${config.file ? path.relative(process.cwd(), config.file) : 'defaults + env'} (${config.getAllowedOrigins().length} origins, ${Object.keys(config.tenants).length} tenants)`);
+  console.log(`  🔐 Auth: ${auth.describe()}`);
   console.log(`  📡 Socket.IO ready for connections`);
   console.log(`  🤖 Gemini AI service initialized`);
   console.log(`  🔑 API Key: ${process.env.GEMINI_API_KEY ? '✅ Configured' : '❌ Not set'}`);
+  console.log(`  🧩 LLM Provider: ${geminiService.getKeyStats().provider || 'none'}`);
+  console.log(`  📘 API documents: /api/openapi.json, /api/asyncapi.json (events v${CONTRACT_VERSION})`);
   console.log('═══════════════════════════════════════════════');
   console.log('');
+
+  const undocumented = undocumentedRoutes(app);
+  if (undocumented.length > 0) {
+    console.warn(`⚠️ ${undocumented.length} route(s) have no request spec: ${undocumented.join(', ')}`);
+  }
 });
+
+// Docker and Render stop the server with SIGTERM, which skips 'exit' handlers
+// unless we exit ourselves; they write what the learner store and response
+// cache still hold behind
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => process.exit(0));
+}
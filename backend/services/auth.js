@@ -0,0 +1,445 @@
+// backend/services/auth.js
+// Caller identity for REST routes and Socket.IO connections
+//
+// Two credentials are accepted, tried in order by pluggable strategies:
+//   - API keys (auth.apiKeys / API_KEYS) for server-to-server clients,
+//     sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`
+//   - Signed session tokens for browsers, issued by POST /api/auth/session
+//     and sent as `Authorization: Bearer <token>` or the socket handshake
+//     `auth: { token }`
+//
+// Every request ends up with a principal ({ id, type, name, tenant, scopes }).
+// Rate limits and usage counters are keyed by principal.id, so reconnecting
+// a socket or opening a second tab does not reset them. In auth.mode
+// 'optional', callers without credentials become an anonymous principal per
+// IP address; in 'required' they are rejected. Bad credentials are always
+// rejected rather than downgraded to anonymous. Anonymous principals cannot
+// own learner profiles or conversations (see canOwn).
+
+import crypto from 'crypto';
+import proxyaddr from 'proxy-addr';
+import config from '../config.js';
+
+const CONFIG = {
+    tokenVersion: 'v1',
+    usageRetentionMs: 24 * 60 * 60 * 1000, // usage of principals idle this long is dropped
+    renewalWindowMs: 30 * 24 * 60 * 60 * 1000 // expired tokens renewable this long, keeping their session id
+};
+
+// Paths under /api that stay open when auth.mode is 'required'
+const PUBLIC_PATHS = ['/health', '/config/public', '/auth/session', '/openapi.json', '/asyncapi.json'];
+
+// The only path that accepts an expired session token (to renew it)
+const RENEWAL_PATH = '/auth/session';
+
+// ============================================
+// ERRORS
+// ============================================
+
+class AuthError extends Error {
+    /**
+     * @param {string} message - Shown to the caller
+     * @param {string} code - auth_required | invalid_api_key | invalid_token | token_expired | forbidden
+     * @param {number} status - HTTP status for REST callers
+     */
+    constructor(message, code, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Credentials from an Express request
+ * @returns {{ apiKey: string|null, token: string|null, origin: string|null, ip: string, renewing: boolean }}
+ */
+function credentialsFromRequest(req) {
+    const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+    return splitBearer(bearer, {
+        apiKey: req.get('X-API-Key') || null,
+        origin: req.get('Origin') || null,
+        ip: req.ip,
+        renewing: req.path === RENEWAL_PATH
+    });
+}
+
+/**
+ * Credentials from a Socket.IO handshake (browser `auth` payload or Node client headers)
+ * @param {Object} handshake - socket.handshake
+ * @param {string} ip - Client address when a trusted proxy forwarded it (default: handshake.address)
+ */
+function credentialsFromHandshake(handshake, ip = handshake.address) {
+    const headers = handshake.headers || {};
+    const bearer = (headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+    return splitBearer(handshake.auth?.token || bearer, {
+        apiKey: handshake.auth?.apiKey || headers['x-api-key'] || null,
+        origin: headers.origin || null,
+        ip
+    });
+}
+
+// A bearer value is a session token if it carries our version prefix, else an API key
+function splitBearer(bearer, credentials) {
+    const isToken = Boolean(bearer?.startsWith(`${CONFIG.tokenVersion}.`));
+    return {
+        ...credentials,
+        apiKey: credentials.apiKey || (bearer && !isToken ? bearer : null),
+        token: isToken ? bearer : null
+    };
+}
+
+// ============================================
+// STRATEGIES
+// ============================================
+
+/**
+ * @typedef {Object} Principal
+ * @property {string} id - Stable key for rate limits and usage ('key:ops', 'session:<uuid>', 'ip:1.2.3.4')
+ * @property {'apiKey'|'session'|'anonymous'} type
+ * @property {string} name
+ * @property {string} tenant - Tenant whose features and limits apply
+ * @property {string[]} scopes
+ */
+
+/**
+ * A strategy returns a Principal, null when its credential is absent,
+ * or throws AuthError when the credential is present but invalid.
+ * @typedef {{ name: string, authenticate: (credentials: Object) => Principal|null }} AuthStrategy
+ */
+
+function apiKeyStrategy(service) {
+    return {
+        name: 'apiKey',
+        authenticate({ apiKey }) {
+            if (!apiKey) return null;
+            const digest = sha256(apiKey);
+            const match = service.apiKeys.find(k => safeEqual(k.digest, digest));
+            if (!match) throw new AuthError('Invalid API key', 'invalid_api_key');
+            return {
+                id: `key:${match.name}`,
+                type: 'apiKey',
+                name: match.name,
+                tenant: match.tenant,
+                scopes: match.scopes
+            };
+        }
+    };
+}
+
+function sessionStrategy(service) {
+    return {
+        name: 'session',
+        authenticate({ token, renewing = false }) {
+            if (!token) return null;
+            const payload = service.verifySessionToken(token, { renewing });
+            return {
+                id: `session:${payload.sub}`,
+                type: 'session',
+                name: payload.sub,
+                tenant: payload.tenant,
+                scopes: []
+            };
+        }
+    };
+}
+
+// ============================================
+// AUTH SERVICE CLASS
+// ============================================
+
+class AuthService {
+    /**
+     * @param {Object} settings - config.auth
+     */
+    constructor(settings = config.auth) {
+        this.mode = settings.mode;
+        this.sessionTtl = settings.sessionTtl;
+
+        // Without a configured secret, tokens stop verifying when the process restarts
+        this.ephemeralSecret = !settings.sessionSecret;
+        this.secret = settings.sessionSecret || crypto.randomBytes(32).toString('hex');
+
+        // Only digests are kept in memory
+        this.apiKeys = settings.apiKeys.map(({ key, ...rest }) => ({ ...rest, digest: sha256(key) }));
+
+        this.strategies = [apiKeyStrategy(this), sessionStrategy(this)];
+        this.usage = new Map(); // principalId -> usage record
+    }
+
+    /**
+     * Add a strategy (tried before the built-in ones)
+     * @param {AuthStrategy} strategy
+     */
+    use(strategy) {
+        this.strategies.unshift(strategy);
+        return this;
+    }
+
+    // ============================================
+    // SESSION TOKENS
+    // ============================================
+
+    _sign(body) {
+        return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+    }
+
+    /**
+     * Issue a session token. Passing the caller's current principal keeps
+     * its session id, so refreshing does not reset its limits.
+     * @param {Object} options - { origin, principal }
+     * @returns {{ token: string, expiresAt: string, principal: Principal }}
+     */
+    issueSession({ origin = null, principal = null } = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        const payload = {
+            sub: principal?.type === 'session' ? principal.name : crypto.randomUUID(),
+            tenant: principal?.type === 'session' ? principal.tenant : config.tenantForOrigin(origin),
+            iat: now,
+            exp: now + this.sessionTtl
+        };
+
+        const body = `${CONFIG.tokenVersion}.${base64url(JSON.stringify(payload))}`;
+        const token = `${body}.${this._sign(body)}`;
+
+        return {
+            token,
+            expiresAt: new Date(payload.exp * 1000).toISOString(),
+            principal: this.authenticate({ token })
+        };
+    }
+
+    /**
+     * @param {Object} options - { renewing: accept a token expired less than renewalWindowMs ago }
+     * @returns {{ sub: string, tenant: string, iat: number, exp: number }}
+     * @throws {AuthError} When the token is malformed, forged or expired
+     */
+    verifySessionToken(token, { renewing = false } = {}) {
+        const parts = String(token).split('.');
+        if (parts.length !== 3 || parts[0] !== CONFIG.tokenVersion) {
+            throw new AuthError('Malformed session token', 'invalid_token');
+        }
+
+        const body = `${parts[0]}.${parts[1]}`;
+        if (!safeEqual(Buffer.from(parts[2]), Buffer.from(this._sign(body)))) {
+            throw new AuthError('Invalid session token', 'invalid_token');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch {
+            throw new AuthError('Malformed session token', 'invalid_token');
+        }
+        if (!payload.sub || !Number.isFinite(payload.exp)) {
+            throw new AuthError('Malformed session token', 'invalid_token');
+        }
+        const expiredFor = Date.now() - payload.exp * 1000;
+        if (expiredFor >= 0 && !(renewing && expiredFor < CONFIG.renewalWindowMs)) {
+            throw new AuthError('Session token expired', 'token_expired');
+        }
+        return payload;
+    }
+
+    // ============================================
+    // AUTHENTICATION
+    // ============================================
+
+    /**
+     * Run the strategies over a caller's credentials
+     * @returns {Principal|null} null when no credential was supplied
+     * @throws {AuthError} When a supplied credential is invalid
+     */
+    authenticate(credentials) {
+        for (const strategy of this.strategies) {
+            const principal = strategy.authenticate(credentials);
+            if (principal) return principal;
+        }
+        return null;
+    }
+
+    /**
+     * Principal for callers without credentials (auth.mode 'optional')
+     */
+    anonymous({ ip, origin }) {
+        return {
+            id: `ip:${ip || 'unknown'}`,
+            type: 'anonymous',
+            name: ip || 'unknown',
+            tenant: config.tenantForOrigin(origin),
+            scopes: []
+        };
+    }
+
+    /**
+     * Authenticate, falling back to anonymous where the mode allows it
+     * @param {Object} credentials
+     * @param {boolean} isPublic - Endpoint stays open in 'required' mode
+     * @throws {AuthError}
+     */
+    resolve(credentials, isPublic = false) {
+        const principal = this.authenticate(credentials);
+        if (principal) return principal;
+        if (this.mode === 'required' && !isPublic) {
+            throw new AuthError('Authentication required: send an API key or session token', 'auth_required');
+        }
+        return this.anonymous(credentials);
+    }
+
+    hasScope(principal, scope) {
+        return Boolean(principal?.scopes?.includes(scope));
+    }
+
+    /**
+     * Whether a principal can own records (learner profiles, conversations).
+     * Anonymous principals are keyed by IP address and shared by everyone
+     * behind it, so they need a session token first.
+     * @param {Principal} principal
+     */
+    canOwn(principal) {
+        return Boolean(principal) && principal.type !== 'anonymous';
+    }
+
+    /**
+     * Whether a principal may use a record another principal owns: its
+     * owner, or anyone with one of the scopes. Records stored before owners
+     * were tracked have none and are open to the scopes only.
+     * @param {Principal} principal
+     * @param {string|null} ownerId - The owner's principal id
+     * @param {string[]} scopes - Scopes that may use everyone's records
+     */
+    canAccess(principal, ownerId, scopes = ['admin']) {
+        if (scopes.some(scope => this.hasScope(principal, scope))) return true;
+        return this.canOwn(principal) && Boolean(ownerId) && ownerId === principal.id;
+    }
+
+    // ============================================
+    // USAGE ACCOUNTING
+    // ============================================
+
+    /**
+     * Count one REST request or socket event against a principal
+     * @param {Principal} principal
+     * @param {string} kind - 'http' or the socket event name
+     * @param {Object} options - { limited: true } when the rate limit refused it
+     */
+    recordUsage(principal, kind, { limited = false } = {}) {
+        const now = new Date().toISOString();
+        let record = this.usage.get(principal.id);
+        if (!record) {
+            record = {
+                principal: principal.id,
+                type: principal.type,
+                tenant: principal.tenant,
+                requests: 0,
+                events: {},
+                rateLimited: 0,
+                firstSeen: now,
+                lastSeen: now
+            };
+            this.usage.set(principal.id, record);
+        }
+
+        if (kind === 'http') record.requests++;
+        else record.events[kind] = (record.events[kind] || 0) + 1;
+        if (limited) record.rateLimited++;
+        record.lastSeen = now;
+        return record;
+    }
+
+    getUsage(principalId) {
+        return this.usage.get(principalId) || null;
+    }
+
+    listUsage() {
+        return [...this.usage.values()].sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    }
+
+    // Drop principals idle longer than usageRetentionMs (run periodically)
+    pruneUsage(now = Date.now()) {
+        for (const [id, record] of this.usage.entries()) {
+            if (now - Date.parse(record.lastSeen) > CONFIG.usageRetentionMs) this.usage.delete(id);
+        }
+    }
+
+    // ============================================
+    // MIDDLEWARE
+    // ============================================
+
+    /**
+     * Express middleware (mount on /api): sets req.principal and counts the request
+     */
+    middleware() {
+        return (req, res, next) => {
+            try {
+                req.principal = this.resolve(credentialsFromRequest(req), PUBLIC_PATHS.includes(req.path));
+            } catch (error) {
+                if (!(error instanceof AuthError)) return next(error);
+                return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+            }
+            this.recordUsage(req.principal, 'http');
+            next();
+        };
+    }
+
+    /**
+     * 403 unless the caller's principal has one of the scopes
+     */
+    requireScope(...scopes) {
+        const scope = scopes.join(' or ');
+        const middleware = (req, res, next) => {
+            if (scopes.some(s => this.hasScope(req.principal, s))) return next();
+            res.status(403).json({ success: false, error: `Requires the ${scope} scope`, code: 'forbidden' });
+        };
+        // Listed as x-required-scope in /api/openapi.json
+        middleware.scope = scope;
+        return middleware;
+    }
+
+    /**
+     * Socket.IO io.use() handler: sets socket.data.principal or refuses the
+     * handshake (the client receives connect_error with err.data.code)
+     * @param {Object} options - { trustProxy: Express's compiled 'trust proxy fn', so
+     *   anonymous sockets get the same IP as their REST requests }
+     */
+    socketMiddleware({ trustProxy = null } = {}) {
+        return (socket, next) => {
+            try {
+                const ip = trustProxy ? proxyaddr(socket.request, trustProxy) : socket.handshake.address;
+                socket.data.principal = this.resolve(credentialsFromHandshake(socket.handshake, ip));
+                next();
+            } catch (error) {
+                if (!(error instanceof AuthError)) return next(error);
+                const refusal = new Error(error.message);
+                refusal.data = { code: error.code };
+                next(refusal);
+            }
+        };
+    }
+
+    /**
+     * Summary for the startup banner
+     */
+    describe() {
+        const keys = `${this.apiKeys.length} API key${this.apiKeys.length === 1 ? '' : 's'}`;
+        const secret = this.ephemeralSecret ? ', random session secret - set AUTH_SESSION_SECRET' : '';
+        return `${this.mode}, ${keys}${secret}`;
+    }
+}
+
+// Export singleton instance
+const auth = new AuthService();
+export default auth;
+export { AuthService, AuthError, PUBLIC_PATHS, credentialsFromRequest, credentialsFromHandshake };
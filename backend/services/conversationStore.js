@@ -0,0 +1,382 @@
+// backend/services/conversationStore.js
+// Persistent speaker <-> signer conversation sessions with transcript export
+//
+// One JSON file per session under CONVERSATION_DATA_DIR (default:
+// dataset/conversations). A session survives socket disconnects, so a client
+// can resume it by ID and interpreters can export the record afterwards as
+// JSON, WebVTT or plain text.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config.js';
+
+const CONFIG = {
+    maxTurns: 1000,             // turns kept per session (oldest dropped first)
+    historyTurns: 20,           // turns handed to suggestNextSigns
+    defaultSignDuration: 1.0,   // seconds, when a sign has no duration
+    signerMsPerChar: 60,        // reading-time estimate for signer captions
+    minCueMs: 1500,
+    maxCueMs: 8000
+};
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    vtt: { contentType: 'text/vtt', extension: 'vtt' },
+    txt: { contentType: 'text/plain', extension: 'txt' }
+};
+
+// Session IDs double as file names, so keep them to a safe character set
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Keep only what a transcript needs from a resolved sign
+ */
+function summarizeSign(sign) {
+    if (typeof sign === 'string') return { gloss: sign };
+    return {
+        gloss: sign.gloss,
+        type: sign.type || null,
+        source: sign.source || null,
+        duration: sign.duration ?? null,
+        expression: sign.expression || null
+    };
+}
+
+/**
+ * Milliseconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ */
+function vttTime(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = String(Math.floor(total / 3600000)).padStart(2, '0');
+    const minutes = String(Math.floor(total / 60000) % 60).padStart(2, '0');
+    const seconds = String(Math.floor(total / 1000) % 60).padStart(2, '0');
+    const millis = String(total % 1000).padStart(3, '0');
+    return `${hours}:${minutes}:${seconds}.${millis}`;
+}
+
+/**
+ * Cue text may not contain "-->" or raw markup
+ */
+function vttText(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/-->/g, '→');
+}
+
+class ConversationStore {
+    constructor(dataDir = config.paths.conversationDataDir) {
+        this.dataDir = dataDir;
+        this.sessions = new Map(); // sessionId -> session (loaded lazily)
+    }
+
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+
+    validateId(sessionId) {
+        if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+            throw new Error('Invalid session ID (use 1-64 letters, digits, "-" or "_")');
+        }
+        return sessionId;
+    }
+
+    _filePath(sessionId) {
+        return path.join(this.dataDir, `${sessionId}.json`);
+    }
+
+    _load(sessionId) {
+        if (this.sessions.has(sessionId)) return this.sessions.get(sessionId);
+
+        const file = this._filePath(sessionId);
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            const session = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            this.sessions.set(sessionId, session);
+            return session;
+        } catch (error) {
+            console.warn(`Could not load conversation ${sessionId}:`, error.message);
+            return null;
+        }
+    }
+
+    _save(session) {
+        try {
+            if (!fs.existsSync(this.dataDir)) {
+                fs.mkdirSync(this.dataDir, { recursive: true });
+            }
+            // Write-then-rename so a crash never leaves a half-written transcript
+            const file = this._filePath(session.sessionId);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(session, null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (error) {
+            console.warn(`Could not save conversation ${session.sessionId}:`, error.message);
+        }
+    }
+
+    // ============================================
+    // SESSIONS
+    // ============================================
+
+    /**
+     * Start a new session
+     * @param {Object} options - { dialect, title, ownerId }
+     *   ownerId: principal id that may resume, export and delete it (see auth.canAccess)
+     */
+    create({ dialect = 'ASL', title = null, ownerId = null } = {}) {
+        const now = new Date().toISOString();
+        const session = {
+            sessionId: `conv-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+            title,
+            dialect,
+            ownerId,
+            createdAt: now,
+            updatedAt: now,
+            endedAt: null,
+            turns: []
+        };
+
+        this.sessions.set(session.sessionId, session);
+        this._save(session);
+        return session;
+    }
+
+    /**
+     * Get a session by ID (null if it does not exist)
+     */
+    get(sessionId) {
+        this.validateId(sessionId);
+        return this._load(sessionId);
+    }
+
+    /**
+     * Reopen an existing session after a reconnect
+     * @param {string} sessionId - Session ID
+     * @param {Object} options - { ownerId: claims a session stored without an owner }
+     */
+    resume(sessionId, { ownerId = null } = {}) {
+        const session = this.get(sessionId);
+        if (!session) return null;
+
+        if (session.endedAt || (ownerId && !session.ownerId)) {
+            session.endedAt = null;
+            session.ownerId = session.ownerId || ownerId;
+            session.updatedAt = new Date().toISOString();
+            this._save(session);
+        }
+        return session;
+    }
+
+    /**
+     * Mark a session as finished (it can still be resumed and exported)
+     */
+    end(sessionId) {
+        const session = this.get(sessionId);
+        if (!session) return null;
+
+        session.endedAt = new Date().toISOString();
+        session.updatedAt = session.endedAt;
+        this._save(session);
+        return session;
+    }
+
+    delete(sessionId) {
+        this.validateId(sessionId);
+        this.sessions.delete(sessionId);
+
+        const file = this._filePath(sessionId);
+        if (!fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    /**
+     * Session summaries, most recently active first
+     */
+    list() {
+        if (!fs.existsSync(this.dataDir)) return [];
+
+        return fs.readdirSync(this.dataDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this._load(path.basename(file, '.json')))
+            .filter(Boolean)
+            .map(session => ({
+                sessionId: session.sessionId,
+                title: session.title,
+                dialect: session.dialect,
+                ownerId: session.ownerId || null,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt,
+                endedAt: session.endedAt,
+                turnCount: session.turns.length
+            }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    // ============================================
+    // TURNS
+    // ============================================
+
+    /**
+     * Speaker turn: spoken/typed text and the sign sequence the avatar played
+     * @param {string} sessionId - Session ID
+     * @param {Object} turn - { text, dialect, sequence, streamed, at }
+     *   at: when the utterance arrived (translation finishes later)
+     */
+    addSpeakerTurn(sessionId, { text, dialect, sequence = [], streamed = false, at }) {
+        return this._addTurn(sessionId, {
+            role: 'speaker',
+            text,
+            dialect,
+            signs: sequence.map(summarizeSign),
+            streamed
+        }, at);
+    }
+
+    /**
+     * Signer turn: recognized gloss and the speak-text output voiced for it
+     * @param {string} sessionId - Session ID
+     * @param {Object} turn - { gloss, text, formalText, confidence, dialect, source }
+     */
+    addSignerTurn(sessionId, { gloss, text, formalText = null, confidence = null, dialect, source = 'gemini' }) {
+        return this._addTurn(sessionId, {
+            role: 'signer',
+            gloss,
+            text,
+            formalText,
+            confidence,
+            dialect,
+            source
+        });
+    }
+
+    _addTurn(sessionId, fields, at = new Date()) {
+        const session = this.get(sessionId);
+        if (!session) throw new Error('Conversation not found');
+
+        const time = new Date(at);
+        const turn = {
+            id: session.turns.reduce((max, t) => Math.max(max, t.id), 0) + 1,
+            timestamp: time.toISOString(),
+            offsetMs: Math.max(0, time.getTime() - new Date(session.createdAt).getTime()),
+            ...fields,
+            dialect: fields.dialect || session.dialect
+        };
+
+        // Translations finish out of order - keep turns sorted by when they started
+        let position = session.turns.length;
+        while (position > 0 && session.turns[position - 1].offsetMs > turn.offsetMs) position--;
+        session.turns.splice(position, 0, turn);
+
+        if (session.turns.length > CONFIG.maxTurns) {
+            session.turns.splice(0, session.turns.length - CONFIG.maxTurns);
+        }
+        session.dialect = turn.dialect;
+        session.updatedAt = new Date().toISOString();
+        this._save(session);
+
+        return turn;
+    }
+
+    /**
+     * Recent turns in the { role, content } shape suggestNextSigns expects
+     */
+    getHistory(sessionId, limit = CONFIG.historyTurns) {
+        const session = this.get(sessionId);
+        if (!session) return [];
+
+        return session.turns.slice(-limit).map(turn => ({ role: turn.role, content: turn.text }));
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+
+    /**
+     * Export a transcript
+     * @param {string} sessionId - Session ID
+     * @param {string} format - json | vtt | txt
+     * @returns {Object|null} { body, contentType, filename }
+     */
+    export(sessionId, format = 'json') {
+        const type = EXPORT_FORMATS[format];
+        if (!type) {
+            throw new Error(`Unknown export format "${format}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const session = this.get(sessionId);
+        if (!session) return null;
+
+        const body = format === 'vtt' ? this.toWebVTT(session)
+            : format === 'txt' ? this.toText(session)
+                : JSON.stringify(session, null, 2);
+
+        return {
+            body,
+            contentType: type.contentType,
+            filename: `${session.sessionId}.${type.extension}`
+        };
+    }
+
+    /**
+     * Caption timing for each turn: from its offset until the next turn starts
+     * or its own estimated length runs out, whichever is first
+     */
+    _cueTimes(session) {
+        return session.turns.map((turn, i) => {
+            const start = turn.offsetMs;
+            const estimated = turn.role === 'speaker'
+                ? turn.signs.reduce((sum, s) => sum + (s.duration ?? CONFIG.defaultSignDuration), 0) * 1000
+                : (turn.text || '').length * CONFIG.signerMsPerChar;
+            const length = Math.min(CONFIG.maxCueMs, Math.max(CONFIG.minCueMs, estimated));
+            const next = session.turns[i + 1]?.offsetMs;
+
+            return { start, end: next !== undefined ? Math.max(start + 1, Math.min(start + length, next)) : start + length };
+        });
+    }
+
+    toWebVTT(session) {
+        const times = this._cueTimes(session);
+        const cues = session.turns.map((turn, i) => {
+            const { start, end } = times[i];
+            const lines = turn.role === 'speaker'
+                ? [`<v Speaker>${vttText(turn.text)}`, `[${turn.dialect}] ${vttText(turn.signs.map(s => s.gloss).join(' '))}`]
+                : [`<v Signer>${vttText(turn.text)}`, `[${turn.dialect}] ${vttText(turn.gloss)}`];
+
+            return `${turn.id}\n${vttTime(start)} --> ${vttTime(end)}\n${lines.join('\n')}`;
+        });
+
+        return `WEBVTT - Conversation ${session.sessionId}\n\n${cues.join('\n\n')}\n`;
+    }
+
+    toText(session) {
+        const header = [
+            `Conversation ${session.sessionId}${session.title ? ` - ${session.title}` : ''}`,
+            `Started: ${session.createdAt}`,
+            session.endedAt ? `Ended: ${session.endedAt}` : null,
+            ''
+        ].filter(line => line !== null);
+
+        const lines = session.turns.flatMap(turn => {
+            const time = `[${vttTime(turn.offsetMs).substring(0, 8)}]`;
+            if (turn.role === 'speaker') {
+                return [
+                    `${time} SPEAKER: ${turn.text}`,
+                    `           SIGNS (${turn.dialect}): ${turn.signs.map(s => s.gloss).join(' ')}`
+                ];
+            }
+            return [`${time} SIGNER (${turn.dialect}): ${turn.gloss} -> "${turn.text}"`];
+        });
+
+        return [...header, ...lines, ''].join('\n');
+    }
+}
+
+// Singleton instance
+const conversationStore = new ConversationStore();
+
+export default conversationStore;
+export { ConversationStore, CONFIG as CONVERSATION_CONFIG, EXPORT_FORMATS };
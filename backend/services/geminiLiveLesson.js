@@ -1,27 +1,29 @@
 // backend/services/geminiLiveLesson.js
 // Real-time interactive sign language lessons using Gemini Live API
 // Perfect for hackathon demos with live video feedback!
+//
+// A lesson makes its model calls through the GeminiService it is given, so
+// they count against the same keys, retries and rate limit state as every
+// other request.
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import dotenv from 'dotenv';
 import { EventEmitter } from 'events';
 
-dotenv.config();
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 /**
  * Interactive Sign Language Lesson using Gemini Live API
  * Provides real-time feedback on user's signing through video analysis
  */
 class InteractiveSignLesson extends EventEmitter {
+    /**
+     * @param {Object} options - { gemini, lessonTopic, language, difficulty }
+     *   gemini is the shared GeminiService
+     */
     constructor(options = {}) {
         super();
 
+        this.gemini = options.gemini;
         this.lessonTopic = options.lessonTopic || 'Basic Greetings';
         this.language = options.language || 'ASL';
         this.difficulty = options.difficulty || 'beginner';
-        this.model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
 
         this.state = {
             isActive: false,
@@ -127,14 +129,12 @@ When you see the user's video frame, analyze their signing attempt and provide s
      * Generate lesson introduction
      */
     async _generateIntroduction() {
-        const prompt = `
-Generate a warm, welcoming introduction for an ${this.language} lesson on "${this.lessonTopic}".
-Keep it brief (2-3 sentences), encouraging, and appropriate for ${this.difficulty} level.
-Mention the first sign we'll learn: ${this.state.currentSign}
-`;
-
-        const result = await this.model.generateContent(prompt);
-        return result.response.text();
+        return this.gemini.runPrompt('liveLesson.introduction', {
+            language: this.language,
+            topic: this.lessonTopic,
+            difficulty: this.difficulty,
+            sign: this.state.currentSign
+        }, { params: { topic: this.lessonTopic } });
     }
 
     /**
@@ -149,42 +149,11 @@ Mention the first sign we'll learn: ${this.state.currentSign}
         const sign = targetSign || this.state.currentSign;
         this.state.attempts++;
 
-        const imageData = frameData.includes(',')
-            ? frameData.split(',')[1]
-            : frameData;
-
-        const prompt = `
-You are watching a student practice the ${this.language} sign for "${sign}".
-
-Analyze this video frame and provide:
-1. Whether the sign looks correct (accuracy 0-100)
-2. Specific, encouraging feedback
-3. Any corrections needed
-
-OUTPUT (JSON only):
-{
-  "sign": "${sign}",
-  "accuracy": 0-100,
-  "isCorrect": true/false,
-  "feedback": "Encouraging message with specific observations",
-  "corrections": ["List of specific corrections if needed"],
-  "nextStep": "continue" | "retry" | "move_on",
-  "celebration": "Celebratory message if correct (empty if not)"
-}
-`;
-
         try {
-            const result = await this.model.generateContent([
-                prompt,
-                {
-                    inlineData: {
-                        mimeType: "image/jpeg",
-                        data: imageData
-                    }
-                }
-            ]);
-
-            const feedback = this._parseJSON(result.response.text());
+            const feedback = await this.gemini.runPrompt('liveLesson.frameFeedback', { language: this.language, sign }, {
+                images: [frameData],
+                params: { sign, attempt: this.state.attempts }
+            });
 
             // Update state based on feedback
             if (feedback.isCorrect) {
@@ -250,15 +219,19 @@ OUTPUT (JSON only):
         };
 
         // Generate completion message
-        const prompt = `
-Generate an encouraging lesson completion message for a student who just finished an ${this.language} lesson on "${this.lessonTopic}".
-They correctly signed ${summary.signsLearned.length} out of ${summary.totalSigns} signs.
-Signs they nailed: ${summary.signsLearned.join(', ') || 'none yet'}
-Be celebratory and suggest what to practice next. Keep it brief (2-3 sentences).
-`;
-
-        const result = await this.model.generateContent(prompt);
-        summary.completionMessage = result.response.text();
+        try {
+            summary.completionMessage = await this.gemini.runPrompt('liveLesson.completion', {
+                language: this.language,
+                topic: this.lessonTopic,
+                learnedCount: summary.signsLearned.length,
+                totalSigns: summary.totalSigns,
+                signsLearned: summary.signsLearned.join(', ') || 'none yet'
+            }, { params: { topic: this.lessonTopic } });
+        } catch (error) {
+            // The summary still goes out; only the message is canned
+            console.error('Lesson completion message error:', error.message);
+            summary.completionMessage = `Great work! You signed ${summary.signsLearned.length} of ${summary.totalSigns} signs correctly.`;
+        }
 
         this.emit('lessonComplete', summary);
         return summary;
@@ -270,21 +243,10 @@ Be celebratory and suggest what to practice next. Keep it brief (2-3 sentences).
     async getCurrentSignInstruction() {
         const sign = this.state.currentSign;
 
-        const prompt = `
-Provide a brief, clear instruction for the ${this.language} sign "${sign}".
-Include:
-1. Hand shape description
-2. Location (where to sign)
-3. Movement (if any)
-4. Any facial expression needed
-
-Keep it to 3-4 sentences max. Use simple language for ${this.difficulty} learners.
-`;
-
-        const result = await this.model.generateContent(prompt);
+        const instruction = await this.gemini.runPrompt('liveLesson.signInstruction', { language: this.language, sign, difficulty: this.difficulty }, { params: { sign } });
         return {
             sign,
-            instruction: result.response.text(),
+            instruction,
             position: this.state.signsToPractice.indexOf(sign) + 1,
             total: this.state.signsToPractice.length
         };
@@ -296,15 +258,10 @@ Keep it to 3-4 sentences max. Use simple language for ${this.difficulty} learner
     async getHint() {
         const sign = this.state.currentSign;
 
-        const prompt = `
-Give a helpful hint for someone struggling with the ${this.language} sign "${sign}".
-Provide a memory trick or visual analogy. One sentence only.
-`;
-
-        const result = await this.model.generateContent(prompt);
+        const hint = await this.gemini.runPrompt('liveLesson.hint', { language: this.language, sign }, { params: { sign } });
         return {
             sign,
-            hint: result.response.text()
+            hint
         };
     }
 
@@ -312,10 +269,16 @@ Provide a memory trick or visual analogy. One sentence only.
      * Skip the current sign and move to next
      */
     skipSign() {
+        if (!this.state.isActive) {
+            return { error: 'Lesson not active' };
+        }
+
+        const skipped = this.state.currentSign;
         this._advanceToNextSign();
         return {
-            skipped: this.state.currentSign,
-            newSign: this.state.currentSign
+            skipped,
+            // null when that was the last sign and the lesson completed
+            newSign: this.state.isActive ? this.state.currentSign : null
         };
     }
 
@@ -340,19 +303,6 @@ Provide a memory trick or visual analogy. One sentence only.
             attempts: this.state.attempts
         };
     }
-
-    /**
-     * Parse JSON from Gemini response
-     */
-    _parseJSON(text) {
-        let cleanedText = text;
-        if (cleanedText.includes('```json')) {
-            cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        } else if (cleanedText.includes('```')) {
-            cleanedText = cleanedText.replace(/```\n?/g, '');
-        }
-        return JSON.parse(cleanedText.trim());
-    }
 }
 
 /**
@@ -370,8 +320,9 @@ async function startInteractiveSignLesson(lessonTopic, options = {}) {
 
 /**
  * Quick demo mode - simplified lesson for hackathon presentations
+ * @param {GeminiService} gemini - Shared Gemini client
  */
-async function startDemoLesson(demoType = 'greeting') {
+async function startDemoLesson(gemini, demoType = 'greeting') {
     const demoConfigs = {
         greeting: {
             topic: 'Say Hello in ASL',
@@ -393,6 +344,7 @@ async function startDemoLesson(demoType = 'greeting') {
     const config = demoConfigs[demoType] || demoConfigs.greeting;
 
     return await startInteractiveSignLesson(config.topic, {
+        gemini,
         signs: config.signs,
         difficulty: config.difficulty
     });
@@ -1,6 +1,9 @@
 // backend/services/geminiSignCorrection.js
 // Sign accuracy analysis and correction feedback service
 
+import promptRegistry from './promptRegistry.js';
+import { extractJSON } from './responseValidator.js';
+
 /**
  * Generate prompt for analyzing user's sign performance
  * @param {string} targetSign - The sign the user is attempting
@@ -8,195 +11,15 @@
  * @param {string} language - Sign language dialect (ASL, BSL, ISL)
  * @returns {string} Formatted prompt for Gemini
  */
-const signCorrectionPrompt = (targetSign, userPoseData, language = "ASL") => `
-You are an ${language} teacher analyzing a student's sign performance.
-
-TARGET SIGN: "${targetSign}"
-USER'S POSE DATA: ${JSON.stringify(userPoseData, null, 2)}
-
-ANALYSIS TASKS:
-1. Compare user's hand position, shape, and orientation to correct ${language} sign
-2. Check facial expression accuracy (critical for grammar)
-3. Evaluate movement path and speed
-4. Identify specific errors (position, handshape, orientation, facial, timing)
-5. Provide constructive feedback
-
-OUTPUT FORMAT (JSON only, no markdown):
-{
-  "target_sign": "${targetSign}",
-  "accuracy_score": 0-100,
-  "breakdown": {
-    "hand_position": {
-      "score": 0-100,
-      "issues": ["Hand too low", "Should be at chest level"],
-      "correct_position": [x, y, z]
-    },
-    "handshape": {
-      "score": 0-100,
-      "detected": "user's handshape",
-      "expected": "correct handshape",
-      "issues": ["Fingers should be extended", "Thumb position incorrect"]
-    },
-    "palm_orientation": {
-      "score": 0-100,
-      "detected": "down",
-      "expected": "forward",
-      "issues": []
-    },
-    "movement": {
-      "score": 0-100,
-      "issues": ["Movement too slow", "Path should be circular"]
-    },
-    "facial_expression": {
-      "score": 0-100,
-      "detected": "neutral",
-      "expected": "eyebrows raised (question marker)",
-      "issues": ["Missing grammatical facial expression"]
-    }
-  },
-  "overall_feedback": "Clear, encouraging feedback message",
-  "corrections": [
-    "Raise your hand to chest level",
-    "Raise eyebrows when signing questions",
-    "Make the movement more circular"
-  ],
-  "demonstration_tip": "Think of scooping ice cream - smooth circular motion",
-  "passed": true/false
-}
-
-Be encouraging but accurate. Deaf comprehension depends on precision.
-`;
+const signCorrectionPrompt = (targetSign, userPoseData, language = "ASL") =>
+    promptRegistry.render('correction.sign', { targetSign, poseData: userPoseData, language }).text;
 
 /**
  * Generate prompt for video-based sign analysis
  * Used when analyzing a video frame from the user's camera
  */
-const signCorrectionWithVideoPrompt = (targetSign, userPoseData, language = "ASL") => `
-You are an expert ${language} teacher analyzing a student's sign performance from both pose data and visual observation.
-
-TARGET SIGN: "${targetSign}"
-LANGUAGE: ${language}
-
-POSE DATA FROM TRACKING:
-${JSON.stringify(userPoseData, null, 2)}
-
-ATTACHED: Video frame showing the user performing the sign
-
-COMPREHENSIVE ANALYSIS:
-1. Hand Position & Movement
-   - Compare hand location to correct signing space
-   - Check movement trajectory and speed
-   - Verify dominant hand usage
-
-2. Handshape Accuracy
-   - Finger configurations
-   - Thumb position
-   - Hand curvature
-
-3. Palm Orientation
-   - Direction palm faces (critical for meaning)
-   - Rotation throughout the sign
-
-4. Non-Manual Markers (CRITICAL)
-   - Eyebrow position (grammatical!)
-   - Eye gaze direction
-   - Mouth morphemes
-   - Head tilt/nod
-   - Shoulder position
-
-5. Timing & Rhythm
-   - Natural signing speed
-   - Hold duration at key positions
-   - Transition smoothness
-
-OUTPUT FORMAT (JSON only, no markdown):
-{
-  "target_sign": "${targetSign}",
-  "language": "${language}",
-  "accuracy_score": 85,
-  "grade": "A|B|C|D|F",
-  "breakdown": {
-    "hand_position": {
-      "score": 90,
-      "detected_position": [0.2, 0.3, 0.4],
-      "expected_position": [0.15, 0.4, 0.4],
-      "issues": [],
-      "guidance": "Good positioning"
-    },
-    "handshape": {
-      "score": 85,
-      "detected": "flat hand with spread fingers",
-      "expected": "5-hand (all fingers spread)",
-      "issues": ["Fingers could be spread wider"],
-      "guidance": "Spread your fingers as if showing the number 5"
-    },
-    "palm_orientation": {
-      "score": 95,
-      "detected": "forward",
-      "expected": "forward",
-      "issues": [],
-      "guidance": "Perfect palm orientation"
-    },
-    "movement": {
-      "score": 80,
-      "expected_path": "outward from chest",
-      "detected_path": "outward with slight downward drift",
-      "issues": ["Movement drifts downward"],
-      "guidance": "Keep the movement straight out from your chest"
-    },
-    "facial_expression": {
-      "score": 70,
-      "expected": {
-        "eyebrows": "neutral",
-        "mouth": "relaxed",
-        "eyes": "normal"
-      },
-      "detected": {
-        "eyebrows": "neutral",
-        "mouth": "tense",
-        "eyes": "normal"
-      },
-      "issues": ["Mouth appears tense"],
-      "guidance": "Relax your facial muscles - this sign uses neutral expression"
-    },
-    "timing": {
-      "score": 85,
-      "expected_duration_ms": 600,
-      "detected_duration_ms": 750,
-      "issues": ["Slightly slow"],
-      "guidance": "Try to complete the sign a bit faster for natural rhythm"
-    }
-  },
-  "overall_feedback": "Great attempt! Your hand position and palm orientation are excellent. Focus on spreading your fingers wider and keeping the movement path straight.",
-  "priority_corrections": [
-    {
-      "priority": 1,
-      "aspect": "handshape",
-      "correction": "Spread your fingers wider, like showing the number 5",
-      "visual_cue": "Imagine holding a large grapefruit"
-    },
-    {
-      "priority": 2,
-      "aspect": "movement",
-      "correction": "Keep the movement straight out, not downward",
-      "visual_cue": "Push directly toward the person you're signing to"
-    }
-  ],
-  "encouragement": "You're making great progress! The fundamentals are solid.",
-  "next_practice_focus": "handshape precision",
-  "passed": true,
-  "ready_for_next": true
-}
-
-GRADING CRITERIA:
-- 90-100 (A): Near-native accuracy, minor refinements only
-- 80-89 (B): Good accuracy, 1-2 small corrections needed  
-- 70-79 (C): Understandable but needs practice on multiple aspects
-- 60-69 (D): Significant errors but shows understanding of the sign
-- Below 60 (F): Major errors that would impede comprehension
-
-Be encouraging but precise. A Deaf person's ability to understand depends on accuracy.
-`;
+const signCorrectionWithVideoPrompt = (targetSign, userPoseData, language = "ASL") =>
+    promptRegistry.render('correction.signWithVideo', { targetSign, poseData: userPoseData, language }).text;
 
 /**
  * Scoring weights for different aspects of signing
@@ -286,17 +109,11 @@ const COMMON_ERRORS = {
 
 /**
  * Parse Gemini correction response and validate
+ * @param {string|Object} response - Response text, or JSON already checked by responseValidator
  */
-function parseCorrectionResponse(responseText) {
+function parseCorrectionResponse(response) {
     try {
-        let cleanedText = responseText;
-        if (cleanedText.includes('```json')) {
-            cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        } else if (cleanedText.includes('```')) {
-            cleanedText = cleanedText.replace(/```\n?/g, '');
-        }
-
-        const parsed = JSON.parse(cleanedText.trim());
+        const parsed = typeof response === 'string' ? extractJSON(response) : response;
 
         // Ensure required fields exist
         if (typeof parsed.accuracy_score !== 'number') {
@@ -1,7 +1,8 @@
 // backend/services/geminiSignReferences.js
 // ASL reference image sources and generation service
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getProvider } from '../providers/index.js';
+import { extractJSON } from './responseValidator.js';
 import fs from 'fs';
 import path from 'path';
 import https from 'https';
@@ -9,7 +10,7 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = getProvider();
 
 /**
  * Curated list of publicly available ASL reference sources
@@ -230,7 +231,7 @@ OUTPUT (JSON):
 `;
 
     const result = await model.generateContent(prompt);
-    return parseJSON(result.response.text());
+    return extractJSON(result.response.text());
 }
 
 /**
@@ -318,19 +319,6 @@ async function buildReferenceLibrary(outputDir = './reference_guides') {
     return library;
 }
 
-/**
- * Parse JSON from response
- */
-function parseJSON(text) {
-    let cleanedText = text;
-    if (cleanedText.includes('```json')) {
-        cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    } else if (cleanedText.includes('```')) {
-        cleanedText = cleanedText.replace(/```\n?/g, '');
-    }
-    return JSON.parse(cleanedText.trim());
-}
-
 export {
     ASL_REFERENCE_SOURCES,
     SIGN_DESCRIPTIONS,
@@ -297,7 +297,6 @@ function addTransitionFrames(signs, transitionMs = 150) {
 
 export {
     textToSignPrompt,
-    translateWithVerifiedSigns,
     HANDSHAPES,
     REFERENCE_POSITIONS,
     FACIAL_EXPRESSIONS,
@@ -1,200 +1,35 @@
 // backend/services/geminiVision.js
 // Vision-based sign language teaching and spatial awareness service
 
+import promptRegistry from './promptRegistry.js';
+import { extractJSON } from './responseValidator.js';
+
 /**
  * Generate prompt for object detection and vocabulary teaching
  * @param {string} language - Sign language dialect (ASL, BSL, ISL)
  * @returns {string} Formatted prompt for Gemini Vision
  */
-const objectDetectionPrompt = (language = "ASL") => `
-You are analyzing an image to teach sign language vocabulary in context.
-
-IMAGE CONTEXT: User's camera feed or uploaded image
-LANGUAGE: ${language}
-
-TASK:
-1. Identify all objects, people, actions, and concepts visible
-2. For each item, provide the corresponding ${language} sign
-3. Suggest teaching opportunities
-
-OUTPUT FORMAT (JSON only, no markdown):
-{
-  "detected_items": [
-    {
-      "object": "coffee cup",
-      "sign_gloss": "COFFEE",
-      "alternative_signs": ["CUP", "DRINK"],
-      "location_in_image": "center",
-      "bounding_box": {"x": 0.4, "y": 0.3, "width": 0.2, "height": 0.3},
-      "teach_priority": "high|medium|low",
-      "difficulty": "beginner|intermediate|advanced",
-      "context_sentence": "ME DRINK COFFEE MORNING"
-    }
-  ],
-  "scene_description": "Kitchen with person holding coffee",
-  "scene_type": "home|office|outdoor|restaurant|classroom|other",
-  "teaching_suggestions": [
-    "This is a great opportunity to teach food/drink signs",
-    "You could practice the sentence: ME WANT COFFEE"
-  ],
-  "practice_phrases": [
-    {
-      "english": "I want coffee",
-      "asl_gloss": "COFFEE, ME WANT",
-      "context": "Ordering at a cafe",
-      "difficulty": "beginner"
-    }
-  ],
-  "conversation_starters": [
-    "COFFEE, YOU LIKE?",
-    "MORNING, YOU DRINK WHAT?"
-  ]
-}
-
-Focus on practical, everyday vocabulary. Prioritize common items.
-`;
+const objectDetectionPrompt = (language = "ASL") =>
+    promptRegistry.render('vision.objectDetection', { language }).text;
 
 /**
  * Generate prompt for spatial reference detection
  * Used for pointing gestures and directional signing
  */
-const spatialReferencePrompt = (language = "ASL") => `
-Analyze this image for spatial references that would be used in ${language} signing.
-
-${language} uses REAL SPACE for reference. Identify:
-1. People's positions (for directional verbs)
-2. Objects that could be pointed to
-3. Spatial relationships (above, below, left, right, near, far)
-
-OUTPUT FORMAT (JSON only, no markdown):
-{
-  "spatial_layout": {
-    "left_side": ["Objects/people on viewer's left"],
-    "center": ["Objects/people in center"],
-    "right_side": ["Objects/people on viewer's right"],
-    "foreground": ["Close objects"],
-    "background": ["Distant objects"]
-  },
-  "reference_points": [
-    {
-      "item": "person",
-      "position": {"x": 0.3, "y": 0.5},
-      "can_point_to": true,
-      "suggested_sign_space": "left",
-      "directional_verb_example": "ME GIVE-[left] (I give to that person)"
-    }
-  ],
-  "spatial_relationships": [
-    {
-      "relationship": "BOOK on TABLE",
-      "asl_expression": "TABLE, BOOK CL:B-ON-TOP",
-      "classifier_used": "CL:B for flat object"
-    }
-  ],
-  "pointing_opportunities": [
-    {
-      "object": "door",
-      "position": "right",
-      "phrase": "DOOR THAT-[point right], YOU GO"
-    }
-  ]
-}
-
-Remember: ${language} signers establish locations in space and refer back to them.
-`;
+const spatialReferencePrompt = (language = "ASL") =>
+    promptRegistry.render('vision.spatialReference', { language }).text;
 
 /**
  * Generate prompt for action/gesture recognition
  */
-const actionRecognitionPrompt = (language = "ASL") => `
-Analyze this image for actions and movements that can be taught as signs.
-
-FOCUS ON:
-1. What actions/activities are happening
-2. Body language and gestures visible
-3. Implied emotions or states
-
-OUTPUT FORMAT (JSON only, no markdown):
-{
-  "detected_actions": [
-    {
-      "action": "drinking",
-      "sign_gloss": "DRINK",
-      "related_signs": ["THIRSTY", "CUP", "WATER"],
-      "sentence_example": "PERSON DRINK WATER",
-      "timing": "continuous action"
-    }
-  ],
-  "body_language": [
-    {
-      "observation": "person smiling",
-      "emotion": "happy",
-      "sign_gloss": "HAPPY",
-      "facial_expression_note": "Facial expressions are grammatical in ${language}"
-    }
-  ],
-  "teachable_concepts": [
-    {
-      "concept": "Verb tense markers",
-      "example": "DRINK vs DRINK-FINISH (drank)",
-      "explanation": "Past tense uses FINISH marker"
-    }
-  ]
-}
-`;
+const actionRecognitionPrompt = (language = "ASL") =>
+    promptRegistry.render('vision.actionRecognition', { language }).text;
 
 /**
  * Generate prompt for environment-based conversation practice
  */
-const environmentConversationPrompt = (language = "ASL") => `
-Based on this image, create a realistic conversation scenario for ${language} practice.
-
-TASK:
-1. Identify the setting/environment
-2. Determine appropriate conversation topics
-3. Create a dialogue that could happen here
-4. Include cultural context
-
-OUTPUT FORMAT (JSON only, no markdown):
-{
-  "environment": "coffee shop",
-  "typical_interactions": ["Ordering", "Small talk", "Paying"],
-  "vocabulary_needed": ["COFFEE", "TEA", "WANT", "HOW-MUCH", "THANK-YOU"],
-  "conversation": {
-    "context": "Ordering a drink at a coffee shop",
-    "dialogue": [
-      {
-        "speaker": "Customer",
-        "gloss": "HELLO. COFFEE, ME WANT",
-        "english": "Hello. I'd like a coffee.",
-        "notes": "Point to menu if visible"
-      },
-      {
-        "speaker": "Barista", 
-        "gloss": "WHAT SIZE?",
-        "english": "What size?",
-        "notes": "Raised eyebrows for question"
-      },
-      {
-        "speaker": "Customer",
-        "gloss": "MEDIUM. HOW-MUCH?",
-        "english": "Medium. How much?",
-        "notes": "WH-question face for HOW-MUCH"
-      }
-    ]
-  },
-  "cultural_tips": [
-    "Get the person's attention appropriately before signing",
-    "Face the person directly when signing"
-  ],
-  "practice_variations": [
-    "Try ordering different drinks",
-    "Practice asking about prices"
-  ]
-}
-
-Make conversations realistic and practical for everyday use.
-`;
+const environmentConversationPrompt = (language = "ASL") =>
+    promptRegistry.render('vision.environmentConversation', { language }).text;
 
 /**
  * Common objects and their signs for quick lookup
@@ -252,17 +87,11 @@ const SCENE_VOCABULARY = {
 
 /**
  * Parse vision API response
+ * @param {string|Object} response - Response text, or JSON already checked by responseValidator
  */
-function parseVisionResponse(responseText) {
+function parseVisionResponse(response) {
     try {
-        let cleanedText = responseText;
-        if (cleanedText.includes('```json')) {
-            cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        } else if (cleanedText.includes('```')) {
-            cleanedText = cleanedText.replace(/```\n?/g, '');
-        }
-
-        return JSON.parse(cleanedText.trim());
+        return typeof response === 'string' ? extractJSON(response) : response;
     } catch (error) {
         console.error('Failed to parse vision response:', error);
         throw error;
@@ -1,14 +1,15 @@
 // backend/services/geminiVisualSignLearning.js
 // Visual analysis service for learning signs from reference images
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getProvider } from '../providers/index.js';
+import { extractJSON } from './responseValidator.js';
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = getProvider();
 const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
 
 /**
@@ -156,19 +157,7 @@ Be EXTREMELY precise. Deaf comprehension depends on accuracy.
     // Extract JSON from response
     let poseData;
     try {
-        if (response.includes('```json')) {
-            const jsonMatch = response.match(/```json\n?([\s\S]*?)\n?```/);
-            if (jsonMatch) {
-                poseData = JSON.parse(jsonMatch[1]);
-            }
-        } else if (response.includes('```')) {
-            const jsonMatch = response.match(/```\n?([\s\S]*?)\n?```/);
-            if (jsonMatch) {
-                poseData = JSON.parse(jsonMatch[1]);
-            }
-        } else {
-            poseData = JSON.parse(response.trim());
-        }
+        poseData = extractJSON(response);
     } catch (parseError) {
         console.error('Failed to parse sign analysis response:', parseError);
         throw new Error(`Failed to parse sign analysis: ${parseError.message}`);
@@ -202,7 +191,7 @@ async function analyzeSignFromBase64(signName, base64Image, language = "ASL") {
         }
     ]);
 
-    return parseAnalysisResponse(result.response.text());
+    return extractJSON(result.response.text());
 }
 
 /**
@@ -299,7 +288,7 @@ OUTPUT FORMAT (JSON only):
         }
     ]);
 
-    return parseAnalysisResponse(result.response.text());
+    return extractJSON(result.response.text());
 }
 
 // Helper function to generate analysis prompt
@@ -340,17 +329,6 @@ OUTPUT FORMAT (JSON only, no markdown):
 `;
 }
 
-// Helper to parse response
-function parseAnalysisResponse(response) {
-    let cleanedText = response;
-    if (cleanedText.includes('```json')) {
-        cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    } else if (cleanedText.includes('```')) {
-        cleanedText = cleanedText.replace(/```\n?/g, '');
-    }
-    return JSON.parse(cleanedText.trim());
-}
-
 /**
  * Build a sign dictionary from a folder of reference images
  * @param {string} folderPath - Path to folder with images named as signs (e.g., HELLO.jpg)
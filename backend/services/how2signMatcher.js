@@ -1,32 +1,36 @@
 /**
  * How2Sign Dataset Matcher
- * Uses Gemini embeddings to find closest sentence match
- * Returns REAL pose keypoints (not AI-generated)
+ * Finds the closest How2Sign sentence and returns its REAL pose keypoints
+ * (not AI-generated)
+ *
+ * HOW2SIGN_MATCHER selects how sentences are matched:
+ *   local  - BM25 / local embedding index (sentenceIndex.js), offline (default)
+ *   gemini - text-embedding-004 for every sentence and query
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getProvider } from '../providers/index.js';
+import sentenceIndex from './sentenceIndex.js';
 import dotenv from 'dotenv';
+import config from '../config.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = getProvider();
 const embeddingModel = genAI.getGenerativeModel({ model: 'text-embedding-004' });
 
 // Dataset paths
-const DATA_DIR = path.join(__dirname, '../how2sign_data');
+const DATA_DIR = config.paths.how2signDir;
 const TRANSLATIONS_PATH = path.join(DATA_DIR, 'translations/train.json');
 const KEYPOINTS_DIR = path.join(DATA_DIR, 'keypoints');
 const INDEX_PATH = path.join(DATA_DIR, 'sentence_index.json');
 
-// In-memory index
-let sentenceIndex = null;
+const MATCHER = (process.env.HOW2SIGN_MATCHER || 'local').toLowerCase();
+
+// In-memory Gemini embedding index
+let embeddingIndex = null;
 let translations = null;
 
 /**
@@ -79,16 +83,27 @@ function cosineSimilarity(a, b) {
 }
 
 /**
- * Build or load sentence embedding index
+ * Build or load the sentence index
+ * @param {number} maxSentences - Limit (Gemini embeddings default to 500; the local index takes all)
+ */
+async function buildIndex(maxSentences) {
+    if (MATCHER !== 'gemini') {
+        return sentenceIndex.build({ limit: maxSentences || Infinity });
+    }
+    return buildEmbeddingIndex(maxSentences || 500);
+}
+
+/**
+ * Build or load the Gemini embedding index
  */
-async function buildIndex(maxSentences = 500) {
+async function buildEmbeddingIndex(maxSentences = 500) {
     // Try to load existing index
     if (fs.existsSync(INDEX_PATH)) {
         try {
             const data = fs.readFileSync(INDEX_PATH, 'utf8');
-            sentenceIndex = JSON.parse(data);
-            console.log(`✅ Loaded index with ${sentenceIndex.sentences.length} sentences`);
-            return sentenceIndex;
+            embeddingIndex = JSON.parse(data);
+            console.log(`✅ Loaded index with ${embeddingIndex.sentences.length} sentences`);
+            return embeddingIndex;
         } catch (error) {
             console.warn('Index corrupted, rebuilding...');
         }
@@ -129,17 +144,17 @@ async function buildIndex(maxSentences = 500) {
         }
     }
 
-    sentenceIndex = {
+    embeddingIndex = {
         version: '1.0',
         created: new Date().toISOString(),
         sentences
     };
 
     // Save index
-    fs.writeFileSync(INDEX_PATH, JSON.stringify(sentenceIndex, null, 2));
+    fs.writeFileSync(INDEX_PATH, JSON.stringify(embeddingIndex, null, 2));
     console.log(`✅ Index saved with ${sentences.length} sentences`);
 
-    return sentenceIndex;
+    return embeddingIndex;
 }
 
 /**
@@ -149,18 +164,32 @@ async function buildIndex(maxSentences = 500) {
  * @returns {Array} Top matches with similarity scores
  */
 async function findClosestSentences(inputText, topK = 3) {
-    if (!sentenceIndex) {
+    if (MATCHER !== 'gemini') {
+        const matches = await sentenceIndex.search(inputText, { topK });
+        if (sentenceIndex.size === 0) {
+            throw new Error('No sentence index available');
+        }
+        return matches.map(match => ({
+            id: match.id,
+            text: match.text,
+            similarity: match.score,
+            matchedTerms: match.matchedTerms,
+            source: match.source
+        }));
+    }
+
+    if (!embeddingIndex) {
         await buildIndex();
     }
 
-    if (!sentenceIndex || !sentenceIndex.sentences.length) {
+    if (!embeddingIndex || !embeddingIndex.sentences.length) {
         throw new Error('No sentence index available');
     }
 
     const inputEmbedding = await getEmbedding(inputText);
 
     // Calculate similarities
-    const scored = sentenceIndex.sentences.map(s => ({
+    const scored = embeddingIndex.sentences.map(s => ({
         id: s.id,
         text: s.text,
         similarity: cosineSimilarity(inputEmbedding, s.embedding)
@@ -234,8 +263,10 @@ async function translateToSign(text, threshold = 0.7) {
  */
 function getStats() {
     return {
-        indexLoaded: !!sentenceIndex,
-        indexSize: sentenceIndex?.sentences?.length || 0,
+        matcher: MATCHER,
+        localIndex: sentenceIndex.getStats(),
+        indexLoaded: MATCHER === 'gemini' ? !!embeddingIndex : sentenceIndex.size > 0,
+        indexSize: MATCHER === 'gemini' ? embeddingIndex?.sentences?.length || 0 : sentenceIndex.size,
         translationsLoaded: !!translations,
         translationsCount: translations ? Object.keys(translations).length : 0,
         keypointsDir: fs.existsSync(KEYPOINTS_DIR)
@@ -6,20 +6,17 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getProvider } from '../providers/index.js';
 import dotenv from 'dotenv';
+import config from '../config.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = getProvider();
 const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
 
 // Paths
-const DATA_DIR = path.join(__dirname, '../how2sign_data');
+const DATA_DIR = config.paths.how2signDir;
 const TRANSLATIONS_JSON = path.join(DATA_DIR, 'translations/train.json');
 const TRANSLATIONS_CSV = path.join(DATA_DIR, 'translations/train.csv');
 const KEYPOINTS_DIR = path.join(DATA_DIR, 'keypoints');
@@ -0,0 +1,411 @@
+/**
+ * Landmark Sign Recognizer
+ * Recognizes signs from streamed 21-point MediaPipe hand landmarks
+ * Segments the stream into signs and matches each segment against the
+ * verified keyframes in data/verified-signs.json using DTW - no Gemini call
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const VERIFIED_SIGNS_PATH = path.join(__dirname, '../data/verified-signs.json');
+
+const CONFIG = {
+    resampleFrames: 16,       // Both template and segment are resampled to this length
+    motionWeight: 2.0,        // Weight of wrist trajectory vs. handshape in frame distance
+    handMismatchPenalty: 0.5, // Added per frame when one- vs two-handed signs disagree
+    similarityScale: 0.35,    // DTW distance -> similarity falloff
+    topN: 3,
+
+    // Segmentation
+    minSegmentFrames: 6,
+    maxSegmentMs: 3000,
+    gapMs: 300,               // Hands out of frame this long ends a sign
+    holdMs: 400,              // Hands still this long (after moving) ends a sign
+    stillVelocity: 0.15,      // Wrist speed (frame widths / s) below which hands count as still
+    maxBufferFrames: 240
+};
+
+// ============================================
+// HANDSHAPE PROTOTYPES
+// Only some verified signs carry recorded landmarks; the rest name a
+// handshape code (see "handshapes" in verified-signs.json). These are
+// canonical 21-point hands for those codes: right hand, palm facing the
+// viewer, fingers up, y up, same layout as the recorded HELLO landmarks.
+// ============================================
+
+const FINGER_BASES = [0.04, 0.02, 0.0, -0.02]; // index, middle, ring, pinky MCP x
+
+const FINGER_POSES = {
+    extended: x => [[x, 0.08, 0], [x, 0.12, 0], [x, 0.14, 0], [x, 0.16, 0]],
+    curled: x => [[x, 0.08, 0], [x, 0.10, 0.03], [x, 0.08, 0.04], [x, 0.06, 0.03]],
+    bent: x => [[x, 0.08, 0], [x, 0.08, 0.04], [x, 0.08, 0.06], [x, 0.08, 0.08]],
+    hooked: x => [[x, 0.08, 0], [x, 0.12, 0], [x, 0.13, 0.02], [x, 0.12, 0.04]],
+    curved: x => [[x, 0.08, 0], [x, 0.11, 0.02], [x, 0.12, 0.05], [x, 0.11, 0.07]],
+    pinched: x => [[x, 0.08, 0], [x * 0.6 + 0.01, 0.11, 0.03], [x * 0.3 + 0.02, 0.11, 0.05], [0.03, 0.10, 0.06]]
+};
+
+const THUMB_POSES = {
+    extended: [[0.03, 0.02, 0.01], [0.06, 0.04, 0.02], [0.09, 0.06, 0.03], [0.12, 0.08, 0.03]],
+    tucked: [[0.03, 0.02, 0.01], [0.05, 0.04, 0.02], [0.06, 0.06, 0.03], [0.07, 0.08, 0.04]],
+    alongside: [[0.03, 0.02, 0.01], [0.05, 0.04, 0.02], [0.055, 0.06, 0.02], [0.055, 0.08, 0.02]],
+    across: [[0.03, 0.02, 0.01], [0.04, 0.04, 0.03], [0.02, 0.06, 0.04], [0.0, 0.07, 0.04]],
+    pinched: [[0.03, 0.02, 0.01], [0.05, 0.04, 0.03], [0.04, 0.07, 0.05], [0.03, 0.10, 0.06]]
+};
+
+/**
+ * Build a 21-point hand: wrist, thumb (4), then index..pinky (4 each)
+ */
+function buildHand(thumb, fingers, spread = 1) {
+    const points = [[0, 0, 0], ...THUMB_POSES[thumb]];
+    fingers.forEach((pose, i) => points.push(...FINGER_POSES[pose](FINGER_BASES[i] * spread)));
+    return points;
+}
+
+const HANDSHAPE_PROTOTYPES = {
+    A: buildHand('alongside', ['curled', 'curled', 'curled', 'curled']),
+    B: buildHand('tucked', ['extended', 'extended', 'extended', 'extended']),
+    S: buildHand('across', ['curled', 'curled', 'curled', 'curled']),
+    1: buildHand('across', ['extended', 'curled', 'curled', 'curled']),
+    5: buildHand('extended', ['extended', 'extended', 'extended', 'extended'], 2),
+    H: buildHand('across', ['extended', 'extended', 'curled', 'curled']),
+    U: buildHand('across', ['extended', 'extended', 'curled', 'curled']),
+    N: buildHand('across', ['bent', 'bent', 'curled', 'curled']),
+    X: buildHand('across', ['hooked', 'curled', 'curled', 'curled']),
+    ILY: buildHand('extended', ['extended', 'curled', 'curled', 'extended']),
+    claw: buildHand('extended', ['curved', 'curved', 'curved', 'curved'], 2),
+    bent: buildHand('tucked', ['bent', 'bent', 'bent', 'bent']),
+    flat_O: buildHand('pinched', ['pinched', 'pinched', 'pinched', 'pinched'])
+};
+
+// ============================================
+// LANDMARK NORMALIZATION
+// ============================================
+
+/**
+ * Accept [x, y, z] arrays or MediaPipe {x, y, z} objects
+ */
+function toPoint(lm) {
+    if (Array.isArray(lm)) return [lm[0] || 0, lm[1] || 0, lm[2] || 0];
+    return [lm.x || 0, lm.y || 0, lm.z || 0];
+}
+
+/**
+ * Wrist-relative handshape scaled by palm length (wrist -> middle MCP)
+ * @param {Array} landmarks - 21 hand landmarks
+ * @param {boolean} flipY - MediaPipe image coordinates grow downward
+ * @returns {number[][]|null} 21 normalized points
+ */
+function normalizeHandshape(landmarks, flipY = false) {
+    if (!Array.isArray(landmarks) || landmarks.length !== 21) return null;
+
+    const points = landmarks.map(toPoint).map(([x, y, z]) => [x, flipY ? -y : y, z]);
+    const [wx, wy, wz] = points[0];
+    const relative = points.map(([x, y, z]) => [x - wx, y - wy, z - wz]);
+
+    const [mx, my, mz] = relative[9];
+    const palm = Math.sqrt(mx * mx + my * my + mz * mz) || 1;
+
+    return relative.map(([x, y, z]) => [x / palm, y / palm, z / palm]);
+}
+
+/**
+ * Turn a verified-signs keyframe into a recognizer frame. Keyframes without
+ * recorded landmarks fall back to the prototype for their handshape code.
+ */
+function templateFrame(keyframe) {
+    const right = keyframe.right_hand;
+    const landmarks = right?.landmarks || HANDSHAPE_PROTOTYPES[right?.handshape];
+    return {
+        t: keyframe.time_ms,
+        shape: normalizeHandshape(landmarks),
+        wrist: right?.position ? [right.position[0], right.position[1]] : [0, 0],
+        twoHanded: !!keyframe.left_hand
+    };
+}
+
+/**
+ * Turn an incoming landmark payload into a recognizer frame.
+ * Payload shape matches CameraInput: { rightHand: { visible, landmarks }, leftHand: {...} }
+ */
+function streamFrame(payload, t) {
+    const right = payload?.rightHand?.visible !== false ? payload?.rightHand?.landmarks : null;
+    const left = payload?.leftHand?.visible !== false ? payload?.leftHand?.landmarks : null;
+
+    // The dominant hand is the right hand when visible, otherwise the left
+    const dominant = right?.length === 21 ? right : (left?.length === 21 ? left : null);
+    if (!dominant) return null;
+
+    const wrist = toPoint(dominant[0]);
+    return {
+        t,
+        shape: normalizeHandshape(dominant, true),
+        wrist: [wrist[0], 1 - wrist[1]],
+        twoHanded: right?.length === 21 && left?.length === 21
+    };
+}
+
+// ============================================
+// SEQUENCE MATCHING
+// ============================================
+
+/**
+ * Linearly resample a frame sequence to a fixed length over time.
+ * Wrist positions are made relative to the first frame so only the
+ * trajectory (not where the signer stands) is compared.
+ */
+function resample(frames, count = CONFIG.resampleFrames) {
+    const valid = frames.filter(f => f.shape);
+    if (valid.length === 0) return [];
+
+    const origin = valid[0].wrist;
+    const start = valid[0].t;
+    const span = (valid[valid.length - 1].t - start) || 1;
+    const out = [];
+
+    let j = 0;
+    for (let i = 0; i < count; i++) {
+        const target = start + (span * i) / Math.max(count - 1, 1);
+        while (j < valid.length - 2 && valid[j + 1].t < target) j++;
+
+        const a = valid[j];
+        const b = valid[Math.min(j + 1, valid.length - 1)];
+        const w = b.t === a.t ? 0 : Math.min(Math.max((target - a.t) / (b.t - a.t), 0), 1);
+
+        out.push({
+            shape: a.shape.map((p, k) => p.map((v, d) => v + (b.shape[k][d] - v) * w)),
+            wrist: [0, 1].map(d => a.wrist[d] + (b.wrist[d] - a.wrist[d]) * w - origin[d]),
+            twoHanded: w < 0.5 ? a.twoHanded : b.twoHanded
+        });
+    }
+
+    return out;
+}
+
+/**
+ * Mean landmark distance between two handshapes. The x-mirrored comparison
+ * is also tried so left-handed signers and unmirrored cameras still match.
+ */
+function shapeDistance(a, b) {
+    let direct = 0;
+    let mirrored = 0;
+    for (let k = 0; k < 21; k++) {
+        const dy = a[k][1] - b[k][1];
+        const dz = a[k][2] - b[k][2];
+        const dx = a[k][0] - b[k][0];
+        const mx = a[k][0] + b[k][0];
+        direct += Math.sqrt(dx * dx + dy * dy + dz * dz);
+        mirrored += Math.sqrt(mx * mx + dy * dy + dz * dz);
+    }
+    return Math.min(direct, mirrored) / 21;
+}
+
+function frameDistance(a, b) {
+    const shape = shapeDistance(a.shape, b.shape);
+
+    const motion = Math.hypot(a.wrist[0] - b.wrist[0], a.wrist[1] - b.wrist[1]);
+    const hands = a.twoHanded === b.twoHanded ? 0 : CONFIG.handMismatchPenalty;
+
+    return shape + CONFIG.motionWeight * motion + hands;
+}
+
+/**
+ * Dynamic time warping distance, normalized by path length
+ */
+function dtw(seqA, seqB) {
+    const n = seqA.length;
+    const m = seqB.length;
+    if (!n || !m) return Infinity;
+
+    const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+    const steps = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    cost[0][0] = 0;
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const d = frameDistance(seqA[i - 1], seqB[j - 1]);
+            const options = [
+                [cost[i - 1][j - 1], steps[i - 1][j - 1]],
+                [cost[i - 1][j], steps[i - 1][j]],
+                [cost[i][j - 1], steps[i][j - 1]]
+            ];
+            const [best, bestSteps] = options.reduce((min, o) => (o[0] < min[0] ? o : min));
+            cost[i][j] = best + d;
+            steps[i][j] = bestSteps + 1;
+        }
+    }
+
+    return cost[n][m] / steps[n][m];
+}
+
+// ============================================
+// RECOGNIZER (shared templates)
+// ============================================
+
+class LandmarkRecognizer {
+    constructor(options = {}) {
+        this.options = { ...CONFIG, ...options };
+        this.templates = {}; // dialect -> [{ gloss, frames }]
+        this.loadTemplates(options.signsPath || VERIFIED_SIGNS_PATH);
+    }
+
+    /**
+     * Load and pre-resample the verified sign keyframes
+     */
+    loadTemplates(signsPath) {
+        try {
+            const data = JSON.parse(fs.readFileSync(signsPath, 'utf8'));
+            const dialect = (data.language || 'ASL').toUpperCase();
+
+            this.templates[dialect] = Object.values(data.signs || {})
+                .map(sign => ({
+                    gloss: sign.gloss,
+                    frames: resample(sign.keyframes.map(templateFrame), this.options.resampleFrames)
+                }))
+                .filter(t => t.frames.length > 0);
+
+            console.log(`✋ Landmark recognizer: ${this.templates[dialect].length} ${dialect} templates`);
+        } catch (error) {
+            console.warn('Could not load landmark templates:', error.message);
+        }
+    }
+
+    /**
+     * Templates for a dialect, falling back to ASL (the only verified set today)
+     */
+    getTemplates(dialect = 'ASL') {
+        return this.templates[dialect] || this.templates.ASL || [];
+    }
+
+    /**
+     * Classify one segmented sign
+     * @param {Array} frames - Recognizer frames ({ t, shape, wrist, twoHanded })
+     * @param {string} dialect - ASL, BSL, or ISL
+     * @returns {Object|null} { gloss, confidence, alternatives }
+     */
+    classify(frames, dialect = 'ASL', topN = this.options.topN) {
+        const segment = resample(frames, this.options.resampleFrames);
+        const templates = this.getTemplates(dialect);
+        if (segment.length === 0 || templates.length === 0) return null;
+
+        const scored = templates
+            .map(t => {
+                const distance = dtw(segment, t.frames);
+                return {
+                    gloss: t.gloss,
+                    distance,
+                    confidence: Number(Math.exp(-distance / this.options.similarityScale).toFixed(3))
+                };
+            })
+            .sort((a, b) => a.distance - b.distance);
+
+        const [best, ...rest] = scored;
+        return {
+            gloss: best.gloss,
+            confidence: best.confidence,
+            distance: Number(best.distance.toFixed(4)),
+            alternatives: rest.slice(0, Math.max(topN - 1, 0)).map(({ gloss, confidence }) => ({ gloss, confidence })),
+            templateDialect: this.templates[dialect] ? dialect : 'ASL'
+        };
+    }
+}
+
+// ============================================
+// STREAM (one per socket)
+// ============================================
+
+/**
+ * Buffers a landmark stream and emits one prediction per detected sign.
+ * A sign ends when the hands leave the frame, come to rest after moving,
+ * or the segment grows longer than maxSegmentMs.
+ */
+class LandmarkStream {
+    constructor(recognizer, options = {}) {
+        this.recognizer = recognizer;
+        this.options = { ...recognizer.options, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.frames = [];
+        this.lastSeen = null;
+        this.stillSince = null;
+        this.hasMoved = false;
+    }
+
+    /**
+     * Add one landmark payload
+     * @param {Object} payload - { rightHand, leftHand } landmarks
+     * @param {number} timestamp - Capture time in ms
+     * @param {string} dialect - Dialect to match against
+     * @returns {Object|null} Prediction when a sign boundary was reached
+     */
+    push(payload, timestamp = Date.now(), dialect = 'ASL') {
+        const frame = streamFrame(payload, timestamp);
+        const opts = this.options;
+
+        if (!frame) {
+            // Hands out of frame - close the segment after a short gap
+            if (this.frames.length && timestamp - this.lastSeen > opts.gapMs) {
+                return this.flush(dialect);
+            }
+            return null;
+        }
+
+        const previous = this.frames[this.frames.length - 1];
+        this.frames.push(frame);
+        this.lastSeen = timestamp;
+
+        if (previous) {
+            const dt = Math.max(timestamp - previous.t, 1) / 1000;
+            const speed = Math.hypot(frame.wrist[0] - previous.wrist[0], frame.wrist[1] - previous.wrist[1]) / dt;
+
+            if (speed >= opts.stillVelocity) {
+                this.hasMoved = true;
+                this.stillSince = null;
+            } else if (this.stillSince === null) {
+                this.stillSince = timestamp;
+            }
+        }
+
+        const duration = timestamp - this.frames[0].t;
+        const restedAfterMoving = this.hasMoved && this.stillSince !== null && timestamp - this.stillSince >= opts.holdMs;
+
+        if (restedAfterMoving || duration >= opts.maxSegmentMs || this.frames.length >= opts.maxBufferFrames) {
+            return this.flush(dialect);
+        }
+
+        return null;
+    }
+
+    /**
+     * Classify whatever is buffered and start a new segment
+     */
+    flush(dialect = 'ASL') {
+        const frames = this.frames;
+        this.reset();
+
+        if (frames.length < this.options.minSegmentFrames) return null;
+
+        const result = this.recognizer.classify(frames, dialect);
+        if (!result) return null;
+
+        return {
+            ...result,
+            segment: {
+                frames: frames.length,
+                durationMs: frames[frames.length - 1].t - frames[0].t
+            }
+        };
+    }
+}
+
+// Shared recognizer instance
+const landmarkRecognizer = new LandmarkRecognizer();
+
+export { LandmarkRecognizer, LandmarkStream, HANDSHAPE_PROTOTYPES, normalizeHandshape, dtw, CONFIG as RECOGNIZER_CONFIG };
+export default landmarkRecognizer;
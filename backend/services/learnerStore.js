@@ -0,0 +1,537 @@
+// backend/services/learnerStore.js
+// File-based learner profiles - practice history, streaks and achievements
+//
+// One JSON file per learner under paths.learnerDataDir (LEARNER_DATA_DIR, default: dataset/learners),
+// so a learner's progress follows them across devices and teachers can
+// review it. Every check-my-sign result is recorded per user, sign and dialect.
+//
+// Recently used profiles stay in memory as a bounded LRU. Changes are
+// written behind, batched per profile, so a burst of attempts costs one
+// write instead of one per attempt.
+
+import fs from 'fs';
+import path from 'path';
+import { toDayKey, daysBetween, scheduleReview, buildReviewQueue, DAY_KEY_PATTERN } from './reviewScheduler.js';
+import config from '../config.js';
+
+const CONFIG = {
+    maxAttempts: 500,        // attempts kept per learner (oldest dropped first)
+    defaultHistoryLimit: 50,
+    maxCachedProfiles: 500,  // profiles kept in memory (unsaved ones are never dropped)
+    maxMergedPractice: 500,  // practice a device's local progress can add, per sign and in total
+    flushDelayMs: 1000       // write-behind batching
+};
+
+// Learner IDs double as file names, so keep them to a safe character set
+const LEARNER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const ACHIEVEMENTS = [
+    { id: 'first_ten', test: (p) => p.stats.practiceCount >= 10 },
+    { id: 'high_achiever', test: (p) => p.stats.practiceCount >= 5 && p.stats.totalAccuracy / p.stats.practiceCount >= 90 },
+    { id: 'week_streak', test: (p) => p.streak.longest >= 7 },
+    { id: 'centurion', test: (p) => p.stats.practiceCount >= 100 }
+];
+
+function signKey(dialect, gloss) {
+    return `${dialect}:${gloss}`;
+}
+
+function clampAccuracy(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return 0;
+    return Math.max(0, Math.min(100, Math.round(n)));
+}
+
+class LearnerStore {
+    constructor(dataDir = config.paths.learnerDataDir) {
+        this.dataDir = dataDir;
+        this.profiles = new Map(); // userId -> profile, least recently used first
+
+        // Write-behind state
+        this.dirty = new Set();    // userIds changed since the last flush
+        this.flushTimer = null;
+        this.writeChain = Promise.resolve();
+
+        process.once('exit', () => this._flushSync());
+    }
+
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+
+    validateId(userId) {
+        if (typeof userId !== 'string' || !LEARNER_ID_PATTERN.test(userId)) {
+            throw new Error('Invalid learner ID (use 1-64 letters, digits, "-" or "_")');
+        }
+        return userId;
+    }
+
+    _filePath(userId) {
+        return path.join(this.dataDir, `${userId}.json`);
+    }
+
+    _load(userId) {
+        const cached = this.profiles.get(userId);
+        if (cached) {
+            // Most recently used last
+            this.profiles.delete(userId);
+            this.profiles.set(userId, cached);
+            return cached;
+        }
+
+        const profile = this._read(userId);
+        if (profile) this._remember(profile);
+        return profile;
+    }
+
+    // Profile from disk, without caching it
+    _read(userId) {
+        const file = this._filePath(userId);
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (error) {
+            console.warn(`Could not load learner profile ${userId}:`, error.message);
+            return null;
+        }
+    }
+
+    _remember(profile) {
+        this.profiles.set(profile.userId, profile);
+        this._evict(profile.userId);
+    }
+
+    // Drop least recently used profiles past the limit, except unsaved ones
+    _evict(keep = null) {
+        for (const userId of this.profiles.keys()) {
+            if (this.profiles.size <= CONFIG.maxCachedProfiles) break;
+            if (userId !== keep && !this.dirty.has(userId)) this.profiles.delete(userId);
+        }
+    }
+
+    // Mark a profile changed; it is written on the next flush
+    _save(profile) {
+        this.dirty.add(profile.userId);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), CONFIG.flushDelayMs);
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * Write every changed profile (async, one write at a time)
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.writeChain = this.writeChain.then(async () => {
+            const userIds = [...this.dirty];
+            this.dirty.clear();
+            if (userIds.length === 0) return;
+
+            await fs.promises.mkdir(this.dataDir, { recursive: true }).catch(() => {});
+            for (const userId of userIds) {
+                const profile = this.profiles.get(userId);
+                if (!profile) continue; // deleted since
+                // Write-then-rename so a crash never leaves a half-written profile
+                const file = this._filePath(userId);
+                try {
+                    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(profile, null, 2));
+                    await fs.promises.rename(`${file}.tmp`, file);
+                } catch (error) {
+                    console.warn(`Could not save learner profile ${userId}:`, error.message);
+                }
+            }
+            this._evict();
+        });
+        return this.writeChain;
+    }
+
+    // Last-chance write on exit (only sync I/O runs in 'exit' handlers)
+    _flushSync() {
+        if (this.dirty.size === 0) return;
+        try {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            for (const userId of this.dirty) {
+                const profile = this.profiles.get(userId);
+                if (profile) fs.writeFileSync(this._filePath(userId), JSON.stringify(profile, null, 2));
+            }
+            this.dirty.clear();
+        } catch {
+            // Nothing more we can do while exiting
+        }
+    }
+
+    _createProfile(userId, displayName = null, ownerId = null) {
+        const now = new Date().toISOString();
+        return {
+            userId,
+            displayName,
+            ownerId,        // principal id that may use this profile (see auth.canAccess)
+            createdAt: now,
+            updatedAt: now,
+            stats: { practiceCount: 0, totalAccuracy: 0 },
+            streak: { current: 0, longest: 0, lastPracticeDate: null },
+            achievements: [],
+            signs: {},      // "ASL:HELLO" -> per-sign totals
+            attempts: []    // most recent last
+        };
+    }
+
+    // ============================================
+    // PROFILES
+    // ============================================
+
+    /**
+     * Get a learner profile, creating it on first use
+     * @param {string} userId - Learner ID
+     * @param {Object} options - { displayName, ownerId }
+     *   ownerId: principal id that owns a new profile, or claims one stored without an owner
+     */
+    getOrCreate(userId, { displayName, ownerId } = {}) {
+        this.validateId(userId);
+
+        let profile = this._load(userId);
+        if (!profile) {
+            profile = this._createProfile(userId, displayName || null, ownerId || null);
+            this._save(profile);
+            this._remember(profile);
+            return profile;
+        }
+
+        let changed = false;
+        if (displayName && displayName !== profile.displayName) {
+            profile.displayName = displayName;
+            changed = true;
+        }
+        if (ownerId && !profile.ownerId) {
+            profile.ownerId = ownerId;
+            changed = true;
+        }
+        if (changed) {
+            profile.updatedAt = new Date().toISOString();
+            this._save(profile);
+        }
+
+        return profile;
+    }
+
+    /**
+     * Get a learner profile or null if it does not exist
+     */
+    get(userId) {
+        this.validateId(userId);
+        return this._load(userId);
+    }
+
+    /**
+     * Delete a learner profile and its history
+     * @returns {boolean} Whether a profile was removed
+     */
+    delete(userId) {
+        this.validateId(userId);
+        const file = this._filePath(userId);
+        const existed = this.dirty.has(userId) || fs.existsSync(file);
+
+        this.profiles.delete(userId);
+        this.dirty.delete(userId);
+        fs.rmSync(file, { force: true });
+        // A write already under way could bring the file back
+        this.writeChain = this.writeChain.then(() => fs.promises.rm(file, { force: true }).catch(() => {}));
+        return existed;
+    }
+
+    /**
+     * Summaries of every stored learner (for the teacher view)
+     */
+    list() {
+        const stored = fs.existsSync(this.dataDir)
+            ? fs.readdirSync(this.dataDir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5))
+            : [];
+
+        // Read past the cache, so listing every learner does not evict the active ones
+        return [...new Set([...stored, ...this.dirty])]
+            .map(userId => this.profiles.get(userId) || this._read(userId))
+            .filter(Boolean)
+            .map(profile => ({
+                userId: profile.userId,
+                displayName: profile.displayName,
+                ownerId: profile.ownerId || null,
+                practiceCount: profile.stats.practiceCount,
+                averageAccuracy: profile.stats.practiceCount > 0
+                    ? Math.round(profile.stats.totalAccuracy / profile.stats.practiceCount)
+                    : 0,
+                signsPracticed: Object.keys(profile.signs).length,
+                streak: this._currentStreak(profile),
+                lastPracticeDate: profile.streak.lastPracticeDate,
+                updatedAt: profile.updatedAt
+            }))
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    // ============================================
+    // ATTEMPTS
+    // ============================================
+
+    /**
+     * Record one check-my-sign result
+     * @param {string} userId - Learner ID
+     * @param {Object} attempt - { gloss, dialect, accuracy, assessment, practiceDate, timestamp, source }
+     *   practiceDate is the learner's local YYYY-MM-DD so streaks follow their timezone
+     * @returns {Object} The stored attempt
+     */
+    recordAttempt(userId, attempt) {
+        const gloss = String(attempt.gloss || '').trim().toUpperCase();
+        if (!gloss) {
+            throw new Error('Attempt gloss is required');
+        }
+
+        const profile = this.getOrCreate(userId);
+        const dialect = attempt.dialect || 'ASL';
+        const accuracy = clampAccuracy(attempt.accuracy);
+        // A missing or unparseable timestamp means now
+        const time = attempt.timestamp ? new Date(attempt.timestamp).getTime() : NaN;
+        const timestamp = new Date(Number.isNaN(time) ? Date.now() : time).toISOString();
+        const practiceDate = DAY_KEY_PATTERN.test(attempt.practiceDate || '')
+            ? attempt.practiceDate
+            : toDayKey(timestamp);
+
+        const record = {
+            gloss,
+            dialect,
+            accuracy,
+            assessment: attempt.assessment || null,
+            source: attempt.source || 'check-my-sign',
+            practiceDate,
+            timestamp
+        };
+
+        profile.attempts.push(record);
+        if (profile.attempts.length > CONFIG.maxAttempts) {
+            profile.attempts.splice(0, profile.attempts.length - CONFIG.maxAttempts);
+        }
+
+        const key = signKey(dialect, gloss);
+        const sign = profile.signs[key] || {
+            gloss, dialect, practiced: 0, totalAccuracy: 0, bestAccuracy: 0, lastAccuracy: null, lastPracticedAt: null
+        };
+        sign.practiced++;
+        sign.totalAccuracy += accuracy;
+        sign.bestAccuracy = Math.max(sign.bestAccuracy, accuracy);
+        sign.lastAccuracy = accuracy;
+        sign.lastPracticedAt = timestamp;
+        sign.review = scheduleReview(sign.review, accuracy, practiceDate);
+        profile.signs[key] = sign;
+
+        profile.stats.practiceCount++;
+        profile.stats.totalAccuracy += accuracy;
+
+        this._advanceStreak(profile, practiceDate);
+        this._updateAchievements(profile);
+
+        profile.updatedAt = new Date().toISOString();
+        this._save(profile);
+
+        return record;
+    }
+
+    /**
+     * Attempt history, newest first
+     * @param {string} userId - Learner ID
+     * @param {Object} filters - { gloss, dialect, since, limit }
+     */
+    getAttempts(userId, { gloss, dialect, since, limit = CONFIG.defaultHistoryLimit } = {}) {
+        const profile = this.get(userId);
+        if (!profile) return [];
+
+        const upperGloss = gloss ? String(gloss).toUpperCase() : null;
+        const sinceTime = since ? new Date(since).getTime() : null;
+
+        return profile.attempts
+            .filter(a => (!upperGloss || a.gloss === upperGloss) &&
+                (!dialect || a.dialect === dialect) &&
+                (!sinceTime || new Date(a.timestamp).getTime() >= sinceTime))
+            .reverse()
+            .slice(0, Math.max(1, Number(limit) || CONFIG.defaultHistoryLimit));
+    }
+
+    // ============================================
+    // REVIEWS
+    // ============================================
+
+    /**
+     * Signs due for spaced-repetition review
+     * @param {string} userId - Learner ID
+     * @param {Object} options - { dialect, date (learner's local YYYY-MM-DD), limit }
+     * @returns {Object|null} { date, total, due: [...], nextDueDate }
+     */
+    getReviewQueue(userId, { dialect, date, limit } = {}) {
+        const profile = this.get(userId);
+        if (!profile) return null;
+
+        const items = Object.values(profile.signs)
+            .filter(sign => !dialect || sign.dialect === dialect)
+            .map(sign => ({
+                gloss: sign.gloss,
+                dialect: sign.dialect,
+                practiced: sign.practiced,
+                bestAccuracy: sign.bestAccuracy,
+                lastAccuracy: sign.lastAccuracy,
+                review: sign.review || null
+            }));
+
+        return buildReviewQueue(items, {
+            date: DAY_KEY_PATTERN.test(date || '') ? date : toDayKey(),
+            limit
+        });
+    }
+
+    // ============================================
+    // PROGRESS
+    // ============================================
+
+    /**
+     * Progress in the shape TeachingPanel renders
+     * @param {string} userId - Learner ID
+     * @param {string} dialect - Restrict signHistory to one dialect (optional)
+     */
+    getProgress(userId, dialect = null) {
+        const profile = this.get(userId);
+        if (!profile) return null;
+
+        const signHistory = {};
+        for (const sign of Object.values(profile.signs)) {
+            if (dialect && sign.dialect !== dialect) continue;
+
+            const entry = signHistory[sign.gloss] || { practiced: 0, bestAccuracy: 0 };
+            entry.practiced += sign.practiced;
+            entry.bestAccuracy = Math.max(entry.bestAccuracy, sign.bestAccuracy);
+            signHistory[sign.gloss] = entry;
+        }
+
+        return {
+            userId: profile.userId,
+            displayName: profile.displayName,
+            signsPracticed: profile.stats.practiceCount,
+            totalAccuracy: profile.stats.totalAccuracy,
+            practiceCount: profile.stats.practiceCount,
+            streak: this._currentStreak(profile),
+            longestStreak: profile.streak.longest,
+            lastPracticeDate: profile.streak.lastPracticeDate,
+            achievements: [...profile.achievements],
+            reviewsDue: this.getReviewQueue(userId, { dialect }).total,
+            signHistory,
+            dialect,
+            updatedAt: profile.updatedAt
+        };
+    }
+
+    /**
+     * Merge progress a device kept locally before it was linked to this learner.
+     * Counters take the larger value, capped at CONFIG.maxMergedPractice, so
+     * syncing the same device twice does not double-count and a device cannot
+     * claim unlimited practice. Achievements are re-earned from the result.
+     * @param {string} userId - Learner ID
+     * @param {Object} local - TeachingPanel's localStorage progress object
+     * @param {string} dialect - Dialect the local signHistory was practiced in
+     */
+    mergeLocalProgress(userId, local, dialect = 'ASL') {
+        const profile = this.getOrCreate(userId);
+        if (!local || typeof local !== 'object') return profile;
+
+        for (const [rawGloss, data] of Object.entries(local.signHistory || {})) {
+            const gloss = rawGloss.toUpperCase();
+            if (!data || gloss === 'UNKNOWN') continue;
+
+            const key = signKey(dialect, gloss);
+            const sign = profile.signs[key] || {
+                gloss, dialect, practiced: 0, totalAccuracy: 0, bestAccuracy: 0, lastAccuracy: null, lastPracticedAt: null
+            };
+            const practiced = Math.min(CONFIG.maxMergedPractice, Math.max(0, Math.floor(Number(data.practiced) || 0)));
+            const best = clampAccuracy(data.bestAccuracy);
+
+            if (practiced > sign.practiced) {
+                // Local history has no per-attempt scores; assume the best score for the missing ones
+                sign.totalAccuracy += (practiced - sign.practiced) * best;
+                sign.practiced = practiced;
+            }
+            sign.bestAccuracy = Math.max(sign.bestAccuracy, best);
+            profile.signs[key] = sign;
+        }
+
+        const localCount = Math.min(CONFIG.maxMergedPractice, Math.max(0, Math.floor(Number(local.practiceCount) || 0)));
+        if (localCount > profile.stats.practiceCount) {
+            profile.stats.practiceCount = localCount;
+            // No more than a perfect score per attempt
+            const localTotal = Math.min(localCount * 100, Math.max(0, Number(local.totalAccuracy) || 0));
+            profile.stats.totalAccuracy = Math.max(profile.stats.totalAccuracy, localTotal);
+        }
+
+        let localDate = null;
+        if (DAY_KEY_PATTERN.test(local.lastPracticeDate || '')) {
+            localDate = local.lastPracticeDate;
+        } else if (local.lastPracticeDate && !Number.isNaN(Date.parse(local.lastPracticeDate))) {
+            localDate = toDayKey(local.lastPracticeDate);
+        }
+        // A streak takes at least one practice a day
+        const localStreak = Math.min(profile.stats.practiceCount, Math.max(0, Math.floor(Number(local.streak) || 0)));
+        if (localDate) {
+            const stored = profile.streak.lastPracticeDate;
+            if (!stored || daysBetween(stored, localDate) > 0) {
+                profile.streak.current = localStreak;
+                profile.streak.lastPracticeDate = localDate;
+            } else if (stored === localDate) {
+                profile.streak.current = Math.max(profile.streak.current, localStreak);
+            }
+            profile.streak.longest = Math.max(profile.streak.longest, profile.streak.current);
+        }
+
+        // Achievements are earned from the merged stats, not taken from the device
+        this._updateAchievements(profile);
+
+        profile.updatedAt = new Date().toISOString();
+        this._save(profile);
+        return profile;
+    }
+
+    _advanceStreak(profile, day) {
+        const last = profile.streak.lastPracticeDate;
+
+        if (!last) {
+            profile.streak.current = 1;
+        } else {
+            const gap = daysBetween(last, day);
+            if (gap < 0) return; // back-dated attempt, streak already counted
+            if (gap === 1) profile.streak.current++;
+            else if (gap > 1) profile.streak.current = 1;
+            else if (profile.streak.current === 0) profile.streak.current = 1;
+        }
+
+        profile.streak.lastPracticeDate = day;
+        profile.streak.longest = Math.max(profile.streak.longest, profile.streak.current);
+    }
+
+    /**
+     * Streak as of today - a stored streak lapses once a full day is missed
+     */
+    _currentStreak(profile, today = toDayKey()) {
+        const last = profile.streak.lastPracticeDate;
+        if (!last) return 0;
+        return daysBetween(last, today) <= 1 ? profile.streak.current : 0;
+    }
+
+    _updateAchievements(profile) {
+        for (const achievement of ACHIEVEMENTS) {
+            if (!profile.achievements.includes(achievement.id) && achievement.test(profile)) {
+                profile.achievements.push(achievement.id);
+            }
+        }
+    }
+}
+
+// Singleton instance
+const learnerStore = new LearnerStore();
+
+export default learnerStore;
+export { LearnerStore, CONFIG as LEARNER_CONFIG };
@@ -0,0 +1,258 @@
+// backend/services/liveLessonSessions.js
+// Interactive lessons (services/geminiLiveLesson.js) driven over Socket.IO
+//
+// Each socket drives at most one lesson, and the lesson's events are forwarded
+// to that socket as live-lesson:* events. A lesson outlives its socket for
+// CONFIG.resumeWindowMs: a client that reconnects picks it up again by ID, and
+// any events emitted while it was away are replayed. Camera frames are
+// throttled here, before they cost rate-limit tokens or a Gemini call: one
+// frame in flight and at most one per CONFIG.minFrameIntervalMs. Frames over
+// that are dropped and counted.
+//
+// A principal has at most CONFIG.maxLessonsPerPrincipal lessons. Starting one
+// more first reclaims their detached lessons, oldest first, so a client that
+// reconnects without resuming is not locked out for the resume window.
+
+import crypto from 'crypto';
+import { InteractiveSignLesson } from './geminiLiveLesson.js';
+
+const CONFIG = {
+    resumeWindowMs: 5 * 60 * 1000,  // detached lessons kept this long
+    minFrameIntervalMs: 1500,       // Gemini sees at most one frame per interval
+    maxMissedEvents: 50,            // events buffered while detached (oldest dropped first)
+    maxLessonsPerPrincipal: 3,
+    maxSigns: 20,
+    maxTopicLength: 100,
+    maxGlossLength: 40
+};
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// Lesson event -> socket event
+const FORWARDED_EVENTS = {
+    lessonStart: 'live-lesson:started',
+    message: 'live-lesson:message',
+    feedback: 'live-lesson:feedback',
+    signCompleted: 'live-lesson:sign-completed',
+    nextSign: 'live-lesson:next-sign',
+    lessonComplete: 'live-lesson:complete'
+};
+
+class LiveLessonSessions {
+    /**
+     * @param {GeminiService} gemini - Shared Gemini client the lessons call through
+     */
+    constructor(gemini) {
+        this.gemini = gemini;
+        this.lessons = new Map(); // lessonId -> entry (see start)
+    }
+
+    /**
+     * Check live-lesson:start options
+     * @returns {{ topic: string, signs: string[], difficulty: string, dialect: string }}
+     */
+    validateOptions({ topic, signs = [], difficulty = 'beginner', dialect = 'ASL' } = {}) {
+        if (topic !== undefined && (typeof topic !== 'string' || !topic.trim() || topic.length > CONFIG.maxTopicLength)) {
+            throw new Error(`topic must be a string of 1-${CONFIG.maxTopicLength} characters`);
+        }
+        if (!Array.isArray(signs) || signs.length > CONFIG.maxSigns ||
+            signs.some(sign => typeof sign !== 'string' || !sign.trim() || sign.length > CONFIG.maxGlossLength)) {
+            throw new Error(`signs must be a list of up to ${CONFIG.maxSigns} glosses`);
+        }
+        if (!DIFFICULTIES.includes(difficulty)) {
+            throw new Error(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+        }
+
+        return {
+            topic: topic?.trim(),
+            signs: signs.map(sign => sign.trim().toUpperCase()),
+            difficulty,
+            dialect: String(dialect).toUpperCase()
+        };
+    }
+
+    /**
+     * Start a lesson driven by socket
+     * @param {Object} principal - Owner (only they can resume it)
+     * @param {Object} socket - Receives the lesson's events
+     * @param {Object} options - { topic, signs, difficulty, dialect }
+     * @returns {Promise<Object>} Lesson state (see describe)
+     */
+    async start(principal, socket, options) {
+        const { topic, signs, difficulty, dialect } = this.validateOptions(options);
+
+        const owned = [...this.lessons.values()].filter(entry => entry.principalId === principal.id);
+        const detached = owned.filter(entry => !entry.socket);
+        while (owned.length >= CONFIG.maxLessonsPerPrincipal && detached.length > 0) {
+            const reclaimed = detached.shift();
+            console.log(`🎓 Live lesson reclaimed: ${reclaimed.lessonId}`);
+            this._dispose(reclaimed);
+            owned.splice(owned.indexOf(reclaimed), 1);
+        }
+        if (owned.length >= CONFIG.maxLessonsPerPrincipal) {
+            throw new Error(`Too many live lessons (at most ${CONFIG.maxLessonsPerPrincipal} at once)`);
+        }
+
+        const entry = {
+            lessonId: `lesson-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+            principalId: principal.id,
+            lesson: new InteractiveSignLesson({ gemini: this.gemini, lessonTopic: topic, language: dialect, difficulty }),
+            socket,
+            missed: [],
+            expiryTimer: null,
+            lastFrameAt: 0,
+            frameInFlight: false,
+            framesSkipped: 0,
+            startedAt: new Date().toISOString()
+        };
+
+        for (const [event, socketEvent] of Object.entries(FORWARDED_EVENTS)) {
+            entry.lesson.on(event, (payload) => this._send(entry, socketEvent, payload));
+        }
+        this.lessons.set(entry.lessonId, entry);
+
+        try {
+            await entry.lesson.start(signs);
+        } catch (error) {
+            this._dispose(entry);
+            throw error;
+        }
+
+        console.log(`🎓 Live lesson started: ${entry.lessonId} (${entry.lesson.lessonTopic}, ${dialect})`);
+        return this.describe(entry);
+    }
+
+    /**
+     * A lesson by ID, or null if it does not exist or belongs to someone else
+     */
+    get(lessonId, principal) {
+        const entry = this.lessons.get(lessonId);
+        return entry && entry.principalId === principal.id ? entry : null;
+    }
+
+    /**
+     * Lesson state as sent to the client
+     */
+    describe(entry) {
+        return {
+            lessonId: entry.lessonId,
+            topic: entry.lesson.lessonTopic,
+            dialect: entry.lesson.language,
+            difficulty: entry.lesson.difficulty,
+            startedAt: entry.startedAt,
+            framesSkipped: entry.framesSkipped,
+            ...entry.lesson.getProgress()
+        };
+    }
+
+    /**
+     * Run handler for a camera frame unless the lesson is throttled
+     * @param {Object} entry - Lesson
+     * @param {Function} handler - async () => void, analyses the frame
+     * @returns {Promise<boolean>} false when the frame was dropped
+     */
+    async throttleFrame(entry, handler) {
+        const now = Date.now();
+        if (entry.frameInFlight || now - entry.lastFrameAt < CONFIG.minFrameIntervalMs) {
+            entry.framesSkipped++;
+            return false;
+        }
+
+        entry.frameInFlight = true;
+        entry.lastFrameAt = now;
+        try {
+            await handler();
+        } finally {
+            entry.frameInFlight = false;
+        }
+        return true;
+    }
+
+    /**
+     * Keep a socket's lessons for the resume window after it disconnects
+     */
+    detach(socket) {
+        for (const entry of this.lessons.values()) {
+            if (entry.socket !== socket) continue;
+
+            entry.socket = null;
+            entry.expiryTimer = setTimeout(() => {
+                console.log(`🎓 Live lesson expired: ${entry.lessonId}`);
+                this._dispose(entry);
+            }, CONFIG.resumeWindowMs);
+            entry.expiryTimer.unref?.();
+        }
+    }
+
+    /**
+     * Move a lesson to a new socket and replay what it missed
+     * @returns {Object|null} Lesson state, or null if not found
+     */
+    resume(lessonId, principal, socket) {
+        const entry = this.get(lessonId, principal);
+        if (!entry) return null;
+
+        clearTimeout(entry.expiryTimer);
+        entry.expiryTimer = null;
+        entry.socket = socket;
+
+        const missed = entry.missed.splice(0);
+        socket.emit('live-lesson:resumed', { ...this.describe(entry), missedEvents: missed.length });
+        for (const [event, payload] of missed) {
+            socket.emit(event, payload);
+        }
+        return this.describe(entry);
+    }
+
+    /**
+     * Finish a lesson and forget it. A lesson that is still running gets its
+     * completion summary first (forwarded as live-lesson:complete).
+     * @returns {Promise<Object|null>} Final state, or null if not found
+     */
+    async end(lessonId) {
+        const entry = this.lessons.get(lessonId);
+        if (!entry) return null;
+
+        try {
+            if (entry.lesson.state.isActive) {
+                await entry.lesson.endLesson();
+            }
+            return this.describe(entry);
+        } finally {
+            this._dispose(entry);
+        }
+    }
+
+    /**
+     * Lesson counts for health checks
+     */
+    getStats() {
+        const entries = [...this.lessons.values()];
+        return {
+            active: entries.filter(entry => entry.socket).length,
+            detached: entries.filter(entry => !entry.socket).length
+        };
+    }
+
+    _send(entry, event, payload) {
+        const message = { lessonId: entry.lessonId, ...payload };
+        if (event === 'live-lesson:feedback') message.framesSkipped = entry.framesSkipped;
+
+        // A socket can drop before its disconnect handler detaches the lesson
+        if (entry.socket?.connected) {
+            entry.socket.emit(event, message);
+            return;
+        }
+        entry.missed.push([event, message]);
+        if (entry.missed.length > CONFIG.maxMissedEvents) entry.missed.shift();
+    }
+
+    _dispose(entry) {
+        clearTimeout(entry.expiryTimer);
+        entry.lesson.removeAllListeners();
+        entry.socket = null;
+        this.lessons.delete(entry.lessonId);
+    }
+}
+
+export { LiveLessonSessions };
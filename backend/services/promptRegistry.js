@@ -0,0 +1,379 @@
+// backend/services/promptRegistry.js
+// Named, versioned prompt templates for every Gemini call
+//
+// Templates live on disk under paths.promptsDir, one directory per prompt:
+//
+//   prompts/<name>/v1.prompt   template text with {{variable}} placeholders
+//   prompts/<name>/v1.json     { description, variables, outputSchema }
+//   prompts/registry.json      { "<name>": { active: "v1", experiment: { version: "v2", share: 0.1 } } }
+//
+// Services render a prompt by name and never see its text. The rendered
+// prompt carries its id ("textToSignSequence@v2"), which goes into request
+// logs and response cache keys, so answers from different template versions
+// never mix. A new version is rolled out by adding v2.* next to v1.*, trying
+// it on a share of calls with an experiment and then making it active; rolling
+// back is setting active to the old version again. Both are registry.json
+// edits (or PUT /api/prompts/:name) - service code does not change.
+//
+// Placeholders: {{name}} inserts a string, number or boolean. Arrays and
+// objects need a filter: {{name|json}}, {{name|pretty}} (indented JSON) or
+// {{name|join}} / {{name|join:; }} (separator after the colon, default ", ").
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config.js';
+
+const PROMPTS_DIR = config.paths.promptsDir;
+const REGISTRY_FILE = 'registry.json';
+const VERSION_FILE = /^(v\d+)\.prompt$/;
+const PLACEHOLDER = /\{\{\s*(\w+)(?:\|(\w+)(?::([^}]*))?)?\s*\}\}/g;
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+const FILTERS = {
+    json: (value) => JSON.stringify(value),
+    pretty: (value) => JSON.stringify(value, null, 2),
+    join: (value, separator = ', ') => value.join(separator)
+};
+
+// ============================================
+// ERRORS
+// ============================================
+
+class PromptError extends Error {
+    /**
+     * @param {string} message - Summary
+     * @param {string[]} problems - One line per invalid template, variable or setting
+     */
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n${problems.map(p => `   - ${p}`).join('\n')}` : message);
+        this.name = 'PromptError';
+        this.summary = message;
+        this.problems = problems;
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+const typeOf = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+const typesOf = (spec) => [].concat(spec.type);
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Deterministic share in [0, 1) for sticky experiment assignment
+function bucketOf(name, seed) {
+    const digest = crypto.createHash('sha1').update(`${name}:${seed}`).digest();
+    return digest.readUInt32BE(0) / 0x100000000;
+}
+
+// Check one version's template text against its declared variables
+function checkTemplate(name, version, text, variables) {
+    const problems = [];
+    const used = new Set();
+
+    for (const [, variable, filter] of text.matchAll(PLACEHOLDER)) {
+        const spec = variables[variable];
+        used.add(variable);
+        if (!spec) {
+            problems.push(`${name}@${version}: {{${variable}}} is not declared in variables`);
+            continue;
+        }
+        if (filter && !FILTERS[filter]) {
+            problems.push(`${name}@${version}: unknown filter "${filter}" on {{${variable}}}`);
+        } else if (!filter && typesOf(spec).some(type => type === 'array' || type === 'object')) {
+            problems.push(`${name}@${version}: {{${variable}}} is ${typesOf(spec).join('|')} and needs a json, pretty or join filter`);
+        } else if (filter === 'join' && !typesOf(spec).includes('array')) {
+            problems.push(`${name}@${version}: join filter on {{${variable}}}, which is not an array`);
+        }
+    }
+
+    for (const [variable, spec] of Object.entries(variables)) {
+        if (!used.has(variable)) problems.push(`${name}@${version}: variable "${variable}" is declared but never used`);
+        const unknown = typesOf(spec).filter(type => !VARIABLE_TYPES.includes(type));
+        if (unknown.length > 0) problems.push(`${name}@${version}: variable "${variable}" has unknown type ${unknown.join(', ')}`);
+    }
+    return problems;
+}
+
+// Check an experiment setting against the prompt's versions
+function checkExperiment(name, experiment, versions) {
+    if (experiment === null || experiment === undefined) return [];
+    if (typeof experiment !== 'object' || !versions.has(experiment.version)) {
+        return [`${name}: experiment.version must be one of ${[...versions.keys()].join(', ')}`];
+    }
+    if (typeof experiment.share !== 'number' || experiment.share < 0 || experiment.share > 1) {
+        return [`${name}: experiment.share must be a number from 0 to 1`];
+    }
+    return [];
+}
+
+// ============================================
+// PROMPT REGISTRY
+// ============================================
+
+class PromptRegistry {
+    /**
+     * @param {Object} options - { dir } (default paths.promptsDir)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir ?? PROMPTS_DIR;
+        this.prompts = new Map(); // name -> { name, versions: Map(version -> template), active, experiment }
+        this.stats = {};          // "name@version" -> { success, failure }
+        this.load();
+    }
+
+    // ============================================
+    // LOADING
+    // ============================================
+
+    /**
+     * Read every template and registry.json. Throws PromptError listing every
+     * problem, leaving the previously loaded prompts in place.
+     */
+    load() {
+        const problems = [];
+        const prompts = new Map();
+
+        const dirs = fs.readdirSync(this.dir, { withFileTypes: true }).filter(entry => entry.isDirectory());
+        for (const { name } of dirs) {
+            const versions = new Map();
+            for (const file of fs.readdirSync(path.join(this.dir, name)).sort()) {
+                const version = file.match(VERSION_FILE)?.[1];
+                if (!version) continue;
+                try {
+                    const template = this._readVersion(name, version);
+                    problems.push(...checkTemplate(name, version, template.text, template.variables));
+                    versions.set(version, template);
+                } catch (error) {
+                    problems.push(`${name}@${version}: ${error.message}`);
+                }
+            }
+            if (versions.size > 0) {
+                // Newest version is active until registry.json says otherwise
+                const newest = [...versions.keys()].sort((a, b) => a.slice(1) - b.slice(1)).pop();
+                prompts.set(name, { name, versions, active: newest, experiment: null });
+            }
+        }
+
+        const registryPath = path.join(this.dir, REGISTRY_FILE);
+        let registry = {};
+        try {
+            if (fs.existsSync(registryPath)) registry = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
+        } catch (error) {
+            problems.push(`${REGISTRY_FILE}: ${error.message}`);
+        }
+        for (const [name, settings] of Object.entries(registry)) {
+            const prompt = prompts.get(name);
+            if (!prompt) {
+                problems.push(`${REGISTRY_FILE}: no templates for "${name}"`);
+                continue;
+            }
+            if (settings.active !== undefined) {
+                if (prompt.versions.has(settings.active)) prompt.active = settings.active;
+                else problems.push(`${name}: active version "${settings.active}" does not exist`);
+            }
+            problems.push(...checkExperiment(name, settings.experiment, prompt.versions));
+            prompt.experiment = settings.experiment ?? null;
+        }
+
+        if (problems.length > 0) {
+            throw new PromptError(`Invalid prompt templates in ${this.dir}`, problems);
+        }
+        this.prompts = prompts;
+        console.log(`✅ Loaded ${prompts.size} prompt templates`);
+        return this.list();
+    }
+
+    _readVersion(name, version) {
+        const base = path.join(this.dir, name, version);
+        const text = fs.readFileSync(`${base}.prompt`, 'utf-8').trim();
+        if (!fs.existsSync(`${base}.json`)) throw new Error(`missing ${version}.json`);
+        const meta = JSON.parse(fs.readFileSync(`${base}.json`, 'utf-8'));
+        return {
+            name,
+            version,
+            id: `${name}@${version}`,
+            description: meta.description || '',
+            variables: meta.variables || {},
+            outputSchema: meta.outputSchema ?? null,
+            text
+        };
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    /**
+     * Choose the version for a call: an explicit version, the experiment
+     * version for its share of calls, otherwise the active version.
+     * @param {string} name - Prompt name
+     * @param {Object} options - { version, seed } - calls with the same seed get the same version
+     */
+    select(name, { version, seed } = {}) {
+        const prompt = this.prompts.get(name);
+        if (!prompt) throw new PromptError(`Unknown prompt "${name}"`);
+
+        let chosen = version ?? prompt.active;
+        const { experiment } = prompt;
+        if (!version && experiment?.share > 0) {
+            const bucket = seed === undefined ? Math.random() : bucketOf(name, seed);
+            if (bucket < experiment.share) chosen = experiment.version;
+        }
+
+        const template = prompt.versions.get(chosen);
+        if (!template) throw new PromptError(`Prompt "${name}" has no version "${chosen}"`);
+        return template;
+    }
+
+    /**
+     * Render a prompt with validated variables
+     * @param {string} name - Prompt name
+     * @param {Object} vars - Template variables (extra keys are ignored)
+     * @param {Object} options - { version, seed } (see select)
+     * @returns {{ name: string, version: string, id: string, text: string, outputSchema: Object|null }}
+     */
+    render(name, vars = {}, options = {}) {
+        const template = this.select(name, options);
+        const values = this._validate(template, vars);
+
+        const text = template.text.replace(PLACEHOLDER, (match, variable, filter, arg) => {
+            const value = values[variable];
+            if (filter) return FILTERS[filter](value ?? null, ...(arg === undefined ? [] : [arg]));
+            return value === null || value === undefined ? '' : String(value);
+        });
+
+        return {
+            name: template.name,
+            version: template.version,
+            id: template.id,
+            text,
+            outputSchema: template.outputSchema
+        };
+    }
+
+    // Variables with defaults applied; throws PromptError listing every bad value
+    _validate(template, vars) {
+        const problems = [];
+        const values = {};
+
+        for (const [variable, spec] of Object.entries(template.variables)) {
+            let value = vars[variable];
+            if (isMissing(value) && 'default' in spec) value = spec.default;
+            values[variable] = value;
+
+            if (isMissing(value)) {
+                if (spec.required !== false) problems.push(`${variable} is required`);
+                continue;
+            }
+            if (!typesOf(spec).includes(typeOf(value))) {
+                problems.push(`${variable} must be ${typesOf(spec).join(' or ')}, got ${typeOf(value)}`);
+                continue;
+            }
+            if (spec.enum && !spec.enum.includes(value)) {
+                problems.push(`${variable} must be one of ${spec.enum.join(', ')}`);
+            }
+            if (spec.maxLength !== undefined && typeof value === 'string' && value.length > spec.maxLength) {
+                problems.push(`${variable} is longer than ${spec.maxLength} characters`);
+            }
+            if (spec.maxItems !== undefined && Array.isArray(value) && value.length > spec.maxItems) {
+                problems.push(`${variable} has more than ${spec.maxItems} items`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new PromptError(`Invalid variables for prompt ${template.id}`, problems);
+        }
+        return values;
+    }
+
+    // ============================================
+    // OUTCOMES
+    // ============================================
+
+    /**
+     * Count a call's outcome per template version (for comparing experiments)
+     * @param {string} id - Rendered prompt id ("name@version")
+     * @param {boolean} success - Whether a usable response came back
+     */
+    record(id, success) {
+        const stats = this.stats[id] ??= { success: 0, failure: 0 };
+        stats[success ? 'success' : 'failure']++;
+    }
+
+    // ============================================
+    // ADMINISTRATION
+    // ============================================
+
+    /**
+     * Every prompt with its versions, rollout settings and outcome counts
+     */
+    list() {
+        return [...this.prompts.values()].map(prompt => ({
+            name: prompt.name,
+            description: prompt.versions.get(prompt.active).description,
+            active: prompt.active,
+            experiment: prompt.experiment,
+            versions: [...prompt.versions.keys()].map(version => ({
+                version,
+                id: `${prompt.name}@${version}`,
+                stats: this.stats[`${prompt.name}@${version}`] || { success: 0, failure: 0 }
+            }))
+        }));
+    }
+
+    /**
+     * One prompt with every version's text, variables and output schema
+     */
+    get(name) {
+        const prompt = this.prompts.get(name);
+        if (!prompt) return null;
+        return {
+            ...this.list().find(entry => entry.name === name),
+            templates: [...prompt.versions.values()]
+        };
+    }
+
+    /**
+     * Change the active version and/or experiment and save registry.json
+     * @param {string} name - Prompt name
+     * @param {Object} settings - { active, experiment } (experiment null ends it)
+     */
+    configure(name, { active, experiment } = {}) {
+        const prompt = this.prompts.get(name);
+        if (!prompt) throw new PromptError(`Unknown prompt "${name}"`);
+
+        const problems = [];
+        if (active !== undefined && !prompt.versions.has(active)) {
+            problems.push(`active must be one of ${[...prompt.versions.keys()].join(', ')}`);
+        }
+        problems.push(...checkExperiment(name, experiment, prompt.versions));
+        if (problems.length > 0) throw new PromptError(`Invalid settings for prompt "${name}"`, problems);
+
+        if (active !== undefined) prompt.active = active;
+        if (experiment !== undefined) prompt.experiment = experiment;
+        this._saveRegistry();
+
+        const trial = prompt.experiment ? `, trying ${prompt.experiment.version} on ${Math.round(prompt.experiment.share * 100)}%` : '';
+        console.log(`📝 Prompt ${name}: ${prompt.active} active${trial}`);
+        return this.get(name);
+    }
+
+    _saveRegistry() {
+        const registry = Object.fromEntries([...this.prompts.values()].map(prompt => [
+            prompt.name,
+            prompt.experiment ? { active: prompt.active, experiment: prompt.experiment } : { active: prompt.active }
+        ]));
+        const file = path.join(this.dir, REGISTRY_FILE);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(registry, null, 2) + '\n');
+        fs.renameSync(`${file}.tmp`, file);
+    }
+}
+
+// Singleton instance
+const promptRegistry = new PromptRegistry();
+
+export default promptRegistry;
+export { PromptRegistry, PromptError };
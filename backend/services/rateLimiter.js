@@ -0,0 +1,474 @@
+// backend/services/rateLimiter.js
+// Token-bucket rate limits with per-operation costs and daily Gemini quotas
+//
+// Each principal (see services/auth.js) has two buckets, one for socket events
+// and one for REST requests, sized by the tenant's rateLimits.socket / .http:
+// `max` tokens that refill evenly over `windowMs`. An operation spends its
+// cost in tokens, so a vision `predict-sign` call drains the bucket faster
+// than a `get-sign-info` lookup. Operations backed by Gemini also count
+// against rateLimits.geminiDaily, which resets at midnight UTC. New session
+// tokens are limited per IP address (rateLimits.sessions), so minting
+// sessions cannot multiply those buckets and quotas.
+//
+// State lives in a store with an atomic update(). MemoryStore is the default;
+// FileStore (paths.rateLimitStoreFile) keeps buckets and quotas across
+// restarts. Other backends only need get/update/delete.
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+
+const CONFIG = {
+    defaultCost: 1,
+    flushIntervalMs: 5000, // FileStore write-behind delay
+    sweepIntervalMs: 60000 // expired entries dropped this often
+};
+
+// Tokens per operation. Socket events by name, REST routes as "METHOD /api/path".
+// rateLimits.costs overrides these per deployment or tenant.
+const DEFAULT_COSTS = {
+    // Socket events
+    'get-sign-info': 1,
+    'switch-dialect': 1,
+    'learner:identify': 1,
+    'speech-input': 2,
+    'sign-detected': 2,
+    'get-sign-suggestions': 3,
+    'check-my-sign': 5,
+    'predict-sign': 5,
+    'detect-objects': 5,
+    'upload-document': 10,
+    'live-lesson:start': 5,
+    'live-lesson:frame': 5,
+    'live-lesson:hint': 2,
+    'live-lesson:instruction': 2,
+    'live-lesson:skip': 1,
+    'live-lesson:end': 2,
+
+    // REST routes (unlisted routes cost defaultCost)
+    'GET /api/health': 0,
+    'GET /api/openapi.json': 0,
+    'GET /api/asyncapi.json': 0,
+    'GET /api/config/public': 0,
+    'POST /api/auth/session': 0,
+    'POST /api/translate': 2,
+    'POST /api/translate/text-to-sign': 3,
+    'POST /api/translate/text-to-animation': 3,
+    'POST /api/translate/text-to-pose-keyframes': 3,
+    'POST /api/translate/text-to-videos': 3,
+    'POST /api/translate/sign-to-text': 5,
+    'POST /api/lesson/generate': 10,
+    'GET /api/test-gemini': 5,
+    'POST /api/cache/warm': 10,
+    'POST /api/how2sign/build-index': 60,
+    'POST /api/v1/sign-language/translate-to-sign': 3,
+    'POST /api/v1/sign-language/translate-batch': 10,
+    'POST /api/v1/sign-language/check-sign': 5,
+    'POST /api/v1/sign-language/generate-lesson': 10,
+    'POST /api/v1/sign-language/quick-vocab': 3,
+    'POST /api/v1/sign-language/explain-grammar': 3,
+    'POST /api/v1/sign-language/detect-teachable-items': 5,
+    'POST /api/v1/sign-language/analyze-spatial': 5,
+    'POST /api/v1/sign-language/detect-actions': 5,
+    'POST /api/v1/sign-language/generate-conversation': 5,
+    'GET /api/v1/sign-language/health': 5,
+    'POST /api/v1/sigml/translate': 3,
+    'POST /api/v1/sigml/translate/to-pose': 3,
+    'POST /api/v1/sigml/interpret': 1,
+    'POST /api/v1/sigml/translate/single-sign': 2,
+    'POST /api/v1/sigml/translate/batch': 10,
+    'POST /api/v1/sigml/translate/compare': 3,
+    'POST /api/v1/feedback/compare': 5,
+    'POST /api/v1/feedback/quick-check': 3,
+    'POST /api/v1/feedback/practice-session': 20
+};
+
+// Operations that may call Gemini (counted against rateLimits.geminiDaily)
+const GEMINI_OPERATIONS = new Set([
+    'get-sign-info',
+    'switch-dialect',
+    'speech-input',
+    'sign-detected',
+    'check-my-sign',
+    'predict-sign',
+    'detect-objects',
+    'get-sign-suggestions',
+    'upload-document',
+    'live-lesson:start',
+    'live-lesson:frame',
+    'live-lesson:hint',
+    'live-lesson:instruction',
+    'live-lesson:skip',
+    'live-lesson:end',
+    'POST /api/translate/text-to-sign',
+    'POST /api/translate/text-to-animation',
+    'POST /api/translate/text-to-pose-keyframes',
+    'POST /api/translate/text-to-videos',
+    'POST /api/translate/sign-to-text',
+    'POST /api/lesson/generate',
+    'GET /api/test-gemini',
+    'POST /api/cache/warm',
+    'POST /api/v1/sign-language/translate-to-sign',
+    'POST /api/v1/sign-language/translate-batch',
+    'POST /api/v1/sign-language/check-sign',
+    'POST /api/v1/sign-language/generate-lesson',
+    'POST /api/v1/sign-language/quick-vocab',
+    'POST /api/v1/sign-language/explain-grammar',
+    'POST /api/v1/sign-language/detect-teachable-items',
+    'POST /api/v1/sign-language/analyze-spatial',
+    'POST /api/v1/sign-language/detect-actions',
+    'POST /api/v1/sign-language/generate-conversation',
+    'GET /api/v1/sign-language/health',
+    'POST /api/v1/sigml/translate',
+    'POST /api/v1/sigml/translate/to-pose',
+    'POST /api/v1/sigml/translate/single-sign',
+    'POST /api/v1/sigml/translate/batch',
+    'POST /api/v1/sigml/translate/compare',
+    'POST /api/v1/feedback/compare',
+    'POST /api/v1/feedback/quick-check',
+    'POST /api/v1/feedback/practice-session'
+]);
+
+// ============================================
+// STORES
+// ============================================
+
+/**
+ * In-process store. update() runs the updater synchronously, so concurrent
+ * events for one principal cannot interleave between read and write.
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map(); // key -> { value, expiresAt }
+    }
+
+    _read(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async get(key) {
+        return this._read(key);
+    }
+
+    /**
+     * Atomically replace a value
+     * @param {string} key
+     * @param {(current: any|null) => any} updater - Receives null when absent or expired
+     * @param {number} ttlMs - Time until the entry may be dropped
+     * @returns {Promise<any>} The new value
+     */
+    async update(key, updater, ttlMs) {
+        // No await between read and write: this is what makes update() atomic
+        const value = updater(this._read(key));
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        return value;
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, entry] of this.entries.entries()) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+/**
+ * MemoryStore written behind to a JSON file, so daily quotas survive restarts
+ */
+class FileStore extends MemoryStore {
+    constructor(file) {
+        super();
+        this.file = file;
+        this.dirty = false;
+        this._load();
+
+        this.flushTimer = setInterval(() => this.flush(), CONFIG.flushIntervalMs);
+        this.flushTimer.unref();
+        process.once('exit', () => this.flush());
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(saved.entries || {})) {
+                if (entry.expiresAt > now) this.entries.set(key, entry);
+            }
+            console.log(`🪣 Loaded ${this.entries.size} rate limit entries from ${this.file}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`⚠️ Could not read rate limit store: ${error.message}`);
+        }
+    }
+
+    async update(key, updater, ttlMs) {
+        const value = await super.update(key, updater, ttlMs);
+        this.dirty = true;
+        return value;
+    }
+
+    async delete(key) {
+        await super.delete(key);
+        this.dirty = true;
+    }
+
+    // Synchronous so it can run in the process 'exit' handler
+    flush() {
+        if (!this.dirty) return;
+        this.sweep();
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+            this.dirty = false;
+        } catch (error) {
+            console.warn(`⚠️ Could not save rate limit store: ${error.message}`);
+        }
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+const dayKey = (now) => new Date(now).toISOString().slice(0, 10);
+
+function nextUtcMidnight(now) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+// Bucket after refilling for the time since it was last touched
+function refill(bucket, limits, now) {
+    const rate = limits.max / limits.windowMs; // tokens per ms
+    if (!bucket) return { tokens: limits.max, updatedAt: now };
+    return {
+        tokens: Math.min(limits.max, bucket.tokens + (now - bucket.updatedAt) * rate),
+        updatedAt: now
+    };
+}
+
+// ============================================
+// RATE LIMITER CLASS
+// ============================================
+
+/**
+ * @typedef {Object} RateLimitDecision
+ * @property {boolean} allowed
+ * @property {string} operation
+ * @property {number} cost - Tokens this operation spends
+ * @property {number|null} remaining - Whole tokens left in the bucket (null when the quota refused first)
+ * @property {number} limit - Bucket size
+ * @property {string} [code] - 'rate_limited' or 'quota_exceeded' when refused
+ * @property {string} [message]
+ * @property {number} [retryAfter] - Seconds until the operation would be allowed
+ * @property {{ used: number, limit: number, resetsAt: string }} [quota] - Gemini operations only
+ */
+
+class RateLimiter {
+    /**
+     * @param {Object} options - { store } (default: FileStore when paths.rateLimitStoreFile is set)
+     */
+    constructor({ store } = {}) {
+        this.store = store || (config.paths.rateLimitStoreFile
+            ? new FileStore(config.paths.rateLimitStoreFile)
+            : new MemoryStore());
+
+        this.sweepTimer = setInterval(() => this.store.sweep?.(), CONFIG.sweepIntervalMs);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Swap the store (e.g. a shared one when running several servers)
+     */
+    setStore(store) {
+        this.store = store;
+        return this;
+    }
+
+    /**
+     * Tokens an operation spends under a tenant's cost overrides
+     */
+    costOf(operation, costs = {}) {
+        return costs[operation] ?? DEFAULT_COSTS[operation] ?? CONFIG.defaultCost;
+    }
+
+    usesGemini(operation) {
+        return GEMINI_OPERATIONS.has(operation);
+    }
+
+    /**
+     * Spend tokens for one operation
+     * @param {Object} principal - From services/auth.js
+     * @param {string} operation - Socket event name or "METHOD /api/path"
+     * @param {Object} options - { channel: 'socket'|'http', limits: tenant rateLimits }
+     * @returns {Promise<RateLimitDecision>}
+     */
+    async consume(principal, operation, { channel = 'socket', limits = config.rateLimits } = {}) {
+        const bucketLimits = limits[channel];
+        // An operation never costs more than a full bucket, or it could never run
+        const cost = Math.min(this.costOf(operation, limits.costs), bucketLimits.max);
+        const now = Date.now();
+        const decision = { allowed: true, operation, cost, remaining: bucketLimits.max, limit: bucketLimits.max };
+        if (cost === 0) return decision;
+
+        // Reserve quota first, so a refused Gemini call does not also spend tokens
+        const gemini = this.usesGemini(operation) && limits.geminiDaily > 0;
+        const quotaKey = `${principal.id}:gemini:${dayKey(now)}`;
+        const resetsAt = nextUtcMidnight(now);
+        const quotaTtl = resetsAt - now + 60 * 60 * 1000;
+        if (gemini) {
+            let reserved = false;
+            const used = await this.store.update(quotaKey, (current) => {
+                reserved = (current || 0) < limits.geminiDaily;
+                return (current || 0) + (reserved ? 1 : 0);
+            }, quotaTtl);
+            decision.quota = { used, limit: limits.geminiDaily, resetsAt: new Date(resetsAt).toISOString() };
+            if (!reserved) {
+                return {
+                    ...decision,
+                    allowed: false,
+                    remaining: null, // bucket not consulted
+                    code: 'quota_exceeded',
+                    message: `📅 Daily limit of ${limits.geminiDaily} AI requests reached. It resets at midnight UTC.`,
+                    retryAfter: Math.ceil((resetsAt - now) / 1000)
+                };
+            }
+        }
+
+        const bucket = await this._take(`${principal.id}:${channel}`, bucketLimits, cost, now);
+        decision.remaining = Math.floor(bucket.tokens);
+        if (!bucket.allowed) {
+            if (gemini) {
+                // Give back the quota reserved above
+                decision.quota.used = await this.store.update(quotaKey, (used) => Math.max(0, (used || 0) - 1), quotaTtl);
+            }
+            return {
+                ...decision,
+                allowed: false,
+                code: 'rate_limited',
+                message: '⏳ Too many requests. Please wait a moment before trying again.',
+                retryAfter: bucket.retryAfter
+            };
+        }
+
+        return decision;
+    }
+
+    /**
+     * Count a new session token against the caller's IP address
+     * (rateLimits.sessions). Refreshing a session is not counted.
+     * @param {string} ip - req.ip
+     * @param {Object} limits - Tenant rateLimits
+     * @returns {Promise<RateLimitDecision>}
+     */
+    async consumeSession(ip, limits = config.rateLimits) {
+        const bucket = await this._take(`ip:${ip || 'unknown'}:sessions`, limits.sessions, 1, Date.now());
+        const decision = {
+            allowed: bucket.allowed,
+            operation: 'POST /api/auth/session',
+            cost: 1,
+            remaining: Math.floor(bucket.tokens),
+            limit: limits.sessions.max
+        };
+        if (bucket.allowed) return decision;
+
+        return {
+            ...decision,
+            code: 'rate_limited',
+            message: '⏳ Too many new sessions from this address. Please wait before trying again.',
+            retryAfter: bucket.retryAfter
+        };
+    }
+
+    /**
+     * Spend tokens from one bucket
+     * @returns {Promise<{ allowed: boolean, tokens: number, retryAfter: number }>}
+     *   retryAfter: seconds until the bucket holds the cost
+     */
+    async _take(key, bucketLimits, cost, now) {
+        let allowed = false;
+        const bucket = await this.store.update(key, (current) => {
+            const next = refill(current, bucketLimits, now);
+            allowed = next.tokens >= cost;
+            if (allowed) next.tokens -= cost;
+            return next;
+        }, bucketLimits.windowMs);
+
+        const rate = bucketLimits.max / bucketLimits.windowMs;
+        return {
+            allowed,
+            tokens: bucket.tokens,
+            retryAfter: allowed ? 0 : Math.max(1, Math.ceil((cost - bucket.tokens) / rate / 1000))
+        };
+    }
+
+    /**
+     * Bucket levels and today's quota use for a principal
+     */
+    async getStatus(principal, limits = config.rateLimits) {
+        const now = Date.now();
+        const status = {};
+        for (const channel of ['socket', 'http']) {
+            const bucket = refill(await this.store.get(`${principal.id}:${channel}`), limits[channel], now);
+            status[channel] = { remaining: Math.floor(bucket.tokens), limit: limits[channel].max, windowMs: limits[channel].windowMs };
+        }
+        status.gemini = {
+            used: (await this.store.get(`${principal.id}:gemini:${dayKey(now)}`)) || 0,
+            limit: limits.geminiDaily,
+            resetsAt: new Date(nextUtcMidnight(now)).toISOString()
+        };
+        return status;
+    }
+
+    /**
+     * Fields sent to clients when an operation is refused
+     * (socket 'error' payload and REST 429 body)
+     */
+    toErrorPayload(decision) {
+        return {
+            code: decision.code,
+            message: decision.message,
+            retryAfter: decision.retryAfter,
+            cost: decision.cost,
+            remaining: decision.remaining,
+            limit: decision.limit,
+            ...(decision.quota && { quota: decision.quota })
+        };
+    }
+
+    /**
+     * Express middleware (mount on /api after auth): spends REST tokens for
+     * req.principal and answers 429 with Retry-After when refused
+     * @param {(req) => Object} limitsFor - Tenant rateLimits for a request
+     */
+    middleware(limitsFor = () => config.rateLimits) {
+        return async (req, res, next) => {
+            try {
+                const operation = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, '');
+                const decision = await this.consume(req.principal, operation, { channel: 'http', limits: limitsFor(req) });
+
+                res.set('RateLimit-Limit', String(decision.limit));
+                res.set('RateLimit-Remaining', String(decision.remaining));
+                if (decision.allowed) return next();
+
+                res.set('Retry-After', String(decision.retryAfter));
+                res.status(429).json({ success: false, error: decision.message, operation, ...this.toErrorPayload(decision) });
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+}
+
+// Export singleton instance
+const rateLimiter = new RateLimiter();
+export default rateLimiter;
+export { RateLimiter, MemoryStore, FileStore, DEFAULT_COSTS, GEMINI_OPERATIONS };
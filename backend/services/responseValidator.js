@@ -0,0 +1,172 @@
+// backend/services/responseValidator.js
+// Parses Gemini JSON answers and checks them against the outputSchema of the
+// prompt they came from
+//
+// check() fixes what it safely can: numbers sent as strings ("85%"), a single
+// value where an array belongs, enum values in another case or spelling
+// ("Open Palm" for OpenPalm), out-of-range numbers, and missing or invalid
+// fields that have a default. Optional fields that are still invalid are
+// dropped. Everything else is a problem. parse() sends an answer with problems
+// back to the model once, with the jsonRepair prompt, and throws
+// ResponseValidationError if the repaired answer still has problems.
+//
+// The schema checks themselves (supported keywords, coercions, strict mode)
+// live in shared/jsonSchema.js, which the Socket.IO event contract uses too.
+// validate() with { strict: true } checks request bodies (routes/common.js).
+
+import promptRegistry from './promptRegistry.js';
+import { checkSchema } from '../../shared/jsonSchema.js';
+
+const REPAIR_PROMPT = 'jsonRepair';
+const MAX_REPAIR_RESPONSE = 20000;   // Characters of the failed answer sent back
+const MAX_REPAIR_PROBLEMS = 50;
+
+// ============================================
+// ERRORS
+// ============================================
+
+class ResponseValidationError extends Error {
+    /**
+     * @param {string} prompt - Prompt id the answer was for
+     * @param {string[]} problems - One line per invalid field
+     */
+    constructor(prompt, problems) {
+        super(`Invalid ${prompt} response:\n${problems.map(p => `   - ${p}`).join('\n')}`);
+        this.name = 'ResponseValidationError';
+        this.prompt = prompt;
+        this.problems = problems;
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Parse the JSON in a model answer, ignoring markdown fences and any text
+ * around the outermost object or array
+ */
+function extractJSON(text) {
+    const cleaned = String(text ?? '').replace(/```(?:json)?\n?/g, '').trim();
+    const match = cleaned.match(/[[{][\s\S]*[\]}]/);
+    if (!match) throw new SyntaxError('No JSON found in response');
+    return JSON.parse(match[0]);
+}
+
+// ============================================
+// RESPONSE VALIDATOR
+// ============================================
+
+class ResponseValidator {
+    constructor() {
+        this.stats = {}; // prompt name -> { valid, coerced, repaired, failed, lastProblems, lastFailureAt }
+    }
+
+    /**
+     * Parse an answer and check it against the prompt's outputSchema
+     * @param {Object} prompt - Rendered prompt ({ name, id, outputSchema }); inline
+     *   callers can pass { name, outputSchema } directly
+     * @param {string} text - Model answer
+     * @returns {{ value: *, fixes: string[], problems: string[] }}
+     */
+    check(prompt, text) {
+        let parsed;
+        try {
+            parsed = extractJSON(text);
+        } catch (error) {
+            return { value: undefined, fixes: [], problems: [`not valid JSON (${error.message})`] };
+        }
+
+        return this.validate(prompt.outputSchema, parsed);
+    }
+
+    /**
+     * Check an already parsed value against a schema
+     * @param {Object|null} schema - JSON Schema (null accepts anything)
+     * @param {*} value - Parsed value (not modified)
+     * @param {Object} [options] - { strict: report invalid enum values, optional fields and long arrays instead of fixing them }
+     * @returns {{ value: *, fixes: string[], problems: string[] }}
+     */
+    validate(schema, value, { strict = false } = {}) {
+        return checkSchema(schema, value, { strict });
+    }
+
+    /**
+     * Parse and check an answer, asking for a repair once if it has problems
+     * @param {Object} prompt - Rendered prompt (see check)
+     * @param {string} text - Model answer
+     * @param {Function} [regenerate] - async (promptText) => answer text, for the
+     *   repair call. Without it, an answer with problems fails straight away.
+     * @returns {Promise<*>} The checked value
+     * @throws {ResponseValidationError}
+     */
+    async parse(prompt, text, regenerate = null) {
+        const id = prompt.id || prompt.name;
+        let result = this.check(prompt, text);
+        let outcome = result.fixes.length > 0 ? 'coerced' : 'valid';
+
+        if (result.problems.length > 0 && regenerate && prompt.outputSchema) {
+            console.warn(`⚠️ ${id} response has ${result.problems.length} problem(s), asking for a repair`);
+            const repair = promptRegistry.render(REPAIR_PROMPT, {
+                name: prompt.name,
+                problems: result.problems.slice(0, MAX_REPAIR_PROBLEMS),
+                schema: prompt.outputSchema,
+                response: String(text ?? '').substring(0, MAX_REPAIR_RESPONSE)
+            });
+
+            try {
+                const repaired = this.check(prompt, await regenerate(repair.text));
+                promptRegistry.record(repair.id, repaired.problems.length === 0);
+                if (repaired.problems.length === 0) outcome = 'repaired';
+                result = repaired;
+            } catch (error) {
+                promptRegistry.record(repair.id, false);
+                result.problems.push(`repair request failed (${error.message})`);
+            }
+        }
+
+        if (result.problems.length > 0) {
+            this.record(prompt, 'failed', result.problems);
+            throw new ResponseValidationError(id, result.problems);
+        }
+        this.record(prompt, outcome);
+        return result.value;
+    }
+
+    /**
+     * Count one checked answer
+     * @param {Object} prompt - Rendered prompt
+     * @param {string} outcome - valid, coerced, repaired or failed
+     * @param {string[]} problems - Problems of a failed answer
+     */
+    record(prompt, outcome, problems = []) {
+        const stats = this.stats[prompt.name] ??= { valid: 0, coerced: 0, repaired: 0, failed: 0, lastProblems: [], lastFailureAt: null };
+        stats[outcome]++;
+        if (outcome === 'failed') {
+            stats.lastProblems = problems.slice(0, 10);
+            stats.lastFailureAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Validation counts per prompt name, with the share of answers that
+     * passed as returned by the model
+     */
+    getStats() {
+        const methods = {};
+        const totals = { valid: 0, coerced: 0, repaired: 0, failed: 0 };
+
+        for (const [name, stats] of Object.entries(this.stats)) {
+            const checked = stats.valid + stats.coerced + stats.repaired + stats.failed;
+            methods[name] = { ...stats, checked, validRate: Number((stats.valid / checked).toFixed(3)) };
+            for (const outcome of Object.keys(totals)) totals[outcome] += stats[outcome];
+        }
+        return { methods, totals };
+    }
+}
+
+// Singleton instance
+const responseValidator = new ResponseValidator();
+
+export default responseValidator;
+export { ResponseValidator, ResponseValidationError, extractJSON };
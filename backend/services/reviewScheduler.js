@@ -0,0 +1,206 @@
+// backend/services/reviewScheduler.js
+// Spaced-repetition scheduling (SM-2) for practiced signs
+
+import { getGradeFromScore } from './geminiSignCorrection.js';
+
+/**
+ * Scheduler tuning - SM-2 defaults
+ */
+const SCHEDULER_CONFIG = {
+    initialEase: 2.5,
+    minimumEase: 1.3,
+    maximumInterval: 365,       // days
+    firstInterval: 1,           // days after the first passing review
+    secondInterval: 6,          // days after the second passing review
+    passingQuality: 3,          // quality below this is a lapse
+    defaultQueueLimit: 20
+};
+
+/**
+ * SM-2 quality (0-5) for each letter grade from getGradeFromScore
+ */
+const GRADE_QUALITY = {
+    A: 5,
+    B: 4,
+    C: 3,
+    D: 2,
+    F: 1
+};
+
+// ============================================
+// DAY HELPERS
+// Due dates are calendar days (YYYY-MM-DD) in the learner's local time
+// ============================================
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Local calendar day as YYYY-MM-DD
+ */
+function toDayKey(date = new Date()) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whole days between two YYYY-MM-DD keys (b - a)
+ */
+function daysBetween(a, b) {
+    const [ya, ma, da] = a.split('-').map(Number);
+    const [yb, mb, db] = b.split('-').map(Number);
+    return Math.round((Date.UTC(yb, mb - 1, db) - Date.UTC(ya, ma - 1, da)) / 86400000);
+}
+
+/**
+ * Day key shifted by a number of days
+ */
+function addDays(dayKey, days) {
+    const [y, m, d] = dayKey.split('-').map(Number);
+    const shifted = new Date(Date.UTC(y, m - 1, d + days));
+    return shifted.toISOString().substring(0, 10);
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * Convert a feedback accuracy (0-100) into an SM-2 quality
+ */
+function qualityFromAccuracy(accuracy) {
+    return GRADE_QUALITY[getGradeFromScore(accuracy)];
+}
+
+/**
+ * Fresh review card for a sign that has never been scheduled
+ */
+function createCard() {
+    return {
+        easeFactor: SCHEDULER_CONFIG.initialEase,
+        interval: 0,
+        repetitions: 0,
+        lapses: 0,
+        dueDate: null,
+        lastReviewed: null,
+        lastGrade: null
+    };
+}
+
+/**
+ * Apply one graded attempt to a sign's review card.
+ *
+ * Practising a sign before it is due only counts if it fails - a lapse brings
+ * the sign back tomorrow, while an early pass leaves the schedule alone so
+ * drilling a sign five times in a row does not push it months out.
+ *
+ * @param {Object} card - Current card (or null for a new sign)
+ * @param {number} accuracy - sign-feedback accuracy (0-100)
+ * @param {string} day - Day of the attempt (YYYY-MM-DD)
+ * @returns {Object} Updated card
+ */
+function scheduleReview(card, accuracy, day = toDayKey()) {
+    const next = { ...(card || createCard()) };
+    const grade = getGradeFromScore(accuracy);
+    const quality = GRADE_QUALITY[grade];
+    const passed = quality >= SCHEDULER_CONFIG.passingQuality;
+    const early = next.dueDate && daysBetween(day, next.dueDate) > 0;
+
+    next.lastGrade = grade;
+
+    if (early && passed) {
+        return next;
+    }
+
+    if (passed) {
+        next.repetitions++;
+        if (next.repetitions === 1) {
+            next.interval = SCHEDULER_CONFIG.firstInterval;
+        } else if (next.repetitions === 2) {
+            next.interval = SCHEDULER_CONFIG.secondInterval;
+        } else {
+            next.interval = Math.round(next.interval * next.easeFactor);
+        }
+    } else {
+        if (next.repetitions > 0) next.lapses++;
+        next.repetitions = 0;
+        next.interval = SCHEDULER_CONFIG.firstInterval;
+    }
+
+    // SM-2 ease update: EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    next.easeFactor = Math.max(
+        SCHEDULER_CONFIG.minimumEase,
+        next.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+    next.easeFactor = Math.round(next.easeFactor * 100) / 100;
+
+    next.interval = Math.min(next.interval, SCHEDULER_CONFIG.maximumInterval);
+    next.dueDate = addDays(day, next.interval);
+    next.lastReviewed = day;
+
+    return next;
+}
+
+/**
+ * Build the review queue for a day.
+ * Most overdue first; ties go to the sign that is hardest for the learner.
+ *
+ * @param {Array} items - [{ gloss, dialect, review, ... }]; items without a card are due now
+ * @param {Object} options - { date, limit }
+ * @returns {Object} { date, total, due: [...], nextDueDate }
+ */
+function buildReviewQueue(items, { date = toDayKey(), limit = SCHEDULER_CONFIG.defaultQueueLimit } = {}) {
+    const due = [];
+    let nextDueDate = null;
+
+    for (const item of items) {
+        const dueDate = item.review?.dueDate || date;
+        const overdueDays = daysBetween(dueDate, date);
+
+        if (overdueDays >= 0) {
+            due.push({ ...item, dueDate, overdueDays });
+        } else if (!nextDueDate || dueDate < nextDueDate) {
+            nextDueDate = dueDate;
+        }
+    }
+
+    due.sort((a, b) =>
+        (b.overdueDays - a.overdueDays) ||
+        ((a.review?.easeFactor ?? SCHEDULER_CONFIG.initialEase) - (b.review?.easeFactor ?? SCHEDULER_CONFIG.initialEase)) ||
+        a.gloss.localeCompare(b.gloss)
+    );
+
+    return {
+        date,
+        total: due.length,
+        due: due.slice(0, Math.max(1, Number(limit) || SCHEDULER_CONFIG.defaultQueueLimit)),
+        nextDueDate
+    };
+}
+
+export {
+    SCHEDULER_CONFIG,
+    GRADE_QUALITY,
+    DAY_KEY_PATTERN,
+    toDayKey,
+    daysBetween,
+    addDays,
+    qualityFromAccuracy,
+    createCard,
+    scheduleReview,
+    buildReviewQueue
+};
+
+export default {
+    SCHEDULER_CONFIG,
+    GRADE_QUALITY,
+    DAY_KEY_PATTERN,
+    toDayKey,
+    daysBetween,
+    addDays,
+    qualityFromAccuracy,
+    createCard,
+    scheduleReview,
+    buildReviewQueue
+};
@@ -4,12 +4,13 @@
  * Two approaches: direct matching and embedding-based
  */
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getProvider } from '../providers/index.js';
+import responseValidator from './responseValidator.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = getProvider();
 const model = genAI.getGenerativeModel({
     model: "gemini-2.0-flash-exp"
 });
@@ -19,22 +20,23 @@ const embeddingModel = genAI.getGenerativeModel({
     model: "text-embedding-004"
 });
 
-/**
- * Extract JSON from Gemini response
- */
-function extractJSON(text) {
-    // Try to find JSON in the response
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-        return jsonMatch[0];
-    }
-    // Try object format
-    const objMatch = text.match(/\{[\s\S]*\}/);
-    if (objMatch) {
-        return objMatch[0];
+// Inline prompt (not in the prompt registry yet) with the schema its answer is checked against
+const SEMANTIC_MATCH_PROMPT = {
+    name: 'semanticMatch',
+    outputSchema: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                sentence_id: { type: 'string' },
+                sentence: { type: 'string' },
+                score: { type: 'number', minimum: 0, maximum: 1, default: 0 },
+                reason: { type: 'string' }
+            },
+            required: ['sentence_id', 'sentence']
+        }
     }
-    return text;
-}
+};
 
 /**
  * Find semantically similar sentences using Gemini
@@ -71,14 +73,13 @@ If no good matches (score < 0.5), return empty array: []
 
     try {
         const result = await model.generateContent(prompt);
-        const responseText = result.response.text();
-        const jsonStr = extractJSON(responseText);
-        const matches = JSON.parse(jsonStr);
+        const matches = await responseValidator.parse(SEMANTIC_MATCH_PROMPT, result.response.text(), async (repairText) => {
+            const repaired = await model.generateContent(repairText);
+            return repaired.response.text();
+        });
 
-        // Validate and enhance matches
         return matches.map(match => ({
             ...match,
-            score: Math.min(1, Math.max(0, match.score || 0)),
             source: 'gemini_semantic'
         }));
     } catch (error) {
@@ -0,0 +1,574 @@
+/**
+ * Local Sentence Index for How2Sign
+ * Offline top-K retrieval over the How2Sign translation set - no Gemini calls
+ *
+ * Two retrieval backends:
+ *   - BM25 over stemmed word tokens (always available, built in memory on load)
+ *   - Dense sentence embeddings from a transformers.js / ONNX model
+ *     (optional - set SENTENCE_EMBEDDING_MODEL and install @xenova/transformers),
+ *     searched through a persistent IVF (inverted-file) ANN index
+ *
+ * With embeddings the score is a weighted blend of cosine similarity and the
+ * normalized BM25 score, so paraphrases match while exact words still count.
+ * Scores are 0-1 either way, so callers can keep using similarity thresholds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+import { loadHow2SignData } from './how2signProcessor.js';
+import config from '../config.js';
+
+const DEMO_KEYPOINTS_PATH = path.join(config.paths.how2signDir, 'keypoints/demo_keypoints.json');
+
+const INDEX_FILE = 'sentence-index.json';
+const VECTORS_FILE = 'sentence-vectors.bin';
+const INDEX_VERSION = 1;
+
+const CONFIG = {
+    bm25: { k1: 1.2, b: 0.75 },
+    denseWeight: 0.7,          // Share of cosine similarity in the hybrid score
+    embedBatchSize: 32,
+    ivf: {
+        minSentences: 2000,    // Below this, exact search is already fast enough
+        trainSample: 5000,     // Sentences used to train the centroids
+        iterations: 8,
+        nprobe: 8              // Clusters searched per query
+    },
+    candidateMultiplier: 5     // Candidates per backend before hybrid re-scoring
+};
+
+// Words that carry no meaning for matching
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with',
+    'is', 'are', 'was', 'were', 'be', 'been', 'am', 'it', 'its', 'this', 'that', 'these',
+    'those', 'so', 'as', 'by', 'from', 'just', 'then', 'there', 'here', 'um', 'uh'
+]);
+
+// ============================================
+// TEXT PROCESSING
+// ============================================
+
+/**
+ * Strip common English suffixes so "cooking", "cooked" and "cooks" share a term
+ */
+function stem(word) {
+    if (word.length <= 4) return word;
+    for (const suffix of ['ing', 'ed', 'ies', 'es', 's', 'ly']) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+            return suffix === 'ies' ? `${word.slice(0, -3)}y` : word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+function tokenize(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/'s\b/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+/**
+ * Turn any How2Sign translation format into [{ id, text }]
+ *   - CSV rows / JSON array: { SENTENCE_NAME, SENTENCE_ID, SENTENCE } or { id, sentence|text }
+ *   - JSON map: { id: text } or { id: { translation|text } }
+ */
+function toSentences(data) {
+    const rows = Array.isArray(data)
+        ? data.map((row, i) => ({
+            id: row.SENTENCE_NAME || row.SENTENCE_ID || row.id || `sentence_${i}`,
+            text: row.SENTENCE || row.sentence || row.text || row.translation
+        }))
+        : Object.entries(data || {}).map(([id, value]) => ({
+            id,
+            text: typeof value === 'string' ? value : value?.translation || value?.text || value?.sentence
+        }));
+
+    return rows
+        .filter(row => typeof row.text === 'string' && row.text.trim())
+        .map(row => ({ id: String(row.id), text: row.text.trim() }));
+}
+
+/**
+ * Sentences from the demo keypoints, so the index works before the dataset is downloaded
+ */
+function loadDemoSentences() {
+    try {
+        if (!fs.existsSync(DEMO_KEYPOINTS_PATH)) return [];
+        const demo = JSON.parse(fs.readFileSync(DEMO_KEYPOINTS_PATH, 'utf8'));
+        return Object.entries(demo.sentences || {}).map(([id, entry]) => ({ id, text: entry.sentence, demo: true }));
+    } catch (error) {
+        console.warn('Could not load demo sentences:', error.message);
+        return [];
+    }
+}
+
+function fingerprint(sentences) {
+    const hash = crypto.createHash('sha1');
+    for (const sentence of sentences) hash.update(`${sentence.id}\t${sentence.text}\n`);
+    return hash.digest('hex');
+}
+
+// ============================================
+// VECTOR MATH
+// Embeddings are L2-normalized, so cosine similarity is a dot product
+// ============================================
+
+function dot(vectors, offset, query) {
+    let sum = 0;
+    for (let d = 0; d < query.length; d++) sum += vectors[offset + d] * query[d];
+    return sum;
+}
+
+function normalize(vector) {
+    let norm = 0;
+    for (let d = 0; d < vector.length; d++) norm += vector[d] * vector[d];
+    norm = Math.sqrt(norm) || 1;
+    for (let d = 0; d < vector.length; d++) vector[d] /= norm;
+    return vector;
+}
+
+/**
+ * Spherical k-means: centroids for the IVF index
+ * @param {Float32Array} vectors - N x dims, normalized
+ * @returns {Object} { centroids: Float32Array (nlist x dims), lists: number[][] }
+ */
+function trainIvf(vectors, count, dims, nlist) {
+    // Deterministic sample: every k-th sentence
+    const step = Math.max(1, Math.floor(count / CONFIG.ivf.trainSample));
+    const sample = [];
+    for (let i = 0; i < count; i += step) sample.push(i);
+
+    const centroids = new Float32Array(nlist * dims);
+    for (let c = 0; c < nlist; c++) {
+        const source = sample[Math.floor((c * sample.length) / nlist)] * dims;
+        centroids.set(vectors.subarray(source, source + dims), c * dims);
+    }
+
+    const nearest = (offset) => {
+        let best = 0;
+        let bestScore = -Infinity;
+        for (let c = 0; c < nlist; c++) {
+            let score = 0;
+            for (let d = 0; d < dims; d++) score += centroids[c * dims + d] * vectors[offset + d];
+            if (score > bestScore) {
+                bestScore = score;
+                best = c;
+            }
+        }
+        return best;
+    };
+
+    for (let iteration = 0; iteration < CONFIG.ivf.iterations; iteration++) {
+        const sums = new Float32Array(nlist * dims);
+        const sizes = new Array(nlist).fill(0);
+
+        for (const i of sample) {
+            const c = nearest(i * dims);
+            sizes[c]++;
+            for (let d = 0; d < dims; d++) sums[c * dims + d] += vectors[i * dims + d];
+        }
+
+        for (let c = 0; c < nlist; c++) {
+            if (sizes[c] === 0) continue; // Keep empty clusters where they were
+            normalize(sums.subarray(c * dims, (c + 1) * dims));
+            centroids.set(sums.subarray(c * dims, (c + 1) * dims), c * dims);
+        }
+    }
+
+    const lists = Array.from({ length: nlist }, () => []);
+    for (let i = 0; i < count; i++) lists[nearest(i * dims)].push(i);
+
+    return { centroids, lists };
+}
+
+// ============================================
+// EMBEDDING MODEL (optional)
+// ============================================
+
+/**
+ * Load a transformers.js feature-extraction pipeline
+ * @param {string} model - Hub model ID (e.g. Xenova/all-MiniLM-L6-v2) or a local model directory
+ * @returns {Function|null} async (texts) => number[][] (normalized), or null if unavailable
+ */
+async function loadEmbedder(model) {
+    let transformers;
+    try {
+        transformers = await import('@xenova/transformers');
+    } catch {
+        try {
+            transformers = await import('@huggingface/transformers');
+        } catch {
+            console.warn('⚠️ SENTENCE_EMBEDDING_MODEL is set but transformers.js is not installed (npm install @xenova/transformers) - using BM25 only');
+            return null;
+        }
+    }
+
+    let modelId = model;
+    if (fs.existsSync(model)) {
+        // On-disk ONNX model: never download
+        const absolute = path.resolve(model);
+        transformers.env.localModelPath = path.dirname(absolute);
+        transformers.env.allowRemoteModels = false;
+        modelId = path.basename(absolute);
+    }
+
+    try {
+        const extractor = await transformers.pipeline('feature-extraction', modelId);
+        return async (texts) => {
+            const output = await extractor(texts, { pooling: 'mean', normalize: true });
+            return output.tolist();
+        };
+    } catch (error) {
+        console.warn(`⚠️ Could not load embedding model ${model}: ${error.message} - using BM25 only`);
+        return null;
+    }
+}
+
+// ============================================
+// SENTENCE INDEX
+// ============================================
+
+class SentenceIndex {
+    constructor(options = {}) {
+        this.indexDir = options.indexDir || config.paths.sentenceIndexDir;
+        this.model = options.model ?? process.env.SENTENCE_EMBEDDING_MODEL ?? null;
+
+        this.sentences = [];
+        this.source = null;          // 'how2sign' | 'demo'
+        this.fingerprint = null;
+
+        // BM25
+        this.postings = new Map();   // term -> [[sentenceIndex, termFrequency], ...]
+        this.docLengths = [];
+        this.avgDocLength = 0;
+
+        // Dense
+        this.vectors = null;         // Float32Array, sentences x dims
+        this.dims = 0;
+        this.ivf = null;             // { centroids: Float32Array, lists: number[][] }
+        this.embedder = null;
+        this.embedderPromise = null;
+
+        this.loading = null;
+        this.lastBuild = null;
+    }
+
+    get size() {
+        return this.sentences.length;
+    }
+
+    get hasVectors() {
+        return !!this.vectors;
+    }
+
+    /**
+     * Load the translation set (and the persisted dense index if it matches).
+     * Safe to call repeatedly - loads once.
+     */
+    ready() {
+        if (!this.loading) {
+            this.loading = this._load().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async _load() {
+        const started = performance.now();
+        this._setSentences(this._readSentences());
+        this._loadVectors();
+
+        console.log(`✅ Sentence index ready: ${this.size} ${this.source} sentences` +
+            `${this.hasVectors ? `, ${this.dims}-d vectors${this.ivf ? ` in ${this.ivf.lists.length} clusters` : ''}` : ', BM25 only'}` +
+            ` (${Math.round(performance.now() - started)} ms)`);
+        return this;
+    }
+
+    _readSentences() {
+        const data = loadHow2SignData();
+        const sentences = data ? toSentences(data) : [];
+        if (sentences.length > 0) {
+            this.source = 'how2sign';
+            return sentences;
+        }
+
+        this.source = 'demo';
+        return loadDemoSentences();
+    }
+
+    _setSentences(sentences) {
+        this.sentences = sentences;
+        this.fingerprint = fingerprint(sentences);
+        this._buildBm25();
+    }
+
+    _buildBm25() {
+        this.postings = new Map();
+        this.docLengths = new Array(this.sentences.length);
+        let totalLength = 0;
+
+        this.sentences.forEach((sentence, i) => {
+            const terms = tokenize(sentence.text);
+            this.docLengths[i] = terms.length;
+            totalLength += terms.length;
+
+            const counts = new Map();
+            for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+            for (const [term, tf] of counts) {
+                if (!this.postings.has(term)) this.postings.set(term, []);
+                this.postings.get(term).push([i, tf]);
+            }
+        });
+
+        this.avgDocLength = this.sentences.length > 0 ? totalLength / this.sentences.length : 0;
+    }
+
+    _idf(term) {
+        const df = this.postings.get(term)?.length || 0;
+        return Math.log(1 + (this.sentences.length - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * BM25 scores normalized to 0-1 by the best score the query could get
+     * (every query term once in an average-length sentence)
+     * @returns {Map} sentenceIndex -> { score, terms }
+     */
+    _bm25(query) {
+        const { k1, b } = CONFIG.bm25;
+        const terms = [...new Set(tokenize(query))];
+        const scores = new Map();
+        let maxScore = 0;
+
+        for (const term of terms) {
+            const idf = this._idf(term);
+            maxScore += idf;
+
+            for (const [i, tf] of this.postings.get(term) || []) {
+                const lengthNorm = 1 - b + b * (this.docLengths[i] / (this.avgDocLength || 1));
+                const score = idf * (tf * (k1 + 1)) / (tf + k1 * lengthNorm);
+                const entry = scores.get(i) || { score: 0, terms: [] };
+                entry.score += score;
+                entry.terms.push(term);
+                scores.set(i, entry);
+            }
+        }
+
+        for (const entry of scores.values()) {
+            entry.score = maxScore > 0 ? Math.min(1, entry.score / maxScore) : 0;
+        }
+        return scores;
+    }
+
+    /**
+     * Nearest sentences by cosine similarity (IVF probe when clustered)
+     * @returns {Map} sentenceIndex -> cosine
+     */
+    _dense(queryVector, limit) {
+        const candidates = [];
+
+        if (this.ivf) {
+            const { centroids, lists } = this.ivf;
+            const ranked = lists
+                .map((_, c) => ({ c, score: dot(centroids, c * this.dims, queryVector) }))
+                .sort((x, y) => y.score - x.score)
+                .slice(0, CONFIG.ivf.nprobe);
+            for (const { c } of ranked) candidates.push(...lists[c]);
+        } else {
+            for (let i = 0; i < this.sentences.length; i++) candidates.push(i);
+        }
+
+        return new Map(candidates
+            .map(i => [i, dot(this.vectors, i * this.dims, queryVector)])
+            .sort((x, y) => y[1] - x[1])
+            .slice(0, limit));
+    }
+
+    async _getEmbedder() {
+        if (!this.model) return null;
+        if (!this.embedderPromise) {
+            this.embedderPromise = loadEmbedder(this.model).then(embedder => {
+                this.embedder = embedder;
+                return embedder;
+            });
+        }
+        return this.embedderPromise;
+    }
+
+    /**
+     * Top-K sentences for a query
+     * @param {string} query - English text
+     * @param {Object} options - { topK }
+     * @returns {Promise<Array>} [{ id, text, score, bm25, cosine, matchedTerms, source, demo }]
+     */
+    async search(query, { topK = 5 } = {}) {
+        await this.ready();
+        if (!query || this.size === 0) return [];
+
+        const limit = topK * CONFIG.candidateMultiplier;
+        const lexical = this._bm25(query);
+
+        let dense = null;
+        let queryVector = null;
+        if (this.hasVectors) {
+            const embedder = await this._getEmbedder();
+            if (embedder) {
+                const [vector] = await embedder([query]);
+                queryVector = Float32Array.from(vector);
+                dense = this._dense(queryVector, limit);
+            }
+        }
+
+        const candidates = new Set([
+            ...[...lexical.entries()].sort((x, y) => y[1].score - x[1].score).slice(0, limit).map(([i]) => i),
+            ...(dense ? dense.keys() : [])
+        ]);
+
+        const results = [...candidates].map(i => {
+            const bm25 = lexical.get(i)?.score || 0;
+            const cosine = dense ? (dense.get(i) ?? dot(this.vectors, i * this.dims, queryVector)) : null;
+            const score = dense
+                ? CONFIG.denseWeight * Math.max(0, cosine) + (1 - CONFIG.denseWeight) * bm25
+                : bm25;
+
+            return {
+                id: this.sentences[i].id,
+                text: this.sentences[i].text,
+                score,
+                bm25,
+                cosine,
+                matchedTerms: lexical.get(i)?.terms || [],
+                source: dense ? 'hybrid' : 'bm25',
+                ...(this.sentences[i].demo && { demo: true })
+            };
+        });
+
+        return results
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    // ============================================
+    // BUILD / PERSISTENCE
+    // ============================================
+
+    /**
+     * Re-read the translation set and, if an embedding model is configured,
+     * embed every sentence and write the ANN index to disk
+     * @param {Object} options - { limit, onProgress(done, total) }
+     */
+    async build({ limit = Infinity, onProgress = () => {} } = {}) {
+        const started = performance.now();
+        this._setSentences(this._readSentences().slice(0, limit));
+        this.vectors = null;
+        this.ivf = null;
+        this.loading = Promise.resolve(this);
+
+        const embedder = await this._getEmbedder();
+        if (embedder && this.size > 0) {
+            const rows = [];
+            for (let i = 0; i < this.size; i += CONFIG.embedBatchSize) {
+                const batch = this.sentences.slice(i, i + CONFIG.embedBatchSize).map(s => s.text);
+                rows.push(...await embedder(batch));
+                onProgress(Math.min(this.size, i + CONFIG.embedBatchSize), this.size);
+            }
+
+            this.dims = rows[0].length;
+            this.vectors = new Float32Array(this.size * this.dims);
+            rows.forEach((row, i) => this.vectors.set(row, i * this.dims));
+
+            if (this.size >= CONFIG.ivf.minSentences) {
+                this.ivf = trainIvf(this.vectors, this.size, this.dims, Math.round(Math.sqrt(this.size)));
+            }
+            this._saveVectors();
+        }
+
+        this.lastBuild = {
+            builtAt: new Date().toISOString(),
+            sentences: this.size,
+            dense: this.hasVectors,
+            durationMs: Math.round(performance.now() - started)
+        };
+        return this.getStats();
+    }
+
+    _saveVectors() {
+        fs.mkdirSync(this.indexDir, { recursive: true });
+
+        const meta = {
+            version: INDEX_VERSION,
+            createdAt: new Date().toISOString(),
+            model: this.model,
+            source: this.source,
+            fingerprint: this.fingerprint,
+            count: this.size,
+            dims: this.dims,
+            ivf: this.ivf
+                ? { centroids: Array.from(this.ivf.centroids), lists: this.ivf.lists }
+                : null
+        };
+
+        const vectorsPath = path.join(this.indexDir, VECTORS_FILE);
+        fs.writeFileSync(`${vectorsPath}.tmp`, Buffer.from(this.vectors.buffer));
+        fs.renameSync(`${vectorsPath}.tmp`, vectorsPath);
+        fs.writeFileSync(path.join(this.indexDir, INDEX_FILE), JSON.stringify(meta));
+        console.log(`💾 Sentence index saved: ${this.size} vectors → ${this.indexDir}`);
+    }
+
+    /**
+     * Use the persisted vectors if they were built from the same sentences and model
+     */
+    _loadVectors() {
+        const metaPath = path.join(this.indexDir, INDEX_FILE);
+        const vectorsPath = path.join(this.indexDir, VECTORS_FILE);
+        if (!this.model || !fs.existsSync(metaPath) || !fs.existsSync(vectorsPath)) return;
+
+        try {
+            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            if (meta.version !== INDEX_VERSION || meta.model !== this.model || meta.fingerprint !== this.fingerprint) {
+                console.warn('⚠️ Sentence index on disk is out of date (dataset or model changed) - run npm run index:how2sign');
+                return;
+            }
+
+            // Copy out of Node's buffer pool - Float32Array needs a 4-byte aligned offset
+            const buffer = fs.readFileSync(vectorsPath);
+            this.vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+            this.dims = meta.dims;
+            this.ivf = meta.ivf
+                ? { centroids: Float32Array.from(meta.ivf.centroids), lists: meta.ivf.lists }
+                : null;
+        } catch (error) {
+            console.warn('Could not load sentence vectors:', error.message);
+            this.vectors = null;
+            this.ivf = null;
+        }
+    }
+
+    getStats() {
+        return {
+            loaded: this.size > 0,
+            source: this.source,
+            sentences: this.size,
+            terms: this.postings.size,
+            backend: this.hasVectors ? 'hybrid' : 'bm25',
+            model: this.model,
+            dims: this.hasVectors ? this.dims : null,
+            clusters: this.ivf?.lists.length || null,
+            indexDir: this.indexDir,
+            lastBuild: this.lastBuild
+        };
+    }
+}
+
+// Singleton instance
+const sentenceIndex = new SentenceIndex();
+
+export default sentenceIndex;
+export { SentenceIndex, CONFIG as SENTENCE_INDEX_CONFIG, tokenize, toSentences };
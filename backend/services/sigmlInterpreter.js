@@ -0,0 +1,1079 @@
+// backend/services/sigmlInterpreter.js
+// Local SiGML / HamNoSys interpreter: SiGML in, avatar sign definitions out
+//
+// Reads both SiGML flavours - gestural SiGML (<hamgestural_sign>, what
+// translateTextToSiGML asks Gemini for) and HamNoSys symbol strings
+// (<hns_sign>, what SiGML corpora ship) - and maps handconfig, palmor,
+// location_bodyarm and the movement elements onto Avatar3D's bone model:
+// rArm / rForeArm / rHand (lArm / lForeArm / lHand for the second hand) in
+// radians, with HANDSHAPE_MAP handshape names. Each sign comes out as an
+// avatar lexicon definition (see avatarLexicon.js), so Avatar3D plays it
+// through jsonSignToKeyframes() like the lexicon's own signs.
+//
+// No model call: the same SiGML always gives the same keyframes. Poses are
+// approximations of the notation on a generic rig. Elements and values with
+// no mapping are skipped and listed in the sign's `unsupported`, so a corpus
+// can be checked for coverage instead of failing on its first odd sign.
+
+import xml2js from 'xml2js';
+import { normalizeGloss } from '../signResolver.js';
+
+// ============================================
+// ERRORS
+// ============================================
+
+class SiGMLError extends Error {
+    /**
+     * @param {string} message
+     * @param {string[]} problems - What was wrong with the document
+     */
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'SiGMLError';
+        this.problems = problems;
+    }
+}
+
+// ============================================
+// LIMITS
+// Every rpt_motion multiplies the frames inside it, so a few hundred bytes
+// of nested repeats expand to millions of keyframes. Documents are measured
+// before anything is evaluated and refused past these limits.
+// ============================================
+
+const LIMITS = {
+    maxSigns: 200,
+    maxDepth: 24,           // Nested elements, in the XML and in a sign_manual
+    maxRepeatDepth: 3,      // rpt_motion inside rpt_motion
+    maxFrames: 3000         // Keyframes per hand for the whole document (estimated)
+};
+
+// ============================================
+// BODY MODEL
+// All poses are for the right (dominant) hand; the left hand is computed
+// the same way and mirrored (y and z negated) when the sign is written out
+// ============================================
+
+const TIMING = {
+    hold: 0.2,              // Seconds at the starting posture, and again at the end
+    minimum: 0.6,           // Shortest sign (static signs are just held)
+    directed: { small: 0.3, medium: 0.4, big: 0.55 },
+    circular: 0.7,
+    wrist: 0.5,
+    fingerplay: 0.6,
+    nomotion: 0.3,
+    transition: 0.25        // Handshape or location change inside the movement
+};
+
+const SIZES = { small: 0.6, medium: 1, big: 1.5, large: 1.5 };
+
+// Upper arm rotation and elbow bend (rForeArm.y) that put the hand at each
+// body location; values follow the hand-tuned signs in data/avatar-lexicon.json
+const LOCATIONS = {
+    neutral: { arm: { x: 0.3, y: 0, z: 0.6 }, foreArm: 1.0 },
+    headtop: { arm: { x: 0, y: 0, z: 1.35 }, foreArm: 1.3 },
+    head: { arm: { x: 0, y: -0.1, z: 1.25 }, foreArm: 1.4 },
+    forehead: { arm: { x: 0.1, y: 0, z: 1.15 }, foreArm: 1.6 },
+    eyebrows: { arm: { x: 0.2, y: 0, z: 1.1 }, foreArm: 1.7 },
+    eyes: { arm: { x: 0.3, y: 0, z: 1.05 }, foreArm: 1.7 },
+    nose: { arm: { x: 0.4, y: 0.05, z: 0.95 }, foreArm: 1.8 },
+    ear: { arm: { x: 0, y: -0.3, z: 1.1 }, foreArm: 1.8 },
+    cheek: { arm: { x: 0.1, y: -0.2, z: 1.0 }, foreArm: 1.8 },
+    mouth: { arm: { x: 0.5, y: 0.05, z: 0.85 }, foreArm: 1.8 },
+    chin: { arm: { x: 0.5, y: 0, z: 0.8 }, foreArm: 1.8 },
+    neck: { arm: { x: 0.5, y: 0.2, z: 0.7 }, foreArm: 1.8 },
+    shoulders: { arm: { x: 0.4, y: 0.3, z: 0.7 }, foreArm: 1.7 },
+    chest: { arm: { x: 0.6, y: 0.4, z: 0.5 }, foreArm: 1.6 },
+    stomach: { arm: { x: 0.5, y: 0.3, z: 0.35 }, foreArm: 1.3 },
+    belowstomach: { arm: { x: 0.4, y: 0.2, z: 0.25 }, foreArm: 1.0 },
+    // On the other arm
+    upperarm: { arm: { x: 0.8, y: 0.5, z: 0.45 }, foreArm: 1.9 },
+    elbow: { arm: { x: 0.7, y: 0.5, z: 0.35 }, foreArm: 1.7 },
+    lowerarm: { arm: { x: 0.6, y: 0.4, z: 0.4 }, foreArm: 1.4 },
+    // Hand constellations and locations on the other hand: both hands meet
+    // in front of the chest
+    hands: { arm: { x: 0.45, y: 0.25, z: 0.5 }, foreArm: 1.3 }
+};
+
+const LOCATION_ALIASES = {
+    neutralspace: 'neutral',
+    face: 'nose',
+    nostrils: 'nose',
+    earlobe: 'ear',
+    lips: 'mouth',
+    tongue: 'mouth',
+    teeth: 'mouth',
+    underchin: 'chin',
+    shouldertop: 'shoulders',
+    shoulder: 'shoulders',
+    elbowinside: 'elbow',
+    wristback: 'lowerarm',
+    wristpulse: 'lowerarm',
+    palm: 'hands',
+    handback: 'hands',
+    thumbball: 'hands'
+};
+
+// Shift across the body for location_bodyarm side="..." (toward the other
+// side is +y for the right arm)
+const SIDE_SHIFT = { at: 0.12, beside: 0.25 };
+
+const CONTACT = {
+    touch: { arm: { x: 0, y: 0, z: 0 }, foreArm: 0.15 },
+    close: { arm: { x: 0, y: 0, z: 0 }, foreArm: 0.08 },
+    armextended: { arm: { x: -0.2, y: 0, z: 0 }, foreArm: -0.6 }
+};
+
+// HamNoSys handshapes -> HANDSHAPE_MAP names, then thumb and bend variants
+const HANDSHAPES = {
+    fist: 'Fist',
+    flat: 'OpenPalm',
+    finger2: 'IndexPoint',
+    finger23: 'U_Shape',
+    finger23spread: 'V_Shape',
+    finger234: 'W_Shape',
+    finger2345: 'Flat',
+    finger5: 'PinkyUp',
+    finger25: 'ILY',
+    pinch12: 'Pinch',
+    pinch12open: 'F_Shape',
+    pinchall: 'Pinch',
+    cee12: 'C_Shape',
+    cee12open: 'C_Shape',
+    ceeall: 'C_Shape'
+};
+
+const HANDSHAPE_VARIANTS = {
+    'fist:out': 'ThumbSide',
+    'flat:across': 'Flat',
+    'flat:bent': 'Bent',
+    'flat:round': 'C_Shape',
+    'finger2:out': 'L_Shape',
+    'finger2:bent': 'X_Shape',
+    'finger2:hooked': 'X_Shape',
+    'finger23:out': 'Three_Shape',
+    'finger23spread:out': 'Three_Shape',
+    'finger2345:bent': 'Bent',
+    'finger2345:round': 'C_Shape',
+    'finger5:out': 'Y_Shape'
+};
+
+// Forearm roll (rHand.z) for each palm orientation, right hand
+const PALM_ROLL = { l: 0, ul: -0.75, u: -1.5, ur: -2.25, r: -3.0, dr: 2.25, d: 1.5, dl: 0.75 };
+
+// Direction letters -> axis of the signing space: up, left (the signer's
+// left) and out (away from the body)
+const DIRECTION_LETTERS = {
+    u: ['up', 1], d: ['up', -1],
+    l: ['left', 1], r: ['left', -1],
+    o: ['out', 1], i: ['out', -1]
+};
+
+// Non-manual codes (SiGML tiers and hamnosys_nonmanual tags) -> Avatar3D markers
+const NON_MANUAL_CODES = {
+    NO: 'head-nod',
+    ND: 'head-nod',
+    SH: 'head-shake',
+    TL: 'head-tilt',
+    TR: 'head-tilt',
+    RB: 'raised-eyebrows',
+    RL: 'raised-eyebrows',
+    RR: 'raised-eyebrows',
+    FU: 'furrowed-brows',
+    WB: 'wide-eyes',
+    UB: 'shoulder-raise',
+    SL: 'shoulder-shift-left',
+    SR: 'shoulder-shift-right',
+    PP: 'pursed-lips'
+};
+
+const POSTURE_ELEMENTS = ['handconfig', 'split_handconfig', 'location_bodyarm', 'split_location', 'handconstellation', 'location_hand'];
+
+// ============================================
+// VECTORS
+// ============================================
+
+const ZERO = { x: 0, y: 0, z: 0 };
+const ZERO_DELTA = { arm: ZERO, foreArm: ZERO, hand: ZERO };
+const BONE_PARTS = ['arm', 'foreArm', 'hand'];
+
+const addRotation = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const scaleRotation = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const mirrorRotation = (a) => ({ x: a.x, y: -a.y, z: -a.z });
+const round = (value) => Math.round(value * 1000) / 1000 || 0;
+const roundRotation = (a) => ({ x: round(a.x), y: round(a.y), z: round(a.z) });
+
+const combine = (fn) => (a, b, k) => Object.fromEntries(BONE_PARTS.map(part => [part, fn(a[part], b[part], k)]));
+const addDelta = combine((a, b) => addRotation(a, b));
+const subtractDelta = combine((a, b) => addRotation(a, scaleRotation(b, -1)));
+const lerpDelta = combine((a, b, t) => addRotation(a, scaleRotation(addRotation(b, scaleRotation(a, -1)), t)));
+const scaleDelta = (a, k) => Object.fromEntries(BONE_PARTS.map(part => [part, scaleRotation(a[part], k)]));
+
+const swapLeftRight = (letters) => letters.replace(/[lr]/g, c => (c === 'l' ? 'r' : 'l'));
+const scaleDirection = (vector, k) => ({ up: vector.up * k, left: vector.left * k, out: vector.out * k });
+
+/**
+ * Unit vector for HamNoSys direction letters ("o", "ul", "dil")
+ * @param {boolean} swap - Read l and r the other way round (second hand
+ *   moving in the same absolute direction, which mirroring would undo)
+ * @returns {Object|null} { up, left, out }, or null for anything else
+ */
+function directionVector(letters, swap = false) {
+    if (!letters || !/^[udlroi]+$/.test(letters)) return null;
+    const vector = { up: 0, left: 0, out: 0 };
+    for (const letter of swap ? swapLeftRight(letters) : letters) {
+        const [axis, sign] = DIRECTION_LETTERS[letter];
+        vector[axis] += sign;
+    }
+    const length = Math.hypot(vector.up, vector.left, vector.out);
+    if (length === 0) return null;
+    return { up: vector.up / length, left: vector.left / length, out: vector.out / length };
+}
+
+/**
+ * Bone change that moves the hand along a direction vector: raise the arm
+ * for up, swing it across for left, straighten the elbow for out
+ */
+function moveDelta({ up, left, out }, size = 1) {
+    return {
+        arm: { x: -out * 0.25 * size, y: left * 0.3 * size, z: up * 0.35 * size },
+        foreArm: { x: 0, y: -out * 0.5 * size, z: 0 },
+        hand: ZERO
+    };
+}
+
+// ============================================
+// POSTURE
+// handconfig and location_bodyarm attributes -> bones and handshape
+// ============================================
+
+const DEFAULT_SPEC = { config: { handshape: 'flat' }, location: { location: 'neutral' } };
+
+function locationKey(name) {
+    const key = String(name || '').toLowerCase();
+    return LOCATIONS[key] ? key : LOCATION_ALIASES[key] || null;
+}
+
+function handshapeName(config, notes) {
+    const base = config.handshape;
+    if (!base) return HANDSHAPES.flat;
+    if (!HANDSHAPES[base]) {
+        notes.add(`handshape="${base}"`);
+        return HANDSHAPES.flat;
+    }
+    return HANDSHAPE_VARIANTS[`${base}:${config.thumbpos}`] ||
+        HANDSHAPE_VARIANTS[`${base}:${config.mainbend}`] ||
+        HANDSHAPES[base];
+}
+
+/**
+ * rHand rotation for the extended finger direction and palm orientation
+ */
+function handRotation(config, hand, notes) {
+    const rotation = { x: 0, y: 0, z: 0 };
+
+    if (config.extfidir) {
+        const finger = directionVector(config.extfidir, hand.swap);
+        if (finger) {
+            // Fingers forward tip the wrist, down flexes it, sideways turns it
+            rotation.x += finger.out * 0.6 + Math.max(0, -finger.up);
+            rotation.y += finger.left * 0.5;
+        } else {
+            notes.add(`extfidir="${config.extfidir}"`);
+        }
+    }
+
+    if (config.palmor) {
+        const palm = hand.swap ? swapLeftRight(config.palmor) : config.palmor;
+        const sideways = palm.replace(/[oi]/g, '');
+        if (sideways && PALM_ROLL[sideways] === undefined) {
+            notes.add(`palmor="${config.palmor}"`);
+        } else {
+            // Palm toward / away from the body tilts the hand; with no other
+            // letter it faces out like HELLO or in like THANK-YOU
+            rotation.z += sideways ? PALM_ROLL[sideways] : palm.includes('o') ? 0.3 : 0;
+            if (palm.includes('o')) rotation.x -= 0.2;
+            if (palm.includes('i')) rotation.x += 0.2;
+        }
+    }
+
+    return rotation;
+}
+
+function locationBones(location, hand, notes) {
+    const key = locationKey(location.location);
+    if (location.location && !key) notes.add(`location="${location.location}"`);
+    const base = LOCATIONS[key || 'neutral'];
+    let arm = { ...base.arm };
+    let foreArm = base.foreArm;
+
+    // side="right_beside", "left_at", ...: toward the other side of the body
+    // moves the right arm across (+y)
+    const side = String(location.side || '').toLowerCase();
+    const [, direction, distance] = side.match(/^(left|right)_(at|beside)$/) || [];
+    if (direction) {
+        const across = (direction === 'left') !== hand.swap;
+        arm.y += (across ? 1 : -1) * SIDE_SHIFT[distance];
+    } else if (side) {
+        notes.add(`side="${location.side}"`);
+    }
+
+    const contact = CONTACT[String(location.contact || '').toLowerCase()];
+    if (contact) {
+        arm = addRotation(arm, contact.arm);
+        foreArm += contact.foreArm;
+    } else if (location.contact) {
+        notes.add(`contact="${location.contact}"`);
+    }
+
+    return { arm, foreArm: { x: 0, y: foreArm, z: 0 } };
+}
+
+/**
+ * Apply posture elements (handconfig, location_bodyarm and their split_
+ * forms) to a hand's state. Only what the elements name changes: a palmor
+ * on its own keeps the arm where the movement left it.
+ */
+function changePosture(state, nodes, hand, notes) {
+    const spec = { config: { ...state.spec.config }, location: { ...state.spec.location } };
+    let located = false;
+    let oriented = false;
+
+    const apply = (node) => {
+        switch (node.name) {
+            case 'handconfig':
+                Object.assign(spec.config, node.attrs);
+                if (node.attrs.extfidir || node.attrs.palmor) oriented = true;
+                break;
+            case 'location_bodyarm':
+                spec.location = { ...node.attrs };
+                located = true;
+                break;
+            case 'split_handconfig':
+            case 'split_location':
+                // First child is the dominant hand, second the other one
+                if (node.children[hand.index]) apply(node.children[hand.index]);
+                break;
+            case 'handconstellation':
+            case 'location_hand':
+                spec.location = { location: 'hands' };
+                located = true;
+                break;
+            default:
+                notes.add(node.name);
+        }
+    };
+    nodes.forEach(apply);
+
+    const bones = locationBones(spec.location, hand, notes);
+    return {
+        spec,
+        handshape: handshapeName(spec.config, notes),
+        arm: located ? bones.arm : state.arm,
+        foreArm: located ? bones.foreArm : state.foreArm,
+        hand: oriented ? handRotation(spec.config, hand, notes) : state.hand
+    };
+}
+
+function initialState(nodes, hand, notes) {
+    const start = { spec: DEFAULT_SPEC, ...locationBones(DEFAULT_SPEC.location, hand, notes), hand: ZERO, handshape: HANDSHAPES.flat };
+    return changePosture(start, nodes, hand, notes);
+}
+
+const bonesOf = (state) => ({ arm: state.arm, foreArm: state.foreArm, hand: state.hand });
+
+// ============================================
+// MOVEMENT
+// Each element evaluates to { duration, frames, end }: frames are
+// { t (0-1 of the element), delta (bones relative to where it started),
+// handshape? }, end the hand's state afterwards
+// ============================================
+
+/**
+ * Frames from a list of [t, delta] pairs, ending where the last one does
+ */
+function framesResult(state, duration, points, handshapes = {}) {
+    const frames = points.map(([t, delta]) => ({ t, delta, ...(handshapes[t] && { handshape: handshapes[t] }) }));
+    const last = frames[frames.length - 1];
+    return {
+        duration,
+        frames,
+        end: { ...state, ...addDelta(bonesOf(state), last.delta), handshape: last.handshape || state.handshape }
+    };
+}
+
+/**
+ * Points around a circle in the plane of two unit vectors, starting and
+ * ending at the current position
+ */
+function circlePoints(first, second, radius, steps = 8) {
+    return Array.from({ length: steps + 1 }, (_, i) => {
+        const angle = (i / steps) * Math.PI * 2;
+        const a = (Math.cos(angle) - 1) * radius;
+        const b = Math.sin(angle) * radius;
+        return [i / steps, { up: first.up * a + second.up * b, left: first.left * a + second.left * b, out: first.out * a + second.out * b }];
+    });
+}
+
+const AXES = { up: { up: 1, left: 0, out: 0 }, left: { up: 0, left: 1, out: 0 }, out: { up: 0, left: 0, out: 1 } };
+
+// Plane a circle is drawn in, for the main letter of its axis
+const CIRCLE_PLANES = {
+    up: [AXES.left, AXES.out],     // Horizontal circle
+    left: [AXES.up, AXES.out],     // Beside the body
+    out: [AXES.up, AXES.left]      // Facing the viewer
+};
+
+function directedMotion(node, state, hand, notes) {
+    const { direction, second_direction: secondDirection, size = 'medium', curve } = node.attrs;
+    const vector = directionVector(`${direction || ''}${secondDirection || ''}`, hand.swap);
+    if (!vector) {
+        notes.add(`directedmotion direction="${direction || ''}"`);
+        return null;
+    }
+
+    const scale = SIZES[size] || 1;
+    const end = moveDelta(vector, scale);
+    const points = [[0, ZERO_DELTA]];
+
+    // curve="u": arc bulging that way halfway along
+    const bulge = curve && directionVector(curve, hand.swap);
+    if (bulge) points.push([0.5, addDelta(scaleDelta(end, 0.5), moveDelta(bulge, scale * 0.35))]);
+    else if (curve) notes.add(`curve="${curve}"`);
+    points.push([1, end]);
+
+    return framesResult(state, TIMING.directed[size === 'large' ? 'big' : size] || TIMING.directed.medium, points);
+}
+
+function circularMotion(node, state, hand, notes) {
+    const { axis, size = 'medium' } = node.attrs;
+    const vector = directionVector(axis, hand.swap);
+    if (!vector) {
+        notes.add(`circularmotion axis="${axis || ''}"`);
+        return null;
+    }
+
+    // The strongest component names the plane; its sign the way round
+    const main = ['up', 'left', 'out'].reduce((a, b) => (Math.abs(vector[b]) > Math.abs(vector[a]) ? b : a));
+    const [first, second] = CIRCLE_PLANES[main];
+    const turn = Math.sign(vector[main]);
+    const scale = SIZES[size] || 1;
+    const points = circlePoints(first, scaleDirection(second, turn), 0.5)
+        .map(([t, position]) => [t, moveDelta(position, scale)]);
+
+    return framesResult(state, TIMING.circular, points);
+}
+
+
+// Wrist oscillation: bone axis and amplitude
+const WRIST_MOTIONS = {
+    nodding: ['x', 0.45],
+    swinging: ['y', 0.4],
+    twisting: ['z', 0.6]
+};
+
+function wristMotion(node, state, hand, notes) {
+    const motion = String(node.attrs.motion || '').toLowerCase();
+
+    if (motion === 'stircw' || motion === 'stirccw') {
+        const turn = motion === 'stircw' ? 1 : -1;
+        const points = circlePoints(AXES.up, scaleDirection(AXES.left, turn), 0.3)
+            .map(([t, { up, left }]) => [t, { ...ZERO_DELTA, hand: { x: -up, y: left, z: 0 } }]);
+        return framesResult(state, TIMING.wrist, points);
+    }
+
+    if (!WRIST_MOTIONS[motion]) {
+        notes.add(`wristmotion motion="${node.attrs.motion || ''}"`);
+        return null;
+    }
+    const [axis, amplitude] = WRIST_MOTIONS[motion];
+    const points = [0, 1, -1, 1, 0].map((k, i) => [i / 4, { ...ZERO_DELTA, hand: { ...ZERO, [axis]: k * amplitude } }]);
+    return framesResult(state, TIMING.wrist, points);
+}
+
+function fingerplay(state) {
+    const points = [0, 0.25, 0.5, 0.75, 1].map(t => [t, ZERO_DELTA]);
+    const handshapes = { 0.25: 'Bent', 0.5: state.handshape, 0.75: 'Bent', 1: state.handshape };
+    return framesResult(state, TIMING.fingerplay, points, handshapes);
+}
+
+/**
+ * Move to a new posture (handshape change, new location)
+ */
+function transition(state, nodes, hand, notes) {
+    const target = changePosture(state, nodes, hand, notes);
+    const result = framesResult(state, TIMING.transition, [[0, ZERO_DELTA], [1, subtractDelta(bonesOf(target), bonesOf(state))]], { 1: target.handshape });
+    return { ...result, end: target };
+}
+
+/**
+ * Elements one after another; posture elements between movements are
+ * transitions
+ */
+function sequence(nodes, state, hand, notes) {
+    const parts = [];
+    let current = state;
+    let duration = 0;
+
+    for (const node of nodes) {
+        const result = evaluate(node, current, hand, notes);
+        if (!result) continue;
+        parts.push({ start: duration, offset: subtractDelta(bonesOf(current), bonesOf(state)), result });
+        duration += result.duration;
+        current = result.end;
+    }
+
+    if (duration === 0) return null;
+
+    const frames = [{ t: 0, delta: ZERO_DELTA }];
+    for (const { start, offset, result } of parts) {
+        for (const frame of result.frames) {
+            if (frame.t === 0 && !frame.handshape) continue;
+            frames.push({ ...frame, t: (start + frame.t * result.duration) / duration, delta: addDelta(offset, frame.delta) });
+        }
+    }
+    return { duration, frames, end: current };
+}
+
+/**
+ * Delta and handshape of a frame list at time t (linear between frames)
+ */
+function sampleFrames(frames, t) {
+    let handshape = null;
+    for (const frame of frames) {
+        if (frame.t <= t && frame.handshape) handshape = frame.handshape;
+    }
+    const after = frames.findIndex(frame => frame.t >= t);
+    if (after === -1) return { delta: frames[frames.length - 1].delta, handshape };
+    if (after === 0 || frames[after].t === t) return { delta: frames[after].delta, handshape };
+
+    const before = frames[after - 1];
+    const k = (t - before.t) / (frames[after].t - before.t);
+    return { delta: lerpDelta(before.delta, frames[after].delta, k), handshape };
+}
+
+/**
+ * Elements at the same time (par_motion): each is stretched over the
+ * longest and their movements add up
+ */
+function parallel(nodes, state, hand, notes) {
+    const results = nodes.map(node => evaluate(node, state, hand, notes)).filter(Boolean);
+    if (results.length === 0) return null;
+
+    const times = [...new Set(results.flatMap(result => result.frames.map(frame => frame.t)))].sort((a, b) => a - b);
+    const frames = times.map(t => {
+        const samples = results.map(result => sampleFrames(result.frames, t));
+        const handshape = samples.map(sample => sample.handshape).filter(Boolean).pop();
+        return { t, delta: samples.reduce((sum, sample) => addDelta(sum, sample.delta), ZERO_DELTA), ...(handshape && { handshape }) };
+    });
+
+    const last = frames[frames.length - 1];
+    const postures = results.map(result => result.end.spec);
+    return {
+        duration: Math.max(...results.map(result => result.duration)),
+        frames,
+        end: { ...state, ...addDelta(bonesOf(state), last.delta), spec: postures[postures.length - 1], handshape: last.handshape || state.handshape }
+    };
+}
+
+// rpt_motion repetition -> [times, continue from the end (true) or start over]
+const REPETITIONS = {
+    fromstart: [2, false],
+    fromstart_several: [3, false],
+    manyrandom: [3, false],
+    continue: [2, true],
+    continue_several: [3, true]
+};
+
+function repeat(node, state, hand, notes) {
+    const once = sequence(node.children, state, hand, notes);
+    if (!once) return null;
+
+    const repetition = String(node.attrs.repetition || 'fromstart').toLowerCase();
+    if (repetition === 'reverse' || repetition === 'swap') {
+        // There and back
+        const back = once.frames.slice(0, -1).reverse().map(frame => ({ ...frame, t: 1 - frame.t / 2 }));
+        const there = once.frames.map(frame => ({ ...frame, t: frame.t / 2 }));
+        return { duration: once.duration * 2, frames: [...there, ...back], end: { ...state, spec: once.end.spec, handshape: once.end.handshape } };
+    }
+
+    if (!REPETITIONS[repetition]) notes.add(`rpt_motion repetition="${node.attrs.repetition}"`);
+    const [count, continues] = REPETITIONS[repetition] || REPETITIONS.fromstart;
+    const step = subtractDelta(bonesOf(once.end), bonesOf(state));
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        const offset = continues ? scaleDelta(step, i) : ZERO_DELTA;
+        for (const frame of once.frames) {
+            if (i > 0 && frame.t === 0 && continues) continue;
+            frames.push({ ...frame, t: (i + frame.t) / count, delta: addDelta(offset, frame.delta) });
+        }
+    }
+
+    const last = frames[frames.length - 1];
+    return {
+        duration: once.duration * count,
+        frames,
+        end: { ...once.end, ...addDelta(bonesOf(state), last.delta) }
+    };
+}
+
+/**
+ * Movement toward a target posture (tgt_motion): the movement's own path,
+ * with the hand pulled onto the target by the end
+ */
+function targeted(node, state, hand, notes) {
+    const postures = node.children.filter(child => POSTURE_ELEMENTS.includes(child.name));
+    const movements = node.children.filter(child => !POSTURE_ELEMENTS.includes(child.name));
+    const motion = sequence(movements, state, hand, notes);
+    if (!motion) return postures.length > 0 ? transition(state, postures, hand, notes) : null;
+
+    const target = changePosture(motion.end, postures, hand, notes);
+    const pull = subtractDelta(bonesOf(target), bonesOf(motion.end));
+    const frames = motion.frames.map(frame => ({ ...frame, delta: addDelta(frame.delta, scaleDelta(pull, frame.t)) }));
+    if (target.handshape !== motion.end.handshape) frames[frames.length - 1].handshape = target.handshape;
+    return { duration: motion.duration, frames, end: target };
+}
+
+function evaluate(node, state, hand, notes) {
+    if (POSTURE_ELEMENTS.includes(node.name)) return transition(state, [node], hand, notes);
+
+    switch (node.name) {
+        case 'directedmotion':
+            return directedMotion(node, state, hand, notes);
+        case 'circularmotion':
+            return circularMotion(node, state, hand, notes);
+        case 'wristmotion':
+            return wristMotion(node, state, hand, notes);
+        case 'fingerplay':
+            return fingerplay(state);
+        case 'nomotion':
+            return framesResult(state, TIMING.nomotion, [[0, ZERO_DELTA], [1, ZERO_DELTA]]);
+        case 'changeposture':
+            return transition(state, node.children, hand, notes);
+        case 'seq_motion':
+            return sequence(node.children, state, hand, notes);
+        case 'par_motion':
+            return parallel(node.children, state, hand, notes);
+        case 'rpt_motion':
+            return repeat(node, state, hand, notes);
+        case 'tgt_motion':
+            return targeted(node, state, hand, notes);
+        case 'split_motion': {
+            const own = node.children[hand.index];
+            return own ? evaluate(own, state, hand, notes) : null;
+        }
+        default:
+            notes.add(node.name);
+            return null;
+    }
+}
+
+/**
+ * Times a rpt_motion plays its content (see repeat)
+ */
+function repetitionCount(node) {
+    const repetition = String(node.attrs.repetition || 'fromstart').toLowerCase();
+    if (repetition === 'reverse' || repetition === 'swap') return 2;
+    return (REPETITIONS[repetition] || REPETITIONS.fromstart)[0];
+}
+
+// Most frames each movement element evaluates to
+const ELEMENT_FRAMES = { directedmotion: 3, circularmotion: 9, wristmotion: 9, fingerplay: 5, nomotion: 2, changeposture: 2 };
+
+/**
+ * Upper bound on the frames an element evaluates to, without evaluating it.
+ * Depth and repeat nesting past LIMITS are added to problems.
+ */
+function estimateFrames(node, problems, depth = 0, repeats = 0) {
+    if (depth > LIMITS.maxDepth) {
+        problems.add(`elements nested more than ${LIMITS.maxDepth} deep`);
+        return 0;
+    }
+    if (POSTURE_ELEMENTS.includes(node.name)) return 2;
+    if (ELEMENT_FRAMES[node.name]) return ELEMENT_FRAMES[node.name];
+
+    const nested = node.name === 'rpt_motion' ? repeats + 1 : repeats;
+    if (nested > LIMITS.maxRepeatDepth) {
+        problems.add(`rpt_motion nested more than ${LIMITS.maxRepeatDepth} deep`);
+        return 0;
+    }
+
+    const frames = node.children.map(child => estimateFrames(child, problems, depth + 1, nested));
+    if (node.name === 'split_motion') return Math.max(0, ...frames);
+    const total = frames.reduce((sum, count) => sum + count, 0);
+    return node.name === 'rpt_motion' ? total * repetitionCount(node) : total;
+}
+
+/**
+ * Refuse sign_manuals that would take too long to evaluate
+ * @param {Object[]} manuals - sign_manual nodes (HamNoSys already rewritten)
+ * @throws {SiGMLError} Listing every limit exceeded
+ */
+function checkLimits(manuals) {
+    const problems = new Set();
+    if (manuals.length > LIMITS.maxSigns) problems.add(`more than ${LIMITS.maxSigns} signs`);
+
+    // Plus the holds at either end of each sign
+    const frames = manuals.reduce((sum, manual) => sum + estimateFrames(manual, problems) + 2, 0);
+    if (frames > LIMITS.maxFrames) problems.add(`about ${frames} keyframes, more than ${LIMITS.maxFrames}`);
+
+    if (problems.size > 0) throw new SiGMLError('SiGML is too complex to interpret', [...problems]);
+}
+
+// ============================================
+// HAMNOSYS SYMBOLS
+// <hamnosys_manual> is a flat string of symbol elements (<hamflathand/>
+// <hampalmd/> <hamchest/> <hammoveo/>); it is rewritten into the gestural
+// elements above so both flavours share one interpreter
+// ============================================
+
+const THUMB_MODIFIERS = { thumboutmod: 'out', thumbacrossmod: 'across', thumbopenmod: 'open' };
+const BEND_MODIFIERS = { fingerbendmod: 'bent', fingerhookmod: 'hooked', fingerroundmod: 'round', doublebent: 'bent', doublehooked: 'hooked', fingerstraightmod: 'straight' };
+const WRIST_SYMBOLS = ['nodding', 'swinging', 'twisting', 'stircw', 'stirccw'];
+const REPEAT_SYMBOLS = {
+    repeatfromstart: 'fromstart',
+    repeatfromstartseveral: 'fromstart_several',
+    repeatcontinue: 'continue',
+    repeatcontinueseveral: 'continue_several',
+    repeatreverse: 'reverse'
+};
+const BRACKETS = { parbegin: 'par', seqbegin: 'seq', fusionbegin: 'seq' };
+const BRACKET_ENDS = ['parend', 'seqend', 'fusionend'];
+const MOTION_ELEMENTS = ['directedmotion', 'circularmotion', 'wristmotion', 'fingerplay', 'nomotion', 'par_motion', 'seq_motion', 'rpt_motion', 'split_motion'];
+
+const element = (name, attrs = {}, children = []) => ({ name, attrs, children });
+
+/**
+ * Close a bracketed group: two halves joined by hamplus are the two
+ * hands (split_*), otherwise a par_motion / seq_motion - or, for postures
+ * only, the postures themselves
+ */
+function closeGroup(group) {
+    if (group.parts.length > 1) {
+        const [dominant, other] = group.parts;
+        const all = (name) => [...dominant, ...other].every(node => node.name === name);
+        if (all('handconfig')) {
+            const merge = (nodes) => element('handconfig', Object.assign({}, ...nodes.map(node => node.attrs)));
+            return [element('split_handconfig', {}, [merge(dominant), merge(other)])];
+        }
+        if (all('location_bodyarm')) return [element('split_location', {}, [dominant[0], other[0]])];
+        return [element('split_motion', {}, [element('seq_motion', {}, dominant), element('seq_motion', {}, other)])];
+    }
+
+    const nodes = group.parts[0];
+    if (nodes.every(node => !MOTION_ELEMENTS.includes(node.name))) return nodes;
+    return [element(group.kind === 'par' ? 'par_motion' : 'seq_motion', {}, nodes)];
+}
+
+/**
+ * Gestural sign_manual for a list of HamNoSys symbol names
+ * @param {string[]} symbols - Element names of <hamnosys_manual>
+ * @param {Set} notes - Collects symbols with no mapping
+ */
+function hamnosysToManual(symbols, notes) {
+    const attrs = {};
+    const groups = [{ kind: 'seq', parts: [[]] }];
+    let pendingSide = null;
+
+    const current = () => groups[groups.length - 1].parts[groups[groups.length - 1].parts.length - 1];
+    const last = () => current()[current().length - 1];
+    const lastMotion = () => (MOTION_ELEMENTS.includes(last()?.name) ? last() : null);
+
+    // Handshape, finger direction and palm share one handconfig until one repeats
+    const setConfig = (attr, value) => {
+        const config = last();
+        if (config?.name === 'handconfig' && !(attr in config.attrs)) config.attrs[attr] = value;
+        else current().push(element('handconfig', { [attr]: value }));
+    };
+
+    for (const symbol of symbols) {
+        const name = symbol.replace(/^ham/, '');
+        let match;
+
+        if (name === 'symmlr') {
+            attrs.lr_symm = 'true';
+        } else if (name === 'symmpar') {
+            attrs.both_hands = 'true';
+        } else if (name === 'flathand' || HANDSHAPES[name]) {
+            setConfig('handshape', name === 'flathand' ? 'flat' : name);
+        } else if (THUMB_MODIFIERS[name] && last()?.name === 'handconfig') {
+            last().attrs.thumbpos = THUMB_MODIFIERS[name];
+        } else if (BEND_MODIFIERS[name] && last()?.name === 'handconfig') {
+            last().attrs.mainbend = BEND_MODIFIERS[name];
+        } else if ((match = name.match(/^extfinger([udlroi]+)$/))) {
+            setConfig('extfidir', match[1]);
+        } else if ((match = name.match(/^palm([udlr]+)$/))) {
+            setConfig('palmor', match[1]);
+        } else if (locationKey(name)) {
+            current().push(element('location_bodyarm', { location: name, ...(pendingSide && { side: pendingSide }) }));
+            pendingSide = null;
+        } else if (name === 'lrbeside' || name === 'lrat') {
+            pendingSide = name === 'lrbeside' ? 'right_beside' : 'right_at';
+        } else if (name === 'touch' || name === 'close') {
+            if (last()?.name === 'location_bodyarm') last().attrs.contact = name;
+        } else if ((match = name.match(/^move([udlroi]+)$/))) {
+            current().push(element('directedmotion', { direction: match[1] }));
+        } else if ((match = name.match(/^circle([udlroi]+)$/))) {
+            current().push(element('circularmotion', { axis: match[1] }));
+        } else if (WRIST_SYMBOLS.includes(name)) {
+            current().push(element('wristmotion', { motion: name }));
+        } else if (name === 'fingerplay' || name === 'nomotion') {
+            current().push(element(name));
+        } else if ((name === 'smallmod' || name === 'largemod') && lastMotion()) {
+            lastMotion().attrs.size = name === 'smallmod' ? 'small' : 'big';
+        } else if ((match = name.match(/^arc([udlr])$/)) && last()?.name === 'directedmotion') {
+            last().attrs.curve = match[1];
+        } else if (REPEAT_SYMBOLS[name] && lastMotion()) {
+            current().push(element('rpt_motion', { repetition: REPEAT_SYMBOLS[name] }, [current().pop()]));
+        } else if (BRACKETS[name]) {
+            groups.push({ kind: BRACKETS[name], parts: [[]] });
+        } else if (name === 'plus' && groups.length > 1) {
+            groups[groups.length - 1].parts.push([]);
+        } else if (BRACKET_ENDS.includes(name) && groups.length > 1) {
+            const nodes = closeGroup(groups.pop());
+            current().push(...nodes);
+        } else if (name !== 'replace') {
+            // hamreplace only announces the next posture, which is a change anyway
+            notes.add(symbol);
+        }
+    }
+
+    // Unclosed brackets close at the end
+    while (groups.length > 1) {
+        const nodes = closeGroup(groups.pop());
+        current().push(...nodes);
+    }
+    return element('sign_manual', attrs, groups[0].parts[0]);
+}
+
+// ============================================
+// SIGNS
+// ============================================
+
+/**
+ * Plain { name, attrs, children } tree from xml2js output (children in
+ * document order)
+ */
+function toNode(xml, depth = 0) {
+    if (depth > LIMITS.maxDepth) {
+        throw new SiGMLError('SiGML is too complex to interpret', [`elements nested more than ${LIMITS.maxDepth} deep`]);
+    }
+    return element(xml['#name'], xml.$ || {}, (xml.$$ || []).map(child => toNode(child, depth + 1)));
+}
+
+const findChild = (node, name) => node.children.find(child => child.name === name) || null;
+const isTrue = (value) => value === true || String(value).toLowerCase() === 'true';
+const containsElement = (node, names) => node.children.some(child => names.includes(child.name) || containsElement(child, names));
+
+// Elements that only make sense with both hands
+const TWO_HANDED_ELEMENTS = ['split_handconfig', 'split_location', 'split_motion', 'handconstellation', 'location_hand'];
+
+/**
+ * facial_expression string for Avatar3D ("raised-eyebrows+head-nod")
+ */
+function nonManualExpression(node) {
+    if (!node) return 'Neutral';
+    const markers = new Set();
+    const visit = (child) => {
+        for (const key of ['movement', 'tag', 'expression']) {
+            const value = child.attrs[key];
+            if (!value) continue;
+            // Codes (RB, NO) map to markers; words (smile, nod) pass through,
+            // Avatar3D drops the ones it has no marker for
+            const marker = NON_MANUAL_CODES[value.toUpperCase()] || (/[a-z]/.test(value) && value.toLowerCase());
+            if (marker) markers.add(marker);
+        }
+        child.children.forEach(visit);
+    };
+    visit(node);
+    return markers.size > 0 ? [...markers].join('+') : 'Neutral';
+}
+
+/**
+ * Evaluate sign_manual for one hand
+ * @returns {Object} { duration, keyframes: [{ time (s), arm, foreArm, hand, handshape }] }
+ */
+function performHand(manual, hand, notes) {
+    const firstMovement = manual.children.findIndex(node => !POSTURE_ELEMENTS.includes(node.name));
+    const postures = firstMovement === -1 ? manual.children : manual.children.slice(0, firstMovement);
+    const movements = firstMovement === -1 ? [] : manual.children.slice(firstMovement);
+
+    const start = initialState(postures, hand, notes);
+    const keyframes = [{ time: 0, ...bonesOf(start), handshape: start.handshape }];
+    const movement = sequence(movements, start, hand, notes);
+
+    let time = TIMING.hold;
+    if (movement) {
+        for (const frame of movement.frames) {
+            keyframes.push({
+                time: time + frame.t * movement.duration,
+                ...addDelta(bonesOf(start), frame.delta),
+                handshape: frame.handshape || null
+            });
+        }
+        time += movement.duration;
+    }
+
+    const end = movement ? movement.end : start;
+    keyframes.push({ time: time + TIMING.hold, ...bonesOf(end), handshape: null });
+    return { duration: time + TIMING.hold, keyframes };
+}
+
+/**
+ * Bones and handshape of a hand at time t
+ */
+function sampleHand(performance, time) {
+    const { keyframes } = performance;
+    let handshape = keyframes[0].handshape;
+    for (const keyframe of keyframes) {
+        if (keyframe.time <= time && keyframe.handshape) handshape = keyframe.handshape;
+    }
+
+    const after = keyframes.findIndex(keyframe => keyframe.time >= time);
+    const at = after === -1 ? keyframes[keyframes.length - 1] : keyframes[after];
+    if (after <= 0 || at.time === time) return { ...bonesOf(at), handshape };
+
+    const before = keyframes[after - 1];
+    const k = (time - before.time) / (at.time - before.time);
+    return { ...lerpDelta(bonesOf(before), bonesOf(at), k), handshape };
+}
+
+/**
+ * Bone values under Avatar3D's keys; the left hand is mirrored
+ */
+function toBones(pose, side) {
+    const mirror = side === 'left' ? mirrorRotation : (rotation) => rotation;
+    const prefix = side === 'left' ? 'l' : 'r';
+    return {
+        [`${prefix}Arm`]: roundRotation(mirror(pose.arm)),
+        [`${prefix}ForeArm`]: roundRotation(mirror(pose.foreArm)),
+        [`${prefix}Hand`]: roundRotation(mirror(pose.hand))
+    };
+}
+
+/**
+ * Gestural sign_manual of a sign, rewriting HamNoSys symbols
+ * @param {Set} notes - Collects symbols with no mapping
+ */
+function signManual(sign, notes) {
+    if (sign.name === 'hns_sign') {
+        const symbols = findChild(sign, 'hamnosys_manual')?.children.map(child => child.name) || [];
+        return hamnosysToManual(symbols, notes);
+    }
+    return findChild(sign, 'sign_manual') || element('sign_manual');
+}
+
+/**
+ * Avatar lexicon definition for one <hamgestural_sign> or <hns_sign>
+ * @param {Object} sign - Node from toNode()
+ * @param {number} index - Position in the document (for signs without a gloss)
+ */
+function interpretSign(sign, index = 0) {
+    const notes = new Set();
+    const manual = signManual(sign, notes);
+    const nonManual = findChild(sign, sign.name === 'hns_sign' ? 'hamnosys_nonmanual' : 'sign_nonmanual');
+    checkLimits([manual]);
+
+    const { attrs } = manual;
+    const twoHanded = ['both_hands', 'lr_symm', 'ud_symm', 'oi_symm'].some(key => isTrue(attrs[key])) ||
+        containsElement(manual, TWO_HANDED_ELEMENTS);
+
+    // lr_symm mirrors the second hand; otherwise it moves the same way (swap l/r before mirroring)
+    const hands = [{ side: 'right', index: 0, swap: false }];
+    if (twoHanded) hands.push({ side: 'left', index: 1, swap: !isTrue(attrs.lr_symm) });
+
+    const performances = hands.map(hand => performHand(manual, hand, notes));
+    const duration = Math.max(TIMING.minimum, ...performances.map(p => p.duration));
+
+    const times = [...new Set(performances.flatMap(p => p.keyframes.map(keyframe => round(keyframe.time))))].sort((a, b) => a - b);
+    const handshapes = [];
+    const movementKeyframes = times.map(time => {
+        const keyframe = { time: round(time / duration) };
+        performances.forEach((performance, i) => {
+            const pose = sampleHand(performance, time);
+            Object.assign(keyframe, toBones(pose, hands[i].side));
+            if (i === 0 && pose.handshape !== handshapes[handshapes.length - 1]) {
+                keyframe.handshape = pose.handshape;
+                handshapes.push(pose.handshape);
+            }
+        });
+        return keyframe;
+    });
+
+    const first = movementKeyframes[0];
+    const bones = Object.fromEntries(Object.entries(first).filter(([key]) => key !== 'time' && key !== 'handshape'));
+
+    return {
+        gloss: normalizeGloss(sign.attrs.gloss) || `SIGN-${index + 1}`,
+        description: `Interpreted from SiGML (${sign.name})`,
+        source: 'sigml',
+        duration: round(duration),
+        hand_shape: first.handshape,
+        ...(twoHanded && { left_hand_shape: sampleHand(performances[1], 0).handshape }),
+        bones,
+        facial_expression: nonManualExpression(nonManual),
+        movement_keyframes: movementKeyframes,
+        unsupported: [...notes].sort()
+    };
+}
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+const SIGN_ELEMENTS = ['hamgestural_sign', 'hns_sign'];
+
+/**
+ * Sign elements of a SiGML document
+ * @throws {SiGMLError} When it is not XML or is nested too deep
+ */
+async function parseSignElements(sigml) {
+    let parsed;
+    try {
+        parsed = await new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true }).parseStringPromise(sigml);
+    } catch (error) {
+        throw new SiGMLError('SiGML is not valid XML', [error.message.split('\n')[0]]);
+    }
+
+    const root = toNode(Object.values(parsed || {})[0] || {});
+    if (SIGN_ELEMENTS.includes(root.name)) return [root];
+    return root.children.filter(child => SIGN_ELEMENTS.includes(child.name));
+}
+
+/**
+ * Avatar definitions for every sign in a SiGML document
+ * @param {string} sigml - SiGML XML (gestural or HamNoSys symbols)
+ * @returns {Promise<Object>} { total_duration_ms, signs: [definition] }, each
+ *   definition in the avatar lexicon format plus source and unsupported
+ * @throws {SiGMLError} When the document is not XML or is over LIMITS
+ */
+async function interpretSiGML(sigml) {
+    const elements = await parseSignElements(sigml);
+    checkLimits(elements.map(sign => signManual(sign, new Set())));
+
+    const signs = elements.map(interpretSign);
+    return {
+        total_duration_ms: Math.round(signs.reduce((sum, sign) => sum + sign.duration, 0) * 1000),
+        signs
+    };
+}
+
+export {
+    interpretSiGML,
+    interpretSign,
+    parseSignElements,
+    hamnosysToManual,
+    SiGMLError,
+    LOCATIONS,
+    HANDSHAPES,
+    TIMING as SIGML_TIMING,
+    LIMITS as SIGML_LIMITS
+};
+
+export default {
+    interpretSiGML,
+    interpretSign,
+    parseSignElements,
+    hamnosysToManual,
+    SiGMLError
+};
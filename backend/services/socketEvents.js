@@ -0,0 +1,147 @@
+// backend/services/socketEvents.js
+// Server side of the Socket.IO event contract (shared/socketContract.js)
+//
+// Every client event handler in server.js gets a SocketRequest: the payload
+// checked against the contract, and reply(), resolve() and fail() to answer.
+// A client that passed an acknowledgement callback gets exactly one ACK per
+// event; a client that did not gets the reply event, or an error event, as
+// before. Outgoing events are checked too, so a handler that drifts from the
+// contract is logged (once per event) instead of breaking clients silently.
+
+import { CONTRACT_VERSION, checkPayload, isCompatible } from '../../shared/socketContract.js';
+
+// ============================================
+// REQUESTS
+// ============================================
+
+class SocketRequest {
+    /**
+     * @param {Object} socket - Socket the event arrived on
+     * @param {string} event - Client event name
+     * @param {Array} args - Handler arguments: payload, then the optional ack callback
+     */
+    constructor(socket, event, args) {
+        this.socket = socket;
+        this.event = event;
+        this.ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+        this.settled = false;
+
+        const payload = this.ack ? args.slice(0, -1)[0] : args[0];
+        const result = checkPayload('client', event, payload);
+        this.data = result.value;
+        this.problems = result.problems;
+    }
+
+    get valid() {
+        return this.problems.length === 0;
+    }
+
+    /**
+     * Emit the server event that answers this request; the first one is also
+     * the ACK
+     */
+    reply(event, payload) {
+        this.socket.emit(event, payload);
+        this._acknowledge({ ok: true, event, data: payload });
+    }
+
+    /**
+     * Answer through the ACK only (events whose contract has a response schema)
+     */
+    resolve(data) {
+        this._acknowledge({ ok: true, event: null, data });
+    }
+
+    /**
+     * Report a failure: as the ACK when one is still owed, otherwise as an
+     * error event
+     * @param {Object} error - { code, message, ... } (code defaults to request_failed)
+     */
+    fail(error) {
+        const payload = { event: this.event, code: 'request_failed', ...error };
+        if (this.ack && !this.settled) {
+            this._acknowledge({ ok: false, error: payload });
+        } else {
+            this.socket.emit('error', payload);
+        }
+    }
+
+    /**
+     * Settle a request the handler finished without answering (nothing to send)
+     */
+    done() {
+        this._acknowledge({ ok: true, event: null, data: null });
+    }
+
+    _acknowledge(response) {
+        if (this.settled) return;
+        this.settled = true;
+        this.ack?.(response);
+    }
+}
+
+// ============================================
+// SOCKET EVENTS
+// ============================================
+
+class SocketEvents {
+    constructor() {
+        this.stats = { refusedHandshakes: 0, invalidIncoming: {}, invalidOutgoing: {} }; // event -> count
+    }
+
+    /**
+     * Socket.IO middleware: refuse clients that speak another major contract
+     * version. Clients that send none (older builds, plain socket.io) are let in.
+     */
+    handshakeMiddleware() {
+        return (socket, next) => {
+            const version = socket.handshake.auth?.contractVersion;
+            if (version === undefined || isCompatible(version)) return next();
+
+            this.stats.refusedHandshakes++;
+            const refusal = new Error(`Unsupported event contract ${version} (server speaks ${CONTRACT_VERSION})`);
+            refusal.data = { code: 'unsupported_contract', supported: CONTRACT_VERSION };
+            next(refusal);
+        };
+    }
+
+    /**
+     * Wrap an incoming event
+     * @returns {SocketRequest}
+     */
+    request(socket, event, args) {
+        const request = new SocketRequest(socket, event, args);
+        if (!request.valid) {
+            this.stats.invalidIncoming[event] = (this.stats.invalidIncoming[event] || 0) + 1;
+        }
+        return request;
+    }
+
+    /**
+     * Check everything the server emits on socket against the contract
+     */
+    watch(socket) {
+        socket.onAnyOutgoing((event, payload) => {
+            const { problems } = checkPayload('server', event, payload);
+            if (problems.length === 0) return;
+
+            const count = this.stats.invalidOutgoing[event] = (this.stats.invalidOutgoing[event] || 0) + 1;
+            if (count === 1) {
+                console.warn(`⚠️ Outgoing ${event} breaks the socket contract:\n${problems.map(p => `   - ${p}`).join('\n')}`);
+            }
+        });
+    }
+
+    /**
+     * Contract violations for health checks
+     */
+    getStats() {
+        return { contractVersion: CONTRACT_VERSION, ...this.stats };
+    }
+}
+
+// Singleton instance
+const socketEvents = new SocketEvents();
+
+export default socketEvents;
+export { SocketEvents, SocketRequest };
@@ -6,16 +6,13 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import config from './config.js';
 
 class SignDatabase {
     constructor() {
-        this.indexPath = path.join(__dirname, 'dataset/metadata/sign-index.json');
-        this.processedPath = path.join(__dirname, 'dataset/processed');
-        this.thumbnailPath = path.join(__dirname, 'dataset/thumbnails');
+        this.indexPath = path.join(config.paths.datasetDir, 'metadata/sign-index.json');
+        this.processedPath = path.join(config.paths.datasetDir, 'processed');
+        this.thumbnailPath = path.join(config.paths.datasetDir, 'thumbnails');
         this.index = null;
         this.loaded = false;
     }
@@ -4,6 +4,15 @@
 // ============================================
 
 import signDatabase from './signDatabase.js';
+import {
+    FINGERSPELLING_ALPHABETS,
+    LETTER_DURATION,
+    LETTER_TRANSITION,
+    DOUBLE_LETTER_PATH,
+    SIGNING_SPACE,
+    CONTACT_OFFSETS,
+    getCharacter
+} from './fingerspellingAlphabets.js';
 
 // Common signs with procedural animation data
 const FALLBACK_SIGNS = {
@@ -796,35 +805,8 @@ const FALLBACK_SIGNS = {
     }
 };
 
-// ASL Fingerspelling alphabet
-const FINGERSPELLING = {
-    'A': { description: 'Fist with thumb beside', handshape: 'fist_thumb_side' },
-    'B': { description: 'Flat hand, thumb tucked', handshape: 'flat_thumb_tucked' },
-    'C': { description: 'Curved hand, C-shape', handshape: 'c_shape' },
-    'D': { description: 'Index up, others touch thumb', handshape: 'd_shape' },
-    'E': { description: 'Fingers bent, thumb tucked', handshape: 'bent_fingers' },
-    'F': { description: 'Thumb and index circle, others up', handshape: 'ok_sign' },
-    'G': { description: 'Index and thumb parallel, pointing', handshape: 'g_shape' },
-    'H': { description: 'Index and middle parallel, pointing', handshape: 'h_shape' },
-    'I': { description: 'Pinky up only', handshape: 'pinky_up' },
-    'J': { description: 'Pinky up, trace J in air', handshape: 'pinky_trace_j' },
-    'K': { description: 'Index and middle up, thumb between', handshape: 'k_shape' },
-    'L': { description: 'L-shape, thumb and index', handshape: 'l_shape' },
-    'M': { description: 'Thumb under 3 fingers', handshape: 'm_shape' },
-    'N': { description: 'Thumb under 2 fingers', handshape: 'n_shape' },
-    'O': { description: 'Fingers curved to touch thumb', handshape: 'o_shape' },
-    'P': { description: 'K-hand pointing down', handshape: 'p_shape' },
-    'Q': { description: 'G-hand pointing down', handshape: 'q_shape' },
-    'R': { description: 'Index and middle crossed', handshape: 'r_shape' },
-    'S': { description: 'Fist with thumb over fingers', handshape: 's_shape' },
-    'T': { description: 'Thumb between index and middle', handshape: 't_shape' },
-    'U': { description: 'Index and middle up together', handshape: 'u_shape' },
-    'V': { description: 'Index and middle in V', handshape: 'v_shape' },
-    'W': { description: 'Index, middle, ring up', handshape: 'w_shape' },
-    'X': { description: 'Index bent at knuckle', handshape: 'x_shape' },
-    'Y': { description: 'Pinky and thumb extended', handshape: 'y_shape' },
-    'Z': { description: 'Index traces Z in air', handshape: 'index_trace_z' }
-};
+// ASL Fingerspelling alphabet (per-dialect tables live in fingerspellingAlphabets.js)
+const FINGERSPELLING = FINGERSPELLING_ALPHABETS.ASL.letters;
 
 class SignFallbackSystem {
     constructor() {
@@ -874,11 +856,13 @@ class SignFallbackSystem {
         }
 
         // 3. Last resort: fingerspelling
+        const letters = this.generateFingerspelling(upperGloss, dialect);
         return {
             type: 'fingerspelling',
             gloss: upperGloss,
-            letters: this.generateFingerspelling(upperGloss),
-            duration: upperGloss.replace(/\s/g, '').length * 0.8, // 0.8s per letter
+            letters,
+            animation: this.generateFingerspellingAnimation(letters),
+            duration: this.getFingerspellingDuration(letters),
             fallback: true
         };
     }
@@ -995,24 +979,133 @@ class SignFallbackSystem {
     }
 
     /**
-     * Generate fingerspelling sequence
+     * Generate fingerspelling sequence in the dialect's manual alphabet.
+     * Characters the alphabet cannot spell (punctuation, accents) are skipped.
+     * @param {string} word - Word or gloss to spell
+     * @param {string} dialect - ASL (one-handed), BSL or ISL (two-handed)
+     * @param {Object} timing - { letterDuration } seconds per one-handed letter;
+     *   two-handed letters and transitions scale with it
      */
-    generateFingerspelling(word) {
-        const letters = word.replace(/\s/g, '').toUpperCase().split('');
+    generateFingerspelling(word, dialect = 'ASL', timing = {}) {
+        const chars = word.toUpperCase().replace(/[^A-Z0-9]/g, '').split('');
+        const scale = timing.letterDuration > 0 ? timing.letterDuration / LETTER_DURATION.oneHanded : 1;
+        let startTime = 0;
 
-        return letters.map((letter, index) => {
-            const letterData = this.fingerspelling[letter];
-            return {
-                letter: letter,
+        return chars.map((char, index) => {
+            const entry = getCharacter(char, dialect);
+            const twoHanded = Boolean(entry?.left);
+            const duration = Math.round((twoHanded ? LETTER_DURATION.twoHanded : LETTER_DURATION.oneHanded) * scale * 100) / 100;
+
+            const letter = {
+                letter: char,
                 index: index,
-                handshape: letterData?.handshape || 'unknown',
-                description: letterData?.description || `Letter ${letter}`,
-                duration: 0.8,
-                startTime: index * 0.8
+                handshape: entry?.right.handshape || 'unknown',
+                description: entry?.description || `Letter ${char}`,
+                twoHanded,
+                hands: {
+                    right: entry?.right || null,
+                    left: entry?.left || null
+                },
+                // Second of a repeated letter - signed with the bounce-shift
+                double: index > 0 && chars[index - 1] === char,
+                transition: Math.round(LETTER_TRANSITION * scale * 100) / 100,
+                duration,
+                startTime
             };
+
+            startTime = Math.round((startTime + duration) * 100) / 100;
+            return letter;
         });
     }
 
+    /**
+     * Total seconds to spell a letter sequence
+     */
+    getFingerspellingDuration(letters) {
+        return Math.round(letters.reduce((sum, l) => sum + l.duration, 0) * 100) / 100;
+    }
+
+    /**
+     * Generate both-hand keyframes for a fingerspelled word.
+     * Same track format as generateProceduralAnimation; the left hand rests
+     * during one-handed letters and comes up as the base hand for two-handed ones.
+     */
+    generateFingerspellingAnimation(letters) {
+        const duration = this.getFingerspellingDuration(letters);
+        const right = [];
+        const left = [];
+
+        for (const l of letters) {
+            const { right: dominant, left: base } = l.hands;
+            const leftPos = base ? SIGNING_SPACE.left : SIGNING_SPACE.rest;
+            const rightPos = dominant?.contact
+                ? this.add3(SIGNING_SPACE.left, CONTACT_OFFSETS[dominant.contact] || [0, 0, 0])
+                : SIGNING_SPACE.right;
+
+            // Transition in, then hold (and move, for J/Z/H-style letters)
+            const arrive = l.startTime + Math.min(l.transition ?? LETTER_TRANSITION, l.duration / 4);
+            const release = l.startTime + l.duration - 0.05;
+            const path = this.fingerspellingPath(l.double && !dominant?.movement ? 'double' : dominant?.movement);
+
+            path.forEach((offset, i) => {
+                const t = arrive + (release - arrive) * (path.length > 1 ? i / (path.length - 1) : 0);
+                right.push({
+                    time: Math.round(t * 1000) / 1000,
+                    position: this.add3(rightPos, offset),
+                    handshape: dominant?.handshape || 'OpenPalm',
+                    orientation: dominant?.orientation || 'up',
+                    letter: l.letter
+                });
+            });
+
+            left.push({
+                time: Math.round(arrive * 1000) / 1000,
+                position: [...leftPos],
+                handshape: base?.handshape || 'OpenPalm',
+                orientation: base?.orientation || 'side',
+                active: Boolean(base)
+            });
+        }
+
+        return {
+            duration,
+            fps: 60,
+            totalFrames: Math.ceil(duration * 60),
+            expression: 'neutral',
+            tracks: [
+                { target: 'rightHand', keyframes: right },
+                { target: 'leftHand', keyframes: left }
+            ]
+        };
+    }
+
+    /**
+     * Offsets traced by the dominant hand while holding a letter
+     */
+    fingerspellingPath(movement) {
+        switch (movement) {
+            case 'trace_j':
+                return [[0, 0, 0], [0, 0.04, 0], [-0.03, 0.06, 0]];
+            case 'trace_z':
+                return [[-0.03, 0, 0], [0.03, 0, 0], [-0.03, 0.05, 0], [0.03, 0.05, 0]];
+            case 'brush':
+                return [[-0.03, 0, 0], [0.03, 0, 0]];
+            case 'tap':
+                return [[0, 0, 0.02], [0, 0, 0], [0, 0, 0.02], [0, 0, 0]];
+            case 'double':
+                return DOUBLE_LETTER_PATH;
+            default:
+                return [[0, 0, 0], [0, 0, 0]];
+        }
+    }
+
+    /**
+     * Add two 3D vectors
+     */
+    add3(a, b) {
+        return [a[0] + b[0], a[1] + b[1], a[2] + b[2]].map(v => Math.round(v * 1000) / 1000);
+    }
+
     /**
      * Check if a sign has a video or needs fallback
      */
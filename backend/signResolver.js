@@ -0,0 +1,510 @@
+// ============================================
+// SIGN RESOLVER
+// One lookup path over every sign source
+// ============================================
+//
+// signDatabase, the legacy video folder, the demo index, signFallback and
+// fingerspelling each describe a sign differently. The resolver walks a
+// per-dialect source-priority chain, returns the first playable hit in one
+// normalized shape, and records what every source contributed.
+//
+// Normalized sign:
+// {
+//   gloss, dialect, found,
+//   type:   'video' | 'external' | 'procedural' | 'fingerspelling',
+//   source: 'signAvatars' | 'video' | 'external' | 'procedural' | 'fingerspelling',
+//   fallback,                        // true unless a recorded video was found
+//   duration,                        // seconds
+//   video:          { url, thumbnailUrl, quality } | null,
+//   external:       { url, provider, links } | null,
+//   animation:      procedural keyframes ({ duration, fps, tracks }) | null,
+//   fingerspelling: { word, alphabet, twoHanded, letters, animation } | null,
+//   info:           { description, category, difficulty, ... },
+//   provenance:     [{ source, status: 'selected'|'available'|'miss'|'metadata', ... }]
+// }
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import signDatabase from './signDatabase.js';
+import signFallback from './signFallback.js';
+import { getAlphabet } from './fingerspellingAlphabets.js';
+import demoController from './demoController.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const CONFIG = {
+    defaultQuality: '720p',
+
+    // Tried in order; the first source with a playable result wins.
+    // Procedural animations are authored in ASL, external links only exist for ASL.
+    sourcePriority: {
+        default: ['signAvatars', 'video', 'procedural', 'external', 'fingerspelling'],
+        ASL: ['signAvatars', 'video', 'procedural', 'external', 'fingerspelling'],
+        BSL: ['signAvatars', 'video', 'procedural', 'fingerspelling'],
+        ISL: ['signAvatars', 'video', 'procedural', 'fingerspelling']
+    },
+
+    externalProviders: {
+        lifeprint: { name: 'Lifeprint (ASLU)', priority: 1 },
+        handspeak: { name: 'Handspeak', priority: 2 },
+        signingSavvy: { name: 'Signing Savvy', priority: 3 }
+    }
+};
+
+// Playable content types for each source
+const SOURCE_TYPES = {
+    signAvatars: 'video',
+    video: 'video',
+    external: 'external',
+    procedural: 'procedural',
+    fingerspelling: 'fingerspelling'
+};
+
+/**
+ * Canonical gloss: uppercase, words joined with "-" (THANK-YOU)
+ */
+function normalizeGloss(gloss) {
+    return String(gloss || '').trim().toUpperCase().replace(/[\s_]+/g, '-');
+}
+
+// textToGloss and Gemini mark words to fingerspell: #BOB, FS-BOB
+const FINGERSPELL_MARKER = /^(#|FS-|FS:)/;
+
+/**
+ * Spellings the individual sources key the same sign under
+ * (signDatabase "THANK-YOU", hybrid "THANK_YOU", signFallback "THANK YOU")
+ */
+function glossVariants(gloss) {
+    return [...new Set([gloss, gloss.replace(/-/g, '_'), gloss.replace(/-/g, ' ')])];
+}
+
+// ============================================
+// SIGN RESOLVER CLASS
+// ============================================
+
+class SignResolver {
+    constructor(options = {}) {
+        this.config = { ...CONFIG, sourcePriority: { ...CONFIG.sourcePriority } };
+        this.signDatabase = options.signDatabase || signDatabase;
+        this.fallbackSystem = options.fallbackSystem || signFallback;
+        this.demoController = options.demoController || demoController;
+
+        const overrides = { ...parsePriorityEnv(), ...(options.sourcePriority || {}) };
+        for (const [dialect, chain] of Object.entries(overrides)) {
+            try {
+                this.setSourcePriority(dialect, chain);
+            } catch (error) {
+                console.warn(`⚠️ Ignoring source priority for ${dialect}:`, error.message);
+            }
+        }
+    }
+
+    // ============================================
+    // SOURCE PRIORITY
+    // ============================================
+
+    getSourcePriority(dialect = 'ASL') {
+        return this.config.sourcePriority[dialect] || this.config.sourcePriority.default;
+    }
+
+    setSourcePriority(dialect, chain) {
+        if (!Array.isArray(chain) || chain.length === 0) {
+            throw new Error('Source priority must be a non-empty array');
+        }
+        const unknown = chain.filter(source => !SOURCE_TYPES[source]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown sign source(s): ${unknown.join(', ')}. Expected: ${Object.keys(SOURCE_TYPES).join(', ')}`);
+        }
+        this.config.sourcePriority[dialect] = [...chain];
+    }
+
+    getSources() {
+        return Object.keys(SOURCE_TYPES);
+    }
+
+    // ============================================
+    // MAIN API
+    // ============================================
+
+    /**
+     * Resolve one gloss to its best available source
+     * @param {string} gloss - Sign gloss (any of HELLO, thank you, THANK_YOU...)
+     * @param {string} dialect - Dialect code
+     * @param {Object} options - { quality, sources, letterDuration } - sources overrides the
+     *   dialect's chain; letterDuration (seconds) sets the fingerspelling pace
+     * @returns {Promise<Object|null>} Normalized sign, or null if no source in the chain has it
+     */
+    async resolve(gloss, dialect = 'ASL', options = {}) {
+        // Marked glosses (#BOB) are always spelled
+        const marked = FINGERSPELL_MARKER.test(normalizeGloss(gloss));
+        const normalized = normalizeGloss(gloss).replace(FINGERSPELL_MARKER, '');
+        const quality = options.quality || this.config.defaultQuality;
+        const chain = marked
+            ? ['fingerspelling']
+            : options.sources?.length ? options.sources : this.getSourcePriority(dialect);
+        const provenance = [];
+
+        let selected = null;
+        for (const source of chain) {
+            if (selected) {
+                // Note what else could have played this sign without building it
+                if (this.hasSource(source, normalized, dialect, quality)) {
+                    provenance.push({ source, status: 'available' });
+                }
+                continue;
+            }
+
+            const hit = this.trySource(source, normalized, dialect, quality, options);
+            if (hit) {
+                selected = { source, ...hit };
+                provenance.push({ source, status: 'selected', ...hit.provenance });
+            } else {
+                provenance.push({ source, status: 'miss' });
+            }
+        }
+
+        if (!selected) return null;
+
+        const { info, contributors } = this.collectInfo(normalized, dialect, selected);
+        provenance.push(...contributors);
+
+        return {
+            gloss: normalized,
+            dialect,
+            found: selected.source !== 'fingerspelling',
+            type: SOURCE_TYPES[selected.source],
+            source: selected.source,
+            fallback: SOURCE_TYPES[selected.source] !== 'video',
+            duration: selected.duration,
+            video: selected.video || null,
+            external: selected.external || null,
+            animation: selected.animation || null,
+            fingerspelling: selected.fingerspelling || null,
+            info,
+            provenance
+        };
+    }
+
+    /**
+     * Resolve a sequence of glosses or translation items ({ gloss, expression, ... })
+     * Translation fields are kept: expression, notes and targetObject on the item,
+     * handShape/movement/location folded into info.
+     * @returns {Promise<Object>} { dialect, total, stats, sequence }
+     */
+    async resolveSequence(items, dialect = 'ASL', options = {}) {
+        const sequence = [];
+        const stats = Object.fromEntries(Object.keys(SOURCE_TYPES).map(source => [source, 0]));
+
+        for (const item of items) {
+            const translation = typeof item === 'object' && item !== null ? item : { gloss: item };
+
+            // Gemini marks names and unknown words for fingerspelling
+            const sources = translation.type === 'fingerspell' ? ['fingerspelling'] : options.sources;
+            const sign = await this.resolve(translation.gloss, dialect, { ...options, sources }) ||
+                await this.resolve(translation.gloss, dialect, { ...options, sources: ['fingerspelling'] });
+            if (!sign) continue; // nothing signable (e.g. punctuation)
+
+            sequence.push(this.mergeTranslation(sign, translation));
+            stats[sign.source]++;
+        }
+
+        return { dialect, total: sequence.length, stats, sequence };
+    }
+
+    /**
+     * Which sources can provide a gloss, without building the payloads
+     */
+    checkAvailability(gloss, dialect = 'ASL', options = {}) {
+        const normalized = normalizeGloss(gloss);
+        const quality = options.quality || this.config.defaultQuality;
+        const chain = this.getSourcePriority(dialect);
+
+        const sources = {};
+        for (const source of Object.keys(SOURCE_TYPES)) {
+            sources[source] = this.hasSource(source, normalized, dialect, quality);
+        }
+
+        return {
+            gloss: normalized,
+            dialect,
+            sources,
+            chain,
+            bestSource: chain.find(source => sources[source]) || null,
+            hasVideo: sources.signAvatars || sources.video,
+            hasExternal: sources.external,
+            hasProcedural: sources.procedural,
+            canFingerspell: sources.fingerspelling
+        };
+    }
+
+    // ============================================
+    // SOURCES
+    // ============================================
+
+    trySource(source, gloss, dialect, quality, options = {}) {
+        switch (source) {
+            case 'signAvatars':
+                return this.trySignAvatars(gloss, dialect, quality);
+            case 'video':
+                return this.tryLegacyVideo(gloss, dialect, quality);
+            case 'external':
+                return this.tryExternal(gloss, dialect);
+            case 'procedural':
+                return this.tryProcedural(gloss, dialect);
+            case 'fingerspelling':
+                return this.tryFingerspelling(gloss, dialect, options);
+            default:
+                return null;
+        }
+    }
+
+    hasSource(source, gloss, dialect, quality) {
+        switch (source) {
+            case 'signAvatars':
+                return !!this.findVideoFile(gloss, dialect, quality);
+            case 'video':
+                return !!this.findLegacyVideo(gloss, dialect, quality);
+            case 'external':
+                return Object.keys(this.findDemoSign(gloss, dialect)?.externalLinks || {}).length > 0;
+            case 'procedural':
+                return !!this.findProcedural(gloss);
+            case 'fingerspelling':
+                return /[A-Z0-9]/.test(gloss);
+            default:
+                return false;
+        }
+    }
+
+    // SignAvatars dataset (signDatabase index + file on disk)
+    findVideoFile(gloss, dialect, quality) {
+        for (const variant of glossVariants(gloss)) {
+            const videoPath = this.signDatabase.getSignVideo(variant, dialect, quality);
+            if (!videoPath) continue;
+
+            // Index paths are relative to the backend directory
+            const absolute = path.resolve(__dirname, videoPath);
+            if (fs.existsSync(absolute)) return { key: variant, absolute };
+        }
+        return null;
+    }
+
+    trySignAvatars(gloss, dialect, quality) {
+        const file = this.findVideoFile(gloss, dialect, quality);
+        if (!file) return null;
+
+        const metadata = this.signDatabase.getSignMetadata(file.key, dialect) || {};
+        const thumbnail = metadata.thumbnail ? path.resolve(__dirname, metadata.thumbnail) : null;
+
+        return {
+            duration: metadata.duration || 2,
+            video: {
+                url: `/signs/${toPosix(path.relative(this.signDatabase.processedPath, file.absolute))}`,
+                thumbnailUrl: thumbnail && fs.existsSync(thumbnail)
+                    ? `/thumbnails/${toPosix(path.relative(this.signDatabase.thumbnailPath, thumbnail))}`
+                    : null,
+                quality
+            },
+            provenance: { dataset: metadata.source || 'signAvatars', indexKey: file.key }
+        };
+    }
+
+    // Processed videos that are not in the index
+    findLegacyVideo(gloss, dialect, quality) {
+        const dialectDir = dialect.toLowerCase();
+        for (const variant of glossVariants(gloss)) {
+            const fileName = `${variant.replace(/\s+/g, '_')}_${quality}.mp4`;
+            const videoPath = path.join(this.signDatabase.processedPath, dialectDir, fileName);
+            if (fs.existsSync(videoPath)) return `/signs/${dialectDir}/${fileName}`;
+        }
+        return null;
+    }
+
+    tryLegacyVideo(gloss, dialect, quality) {
+        const url = this.findLegacyVideo(gloss, dialect, quality);
+        if (!url) return null;
+
+        return {
+            duration: 2,
+            video: { url, thumbnailUrl: null, quality },
+            provenance: { path: url }
+        };
+    }
+
+    // Demo index entry (external links, descriptions, categories)
+    findDemoSign(gloss, dialect) {
+        const dialectSigns = this.demoController.signs?.[dialect] || {};
+        for (const variant of glossVariants(gloss)) {
+            if (dialectSigns[variant]) return dialectSigns[variant];
+        }
+        return null;
+    }
+
+    tryExternal(gloss, dialect) {
+        const links = this.findDemoSign(gloss, dialect)?.externalLinks;
+        if (!links || Object.keys(links).length === 0) return null;
+
+        const [provider] = Object.keys(links).sort((a, b) =>
+            (this.config.externalProviders[a]?.priority || 99) - (this.config.externalProviders[b]?.priority || 99)
+        );
+
+        return {
+            duration: 3,
+            external: {
+                url: links[provider],
+                provider: this.config.externalProviders[provider]?.name || provider,
+                links
+            },
+            provenance: { provider }
+        };
+    }
+
+    // signFallback procedural animations
+    findProcedural(gloss) {
+        for (const variant of glossVariants(gloss)) {
+            if (this.fallbackSystem.fallbackSigns[variant]) {
+                return { key: variant, data: this.fallbackSystem.fallbackSigns[variant] };
+            }
+        }
+        return null;
+    }
+
+    tryProcedural(gloss, dialect) {
+        const found = this.findProcedural(gloss);
+        if (!found) return null;
+
+        const { animation, description, category, color } = found.data;
+        return {
+            duration: animation.duration,
+            animation: this.fallbackSystem.generateProceduralAnimation(found.key, animation),
+            info: { description, category, color },
+            provenance: dialect === 'ASL' ? { fallbackKey: found.key } : { fallbackKey: found.key, borrowedFrom: 'ASL' }
+        };
+    }
+
+    tryFingerspelling(gloss, dialect, { letterDuration } = {}) {
+        const word = gloss.replace(/[^A-Z0-9]/g, '');
+        if (!word) return null;
+
+        const letters = this.fallbackSystem.generateFingerspelling(word, dialect, { letterDuration });
+        return {
+            duration: this.fallbackSystem.getFingerspellingDuration(letters),
+            fingerspelling: {
+                word,
+                alphabet: getAlphabet(dialect).name,
+                twoHanded: letters.some(l => l.twoHanded),
+                letters,
+                animation: this.fallbackSystem.generateFingerspellingAnimation(letters)
+            },
+            info: { description: `Fingerspell: ${gloss.replace(/-/g, ' ')}` }
+        };
+    }
+
+    // ============================================
+    // METADATA
+    // ============================================
+
+    /**
+     * Merge descriptive metadata from every source that knows the sign.
+     * Earlier contributors win, so the selected source describes itself.
+     */
+    collectInfo(gloss, dialect, selected) {
+        const info = { ...(selected.info || {}) };
+        const contributors = [];
+
+        const add = (source, fields) => {
+            const added = Object.entries(fields)
+                .filter(([key, value]) => value != null && value !== '' && info[key] == null)
+                .map(([key, value]) => {
+                    info[key] = value;
+                    return key;
+                });
+            if (added.length > 0) contributors.push({ source, status: 'metadata', fields: added });
+        };
+
+        const demoSign = this.findDemoSign(gloss, dialect);
+        if (demoSign) {
+            add('demo', {
+                description: demoSign.description,
+                category: demoSign.category,
+                difficulty: demoSign.difficulty,
+                usage: demoSign.usage,
+                links: demoSign.externalLinks && Object.keys(demoSign.externalLinks).length > 0 ? demoSign.externalLinks : null
+            });
+        }
+
+        const indexed = glossVariants(gloss)
+            .map(variant => this.signDatabase.getSignMetadata(variant, dialect))
+            .find(Boolean);
+        if (indexed) {
+            add('signAvatars', {
+                category: indexed.metadata?.category || indexed.context?.category,
+                context: indexed.context
+            });
+        }
+
+        const procedural = this.findProcedural(gloss);
+        if (procedural) {
+            add('procedural', {
+                description: procedural.data.description,
+                category: procedural.data.category,
+                color: procedural.data.color
+            });
+        }
+
+        if (info.isPriority == null && this.demoController.getConfig().prioritySigns.includes(gloss)) {
+            info.isPriority = true;
+        }
+
+        return { info, contributors };
+    }
+
+    mergeTranslation(sign, translation) {
+        const merged = { ...sign, info: { ...sign.info }, provenance: [...sign.provenance] };
+
+        const fields = ['handShape', 'movement', 'location']
+            .filter(key => translation[key] && merged.info[key] == null);
+        for (const key of fields) merged.info[key] = translation[key];
+        if (fields.length > 0) {
+            merged.provenance.push({ source: 'translation', status: 'metadata', fields });
+        }
+
+        if (translation.expression) merged.expression = translation.expression;
+        if (translation.notes) merged.notes = translation.notes;
+        if (translation.targetObject) merged.targetObject = translation.targetObject;
+
+        return merged;
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function toPosix(p) {
+    return p.replace(/\\/g, '/');
+}
+
+/**
+ * SIGN_SOURCE_PRIORITY='{"BSL": ["signAvatars", "fingerspelling"]}'
+ */
+function parsePriorityEnv() {
+    if (!process.env.SIGN_SOURCE_PRIORITY) return {};
+    try {
+        return JSON.parse(process.env.SIGN_SOURCE_PRIORITY);
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid SIGN_SOURCE_PRIORITY:', error.message);
+        return {};
+    }
+}
+
+// Singleton instance
+const signResolver = new SignResolver();
+
+export default signResolver;
+export { SignResolver, CONFIG as RESOLVER_CONFIG, SOURCE_TYPES, FINGERSPELL_MARKER, normalizeGloss };
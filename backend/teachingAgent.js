@@ -313,13 +313,15 @@ Only respond with valid JSON, no markdown.`;
 
     /**
      * Get progress statistics for a user session
+     * @param {Array} attempts - Oldest first; correctSign results ({ overallScore })
+     *   or learner store attempts ({ accuracy })
      */
     getProgressStats(attempts) {
         if (!attempts || attempts.length === 0) {
             return { averageScore: 0, improvement: 0, totalAttempts: 0 };
         }
 
-        const scores = attempts.map(a => a.overallScore);
+        const scores = attempts.map(a => a.overallScore ?? a.accuracy);
         const averageScore = scores.reduce((a, b) => a + b, 0) / scores.length;
 
         // Calculate improvement (compare first half to second half)
@@ -0,0 +1,157 @@
+// backend/test/auth.test.js
+// Session tokens, scopes and ownership of learner profiles and conversations
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import proxyaddr from 'proxy-addr';
+import { AuthService } from '../services/auth.js';
+import { loadConfig } from '../config.js';
+import { LearnerStore } from '../services/learnerStore.js';
+import { ConversationStore } from '../services/conversationStore.js';
+
+const SETTINGS = { mode: 'optional', sessionSecret: 'test-secret', sessionTtl: 3600, apiKeys: [] };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'owners-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const alice = { id: 'session:alice', scopes: [] };
+const bob = { id: 'session:bob', scopes: [] };
+const teacher = { id: 'key:school', scopes: ['teacher'] };
+const admin = { id: 'key:ops', scopes: ['admin'] };
+
+// Run a function with Date.now() moved forward
+function later(ms, fn) {
+    const realNow = Date.now;
+    Date.now = () => realNow() + ms;
+    try {
+        return fn();
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('TRUST_PROXY takes a boolean, a hop count or addresses', () => {
+    const trustProxy = (value) => loadConfig({ env: { TRUST_PROXY: value }, file: null }).server.trustProxy;
+
+    assert.equal(loadConfig({ env: {}, file: null }).server.trustProxy, false);
+    assert.equal(trustProxy('true'), true);
+    assert.equal(trustProxy('1'), 1);
+    assert.deepEqual(trustProxy('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+    assert.throws(() => trustProxy('nginx'), /server\.trustProxy/);
+});
+
+test('anonymous sockets behind a trusted proxy are keyed by the forwarded IP', () => {
+    const auth = new AuthService(SETTINGS);
+    const socket = {
+        handshake: { address: '127.0.0.1', headers: { 'x-forwarded-for': '203.0.113.7' }, auth: {} },
+        request: { connection: { remoteAddress: '127.0.0.1' }, headers: { 'x-forwarded-for': '203.0.113.7' } },
+        data: {}
+    };
+
+    auth.socketMiddleware()(socket, () => {});
+    assert.equal(socket.data.principal.id, 'ip:127.0.0.1');
+
+    auth.socketMiddleware({ trustProxy: proxyaddr.compile('loopback') })(socket, () => {});
+    assert.equal(socket.data.principal.id, 'ip:203.0.113.7');
+});
+
+test('records are open to their owner and the listed scopes only', () => {
+    const auth = new AuthService(SETTINGS);
+
+    assert.equal(auth.canAccess(alice, alice.id), true);
+    assert.equal(auth.canAccess(bob, alice.id), false);
+    assert.equal(auth.canAccess(admin, alice.id), true);
+    assert.equal(auth.canAccess(teacher, alice.id), false);
+    assert.equal(auth.canAccess(teacher, alice.id, ['admin', 'teacher']), true);
+    // Stored before owners were tracked
+    assert.equal(auth.canAccess(bob, null), false);
+    assert.equal(auth.canAccess(teacher, null, ['admin', 'teacher']), true);
+});
+
+test('anonymous callers cannot own records, even those keyed to their IP', () => {
+    const auth = new AuthService(SETTINGS);
+    const neighbour = auth.anonymous({ ip: '198.51.100.4' });
+
+    assert.equal(auth.canOwn(neighbour), false);
+    assert.equal(auth.canOwn(alice), true);
+    assert.equal(auth.canAccess(neighbour, neighbour.id), false);
+    assert.equal(auth.canAccess(neighbour, null), false);
+});
+
+test('requireScope accepts any of several scopes', () => {
+    const auth = new AuthService(SETTINGS);
+    const middleware = auth.requireScope('admin', 'teacher');
+    const call = (principal) => {
+        const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; } };
+        let passed = false;
+        middleware({ principal }, res, () => { passed = true; });
+        return { passed, res };
+    };
+
+    assert.equal(call(teacher).passed, true);
+    assert.equal(call(admin).passed, true);
+
+    const { passed, res } = call(alice);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { success: false, error: 'Requires the admin or teacher scope', code: 'forbidden' });
+    assert.equal(middleware.scope, 'admin or teacher');
+});
+
+test('an expired session token is renewed with the same session id', () => {
+    const auth = new AuthService(SETTINGS);
+    const { token, principal } = auth.issueSession({ origin: null });
+
+    later(2 * 3600 * 1000, () => {
+        assert.throws(() => auth.authenticate({ token }), { code: 'token_expired' });
+
+        const renewing = auth.authenticate({ token, renewing: true });
+        assert.equal(renewing.id, principal.id);
+        assert.equal(auth.issueSession({ principal: renewing }).principal.id, principal.id);
+    });
+
+    // Not forever
+    later(31 * DAY_MS, () => {
+        assert.throws(() => auth.authenticate({ token, renewing: true }), { code: 'token_expired' });
+    });
+});
+
+test('learner profiles take the owner that created or first claimed them', async () => {
+    const store = new LearnerStore(path.join(dataDir, 'learners'));
+
+    assert.equal(store.getOrCreate('learner-a', { ownerId: alice.id }).ownerId, alice.id);
+    // Someone else naming the profile does not take it over
+    assert.equal(store.getOrCreate('learner-a', { ownerId: bob.id }).ownerId, alice.id);
+
+    // Profiles stored before owners were tracked are claimed once
+    store.getOrCreate('legacy');
+    assert.equal(store.get('legacy').ownerId, null);
+    store.getOrCreate('legacy', { ownerId: bob.id });
+    store.getOrCreate('legacy', { ownerId: alice.id });
+
+    await store.flush();
+    const reloaded = new LearnerStore(path.join(dataDir, 'learners'));
+    assert.equal(reloaded.get('legacy').ownerId, bob.id);
+    assert.deepEqual(reloaded.list().map(learner => [learner.userId, learner.ownerId]).sort(), [
+        ['learner-a', alice.id],
+        ['legacy', bob.id]
+    ]);
+});
+
+test('conversations take their creator as owner and are claimed on resume', () => {
+    const store = new ConversationStore(path.join(dataDir, 'conversations'));
+
+    const owned = store.create({ ownerId: alice.id });
+    assert.equal(store.resume(owned.sessionId, { ownerId: bob.id }).ownerId, alice.id);
+
+    const legacy = store.create();
+    assert.equal(legacy.ownerId, null);
+    store.end(legacy.sessionId);
+    const resumed = store.resume(legacy.sessionId, { ownerId: bob.id });
+    assert.equal(resumed.ownerId, bob.id);
+    assert.equal(resumed.endedAt, null);
+});
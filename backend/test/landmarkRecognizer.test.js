@@ -0,0 +1,113 @@
+// backend/test/landmarkRecognizer.test.js
+// Landmark normalization, DTW matching and stream segmentation against the
+// verified ASL templates
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+    LandmarkRecognizer,
+    LandmarkStream,
+    HANDSHAPE_PROTOTYPES,
+    normalizeHandshape,
+    dtw
+} from '../services/landmarkRecognizer.js';
+
+const verified = JSON.parse(fs.readFileSync(new URL('../data/verified-signs.json', import.meta.url), 'utf8'));
+const recognizer = new LandmarkRecognizer();
+
+/**
+ * Replay a verified sign as CameraInput payloads every stepMs: MediaPipe
+ * image coordinates, y growing downward, right hand only
+ */
+function performSign(gloss, stepMs = 40, startMs = 0) {
+    const keyframes = verified.signs[gloss].keyframes;
+    const end = keyframes[keyframes.length - 1].time_ms;
+    const payloads = [];
+
+    for (let t = 0; t <= end; t += stepMs) {
+        const next = keyframes.findIndex(k => k.time_ms >= t);
+        const b = keyframes[next];
+        const a = keyframes[Math.max(next - 1, 0)];
+        const w = b.time_ms === a.time_ms ? 0 : (t - a.time_ms) / (b.time_ms - a.time_ms);
+        const position = [0, 1].map(d => a.right_hand.position[d] + (b.right_hand.position[d] - a.right_hand.position[d]) * w);
+        const hand = a.right_hand.landmarks || HANDSHAPE_PROTOTYPES[a.right_hand.handshape];
+
+        payloads.push({
+            t: startMs + t,
+            payload: {
+                rightHand: {
+                    visible: true,
+                    landmarks: hand.map(([x, y, z]) => ({ x: position[0] + x, y: 1 - position[1] - y, z }))
+                },
+                leftHand: { visible: false, landmarks: null }
+            }
+        });
+    }
+    return payloads;
+}
+
+test('normalizeHandshape is wrist-relative and scaled by palm length', () => {
+    assert.equal(normalizeHandshape([[0, 0, 0]]), null);
+    assert.equal(normalizeHandshape(null), null);
+
+    const hand = HANDSHAPE_PROTOTYPES.B;
+    const moved = hand.map(([x, y, z]) => ({ x: x * 3 + 0.5, y: y * 3 + 0.2, z: z * 3 }));
+    const a = normalizeHandshape(hand);
+    const b = normalizeHandshape(moved);
+
+    assert.deepEqual(a[0], [0, 0, 0]);
+    assert.ok(Math.abs(Math.hypot(...a[9]) - 1) < 1e-9);
+    a.forEach((point, i) => point.forEach((v, d) => assert.ok(Math.abs(v - b[i][d]) < 1e-9)));
+
+    // flipY mirrors image coordinates so fingers point up
+    assert.ok(normalizeHandshape(hand, true)[12][1] < 0);
+});
+
+test('dtw is zero for identical sequences and infinite for an empty one', () => {
+    const frames = [0, 1, 2].map(i => ({ shape: normalizeHandshape(HANDSHAPE_PROTOTYPES.B), wrist: [i * 0.1, 0], twoHanded: false }));
+    assert.equal(dtw(frames, frames), 0);
+    assert.equal(dtw(frames, []), Infinity);
+});
+
+test('templates are loaded for ASL and used for other dialects', () => {
+    assert.equal(recognizer.getTemplates('ASL').length, Object.keys(verified.signs).length);
+    assert.equal(recognizer.getTemplates('BSL'), recognizer.getTemplates('ASL'));
+});
+
+test('a performed sign is recognized from its stream', () => {
+    for (const gloss of ['HELLO', 'YES', 'THANK-YOU']) {
+        const stream = new LandmarkStream(recognizer, { maxSegmentMs: 10000 });
+        const frames = performSign(gloss);
+        for (const { payload, t } of frames) {
+            assert.equal(stream.push(payload, t), null, `${gloss} ended early`);
+        }
+
+        const result = stream.flush();
+        assert.equal(result.gloss, gloss);
+        assert.equal(result.segment.frames, frames.length);
+        assert.ok(result.confidence > 0.9, `${gloss} confidence ${result.confidence}`);
+        assert.equal(result.alternatives.length, 2);
+        assert.ok(result.alternatives.every(alt => alt.confidence <= result.confidence));
+        assert.equal(result.templateDialect, 'ASL');
+    }
+});
+
+test('the segment closes when the hands leave the frame', () => {
+    const stream = new LandmarkStream(recognizer, { maxSegmentMs: 10000 });
+    const frames = performSign('YES');
+    for (const { payload, t } of frames) stream.push(payload, t);
+
+    const last = frames[frames.length - 1].t;
+    assert.equal(stream.push({}, last + 100), null);
+    const result = stream.push({}, last + 400);
+
+    assert.equal(result.gloss, 'YES');
+    assert.equal(stream.frames.length, 0);
+});
+
+test('segments that are too short are dropped', () => {
+    const stream = new LandmarkStream(recognizer);
+    performSign('YES').slice(0, 3).forEach(({ payload, t }) => stream.push(payload, t));
+    assert.equal(stream.flush(), null);
+});
@@ -0,0 +1,87 @@
+// backend/test/learnerStore.test.js
+// Learner profiles: write-behind saves and the bounded profile cache
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LearnerStore, LEARNER_CONFIG } from '../services/learnerStore.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'learners-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const storeIn = (name) => new LearnerStore(path.join(dataDir, name));
+
+test('attempts are saved in one write behind the request', async () => {
+    const store = storeIn('write-behind');
+    for (const accuracy of [60, 70, 80]) {
+        store.recordAttempt('learner-a', { gloss: 'HELLO', accuracy, source: 'test' });
+    }
+    assert.equal(fs.existsSync(store._filePath('learner-a')), false);
+    assert.equal(store.get('learner-a').stats.practiceCount, 3);
+
+    await store.flush();
+    const reloaded = storeIn('write-behind');
+    assert.deepEqual(reloaded.getAttempts('learner-a').map(attempt => attempt.accuracy), [80, 70, 60]);
+});
+
+test('the profile cache is bounded and never drops unsaved profiles', async (t) => {
+    const limit = LEARNER_CONFIG.maxCachedProfiles;
+    LEARNER_CONFIG.maxCachedProfiles = 2;
+    t.after(() => { LEARNER_CONFIG.maxCachedProfiles = limit; });
+
+    const store = storeIn('bounded');
+    for (const userId of ['one', 'two', 'three', 'four']) store.getOrCreate(userId);
+    // Nothing is on disk yet, so everything stays
+    assert.equal(store.profiles.size, 4);
+    assert.deepEqual(store.list().map(learner => learner.userId).sort(), ['four', 'one', 'three', 'two']);
+
+    await store.flush();
+    store.get('one');
+    assert.deepEqual([...store.profiles.keys()], ['four', 'one']);
+    // Evicted profiles come back from disk
+    assert.equal(store.get('two').userId, 'two');
+    assert.equal(store.list().length, 4);
+    assert.ok(store.profiles.size <= 2);
+});
+
+test('a profile deleted before its first write stays deleted', async () => {
+    const store = storeIn('deleted');
+    store.getOrCreate('gone');
+
+    assert.equal(store.delete('gone'), true);
+    await store.flush();
+    assert.equal(fs.existsSync(store._filePath('gone')), false);
+    assert.equal(store.delete('gone'), false);
+});
+
+test('an attempt with an unreadable timestamp is recorded as now', async () => {
+    const store = storeIn('timestamps');
+    const before = Date.now();
+    const attempt = store.recordAttempt('learner-t', { gloss: 'HELLO', accuracy: 80, timestamp: 'yesterday-ish' });
+
+    assert.ok(Date.parse(attempt.timestamp) >= before);
+    assert.equal(store.recordAttempt('learner-t', { gloss: 'HELLO', accuracy: 80, timestamp: '2024-05-01T10:00:00Z' }).timestamp, '2024-05-01T10:00:00.000Z');
+    await store.flush();
+});
+
+test('merged local progress is capped and earns achievements from its stats', async () => {
+    const store = storeIn('merged');
+    const inflated = store.mergeLocalProgress('learner-m', {
+        practiceCount: 1e9,
+        totalAccuracy: 1e12,
+        lastPracticeDate: 'not a date',
+        streak: 400,
+        signHistory: { HELLO: { practiced: 1e9, bestAccuracy: 95 } }
+    });
+    assert.equal(inflated.stats.practiceCount, LEARNER_CONFIG.maxMergedPractice);
+    assert.equal(inflated.stats.totalAccuracy, LEARNER_CONFIG.maxMergedPractice * 100);
+    assert.equal(inflated.signs['ASL:HELLO'].practiced, LEARNER_CONFIG.maxMergedPractice);
+    // Without a readable date the local streak is ignored
+    assert.equal(inflated.streak.current, 0);
+
+    const claimed = store.mergeLocalProgress('learner-n', { practiceCount: 3, totalAccuracy: 150, achievements: ['centurion', 'made_up'] });
+    assert.deepEqual(claimed.achievements, []);
+    await store.flush();
+});
@@ -0,0 +1,51 @@
+// backend/test/liveLessonSessions.test.js
+// Live lessons: the per-principal cap and the shared Gemini client
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StubProvider } from '../providers/stubProvider.js';
+import { GeminiService } from '../gemini.js';
+import { LiveLessonSessions } from '../services/liveLessonSessions.js';
+
+const principal = { id: 'session:learner', type: 'session' };
+const fakeSocket = () => ({ connected: true, emit() {} });
+
+function sessionsWithStub() {
+    const provider = new StubProvider();
+    return { provider, sessions: new LiveLessonSessions(new GeminiService(null, { provider })) };
+}
+
+test('lesson calls go through the shared GeminiService', async () => {
+    const { provider, sessions } = sessionsWithStub();
+    const lesson = await sessions.start(principal, fakeSocket(), { signs: ['HELLO', 'THANK-YOU'] });
+    const entry = sessions.get(lesson.lessonId, principal);
+
+    const feedback = await entry.lesson.processVideoFrame('data:image/jpeg;base64,AAAA');
+    assert.equal(typeof feedback.isCorrect, 'boolean');
+    // Introduction and frame feedback
+    assert.equal(provider.calls.length, 2);
+    await sessions.end(lesson.lessonId);
+});
+
+test('detached lessons make room for a new one', async () => {
+    const { sessions } = sessionsWithStub();
+    const sockets = [fakeSocket(), fakeSocket(), fakeSocket()];
+    const [first, second] = [
+        await sessions.start(principal, sockets[0], {}),
+        await sessions.start(principal, sockets[1], {}),
+        await sessions.start(principal, sockets[2], {})
+    ];
+
+    // All three attached: the cap holds
+    await assert.rejects(sessions.start(principal, fakeSocket(), {}), /Too many live lessons/);
+
+    // Two sockets drop without resuming; the oldest detached lesson is reclaimed
+    sessions.detach(sockets[0]);
+    sessions.detach(sockets[1]);
+    await sessions.start(principal, fakeSocket(), {});
+    assert.equal(sessions.get(first.lessonId, principal), null);
+    assert.ok(sessions.get(second.lessonId, principal));
+    assert.deepEqual(sessions.getStats(), { active: 2, detached: 1 });
+
+    for (const lessonId of [...sessions.lessons.keys()]) await sessions.end(lessonId);
+});
@@ -0,0 +1,58 @@
+// backend/test/offlinePack.test.js
+// Offline packs are built once and rebuilt when the avatar lexicon changes
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A lexicon file of our own, set before config.js is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-pack-'));
+const lexiconFile = path.join(dataDir, 'avatar-lexicon.json');
+fs.copyFileSync(new URL('../data/avatar-lexicon.json', import.meta.url), lexiconFile);
+process.env.AVATAR_LEXICON_PATH = lexiconFile;
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { OfflinePack } = await import('../offlinePack.js');
+
+test('packs are reused until the lexicon changes', () => {
+    const packs = new OfflinePack();
+    const manifest = packs.getManifest();
+    const pack = packs.get('asl');
+
+    assert.equal(pack, packs.get('ASL'));
+    assert.equal(manifest.packs[0].version, pack.version);
+    assert.deepEqual(packs.getManifest(), manifest);
+
+    // Drop one sign, with a new modification time the lexicon notices
+    const lexicon = JSON.parse(fs.readFileSync(lexiconFile, 'utf8'));
+    const [dropped] = Object.keys(lexicon.dialects.ASL.signs);
+    delete lexicon.dialects.ASL.signs[dropped];
+    fs.writeFileSync(lexiconFile, JSON.stringify(lexicon));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(lexiconFile, later, later);
+
+    const rebuilt = packs.get('ASL');
+    assert.notEqual(rebuilt.version, pack.version);
+    assert.equal(Object.keys(rebuilt.avatarSigns).length, Object.keys(pack.avatarSigns).length - 1);
+    assert.equal(packs.getManifest().packs[0].version, rebuilt.version);
+    // Other dialects keep their pack
+    assert.equal(packs.get('BSL').version, manifest.packs[1].version);
+});
+
+test('only the ASL pack carries the ASL phrase tables', () => {
+    const packs = new OfflinePack();
+    const asl = packs.get('ASL');
+    assert.equal(asl.lexiconOnly, false);
+    assert.ok(Object.keys(asl.glossMappings.mappings).length > 0);
+
+    for (const dialect of ['BSL', 'ISL']) {
+        const pack = packs.get(dialect);
+        assert.equal(pack.lexiconOnly, true);
+        assert.deepEqual(pack.glossMappings.mappings, {});
+        assert.deepEqual(pack.mockTranslations, {});
+        assert.deepEqual(pack.verifiedSigns, {});
+    }
+    assert.deepEqual(packs.getManifest().packs.map(pack => pack.lexiconOnly), [false, true, true]);
+});
@@ -0,0 +1,109 @@
+// backend/test/providers.test.js
+// Recorded fixtures: the stub provider replays what the record provider saves
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StubProvider } from '../providers/stubProvider.js';
+import { contentsToText, fingerprint, loadFixtures, saveFixture, DEFAULT_FIXTURE_DIR } from '../providers/fixtureStore.js';
+import { GeminiService, MODEL_NAME } from '../gemini.js';
+import geminiCache from '../geminiCache.js';
+import { ResponseValidator, ResponseValidationError } from '../services/responseValidator.js';
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+test('requests are fingerprinted by model and flattened text', () => {
+    const parts = [{ text: 'Describe this sign' }, { inlineData: { mimeType: 'image/jpeg', data: 'AAAA' } }];
+    assert.match(contentsToText(parts), /^Describe this sign\n\[image\/jpeg:[0-9a-f]{16}\]$/);
+    assert.equal(fingerprint(MODEL_NAME, 'Hello'), fingerprint(MODEL_NAME, { contents: [{ parts: [{ text: 'Hello' }] }] }));
+    assert.notEqual(fingerprint(MODEL_NAME, 'Hello'), fingerprint('other-model', 'Hello'));
+});
+
+test('a recorded response is replayed instead of the responders', async () => {
+    const prompt = 'Translate "good night" to ASL glosses';
+    saveFixture(fixtureDir, fingerprint(MODEL_NAME, prompt), { model: MODEL_NAME, preview: prompt, text: '[{"gloss":"GOOD"},{"gloss":"NIGHT"}]' });
+    assert.equal(Object.keys(loadFixtures(fixtureDir)).length, 1);
+
+    const provider = new StubProvider({ fixtureDir });
+    const model = provider.getGenerativeModel({ model: MODEL_NAME });
+    const result = await model.generateContent(prompt);
+
+    assert.equal(result.response.text(), '[{"gloss":"GOOD"},{"gloss":"NIGHT"}]');
+    assert.equal(provider.calls[0].source, 'fixture');
+
+    await model.generateContent('Something nobody recorded');
+    assert.notEqual(provider.calls[1].source, 'fixture');
+});
+
+test('the shipped fixtures replay through GeminiService', async () => {
+    assert.ok(Object.keys(loadFixtures(DEFAULT_FIXTURE_DIR)).length > 0);
+
+    const cacheWasEnabled = geminiCache.enabled;
+    geminiCache.enabled = false;
+    try {
+        const provider = new StubProvider();
+        const gemini = new GeminiService(null, { provider });
+        const sequence = await gemini.textToSignSequence('Goodbye, see you tomorrow', 'ASL');
+
+        assert.deepEqual(sequence.map(sign => sign.gloss), ['BYE', 'SEE', 'TOMORROW']);
+        assert.equal(provider.calls[0].source, 'fixture');
+    } finally {
+        geminiCache.enabled = cacheWasEnabled;
+    }
+});
+
+test('a repair request gets the broken answer back unchanged', async () => {
+    const provider = new StubProvider({ fixtureDir });
+    const model = provider.getGenerativeModel({ model: MODEL_NAME });
+    const regenerate = async (text) => (await model.generateContent(text)).response.text();
+    const prompt = {
+        name: 'translateDialect',
+        outputSchema: {
+            type: 'object',
+            properties: { translatedSequence: { type: 'array', items: { type: 'object', properties: { gloss: { type: 'string', minLength: 1 } }, required: ['gloss'] } } },
+            required: ['translatedSequence']
+        }
+    };
+    const broken = '{"translatedSequence": [{"gloss": ""}]}';
+
+    // The failure surfaces instead of a placeholder passing as repaired
+    await assert.rejects(new ResponseValidator().parse(prompt, broken, regenerate), (error) => {
+        assert.ok(error instanceof ResponseValidationError);
+        assert.deepEqual(error.problems, ['$.translatedSequence[0].gloss: expected at least 1 characters, got 0']);
+        return true;
+    });
+    assert.equal(provider.calls[0].source, 'jsonRepair');
+});
+
+test('a rate-limited stream start rotates to the next key', async () => {
+    const provider = new StubProvider();
+    const getModel = provider.getGenerativeModel.bind(provider);
+    let refusals = 1;
+    provider.getGenerativeModel = (params) => {
+        const model = getModel(params);
+        const stream = model.generateContentStream.bind(model);
+        model.generateContentStream = async (request) => {
+            if (refusals-- > 0) throw new Error('[429 Too Many Requests] Resource has been exhausted');
+            return stream(request);
+        };
+        return model;
+    };
+
+    const cacheWasEnabled = geminiCache.enabled;
+    geminiCache.enabled = false;
+    try {
+        const gemini = new GeminiService(['key-a', 'key-b'], { provider });
+        const streamed = [];
+        const sequence = await gemini.textToSignSequenceStream('Goodbye, see you tomorrow', 'ASL', (sign) => streamed.push(sign.gloss));
+
+        assert.deepEqual(streamed, sequence.map(sign => sign.gloss));
+        assert.equal(gemini.currentKeyIndex, 1);
+        // Streamed on the second key rather than falling back to textToSignSequence
+        assert.equal(provider.calls.length, 1);
+    } finally {
+        geminiCache.enabled = cacheWasEnabled;
+    }
+});
@@ -0,0 +1,144 @@
+// backend/test/rateLimiter.test.js
+// Token buckets, per-operation costs and daily Gemini quotas
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, MemoryStore, DEFAULT_COSTS } from '../services/rateLimiter.js';
+
+const LIMITS = {
+    socket: { max: 10, windowMs: 10000 },
+    http: { max: 5, windowMs: 1000 },
+    sessions: { max: 2, windowMs: 60000 },
+    geminiDaily: 2,
+    costs: { 'get-sign-info': 2 }
+};
+
+const alice = { id: 'session:alice' };
+const bob = { id: 'session:bob' };
+
+function createLimiter() {
+    return new RateLimiter({ store: new MemoryStore() });
+}
+
+test('operations cost their listed tokens, tenant overrides first', () => {
+    const limiter = createLimiter();
+    assert.equal(limiter.costOf('check-my-sign'), DEFAULT_COSTS['check-my-sign']);
+    assert.equal(limiter.costOf('get-sign-info', LIMITS.costs), 2);
+    assert.equal(limiter.costOf('some-new-event'), 1);
+});
+
+test('a bucket drains by cost and refuses once empty', async () => {
+    const limiter = createLimiter();
+    const options = { channel: 'socket', limits: LIMITS };
+
+    assert.equal((await limiter.consume(alice, 'check-my-sign', options)).allowed, true);
+    const second = await limiter.consume(alice, 'check-my-sign', options);
+    assert.equal(second.allowed, true);
+    assert.equal(second.remaining, 0);
+
+    const refused = await limiter.consume(alice, 'learner:identify', options);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.code, 'rate_limited');
+    assert.equal(refused.retryAfter, 1);
+
+    // Buckets are per principal
+    assert.equal((await limiter.consume(bob, 'learner:identify', options)).allowed, true);
+});
+
+test('buckets refill evenly over the window', async () => {
+    const limiter = createLimiter();
+    const options = { channel: 'http', limits: LIMITS };
+    for (let i = 0; i < 5; i++) await limiter.consume(alice, 'GET /api/signs', options);
+    assert.equal((await limiter.consume(alice, 'GET /api/signs', options)).allowed, false);
+
+    // Half a window later half the bucket is back
+    limiter.store.entries.get('session:alice:http').value.updatedAt -= 500;
+    const decision = await limiter.consume(alice, 'GET /api/signs', options);
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.remaining, 1);
+});
+
+test('free operations and operations larger than the bucket still run', async () => {
+    const limiter = createLimiter();
+    const free = await limiter.consume(alice, 'POST /api/auth/session', { channel: 'http', limits: LIMITS });
+    assert.equal(free.allowed, true);
+    assert.equal(free.cost, 0);
+
+    const capped = await limiter.consume(alice, 'POST /api/v1/feedback/practice-session', { channel: 'http', limits: { ...LIMITS, geminiDaily: 0 } });
+    assert.equal(capped.allowed, true);
+    assert.equal(capped.cost, LIMITS.http.max);
+});
+
+test('Gemini operations count against the daily quota', async () => {
+    const limiter = createLimiter();
+    const options = { channel: 'socket', limits: LIMITS };
+
+    const first = await limiter.consume(alice, 'get-sign-info', options);
+    assert.deepEqual([first.quota.used, first.quota.limit], [1, 2]);
+    await limiter.consume(alice, 'get-sign-info', options);
+
+    const refused = await limiter.consume(alice, 'get-sign-info', options);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.code, 'quota_exceeded');
+    assert.equal(refused.remaining, null);
+    assert.ok(refused.retryAfter > 0);
+
+    // The refused call spent no tokens, and non-Gemini operations still run
+    const status = await limiter.getStatus(alice, LIMITS);
+    assert.equal(status.socket.remaining, 6);
+    assert.equal(status.gemini.used, 2);
+    assert.equal((await limiter.consume(alice, 'learner:identify', options)).allowed, true);
+});
+
+test('a rate-limited Gemini call gives its quota back', async () => {
+    const limiter = createLimiter();
+    const limits = { ...LIMITS, socket: { max: 5, windowMs: 10000 } };
+    await limiter.consume(alice, 'predict-sign', { channel: 'socket', limits });
+
+    const refused = await limiter.consume(alice, 'predict-sign', { channel: 'socket', limits });
+    assert.equal(refused.code, 'rate_limited');
+    assert.equal(refused.quota.used, 1);
+});
+
+test('new sessions are limited per IP address', async () => {
+    const limiter = createLimiter();
+    assert.equal((await limiter.consumeSession('203.0.113.7', LIMITS)).allowed, true);
+    assert.equal((await limiter.consumeSession('203.0.113.7', LIMITS)).allowed, true);
+
+    const refused = await limiter.consumeSession('203.0.113.7', LIMITS);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.code, 'rate_limited');
+    assert.equal(refused.retryAfter, 30);
+
+    // Other addresses, and the REST bucket of the same one, are untouched
+    assert.equal((await limiter.consumeSession('198.51.100.1', LIMITS)).allowed, true);
+    assert.equal((await limiter.consume({ id: 'ip:203.0.113.7' }, 'GET /api/signs', { channel: 'http', limits: LIMITS })).remaining, 4);
+});
+
+test('the middleware answers 429 with Retry-After', async () => {
+    const limiter = createLimiter();
+    const middleware = limiter.middleware(() => ({ ...LIMITS, http: { max: 1, windowMs: 60000 } }));
+
+    const call = async () => {
+        const res = {
+            headers: {},
+            set(name, value) { this.headers[name] = value; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; }
+        };
+        let passed = false;
+        await middleware({ method: 'GET', baseUrl: '/api', path: '/signs/', principal: alice }, res, () => { passed = true; });
+        return { res, passed };
+    };
+
+    assert.equal((await call()).passed, true);
+
+    const { res, passed } = await call();
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '60');
+    assert.equal(res.headers['RateLimit-Remaining'], '0');
+    assert.equal(res.body.operation, 'GET /api/signs');
+    assert.equal(res.body.code, 'rate_limited');
+    assert.equal(res.body.success, false);
+});
@@ -0,0 +1,152 @@
+// backend/test/responseValidator.test.js
+// Parsing, coercion and the one-shot repair of model answers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { ResponseValidator, ResponseValidationError, extractJSON } from '../services/responseValidator.js';
+
+const FEEDBACK = {
+    name: 'feedback',
+    outputSchema: {
+        type: 'object',
+        properties: {
+            gloss: { type: 'string', minLength: 1 },
+            accuracy: { type: 'number', minimum: 0, maximum: 100 },
+            handShape: { type: 'string', enum: ['OpenPalm', 'Fist', 'Point'] },
+            tips: { type: 'array', items: { type: 'string' } },
+            expression: { type: 'string', default: 'neutral' },
+            note: { type: 'string' }
+        },
+        required: ['gloss', 'accuracy']
+    }
+};
+
+test('extractJSON ignores fences and text around the JSON', () => {
+    assert.deepEqual(extractJSON('Here you go:\n```json\n{"a": [1, 2]}\n```\nHope it helps'), { a: [1, 2] });
+    assert.deepEqual(extractJSON('[{"gloss": "HELLO"}]'), [{ gloss: 'HELLO' }]);
+    assert.throws(() => extractJSON('no json here'), SyntaxError);
+});
+
+test('safe fixes are applied and reported', () => {
+    const validator = new ResponseValidator();
+    const { value, fixes, problems } = validator.check(FEEDBACK, JSON.stringify({
+        gloss: 'HELLO',
+        accuracy: '120%',
+        handShape: 'open palm',
+        tips: 'Keep your palm flat',
+        note: 42,
+        extra: true
+    }));
+
+    assert.deepEqual(problems, []);
+    assert.deepEqual(value, {
+        gloss: 'HELLO',
+        accuracy: 100,
+        handShape: 'OpenPalm',
+        tips: ['Keep your palm flat'],
+        expression: 'neutral',
+        note: '42',
+        extra: true
+    });
+    // A default filled in for a missing optional field is not reported
+    assert.equal(fixes.length, 5);
+});
+
+test('invalid optional fields are dropped, invalid required fields are problems', () => {
+    const validator = new ResponseValidator();
+    const dropped = validator.check(FEEDBACK, '{"gloss": "HELLO", "accuracy": 80, "handShape": "Claw"}');
+    assert.deepEqual(dropped.problems, []);
+    assert.equal('handShape' in dropped.value, false);
+
+    const broken = validator.check(FEEDBACK, '{"gloss": "", "accuracy": "high"}');
+    assert.deepEqual(broken.problems, [
+        '$.gloss: expected at least 1 characters, got 0',
+        '$.accuracy: expected number, got string'
+    ]);
+
+    assert.match(validator.check(FEEDBACK, 'Sorry, I cannot help').problems[0], /^not valid JSON/);
+});
+
+test('the shipped prompt schemas refuse empty glosses', () => {
+    const PROMPTS = new URL('../prompts/', import.meta.url);
+    const schemaOf = (name) => JSON.parse(fs.readFileSync(new URL(`${name}/v1.json`, PROMPTS), 'utf8')).outputSchema;
+
+    // Every string property called gloss must have a value
+    const loose = [];
+    const walk = (schema, at) => {
+        if (!schema || typeof schema !== 'object') return;
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (key === 'gloss' && child.type === 'string' && !(child.minLength >= 1)) loose.push(`${at}.${key}`);
+            walk(child, `${at}.${key}`);
+        }
+        walk(schema.items, `${at}[]`);
+    };
+    for (const name of fs.readdirSync(PROMPTS).filter(entry => fs.existsSync(new URL(`${entry}/v1.json`, PROMPTS)))) {
+        walk(schemaOf(name), name);
+    }
+    assert.deepEqual(loose, []);
+
+    const validator = new ResponseValidator();
+    const { problems } = validator.check({ name: 'translateDialect', outputSchema: schemaOf('translateDialect') }, '{"translatedSequence": [{"gloss": ""}]}');
+    assert.deepEqual(problems, ['$.translatedSequence[0].gloss: expected at least 1 characters, got 0']);
+});
+
+test('strict validation reports what lenient validation would fix', () => {
+    const validator = new ResponseValidator();
+    const { problems } = validator.validate(FEEDBACK.outputSchema, { gloss: 'HELLO', accuracy: 80, handShape: 'Claw' }, { strict: true });
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /handShape/);
+});
+
+test('an answer with problems is sent back for one repair', async () => {
+    const validator = new ResponseValidator();
+    const repairPrompts = [];
+    const value = await validator.parse(FEEDBACK, '{"accuracy": 80}', async (text) => {
+        repairPrompts.push(text);
+        return '{"gloss": "HELLO", "accuracy": 80}';
+    });
+
+    assert.deepEqual(value, { gloss: 'HELLO', accuracy: 80, expression: 'neutral' });
+    assert.equal(repairPrompts.length, 1);
+    assert.match(repairPrompts[0], /\$\.gloss: required/);
+    assert.match(repairPrompts[0], /"accuracy": 80/);
+    assert.equal(validator.getStats().methods.feedback.repaired, 1);
+});
+
+test('a repair that still fails throws with the remaining problems', async () => {
+    const validator = new ResponseValidator();
+    const unchanged = async () => '{"accuracy": 80}';
+
+    await assert.rejects(validator.parse(FEEDBACK, '{"accuracy": 80}', unchanged), (error) => {
+        assert.ok(error instanceof ResponseValidationError);
+        assert.equal(error.prompt, 'feedback');
+        assert.deepEqual(error.problems, ['$.gloss: required']);
+        return true;
+    });
+
+    await assert.rejects(
+        validator.parse(FEEDBACK, '{"accuracy": 80}', async () => { throw new Error('offline'); }),
+        (error) => error.problems.includes('repair request failed (offline)')
+    );
+
+    // Without a regenerate callback the first answer is final
+    await assert.rejects(validator.parse(FEEDBACK, '{"accuracy": 80}'), ResponseValidationError);
+
+    const stats = validator.getStats();
+    assert.equal(stats.methods.feedback.failed, 3);
+    assert.equal(stats.methods.feedback.validRate, 0);
+    assert.deepEqual(stats.methods.feedback.lastProblems, ['$.gloss: required']);
+});
+
+test('valid and coerced answers are counted separately', async () => {
+    const validator = new ResponseValidator();
+    await validator.parse(FEEDBACK, '{"gloss": "HELLO", "accuracy": 80, "expression": "happy"}');
+    await validator.parse(FEEDBACK, '{"gloss": "HELLO", "accuracy": "80"}');
+
+    const { methods, totals } = validator.getStats();
+    assert.equal(methods.feedback.valid, 1);
+    assert.equal(methods.feedback.coerced, 1);
+    assert.equal(methods.feedback.validRate, 0.5);
+    assert.deepEqual(totals, { valid: 1, coerced: 1, repaired: 0, failed: 0 });
+});
@@ -0,0 +1,106 @@
+// backend/test/reviewScheduler.test.js
+// SM-2 scheduling and the daily review queue
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SCHEDULER_CONFIG,
+    addDays,
+    daysBetween,
+    qualityFromAccuracy,
+    scheduleReview,
+    buildReviewQueue
+} from '../services/reviewScheduler.js';
+
+const DAY = '2026-03-01';
+
+test('day helpers cross month and year boundaries', () => {
+    assert.equal(addDays('2026-02-27', 3), '2026-03-02');
+    assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(daysBetween('2026-02-27', '2026-03-02'), 3);
+    assert.equal(daysBetween('2026-03-02', '2026-02-27'), -3);
+});
+
+test('accuracy maps to SM-2 quality through the letter grade', () => {
+    assert.equal(qualityFromAccuracy(95), 5);
+    assert.equal(qualityFromAccuracy(85), 4);
+    assert.equal(qualityFromAccuracy(72), 3);
+    assert.equal(qualityFromAccuracy(65), 2);
+    assert.equal(qualityFromAccuracy(10), 1);
+});
+
+test('passing reviews step through 1 day, 6 days, then interval x ease', () => {
+    const first = scheduleReview(null, 95, DAY);
+    assert.equal(first.repetitions, 1);
+    assert.equal(first.interval, 1);
+    assert.equal(first.dueDate, '2026-03-02');
+    assert.equal(first.easeFactor, 2.6);
+    assert.equal(first.lastGrade, 'A');
+
+    const second = scheduleReview(first, 95, first.dueDate);
+    assert.equal(second.interval, 6);
+    assert.equal(second.dueDate, '2026-03-08');
+
+    const third = scheduleReview(second, 85, second.dueDate);
+    assert.equal(third.interval, Math.round(6 * 2.7));
+    assert.equal(third.easeFactor, 2.7);
+    assert.equal(third.dueDate, addDays('2026-03-08', third.interval));
+});
+
+test('a failed review is a lapse that brings the sign back tomorrow', () => {
+    const learned = scheduleReview(scheduleReview(null, 95, DAY), 95, '2026-03-02');
+    const lapsed = scheduleReview(learned, 40, learned.dueDate);
+
+    assert.equal(lapsed.repetitions, 0);
+    assert.equal(lapsed.lapses, 1);
+    assert.equal(lapsed.interval, 1);
+    assert.equal(lapsed.dueDate, addDays(learned.dueDate, 1));
+    assert.ok(lapsed.easeFactor < learned.easeFactor);
+});
+
+test('ease never drops below the SM-2 minimum', () => {
+    let card = null;
+    for (let i = 0; i < 20; i++) card = scheduleReview(card, 0, addDays(DAY, i));
+    assert.equal(card.easeFactor, SCHEDULER_CONFIG.minimumEase);
+    // Failing a sign that was never learned is not a lapse
+    assert.equal(card.lapses, 0);
+});
+
+test('an early pass leaves the schedule alone, an early fail does not', () => {
+    const card = scheduleReview(scheduleReview(null, 95, DAY), 95, '2026-03-02');
+
+    const drilled = scheduleReview(card, 100, '2026-03-03');
+    assert.equal(drilled.dueDate, card.dueDate);
+    assert.equal(drilled.interval, card.interval);
+    assert.equal(drilled.repetitions, card.repetitions);
+
+    const failed = scheduleReview(card, 20, '2026-03-03');
+    assert.equal(failed.dueDate, '2026-03-04');
+});
+
+test('intervals are capped at the maximum', () => {
+    const card = { easeFactor: 2.5, interval: 300, repetitions: 5, lapses: 0, dueDate: DAY, lastReviewed: null, lastGrade: null };
+    assert.equal(scheduleReview(card, 95, DAY).interval, SCHEDULER_CONFIG.maximumInterval);
+});
+
+test('the queue lists the most overdue first, then the hardest sign', () => {
+    const items = [
+        { gloss: 'HELLO', review: { dueDate: '2026-02-28', easeFactor: 2.5 } },
+        { gloss: 'THANK-YOU', review: { dueDate: '2026-02-25', easeFactor: 2.5 } },
+        { gloss: 'PLEASE', review: { dueDate: '2026-02-28', easeFactor: 1.8 } },
+        { gloss: 'NEW' },
+        { gloss: 'LATER', review: { dueDate: '2026-03-05', easeFactor: 2.5 } },
+        { gloss: 'SOON', review: { dueDate: '2026-03-03', easeFactor: 2.5 } }
+    ];
+
+    const queue = buildReviewQueue(items, { date: DAY });
+    assert.deepEqual(queue.due.map(item => item.gloss), ['THANK-YOU', 'PLEASE', 'HELLO', 'NEW']);
+    assert.equal(queue.due[0].overdueDays, 4);
+    assert.equal(queue.due[3].dueDate, DAY);
+    assert.equal(queue.total, 4);
+    assert.equal(queue.nextDueDate, '2026-03-03');
+
+    const limited = buildReviewQueue(items, { date: DAY, limit: 2 });
+    assert.equal(limited.due.length, 2);
+    assert.equal(limited.total, 4);
+});
@@ -0,0 +1,147 @@
+// backend/test/sigmlInterpreter.test.js
+// SiGML / HamNoSys -> avatar keyframes, against the fixtures in
+// test/fixtures/sigml (<name>.sigml in, <name>.json expected out)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import express from 'express';
+import { interpretSiGML, SiGMLError, SIGML_LIMITS } from '../services/sigmlInterpreter.js';
+import { validateSign } from '../avatarLexicon.js';
+import createSignTranslationRouter from '../routes/signTranslation.js';
+import { errorHandler } from '../routes/common.js';
+
+const FIXTURES = new URL('./fixtures/sigml/', import.meta.url);
+const fixtures = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.sigml')).map(file => file.replace(/\.sigml$/, ''));
+
+const readFixture = (name, extension) => fs.readFileSync(new URL(`${name}.${extension}`, FIXTURES), 'utf8');
+
+// One gestural sign around a manual body
+const gesturalSign = (manual) => `<sigml><hamgestural_sign gloss="TEST"><sign_manual>${manual}</sign_manual></hamgestural_sign></sigml>`;
+const nestedRepeats = (depth, inner = '<directedmotion direction="u" />') =>
+    depth === 0 ? inner : `<rpt_motion repetition="continue_several">${nestedRepeats(depth - 1, inner)}</rpt_motion>`;
+
+for (const name of fixtures) {
+    test(`${name}.sigml gives the expected keyframes`, async () => {
+        const result = await interpretSiGML(readFixture(name, 'sigml'));
+        assert.deepEqual(result, JSON.parse(readFixture(name, 'json')));
+
+        // Every sign plays in Avatar3D like a lexicon definition
+        for (const sign of result.signs) assert.deepEqual(validateSign(sign), [], sign.gloss);
+    });
+}
+
+test('gestural signs map posture, movement and non-manuals', async () => {
+    const [hello] = (await interpretSiGML(readFixture('hello', 'sigml'))).signs;
+    const first = hello.movement_keyframes[0];
+    const last = hello.movement_keyframes.at(-1);
+
+    assert.equal(hello.gloss, 'HELLO');
+    assert.equal(hello.source, 'sigml');
+    assert.equal(hello.hand_shape, 'OpenPalm');
+    assert.equal(hello.facial_expression, 'smile');
+    assert.equal('left_hand_shape' in hello, false);
+    // Moving out from the forehead straightens the elbow
+    assert.ok(last.rForeArm.y < first.rForeArm.y);
+    assert.deepEqual([first.time, last.time], [0, 1]);
+});
+
+test('two-handed signs mirror the second hand and list what they skipped', async () => {
+    const [please] = (await interpretSiGML(readFixture('please', 'sigml'))).signs;
+
+    assert.equal(please.gloss, 'PLEASE');
+    assert.equal(please.left_hand_shape, 'OpenPalm');
+    assert.deepEqual(please.unsupported, ['crossmotion']);
+    assert.equal(please.facial_expression, 'raised-eyebrows');
+    for (const keyframe of please.movement_keyframes) {
+        assert.equal(keyframe.lArm.y, -keyframe.rArm.y || 0);
+        assert.equal(keyframe.lArm.z, -keyframe.rArm.z || 0);
+    }
+    // The new handshape keeps thumbpos="out" from the first handconfig
+    assert.deepEqual(please.movement_keyframes.map(keyframe => keyframe.handshape).filter(Boolean), ['OpenPalm', 'ThumbSide']);
+});
+
+test('HamNoSys symbols share the gestural interpreter', async () => {
+    const { signs, total_duration_ms: total } = await interpretSiGML(readFixture('going-to', 'sigml'));
+
+    assert.deepEqual(signs.map(sign => sign.gloss), ['GOING-TO', 'SIGN-2']);
+    assert.equal(signs[0].facial_expression, 'head-shake');
+    assert.equal(signs[1].hand_shape, 'OpenPalm');
+    assert.equal(signs[1].left_hand_shape, 'Fist');
+    assert.equal(total, Math.round((signs[0].duration + signs[1].duration) * 1000));
+});
+
+test('documents that are not XML are refused', async () => {
+    await assert.rejects(interpretSiGML('<sigml><hamgestural_sign'), (error) => {
+        assert.ok(error instanceof SiGMLError);
+        assert.equal(error.message, 'SiGML is not valid XML');
+        assert.equal(error.problems.length, 1);
+        return true;
+    });
+});
+
+test(`rpt_motion may nest ${SIGML_LIMITS.maxRepeatDepth} deep`, async () => {
+    const [sign] = (await interpretSiGML(gesturalSign(nestedRepeats(SIGML_LIMITS.maxRepeatDepth)))).signs;
+    assert.ok(sign.movement_keyframes.length > 20);
+});
+
+test('deeper rpt_motion nesting is refused before it is expanded', async () => {
+    // 9 deep: 3^9 repetitions, seconds of work and megabytes of keyframes if expanded
+    const started = Date.now();
+    await assert.rejects(interpretSiGML(gesturalSign(nestedRepeats(9, '<circularmotion axis="o" />'))), (error) => {
+        assert.ok(error instanceof SiGMLError);
+        assert.equal(error.message, 'SiGML is too complex to interpret');
+        assert.deepEqual(error.problems, [`rpt_motion nested more than ${SIGML_LIMITS.maxRepeatDepth} deep`]);
+        return true;
+    });
+    assert.ok(Date.now() - started < 500);
+
+    // HamNoSys repeat symbols nest the same way
+    const symbols = `<hammoveo />${'<hamrepeatfromstartseveral />'.repeat(SIGML_LIMITS.maxRepeatDepth + 1)}`;
+    await assert.rejects(
+        interpretSiGML(`<sigml><hns_sign><hamnosys_manual>${symbols}</hamnosys_manual></hns_sign></sigml>`),
+        /too complex/
+    );
+});
+
+test('deep nesting and too many keyframes are refused', async () => {
+    const depth = SIGML_LIMITS.maxDepth + 1;
+    await assert.rejects(
+        interpretSiGML(gesturalSign(`${'<seq_motion>'.repeat(depth)}<nomotion />${'</seq_motion>'.repeat(depth)}`)),
+        (error) => error.problems[0] === `elements nested more than ${SIGML_LIMITS.maxDepth} deep`
+    );
+
+    const circles = '<circularmotion axis="o" />'.repeat(Math.ceil(SIGML_LIMITS.maxFrames / 9) + 1);
+    await assert.rejects(interpretSiGML(gesturalSign(circles)), (error) => /keyframes, more than/.test(error.problems[0]));
+});
+
+test('POST /interpret answers 400 for SiGML over the limits', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1/sigml', createSignTranslationRouter(null));
+    app.use(errorHandler);
+
+    const server = app.listen(0);
+    try {
+        const interpret = (sigml) => fetch(`http://127.0.0.1:${server.address().port}/api/v1/sigml/interpret`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sigml })
+        });
+
+        const refused = await interpret(gesturalSign(nestedRepeats(9)));
+        assert.equal(refused.status, 400);
+        assert.deepEqual(await refused.json(), {
+            success: false,
+            error: 'SiGML is too complex to interpret',
+            code: 'invalid_request',
+            problems: [`rpt_motion nested more than ${SIGML_LIMITS.maxRepeatDepth} deep`]
+        });
+
+        const accepted = await interpret(readFixture('hello', 'sigml'));
+        assert.equal(accepted.status, 200);
+        assert.equal((await accepted.json()).poseData.signs[0].gloss, 'HELLO');
+    } finally {
+        server.close();
+    }
+});
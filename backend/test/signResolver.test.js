@@ -0,0 +1,136 @@
+// backend/test/signResolver.test.js
+// Source-priority chain, provenance and sequence resolution
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SignResolver, normalizeGloss } from '../signResolver.js';
+
+// One recorded video on disk, indexed under HELLO
+const processedPath = fs.mkdtempSync(path.join(os.tmpdir(), 'resolver-'));
+fs.mkdirSync(path.join(processedPath, 'asl'));
+fs.writeFileSync(path.join(processedPath, 'asl', 'HELLO_720p.mp4'), '');
+after(() => fs.rmSync(processedPath, { recursive: true, force: true }));
+
+const signDatabase = {
+    processedPath,
+    thumbnailPath: processedPath,
+    getSignVideo: (gloss, dialect) => (gloss === 'HELLO' && dialect === 'ASL' ? path.join(processedPath, 'asl', 'HELLO_720p.mp4') : null),
+    getSignMetadata: (gloss, dialect) => (gloss === 'HELLO' && dialect === 'ASL' ? { duration: 1.2, source: 'signAvatars', metadata: { category: 'greetings' } } : null)
+};
+
+const demoController = {
+    signs: {
+        ASL: {
+            HELLO: { description: 'Wave from the forehead', difficulty: 'beginner', externalLinks: {} },
+            PLEASE: {
+                description: 'Flat hand circles on the chest',
+                externalLinks: { handspeak: 'https://example.org/handspeak/please', lifeprint: 'https://example.org/lifeprint/please' }
+            }
+        }
+    },
+    getConfig: () => ({ prioritySigns: ['PLEASE'] })
+};
+
+const resolver = new SignResolver({ signDatabase, demoController, sourcePriority: {} });
+
+test('glosses are normalized to uppercase words joined with "-"', () => {
+    assert.equal(normalizeGloss(' thank you '), 'THANK-YOU');
+    assert.equal(normalizeGloss('thank_you'), 'THANK-YOU');
+    assert.equal(normalizeGloss(null), '');
+});
+
+test('the first playable source in the chain wins and the rest are noted', async () => {
+    const sign = await resolver.resolve('hello', 'ASL');
+
+    assert.equal(sign.gloss, 'HELLO');
+    assert.equal(sign.source, 'signAvatars');
+    assert.equal(sign.type, 'video');
+    assert.equal(sign.fallback, false);
+    assert.equal(sign.duration, 1.2);
+    assert.equal(sign.video.url, '/signs/asl/HELLO_720p.mp4');
+    assert.deepEqual(sign.provenance.slice(0, 4).map(p => [p.source, p.status]), [
+        ['signAvatars', 'selected'],
+        ['video', 'available'],
+        ['procedural', 'available'],
+        ['fingerspelling', 'available']
+    ]);
+
+    // Descriptive metadata comes from every source that knows the sign
+    assert.equal(sign.info.description, 'Wave from the forehead');
+    assert.equal(sign.info.category, 'greetings');
+});
+
+test('signs without a video fall back to procedural animation', async () => {
+    const sign = await resolver.resolve('THANK_YOU', 'ASL');
+
+    assert.equal(sign.source, 'procedural');
+    assert.equal(sign.fallback, true);
+    assert.equal(sign.found, true);
+    assert.ok(sign.animation);
+    assert.deepEqual(sign.provenance.find(p => p.status === 'selected'), { source: 'procedural', status: 'selected', fallbackKey: 'THANK YOU' });
+
+    const bsl = await resolver.resolve('THANK-YOU', 'BSL');
+    assert.equal(bsl.provenance.find(p => p.status === 'selected').borrowedFrom, 'ASL');
+});
+
+test('external links follow provider priority', async () => {
+    const sign = await resolver.resolve('PLEASE', 'ASL', { sources: ['external'] });
+
+    assert.equal(sign.type, 'external');
+    assert.equal(sign.external.url, 'https://example.org/lifeprint/please');
+    assert.equal(sign.external.provider, 'Lifeprint (ASLU)');
+    assert.equal(sign.info.isPriority, true);
+});
+
+test('unknown and marked glosses are fingerspelled', async () => {
+    const unknown = await resolver.resolve('XYZZY', 'ASL');
+    assert.equal(unknown.source, 'fingerspelling');
+    assert.equal(unknown.found, false);
+    assert.equal(unknown.fingerspelling.word, 'XYZZY');
+    assert.equal(unknown.fingerspelling.letters.length, 5);
+
+    // #HELLO is spelled even though a video exists
+    const marked = await resolver.resolve('#hello', 'ASL');
+    assert.equal(marked.source, 'fingerspelling');
+    assert.equal(marked.gloss, 'HELLO');
+
+    assert.equal(await resolver.resolve('?!', 'ASL'), null);
+});
+
+test('source priority can be changed per dialect but only to known sources', async () => {
+    const custom = new SignResolver({ signDatabase, demoController, sourcePriority: { ASL: ['fingerspelling'] } });
+    assert.equal((await custom.resolve('HELLO', 'ASL')).source, 'fingerspelling');
+    assert.throws(() => custom.setSourcePriority('ASL', ['youtube']), /Unknown sign source/);
+    assert.throws(() => custom.setSourcePriority('ASL', []), /non-empty/);
+});
+
+test('sequences keep translation fields and count sources', async () => {
+    const result = await resolver.resolveSequence([
+        { gloss: 'HELLO', expression: 'happy', handShape: 'B' },
+        { gloss: 'SAM', type: 'fingerspell' },
+        'THANK-YOU',
+        '...'
+    ], 'ASL');
+
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.sequence.map(sign => sign.source), ['signAvatars', 'fingerspelling', 'procedural']);
+    assert.equal(result.stats.signAvatars, 1);
+    assert.equal(result.stats.fingerspelling, 1);
+    assert.equal(result.stats.procedural, 1);
+
+    const [hello] = result.sequence;
+    assert.equal(hello.expression, 'happy');
+    assert.equal(hello.info.handShape, 'B');
+    assert.deepEqual(hello.provenance.at(-1), { source: 'translation', status: 'metadata', fields: ['handShape'] });
+});
+
+test('availability lists every source and the best one in the chain', () => {
+    const availability = resolver.checkAvailability('please', 'ASL');
+    assert.equal(availability.bestSource, 'procedural');
+    assert.equal(availability.hasVideo, false);
+    assert.equal(availability.hasExternal, true);
+    assert.equal(availability.canFingerspell, true);
+});
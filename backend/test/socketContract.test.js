@@ -0,0 +1,126 @@
+// backend/test/socketContract.test.js
+// Socket.IO event contract (shared/socketContract.js) and the server-side
+// request wrapper that answers it (services/socketEvents.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+    CONTRACT_VERSION,
+    CLIENT_EVENTS,
+    SERVER_EVENTS,
+    checkPayload,
+    checkResponse,
+    isCompatible
+} from '../../shared/socketContract.js';
+import { SocketEvents, SocketRequest } from '../services/socketEvents.js';
+
+function fakeSocket(auth = {}) {
+    return {
+        handshake: { auth },
+        emitted: [],
+        emit(event, payload) { this.emitted.push([event, payload]); }
+    };
+}
+
+test('every client event is handled by the server and replies with a server event', () => {
+    const server = fs.readFileSync(new URL('../server.js', import.meta.url), 'utf8');
+    const handled = new Set([...server.matchAll(/^\s*on\('([^']+)'/gm)].map(match => match[1]));
+
+    for (const [event, spec] of Object.entries(CLIENT_EVENTS)) {
+        assert.ok(handled.has(event), `${event} has no handler in server.js`);
+        assert.ok(spec.reply || spec.response, `${event} has neither reply nor response`);
+        for (const reply of spec.reply || []) {
+            assert.ok(SERVER_EVENTS[reply], `${event} replies with unknown event ${reply}`);
+        }
+    }
+    assert.deepEqual([...handled].filter(event => !CLIENT_EVENTS[event]), []);
+});
+
+test('payloads are checked strictly against the client schema', () => {
+    assert.deepEqual(checkPayload('client', 'speech-input', { text: 'Hello', dialect: 'ASL' }).problems, []);
+    assert.deepEqual(checkPayload('client', 'speech-input', {}).problems, ['payload.text: required']);
+    assert.deepEqual(checkPayload('client', 'speech-input', undefined).problems, ['payload.text: required']);
+    assert.deepEqual(checkPayload('client', 'learner:identify', { userId: '../etc/passwd' }).problems, [
+        'payload.userId: does not match ^[A-Za-z0-9_-]{1,64}$'
+    ]);
+    assert.deepEqual(checkPayload('client', 'no-such-event', {}).problems, ['unknown client event no-such-event']);
+
+    // Unlisted properties pass through
+    assert.equal(checkPayload('client', 'sign-detected', { signGloss: 'HELLO', extra: 1 }).value.extra, 1);
+
+    // Sequences take glosses or translation items
+    const switched = checkPayload('client', 'switch-dialect', {
+        currentSequence: ['HELLO', { gloss: 'THANK-YOU', expression: 'happy' }],
+        fromDialect: 'ASL',
+        toDialect: 'BSL'
+    });
+    assert.deepEqual(switched.problems, []);
+    assert.deepEqual(checkPayload('client', 'switch-dialect', { currentSequence: [''], fromDialect: 'ASL', toDialect: 'BSL' }).problems.length, 1);
+
+    // Dialects are one of the supported three, in any case
+    assert.equal(checkPayload('client', 'sign-detected', { signGloss: 'HELLO', dialect: 'bsl' }).value.dialect, 'BSL');
+    assert.deepEqual(checkPayload('client', 'sign-detected', { signGloss: 'HELLO', dialect: 'XSL' }).problems, [
+        'payload.dialect: "XSL" is not one of ASL, BSL, ISL'
+    ]);
+});
+
+test('acknowledgements are checked against the event they name', () => {
+    assert.deepEqual(checkResponse('speech-input', { ok: true, event: 'play-signs', data: { sequence: [{ gloss: 'HELLO' }] } }).problems, []);
+    assert.deepEqual(checkResponse('speech-input', { ok: true, event: 'play-signs', data: {} }).problems, ['play-signs.sequence: required']);
+    assert.deepEqual(checkResponse('live-lesson:frame', { ok: true, event: null, data: {} }).problems, ['response.dropped: required']);
+});
+
+test('peers are compatible within a major version', () => {
+    const [major] = CONTRACT_VERSION.split('.');
+    assert.equal(isCompatible(`${major}.99.0`), true);
+    assert.equal(isCompatible(`${Number(major) + 1}.0.0`), false);
+    assert.equal(isCompatible(undefined), false);
+});
+
+test('the handshake refuses another major version but lets unversioned clients in', () => {
+    const events = new SocketEvents();
+    const middleware = events.handshakeMiddleware();
+    const results = [];
+    for (const auth of [{}, { contractVersion: CONTRACT_VERSION }, { contractVersion: '99.0.0' }]) {
+        middleware(fakeSocket(auth), (error) => results.push(error?.data?.code ?? null));
+    }
+    assert.deepEqual(results, [null, null, 'unsupported_contract']);
+    assert.equal(events.getStats().refusedHandshakes, 1);
+});
+
+test('a request with a callback is acknowledged exactly once', () => {
+    const socket = fakeSocket();
+    const acks = [];
+    const request = new SocketRequest(socket, 'sign-detected', [{ signGloss: 'HELLO' }, (ack) => acks.push(ack)]);
+
+    assert.equal(request.valid, true);
+    request.reply('speak-text', { text: 'Hello' });
+    request.fail({ message: 'late failure' });
+    request.done();
+
+    assert.deepEqual(acks, [{ ok: true, event: 'speak-text', data: { text: 'Hello' } }]);
+    // After the ACK, failures still reach the client as error events
+    assert.deepEqual(socket.emitted, [
+        ['speak-text', { text: 'Hello' }],
+        ['error', { event: 'sign-detected', code: 'request_failed', message: 'late failure' }]
+    ]);
+});
+
+test('a request without a callback fails through the error event', () => {
+    const events = new SocketEvents();
+    const socket = fakeSocket();
+    const request = events.request(socket, 'sign-detected', [{}]);
+
+    assert.equal(request.valid, false);
+    assert.deepEqual(request.problems, ['payload.signGloss: required']);
+    request.fail({ code: 'invalid_payload', message: 'Invalid payload', problems: request.problems });
+
+    assert.deepEqual(socket.emitted, [['error', {
+        event: 'sign-detected',
+        code: 'invalid_payload',
+        message: 'Invalid payload',
+        problems: ['payload.signGloss: required']
+    }]]);
+    assert.equal(events.getStats().invalidIncoming['sign-detected'], 1);
+});
@@ -4,6 +4,7 @@
 // ============================================
 
 import geminiCache from './geminiCache.js';
+import promptRegistry from './services/promptRegistry.js';
 
 /**
  * Maps text to video files using Gemini for maximum accuracy
@@ -50,63 +51,37 @@ export class VideoSequenceMapper {
         };
 
         const cacheParams = { text: text.toLowerCase().trim(), dialect, type: 'video-sequence' };
+        const prompt = promptRegistry.render('textToVideoSequence', {
+            dialect,
+            dialectName: dialectConfig.name,
+            wordOrder: dialectConfig.wordOrder,
+            grammarRules: dialectConfig.grammarRules,
+            text,
+            videos: this.availableVideos
+        }, { seed: cacheParams.text });
 
         // Check cache first
-        const cached = geminiCache.get('textToVideoSequence', cacheParams);
+        const cached = geminiCache.get('textToVideoSequence', cacheParams, prompt.id);
         if (cached) {
             return cached;
         }
 
-        const videoListStr = this.availableVideos.join(', ');
-
-        const prompt = `You are an expert ${dialectConfig.name} interpreter.
-
-Task: Map the following sentence to the closest matching video filenames from the available list.
-
-SENTENCE: "${text}"
-
-AVAILABLE VIDEOS:
-${videoListStr}
-
-LINGUISTIC RULES FOR ${dialect}:
-- Word Order: ${dialectConfig.wordOrder}
-- Grammar: ${dialectConfig.grammarRules}
-
-INSTRUCTIONS:
-1. Apply ${dialect} grammar rules to determine the correct sign order (NOT English word order!)
-2. Map each concept in the sentence to the closest matching video file
-3. If a word doesn't have an exact match, omit it or suggest fingerspelling
-4. Include timing information for natural pacing
-
-Respond with ONLY a JSON object (no markdown):
-{
-  "videos": [
-    {
-      "filename": "hello.mp4",
-      "gloss": "HELLO",
-      "duration": 1.5,
-      "notes": "any relevant notes"
-    }
-  ],
-  "missingConcepts": ["concepts that had no video match"],
-  "fingerspellRequired": ["proper nouns to fingerspell"],
-  "dialectNotes": "any grammar/order adjustments made"
-}`;
-
         try {
             if (!this.gemini.model) {
                 throw new Error('Gemini model not available');
             }
 
-            const result = await this.gemini._executeWithRetry(prompt, 'textToVideoSequence', { text, dialect });
+            const result = await this.gemini._executeWithRetry(prompt.text, 'textToVideoSequence', { text, dialect });
             const response = result.response.text();
-            const parsed = this.gemini._parseJSON(response);
+            const parsed = await this.gemini._parseResponse(prompt, response, 'textToVideoSequence', { text, dialect });
 
             // Cache the result
-            geminiCache.set('textToVideoSequence', cacheParams, parsed);
+            geminiCache.set('textToVideoSequence', cacheParams, prompt.id, parsed);
+            this.gemini._logRequest('textToVideoSequence', { text, dialect }, parsed, null, prompt);
             return parsed;
 
         } catch (error) {
+            this.gemini._logRequest('textToVideoSequence', { text, dialect }, null, error, prompt);
             console.warn(`⚠️ textToVideoSequence API failed, using simple word matching: ${error.message}`);
             return this._fallbackMatch(text);
         }
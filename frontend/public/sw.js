@@ -1,19 +1,29 @@
 // ============================================
 // SERVICE WORKER FOR OFFLINE SUPPORT
-// Caches static assets and translation data
+// Caches static assets, translation data and offline translation packs
 // ============================================
 
-const CACHE_NAME = 'sign-translator-v1';
-const STATIC_CACHE = 'static-v1';
-const TRANSLATION_CACHE = 'translations-v1';
+const CACHE_NAME = 'sign-translator-v2';
+const STATIC_CACHE = 'static-v2';
+// v3 drops API responses v2 cached for every route, private ones included
+const TRANSLATION_CACHE = 'translations-v3';
+// Must match OFFLINE_PACK_CACHE in src/utils/offlinePack.js. Packs carry their
+// own version, so this name only changes with the storage format.
+const OFFLINE_PACK_CACHE = 'offline-packs-v1';
+
+// The only API responses kept in the cache: public data that is the same for
+// every caller (the lexicon, one dialect or sign of it, and the pack manifest)
+const CACHEABLE_API = [
+    /^\/api\/lexicon$/,
+    /^\/api\/lexicon\/[^/]+(\/[^/]+)?$/,
+    /^\/api\/offline-pack$/
+];
 
-// Static assets to cache immediately
+// Static assets to cache immediately (built JS/CSS is cached on first load)
 const STATIC_ASSETS = [
     '/',
     '/index.html',
-    '/src/main.jsx',
-    '/src/App.jsx',
-    '/src/App.css'
+    '/models/xbot.glb'
 ];
 
 // ============================================
@@ -26,7 +36,8 @@ self.addEventListener('install', (event) => {
         caches.open(STATIC_CACHE)
             .then((cache) => {
                 console.log('Service Worker: Caching static assets');
-                return cache.addAll(STATIC_ASSETS);
+                // One missing asset must not fail the whole install
+                return Promise.allSettled(STATIC_ASSETS.map((asset) => cache.add(asset)));
             })
             .then(() => self.skipWaiting())
     );
@@ -42,13 +53,14 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames
-                    .filter((name) => name !== CACHE_NAME && name !== STATIC_CACHE && name !== TRANSLATION_CACHE)
+                    .filter((name) => ![CACHE_NAME, STATIC_CACHE, TRANSLATION_CACHE, OFFLINE_PACK_CACHE].includes(name))
                     .map((name) => {
                         console.log('Service Worker: Removing old cache:', name);
                         return caches.delete(name);
                     })
             );
         }).then(() => self.clients.claim())
+            .then(() => updateOfflinePacks())
     );
 });
 
@@ -65,9 +77,27 @@ self.addEventListener('fetch', (event) => {
     // Skip WebSocket requests
     if (url.pathname.includes('socket.io')) return;
 
-    // API requests - network first, cache fallback
+    // Offline packs are installed and versioned through messages below
+    if (url.pathname.startsWith('/api/offline-pack/')) return;
+
     if (url.pathname.startsWith('/api/')) {
-        event.respondWith(networkFirst(request, TRANSLATION_CACHE));
+        // Anything sent with a session or API key stays out of the cache
+        const cacheable = !request.headers.has('Authorization') &&
+            CACHEABLE_API.some((pattern) => pattern.test(url.pathname));
+
+        // Avatar lexicon - network first, then cache, then the offline pack
+        if (/^\/api\/lexicon\/[^/]+$/.test(url.pathname)) {
+            event.respondWith(
+                (cacheable ? networkFirst(request, TRANSLATION_CACHE) : fetch(request))
+                    .catch(() => lexiconFromPack(url.pathname.split('/').pop()))
+            );
+            return;
+        }
+
+        // Public API data - network first, cache fallback; the rest is not intercepted
+        if (cacheable) {
+            event.respondWith(networkFirst(request, TRANSLATION_CACHE));
+        }
         return;
     }
 
@@ -166,6 +196,90 @@ async function getCachedTranslation(text, dialect) {
     return null;
 }
 
+// ============================================
+// OFFLINE TRANSLATION PACKS
+// One cache entry per dialect at its /api/offline-pack/:dialect URL, with
+// the pack version and install time in headers
+// ============================================
+
+const packUrl = (dialect) => `/api/offline-pack/${dialect.toUpperCase()}`;
+
+// Download a dialect's pack, or revalidate the installed one by ETag.
+// source is the backend URL when the API is on another origin; authorization
+// is the page's session header (servers with auth.mode 'required' need it).
+async function installPack(dialect, source, authorization) {
+    const cache = await caches.open(OFFLINE_PACK_CACHE);
+    const installed = await cache.match(packUrl(dialect));
+    const url = source || installed?.headers.get('X-Pack-Source') || packUrl(dialect);
+    const headers = installed ? { 'If-None-Match': installed.headers.get('ETag') || '' } : {};
+    if (authorization) headers.Authorization = authorization;
+    const response = await fetch(url, { headers });
+
+    if (response.status === 304 && installed) {
+        return { dialect, version: installed.headers.get('X-Pack-Version'), updated: false };
+    }
+    if (!response.ok) {
+        throw new Error(`Offline pack request failed: ${response.status}`);
+    }
+
+    const pack = await response.json();
+    await cache.put(packUrl(dialect), new Response(JSON.stringify(pack), {
+        headers: {
+            'Content-Type': 'application/json',
+            'ETag': response.headers.get('ETag') || `"${pack.version}"`,
+            'X-Pack-Version': pack.version,
+            'X-Pack-Source': url,
+            'X-Installed-At': new Date().toISOString()
+        }
+    }));
+    console.log(`Service Worker: Installed ${dialect} offline pack ${pack.version}`);
+    return { dialect, version: pack.version, updated: true };
+}
+
+// Installed packs: [{ dialect, version, installedAt }]
+async function listPacks() {
+    const cache = await caches.open(OFFLINE_PACK_CACHE);
+    const requests = await cache.keys();
+
+    return Promise.all(requests.map(async (request) => {
+        const response = await cache.match(request);
+        return {
+            dialect: new URL(request.url).pathname.split('/').pop(),
+            version: response.headers.get('X-Pack-Version'),
+            installedAt: response.headers.get('X-Installed-At')
+        };
+    }));
+}
+
+// Revalidate every installed pack (failures keep the installed version)
+async function updateOfflinePacks(authorization) {
+    const installed = await listPacks();
+    const results = await Promise.allSettled(installed.map(({ dialect }) => installPack(dialect, null, authorization)));
+    return results.map((result, i) => result.status === 'fulfilled'
+        ? result.value
+        : { dialect: installed[i].dialect, error: result.reason.message });
+}
+
+// /api/lexicon/:dialect response built from an installed pack
+async function lexiconFromPack(dialect) {
+    const cache = await caches.open(OFFLINE_PACK_CACHE);
+    const response = await cache.match(packUrl(dialect));
+    if (!response) {
+        return new Response(JSON.stringify({ error: 'Offline and no pack installed', dialect }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    const pack = await response.json();
+    return new Response(JSON.stringify({
+        dialect: pack.dialect,
+        version: pack.version,
+        count: Object.keys(pack.avatarSigns).length,
+        signs: pack.avatarSigns
+    }), { headers: { 'Content-Type': 'application/json' } });
+}
+
 // ============================================
 // MESSAGE HANDLING
 // ============================================
@@ -191,6 +305,30 @@ self.addEventListener('message', (event) => {
                 });
             break;
 
+        case 'INSTALL_OFFLINE_PACK':
+            installPack(payload.dialect, payload.url, payload.authorization)
+                .then((result) => {
+                    event.ports[0].postMessage({ type: 'OFFLINE_PACK_INSTALLED', result });
+                })
+                .catch((error) => {
+                    event.ports[0].postMessage({ type: 'OFFLINE_PACK_INSTALLED', error: error.message });
+                });
+            break;
+
+        case 'UPDATE_OFFLINE_PACKS':
+            event.waitUntil(
+                updateOfflinePacks(payload?.authorization).then((result) => {
+                    event.ports[0]?.postMessage({ type: 'OFFLINE_PACKS_UPDATED', result });
+                })
+            );
+            break;
+
+        case 'GET_OFFLINE_PACKS':
+            listPacks().then((result) => {
+                event.ports[0].postMessage({ type: 'OFFLINE_PACKS', result });
+            });
+            break;
+
         case 'SKIP_WAITING':
             self.skipWaiting();
             break;
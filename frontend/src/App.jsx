@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { socket } from './socket';
+import { socket, client } from './socket';
 import { Canvas } from '@react-three/fiber';
 import Avatar3D from './components/Avatar3D';
 import VideoAvatar from './components/VideoAvatar';
@@ -7,7 +7,11 @@ import CameraInput from './components/CameraInput';
 import TeachingPanel from './components/TeachingPanel';
 import DialectSwitcher from './components/DialectSwitcher';
 import DocumentUpload from './components/DocumentUpload';
+import { RateLimitNotice, isRateLimitError } from './components/ErrorHandling';
 import How2SignAvatar from './components/How2SignAvatar';
+import { installOfflinePack, getInstalledPack, translateWithOfflinePack } from './utils/offlinePack';
+import { useServerConfig } from './config';
+import { apiFetch } from './auth';
 import './App.css';
 
 // ============================================
@@ -15,6 +19,15 @@ import './App.css';
 // ============================================
 // Socket instance is imported from ./socket.js
 
+// Transcript session resumed after a reload or reconnect
+const CONVERSATION_ID_KEY = 'signLanguageConversationId';
+
+const EXPORT_FORMATS = [
+    { format: 'json', label: 'JSON' },
+    { format: 'vtt', label: 'WebVTT' },
+    { format: 'txt', label: 'Text' }
+];
+
 // ============================================
 // QUICK TEST PHRASES
 // ============================================
@@ -34,6 +47,7 @@ function App() {
     // Connection state
     const [isConnected, setIsConnected] = useState(false);
     const [connectionError, setConnectionError] = useState(null);
+    const [rateLimitError, setRateLimitError] = useState(null); // refused request with retryAfter
 
     // Core state
     const [signData, setSignData] = useState({ sequence: [], id: 0 });
@@ -65,8 +79,16 @@ function App() {
     const [how2signKeypoints, setHow2signKeypoints] = useState(null); // Real OpenPose keypoints
     const [isTranslating, setIsTranslating] = useState(false); // New state for sign translation mode
 
+    // Server settings for this deployment (feature toggles)
+    const { features } = useServerConfig();
+
+    // Offline translation pack for the current dialect ({ version } or null)
+    const [offlinePack, setOfflinePack] = useState(null);
+    const [offlinePackBusy, setOfflinePackBusy] = useState(false);
+
     // Conversation history for context
     const [conversationHistory, setConversationHistory] = useState([]);
+    const [conversationId, setConversationId] = useState(() => localStorage.getItem(CONVERSATION_ID_KEY));
 
     // Refs
     const recognitionRef = useRef(null);
@@ -79,28 +101,38 @@ function App() {
     useEffect(() => {
         socket.connect();
 
-        socket.on('connect', () => {
+        // Each listener is removed on unmount without touching other components' listeners
+        const listeners = [];
+        const listen = (event, handler) => listeners.push(client.on(event, handler));
+
+        listen('connect', () => {
             console.log('✅ Connected to server');
             setIsConnected(true);
             setConnectionError(null);
+
+            // Keep appending to the same transcript across reconnects
+            const savedConversation = localStorage.getItem(CONVERSATION_ID_KEY);
+            if (savedConversation) {
+                client.send('conversation:resume', { sessionId: savedConversation });
+            }
         });
 
-        socket.on('disconnect', (reason) => {
+        listen('disconnect', (reason) => {
             console.log('❌ Disconnected:', reason);
             setIsConnected(false);
         });
 
-        socket.on('connect_error', (error) => {
+        listen('connect_error', (error) => {
             console.error('Connection error:', error);
             setConnectionError('Unable to connect to server');
         });
 
-        socket.on('connected', (data) => {
+        listen('connected', (data) => {
             console.log('Server welcome:', data);
         });
 
         // Receive sign sequence to play
-        socket.on('play-signs', (data) => {
+        listen('play-signs', (data) => {
             console.log('📺 Playing signs:', data);
             setSignData({
                 sequence: data.sequence || [],
@@ -115,38 +147,71 @@ function App() {
             }
         });
 
+        // Streamed translation: signs arrive as Gemini generates them and
+        // start playing while the rest of the sentence is still on its way
+        listen('play-signs-chunk', (data) => {
+            setSignData(prev => prev.id === data.streamId
+                ? { ...prev, sequence: [...prev.sequence.slice(0, data.index), ...data.sequence] }
+                : { sequence: data.sequence || [], id: data.streamId, streaming: true });
+        });
+
+        listen('play-signs-end', (data) => {
+            console.log('📺 Sign stream complete:', data);
+            setSignData(prev => prev.id === data.streamId ? { ...prev, streaming: false } : prev);
+            if (data.objects) {
+                setDetectedObjects(data.objects);
+            }
+            if (data.originalText) {
+                setConversationHistory(prev => [...prev, { role: 'speaker', content: data.originalText }]);
+            }
+        });
+
         // Receive text to speak
-        socket.on('speak-text', (data) => {
+        listen('speak-text', (data) => {
             console.log('🔊 Speaking:', data.text);
             speakText(data.text);
             setTranscript(prev => prev + '\n🤟 ' + data.text);
             setConversationHistory(prev => [...prev, { role: 'signer', content: data.text }]);
         });
 
+        // Transcript session started or resumed on the server
+        listen('conversation:session', (session) => {
+            console.log(`💬 Conversation ${session.resumed ? 'resumed' : 'started'}:`, session.sessionId);
+            localStorage.setItem(CONVERSATION_ID_KEY, session.sessionId);
+            setConversationId(session.sessionId);
+
+            if (session.resumed) {
+                setConversationHistory(session.turns.map(turn => ({ role: turn.role, content: turn.text })));
+                setTranscript(prev => prev || session.turns
+                    .map(turn => (turn.role === 'speaker' ? '\n🎤 ' : '\n🤟 ') + turn.text)
+                    .join(''));
+            }
+        });
+
         // Receive predicted sign
-        socket.on('sign-predicted', (data) => {
+        listen('sign-predicted', (data) => {
             console.log('👐 Sign predicted:', data);
             setTranscript(prev => prev + '\n👐 ' + (data.english || data.gloss));
         });
 
         // Receive teaching feedback
-        socket.on('sign-feedback', (data) => {
+        listen('sign-feedback', (data) => {
             console.log('📚 Feedback:', data);
             setTeachingFeedback(data);
         });
 
         // Receive detected objects
-        socket.on('objects-detected', (data) => {
+        listen('objects-detected', (data) => {
             setDetectedObjects(data.objects || []);
         });
 
         // Receive sign suggestions
-        socket.on('suggested-signs', (data) => {
+        listen('suggested-signs', (data) => {
             setSuggestions(data.suggestions || []);
         });
 
         // Receive dialect translation
-        socket.on('dialect-switched', (data) => {
+        listen('dialect-switched', (data) => {
             console.log('🌍 Dialect switched:', data);
             setSignData({
                 sequence: data.sequence || [],
@@ -155,16 +220,29 @@ function App() {
         });
 
         // Receive generated lesson
-        socket.on('lesson-generated', (data) => {
+        listen('lesson-generated', (data) => {
             console.log('📄 Lesson generated:', data);
             setCurrentLesson(data.lesson);
             setLessonMode(true);
         });
 
         // Handle errors
-        socket.on('error', (data) => {
+        listen('error', (data) => {
             console.error('Socket error:', data);
 
+            // Stored transcript was deleted - the next turn starts a new one
+            if (data.event === 'conversation:resume') {
+                localStorage.removeItem(CONVERSATION_ID_KEY);
+                setConversationId(null);
+                return;
+            }
+
+            // Our own limiter refused the event: show a countdown instead of a message
+            if (isRateLimitError(data)) {
+                setRateLimitError(data);
+                return;
+            }
+
             // Format user-friendly error message
             let userMessage = data.message || 'An error occurred';
 
@@ -187,23 +265,60 @@ function App() {
         });
 
         return () => {
-            socket.off('connect');
-            socket.off('disconnect');
-            socket.off('connect_error');
-            socket.off('connected');
-            socket.off('play-signs');
-            socket.off('speak-text');
-            socket.off('sign-predicted'); // Clean up listener
-            socket.off('sign-feedback');
-            socket.off('objects-detected');
-            socket.off('suggested-signs');
-            socket.off('dialect-switched');
-            socket.off('lesson-generated');
-            socket.off('error');
+            listeners.forEach(off => off());
             socket.disconnect();
         };
     }, []);
 
+    // Leave avatar modes this deployment has turned off
+    useEffect(() => {
+        if ((avatarMode === 'how2sign' && !features.how2sign) || (avatarMode === 'video' && !features.videoAvatar)) {
+            setAvatarMode('3d');
+        }
+    }, [avatarMode, features.how2sign, features.videoAvatar]);
+
+    // ============================================
+    // OFFLINE TRANSLATION PACK
+    // ============================================
+    useEffect(() => {
+        getInstalledPack(currentDialect).then(setOfflinePack).catch(() => setOfflinePack(null));
+    }, [currentDialect]);
+
+    // Stable so RateLimitNotice's countdown does not restart on every render
+    const clearRateLimitError = useCallback(() => setRateLimitError(null), []);
+
+    const downloadOfflinePack = useCallback(async () => {
+        setOfflinePackBusy(true);
+        try {
+            const result = await installOfflinePack(currentDialect);
+            console.log(`📦 ${currentDialect} offline pack ${result.updated ? 'installed' : 'up to date'}: ${result.version}`);
+            setOfflinePack(await getInstalledPack(currentDialect));
+        } catch (error) {
+            setConnectionError(`Offline pack download failed: ${error.message}`);
+        } finally {
+            setOfflinePackBusy(false);
+        }
+    }, [currentDialect]);
+
+    // Server translation when connected, the installed pack otherwise
+    const translateText = useCallback(async (text, extra = {}) => {
+        if (socket.connected) {
+            client.send('speech-input', { text, dialect: currentDialect, stream: features.streaming, ...extra });
+            return;
+        }
+
+        const sequence = await translateWithOfflinePack(text, currentDialect).catch(() => null);
+        if (!sequence) {
+            setConnectionError(`Offline - download the ${currentDialect} offline pack to translate without a connection`);
+            return;
+        }
+
+        console.log('📦 Offline translation:', sequence.map(s => s.gloss).join(' '));
+        setAvatarMode('3d'); // How2Sign poses and sign videos need the server
+        setSignData({ sequence, id: Date.now() });
+        setTranscript(prev => prev + '\n📦 ' + sequence.map(s => s.gloss).join(' '));
+    }, [currentDialect, features.streaming]);
+
     // ============================================
     // WEB SPEECH API - RECOGNITION
     // ============================================
@@ -245,11 +360,7 @@ function App() {
                 setInterimTranscript('');
 
                 // Send to backend for translation
-                socket.emit('speech-input', {
-                    text: final,
-                    dialect: currentDialect,
-                    cameraFrame: null // Could add frame capture here
-                });
+                translateText(final, { cameraFrame: null }); // Could add frame capture here
             }
         };
 
@@ -267,7 +378,7 @@ function App() {
 
         recognition.start();
         recognitionRef.current = recognition;
-    }, [currentDialect]);
+    }, [translateText]);
 
     const stopListening = useCallback(() => {
         if (recognitionRef.current) {
@@ -290,11 +401,15 @@ function App() {
     // HOW2SIGN TRANSLATION - REAL POSE DATA
     // ============================================
     const translateToHow2Sign = useCallback(async (text) => {
+        if (!features.how2sign) {
+            translateText(text);
+            return;
+        }
         try {
             console.log('🔍 Translating to How2Sign:', text);
             setTranscript(prev => prev + '\n📝 ' + text);
 
-            const response = await fetch('http://localhost:3001/api/translate', {
+            const response = await apiFetch('/api/translate', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ text })
@@ -302,6 +417,11 @@ function App() {
 
             const data = await response.json();
 
+            if (response.status === 429) {
+                setRateLimitError(data);
+                return;
+            }
+
             if (data.success && data.poseData) {
                 console.log('✅ Got How2Sign keypoints:', data.matchedSentence);
                 setHow2signKeypoints(data.poseData);
@@ -313,14 +433,14 @@ function App() {
             } else {
                 console.warn('No keypoints in response:', data);
                 // Fallback to socket-based translation
-                socket.emit('speech-input', { text, dialect: currentDialect });
+                translateText(text);
             }
         } catch (error) {
             console.error('How2Sign translation error:', error);
-            // Fallback to socket-based translation
-            socket.emit('speech-input', { text, dialect: currentDialect });
+            // Fallback to socket-based (or offline) translation
+            translateText(text);
         }
-    }, [currentDialect]);
+    }, [translateText, features.how2sign]);
 
     // ============================================
     // WEB SPEECH API - SYNTHESIS
@@ -351,12 +471,37 @@ function App() {
     // ============================================
     const sendQuickPhrase = useCallback((phrase) => {
         setTranscript(prev => prev + '\n🎤 ' + phrase);
-        socket.emit('speech-input', {
-            text: phrase,
-            dialect: currentDialect
-        });
+        translateText(phrase);
+    }, [translateText]);
+
+    // ============================================
+    // CONVERSATION TRANSCRIPT
+    // ============================================
+    const startNewConversation = useCallback(() => {
+        client.send('conversation:new', { dialect: currentDialect });
+        setTranscript('');
+        setConversationHistory([]);
     }, [currentDialect]);
 
+    // Transcripts belong to this browser's session, so a plain link (no
+    // Authorization header) would be refused - fetch it and save the blob
+    const downloadTranscript = useCallback(async (format) => {
+        try {
+            const response = await apiFetch(`/api/conversations/${conversationId}/export?format=${format}`);
+            if (!response.ok) throw new Error(`Export failed: ${response.status}`);
+
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${conversationId}.${format}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Transcript export failed:', error);
+            setConnectionError('Could not export the transcript. Please try again.');
+        }
+    }, [conversationId]);
+
     // ============================================
     // DIALECT SWITCHING
     // ============================================
@@ -366,7 +511,7 @@ function App() {
 
         // If we have signs playing, translate them
         if (signData.sequence.length > 0) {
-            socket.emit('switch-dialect', {
+            client.send('switch-dialect', {
                 currentSequence: signData.sequence,
                 fromDialect: oldDialect,
                 toDialect: newDialect
@@ -387,7 +532,7 @@ function App() {
     const checkMySign = useCallback((videoFrames) => {
         if (!targetSign) return;
 
-        socket.emit('check-my-sign', {
+        client.send('check-my-sign', {
             videoFrames,
             intendedSign: targetSign,
             dialect: currentDialect
@@ -400,16 +545,30 @@ function App() {
     const handleCameraFrame = useCallback((imageBase64) => {
         if (isTranslating) {
             // In translation mode, try to recognize signs
-            socket.emit('predict-sign', {
+            client.send('predict-sign', {
                 imageBase64,
                 dialect: currentDialect
             });
         } else {
             // Default: just detect objects for spatial context
-            socket.emit('detect-objects', { imageBase64 });
+            client.send('detect-objects', { imageBase64 });
         }
     }, [isTranslating, currentDialect]);
 
+    // Stream hand landmarks for local sign recognition while translating
+    const handleLandmarks = useCallback((landmarks, timestamp) => {
+        if (teachingMode) {
+            checkMySign(landmarks);
+        }
+        if (isTranslating) {
+            client.send('sign:landmarks', {
+                landmarks,
+                timestamp,
+                dialect: currentDialect
+            });
+        }
+    }, [teachingMode, checkMySign, isTranslating, currentDialect]);
+
     const handleObjectClick = useCallback((object) => {
         setPointingTarget({
             x: object.position?.x || 0.5,
@@ -435,7 +594,7 @@ function App() {
     // ============================================
     useEffect(() => {
         if (conversationHistory.length > 0 && conversationHistory.length % 3 === 0) {
-            socket.emit('get-sign-suggestions', {
+            client.send('get-sign-suggestions', {
                 conversationHistory,
                 dialect: currentDialect
             });
@@ -467,7 +626,9 @@ function App() {
                     </Canvas>
                 ) : avatarMode === 'video' && useVideoDataset ? (
                     <VideoAvatar
-                        signSequence={signData.sequence.map(s => s.gloss || s)}
+                        key={signData.id}
+                        signSequence={signData.sequence}
+                        streaming={Boolean(signData.streaming)}
                         currentDialect={currentDialect}
                         onSignComplete={(sign) => console.log('Sign complete:', sign)}
                         onSequenceComplete={() => console.log('Sequence complete')}
@@ -490,6 +651,27 @@ function App() {
                 {isConnected ? 'Connected' : 'Disconnected'}
             </div>
 
+            {/* Offline Pack */}
+            {features.offlinePacks && <div className={`offline-pack ${offlinePack ? 'installed' : ''}`}>
+                {offlinePack ? (
+                    <span title={`Installed ${offlinePack.installedAt || ''}`}>📦 {currentDialect} offline · {offlinePack.version}</span>
+                ) : (
+                    <span>📦 No {currentDialect} offline pack</span>
+                )}
+                {isConnected && (
+                    <button onClick={downloadOfflinePack} disabled={offlinePackBusy}>
+                        {offlinePackBusy ? '…' : offlinePack ? 'Update' : 'Download'}
+                    </button>
+                )}
+            </div>}
+
+            {/* Rate limit countdown */}
+            <RateLimitNotice
+                error={rateLimitError}
+                onExpire={clearRateLimitError}
+                onDismiss={clearRateLimitError}
+            />
+
             {/* Error Display */}
             {connectionError && (
                 <div className="error-toast">
@@ -536,7 +718,9 @@ function App() {
                 <div style={{ marginTop: '10px', borderTop: '1px solid rgba(255,255,255,0.1)', paddingTop: '10px' }}>
                     <div style={{ color: '#888', fontSize: '10px', marginBottom: '5px' }}>Avatar Mode:</div>
                     <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
-                        {['how2sign', '3d', 'video'].map(mode => (
+                        {['how2sign', '3d', 'video'].filter(mode => (
+                            mode === '3d' || (mode === 'how2sign' ? features.how2sign : features.videoAvatar)
+                        )).map(mode => (
                             <button
                                 key={mode}
                                 onClick={() => setAvatarMode(mode)}
@@ -554,6 +738,7 @@ function App() {
                             </button>
                         ))}
                     </div>
+                    {features.how2sign && <>
                     <div style={{ color: '#888', fontSize: '10px', marginBottom: '5px' }}>How2Sign Test:</div>
                     <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '8px' }}>
                         {['Hello', 'Thank you', 'How are you'].map(phrase => (
@@ -574,6 +759,7 @@ function App() {
                             </button>
                         ))}
                     </div>
+                    </>}
                     <div style={{ color: '#888', fontSize: '10px', marginBottom: '5px' }}>3D Avatar Test:</div>
                     <button
                         onClick={() => setSignData({
@@ -603,41 +789,51 @@ function App() {
             <div className="controls-overlay">
                 {/* Mode Toggles */}
                 <div className="mode-toggles">
-                    <button
-                        className={`mode-btn ${avatarMode === 'video' ? 'active' : ''}`}
-                        onClick={() => setAvatarMode(avatarMode === '3d' ? 'video' : '3d')}
-                        title={avatarMode === '3d' ? 'Switch to Video Avatar' : 'Switch to 3D Avatar'}
-                    >
-                        {avatarMode === '3d' ? '📹 Video' : '🤖 3D'}
-                    </button>
-                    <button
+                    {features.videoAvatar && (
+                        <button
+                            className={`mode-btn ${avatarMode === 'video' ? 'active' : ''}`}
+                            onClick={() => setAvatarMode(avatarMode === '3d' ? 'video' : '3d')}
+                            title={avatarMode === '3d' ? 'Switch to Video Avatar' : 'Switch to 3D Avatar'}
+                        >
+                            {avatarMode === '3d' ? '📹 Video' : '🤖 3D'}
+                        </button>
+                    )}
+                    {features.cameraInput && <button
                         className={`mode-btn ${isTranslating ? 'active' : ''}`}
                         onClick={() => {
                             const newState = !isTranslating;
                             setIsTranslating(newState);
-                            if (newState) setShowCamera(true);
+                            if (newState) {
+                                setShowCamera(true);
+                            } else {
+                                client.send('sign:landmarks:end', { dialect: currentDialect });
+                            }
                         }}
                         title="Real-time Sign Translation"
                     >
                         {isTranslating ? '🛑 Stop' : '✋ Translate'}
-                    </button>
-                    <button
-                        className={`mode-btn ${showTeachingPanel ? 'active' : ''}`}
-                        onClick={() => setShowTeachingPanel(!showTeachingPanel)}
-                    >
-                        📚 Learn
-                    </button>
-                    <button
-                        className={`mode-btn ${showCamera ? 'active' : ''}`}
-                        onClick={() => setShowCamera(!showCamera)}
-                    >
-                        📷 Camera
-                    </button>
+                    </button>}
+                    {features.teaching && (
+                        <button
+                            className={`mode-btn ${showTeachingPanel ? 'active' : ''}`}
+                            onClick={() => setShowTeachingPanel(!showTeachingPanel)}
+                        >
+                            📚 Learn
+                        </button>
+                    )}
+                    {features.cameraInput && (
+                        <button
+                            className={`mode-btn ${showCamera ? 'active' : ''}`}
+                            onClick={() => setShowCamera(!showCamera)}
+                        >
+                            📷 Camera
+                        </button>
+                    )}
                 </div>
             </div>
 
             {/* Teaching Panel (Left Side) */}
-            <div className={`teaching-panel-container ${showTeachingPanel ? 'open' : 'closed'}`}>
+            {features.teaching && <div className={`teaching-panel-container ${showTeachingPanel ? 'open' : 'closed'}`}>
                 <button
                     className="panel-toggle"
                     onClick={() => setShowTeachingPanel(!showTeachingPanel)}
@@ -661,7 +857,7 @@ function App() {
                         />
                     )
                 )}
-            </div>
+            </div>}
 
             {/* Suggestions */}
             {suggestions.length > 0 && (
@@ -688,6 +884,22 @@ function App() {
                         <span className="interim"> {interimTranscript}...</span>
                     )}
                 </div>
+                {conversationId && (
+                    <div className="transcript-actions">
+                        {EXPORT_FORMATS.map(({ format, label }) => (
+                            <button
+                                key={format}
+                                className="transcript-export"
+                                onClick={() => downloadTranscript(format)}
+                            >
+                                ⬇ {label}
+                            </button>
+                        ))}
+                        <button className="transcript-export" onClick={startNewConversation}>
+                            ＋ New
+                        </button>
+                    </div>
+                )}
                 {isSpeaking && (
                     <div className="speaking-indicator">
                         <span>🔊</span> Speaking...
@@ -700,7 +912,7 @@ function App() {
                 <div className="camera-container">
                     <CameraInput
                         ref={cameraRef}
-                        onLandmarks={(landmarks) => teachingMode && checkMySign(landmarks)}
+                        onLandmarks={handleLandmarks}
                         onObjectDetection={handleCameraFrame}
                         isActive={true}
                     />
@@ -0,0 +1,115 @@
+// ============================================
+// SESSION AUTH
+// Signed session token from POST /api/auth/session, sent with every
+// API request and socket handshake so the server can key rate limits
+// and usage to this browser instead of to one socket
+// ============================================
+
+import { apiUrl } from './config';
+
+const SESSION_STORAGE_KEY = 'signLanguageSession';
+
+// Refresh this long before expiry so a request never races the deadline
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Token errors that a fresh session fixes
+const RETRYABLE_CODES = ['invalid_token', 'token_expired'];
+
+let sessionPromise = null;
+
+function readStoredSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function storeSession(session) {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ token: session.token, expiresAt: session.expiresAt }));
+    } catch {
+        // Storage unavailable - the token still lives in memory for this page
+    }
+}
+
+const isFresh = (session) => Boolean(session?.token) && Date.parse(session.expiresAt) - Date.now() > REFRESH_MARGIN_MS;
+
+async function requestSession(previousToken) {
+    const response = await fetch(apiUrl('/api/auth/session'), {
+        method: 'POST',
+        headers: previousToken ? { Authorization: `Bearer ${previousToken}` } : {}
+    });
+
+    // The old token was rejected (expired, or the server's secret changed): start over
+    if (response.status === 401 && previousToken) return requestSession(null);
+    if (!response.ok) throw new Error(`Session request failed: ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Current session token, requesting or refreshing one when needed.
+ * Resolves null when the server is unreachable (offline mode works without one).
+ */
+export function getSessionToken() {
+    const stored = readStoredSession();
+    if (isFresh(stored)) return Promise.resolve(stored.token);
+
+    if (!sessionPromise) {
+        // Refreshing with the old token keeps the same session id on the server
+        sessionPromise = requestSession(stored?.token)
+            .then(session => {
+                storeSession(session);
+                return session.token;
+            })
+            .catch(error => {
+                console.warn('Session unavailable:', error.message);
+                return null;
+            })
+            .finally(() => { sessionPromise = null; });
+    }
+    return sessionPromise;
+}
+
+/**
+ * Forget the stored token (the server rejected it)
+ */
+export function clearSessionToken() {
+    try {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch {
+        // Nothing stored
+    }
+}
+
+/**
+ * Whether a socket connect_error or API error body means "get a new token"
+ */
+export function isRetryableAuthError(error) {
+    return RETRYABLE_CODES.includes(error?.data?.code ?? error?.code);
+}
+
+/**
+ * Request headers plus Authorization for the current session
+ */
+export async function authHeaders(headers = {}) {
+    const token = await getSessionToken();
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+/**
+ * fetch() for a backend path with the session token attached.
+ * A rejected token is replaced and the request retried once.
+ */
+export async function apiFetch(path, init = {}) {
+    const send = async () => fetch(apiUrl(path), { ...init, headers: await authHeaders(init.headers) });
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    const body = await response.clone().json().catch(() => null);
+    if (!isRetryableAuthError(body)) return response;
+
+    clearSessionToken();
+    return send();
+}
@@ -17,12 +17,22 @@
  * }
  * 
  * Uses Euler angles in degrees relative to T-Pose
+ *
+ * Bone-rotation sign definitions are served per dialect by the backend
+ * avatar lexicon (GET /api/lexicon/:dialect, backend/data/avatar-lexicon.json).
+ * A sequence item can also bring its own definition as item.avatarSign, e.g.
+ * SiGML interpreted by POST /api/v1/sigml/interpret
+ *
+ * Non-manual markers (item expression / facial_expression) drive face
+ * blendshapes when the model has them, and head and shoulder bones
  */
 
-import React, { useRef, useEffect, useState, Component } from 'react';
+import React, { useRef, useEffect, useMemo, useState, Component } from 'react';
 import { Canvas, useFrame } from '@react-three/fiber';
 import { OrbitControls, Html, useGLTF, Environment } from '@react-three/drei';
 import * as THREE from 'three';
+import { loadOfflinePack } from '../utils/offlinePack';
+import { apiFetch } from '../auth';
 
 // ============================================
 // CONSTANTS
@@ -30,6 +40,8 @@ import * as THREE from 'three';
 
 const DEG2RAD = Math.PI / 180;
 const LERP_SPEED = 0.12;
+// Blended defs (fingerspelling) interpolate their own targets, so bones follow closely
+const BLEND_LERP_SPEED = 0.35;
 
 const BONES = {
     head: 'mixamorigHead',
@@ -42,6 +54,8 @@ const BONES = {
     lArm: 'mixamorigLeftArm',
     lForeArm: 'mixamorigLeftForeArm',
     lHand: 'mixamorigLeftHand',
+    rShoulder: 'mixamorigRightShoulder',
+    lShoulder: 'mixamorigLeftShoulder',
 };
 
 // ============================================
@@ -75,6 +89,84 @@ const HANDSHAPE_MAP = {
     'Pinch': {
         thumb: [0.3, 0.5, 0.3], index: [0.5, 0.6, 0.4], middle: [0.5, 0.6, 0.4],
         ring: [0.8, 0.8, 0.6], pinky: [0.9, 0.9, 0.6]
+    },
+
+    // Fingerspelling handshapes (letters and digits, see backend fingerspellingAlphabets.js).
+    // Finger spread and crossing are not modelled, so U/V and R/U share curls.
+    'Flat': {
+        thumb: [0.6, 0.4, 0.2], index: [0, 0, 0], middle: [0, 0, 0], ring: [0, 0, 0], pinky: [0, 0, 0]
+    },
+    'ThumbSide': {
+        thumb: [0, 0, 0], index: [1.5, 1.4, 1.0], middle: [1.5, 1.4, 1.0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'D_Shape': {
+        thumb: [0.3, 0.5, 0.3], index: [0, 0, 0], middle: [0.9, 0.9, 0.6],
+        ring: [0.9, 0.9, 0.6], pinky: [0.9, 0.9, 0.6]
+    },
+    'Bent': {
+        thumb: [0.6, 0.4, 0.3], index: [0.4, 1.5, 1.0], middle: [0.4, 1.5, 1.0],
+        ring: [0.4, 1.5, 1.0], pinky: [0.4, 1.5, 1.0]
+    },
+    'F_Shape': {
+        thumb: [0.3, 0.5, 0.3], index: [0.5, 0.6, 0.4], middle: [0, 0, 0], ring: [0, 0, 0], pinky: [0, 0, 0]
+    },
+    'L_Shape': {
+        thumb: [-0.4, 0, 0], index: [0, 0, 0], middle: [1.5, 1.4, 1.0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'U_Shape': {
+        thumb: [0.4, 0.3, 0.2], index: [0, 0, 0], middle: [0, 0, 0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'R_Shape': {
+        thumb: [0.4, 0.3, 0.2], index: [0, 0, 0], middle: [0.15, 0, 0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'K_Shape': {
+        thumb: [0.1, 0.2, 0], index: [0, 0, 0], middle: [0.3, 0.2, 0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'W_Shape': {
+        thumb: [0.5, 0.4, 0.3], index: [0, 0, 0], middle: [0, 0, 0], ring: [0, 0, 0], pinky: [1.5, 1.4, 1.0]
+    },
+    'Three_Shape': {
+        thumb: [-0.3, 0, 0], index: [0, 0, 0], middle: [0, 0, 0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'Seven_Shape': {
+        thumb: [0.4, 0.5, 0.3], index: [0, 0, 0], middle: [0, 0, 0], ring: [0.9, 0.8, 0.6], pinky: [0, 0, 0]
+    },
+    'Eight_Shape': {
+        thumb: [0.4, 0.5, 0.3], index: [0, 0, 0], middle: [0.9, 0.8, 0.6], ring: [0, 0, 0], pinky: [0, 0, 0]
+    },
+    'O_Shape': {
+        thumb: [0.3, 0.4, 0.3], index: [0.9, 0.8, 0.6], middle: [0.9, 0.8, 0.6],
+        ring: [0.9, 0.8, 0.6], pinky: [0.9, 0.8, 0.6]
+    },
+    'M_Shape': {
+        thumb: [0.6, 0.5, 0.3], index: [1.3, 1.2, 0.8], middle: [1.3, 1.2, 0.8],
+        ring: [1.3, 1.2, 0.8], pinky: [1.5, 1.4, 1.0]
+    },
+    'N_Shape': {
+        thumb: [0.6, 0.5, 0.3], index: [1.3, 1.2, 0.8], middle: [1.3, 1.2, 0.8],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'T_Shape': {
+        thumb: [0.2, 0.2, 0], index: [1.2, 1.0, 0.6], middle: [1.5, 1.4, 1.0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'X_Shape': {
+        thumb: [0.4, 0.3, 0.2], index: [0.2, 1.2, 0.9], middle: [1.5, 1.4, 1.0],
+        ring: [1.5, 1.4, 1.0], pinky: [1.5, 1.4, 1.0]
+    },
+    'PinkyUp': {
+        thumb: [0.4, 0.3, 0.2], index: [1.5, 1.4, 1.0], middle: [1.5, 1.4, 1.0],
+        ring: [1.5, 1.4, 1.0], pinky: [0, 0, 0]
+    },
+    'Y_Shape': {
+        thumb: [-0.4, 0, 0], index: [1.5, 1.4, 1.0], middle: [1.5, 1.4, 1.0],
+        ring: [1.5, 1.4, 1.0], pinky: [0, 0, 0]
     }
 };
 
@@ -193,339 +285,66 @@ function generateMovementKeyframes(action, basePos, duration) {
 }
 
 // ============================================
-// ACCURATE ASL SIGNS - Research-based bone rotations
-// Sources: lifeprint.com, ava.me, handspeak.com
-// All rotations in RADIANS
+// SIGN LEXICON
+// Avatar sign definitions come from the server (/api/lexicon/:dialect),
+// fetched lazily once per dialect and kept in localStorage; the stored
+// copy is revalidated by ETag, so new signs arrive without a release
 // ============================================
 
-const ASL_SIGNS_JSON = {
-    /**
-     * HELLO: Open palm at forehead, wave outward
-     * Source: lifeprint.com - "B hand near forehead, moves outward"
-     */
-    "HELLO": {
-        gloss: "HELLO",
-        duration: 1.4,
-        hand_shape: "OpenPalm",
-        // Direct bone rotations (radians) instead of target_position
-        bones: {
-            rArm: { x: -0.3, y: 0, z: 1.2 },      // Arm raised to side, up toward head
-            rForeArm: { x: 0, y: 1.4, z: 0 },     // Forearm bent, hand near forehead  
-            rHand: { x: 0, y: 0, z: 0.3 }         // Palm outward
-        },
-        movement_action: "Wave",
-        facial_expression: "Smile",
-        movement_keyframes: [
-            { time: 0, rHand: { z: 0.3 } },
-            { time: 0.25, rHand: { z: -0.2 } },
-            { time: 0.5, rHand: { z: 0.3 } },
-            { time: 0.75, rHand: { z: -0.2 } },
-            { time: 1.0, rHand: { z: 0.3 } }
-        ]
-    },
-
-    /**
-     * THANK-YOU: Flat hand from chin forward
-     * Source: ava.me - "Flat B hand at chin, moves forward and down"
-     */
-    "THANK-YOU": {
-        gloss: "THANK-YOU",
-        duration: 1.3,
-        hand_shape: "OpenPalm",
-        bones: {
-            rArm: { x: 0.5, y: 0, z: 0.8 },       // Arm forward, raised toward face
-            rForeArm: { x: 0, y: 1.8, z: 0 },     // Forearm bent, hand at chin
-            rHand: { x: -0.3, y: 0, z: 0 }        // Fingers pointing up at chin
-        },
-        movement_action: "ThankYou",
-        facial_expression: "Smile",
-        movement_keyframes: [
-            { time: 0, rArm: { x: 0.5 }, rForeArm: { y: 1.8 } },
-            { time: 0.5, rArm: { x: 0.2 }, rForeArm: { y: 1.2 } },  // Move forward/down
-            { time: 1.0, rArm: { x: 0.1 }, rForeArm: { y: 0.8 } }   // Extend outward
-        ]
-    },
-
-    /**
-     * YES: S-hand (fist) nodding up and down
-     * Source: lifeprint.com - "S hand nods like head nodding yes"
-     */
-    "YES": {
-        gloss: "YES",
-        duration: 1.2,
-        hand_shape: "Fist",
-        bones: {
-            rArm: { x: 0.3, y: 0, z: 0.6 },       // Arm slightly forward
-            rForeArm: { x: 0, y: 1.0, z: 0 },     // Forearm bent, fist in front
-            rHand: { x: 0, y: 0, z: 0 }           // Neutral wrist
-        },
-        movement_action: "Nod",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, rHand: { x: 0 } },
-            { time: 0.2, rHand: { x: 0.5 } },     // Nod down
-            { time: 0.4, rHand: { x: -0.2 } },    // Nod up
-            { time: 0.6, rHand: { x: 0.5 } },     // Nod down
-            { time: 0.8, rHand: { x: 0 } }        // Return
-        ]
-    },
-
-    /**
-     * NO: Index+middle fingers close onto thumb (snap motion)
-     * Source: lifeprint.com - "Index, middle, thumb snap together 2x"
-     */
-    "NO": {
-        gloss: "NO",
-        duration: 1.1,
-        hand_shape: "V_Shape",
-        bones: {
-            rArm: { x: 0.3, y: 0, z: 0.5 },       // Arm slightly forward
-            rForeArm: { x: 0, y: 0.8, z: 0 },     // Forearm relaxed
-            rHand: { x: 0, y: 0, z: 0 }           // Neutral wrist
-        },
-        movement_action: "Snap",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, handshape: "V_Shape" },
-            { time: 0.2, handshape: "Pinch" },    // Fingers snap closed
-            { time: 0.4, handshape: "V_Shape" },  // Fingers open
-            { time: 0.6, handshape: "Pinch" },    // Snap again
-            { time: 0.8, handshape: "V_Shape" }   // Return
-        ]
-    },
-
-    /**
-     * PLEASE: Flat hand circular on chest
-     * Source: wiktionary - "Open B hand, palm facing body, circles on chest"
-     */
-    "PLEASE": {
-        gloss: "PLEASE",
-        duration: 1.4,
-        hand_shape: "OpenPalm",
-        bones: {
-            rArm: { x: 0.6, y: 0.4, z: 0.5 },     // Arm across body toward chest
-            rForeArm: { x: 0, y: 1.6, z: 0 },     // Forearm bent, hand on chest
-            rHand: { x: 0, y: 0, z: 1.5 }         // Palm facing body (inward)
-        },
-        movement_action: "Circular",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, rArm: { y: 0.4 }, rHand: { x: 0 } },
-            { time: 0.25, rArm: { y: 0.5 }, rHand: { x: 0.15 } },   // Circle right
-            { time: 0.5, rArm: { y: 0.4 }, rHand: { x: 0.2 } },     // Circle down
-            { time: 0.75, rArm: { y: 0.3 }, rHand: { x: 0.15 } },   // Circle left
-            { time: 1.0, rArm: { y: 0.4 }, rHand: { x: 0 } }        // Return
-        ]
-    },
-
-    /**
-     * SORRY: Fist (A-hand) circular on chest
-     * Source: ava.me - "A hand or S hand, palm inward, circles on chest"
-     */
-    "SORRY": {
-        gloss: "SORRY",
-        duration: 1.4,
-        hand_shape: "Fist",
-        bones: {
-            rArm: { x: 0.6, y: 0.4, z: 0.5 },     // Arm across body toward chest
-            rForeArm: { x: 0, y: 1.6, z: 0 },     // Forearm bent, fist on chest
-            rHand: { x: 0, y: 0, z: 1.5 }         // Palm facing body
-        },
-        movement_action: "Circular",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, rArm: { y: 0.4 } },
-            { time: 0.25, rArm: { y: 0.5 } },     // Circle motion
-            { time: 0.5, rArm: { y: 0.4 } },
-            { time: 0.75, rArm: { y: 0.3 } },
-            { time: 1.0, rArm: { y: 0.4 } }
-        ]
-    },
-
-    /**
-     * I-LOVE-YOU: ILY handshape held out
-     * Source: lingvano - "Thumb, index, pinky extended; middle, ring curled"
-     */
-    "I-LOVE-YOU": {
-        gloss: "I-LOVE-YOU",
-        duration: 1.5,
-        hand_shape: "ILY",
-        bones: {
-            rArm: { x: 0.2, y: -0.2, z: 0.9 },    // Arm out to side, slightly forward
-            rForeArm: { x: 0, y: 0.4, z: 0 },     // Forearm extended
-            rHand: { x: 0, y: 0, z: 0 }           // Palm outward
-        },
-        movement_action: "Wave",
-        facial_expression: "Smile",
-        movement_keyframes: [
-            { time: 0, rHand: { z: 0 } },
-            { time: 0.33, rHand: { z: 0.15 } },
-            { time: 0.66, rHand: { z: -0.15 } },
-            { time: 1.0, rHand: { z: 0 } }
-        ]
-    },
-
-    /**
-     * HELP: Thumbs-up (A-hand) on flat palm, both lift up
-     * Source: ava.me - "Dominant fist with thumb up rests on non-dominant flat palm, both rise"
-     */
-    "HELP": {
-        gloss: "HELP",
-        duration: 1.4,
-        hand_shape: "Fist",  // Dominant is fist with thumb out
-        left_hand_shape: "OpenPalm",  // Non-dominant is flat palm up
-        bones: {
-            rArm: { x: 0.4, y: 0.1, z: 0.5 },     // Right arm forward
-            rForeArm: { x: 0, y: 1.2, z: 0 },     // Right forearm bent
-            rHand: { x: 0, y: 0, z: -0.5 },       // Thumb pointing up
-            lArm: { x: 0.4, y: -0.1, z: -0.5 },   // Left arm forward (mirrored)
-            lForeArm: { x: 0, y: -1.2, z: 0 },    // Left forearm bent
-            lHand: { x: 0, y: 0, z: 1.5 }         // Palm facing up
-        },
-        movement_action: "Lift",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, rArm: { z: 0.5 }, lArm: { z: -0.5 } },
-            { time: 0.5, rArm: { z: 0.8 }, lArm: { z: -0.8 } },    // Both arms rise
-            { time: 1.0, rArm: { z: 1.0 }, lArm: { z: -1.0 } }     // Lifted position
-        ]
-    },
+const LEXICON_STORAGE_KEY = 'signLanguageAvatarLexicon';
 
-    /**
-     * GOOD: Flat hand from chin forward, lands on other palm
-     * Source: lifeprint.com - "Fingers at chin, arc forward and down"
-     */
-    "GOOD": {
-        gloss: "GOOD",
-        duration: 1.4,
-        hand_shape: "OpenPalm",
-        left_hand_shape: "OpenPalm",
-        bones: {
-            rArm: { x: 0.5, y: 0, z: 0.7 },       // Arm forward, near face
-            rForeArm: { x: 0, y: 1.6, z: 0 },     // Forearm bent, hand at chin
-            rHand: { x: -0.2, y: 0, z: 0 },       // Fingers toward mouth
-            lArm: { x: 0.3, y: 0, z: -0.4 },      // Left arm forward, lower
-            lForeArm: { x: 0, y: -0.8, z: 0 },    // Left palm up (platform)
-            lHand: { x: 0, y: 0, z: 1.5 }         // Palm up
-        },
-        movement_action: "Good",
-        facial_expression: "Smile",
-        movement_keyframes: [
-            { time: 0, rArm: { x: 0.5 }, rForeArm: { y: 1.6 } },
-            { time: 0.5, rArm: { x: 0.3 }, rForeArm: { y: 1.0 } },  // Arc forward
-            { time: 1.0, rArm: { x: 0.2 }, rForeArm: { y: 0.6 } }   // Land on palm
-        ]
-    },
-
-    /**
-     * HOME: Flat-O (pinched fingers) touches cheek near mouth, then ear
-     * Source: lifeprint.com - "Flat O at cheek, touch mouth area then ear"
-     */
-    "HOME": {
-        gloss: "HOME",
-        duration: 1.3,
-        hand_shape: "Pinch",
-        bones: {
-            rArm: { x: 0, y: -0.3, z: 1.1 },      // Arm up to face level
-            rForeArm: { x: 0, y: 1.8, z: 0 },     // Forearm bent, hand at cheek
-            rHand: { x: -0.5, y: 0.3, z: 0 }      // Fingers pointing toward cheek
-        },
-        movement_action: "Tap",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, rArm: { y: -0.3 } },       // Near mouth
-            { time: 0.3, rArm: { y: -0.4 } },     // Touch
-            { time: 0.5, rArm: { y: -0.5 } },     // Slide toward ear
-            { time: 0.8, rArm: { y: -0.6 } },     // Touch near ear
-            { time: 1.0, rArm: { y: -0.5 } }      // Slight return
-        ]
-    },
+// dialect -> Promise<{ [gloss]: sign }>
+const lexicons = {};
 
-    /**
-     * YOU: Point index finger at audience
-     * Source: lifeprint.com - "Index finger points at person being addressed"
-     */
-    "YOU": {
-        gloss: "YOU",
-        duration: 0.9,
-        hand_shape: "IndexPoint",
-        bones: {
-            rArm: { x: 0.3, y: 0, z: 0.7 },       // Arm forward
-            rForeArm: { x: 0, y: 0.5, z: 0 },     // Forearm mostly extended
-            rHand: { x: 0, y: 0, z: 0 }           // Point forward
-        },
-        movement_action: "Hold",
-        facial_expression: "Neutral"
-    },
+function readStoredLexicon(dialect) {
+    try {
+        return JSON.parse(localStorage.getItem(`${LEXICON_STORAGE_KEY}:${dialect}`));
+    } catch {
+        return null;
+    }
+}
 
-    /**
-     * ME: Point index finger at self (chest)
-     * Source: lifeprint.com - "Index finger points at own chest"
-     */
-    "ME": {
-        gloss: "ME",
-        duration: 0.9,
-        hand_shape: "IndexPoint",
-        bones: {
-            rArm: { x: 0.5, y: 0.3, z: 0.4 },     // Arm toward self
-            rForeArm: { x: 0, y: 1.4, z: 0 },     // Forearm bent, pointing at chest
-            rHand: { x: 0.3, y: 0, z: 0.5 }       // Point toward body
-        },
-        movement_action: "Tap",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, rHand: { x: 0.3 } },
-            { time: 0.25, rHand: { x: 0.5 } },    // Tap chest
-            { time: 0.5, rHand: { x: 0.3 } },
-            { time: 0.75, rHand: { x: 0.5 } },    // Tap again
-            { time: 1.0, rHand: { x: 0.3 } }
-        ]
-    },
+async function fetchLexicon(dialect) {
+    const stored = readStoredLexicon(dialect);
+    const response = await apiFetch(`/api/lexicon/${dialect}`, {
+        headers: stored?.etag ? { 'If-None-Match': stored.etag } : {}
+    });
 
-    /**
-     * LOVE: Crossed arms over chest (hug self)
-     * Source: brainly - "Fists crossed over heart"
-     */
-    "LOVE": {
-        gloss: "LOVE",
-        duration: 1.5,
-        hand_shape: "Fist",
-        left_hand_shape: "Fist",
-        bones: {
-            rArm: { x: 0.8, y: 0.5, z: 0.4 },     // Right arm crosses to left
-            rForeArm: { x: 0, y: 1.8, z: 0 },     // Forearm bent, fist on chest
-            rHand: { x: 0, y: 0, z: 0 },
-            lArm: { x: 0.8, y: -0.5, z: -0.4 },   // Left arm crosses to right
-            lForeArm: { x: 0, y: -1.8, z: 0 },    // Forearm bent
-            lHand: { x: 0, y: 0, z: 0 }
-        },
-        movement_action: "Hold",
-        facial_expression: "Smile"
-    },
+    if (response.status === 304 && stored) return stored.signs;
+    if (!response.ok) throw new Error(`Lexicon request failed: ${response.status}`);
+
+    const lexicon = await response.json();
+    try {
+        localStorage.setItem(`${LEXICON_STORAGE_KEY}:${dialect}`, JSON.stringify({
+            etag: response.headers.get('ETag') || lexicon.etag,
+            version: lexicon.version,
+            signs: lexicon.signs
+        }));
+    } catch {
+        // Storage full or unavailable - the in-memory copy still works
+    }
+    return lexicon.signs;
+}
 
-    /**
-     * BAD: Flat hand at chin flips to palm down
-     * Source: lifeprint.com - "Flat hand at chin, turns palm down away from face"
-     */
-    "BAD": {
-        gloss: "BAD",
-        duration: 1.2,
-        hand_shape: "OpenPalm",
-        bones: {
-            rArm: { x: 0.4, y: 0, z: 0.7 },       // Arm forward near face
-            rForeArm: { x: 0, y: 1.5, z: 0 },     // Forearm bent
-            rHand: { x: -0.2, y: 0, z: 0 }        // At chin level
-        },
-        movement_action: "FlipDown",
-        facial_expression: "Neutral",
-        movement_keyframes: [
-            { time: 0, rHand: { z: 0 } },         // Palm toward body
-            { time: 0.4, rHand: { z: 1.5 } },     // Flip palm down
-            { time: 0.6, rArm: { x: 0.2 } },      // Move away
-            { time: 1.0, rHand: { z: 1.5 } }      // Palm down position
-        ]
+/**
+ * Avatar sign definitions for a dialect, keyed by gloss (THANK-YOU).
+ * Falls back to the stored copy, then the offline pack, when the server is
+ * unreachable.
+ */
+function loadLexicon(dialect = 'ASL') {
+    const key = dialect.toUpperCase();
+    if (!lexicons[key]) {
+        lexicons[key] = fetchLexicon(key).catch(async error => {
+            console.warn(`Avatar lexicon for ${key} unavailable:`, error.message);
+            delete lexicons[key]; // Retry on the next sign
+            const stored = readStoredLexicon(key)?.signs;
+            if (stored) return stored;
+            const pack = await loadOfflinePack(key).catch(() => null);
+            return pack?.avatarSigns || {};
+        });
     }
-};
+    return lexicons[key];
+}
 
 // ============================================
 // NEUTRAL POSE
@@ -668,13 +487,314 @@ function jsonSignToKeyframes(jsonSign) {
     return { duration: duration * 1000, keyframes };
 }
 
+// ============================================
+// FINGERSPELLING
+// Letters come from the server in the dialect's alphabet:
+// ASL is one-handed, BSL/ISL bring the left hand up as the base hand
+// ============================================
+
+// Wrist rotation for each palm orientation
+const ORIENTATION_ROTATION = {
+    up: { x: 0, y: 0, z: 0 },
+    side: { x: 0, y: 0, z: -0.9 },    // Fingers pointing across the body
+    down: { x: 0.9, y: 0, z: 0 }      // Fingers pointing down
+};
+
+// Fingerspelling pace. letterDuration (seconds per one-handed letter) overrides
+// the server's; transition is the share of each letter spent blending out of
+// the previous handshape (coarticulation).
+const FINGERSPELL_TIMING = {
+    letterDuration: null,
+    transition: 0.25
+};
+
+const FINGERSPELL_MARKER = /^(#|FS-|FS:)/;
+
+const FINGERSPELL_POSE = {
+    // Dominant hand raised beside the shoulder
+    rArm: { x: 0.3, y: 0, z: 0.7 },
+    rForeArm: { x: 0, y: 1.1, z: 0 },
+    // Dominant hand reaching across to touch the base hand
+    rArmContact: { x: 0.45, y: 0.35, z: 0.55 },
+    rForeArmContact: { x: 0, y: 1.5, z: 0 },
+    // Non-dominant base hand in front of the chest (mirrors HELP)
+    lArm: { x: 0.4, y: -0.1, z: -0.5 },
+    lForeArm: { x: 0, y: -1.2, z: 0 },
+    // Double letters: dip, then land shifted toward the dominant side
+    doubleDip: { x: 0, y: -0.2, z: 0 },
+    doubleShift: { x: 0, y: 0.15, z: 0 }
+};
+
+const addRotation = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+
+/**
+ * Re-time server letters to a different pace (two-handed letters keep their
+ * longer share)
+ */
+function retimeFingerspelling(fingerspelling, letterDuration) {
+    const oneHanded = fingerspelling.letters.find(l => !l.twoHanded)?.duration ||
+        fingerspelling.letters[0]?.duration;
+    if (!letterDuration || !oneHanded) return fingerspelling;
+
+    const scale = letterDuration / oneHanded;
+    return {
+        ...fingerspelling,
+        letters: fingerspelling.letters.map(l => ({
+            ...l,
+            startTime: l.startTime * scale,
+            duration: l.duration * scale
+        }))
+    };
+}
+
+/**
+ * Convert a resolved fingerspelling ({ letters: [{ letter, startTime, duration, hands, double }] })
+ * into the same { duration, keyframes } shape as jsonSignToKeyframes.
+ * Keyframes carry a transition (seconds) to blend from the previous one,
+ * and the def is flagged blend so the player interpolates between letters.
+ */
+function fingerspellingToKeyframes(fingerspelling, timing = FINGERSPELL_TIMING) {
+    const keyframes = [];
+    let total = 0;
+
+    for (const l of fingerspelling.letters) {
+        const right = l.hands?.right || { handshape: l.handshape, orientation: 'up' };
+        const left = l.hands?.left;
+        const rHand = ORIENTATION_ROTATION[right.orientation] || ORIENTATION_ROTATION.up;
+        const lHand = ORIENTATION_ROTATION[left?.orientation] || ORIENTATION_ROTATION.up;
+
+        const kf = {
+            time: l.startTime,
+            letter: l.letter,
+            handshape: right.handshape,
+            leftHandshape: left ? left.handshape : 'OpenPalm',
+            rArm: right.contact ? FINGERSPELL_POSE.rArmContact : FINGERSPELL_POSE.rArm,
+            rForeArm: right.contact ? FINGERSPELL_POSE.rForeArmContact : FINGERSPELL_POSE.rForeArm,
+            rHand,
+            lArm: left ? FINGERSPELL_POSE.lArm : NEUTRAL.lArm,
+            lForeArm: left ? FINGERSPELL_POSE.lForeArm : NEUTRAL.lForeArm,
+            lHand: left ? { x: lHand.x, y: lHand.y, z: -lHand.z } : NEUTRAL.lHand,
+            transition: l.duration * timing.transition
+        };
+
+        if (l.double && !right.movement) {
+            // Bounce-shift: re-form the letter with a small dip, landing shifted
+            const quarter = l.duration / 4;
+            keyframes.push({ ...kf, rForeArm: addRotation(kf.rForeArm, FINGERSPELL_POSE.doubleDip) });
+            keyframes.push({
+                ...kf,
+                time: l.startTime + quarter,
+                transition: quarter,
+                rArm: addRotation(kf.rArm, FINGERSPELL_POSE.doubleShift)
+            });
+            total = Math.max(total, l.startTime + l.duration);
+            continue;
+        }
+        keyframes.push(kf);
+
+        // J, Z and brushed letters move mid-letter
+        if (right.movement) {
+            keyframes.push({
+                ...kf,
+                time: l.startTime + l.duration / 2,
+                transition: l.duration / 4,
+                rHand: { ...rHand, z: rHand.z + 0.4 }
+            });
+        }
+
+        total = Math.max(total, l.startTime + l.duration);
+    }
+
+    keyframes.push({
+        time: total,
+        ...NEUTRAL,
+        handshape: 'OpenPalm',
+        leftHandshape: 'OpenPalm',
+        transition: 0.2
+    });
+
+    return { duration: total * 1000, keyframes, blend: true };
+}
+
+/**
+ * Fetch a gloss spelled in the dialect's alphabet
+ */
+async function fetchFingerspelling(gloss, dialect, letterDuration) {
+    const pace = letterDuration ? `&letterDuration=${letterDuration}` : '';
+    const response = await apiFetch(
+        `/api/resolve/${encodeURIComponent(gloss)}?dialect=${dialect}&sources=fingerspelling${pace}`
+    );
+    if (!response.ok) return null;
+    const sign = await response.json();
+    return sign.fingerspelling;
+}
+
+// ============================================
+// NON-MANUAL MARKERS
+// Face, head and shoulders run on their own channel beside the hands.
+// A marker stays up until a sign with different markers starts, so a
+// question's brows hold across every sign of the clause instead of
+// dropping in the gap between signs.
+// ============================================
+
+// Per marker: face morph weights (ARKit blendshape names, used when the model
+// has them), head offset and shoulder raise in radians, and head movement.
+// Brows also move the head, so markers read on models without a face rig.
+const NON_MANUAL_MARKERS = {
+    'raised-eyebrows': {
+        label: '🤨 brows up',
+        morphs: { browInnerUp: 0.9, browOuterUpLeft: 0.7, browOuterUpRight: 0.7 },
+        head: { x: -0.1, y: 0, z: 0 }           // Yes/no questions: head up and back
+    },
+    'furrowed-brows': {
+        label: '😠 brows down',
+        morphs: { browDownLeft: 0.9, browDownRight: 0.9 },
+        head: { x: 0.08, y: 0, z: 0.06 }        // WH-questions: head forward, tilted
+    },
+    'pursed-lips': { label: '😗 pursed lips', morphs: { mouthPucker: 0.8 } },
+    'wide-eyes': {
+        label: '😳 wide eyes',
+        morphs: { eyeWideLeft: 0.9, eyeWideRight: 0.9, browInnerUp: 0.4 },
+        head: { x: -0.05, y: 0, z: 0 }
+    },
+    smile: { label: '🙂 smile', morphs: { mouthSmileLeft: 0.7, mouthSmileRight: 0.7 } },
+    'head-nod': { label: '↕ nod', movement: 'nod' },
+    'head-shake': { label: '↔ shake', movement: 'shake' },
+    'head-tilt': { label: 'head tilt', head: { x: 0, y: 0, z: 0.15 } },
+    'shoulder-raise': { label: 'shoulders up', shoulders: 0.2 },
+    'shoulder-shift-left': { label: '⇠ shift', spine: -0.2 },     // Role shift
+    'shoulder-shift-right': { label: 'shift ⇢', spine: 0.2 }
+};
+
+// Spellings used by Gemini output, the lexicon and the procedural signs
+const MARKER_ALIASES = {
+    eyebrowsup: 'raised-eyebrows',
+    'raised-brows': 'raised-eyebrows',
+    'brows-up': 'raised-eyebrows',
+    questioning: 'raised-eyebrows',
+    'furrowed-eyebrows': 'furrowed-brows',
+    'eyebrows-furrowed': 'furrowed-brows', // gloss-mappings.json grammar_rules
+    'eyebrows-raised': 'raised-eyebrows',
+    'brows-down': 'furrowed-brows',
+    furrowed: 'furrowed-brows',
+    concerned: 'furrowed-brows',
+    happy: 'smile',
+    friendly: 'smile',
+    nod: 'head-nod',
+    shake: 'head-shake',
+    'head-shaking': 'head-shake',
+    tilt: 'head-tilt',
+    'shoulder-shift': 'shoulder-shift-right'
+};
+
+/**
+ * Marker keys from any mix of expression strings ("raised-eyebrows+head-nod",
+ * "EyebrowsUp") and arrays; neutral and unknown values are dropped
+ */
+function parseNonManual(...values) {
+    const markers = new Set();
+    for (const value of values.flat()) {
+        if (!value || typeof value !== 'string') continue;
+        for (const part of value.split(/\s*(?:[+,;/&]|\band\b)\s*/i)) {
+            const name = part.trim().toLowerCase().replace(/[\s_]+/g, '-');
+            const key = MARKER_ALIASES[name] || name;
+            if (NON_MANUAL_MARKERS[key]) markers.add(key);
+        }
+    }
+    return [...markers].sort();
+}
+
+/**
+ * Combined channel pose for a set of markers
+ */
+function nonManualPose(markers) {
+    const pose = { head: { x: 0, y: 0, z: 0 }, shoulders: 0, spine: 0, morphs: {}, nod: 0, shake: 0 };
+    for (const key of markers) {
+        const marker = NON_MANUAL_MARKERS[key];
+        if (marker.head) pose.head = addRotation(pose.head, marker.head);
+        pose.shoulders += marker.shoulders || 0;
+        pose.spine += marker.spine || 0;
+        if (marker.movement === 'nod') pose.nod = 1;
+        if (marker.movement === 'shake') pose.shake = 1;
+        for (const [morph, weight] of Object.entries(marker.morphs || {})) {
+            pose.morphs[morph] = Math.max(pose.morphs[morph] || 0, weight);
+        }
+    }
+    return pose;
+}
+
+// ============================================
+// KEYFRAME BLENDING
+// ============================================
+
+const smoothstep = t => t * t * (3 - 2 * t);
+
+const lerpRotation = (a, b, t) => ({
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    z: a.z + (b.z - a.z) * t
+});
+
+function getHandshape(shape) {
+    if (shape && typeof shape === 'object') return shape;
+    return HANDSHAPE_MAP[shape] || LEGACY_HANDSHAPES[shape] || HANDSHAPE_MAP.OpenPalm;
+}
+
+/**
+ * Finger curls part-way between two handshapes
+ */
+function blendHandshapes(from, to, t) {
+    const a = getHandshape(from);
+    const b = getHandshape(to);
+    const blended = {};
+    for (const finger of ['thumb', 'index', 'middle', 'ring', 'pinky']) {
+        blended[finger] = [0, 1, 2].map(i => {
+            const start = a[finger]?.[i] || 0;
+            return start + ((b[finger]?.[i] || 0) - start) * t;
+        });
+    }
+    return blended;
+}
+
+/**
+ * Pose at time t for a blended def: each keyframe eases in from the
+ * previous one over its transition, then holds
+ */
+function blendedKeyframe(kfs, time) {
+    let i = 0;
+    while (i + 1 < kfs.length && time >= kfs[i + 1].time) i++;
+
+    const kf = kfs[i];
+    const prev = kfs[i - 1];
+    const progress = prev && kf.transition > 0 ? Math.min(1, (time - kf.time) / kf.transition) : 1;
+    if (progress >= 1) return kf;
+
+    const t = smoothstep(progress);
+    const pose = { handshape: blendHandshapes(prev.handshape, kf.handshape, t) };
+    pose.leftHandshape = blendHandshapes(prev.leftHandshape, kf.leftHandshape, t);
+    for (const key of ['rArm', 'rForeArm', 'rHand', 'lArm', 'lForeArm', 'lHand']) {
+        pose[key] = prev[key] && kf[key] ? lerpRotation(prev[key], kf[key], t) : kf[key];
+    }
+    return pose;
+}
+
 // ============================================
 // AVATAR MODEL COMPONENT
 // ============================================
 
-function ASLAvatarModel({ signSequence, speed = 1.0 }) {
+function ASLAvatarModel({ signSequence, sequenceId, speed = 1.0, dialect = 'ASL', fingerspellTiming = FINGERSPELL_TIMING }) {
     const { scene, nodes } = useGLTF('/models/xbot.glb');
     const [currentSign, setCurrentSign] = useState(null);
+    const [nonManualLabel, setNonManualLabel] = useState(null);
+
+    // Meshes with face blendshapes (none on the default X Bot - head bones carry the markers)
+    const morphMeshes = useMemo(() => {
+        const meshes = [];
+        scene.traverse(object => {
+            if (object.morphTargetDictionary && object.morphTargetInfluences) meshes.push(object);
+        });
+        return meshes;
+    }, [scene]);
 
     const stateRef = useRef({
         animTime: 0,
@@ -682,48 +802,123 @@ function ASLAvatarModel({ signSequence, speed = 1.0 }) {
         targetPose: { ...NEUTRAL },
         currentHandshape: 'OpenPalm',
         leftHandshape: 'OpenPalm',
-        isPlaying: false
+        isPlaying: false,
+        // Non-manual channel: target from the active markers, current eases toward it
+        nonManual: { markers: [], target: nonManualPose([]), current: nonManualPose([]) },
+        restRotations: {}
     });
 
+    // Playback cursor. Streamed sequences grow while playing, so the player
+    // walks the latest props instead of a snapshot and resumes when more arrive.
+    const playbackRef = useRef({ id: null, index: 0, running: false });
+    const latestRef = useRef({ signSequence, speed, dialect, fingerspellTiming });
+    latestRef.current = { signSequence, speed, dialect, fingerspellTiming };
+
+    // Fetch the dialect's signs before the first sequence arrives
     useEffect(() => {
-        if (!signSequence?.length) return;
+        loadLexicon(dialect);
+    }, [dialect]);
+
+    useEffect(() => {
+        const playback = playbackRef.current;
+        if (playback.id !== sequenceId) {
+            // A new sequence replaces whatever is playing
+            playback.id = sequenceId;
+            playback.index = 0;
+        }
+        if (!signSequence?.length || playback.running) return;
+
+        // Start markers with the sign; unchanged markers keep holding (spans)
+        const setNonManual = (markers) => {
+            const channel = stateRef.current.nonManual;
+            if (markers.join() === channel.markers.join()) return;
+            channel.markers = markers;
+            channel.target = nonManualPose(markers);
+            setNonManualLabel(markers.length ? markers.map(key => NON_MANUAL_MARKERS[key].label).join(' · ') : null);
+        };
+
+        const startSignDef = (signDef) => {
+            const st = stateRef.current;
+            st.signDef = signDef;
+            st.animTime = 0;
+            st.isPlaying = true;
+
+            const firstKf = signDef.keyframes[0];
+            st.currentHandshape = firstKf.handshape || 'OpenPalm';
+            st.leftHandshape = firstKf.leftHandshape || 'OpenPalm';
+        };
+
+        const playItem = async (item) => {
+            const { speed, dialect, fingerspellTiming: timing } = latestRef.current;
+            const rawGloss = (item.gloss || String(item)).toUpperCase().trim().replace(/[\s_]+/g, '-');
+
+            // #WORD (textToGloss) and fingerspell items go straight to the speller
+            const spelled = item.type === 'fingerspelling' || item.type === 'fingerspell' ||
+                FINGERSPELL_MARKER.test(rawGloss);
+            const gloss = rawGloss.replace(FINGERSPELL_MARKER, '');
+            // Items may carry their own definition (SiGML interpreted by /api/v1/sigml/interpret)
+            const lexicon = !spelled && !item.avatarSign ? await loadLexicon(dialect) : null;
+            const jsonSign = item.avatarSign || lexicon?.[gloss];
+
+            // Sentence-level markers from the translation win over the sign's own face
+            const itemMarkers = parseNonManual(item.expression, item.nonManual);
+            setNonManual(itemMarkers.length ? itemMarkers : parseNonManual(jsonSign?.facial_expression));
+
+            if (jsonSign) {
+                setCurrentSign(gloss);
+                const signDef = jsonSignToKeyframes(jsonSign);
+                startSignDef(signDef);
+
+                await new Promise(r => setTimeout(r, signDef.duration / speed + 200));
+                return;
+            }
+
+            // Fingerspell in the dialect's alphabet (resolved items already carry it)
+            const fingerspelling = item.fingerspelling
+                ? retimeFingerspelling(item.fingerspelling, timing.letterDuration)
+                : await fetchFingerspelling(gloss, dialect, timing.letterDuration).catch(() => null);
+
+            if (!fingerspelling?.letters?.length) {
+                setCurrentSign(`🔤 ${gloss}`);
+                await new Promise(r => setTimeout(r, 500));
+                return;
+            }
+
+            startSignDef(fingerspellingToKeyframes(fingerspelling, timing));
+            for (const l of fingerspelling.letters) {
+                setCurrentSign(`🔤 ${gloss} · ${l.letter}`);
+                await new Promise(r => setTimeout(r, (l.duration * 1000) / speed));
+            }
+            await new Promise(r => setTimeout(r, 200));
+        };
 
         const play = async () => {
-            for (const item of signSequence) {
-                const gloss = (item.gloss || String(item)).toUpperCase();
-                const jsonSign = ASL_SIGNS_JSON[gloss];
-
-                if (jsonSign) {
-                    setCurrentSign(gloss);
-                    const signDef = jsonSignToKeyframes(jsonSign);
-                    const st = stateRef.current;
-                    st.signDef = signDef;
-                    st.animTime = 0;
-                    st.isPlaying = true;
-
-                    const firstKf = signDef.keyframes[0];
-                    st.currentHandshape = firstKf.handshape || 'OpenPalm';
-                    st.leftHandshape = firstKf.leftHandshape || 'OpenPalm';
-
-                    await new Promise(r => setTimeout(r, signDef.duration / speed + 200));
-                } else {
-                    // Fingerspelling fallback
-                    setCurrentSign(`🔤 ${gloss}`);
-                    await new Promise(r => setTimeout(r, 500));
-                }
+            playback.running = true;
+            const id = playback.id;
+
+            while (playback.id === id && playback.index < (latestRef.current.signSequence?.length || 0)) {
+                await playItem(latestRef.current.signSequence[playback.index++]);
+            }
+
+            playback.running = false;
+            if (playback.id !== id) {
+                // Sequence was replaced mid-play - start the new one
+                play();
+                return;
             }
 
             setCurrentSign(null);
+            setNonManual([]);
             stateRef.current.signDef = null;
             stateRef.current.isPlaying = false;
         };
 
         play();
-    }, [signSequence, speed]);
+    }, [signSequence, sequenceId]);
 
-    const applyHandshape = (nodes, shapeName, side) => {
-        // Support both new and legacy handshape names
-        const hs = HANDSHAPE_MAP[shapeName] || LEGACY_HANDSHAPES[shapeName] || HANDSHAPE_MAP.OpenPalm;
+    const applyHandshape = (nodes, shapeName, side, lerpSpeed = LERP_SPEED) => {
+        // Support new and legacy handshape names, and blended curls
+        const hs = getHandshape(shapeName);
         const prefix = side === 'left' ? 'mixamorigLeftHand' : 'mixamorigRightHand';
 
         ['Index', 'Middle', 'Ring', 'Pinky'].forEach(finger => {
@@ -732,7 +927,7 @@ function ASLAvatarModel({ signSequence, speed = 1.0 }) {
                 for (let i = 0; i < 3; i++) {
                     const bone = nodes[`${prefix}${finger}${i + 1}`];
                     if (bone) {
-                        bone.rotation.z = THREE.MathUtils.lerp(bone.rotation.z, hs[key][i] || 0, LERP_SPEED);
+                        bone.rotation.z = THREE.MathUtils.lerp(bone.rotation.z, hs[key][i] || 0, lerpSpeed);
                     }
                 }
             }
@@ -742,7 +937,7 @@ function ASLAvatarModel({ signSequence, speed = 1.0 }) {
             for (let i = 0; i < 3; i++) {
                 const bone = nodes[`${prefix}Thumb${i + 1}`];
                 if (bone) {
-                    bone.rotation.z = THREE.MathUtils.lerp(bone.rotation.z, hs.thumb[i] || 0, LERP_SPEED);
+                    bone.rotation.z = THREE.MathUtils.lerp(bone.rotation.z, hs.thumb[i] || 0, lerpSpeed);
                 }
             }
         }
@@ -758,8 +953,12 @@ function ASLAvatarModel({ signSequence, speed = 1.0 }) {
 
             const kfs = st.signDef.keyframes;
             let kf = kfs[0];
-            for (let i = 0; i < kfs.length; i++) {
-                if (st.animTime >= kfs[i].time) kf = kfs[i];
+            if (st.signDef.blend) {
+                kf = blendedKeyframe(kfs, st.animTime);
+            } else {
+                for (let i = 0; i < kfs.length; i++) {
+                    if (st.animTime >= kfs[i].time) kf = kfs[i];
+                }
             }
 
             ['rArm', 'rForeArm', 'rHand', 'lArm', 'lForeArm', 'lHand'].forEach(key => {
@@ -775,6 +974,8 @@ function ASLAvatarModel({ signSequence, speed = 1.0 }) {
             st.leftHandshape = 'OpenPalm';
         }
 
+        const lerpSpeed = st.isPlaying && st.signDef?.blend ? BLEND_LERP_SPEED : LERP_SPEED;
+
         const boneMap = {
             rArm: BONES.rArm, rForeArm: BONES.rForeArm, rHand: BONES.rHand,
             lArm: BONES.lArm, lForeArm: BONES.lForeArm, lHand: BONES.lHand
@@ -784,19 +985,55 @@ function ASLAvatarModel({ signSequence, speed = 1.0 }) {
             const bone = nodes[boneName];
             if (bone && st.targetPose[key]) {
                 const t = st.targetPose[key];
-                bone.rotation.x = THREE.MathUtils.lerp(bone.rotation.x, t.x, LERP_SPEED);
-                bone.rotation.y = THREE.MathUtils.lerp(bone.rotation.y, t.y, LERP_SPEED);
-                bone.rotation.z = THREE.MathUtils.lerp(bone.rotation.z, t.z, LERP_SPEED);
+                bone.rotation.x = THREE.MathUtils.lerp(bone.rotation.x, t.x, lerpSpeed);
+                bone.rotation.y = THREE.MathUtils.lerp(bone.rotation.y, t.y, lerpSpeed);
+                bone.rotation.z = THREE.MathUtils.lerp(bone.rotation.z, t.z, lerpSpeed);
             }
         });
 
-        applyHandshape(nodes, st.currentHandshape, 'right');
-        applyHandshape(nodes, st.leftHandshape, 'left');
+        applyHandshape(nodes, st.currentHandshape, 'right', lerpSpeed);
+        applyHandshape(nodes, st.leftHandshape, 'left', lerpSpeed);
+
+        // Non-manual channel eases toward its markers (slower than the hands)
+        const nm = st.nonManual;
+        const ease = (from, to) => THREE.MathUtils.lerp(from, to, LERP_SPEED * 0.8);
+        nm.current.head = {
+            x: ease(nm.current.head.x, nm.target.head.x),
+            y: ease(nm.current.head.y, nm.target.head.y),
+            z: ease(nm.current.head.z, nm.target.head.z)
+        };
+        for (const key of ['shoulders', 'spine', 'nod', 'shake']) {
+            nm.current[key] = ease(nm.current[key], nm.target[key]);
+        }
+
+        for (const mesh of morphMeshes) {
+            for (const [morph, index] of Object.entries(mesh.morphTargetDictionary)) {
+                const weight = nm.target.morphs[morph] || 0;
+                mesh.morphTargetInfluences[index] = ease(mesh.morphTargetInfluences[index], weight);
+            }
+        }
 
-        // Idle breathing
+        // Idle breathing, plus head pose, nod / shake and shoulder markers
         const t = state.clock.getElapsedTime();
+        const nod = Math.sin(t * Math.PI * 5) * 0.12 * nm.current.nod;
+        const shake = Math.sin(t * Math.PI * 4) * 0.18 * nm.current.shake;
         if (nodes[BONES.spine]) nodes[BONES.spine].rotation.x = 0.02 + Math.sin(t * 0.3) * 0.008;
-        if (nodes[BONES.head]) nodes[BONES.head].rotation.y = Math.sin(t * 0.2) * 0.012;
+        if (nodes[BONES.head]) {
+            nodes[BONES.head].rotation.x = nm.current.head.x + nod;
+            nodes[BONES.head].rotation.y = Math.sin(t * 0.2) * 0.012 + nm.current.head.y + shake;
+            nodes[BONES.head].rotation.z = nm.current.head.z;
+        }
+
+        // Shoulder and upper-spine bones have a non-zero rest pose, so markers offset from it
+        const offsetFromRest = (key, axis, offset) => {
+            const bone = nodes[BONES[key]];
+            if (!bone) return;
+            st.restRotations[key] ??= bone.rotation[axis];
+            bone.rotation[axis] = st.restRotations[key] + offset;
+        };
+        offsetFromRest('rShoulder', 'z', nm.current.shoulders);
+        offsetFromRest('lShoulder', 'z', -nm.current.shoulders);
+        offsetFromRest('spine2', 'y', nm.current.spine);
     });
 
     return (
@@ -817,6 +1054,11 @@ function ASLAvatarModel({ signSequence, speed = 1.0 }) {
                         textTransform: 'uppercase'
                     }}>
                         {currentSign}
+                        {nonManualLabel && (
+                            <div style={{ fontSize: '14px', color: '#ffd166', marginTop: '6px', textTransform: 'none' }}>
+                                {nonManualLabel}
+                            </div>
+                        )}
                     </div>
                 </Html>
             )}
@@ -837,7 +1079,10 @@ class ErrorBoundary extends Component {
     }
 }
 
-export default function Avatar3D({ signData, currentDialect = 'ASL' }) {
+/**
+ * @param {Object} fingerspellTiming - Overrides FINGERSPELL_TIMING ({ letterDuration, transition })
+ */
+export default function Avatar3D({ signData, currentDialect = 'ASL', fingerspellTiming }) {
     const [speed, setSpeed] = useState(1.0);
 
     return (
@@ -868,7 +1113,13 @@ export default function Avatar3D({ signData, currentDialect = 'ASL' }) {
 
                 <React.Suspense fallback={<Html center><div style={{ color: '#00ff88' }}>Loading...</div></Html>}>
                     <ErrorBoundary>
-                        <ASLAvatarModel signSequence={signData?.sequence} speed={speed} />
+                        <ASLAvatarModel
+                            signSequence={signData?.sequence}
+                            sequenceId={signData?.id}
+                            speed={speed}
+                            dialect={currentDialect}
+                            fingerspellTiming={{ ...FINGERSPELL_TIMING, ...fingerspellTiming }}
+                        />
                     </ErrorBoundary>
                 </React.Suspense>
 
@@ -879,4 +1130,12 @@ export default function Avatar3D({ signData, currentDialect = 'ASL' }) {
 }
 
 // Export for external use
-export { ASL_SIGNS_JSON, jsonSignToKeyframes, HANDSHAPE_MAP };
+export {
+    loadLexicon,
+    jsonSignToKeyframes,
+    fingerspellingToKeyframes,
+    parseNonManual,
+    FINGERSPELL_TIMING,
+    HANDSHAPE_MAP,
+    NON_MANUAL_MARKERS
+};
@@ -1,8 +1,57 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
+import { FilesetResolver, HandLandmarker } from '@mediapipe/tasks-vision';
+
+// MediaPipe runtime and hand model (loaded once, on first camera start)
+const MEDIAPIPE_WASM_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.32/wasm';
+const HAND_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+// Landmarks are forwarded at most this often (~15 fps) to keep socket traffic low
+const LANDMARK_INTERVAL_MS = 66;
+
+let handLandmarkerPromise = null;
+
+function loadHandLandmarker() {
+    if (!handLandmarkerPromise) {
+        handLandmarkerPromise = FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_URL)
+            .then(vision => HandLandmarker.createFromOptions(vision, {
+                baseOptions: { modelAssetPath: HAND_MODEL_URL, delegate: 'GPU' },
+                runningMode: 'VIDEO',
+                numHands: 2
+            }))
+            .catch(err => {
+                handLandmarkerPromise = null;
+                throw err;
+            });
+    }
+    return handLandmarkerPromise;
+}
+
+/**
+ * Convert a HandLandmarker result into { rightHand, leftHand }.
+ * MediaPipe labels handedness as if the image were mirrored; the raw camera
+ * frame is not, so "Left" is the signer's right hand.
+ */
+function toHandLandmarks(result) {
+    const hands = {
+        rightHand: { visible: false, landmarks: [] },
+        leftHand: { visible: false, landmarks: [] }
+    };
+
+    (result?.landmarks || []).forEach((landmarks, i) => {
+        const label = result.handedness?.[i]?.[0]?.categoryName;
+        const key = label === 'Left' ? 'rightHand' : 'leftHand';
+        hands[key] = {
+            visible: true,
+            landmarks: landmarks.map(({ x, y, z }) => ({ x, y, z }))
+        };
+    });
+
+    return hands;
+}
 
 /**
- * Camera Input Component with MediaPipe Holistic
- * Captures video and extracts hand/pose landmarks
+ * Camera Input Component with MediaPipe Hand Landmarker
+ * Captures video and extracts 21-point hand landmarks
  */
 export default function CameraInput({ onLandmarks, onObjectDetection, isActive }) {
     const videoRef = useRef(null);
@@ -13,6 +62,26 @@ export default function CameraInput({ onLandmarks, onObjectDetection, isActive }
     const streamRef = useRef(null);
     const animationFrameRef = useRef(null);
     const lastObjectDetectionRef = useRef(0);
+    const lastLandmarksRef = useRef(0);
+    const handLandmarkerRef = useRef(null);
+
+    // Load the hand landmark model in the background
+    useEffect(() => {
+        if (!isActive || handLandmarkerRef.current) return;
+
+        let cancelled = false;
+        loadHandLandmarker()
+            .then(landmarker => {
+                if (!cancelled) handLandmarkerRef.current = landmarker;
+            })
+            .catch(err => {
+                console.error('Hand landmarker failed to load:', err);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isActive]);
 
     // Start camera
     const startCamera = useCallback(async () => {
@@ -66,20 +135,24 @@ export default function CameraInput({ onLandmarks, onObjectDetection, isActive }
         canvas.height = video.videoHeight || 480;
         ctx.drawImage(video, 0, 0);
 
-        // Mock landmark detection (in production, use MediaPipe)
-        // This simulates hand landmarks for demo purposes
-        const mockLandmarks = generateMockLandmarks();
+        const now = Date.now();
+
+        // Hand landmark detection (skipped until the model has loaded)
+        const landmarker = handLandmarkerRef.current;
+        if (landmarker && video.readyState >= 2) {
+            const landmarks = toHandLandmarks(landmarker.detectForVideo(video, performance.now()));
 
-        // Draw landmarks overlay
-        drawLandmarks(ctx, mockLandmarks);
+            // Draw landmarks overlay
+            drawLandmarks(ctx, landmarks);
 
-        // Send landmarks to parent
-        if (onLandmarks && isActive) {
-            onLandmarks(mockLandmarks);
+            // Send landmarks to parent (throttled)
+            if (onLandmarks && isActive && now - lastLandmarksRef.current >= LANDMARK_INTERVAL_MS) {
+                lastLandmarksRef.current = now;
+                onLandmarks(landmarks, now);
+            }
         }
 
         // Object detection (throttled)
-        const now = Date.now();
         if (onObjectDetection && now - lastObjectDetectionRef.current > 3000) {
             lastObjectDetectionRef.current = now;
 
@@ -92,44 +165,6 @@ export default function CameraInput({ onLandmarks, onObjectDetection, isActive }
         animationFrameRef.current = requestAnimationFrame(processFrame);
     }, [cameraActive, onLandmarks, onObjectDetection, isActive]);
 
-    // Generate mock landmarks for demo
-    const generateMockLandmarks = () => {
-        const t = Date.now() / 1000;
-
-        return {
-            rightHand: {
-                visible: true,
-                landmarks: Array(21).fill(null).map((_, i) => ({
-                    x: 0.3 + Math.sin(t + i * 0.1) * 0.05,
-                    y: 0.5 + Math.cos(t + i * 0.1) * 0.05 + i * 0.02,
-                    z: Math.sin(t * 0.5) * 0.1
-                }))
-            },
-            leftHand: {
-                visible: true,
-                landmarks: Array(21).fill(null).map((_, i) => ({
-                    x: 0.7 + Math.sin(t + i * 0.1 + 1) * 0.05,
-                    y: 0.5 + Math.cos(t + i * 0.1 + 1) * 0.05 + i * 0.02,
-                    z: Math.sin(t * 0.5 + 1) * 0.1
-                }))
-            },
-            pose: {
-                landmarks: Array(33).fill(null).map((_, i) => ({
-                    x: 0.5 + Math.sin(t * 0.3 + i) * 0.1,
-                    y: 0.3 + i * 0.02,
-                    z: 0
-                }))
-            },
-            face: {
-                landmarks: Array(468).fill(null).map((_, i) => ({
-                    x: 0.5 + (i % 20 - 10) * 0.01,
-                    y: 0.2 + Math.floor(i / 20) * 0.005,
-                    z: 0
-                }))
-            }
-        };
-    };
-
     // Draw landmarks on canvas
     const drawLandmarks = (ctx, landmarks) => {
         const { width, height } = ctx.canvas;
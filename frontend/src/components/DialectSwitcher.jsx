@@ -1,5 +1,5 @@
 import { useState, useCallback, useEffect } from 'react';
-import { socket } from '../socket';
+import { socket, client } from '../socket';
 import './DialectSwitcher.css';
 
 // ============================================
@@ -85,7 +85,7 @@ export default function DialectSwitcher({
     useEffect(() => {
         socket.connect();
 
-        socket.on('dialect-switched', (data) => {
+        const offSwitched = client.on('dialect-switched', () => {
             setIsTransitioning(false);
             setTransitionProgress(100);
 
@@ -96,9 +96,7 @@ export default function DialectSwitcher({
             }, 300);
         });
 
-        return () => {
-            socket.off('dialect-switched');
-        };
+        return offSwitched;
     }, []);
 
     // ============================================
@@ -126,10 +124,17 @@ export default function DialectSwitcher({
 
         // Send translation request if there's a sequence
         if (signSequence && signSequence.length > 0) {
-            socket.emit('switch-dialect', {
+            // Success arrives as dialect-switched; a failure must not leave the overlay up
+            client.request('switch-dialect', {
                 currentSequence: signSequence,
                 fromDialect: activeDialect,
                 toDialect: dialectCode
+            }).catch((error) => {
+                console.error('Dialect switch failed:', error.message);
+                clearInterval(progressInterval);
+                setIsTransitioning(false);
+                setTargetDialect(null);
+                setTransitionProgress(0);
             });
         } else {
             // No sequence to translate, just switch
@@ -164,7 +169,7 @@ export default function DialectSwitcher({
                 });
 
                 // Request translation for comparison
-                socket.emit('switch-dialect', {
+                client.send('switch-dialect', {
                     currentSequence: signSequence,
                     fromDialect: activeDialect,
                     toDialect: dialects[0]
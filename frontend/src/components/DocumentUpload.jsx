@@ -1,5 +1,5 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { socket } from '../socket';
+import { socket, client } from '../socket';
 import './DocumentUpload.css';
 
 // ============================================
@@ -13,6 +13,7 @@ const SUPPORTED_TYPES = {
 };
 
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const LESSON_TIMEOUT_MS = 60000; // Lesson generation is one long Gemini call
 
 // ============================================
 // SOCKET CONNECTION
@@ -52,27 +53,25 @@ export default function DocumentUpload({
     // Socket connection
     useEffect(() => {
         socket.connect();
+    }, []);
 
-        socket.on('lesson-generated', (data) => {
-            setProcessingStatus('');
+    // Only this request's answer or error ends up here, not other components' events
+    const generateLesson = useCallback(async (documentText, filename) => {
+        setProcessingStatus('Generating lesson with AI...');
+        try {
+            const data = await client.request('upload-document', { documentText, dialect, filename }, { timeout: LESSON_TIMEOUT_MS });
             if (data.success && data.lesson) {
                 setLesson(data.lesson);
                 if (onLessonGenerated) onLessonGenerated(data.lesson);
             } else {
                 setError('Failed to generate lesson');
             }
-        });
-
-        socket.on('error', (data) => {
+        } catch (err) {
+            setError(err.message || 'An error occurred');
+        } finally {
             setProcessingStatus('');
-            setError(data.message || 'An error occurred');
-        });
-
-        return () => {
-            socket.off('lesson-generated');
-            socket.off('error');
-        };
-    }, [onLessonGenerated]);
+        }
+    }, [dialect, onLessonGenerated]);
 
     // ============================================
     // FILE HANDLING
@@ -142,21 +141,15 @@ export default function DocumentUpload({
             }
 
             // Send to backend
-            setProcessingStatus('Generating lesson with AI...');
             setUploadProgress(80);
-
-            socket.emit('upload-document', {
-                documentText: text,
-                dialect,
-                filename: selectedFile.name
-            });
+            await generateLesson(text, selectedFile.name);
 
         } catch (err) {
             setError(err.message || 'Failed to process file');
             setProcessingStatus('');
             setUploadProgress(0);
         }
-    }, [validateFile, extractTextFromFile, dialect]);
+    }, [validateFile, extractTextFromFile, generateLesson]);
 
     // ============================================
     // DRAG & DROP HANDLERS
@@ -370,12 +363,7 @@ export default function DocumentUpload({
                             className="generate-btn"
                             onClick={() => {
                                 if (extractedText.trim().length > 10) {
-                                    setProcessingStatus('Generating lesson with AI...');
-                                    socket.emit('upload-document', {
-                                        documentText: extractedText,
-                                        dialect,
-                                        filename: 'pasted-text'
-                                    });
+                                    generateLesson(extractedText, 'pasted-text');
                                 } else {
                                     setError('Please enter at least 10 characters');
                                 }
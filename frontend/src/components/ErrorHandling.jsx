@@ -218,6 +218,65 @@ export function ConnectionStatus({ status, onRetry }) {
     );
 }
 
+// ============================================
+// RATE LIMIT NOTICE
+// Shows a refused request's retryAfter as a countdown
+// (socket 'error' payloads and REST 429 bodies share this shape)
+// ============================================
+const RATE_LIMIT_CODES = ['rate_limited', 'quota_exceeded'];
+
+export function isRateLimitError(error) {
+    return RATE_LIMIT_CODES.includes(error?.code);
+}
+
+export function formatRetryAfter(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+export function RateLimitNotice({ error, onExpire, onDismiss }) {
+    const [secondsLeft, setSecondsLeft] = useState(error?.retryAfter ?? 0);
+
+    useEffect(() => {
+        if (!error) return;
+        setSecondsLeft(error.retryAfter ?? 0);
+
+        const timer = setInterval(() => {
+            setSecondsLeft(prev => {
+                if (prev <= 1) {
+                    clearInterval(timer);
+                    if (onExpire) onExpire();
+                    return 0;
+                }
+                return prev - 1;
+            });
+        }, 1000);
+
+        return () => clearInterval(timer);
+    }, [error, onExpire]);
+
+    if (!error) return null;
+
+    const isQuota = error.code === 'quota_exceeded';
+
+    return (
+        <div className={`rate-limit-notice ${isQuota ? 'rate-limit-quota' : ''}`} role="status">
+            <span className="rate-limit-icon">{isQuota ? '📅' : '⏳'}</span>
+            <span className="rate-limit-text">
+                {isQuota
+                    ? `Daily AI limit${error.quota ? ` of ${error.quota.limit} requests` : ''} reached`
+                    : 'Too many requests'}
+                {' '}- try again in {formatRetryAfter(secondsLeft)}
+            </span>
+            {onDismiss && (
+                <button className="rate-limit-close" onClick={onDismiss}>×</button>
+            )}
+        </div>
+    );
+}
+
 // ============================================
 // ERROR BOUNDARY
 // ============================================
@@ -1,6 +1,5 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { io } from 'socket.io-client';
-import { socket } from '../socket';
+import { socket, client } from '../socket';
 import './TeachingPanel.css';
 
 // ============================================
@@ -38,8 +37,21 @@ const COMMON_SIGNS = {
     ]
 };
 
+const LEARNER_ID_KEY = 'signLanguageLearnerId';
+const PROGRESS_SYNCED_KEY = 'signLanguageProgressSyncedFor';
+
+// Guided lesson ID, kept per tab so a reload or reconnect resumes the lesson
+const LIVE_LESSON_KEY = 'signLanguageLiveLesson';
+
+// The server analyses at most one frame per 1.5s; sending faster only wastes bandwidth
+const LESSON_FRAME_INTERVAL_MS = 2000;
+const LESSON_LOG_LIMIT = 20;
+
+const LESSON_TOPICS = ['Basic Greetings', 'Introduction', 'Family', 'Numbers', 'Colors', 'Emotions', 'Questions'];
+
 const TABS = [
     { id: 'practice', label: 'Practice', icon: '🎯' },
+    { id: 'guided', label: 'Guided', icon: '🧑‍🏫' },
     { id: 'suggestions', label: 'Suggestions', icon: '💡' },
     { id: 'progress', label: 'Progress', icon: '📊' },
     { id: 'reference', label: 'Reference', icon: '📖' }
@@ -68,23 +80,59 @@ export default function TeachingPanel({
     const [feedback, setFeedback] = useState(externalFeedback);
     const [suggestions, setSuggestions] = useState(externalSuggestions);
 
-    // Progress tracking (persisted to localStorage)
+    // Progress tracking (cached in localStorage, synced with the learner store)
     const [progress, setProgress] = useState(() => {
         const saved = localStorage.getItem('signLanguageProgress');
-        return saved ? JSON.parse(saved) : {
-            signsPracticed: 0,
-            totalAccuracy: 0,
-            practiceCount: 0,
-            streak: 0,
-            lastPracticeDate: null,
-            achievements: [],
-            signHistory: {}
-        };
+        if (!saved) {
+            return {
+                signsPracticed: 0,
+                totalAccuracy: 0,
+                practiceCount: 0,
+                streak: 0,
+                lastPracticeDate: null,
+                achievements: [],
+                signHistory: {}
+            };
+        }
+        const parsed = JSON.parse(saved);
+        // Older versions stored Date.toDateString()
+        if (parsed.lastPracticeDate && !/^\d{4}-\d{2}-\d{2}$/.test(parsed.lastPracticeDate)) {
+            parsed.lastPracticeDate = toDayKey(new Date(parsed.lastPracticeDate));
+        }
+        return parsed;
     });
 
+    // Learner profile ID - enter the same ID on another device to continue there
+    const [learnerId, setLearnerId] = useState(() => {
+        const saved = localStorage.getItem(LEARNER_ID_KEY);
+        if (saved) return saved;
+        const id = generateLearnerId();
+        localStorage.setItem(LEARNER_ID_KEY, id);
+        return id;
+    });
+    const [learnerIdInput, setLearnerIdInput] = useState('');
+    const [isSynced, setIsSynced] = useState(false);
+    const [reviewQueue, setReviewQueue] = useState({ total: 0, due: [], nextDueDate: null });
+
+    // Guided lesson (live-lesson:* socket events)
+    const [lessonTopic, setLessonTopic] = useState(LESSON_TOPICS[0]);
+    const [lessonDifficulty, setLessonDifficulty] = useState('beginner');
+    const [liveLesson, setLiveLesson] = useState(null);
+    const [lessonFeedback, setLessonFeedback] = useState(null);
+    const [lessonLog, setLessonLog] = useState([]);
+    const [lessonSummary, setLessonSummary] = useState(null);
+    const [lessonError, setLessonError] = useState(null);
+    const [lessonCameraOn, setLessonCameraOn] = useState(false);
+
     // Refs
     const recordingTimerRef = useRef(null);
     const videoFramesRef = useRef([]);
+    const learnerIdRef = useRef(learnerId);
+    const progressRef = useRef(progress);
+    const lessonVideoRef = useRef(null);
+    const lessonCanvasRef = useRef(null);
+    const lessonStreamRef = useRef(null);
+    const lessonFrameTimerRef = useRef(null);
 
     // Sync external props
     useEffect(() => {
@@ -99,32 +147,195 @@ export default function TeachingPanel({
     useEffect(() => {
         socket.connect();
 
-        socket.on('sign-feedback', (data) => {
+        const offFeedback = client.on('sign-feedback', (data) => {
             setFeedback(data);
             setIsRecording(false);
             updateProgress(data.accuracy);
         });
 
-        socket.on('suggested-signs', (data) => {
+        const offSuggestions = client.on('suggested-signs', (data) => {
             setSuggestions(data.suggestions || []);
         });
 
         return () => {
-            socket.off('sign-feedback');
-            socket.off('suggested-signs');
+            offFeedback();
+            offSuggestions();
         };
     }, []);
 
+    // Learner store sync - identify on every (re)connect; the server's
+    // progress replaces the local copy once it arrives
+    useEffect(() => {
+        learnerIdRef.current = learnerId;
+        setIsSynced(false);
+
+        const identify = () => {
+            const alreadyMerged = localStorage.getItem(PROGRESS_SYNCED_KEY) === learnerId;
+            client.send('learner:identify', {
+                userId: learnerId,
+                dialect,
+                date: toDayKey(),
+                localProgress: alreadyMerged ? undefined : progressRef.current
+            });
+        };
+
+        const handleLearnerProgress = (data) => {
+            if (!data || data.userId !== learnerIdRef.current) return;
+            localStorage.setItem(PROGRESS_SYNCED_KEY, data.userId);
+            setIsSynced(true);
+            setProgress(prev => ({
+                ...prev,
+                signsPracticed: data.signsPracticed,
+                totalAccuracy: data.totalAccuracy,
+                practiceCount: data.practiceCount,
+                streak: data.streak,
+                lastPracticeDate: data.lastPracticeDate,
+                achievements: data.achievements,
+                signHistory: data.signHistory
+            }));
+        };
+
+        const handleLearnerReviews = (data) => {
+            if (!data || data.userId !== learnerIdRef.current) return;
+            setReviewQueue({ total: data.total, due: data.due, nextDueDate: data.nextDueDate });
+        };
+
+        const listeners = [
+            client.on('connect', identify),
+            client.on('learner:progress', handleLearnerProgress),
+            client.on('learner:reviews', handleLearnerReviews)
+        ];
+        if (socket.connected) identify();
+
+        return () => listeners.forEach(off => off());
+    }, [learnerId]);
+
+    // Best signs and reviews are per dialect
+    useEffect(() => {
+        if (socket.connected) {
+            client.send('learner:get-progress', { userId: learnerIdRef.current, dialect });
+            client.send('learner:get-reviews', { userId: learnerIdRef.current, dialect, date: toDayKey() });
+        }
+    }, [dialect]);
+
+    // Guided lesson events - resume the tab's lesson on every (re)connect
+    useEffect(() => {
+        const addToLog = (type, text) => {
+            setLessonLog(prev => [...prev, { type, text, at: Date.now() }].slice(-LESSON_LOG_LIMIT));
+        };
+
+        const resume = () => {
+            const lessonId = sessionStorage.getItem(LIVE_LESSON_KEY);
+            if (!lessonId) return;
+
+            // The lesson state arrives as live-lesson:resumed
+            client.request('live-lesson:resume', { lessonId }).catch((error) => {
+                if (error.code === 'not_found') {
+                    // Expired or the server restarted - start over
+                    sessionStorage.removeItem(LIVE_LESSON_KEY);
+                    setLiveLesson(null);
+                }
+                setLessonError(error.message);
+            });
+        };
+
+        const handleStarted = (data) => {
+            sessionStorage.setItem(LIVE_LESSON_KEY, data.lessonId);
+            setLiveLesson({
+                lessonId: data.lessonId,
+                topic: data.topic,
+                signs: data.signs,
+                currentSign: data.signs[0],
+                position: 1,
+                signsCompleted: []
+            });
+            setLessonFeedback(null);
+            setLessonSummary(null);
+            setLessonError(null);
+            setLessonLog([]);
+        };
+
+        const handleResumed = (data) => {
+            setLiveLesson({
+                lessonId: data.lessonId,
+                topic: data.topic,
+                signs: data.signsToPractice,
+                currentSign: data.currentSign,
+                position: data.signsToPractice.indexOf(data.currentSign) + 1,
+                signsCompleted: data.signsCompleted
+            });
+            setLessonError(null);
+        };
+
+        const handleNextSign = (data) => {
+            setLiveLesson(prev => prev && { ...prev, currentSign: data.sign, position: data.progress });
+            setLessonFeedback(null);
+            addToLog('next', `Next sign: ${data.sign}`);
+        };
+
+        const handleSignCompleted = (data) => {
+            setLiveLesson(prev => prev && { ...prev, signsCompleted: [...prev.signsCompleted, data.sign] });
+        };
+
+        const handleFeedback = (data) => {
+            setLessonFeedback(data);
+            if (data.celebration) addToLog('celebration', data.celebration);
+        };
+
+        const handleComplete = (data) => {
+            sessionStorage.removeItem(LIVE_LESSON_KEY);
+            setLessonSummary(data);
+            setLiveLesson(null);
+        };
+
+        const handleEnded = (data) => {
+            sessionStorage.removeItem(LIVE_LESSON_KEY);
+            setLiveLesson(null);
+            // A lesson that had already completed keeps its summary on screen
+            setLessonSummary(prev => prev || { topic: data.topic, signsLearned: data.signsCompleted || [], totalSigns: data.signsToPractice?.length || 0 });
+        };
+
+        const handleMessage = (data) => addToLog(data.type, data.content);
+        const handleHint = (data) => addToLog('hint', data.hint);
+        const handleInstruction = (data) => addToLog('instruction', data.instruction);
+
+        // Failures of events sent without waiting for an answer (frames, end)
+        const handleError = (data) => {
+            if (data.event?.startsWith('live-lesson:')) setLessonError(data.message);
+        };
+
+        const handlers = {
+            'live-lesson:started': handleStarted,
+            'live-lesson:resumed': handleResumed,
+            'live-lesson:message': handleMessage,
+            'live-lesson:feedback': handleFeedback,
+            'live-lesson:sign-completed': handleSignCompleted,
+            'live-lesson:next-sign': handleNextSign,
+            'live-lesson:complete': handleComplete,
+            'live-lesson:ended': handleEnded,
+            'live-lesson:hint': handleHint,
+            'live-lesson:instruction': handleInstruction,
+            error: handleError
+        };
+
+        const listeners = Object.entries(handlers).map(([event, handler]) => client.on(event, handler));
+        listeners.push(client.on('connect', resume));
+        if (socket.connected) resume();
+
+        return () => listeners.forEach(off => off());
+    }, []);
+
     // Save progress to localStorage
     useEffect(() => {
+        progressRef.current = progress;
         localStorage.setItem('signLanguageProgress', JSON.stringify(progress));
     }, [progress]);
 
     // Update streak on first load
     useEffect(() => {
-        const today = new Date().toDateString();
+        const today = toDayKey();
         if (progress.lastPracticeDate !== today) {
-            const yesterday = new Date(Date.now() - 86400000).toDateString();
+            const yesterday = toDayKey(new Date(Date.now() - 86400000));
             setProgress(prev => ({
                 ...prev,
                 streak: prev.lastPracticeDate === yesterday ? prev.streak : 0
@@ -137,14 +348,14 @@ export default function TeachingPanel({
     // ============================================
 
     const updateProgress = useCallback((accuracy) => {
-        const today = new Date().toDateString();
+        const today = toDayKey();
 
         setProgress(prev => {
             const newPracticeCount = prev.practiceCount + 1;
             const newTotalAccuracy = prev.totalAccuracy + accuracy;
             const newSignsPracticed = prev.signsPracticed + 1;
             const streakContinued = prev.lastPracticeDate === today ||
-                prev.lastPracticeDate === new Date(Date.now() - 86400000).toDateString();
+                prev.lastPracticeDate === toDayKey(new Date(Date.now() - 86400000));
 
             // Check for achievements
             const achievements = [...prev.achievements];
@@ -228,12 +439,14 @@ export default function TeachingPanel({
         setIsRecording(false);
 
         // Send to backend for analysis
-        socket.emit('check-my-sign', {
+        client.send('check-my-sign', {
             videoFrames: videoFramesRef.current,
             intendedSign: currentSign?.gloss || currentSign,
-            dialect
+            dialect,
+            userId: learnerId,
+            practiceDate: toDayKey()
         });
-    }, [currentSign, dialect]);
+    }, [currentSign, dialect, learnerId]);
 
     const cancelRecording = useCallback(() => {
         if (recordingTimerRef.current) {
@@ -243,13 +456,99 @@ export default function TeachingPanel({
         setRecordingProgress(0);
     }, []);
 
+    const queueDueReviews = useCallback(() => {
+        setPracticeQueue(prev => {
+            const queued = new Set(prev.map(s => s.gloss));
+            const reviews = reviewQueue.due
+                .filter(item => !queued.has(item.gloss))
+                .map(item => ({ gloss: item.gloss, meaning: 'Review', difficulty: 'review' }));
+            return [...reviews, ...prev];
+        });
+        if (!currentSign && reviewQueue.due.length > 0) {
+            selectSignForPractice({ gloss: reviewQueue.due[0].gloss, meaning: 'Review' });
+        }
+    }, [reviewQueue, currentSign, selectSignForPractice]);
+
+    const switchLearner = useCallback(() => {
+        const id = learnerIdInput.trim();
+        if (!/^[A-Za-z0-9_-]{1,64}$/.test(id) || id === learnerId) return;
+        localStorage.setItem(LEARNER_ID_KEY, id);
+        setLearnerIdInput('');
+        setLearnerId(id);
+    }, [learnerIdInput, learnerId]);
+
     const requestSuggestions = useCallback(() => {
-        socket.emit('get-sign-suggestions', {
+        client.send('get-sign-suggestions', {
             conversationHistory: [],
             dialect
         });
     }, [dialect]);
 
+    const startLiveLesson = useCallback(() => {
+        setLessonError(null);
+        // The lesson itself arrives as live-lesson:started
+        client.request('live-lesson:start', {
+            topic: lessonTopic,
+            difficulty: lessonDifficulty,
+            dialect,
+            // Queued signs make up the lesson; otherwise the server picks signs for the topic
+            signs: practiceQueue.map(sign => sign.gloss)
+        }).catch(error => setLessonError(error.message));
+    }, [lessonTopic, lessonDifficulty, dialect, practiceQueue]);
+
+    // Hint, instruction and skip answer with their own live-lesson:* events
+    const askLesson = useCallback((event) => {
+        setLessonError(null);
+        client.request(event).catch(error => setLessonError(error.message));
+    }, []);
+
+    const stopLessonCamera = useCallback(() => {
+        clearInterval(lessonFrameTimerRef.current);
+        lessonFrameTimerRef.current = null;
+        lessonStreamRef.current?.getTracks().forEach(track => track.stop());
+        lessonStreamRef.current = null;
+        setLessonCameraOn(false);
+    }, []);
+
+    const startLessonCamera = useCallback(async () => {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: { width: { ideal: 640 }, height: { ideal: 480 }, facingMode: 'user' }
+            });
+            lessonStreamRef.current = stream;
+            if (lessonVideoRef.current) lessonVideoRef.current.srcObject = stream;
+            setLessonCameraOn(true);
+            setLessonError(null);
+
+            // Send a small JPEG of the current frame on a fixed interval
+            lessonFrameTimerRef.current = setInterval(() => {
+                const video = lessonVideoRef.current;
+                const canvas = lessonCanvasRef.current;
+                if (!video || !canvas || video.readyState < 2 || !socket.connected) return;
+
+                canvas.width = 320;
+                canvas.height = Math.round(320 * (video.videoHeight / video.videoWidth || 0.75));
+                canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+                client.send('live-lesson:frame', { frame: canvas.toDataURL('image/jpeg', 0.6) });
+            }, LESSON_FRAME_INTERVAL_MS);
+        } catch (err) {
+            console.error('Camera error:', err);
+            setLessonError('Unable to access camera. Please check permissions.');
+        }
+    }, []);
+
+    const endLiveLesson = useCallback(() => {
+        stopLessonCamera();
+        client.send('live-lesson:end');
+    }, [stopLessonCamera]);
+
+    // No frames once the lesson is over or out of view, and none after the panel closes
+    useEffect(() => {
+        if (!liveLesson || activeTab !== 'guided') stopLessonCamera();
+    }, [liveLesson, activeTab, stopLessonCamera]);
+
+    useEffect(() => stopLessonCamera, [stopLessonCamera]);
+
     // ============================================
     // RENDER FUNCTIONS
     // ============================================
@@ -369,6 +668,38 @@ export default function TeachingPanel({
                 </section>
             )}
 
+            {/* Spaced-repetition reviews */}
+            <section className="review-section">
+                <div className="review-header">
+                    <h3>Due for Review ({reviewQueue.total})</h3>
+                    {reviewQueue.due.length > 0 && (
+                        <button className="refresh-btn" onClick={queueDueReviews}>
+                            Review all
+                        </button>
+                    )}
+                </div>
+                {reviewQueue.due.length > 0 ? (
+                    <div className="sign-grid">
+                        {reviewQueue.due.map(item => (
+                            <button
+                                key={item.gloss}
+                                className={`sign-btn review ${currentSign?.gloss === item.gloss ? 'active' : ''}`}
+                                onClick={() => selectSignForPractice({ gloss: item.gloss, meaning: 'Review' })}
+                                title={item.lastAccuracy != null ? `Last score: ${item.lastAccuracy}%` : 'Not reviewed yet'}
+                            >
+                                {item.gloss}
+                            </button>
+                        ))}
+                    </div>
+                ) : (
+                    <p className="reference-note">
+                        {reviewQueue.nextDueDate
+                            ? `All caught up - next review ${reviewQueue.nextDueDate}`
+                            : 'Practice signs to build your review schedule'}
+                    </p>
+                )}
+            </section>
+
             {/* Practice Queue */}
             {practiceQueue.length > 0 && (
                 <section className="queue-section">
@@ -420,6 +751,129 @@ export default function TeachingPanel({
         </div>
     );
 
+    const renderGuidedTab = () => (
+        <div className="tab-content guided-tab">
+            {lessonError && (
+                <div className="lesson-error">
+                    <span>{lessonError}</span>
+                    <button onClick={() => setLessonError(null)}>×</button>
+                </div>
+            )}
+
+            {!liveLesson ? (
+                <>
+                    {/* Lesson Summary */}
+                    {lessonSummary && (
+                        <section className="lesson-summary">
+                            <h3>Lesson Complete 🎉</h3>
+                            <p className="lesson-summary-score">
+                                {lessonSummary.signsLearned.length} / {lessonSummary.totalSigns} signs
+                            </p>
+                            {lessonSummary.completionMessage && <p>{lessonSummary.completionMessage}</p>}
+                            {lessonSummary.signsLearned.length > 0 && (
+                                <div className="sign-grid">
+                                    {lessonSummary.signsLearned.map(gloss => (
+                                        <span key={gloss} className="sign-btn learned">{gloss}</span>
+                                    ))}
+                                </div>
+                            )}
+                        </section>
+                    )}
+
+                    {/* Lesson Setup */}
+                    <section className="lesson-setup">
+                        <h3>Guided Lesson</h3>
+                        <p className="reference-note">
+                            A coach watches your camera and gives feedback as you sign.
+                            {practiceQueue.length > 0
+                                ? ` The lesson covers your ${practiceQueue.length} queued signs.`
+                                : ' Queue signs in the Practice tab to choose them yourself.'}
+                        </p>
+                        <label>
+                            Topic
+                            <select value={lessonTopic} onChange={(e) => setLessonTopic(e.target.value)}>
+                                {LESSON_TOPICS.map(topic => <option key={topic} value={topic}>{topic}</option>)}
+                            </select>
+                        </label>
+                        <label>
+                            Level
+                            <select value={lessonDifficulty} onChange={(e) => setLessonDifficulty(e.target.value)}>
+                                {Object.keys(COMMON_SIGNS).map(level => (
+                                    <option key={level} value={level}>
+                                        {level.charAt(0).toUpperCase() + level.slice(1)}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <button className="record-btn" onClick={startLiveLesson}>
+                            {lessonSummary ? 'Start Another Lesson' : 'Start Lesson'}
+                        </button>
+                    </section>
+                </>
+            ) : (
+                <>
+                    {/* Current Sign */}
+                    <section className="practice-section">
+                        <div className="lesson-header">
+                            <h3>{liveLesson.topic}</h3>
+                            <span className="lesson-position">
+                                Sign {liveLesson.position} of {liveLesson.signs.length}
+                            </span>
+                        </div>
+                        <div className="sign-display">
+                            <span className="sign-gloss">{liveLesson.currentSign}</span>
+                        </div>
+
+                        <div className="lesson-camera">
+                            <video ref={lessonVideoRef} autoPlay playsInline muted className={lessonCameraOn ? '' : 'hidden'} />
+                            <canvas ref={lessonCanvasRef} className="hidden" />
+                            {!lessonCameraOn && (
+                                <button className="record-btn" onClick={startLessonCamera}>
+                                    <span className="record-icon">📷</span>
+                                    Start Camera
+                                </button>
+                            )}
+                        </div>
+
+                        <div className="lesson-actions">
+                            <button onClick={() => askLesson('live-lesson:instruction')}>How to sign</button>
+                            <button onClick={() => askLesson('live-lesson:hint')}>Hint</button>
+                            <button onClick={() => askLesson('live-lesson:skip')}>Skip</button>
+                            {lessonCameraOn && <button onClick={stopLessonCamera}>Stop Camera</button>}
+                            <button className="cancel-btn" onClick={endLiveLesson}>End</button>
+                        </div>
+                    </section>
+
+                    {/* Latest Feedback */}
+                    {lessonFeedback && (
+                        <section className={`lesson-feedback ${lessonFeedback.isCorrect ? 'correct' : 'retry'}`}>
+                            <div className="lesson-feedback-score">{lessonFeedback.accuracy}%</div>
+                            <div>
+                                <p>{lessonFeedback.feedback}</p>
+                                {lessonFeedback.corrections?.length > 0 && (
+                                    <ul>
+                                        {lessonFeedback.corrections.map((corr, i) => <li key={i}>{corr}</li>)}
+                                    </ul>
+                                )}
+                            </div>
+                        </section>
+                    )}
+
+                    {/* Coach Messages */}
+                    {lessonLog.length > 0 && (
+                        <section className="lesson-log">
+                            {[...lessonLog].reverse().map((entry, i) => (
+                                <div key={`${entry.at}-${i}`} className={`lesson-log-item ${entry.type}`}>
+                                    {entry.text}
+                                </div>
+                            ))}
+                        </section>
+                    )}
+                </>
+            )}
+        </div>
+    );
+
     const renderSuggestionsTab = () => (
         <div className="tab-content suggestions-tab">
             <div className="suggestions-header">
@@ -539,6 +993,29 @@ export default function TeachingPanel({
                         </div>
                     </section>
                 )}
+
+                {/* Learner Profile */}
+                <section className="learner-section">
+                    <h3>Learner Profile</h3>
+                    <div className="learner-id-row">
+                        <code className="learner-id">{learnerId}</code>
+                        <span className={`sync-status ${isSynced ? 'synced' : 'local'}`}>
+                            {isSynced ? 'Synced' : 'Local only'}
+                        </span>
+                    </div>
+                    <p className="reference-note">Use this ID on another device to continue your progress there.</p>
+                    <div className="learner-switch">
+                        <input
+                            type="text"
+                            value={learnerIdInput}
+                            onChange={(e) => setLearnerIdInput(e.target.value)}
+                            placeholder="Enter learner ID"
+                        />
+                        <button onClick={switchLearner} disabled={!learnerIdInput.trim()}>
+                            Switch
+                        </button>
+                    </div>
+                </section>
             </div>
         );
     };
@@ -630,6 +1107,7 @@ export default function TeachingPanel({
             {/* Tab Content */}
             <div className="panel-content">
                 {activeTab === 'practice' && renderPracticeTab()}
+                {activeTab === 'guided' && renderGuidedTab()}
                 {activeTab === 'suggestions' && renderSuggestionsTab()}
                 {activeTab === 'progress' && renderProgressTab()}
                 {activeTab === 'reference' && renderReferenceTab()}
@@ -647,6 +1125,18 @@ export default function TeachingPanel({
 // HELPER FUNCTIONS
 // ============================================
 
+// Local calendar day as YYYY-MM-DD (matches the learner store's streak days)
+function toDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function generateLearnerId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `learner-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 function generateMockLandmarks() {
     // Generate mock pose/hand landmarks for testing
     return {
@@ -5,6 +5,7 @@
 // ============================================
 
 import { useRef, useEffect, useState, useCallback } from 'react';
+import { apiFetch } from '../auth';
 import './VideoAvatar.css';
 
 // Configuration
@@ -16,6 +17,20 @@ const CONFIG = {
     autoAdvanceDelay: 300,  // Delay between signs (ms)
 };
 
+// Sequence items are plain glosses or sign objects; resolved ones carry a source
+const glossOf = (item) => (typeof item === 'string' ? item : item?.gloss) || '';
+const isResolved = (item) => typeof item === 'object' && item !== null && Boolean(item.source);
+
+/**
+ * Resolve a gloss to its best available source via the sign resolver
+ */
+const fetchSign = async (gloss, dialect, quality) => {
+    const response = await apiFetch(
+        `/api/resolve/${encodeURIComponent(gloss)}?dialect=${dialect}&quality=${quality}`
+    );
+    return response.ok ? response.json() : null;
+};
+
 const VideoAvatar = ({
     signSequence = [],
     currentDialect = 'ASL',
@@ -24,11 +39,13 @@ const VideoAvatar = ({
     showControls = true,
     autoPlay = true,
     loop = false,
+    streaming = false,      // More signs are still arriving (play-signs-chunk)
     quality = CONFIG.defaultQuality
 }) => {
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
     const animationRef = useRef(null);
+    const waitingForSignsRef = useRef(false);
 
     const [currentSignIndex, setCurrentSignIndex] = useState(0);
     const [isLoading, setIsLoading] = useState(false);
@@ -41,30 +58,28 @@ const VideoAvatar = ({
 
     // ============================================
     // PRELOAD SIGNS
+    // Sequence items are glosses or signs already resolved by the server
     // ============================================
 
     const preloadSigns = useCallback(async (signs, startIndex = 0) => {
         const toPreload = signs.slice(startIndex, startIndex + CONFIG.preloadCount);
         const newCache = { ...signCache };
 
-        for (const sign of toPreload) {
+        for (const item of toPreload) {
+            const sign = glossOf(item);
             if (newCache[sign]) continue; // Already cached
 
             try {
-                // Use hybrid endpoint for best available source
-                const response = await fetch(
-                    `/api/hybrid/sign/${encodeURIComponent(sign)}?dialect=${currentDialect}&quality=${quality}`
-                );
+                const data = isResolved(item) ? item : await fetchSign(sign, currentDialect, quality);
 
-                if (response.ok) {
-                    const data = await response.json();
+                if (data) {
                     newCache[sign] = data;
 
                     // Preload video if available
-                    if (data.videoURL && data.type === 'signAvatars') {
+                    if (data.video?.url) {
                         const video = document.createElement('video');
                         video.preload = 'auto';
-                        video.src = data.videoURL;
+                        video.src = data.video.url;
                     }
                 }
             } catch (err) {
@@ -94,6 +109,13 @@ const VideoAvatar = ({
     // ============================================
 
     const playCurrentSign = useCallback(async () => {
+        if (currentSignIndex >= signSequence.length && streaming) {
+            // Caught up with the stream - resume when the next chunk lands
+            waitingForSignsRef.current = true;
+            setCurrentMode('idle');
+            return;
+        }
+
         if (currentSignIndex >= signSequence.length) {
             setIsPlaying(false);
             setCurrentMode('idle');
@@ -106,21 +128,18 @@ const VideoAvatar = ({
             return;
         }
 
-        const currentGloss = signSequence[currentSignIndex];
+        const currentItem = signSequence[currentSignIndex];
+        const currentGloss = glossOf(currentItem);
         setIsLoading(true);
         setError(null);
 
         try {
-            // Get sign data (from cache or fetch)
-            let signData = signCache[currentGloss];
+            // Get sign data (resolved item, cache, or fetch)
+            let signData = isResolved(currentItem) ? currentItem : signCache[currentGloss];
 
             if (!signData) {
-                const response = await fetch(
-                    `/api/hybrid/sign/${encodeURIComponent(currentGloss)}?dialect=${currentDialect}&quality=${quality}`
-                );
-
-                if (response.ok) {
-                    signData = await response.json();
+                signData = await fetchSign(currentGloss, currentDialect, quality);
+                if (signData) {
                     setSignCache(prev => ({ ...prev, [currentGloss]: signData }));
                 }
             }
@@ -128,9 +147,9 @@ const VideoAvatar = ({
             setCurrentSignData(signData);
             setIsLoading(false);
 
-            if (signData?.type === 'signAvatars' || signData?.type === 'video') {
+            if (signData?.type === 'video') {
                 // Play video
-                await playVideo(signData.videoURL);
+                await playVideo(signData.video.url);
             } else if (signData?.type === 'procedural') {
                 // Play procedural animation
                 await playProceduralAnimation(signData);
@@ -152,7 +171,7 @@ const VideoAvatar = ({
             // Try to continue with next sign
             await playProceduralFallback(currentGloss, null);
         }
-    }, [currentSignIndex, signSequence, signCache, currentDialect, quality, loop, onSequenceComplete]);
+    }, [currentSignIndex, signSequence, signCache, currentDialect, quality, loop, streaming, onSequenceComplete]);
 
     // Auto-play on mount and when index changes
     useEffect(() => {
@@ -160,7 +179,16 @@ const VideoAvatar = ({
             setIsPlaying(true);
             playCurrentSign();
         }
-    }, [currentSignIndex, autoPlay, signSequence.length, isPaused]);
+    }, [currentSignIndex, autoPlay, isPaused]);
+
+    // Streamed signs arrived (or the stream ended) while waiting at the end
+    useEffect(() => {
+        if (!waitingForSignsRef.current || isPaused) return;
+        if (currentSignIndex < signSequence.length || !streaming) {
+            waitingForSignsRef.current = false;
+            playCurrentSign();
+        }
+    }, [signSequence.length, streaming]);
 
     // ============================================
     // VIDEO PLAYBACK
@@ -188,7 +216,7 @@ const VideoAvatar = ({
 
             video.onended = () => {
                 cleanup();
-                onSignComplete?.(signSequence[currentSignIndex]);
+                onSignComplete?.(glossOf(signSequence[currentSignIndex]));
                 advanceToNextSign();
                 resolve();
             };
@@ -198,7 +226,7 @@ const VideoAvatar = ({
                 console.error('Video playback error:', err);
                 // Fall back to procedural
                 setCurrentMode('procedural');
-                playProceduralFallback(signSequence[currentSignIndex], null).then(resolve);
+                playProceduralFallback(glossOf(signSequence[currentSignIndex]), null).then(resolve);
             };
 
             video.src = videoURL;
@@ -223,7 +251,7 @@ const VideoAvatar = ({
             }
 
             setTimeout(() => {
-                onSignComplete?.(signSequence[currentSignIndex]);
+                onSignComplete?.(glossOf(signSequence[currentSignIndex]));
                 advanceToNextSign();
                 resolve();
             }, duration);
@@ -330,12 +358,12 @@ const VideoAvatar = ({
         return new Promise((resolve) => {
             setCurrentMode('fingerspelling');
 
-            const letters = signData.letters || [];
+            const letters = signData.fingerspelling?.letters || [];
             const totalDuration = letters.reduce((sum, l) => sum + (l.duration * 1000), 0);
 
             // Could add letter-by-letter animation here
             setTimeout(() => {
-                onSignComplete?.(signSequence[currentSignIndex]);
+                onSignComplete?.(glossOf(signSequence[currentSignIndex]));
                 advanceToNextSign();
                 resolve();
             }, totalDuration || CONFIG.fallbackDuration);
@@ -395,7 +423,7 @@ const VideoAvatar = ({
     // RENDER
     // ============================================
 
-    const currentGloss = signSequence[currentSignIndex] || '';
+    const currentGloss = glossOf(signSequence[currentSignIndex]);
     const progress = signSequence.length > 0
         ? ((currentSignIndex + 1) / signSequence.length) * 100
         : 0;
@@ -419,10 +447,10 @@ const VideoAvatar = ({
             />
 
             {/* Fingerspelling Display */}
-            {currentMode === 'fingerspelling' && currentSignData?.letters && (
+            {currentMode === 'fingerspelling' && currentSignData?.fingerspelling && (
                 <div className="fingerspelling-display">
                     <div className="letter-sequence">
-                        {currentSignData.letters.map((l, i) => (
+                        {currentSignData.fingerspelling.letters.map((l, i) => (
                             <span key={i} className="letter">{l.letter}</span>
                         ))}
                     </div>
@@ -435,13 +463,13 @@ const VideoAvatar = ({
                 <div className="procedural-display">
                     <div
                         className="sign-icon"
-                        style={{ backgroundColor: currentSignData.color || '#6366f1' }}
+                        style={{ backgroundColor: currentSignData.info?.color || '#6366f1' }}
                     >
                         {currentGloss.charAt(0)}
                     </div>
-                    <p className="sign-description">{currentSignData.description}</p>
-                    {currentSignData.category && (
-                        <span className="sign-category">{currentSignData.category}</span>
+                    <p className="sign-description">{currentSignData.info?.description}</p>
+                    {currentSignData.info?.category && (
+                        <span className="sign-category">{currentSignData.info.category}</span>
                     )}
                 </div>
             )}
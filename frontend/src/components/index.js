@@ -29,6 +29,9 @@ export {
     useToast,
     LoadingSpinner,
     ConnectionStatus,
+    RateLimitNotice,
+    isRateLimitError,
+    formatRetryAfter,
     ErrorBoundary,
     useNetworkStatus,
     useSocketConnection,
@@ -0,0 +1,100 @@
+// ============================================
+// RUNTIME CONFIGURATION
+// Backend URL and the server's public settings (GET /api/config/public)
+// ============================================
+
+import { useEffect, useState } from 'react';
+
+// Backend base URL. Empty = same origin (Vite proxies /api and /socket.io in dev).
+export const API_URL = (import.meta.env.VITE_API_URL || import.meta.env.VITE_BACKEND_URL || '').replace(/\/$/, '');
+
+/**
+ * Absolute URL for a backend path ('/api/lexicon/ASL')
+ */
+export function apiUrl(path) {
+    return `${API_URL}${path}`;
+}
+
+const CONFIG_STORAGE_KEY = 'signLanguageServerConfig';
+
+// Used until the server answers (and when it never does)
+export const DEFAULT_SERVER_CONFIG = {
+    tenant: 'default',
+    name: 'default',
+    apiUrl: null,
+    socketPath: '/socket.io',
+    features: {
+        how2sign: true,
+        videoAvatar: true,
+        offlinePacks: true,
+        teaching: true,
+        cameraInput: true,
+        streaming: true
+    },
+    rateLimits: {
+        socket: { max: 60, windowMs: 60000 },
+        http: { max: 120, windowMs: 60000 },
+        costs: {},
+        geminiDaily: 500
+    }
+};
+
+let configPromise = null;
+
+function readStoredConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetch the server's public settings once per page load.
+ * Offline, the last settings seen are used.
+ */
+export function loadServerConfig() {
+    if (!configPromise) {
+        configPromise = fetch(apiUrl('/api/config/public'))
+            .then(response => {
+                if (!response.ok) throw new Error(`Config request failed: ${response.status}`);
+                return response.json();
+            })
+            .then(config => {
+                try {
+                    localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(config));
+                } catch {
+                    // Storage unavailable - the settings still apply to this page
+                }
+                return config;
+            })
+            .catch(error => {
+                console.warn('Server config unavailable:', error.message);
+                configPromise = null; // Retry on the next call
+                return readStoredConfig() || DEFAULT_SERVER_CONFIG;
+            })
+            .then(config => ({
+                ...DEFAULT_SERVER_CONFIG,
+                ...config,
+                features: { ...DEFAULT_SERVER_CONFIG.features, ...config.features }
+            }));
+    }
+    return configPromise;
+}
+
+/**
+ * Server settings as React state (defaults until loaded)
+ */
+export function useServerConfig() {
+    const [config, setConfig] = useState(() => readStoredConfig() || DEFAULT_SERVER_CONFIG);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadServerConfig().then(loaded => {
+            if (!cancelled) setConfig(loaded);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    return config;
+}
@@ -1,6 +1,7 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { registerServiceWorker } from './utils/offlinePack'
 import './App.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -8,3 +9,6 @@ ReactDOM.createRoot(document.getElementById('root')).render(
         <App />
     </React.StrictMode>,
 )
+
+// Offline translation packs and app shell caching
+registerServiceWorker()
@@ -1,11 +1,34 @@
 import { io } from 'socket.io-client';
+import { SignSocketClient, withContractVersion } from '../../shared/socketClient.js';
+import { API_URL } from './config';
+import { getSessionToken, clearSessionToken, isRetryableAuthError } from './auth';
 
-// Use environment variable for API URL, fallback to localhost for development
-const URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
-
-export const socket = io(URL, {
+// VITE_API_URL when the backend is on another origin, otherwise this page's
+// origin (proxied to the backend by Vite in development)
+export const socket = io(API_URL || undefined, {
     autoConnect: false,
     reconnection: true,
     reconnectionAttempts: 5,
-    reconnectionDelay: 1000
+    reconnectionDelay: 1000,
+    // Called on every (re)connect so a refreshed session token is picked up
+    auth: (cb) => {
+        getSessionToken().then(token => cb(withContractVersion(token ? { token } : {})));
+    }
+});
+
+// Typed access to the socket (shared/socketContract.js): payloads are checked
+// both ways, request() waits for the server's acknowledgement, and on()
+// returns a function that removes just that listener
+export const client = new SignSocketClient(socket);
+
+// A handshake refused by the server is not retried automatically:
+// replace a stale token once and try again
+let retriedAuth = false;
+socket.on('connect_error', (error) => {
+    if (isRetryableAuthError(error) && !retriedAuth) {
+        retriedAuth = true;
+        clearSessionToken();
+        socket.connect();
+    }
 });
+socket.on('connect', () => { retriedAuth = false; });
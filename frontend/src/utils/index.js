@@ -47,3 +47,16 @@ export {
     usePrefersReducedMotion,
     usePerformanceMetrics
 } from './hooks';
+
+// Offline translation pack
+export {
+    registerServiceWorker,
+    installOfflinePack,
+    removeOfflinePack,
+    getInstalledPack,
+    loadOfflinePack,
+    translateOffline,
+    translateWithOfflinePack,
+    spellOffline,
+    OFFLINE_PACK_CACHE
+} from './offlinePack';
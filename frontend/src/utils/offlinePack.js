@@ -0,0 +1,349 @@
+// ============================================
+// OFFLINE TRANSLATION PACK
+// Install per-dialect packs through the service worker and translate
+// text to avatar signs with no connection
+// ============================================
+//
+// A pack (GET /api/offline-pack/:dialect, see backend offlinePack.js) holds the
+// gloss mappings, the mock phrase table, the verified sign lexicon, the avatar
+// sign definitions and the dialect's fingerspelling alphabet. The phrase
+// tables are ASL; other dialects' packs are lexiconOnly and leave them empty. The service
+// worker stores it in OFFLINE_PACK_CACHE and revalidates it by version; the
+// page reads it straight from the Cache API.
+//
+// translateOffline() is the client-side port of the backend fallback path:
+// textToGloss (services/signAccuracyValidator.js), getMockTranslation
+// (geminiCache.js) and generateFingerspelling (signFallback.js).
+
+import { apiUrl } from '../config';
+import { apiFetch, authHeaders } from '../auth';
+
+// Must match OFFLINE_PACK_CACHE in public/sw.js
+const OFFLINE_PACK_CACHE = 'offline-packs-v1';
+
+const packUrl = (dialect) => `/api/offline-pack/${dialect.toUpperCase()}`;
+
+// Loaded packs by dialect
+const packs = {};
+
+// ============================================
+// SERVICE WORKER
+// ============================================
+
+/**
+ * Register public/sw.js (production builds only - in dev the cache-first
+ * static strategy would serve stale Vite modules)
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .then(() => {
+                // Pick up pack updates published while the app was closed
+                if (navigator.onLine) {
+                    authHeaders().then(({ Authorization: authorization }) =>
+                        postToServiceWorker('UPDATE_OFFLINE_PACKS', { authorization }));
+                }
+            })
+            .catch(error => console.warn('Service worker registration failed:', error.message));
+    });
+}
+
+/**
+ * Send a { type, payload } message to the active service worker
+ * @returns {Promise<Object|null>} The worker's reply, or null without a worker
+ */
+function postToServiceWorker(type, payload = {}) {
+    const controller = navigator.serviceWorker?.controller;
+    if (!controller) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => resolve(event.data);
+        controller.postMessage({ type, payload }, [channel.port2]);
+    });
+}
+
+// ============================================
+// PACK STORAGE
+// ============================================
+
+/**
+ * Download (or revalidate) a dialect's pack without a service worker.
+ * Same steps as installPack() in sw.js.
+ */
+async function installInPage(dialect) {
+    const cache = await caches.open(OFFLINE_PACK_CACHE);
+    const installed = await cache.match(packUrl(dialect));
+    const response = await apiFetch(packUrl(dialect), {
+        headers: installed ? { 'If-None-Match': installed.headers.get('ETag') || '' } : {}
+    });
+
+    if (response.status === 304 && installed) {
+        return { dialect, version: installed.headers.get('X-Pack-Version'), updated: false };
+    }
+    if (!response.ok) throw new Error(`Offline pack request failed: ${response.status}`);
+
+    const pack = await response.json();
+    await cache.put(packUrl(dialect), new Response(JSON.stringify(pack), {
+        headers: {
+            'Content-Type': 'application/json',
+            'ETag': response.headers.get('ETag') || `"${pack.version}"`,
+            'X-Pack-Version': pack.version,
+            'X-Pack-Source': apiUrl(packUrl(dialect)),
+            'X-Installed-At': new Date().toISOString()
+        }
+    }));
+    return { dialect, version: pack.version, updated: true };
+}
+
+/**
+ * Download a dialect's pack for offline use (no-op when already current)
+ * @returns {Promise<Object>} { dialect, version, updated }
+ */
+export async function installOfflinePack(dialect = 'ASL') {
+    const key = dialect.toUpperCase();
+    const { Authorization: authorization } = await authHeaders();
+    const reply = await postToServiceWorker('INSTALL_OFFLINE_PACK', { dialect: key, url: apiUrl(packUrl(key)), authorization });
+    const result = reply ? reply.result : await installInPage(key);
+
+    if (reply?.error) throw new Error(reply.error);
+    if (result.updated) delete packs[key];
+    return result;
+}
+
+/**
+ * Remove a dialect's pack
+ */
+export async function removeOfflinePack(dialect = 'ASL') {
+    const key = dialect.toUpperCase();
+    delete packs[key];
+    if ('caches' in window) await (await caches.open(OFFLINE_PACK_CACHE)).delete(packUrl(key));
+}
+
+/**
+ * Installed pack metadata (no pack body), or null
+ * @returns {Promise<Object|null>} { dialect, version, installedAt }
+ */
+export async function getInstalledPack(dialect = 'ASL') {
+    if (!('caches' in window)) return null;
+    const key = dialect.toUpperCase();
+    const response = await (await caches.open(OFFLINE_PACK_CACHE)).match(packUrl(key));
+    if (!response) return null;
+
+    return {
+        dialect: key,
+        version: response.headers.get('X-Pack-Version'),
+        installedAt: response.headers.get('X-Installed-At')
+    };
+}
+
+/**
+ * The installed pack for a dialect, or null when none is installed
+ */
+export async function loadOfflinePack(dialect = 'ASL') {
+    const key = dialect.toUpperCase();
+    if (packs[key]) return packs[key];
+    if (!('caches' in window)) return null;
+
+    const response = await (await caches.open(OFFLINE_PACK_CACHE)).match(packUrl(key));
+    if (!response) return null;
+
+    packs[key] = await response.json();
+    return packs[key];
+}
+
+// ============================================
+// TEXT TO GLOSS
+// ============================================
+
+const WH_WORDS = /^(who|what|where|when|why|how|which)\b/;
+const YES_NO_START = /^(do|does|did|is|are|am|was|were|can|could|will|would|should|have|has)\b/;
+const NEGATION = /\b(not|no|never|nothing|nobody|cannot)\b|n't\b/;
+
+// Dropped when no table has them (ASL glosses have no articles or copula)
+const FUNCTION_WORDS = new Set(['a', 'an', 'the', 'is', 'are', 'am', 'was', 'were', 'be', 'to', 'of', 'do', 'does', 'did']);
+
+// Longest phrase key in the pack's tables, in words
+const MAX_PHRASE_WORDS = 4;
+
+/**
+ * Split text into clauses at sentence punctuation, keeping whether each
+ * one was asked as a question
+ * @returns {Array<Object>} [{ text, question }]
+ */
+function splitClauses(text) {
+    return (text.match(/[^.,;!?]+[.,;!?]*/g) || [])
+        .map(clause => ({
+            text: clause.toLowerCase().replace(/[^\w\s'-]/g, ' ').replace(/\s+/g, ' ').trim(),
+            question: clause.trim().endsWith('?')
+        }))
+        .filter(clause => clause.text);
+}
+
+/**
+ * Port of textToGloss's word-order transforms, applied to a whole clause
+ * @returns {string[]|null}
+ */
+function transformClause(clause, glossMappings) {
+    for (const transform of glossMappings.word_order_transforms) {
+        const match = clause.match(new RegExp(`^(?:${transform.pattern})$`, 'i'));
+        if (match) {
+            return transform.asl_order.map(g =>
+                g.startsWith('$') ? match[parseInt(g.slice(1))].toUpperCase() : g
+            );
+        }
+    }
+    return null;
+}
+
+/**
+ * Greedy longest-phrase lookup, left to right: mock phrase items first
+ * (getMockTranslation), then gloss mappings (textToGloss), then - in a
+ * lexiconOnly pack - a word the avatar lexicon has, then #WORD.
+ * Unlike the server's partial match, no words are dropped except
+ * FUNCTION_WORDS.
+ * @returns {Array<Object>} [{ gloss, type, expression?, duration? }]
+ */
+function segmentClause(clause, { mockTranslations, glossMappings, avatarSigns, lexiconOnly }) {
+    const words = clause.split(' ');
+    const items = [];
+    const toItem = (gloss) => ({ gloss, type: gloss.startsWith('#') ? 'fingerspell' : 'sign' });
+
+    for (let i = 0; i < words.length;) {
+        let matched = false;
+        for (let n = Math.min(MAX_PHRASE_WORDS, words.length - i); n > 0 && !matched; n--) {
+            const phrase = words.slice(i, i + n).join(' ');
+            const signs = mockTranslations[phrase] || glossMappings.mappings[phrase]?.map(toItem);
+            if (signs) {
+                items.push(...signs);
+                i += n;
+                matched = true;
+            }
+        }
+        if (!matched) {
+            const word = words[i].toUpperCase();
+            if (lexiconOnly && avatarSigns[word]) items.push(toItem(word));
+            else if (!FUNCTION_WORDS.has(words[i])) items.push(toItem(`#${word}`));
+            i++;
+        }
+    }
+    return items;
+}
+
+/**
+ * Clause-level non-manual markers from the pack's grammar rules
+ */
+function clauseMarkers({ text, question }, grammarRules = {}) {
+    const markers = [];
+    const questions = grammarRules.question_markers || {};
+
+    if (WH_WORDS.test(text) && questions.wh_questions) {
+        markers.push(questions.wh_questions.facial);
+    } else if ((question || YES_NO_START.test(text)) && questions.yes_no_questions) {
+        markers.push(questions.yes_no_questions.facial);
+    }
+    if (NEGATION.test(text) && grammarRules.negation) {
+        markers.push(grammarRules.negation.facial);
+    }
+    return markers;
+}
+
+// ============================================
+// FINGERSPELLING
+// ============================================
+
+/**
+ * Port of signFallback.generateFingerspelling against the pack's alphabet
+ * @returns {Object} { word, alphabet, twoHanded, letters }
+ */
+export function spellOffline(word, fingerspelling) {
+    const { letters: alphabet, digits, letterDuration, transition } = fingerspelling;
+    const chars = word.toUpperCase().replace(/[^A-Z0-9]/g, '').split('');
+    let startTime = 0;
+
+    const letters = chars.map((char, index) => {
+        const entry = alphabet[char] || digits[char] || null;
+        const twoHanded = Boolean(entry?.left);
+        const duration = twoHanded ? letterDuration.twoHanded : letterDuration.oneHanded;
+
+        const letter = {
+            letter: char,
+            index,
+            handshape: entry?.right.handshape || 'unknown',
+            description: entry?.description || `Letter ${char}`,
+            twoHanded,
+            hands: { right: entry?.right || null, left: entry?.left || null },
+            double: index > 0 && chars[index - 1] === char,
+            transition,
+            duration,
+            startTime
+        };
+
+        startTime = Math.round((startTime + duration) * 100) / 100;
+        return letter;
+    });
+
+    return {
+        word: word.toUpperCase(),
+        alphabet: fingerspelling.alphabet,
+        twoHanded: fingerspelling.twoHanded,
+        letters
+    };
+}
+
+// ============================================
+// TRANSLATE
+// ============================================
+
+/**
+ * Translate text to a sign sequence Avatar3D can play with no network:
+ * every gloss the pack has no avatar definition for carries its fingerspelling
+ * @param {string} text - English text
+ * @param {Object} pack - From loadOfflinePack()
+ * @returns {Array<Object>} [{ gloss, type, expression, duration, fingerspelling?, offline }]
+ */
+export function translateOffline(text, pack) {
+    const { glossMappings, mockTranslations, verifiedSigns, avatarSigns, lexiconOnly } = pack;
+
+    return splitClauses(text).flatMap(clause => {
+        const transformed = mockTranslations[clause.text] ? null : transformClause(clause.text, glossMappings);
+        const items = transformed
+            ? transformed.map(gloss => ({ gloss, type: 'sign' }))
+            : segmentClause(clause.text, { mockTranslations, glossMappings, avatarSigns, lexiconOnly });
+
+        // Question and negation markers span the whole clause and replace the
+        // phrase table's own expression
+        const markers = clauseMarkers(clause, glossMappings.grammar_rules);
+
+        return items.map(item => {
+            const gloss = item.gloss.toUpperCase().trim().replace(/[\s_]+/g, '-');
+            const word = gloss.replace(/^(#|FS-|FS:)/, '');
+            const spelled = item.type === 'fingerspell' || word !== gloss;
+            const avatarSign = spelled ? null : avatarSigns[word];
+            const verified = verifiedSigns[word];
+            const expression = markers.length ? markers.join('+') : item.expression;
+
+            return {
+                ...item,
+                gloss,
+                expression: expression || 'neutral',
+                duration: avatarSign?.duration || (verified ? verified.duration_ms / 1000 : item.duration || 1),
+                ...(avatarSign ? {} : { fingerspelling: spellOffline(word, pack.fingerspelling) }),
+                offline: true
+            };
+        });
+    });
+}
+
+/**
+ * Translate with the installed pack for a dialect
+ * @returns {Promise<Array<Object>|null>} Sign sequence, or null without a pack
+ */
+export async function translateWithOfflinePack(text, dialect = 'ASL') {
+    const pack = await loadOfflinePack(dialect);
+    return pack ? translateOffline(text, pack) : null;
+}
+
+export { OFFLINE_PACK_CACHE };
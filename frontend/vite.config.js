@@ -7,6 +7,10 @@ export default defineConfig({
 
     server: {
         port: 5173,
+        // The socket event contract and client live in ../shared, next to the backend
+        fs: {
+            allow: ['..']
+        },
         proxy: {
             '/api': {
                 target: 'http://localhost:3001',
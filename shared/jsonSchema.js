@@ -0,0 +1,179 @@
+// shared/jsonSchema.js
+// The JSON Schema subset shared by the backend and the frontend
+//
+// checkSchema() checks a parsed value and fixes what it safely can: numbers
+// sent as strings ("85%"), a single value where an array belongs, enum values
+// in another case or spelling ("Open Palm" for OpenPalm), out-of-range
+// numbers, and missing or invalid fields that have a default. Optional fields
+// that are still invalid are dropped. Everything else is a problem.
+//
+// Supported keywords: type (string, number, integer, boolean, array, object,
+// null or a list of these), properties, required, items, enum, default,
+// minimum, maximum, minLength, maxLength, pattern, minItems and maxItems.
+// Properties that the schema does not list pass through unchanged.
+//
+// With { strict: true } (requests and socket payloads) conversions still
+// apply, but an invalid enum value or optional field, or an array that is too
+// long, is a problem instead of being replaced, dropped or cut.
+//
+// No imports: backend/services/responseValidator.js uses it for Gemini
+// answers, shared/socketContract.js for Socket.IO payloads on both sides.
+
+const typeOf = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+const normalizeOption = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+// value converted to type when the intent is unambiguous, otherwise undefined
+function coerce(value, type) {
+    const actual = typeOf(value);
+    switch (type) {
+        case 'number':
+        case 'integer': {
+            let number;
+            if (actual === 'number') number = value;
+            else if (actual === 'string' && value.trim() !== '') number = Number(value.trim().replace(/%$/, ''));
+            if (!Number.isFinite(number)) return undefined;
+            return type === 'integer' ? Math.round(number) : number;
+        }
+        case 'string':
+            return actual === 'number' || actual === 'boolean' ? String(value) : undefined;
+        case 'boolean':
+            if (actual === 'string' && /^(true|yes)$/i.test(value.trim())) return true;
+            if (actual === 'string' && /^(false|no)$/i.test(value.trim())) return false;
+            return undefined;
+        case 'array':
+            return actual === 'null' ? undefined : [value];
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Check one value against its schema, recording fixes and problems in result
+ * @returns {*} The value with fixes applied
+ */
+function visit(schema, value, at, result) {
+    let current = value;
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(current, type))) {
+            const converted = types.map(type => coerce(current, type)).find(v => v !== undefined);
+            if (converted === undefined) {
+                result.problems.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(current)}`);
+                return current;
+            }
+            result.fixes.push(`${at}: ${typeOf(current)} converted to ${typeOf(converted)}`);
+            current = converted;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(current)) {
+        const option = schema.enum.find(o => normalizeOption(o) === normalizeOption(current));
+        if (option !== undefined) {
+            current = option;
+        } else if ('default' in schema && !result.strict) {
+            current = clone(schema.default);
+        } else {
+            result.problems.push(`${at}: ${JSON.stringify(current)} is not one of ${schema.enum.join(', ')}`);
+            return current;
+        }
+        result.fixes.push(`${at}: ${JSON.stringify(value)} replaced by ${JSON.stringify(current)}`);
+    }
+
+    if (typeof current === 'number') {
+        const clamped = Math.min(schema.maximum ?? Infinity, Math.max(schema.minimum ?? -Infinity, current));
+        if (clamped !== current) {
+            result.fixes.push(`${at}: ${current} clamped to ${clamped}`);
+            current = clamped;
+        }
+    }
+
+    if (typeof current === 'string') {
+        if (schema.minLength !== undefined && current.length < schema.minLength) {
+            result.problems.push(`${at}: expected at least ${schema.minLength} characters, got ${current.length}`);
+        }
+        if (schema.maxLength !== undefined && current.length > schema.maxLength) {
+            result.problems.push(`${at}: expected at most ${schema.maxLength} characters, got ${current.length}`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(current)) {
+            result.problems.push(`${at}: does not match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(current)) {
+        if (schema.items) {
+            current = current.map((item, i) => visit(schema.items, item, `${at}[${i}]`, result));
+        }
+        if (schema.maxItems !== undefined && current.length > schema.maxItems && result.strict) {
+            result.problems.push(`${at}: expected at most ${schema.maxItems} items, got ${current.length}`);
+        } else if (schema.maxItems !== undefined && current.length > schema.maxItems) {
+            result.fixes.push(`${at}: ${current.length} items cut to ${schema.maxItems}`);
+            current = current.slice(0, schema.maxItems);
+        }
+        if (schema.minItems !== undefined && current.length < schema.minItems) {
+            result.problems.push(`${at}: expected at least ${schema.minItems} items, got ${current.length}`);
+        }
+    }
+
+    if (typeOf(current) === 'object' && schema.properties) {
+        const required = schema.required || [];
+        for (const [key, spec] of Object.entries(schema.properties)) {
+            const path = `${at}.${key}`;
+            const isRequired = required.includes(key);
+            const missing = current[key] === undefined || (current[key] === null && ![].concat(spec.type).includes('null'));
+
+            if (missing) {
+                if ('default' in spec) {
+                    // Filling an optional field is normal; only report a gap the answer should not have had
+                    if (isRequired || current[key] === null) result.fixes.push(`${path}: missing, default used`);
+                    current[key] = clone(spec.default);
+                } else if (isRequired) {
+                    result.problems.push(`${path}: required`);
+                } else if (current[key] === null) {
+                    delete current[key];
+                }
+                continue;
+            }
+
+            // Check optional fields separately so a bad one can be dropped instead of failing the answer
+            const field = isRequired || result.strict ? result : { fixes: [], problems: [], strict: false };
+            const checked = visit(spec, current[key], path, field);
+            if (field === result) {
+                current[key] = checked;
+            } else if (field.problems.length === 0) {
+                result.fixes.push(...field.fixes);
+                current[key] = checked;
+            } else if ('default' in spec) {
+                result.fixes.push(`${field.problems[0]} (default used)`);
+                current[key] = clone(spec.default);
+            } else {
+                result.fixes.push(`${field.problems[0]} (dropped)`);
+                delete current[key];
+            }
+        }
+    }
+
+    return current;
+}
+
+/**
+ * Check a parsed value against a schema
+ * @param {Object|null} schema - JSON Schema (null accepts anything)
+ * @param {*} value - Parsed value (not modified)
+ * @param {Object} [options] - { strict: report invalid enum values, optional fields and long arrays instead of fixing them }
+ * @returns {{ value: *, fixes: string[], problems: string[] }}
+ */
+function checkSchema(schema, value, { strict = false } = {}) {
+    const result = { fixes: [], problems: [], strict };
+    result.value = schema ? visit(schema, clone(value), '$', result) : value;
+    return { value: result.value, fixes: result.fixes, problems: result.problems };
+}
+
+export { checkSchema, typeOf };
@@ -0,0 +1,176 @@
+// shared/socketClient.js
+// Promise-based client for the Socket.IO event contract (shared/socketContract.js)
+//
+// Wraps a socket.io-client socket, so the same code runs in the React app and
+// in Node integrations; it does not import socket.io-client itself.
+//
+//   const socket = io(url, { auth: withContractVersion({ token }) });
+//   const client = new SignSocketClient(socket);
+//   const off = client.on('play-signs', ({ sequence }) => play(sequence));
+//   const feedback = await client.request('check-my-sign', { intendedSign: 'HELLO' });
+//
+// request() emits with an acknowledgement callback and resolves with the
+// answer's data, or rejects with a SocketRequestError: the server's error
+// code, or 'timeout' and 'invalid_response' from this side. The answering
+// event (play-signs above) is emitted as well, so on() listeners see it
+// either way. Outgoing payloads are checked before they are sent and
+// incoming ones before a listener sees them; contract violations go to
+// onContractError and the payload is not delivered.
+
+import { CONTRACT_VERSION, CLIENT_EVENTS, SERVER_EVENTS, checkPayload, checkResponse, isCompatible } from './socketContract.js';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Socket.IO's own events, outside the contract
+const RESERVED_EVENTS = ['connect', 'disconnect', 'connect_error'];
+
+class SocketRequestError extends Error {
+    /**
+     * @param {Object} error - Error payload ({ event, code, message, problems, retryAfter, ... })
+     */
+    constructor({ message, code = 'request_failed', event = null, ...details } = {}) {
+        super(message || code);
+        this.name = 'SocketRequestError';
+        this.code = code;
+        this.event = event;
+        this.problems = details.problems || [];
+        this.details = details;
+    }
+}
+
+/**
+ * Handshake auth with this client's contract version added
+ * @param {Object} [auth] - Other handshake fields ({ token })
+ */
+function withContractVersion(auth = {}) {
+    return { ...auth, contractVersion: CONTRACT_VERSION };
+}
+
+function reportToConsole({ direction, event, problems }) {
+    console.warn(`⚠️ Socket contract: ${direction} event ${event} rejected\n${problems.map(p => `   - ${p}`).join('\n')}`);
+}
+
+class SignSocketClient {
+    /**
+     * @param {Object} socket - socket.io-client socket
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Default request() timeout in ms
+     * @param {boolean} [options.validate] - Check payloads against the contract (default true)
+     * @param {Function} [options.onContractError] - ({ direction, event, problems }) => void
+     */
+    constructor(socket, { timeout = DEFAULT_TIMEOUT_MS, validate = true, onContractError = reportToConsole } = {}) {
+        this.socket = socket;
+        this.timeout = timeout;
+        this.validate = validate;
+        this.onContractError = onContractError;
+        this.serverVersion = null;
+
+        socket.on('connected', (data) => {
+            this.serverVersion = data?.contractVersion || null;
+            if (!isCompatible(this.serverVersion)) {
+                this.onContractError({
+                    direction: 'server',
+                    event: 'connected',
+                    problems: [`server speaks contract ${this.serverVersion || 'unknown'}, this client ${CONTRACT_VERSION}`]
+                });
+            }
+        });
+    }
+
+    get connected() {
+        return this.socket.connected;
+    }
+
+    /**
+     * Payload checked against the contract; problems are reported here
+     * @returns {{ value: *, problems: string[] }}
+     */
+    _check(direction, event, payload) {
+        if (!this.validate) return { value: payload ?? {}, problems: [] };
+
+        const result = checkPayload(direction, event, payload);
+        if (result.problems.length > 0) {
+            this.onContractError({ direction, event, problems: result.problems });
+        }
+        return result;
+    }
+
+    /**
+     * Emit a client event and wait for its answer
+     * @param {string} event - Client event (see CLIENT_EVENTS)
+     * @param {Object} [payload]
+     * @param {Object} [options] - { timeout } in ms
+     * @returns {Promise<*>} Data of the answer: the reply event's payload, or
+     *   the event's response
+     * @throws {SocketRequestError}
+     */
+    request(event, payload = {}, { timeout = this.timeout } = {}) {
+        const checked = this._check('client', event, payload);
+        if (checked.problems.length > 0) {
+            return Promise.reject(new SocketRequestError({ event, code: 'invalid_payload', message: `Invalid ${event} payload`, problems: checked.problems }));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.socket.timeout(timeout).emit(event, checked.value, (timedOut, ack) => {
+                if (timedOut) {
+                    reject(new SocketRequestError({ event, code: 'timeout', message: `No answer to ${event} within ${timeout} ms` }));
+                    return;
+                }
+                if (!ack?.ok) {
+                    reject(new SocketRequestError({ event, ...ack?.error }));
+                    return;
+                }
+                if (!this.validate) {
+                    resolve(ack.data);
+                    return;
+                }
+
+                const result = checkResponse(event, ack);
+                if (result.problems.length > 0) {
+                    this.onContractError({ direction: 'server', event: ack.event || event, problems: result.problems });
+                    reject(new SocketRequestError({ event, code: 'invalid_response', message: `Invalid answer to ${event}`, problems: result.problems }));
+                    return;
+                }
+                resolve(result.value);
+            });
+        });
+    }
+
+    /**
+     * Emit a client event without waiting for an answer (replies still reach on() listeners)
+     * @returns {boolean} false when the payload broke the contract and was not sent
+     */
+    send(event, payload = {}) {
+        const checked = this._check('client', event, payload);
+        if (checked.problems.length > 0) return false;
+
+        this.socket.emit(event, checked.value);
+        return true;
+    }
+
+    /**
+     * Listen to a server event
+     * @param {string} event - Server event (see SERVER_EVENTS) or connect,
+     *   disconnect, connect_error
+     * @param {Function} handler - Called with the checked payload
+     * @returns {Function} Removes this listener (and only this one)
+     */
+    on(event, handler) {
+        if (!RESERVED_EVENTS.includes(event) && !Object.hasOwn(SERVER_EVENTS, event)) {
+            throw new TypeError(`Unknown server event: ${event}`);
+        }
+
+        const listener = RESERVED_EVENTS.includes(event)
+            ? handler
+            : (payload) => {
+                const checked = this._check('server', event, payload);
+                if (checked.problems.length === 0) handler(checked.value);
+            };
+
+        this.socket.on(event, listener);
+        return () => this.socket.off(event, listener);
+    }
+}
+
+export default SignSocketClient;
+export { SignSocketClient, SocketRequestError, withContractVersion, CONTRACT_VERSION, CLIENT_EVENTS, SERVER_EVENTS };
@@ -0,0 +1,426 @@
+// shared/socketContract.js
+// Socket.IO event contract between the backend and its clients
+//
+// CLIENT_EVENTS lists what a client may emit: the payload schema, and either
+// the server event that answers it (reply) or, for events answered only
+// through the acknowledgement, the response schema. SERVER_EVENTS lists what
+// the server emits. Both sides check payloads with checkPayload():
+// backend/services/socketEvents.js before a handler runs, and
+// shared/socketClient.js before a listener sees an event.
+//
+// Schemas describe the fields each side relies on and nothing more: unlisted
+// properties pass through, so adding a field is not a breaking change.
+// Removing or retyping one is, and needs a new major CONTRACT_VERSION. The
+// client sends its version in the handshake (auth.contractVersion) and the
+// server refuses a different major version; the server sends its version in
+// the connected event.
+//
+// Every client event takes an optional acknowledgement callback, answered
+// once with an ACK: { ok: true, event, data } where event is the server event
+// that answered (null for ack-only responses), or { ok: false, error } with
+// one of ERROR_CODES.
+
+import { checkSchema } from './jsonSchema.js';
+
+const CONTRACT_VERSION = '1.2.0';
+
+const ERROR_CODES = [
+    'invalid_payload',       // payload failed its schema (error.problems lists why)
+    'rate_limited',          // socket bucket empty (error.retryAfter in seconds)
+    'quota_exceeded',        // daily Gemini quota spent
+    'feature_disabled',      // turned off for this tenant (error.feature)
+    'not_found',             // session or lesson does not exist
+    'auth_required',         // learner profiles and conversations need a session token
+    'forbidden',             // learner profile or conversation belongs to another principal
+    'model_unavailable',     // Gemini refused or is rate limited upstream
+    'unsupported_contract',  // handshake only: different major CONTRACT_VERSION
+    'request_failed'         // anything else
+];
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+// Sign language dialects the server translates (gemini.js dialectConfig)
+const DIALECTS = ['ASL', 'BSL', 'ISL'];
+const DIALECT = { type: 'string', enum: DIALECTS };
+const GLOSS = { type: 'string', minLength: 1, maxLength: 100 };
+const NAME = { type: 'string', minLength: 1, maxLength: 100 };
+const TEXT = { type: 'string', minLength: 1, maxLength: 2000 };
+const DAY = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+// Learner, session and lesson IDs (they double as file names on the server)
+const ID = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' };
+// Base64 image or data URL
+const IMAGE = { type: 'string', minLength: 1 };
+const LIST = { type: 'array' };
+// MediaPipe hands as sent by CameraInput: { rightHand: { visible, landmarks }, leftHand }
+const HANDS = { type: 'object', properties: { rightHand: { type: 'object' }, leftHand: { type: 'object' } } };
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+
+// A gloss, or a translation item ({ gloss, type, expression, ... })
+const SEQUENCE_ITEM = { type: ['string', 'object'], minLength: 1, maxLength: 100, properties: { gloss: GLOSS }, required: ['gloss'] };
+const SEQUENCE = { type: 'array', items: SEQUENCE_ITEM, maxItems: 200 };
+// Resolved sign as played by the avatar
+const SIGN = { type: 'object', properties: { gloss: { type: 'string' } }, required: ['gloss'] };
+
+const object = (properties = {}, required = []) => ({ type: 'object', properties, required });
+
+const LESSON_STATE = object({
+    lessonId: { type: 'string' },
+    topic: { type: 'string' },
+    dialect: { type: 'string' },
+    difficulty: { type: 'string' },
+    startedAt: { type: 'string' },
+    framesSkipped: { type: 'integer' },
+    isActive: { type: 'boolean' },
+    currentSign: OPTIONAL_STRING,
+    signsCompleted: LIST,
+    signsToPractice: LIST,
+    progress: { type: 'string' },
+    score: { type: 'number' }
+}, ['lessonId']);
+
+const LESSON_EVENT = (properties = {}, required = []) => object({ lessonId: { type: 'string' }, ...properties }, ['lessonId', ...required]);
+
+// ============================================
+// CLIENT EVENTS (client -> server)
+// ============================================
+
+const CLIENT_EVENTS = {
+    'speech-input': {
+        summary: 'Translate text to signs (stream: true answers with play-signs-chunk events, then play-signs-end)',
+        payload: object({ text: TEXT, dialect: DIALECT, cameraFrame: IMAGE, stream: { type: 'boolean' } }, ['text']),
+        reply: ['play-signs', 'play-signs-end']
+    },
+    'sign-detected': {
+        summary: 'Turn a recognized sign into speech',
+        payload: object({ signGloss: GLOSS, dialect: DIALECT }, ['signGloss']),
+        reply: ['speak-text']
+    },
+    'check-my-sign': {
+        summary: 'Feedback on a practice attempt, recorded to the learner when one is linked',
+        payload: object({ intendedSign: GLOSS, videoFrames: { type: ['array', 'object'] }, dialect: DIALECT, userId: ID, practiceDate: DAY }, ['intendedSign']),
+        reply: ['sign-feedback']
+    },
+    'learner:identify': {
+        summary: 'Link this socket to a learner profile, merging progress kept on the device',
+        payload: object({ userId: ID, displayName: NAME, localProgress: { type: 'object' }, dialect: DIALECT, date: DAY }, ['userId']),
+        reply: ['learner:progress']
+    },
+    'learner:get-progress': {
+        summary: 'Progress of the linked (or given) learner',
+        payload: object({ userId: ID, dialect: DIALECT }),
+        reply: ['learner:progress']
+    },
+    'learner:get-reviews': {
+        summary: 'Signs due for review on the learner\'s local day',
+        payload: object({ userId: ID, dialect: DIALECT, date: DAY, limit: { type: 'integer', minimum: 1, maximum: 100 } }),
+        reply: ['learner:reviews']
+    },
+    'predict-sign': {
+        summary: 'Recognize a sign in a camera frame',
+        payload: object({ imageBase64: IMAGE, dialect: DIALECT }, ['imageBase64']),
+        reply: ['sign-predicted']
+    },
+    'detect-objects': {
+        summary: 'Objects in a camera frame, for pointing signs',
+        payload: object({ imageBase64: IMAGE }, ['imageBase64']),
+        reply: ['objects-detected']
+    },
+    'get-sign-suggestions': {
+        summary: 'Signs likely to come next in the conversation',
+        payload: object({ topic: NAME, dialect: DIALECT, conversationHistory: { type: 'array', maxItems: 200 } }),
+        reply: ['suggested-signs']
+    },
+    'switch-dialect': {
+        summary: 'Translate a sign sequence to another dialect (also the session dialect from now on)',
+        payload: object({ currentSequence: SEQUENCE, fromDialect: DIALECT, toDialect: DIALECT }, ['currentSequence', 'fromDialect', 'toDialect']),
+        reply: ['dialect-switched']
+    },
+    'upload-document': {
+        summary: 'Generate a lesson from a document',
+        // The server's maxHttpBufferSize caps the document size
+        payload: object({ documentText: { type: 'string', minLength: 1 }, dialect: DIALECT, filename: { type: 'string' } }, ['documentText']),
+        reply: ['lesson-generated']
+    },
+    'get-sign-info': {
+        summary: 'Details about one sign',
+        payload: object({ signGloss: GLOSS, dialect: DIALECT }, ['signGloss']),
+        reply: ['sign-info']
+    },
+    'voice:translate': {
+        summary: 'Legacy: echoed back to the client as speech-input',
+        deprecated: true,
+        payload: object(),
+        reply: ['speech-input']
+    },
+    'sign:landmarks': {
+        summary: 'Hand landmarks (one frame, or frames: [{ landmarks, timestamp }]), recognized without Gemini; answers when a sign ends',
+        payload: object({
+            landmarks: HANDS,
+            timestamp: { type: 'number' },
+            frames: { type: 'array', items: object({ landmarks: HANDS, timestamp: { type: 'number' } }), maxItems: 120 },
+            dialect: DIALECT
+        }),
+        reply: ['sign-predicted']
+    },
+    'sign:landmarks:end': {
+        summary: 'Landmark stream stopped: recognize whatever is buffered',
+        payload: object({ dialect: DIALECT }),
+        reply: ['sign-predicted']
+    },
+    'conversation:resume': {
+        summary: 'Reattach to a transcript after a reconnect',
+        payload: object({ sessionId: ID, dialect: DIALECT }, ['sessionId']),
+        reply: ['conversation:session']
+    },
+    'conversation:new': {
+        summary: 'Close the current transcript and start a new one',
+        payload: object({ dialect: DIALECT, title: NAME }),
+        reply: ['conversation:session']
+    },
+    'conversation:end': {
+        summary: 'Close the current transcript; the next turn starts a new one',
+        payload: object(),
+        reply: ['conversation:ended']
+    },
+    'live-lesson:start': {
+        summary: 'Start a guided lesson, ending the one this socket had (its events follow as live-lesson:*)',
+        payload: object({
+            topic: NAME,
+            signs: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 40 }, maxItems: 20 },
+            difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] },
+            dialect: DIALECT
+        }),
+        response: LESSON_STATE
+    },
+    'live-lesson:frame': {
+        summary: 'Camera frame for the current sign; frames over the throttle are dropped',
+        payload: object({ frame: IMAGE }, ['frame']),
+        response: object({ dropped: { type: 'boolean' } }, ['dropped'])
+    },
+    'live-lesson:hint': {
+        summary: 'Hint for the current sign',
+        payload: object(),
+        reply: ['live-lesson:hint']
+    },
+    'live-lesson:instruction': {
+        summary: 'How to sign the current sign',
+        payload: object(),
+        reply: ['live-lesson:instruction']
+    },
+    'live-lesson:skip': {
+        summary: 'Move on to the next sign',
+        payload: object(),
+        reply: ['live-lesson:skipped']
+    },
+    'live-lesson:progress': {
+        summary: 'Lesson state',
+        payload: object(),
+        reply: ['live-lesson:progress']
+    },
+    'live-lesson:resume': {
+        summary: 'Reattach to a lesson after a reconnect; missed events are replayed after live-lesson:resumed',
+        payload: object({ lessonId: ID }, ['lessonId']),
+        response: LESSON_STATE
+    },
+    'live-lesson:end': {
+        summary: 'Finish the lesson',
+        payload: object(),
+        reply: ['live-lesson:ended']
+    }
+};
+
+// ============================================
+// SERVER EVENTS (server -> client)
+// ============================================
+
+const SERVER_EVENTS = {
+    'connected': {
+        summary: 'Welcome, with the session dialect and the contract version',
+        payload: object({ message: { type: 'string' }, dialect: { type: 'string' }, features: LIST, contractVersion: { type: 'string' } }, ['contractVersion'])
+    },
+    'error': {
+        summary: 'A client event failed and was sent without an acknowledgement callback',
+        payload: object({
+            event: { type: 'string' },
+            code: { type: 'string', enum: ERROR_CODES },
+            message: { type: 'string' },
+            problems: LIST,
+            retryAfter: { type: 'number' }
+        }, ['message'])
+    },
+    'play-signs': {
+        summary: 'Signs for speech-input',
+        payload: object({ sequence: { type: 'array', items: SIGN }, sources: { type: 'object' }, objects: LIST, originalText: { type: 'string' }, dialect: { type: 'string' } }, ['sequence'])
+    },
+    'play-signs-chunk': {
+        summary: 'Streamed signs, starting at index in the stream',
+        payload: object({ streamId: { type: 'string' }, index: { type: 'integer' }, sequence: { type: 'array', items: SIGN } }, ['streamId', 'index', 'sequence'])
+    },
+    'play-signs-end': {
+        summary: 'End of a sign stream, with totals and any error',
+        payload: object({ streamId: { type: 'string' }, total: { type: 'integer' }, sources: { type: 'object' }, objects: LIST, error: { type: 'string' } }, ['streamId', 'total'])
+    },
+    'speech-input': {
+        summary: 'Legacy echo of voice:translate',
+        deprecated: true,
+        payload: object()
+    },
+    'speak-text': {
+        summary: 'Text to speak for a recognized sign',
+        payload: object({ text: { type: 'string' }, formalText: { type: 'string' }, confidence: { type: 'number' }, originalSign: { type: 'string' } }, ['text'])
+    },
+    'sign-feedback': {
+        summary: 'Feedback on a check-my-sign attempt',
+        payload: object({ intendedSign: { type: 'string' }, accuracy: { type: 'number' }, overallAssessment: { type: 'string' }, corrections: LIST }, ['intendedSign'])
+    },
+    'sign-predicted': {
+        summary: 'Sign recognized from a camera frame or landmarks',
+        payload: object({ gloss: { type: 'string' }, english: { type: 'string' }, confidence: { type: 'number' }, alternatives: LIST, source: { type: 'string' } }, ['gloss'])
+    },
+    'objects-detected': {
+        summary: 'Objects in the scene',
+        payload: object({ objects: LIST, sceneDescription: { type: 'string' }, suggestedReferences: LIST })
+    },
+    'suggested-signs': {
+        summary: 'Signs likely to come next',
+        payload: object({ suggestions: LIST, topicPredictions: LIST, conversationPhase: { type: 'string' } }, ['suggestions'])
+    },
+    'dialect-switched': {
+        summary: 'Sequence translated to another dialect',
+        payload: object({ sequence: LIST, fromDialect: { type: 'string' }, toDialect: { type: 'string' }, warnings: LIST, confidence: { type: 'number' } }, ['sequence', 'toDialect'])
+    },
+    'lesson-generated': {
+        summary: 'Lesson generated from a document',
+        payload: object({ success: { type: 'boolean' }, lesson: object({ title: { type: 'string' }, vocabulary: LIST }) }, ['lesson'])
+    },
+    'sign-info': {
+        summary: 'Details about one sign',
+        payload: object({ signGloss: { type: 'string' }, dialect: { type: 'string' } }, ['signGloss'])
+    },
+    'learner:progress': {
+        summary: 'Learner progress (streak, accuracy, sign history, reviews due)',
+        payload: object({ userId: { type: 'string' }, streak: { type: 'integer' }, reviewsDue: { type: 'integer' }, signHistory: { type: 'object' } }, ['userId'])
+    },
+    'learner:reviews': {
+        summary: 'Spaced-repetition queue for a day',
+        payload: object({ userId: { type: 'string' }, date: { type: 'string' }, total: { type: 'integer' }, due: LIST, nextDueDate: OPTIONAL_STRING }, ['userId'])
+    },
+    'conversation:session': {
+        summary: 'Transcript started or resumed (resumed sessions include their turns)',
+        payload: object({ sessionId: { type: 'string' }, dialect: { type: 'string' }, title: OPTIONAL_STRING, turns: LIST, resumed: { type: 'boolean' } }, ['sessionId'])
+    },
+    'conversation:turn': {
+        summary: 'Turn appended to the transcript',
+        payload: object({ sessionId: { type: 'string' }, turn: { type: 'object' } }, ['sessionId', 'turn'])
+    },
+    'conversation:ended': {
+        summary: 'Transcript closed',
+        payload: object({ sessionId: { type: 'string' }, endedAt: OPTIONAL_STRING }, ['sessionId'])
+    },
+    'live-lesson:started': {
+        summary: 'Lesson started',
+        payload: LESSON_EVENT({ topic: { type: 'string' }, signs: LIST, difficulty: { type: 'string' } })
+    },
+    'live-lesson:message': {
+        summary: 'Tutor message (introduction, encouragement, ...)',
+        payload: LESSON_EVENT({ type: { type: 'string' }, content: { type: 'string' } })
+    },
+    'live-lesson:feedback': {
+        summary: 'Feedback on a camera frame',
+        payload: LESSON_EVENT({ framesSkipped: { type: 'integer' } })
+    },
+    'live-lesson:sign-completed': {
+        summary: 'Current sign done',
+        payload: LESSON_EVENT({ sign: { type: 'string' }, accuracy: { type: 'number' }, attempts: { type: 'integer' } })
+    },
+    'live-lesson:next-sign': {
+        summary: 'Next sign to practice (progress counts from 1)',
+        payload: LESSON_EVENT({ sign: { type: 'string' }, progress: { type: 'integer' }, total: { type: 'integer' } })
+    },
+    'live-lesson:complete': {
+        summary: 'Lesson summary',
+        payload: LESSON_EVENT({ topic: { type: 'string' }, signsLearned: LIST, totalSigns: { type: 'integer' }, score: { type: 'number' } })
+    },
+    'live-lesson:hint': {
+        summary: 'Hint for the current sign',
+        payload: LESSON_EVENT({ hint: { type: 'string' } })
+    },
+    'live-lesson:instruction': {
+        summary: 'How to sign the current sign',
+        payload: LESSON_EVENT({ instruction: { type: 'string' }, position: { type: 'integer' }, total: { type: 'integer' } })
+    },
+    'live-lesson:skipped': {
+        summary: 'Sign skipped',
+        payload: LESSON_EVENT({ newSign: OPTIONAL_STRING })
+    },
+    'live-lesson:progress': {
+        summary: 'Lesson state',
+        payload: LESSON_STATE
+    },
+    'live-lesson:resumed': {
+        summary: 'Lesson reattached; missedEvents replayed events follow',
+        payload: object({ ...LESSON_STATE.properties, missedEvents: { type: 'integer' } }, ['lessonId'])
+    },
+    'live-lesson:ended': {
+        summary: 'Lesson finished (final state when it was still running)',
+        payload: LESSON_EVENT()
+    }
+};
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Check a payload against the contract
+ * @param {string} direction - 'client' (client -> server) or 'server'
+ * @param {string} event - Event name
+ * @param {*} payload - Payload as sent (a missing payload is an empty object)
+ * @returns {{ value: *, fixes: string[], problems: string[] }} problems name
+ *   unknown events too
+ */
+function checkPayload(direction, event, payload) {
+    const events = direction === 'client' ? CLIENT_EVENTS : SERVER_EVENTS;
+    if (!Object.hasOwn(events, event)) {
+        return { value: payload, fixes: [], problems: [`unknown ${direction} event ${event}`] };
+    }
+
+    const result = checkSchema(events[event].payload, payload ?? {}, { strict: true });
+    // Paths read "payload.text: required" rather than "$.text: required"
+    result.problems = result.problems.map(problem => problem.replace(/^\$/, 'payload'));
+    return result;
+}
+
+/**
+ * Check the data of a successful acknowledgement to a client event: the
+ * payload of the server event it names, or the event's response schema
+ */
+function checkResponse(event, ack) {
+    const schema = ack.event ? SERVER_EVENTS[ack.event]?.payload : CLIENT_EVENTS[event]?.response;
+    if (!schema) return { value: ack.data, fixes: [], problems: [] };
+
+    const result = checkSchema(schema, ack.data, { strict: true });
+    result.problems = result.problems.map(problem => problem.replace(/^\$/, ack.event || 'response'));
+    return result;
+}
+
+/**
+ * Whether a peer speaking version can talk to this one (same major version)
+ */
+function isCompatible(version) {
+    const major = (v) => String(v).split('.')[0];
+    return typeof version === 'string' && major(version) === major(CONTRACT_VERSION);
+}
+
+export {
+    CONTRACT_VERSION,
+    DIALECTS,
+    ERROR_CODES,
+    CLIENT_EVENTS,
+    SERVER_EVENTS,
+    checkPayload,
+    checkResponse,
+    isCompatible
+};